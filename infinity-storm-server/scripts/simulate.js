@@ -0,0 +1,172 @@
+#!/usr/bin/env node
+
+/**
+ * Monte Carlo simulation of the real GameEngine across worker threads.
+ *
+ * Reports RTP split by base game, random multipliers, scatter pays and free
+ * spins, hit frequency, volatility index, confidence intervals, max-win
+ * frequency and the win-distribution histogram.
+ *
+ * Usage:
+ *   node scripts/simulate.js [--spins=1000000] [--workers=N] [--seed=hex]
+ *                            [--profile=rtp-965 | --model-file=model.json]
+ *                            [--bet=1] [--format=text|json|csv] [--out=file]
+ *
+ *   --spins       Paid rounds to play (free spins are played on top)
+ *   --workers     Worker threads (default: CPU count)
+ *   --seed        Simulation seed; rerunning with the same seed reproduces the report
+ *   --profile     RTP profile whose built-in model is simulated (default: rtp-965)
+ *   --model-file  Simulate a model artifact that has not been staged yet
+ *
+ * Exit codes:
+ *   0 - simulation completed
+ *   1 - error (bad arguments, invalid model, worker failure, ...)
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const envPaths = [
+  path.resolve(__dirname, '..', '.env'),
+  path.resolve(__dirname, '..', '..', '.env')
+];
+
+envPaths.forEach((envPath) => {
+  if (fs.existsSync(envPath)) {
+    require('dotenv').config({ path: envPath, override: false });
+  }
+});
+
+const USAGE = 'Usage: node scripts/simulate.js [--spins=N] [--workers=N] [--seed=hex] ' +
+  '[--profile=id | --model-file=path] [--bet=N] [--format=text|json|csv] [--out=file]';
+
+const options = {};
+process.argv.slice(2).forEach(arg => {
+  const match = arg.match(/^--([a-z-]+)(?:=(.*))?$/);
+  if (match) {
+    options[match[1]] = match[2] === undefined ? true : match[2];
+  }
+});
+
+const { logger } = require('../src/utils/logger');
+
+// Log lines go to stderr; stdout carries only the report
+logger.transports
+  .filter(transport => transport.name === 'console')
+  .forEach((transport) => {
+    const levels = Object.keys(logger.levels);
+    transport.stderrLevels = Object.fromEntries(levels.map(level => [level, true]));
+  });
+
+const { createModel, validateModel } = require('../src/game/mathModel');
+const { DEFAULT_RTP_PROFILE, getProfileModel } = require('../src/game/rtpProfiles');
+const { runSimulation, formatCsv } = require('../src/game/simulation');
+
+function loadModel() {
+  if (options['model-file']) {
+    const artifact = JSON.parse(fs.readFileSync(path.resolve(options['model-file']), 'utf8'));
+    const validation = validateModel(artifact);
+    if (!validation.valid) {
+      throw new Error(`Invalid math model: ${validation.errors.join('; ')}`);
+    }
+    return createModel(artifact);
+  }
+  return getProfileModel(options.profile || DEFAULT_RTP_PROFILE);
+}
+
+function positiveNumber(name, fallback) {
+  if (options[name] === undefined) {
+    return fallback;
+  }
+  const value = Number(options[name]);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new Error(`--${name} must be a positive number`);
+  }
+  return value;
+}
+
+function formatText(report) {
+  const { config, rtp, hitFrequency, volatility, confidenceIntervals, maxWin, freeSpins, performance } = report;
+  const lines = [
+    `Model:        ${config.mathModelId} (${config.rtpProfile || 'no profile'})`,
+    `Rounds:       ${config.rounds} at bet ${config.betAmount}, seed ${config.seed}, ${config.workers} worker(s)`,
+    '',
+    `RTP:          ${rtp.total}% (target ${rtp.target}%)`,
+    `  Base game:          ${rtp.baseGame}%`,
+    `  Random multipliers: ${rtp.randomMultipliers}%`,
+    `  Scatter pays:       ${rtp.scatterPays}%`,
+    `  Free spins:         ${rtp.freeSpins}%`,
+    ...Object.entries(confidenceIntervals)
+      .map(([level, interval]) => `  ${level}% CI:             ${interval.low}% - ${interval.high}%`),
+    '',
+    `Hit frequency: base spin ${hitFrequency.baseSpin}%, round ${hitFrequency.round}%`,
+    `Free spins:    triggered ${hitFrequency.freeSpinsTrigger}% (1 in ${hitFrequency.freeSpinsTriggerOneIn ?? '-'}), ` +
+      `${freeSpins.averageSpinsPerTrigger} spins and ${freeSpins.averageWinPerTrigger}x per trigger`,
+    `Volatility:    index ${volatility.volatilityIndex} (${volatility.volatilityIndexConfidence}%), sd ${volatility.standardDeviation}x`,
+    `Max win:       ${maxWin.multiplier}x hit ${maxWin.hits} time(s) (1 in ${maxWin.oneIn ?? '-'}), ` +
+      `largest ${maxWin.largestRoundWin}x`,
+    '',
+    'Win distribution (bucket, rounds, share, RTP contribution):',
+    ...report.histogram.map(bucket =>
+      `  ${bucket.bucket.padEnd(12)} ${String(bucket.count).padStart(10)} ${String(bucket.share).padStart(9)}% ` +
+      `${String(bucket.rtpContribution).padStart(9)}%`),
+    '',
+    `Performance:   ${performance.spins} spins in ${performance.durationMs}ms (${performance.spinsPerSecond} spins/s)`
+  ];
+  return `${lines.join('\n')}\n`;
+}
+
+async function main() {
+  const format = options.format || 'text';
+  if (!['text', 'json', 'csv'].includes(format)) {
+    throw new Error(`Unknown --format ${format}`);
+  }
+
+  const model = loadModel();
+  const rounds = Math.floor(positiveNumber('spins', positiveNumber('rounds', 1000000)));
+  let lastReported = 0;
+
+  const report = await runSimulation({
+    rounds,
+    model,
+    seed: typeof options.seed === 'string' ? options.seed : undefined,
+    betAmount: positiveNumber('bet', 1),
+    workers: Math.floor(positiveNumber('workers', require('os').cpus().length)),
+    onProgress: (done, total) => {
+      const percent = Math.floor((done / total) * 100);
+      if (percent >= lastReported + 10 || done === total) {
+        lastReported = percent;
+        logger.info(`[simulate] ${done}/${total} rounds (${percent}%)`);
+      }
+    }
+  });
+
+  let output;
+  if (format === 'json') {
+    output = `${JSON.stringify(report, null, 2)}\n`;
+  } else if (format === 'csv') {
+    output = formatCsv(report);
+  } else {
+    output = formatText(report);
+  }
+
+  if (typeof options.out === 'string') {
+    fs.writeFileSync(path.resolve(options.out), output);
+    logger.info(`[simulate] Report written to ${options.out}`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+if (options.help) {
+  console.log(USAGE);
+  process.exit(0);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    logger.error(`[simulate] ${error.message}`);
+    console.error(USAGE);
+    process.exit(1);
+  });
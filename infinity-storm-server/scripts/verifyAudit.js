@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+/**
+ * Verify the audit log hash chains, across every rotated file.
+ *
+ * Usage:
+ *   node scripts/verifyAudit.js [logDir] [--log audit.log] [--json]
+ *
+ * Reports, per log, the first broken link or tampered record. Encrypted entries
+ * are decrypted and their integrity hashes checked when their key is in
+ * AUDIT_ENCRYPTION_KEYS; without it only the chain itself is verified.
+ *
+ * Exit codes:
+ *   0 - every chain verified (warnings may be printed)
+ *   1 - error (log directory missing, bad key list, ...)
+ *   2 - a chain is broken or a record was tampered with
+ *
+ * Environment variables:
+ *   AUDIT_LOG_DIR (infinity-storm-server/logs)
+ *   AUDIT_ENCRYPTION_KEYS ("id:key,id:key" with 32-byte keys in hex or base64)
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+const envPaths = [
+  path.resolve(__dirname, '..', '.env'),
+  path.resolve(__dirname, '..', '..', '.env')
+];
+
+envPaths.forEach((envPath) => {
+  if (fs.existsSync(envPath)) {
+    require('dotenv').config({ path: envPath, override: false });
+  }
+});
+
+const { parseKeyring, verifyLogDir } = require('../src/game/auditChain');
+
+const args = process.argv.slice(2);
+const jsonOutput = args.includes('--json');
+const logIndex = args.indexOf('--log');
+const logs = logIndex === -1 ? undefined : [args[logIndex + 1]];
+const logDir = args.find((arg, index) => !arg.startsWith('--') && args[index - 1] !== '--log') ||
+  process.env.AUDIT_LOG_DIR ||
+  path.resolve(__dirname, '..', 'logs');
+
+function printSummary(result) {
+  const status = result.ok ? 'ok' : 'BROKEN';
+  console.log(`${result.log}: ${status} - ${result.records} records in ${result.files.length} file(s)`);
+  if (result.files.length > 0) {
+    console.log(`  files:  ${result.files.join(' -> ')}`);
+  }
+  if (result.anchor) {
+    console.log(`  anchor: ${result.anchor}`);
+  }
+  if (result.head) {
+    console.log(`  head:   ${result.head}`);
+  }
+  if (result.broken) {
+    const { file, line, seq, reason } = result.broken;
+    console.log(`  first break: ${file} line ${line}${seq === null ? '' : ` (seq ${seq})`}: ${reason}`);
+  }
+  result.warnings.forEach(warning => console.log(`  warning: ${warning}`));
+}
+
+async function main() {
+  if (logIndex !== -1 && !logs[0]) {
+    console.error('Usage: node scripts/verifyAudit.js [logDir] [--log audit.log] [--json]');
+    process.exit(1);
+  }
+  if (!fs.existsSync(logDir)) {
+    throw new Error(`Log directory not found: ${logDir}`);
+  }
+
+  const keys = parseKeyring(process.env.AUDIT_ENCRYPTION_KEYS);
+  const results = await verifyLogDir(logDir, { keys, logs });
+
+  if (jsonOutput) {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    results.forEach(printSummary);
+  }
+
+  process.exit(results.every(result => result.ok) ? 0 : 2);
+}
+
+main().catch((error) => {
+  console.error('[verify-audit] Error:', error.message);
+  process.exit(1);
+});
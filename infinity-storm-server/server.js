@@ -44,12 +44,26 @@ const GameSession = require('./src/models/GameSession');
 const authRoutes = require('./src/routes/auth');
 const apiRoutes = require('./src/routes/api');
 const portalRoutes = require('./src/routes/portal');
+const mockOperatorRoutes = require('./src/routes/mockOperator');
 const walletRoutes = require('./src/routes/wallet');
+const fairnessRoutes = require('./src/routes/fairness');
+const responsibleGamblingRoutes = require('./src/routes/responsibleGambling');
+const autoplayRoutes = require('./src/routes/autoplay');
+const accessibilityRoutes = require('./src/routes/accessibility');
+const metricsRoutes = require('./src/routes/metrics');
 const adminRoutes = require('./src/routes/admin');
 const { authenticate, optionalAuth, authErrorHandler } = require('./src/middleware/auth');
 const { initializeRedis, testConnection, shouldSkipRedis } = require('./src/config/redis');
 const { logger } = require('./src/utils/logger');
 const metricsService = require('./src/services/metricsService');
+const jackpotService = require('./src/services/jackpotService');
+const rtpMonitor = require('./src/services/rtpMonitor');
+const emergencyStopService = require('./src/services/emergencyStopService');
+const featureFlagService = require('./src/services/featureFlagService');
+const spinRoundService = require('./src/services/spinRoundService');
+const metricsRollupService = require('./src/services/metricsRollupService');
+const anomalyScoringService = require('./src/services/anomalyScoringService');
+const serverMetrics = require('./src/services/serverMetrics');
 
 // Security middleware
 const {
@@ -123,6 +137,7 @@ const io = socketIo(server, {
     credentials: true
   }
 });
+serverMetrics.watch({ io, cascadeValidator });
 
 // Security and performance middleware
 app.use(compression());
@@ -130,6 +145,10 @@ app.use(morgan('combined'));
 
 // Middleware
 // Request body parsing with size limits (10KB max)
+// Math model artifacts carry full reel strips, so their admin endpoint gets a larger limit
+app.use('/admin/api/math-models', express.json({ limit: '256kb' }));
+// Mock seamless-wallet operator parses its own body: signatures cover the raw bytes
+app.use('/operator/mock', mockOperatorRoutes);
 app.use(express.json({ limit: '10kb' }));
 app.use(express.urlencoded({ limit: '10kb', extended: true }));
 app.use(validateRequestSize);
@@ -241,6 +260,16 @@ app.use('/api/demo-spin', demoSpinRateLimiter);
 // API routes (with general API rate limiting)
 app.use('/api', apiRateLimiter);
 
+// Provably fair seed commitments and spin verification
+app.use('/api/fairness', fairnessRoutes);
+
+// Player-set limits, reality checks, cool-off and self-exclusion
+app.use('/api/responsible-gambling', responsibleGamblingRoutes);
+app.use('/api/autoplay', autoplayRoutes);
+
+// Per-player accessibility options (reduced motion, symbol markers, announcements)
+app.use('/api/accessibility', accessibilityRoutes);
+
 // Mock portal routes for Supabase transaction testing
 app.use('/portal/mock', portalRoutes);
 
@@ -497,6 +526,13 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'OK', message: 'Infinity Storm Server is running' });
 });
 
+// Game client feature flags as window.GameConfig.featureFlags, loaded by index.html before the
+// player signs in (anonymous evaluation); per-player flags follow over 'subscribe_feature_flags'
+app.get('/feature-flags.js', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.type('application/javascript').send(featureFlagService.getClientScript());
+});
+
 // Portal-First Authentication Endpoints (Fallback without Redis)
 // These endpoints are designed for portal integration
 
@@ -1850,6 +1886,40 @@ io.on('connection', (socket) => {
     socket.leave('system_alerts');
   });
 
+  // Progressive jackpot values (public; players and lobby screens)
+  socket.on('subscribe_jackpots', () => {
+    socket.join('jackpots');
+    jackpotService.getJackpots().then(jackpots => {
+      socket.emit('jackpot_update', { jackpots, timestamp: new Date() });
+    }).catch(error => {
+      console.error('Error sending initial jackpots:', error);
+    });
+  });
+
+  socket.on('unsubscribe_jackpots', () => {
+    socket.leave('jackpots');
+  });
+
+  // Game client feature flags, evaluated for the player whose access token is sent
+  // (or the handshake's); re-sent whenever a client flag changes
+  socket.on('subscribe_feature_flags', async (data) => {
+    try {
+      const token = (data && data.token) || (socket.handshake.auth && socket.handshake.auth.token);
+      socket.data.featureFlagContext = await featureFlagService.contextForToken(token);
+      socket.join('feature_flags');
+      socket.emit('feature_flags_update', {
+        flags: featureFlagService.getClientFlags(socket.data.featureFlagContext),
+        timestamp: new Date()
+      });
+    } catch (error) {
+      console.error('Error sending feature flags:', error);
+    }
+  });
+
+  socket.on('unsubscribe_feature_flags', () => {
+    socket.leave('feature_flags');
+  });
+
   socket.on('test', (data) => {
     console.log('Test message received:', data);
     socket.emit('test_response', { message: 'Test successful', data: data });
@@ -1864,6 +1934,64 @@ io.on('connection', (socket) => {
     socket.leave('admin_metrics');
     socket.leave('rtp_alerts');
     socket.leave('system_alerts');
+    socket.leave('jackpots');
+    socket.leave('feature_flags');
+  });
+});
+
+// Jackpot values are pushed as they grow (throttled by jackpotService); wins are announced
+// without the winner's identity
+jackpotService.on('update', (jackpots) => {
+  io.to('jackpots').emit('jackpot_update', { jackpots, timestamp: new Date() });
+});
+
+jackpotService.on('awarded', (award) => {
+  io.to('jackpots').emit('jackpot_won', {
+    tier: award.tier,
+    amount: award.amount,
+    timestamp: award.paidAt || new Date()
+  });
+});
+
+// RTP drift alerts (control band exits and recoveries) go to dashboards subscribed to RTP alerts
+rtpMonitor.on('alert', (alert) => {
+  io.to('rtp_alerts').emit('rtp_alert', alert);
+});
+
+// Feature flag changes (admin or another process) reach subscribed game clients straight away
+featureFlagService.on('changed', ({ flags }) => {
+  if (!flags.some(flagName => featureFlagService.registry.isClientFlag(flagName))) {
+    return;
+  }
+  io.in('feature_flags').fetchSockets().then(sockets => {
+    sockets.forEach(socket => {
+      socket.emit('feature_flags_update', {
+        flags: featureFlagService.getClientFlags(socket.data.featureFlagContext),
+        timestamp: new Date()
+      });
+    });
+  }).catch(error => {
+    console.error('Error pushing feature flags:', error);
+  });
+});
+
+emergencyStopService.on('activated', (stop) => {
+  io.to('system_alerts').emit('system_alert', {
+    type: 'critical',
+    kind: 'emergency_stop',
+    message: `Emergency stop activated (${stop.source}): ${stop.reason}`,
+    details: stop,
+    timestamp: stop.activatedAt
+  });
+});
+
+emergencyStopService.on('released', (stop) => {
+  io.to('system_alerts').emit('system_alert', {
+    type: 'info',
+    kind: 'emergency_stop_released',
+    message: 'Emergency stop released, play resumed',
+    details: stop,
+    timestamp: stop.releasedAt
   });
 });
 
@@ -1873,6 +2001,49 @@ app.use(authErrorHandler);
 // Background service for real-time metrics broadcasting
 let metricsInterval = null;
 let rtpInterval = null;
+let jackpotSettleInterval = null;
+let spinReconcileInterval = null;
+let metricsRollupInterval = null;
+let anomalyScoringInterval = null;
+let featureFlagRefreshInterval = null;
+
+async function reconcileSpinRounds() {
+  try {
+    const summary = await spinRoundService.reconcile();
+    if (summary.completed + summary.refunded + summary.abandoned + summary.failed > 0) {
+      logger.info('Open spin rounds reconciled', summary);
+    }
+  } catch (error) {
+    console.error('Error reconciling spin rounds:', error);
+  }
+}
+
+async function rollupMetrics() {
+  try {
+    await metricsRollupService.run();
+  } catch (error) {
+    console.error('Error rolling up metrics:', error);
+  }
+}
+
+async function refreshFeatureFlags() {
+  try {
+    await featureFlagService.refresh();
+  } catch (error) {
+    console.error('Error refreshing feature flags:', error);
+  }
+}
+
+async function scoreAnomalies() {
+  try {
+    const summary = await anomalyScoringService.run();
+    if (summary.queued > 0 || summary.failed > 0) {
+      logger.info('Anomaly scoring completed', summary);
+    }
+  } catch (error) {
+    console.error('Error scoring player anomalies:', error);
+  }
+}
 
 function startMetricsBroadcasting() {
   // Broadcast metrics updates every 30 seconds to subscribed admin clients
@@ -1921,6 +2092,30 @@ function startMetricsBroadcasting() {
     }
   }, 5 * 60 * 1000); // 5 minutes
 
+  // Credit jackpot awards whose settlement failed after their spin committed
+  jackpotSettleInterval = setInterval(async () => {
+    try {
+      const { settled, failed } = await jackpotService.settlePendingAwards();
+      if (settled > 0 || failed > 0) {
+        logger.info('Pending jackpot awards processed', { settled, failed });
+      }
+    } catch (error) {
+      console.error('Error settling pending jackpot awards:', error);
+    }
+  }, 60 * 1000); // 1 minute
+
+  // Complete or refund spins interrupted between their bet and their win
+  spinReconcileInterval = setInterval(reconcileSpinRounds, parseInt(process.env.SPIN_RECONCILE_INTERVAL_MS) || 60 * 1000);
+
+  // Per-minute and per-hour dashboard rollups
+  metricsRollupInterval = setInterval(rollupMetrics, parseInt(process.env.METRICS_ROLLUP_INTERVAL_MS) || 60 * 1000);
+
+  // Behavioral risk scores and the admin review queue
+  anomalyScoringInterval = setInterval(scoreAnomalies, parseInt(process.env.ANOMALY_SCORING_INTERVAL_MS) || 15 * 60 * 1000);
+
+  // Feature flag changes made by other server processes
+  featureFlagRefreshInterval = setInterval(refreshFeatureFlags, featureFlagService.REFRESH_INTERVAL_MS);
+
   console.log('? Real-time metrics broadcasting started');
 }
 
@@ -2169,6 +2364,9 @@ app.get('/health', async (req, res) => {
 // Simple healthcheck for load balancers
 app.get('/healthz', (_req, res) => res.status(200).json({ ok: true }));
 
+// Prometheus scrape endpoint (bearer METRICS_TOKEN)
+app.use('/metrics', metricsRoutes);
+
 function stopMetricsBroadcasting() {
   if (metricsInterval) {
     clearInterval(metricsInterval);
@@ -2178,6 +2376,28 @@ function stopMetricsBroadcasting() {
     clearInterval(rtpInterval);
     rtpInterval = null;
   }
+  if (jackpotSettleInterval) {
+    clearInterval(jackpotSettleInterval);
+    jackpotSettleInterval = null;
+  }
+  jackpotService.stopUpdates();
+  metricsService.stopMetricsCollection();
+  if (spinReconcileInterval) {
+    clearInterval(spinReconcileInterval);
+    spinReconcileInterval = null;
+  }
+  if (metricsRollupInterval) {
+    clearInterval(metricsRollupInterval);
+    metricsRollupInterval = null;
+  }
+  if (anomalyScoringInterval) {
+    clearInterval(anomalyScoringInterval);
+    anomalyScoringInterval = null;
+  }
+  if (featureFlagRefreshInterval) {
+    clearInterval(featureFlagRefreshInterval);
+    featureFlagRefreshInterval = null;
+  }
   console.log('? Real-time metrics broadcasting stopped');
 }
 
@@ -2211,6 +2431,15 @@ if (!isTestEnv) {
 
     // Start real-time metrics broadcasting
     startMetricsBroadcasting();
+
+    // Spins left open by a previous process are reconciled straight away
+    reconcileSpinRounds();
+
+    // Catch the rollups up on whatever was played while the server was down
+    rollupMetrics();
+
+    // Admin flag changes stored before this process started
+    refreshFeatureFlags();
   });
 }
 
@@ -9,6 +9,8 @@ const JWTAuth = require('./jwt');
 const Session = require('../models/Session');
 const Player = require('../models/Player');
 const { getRedisClient } = require('../config/redis');
+const { DEFAULT_RTP_PROFILE, resolveRtpProfile } = require('../game/rtpProfiles');
+const { resolveCurrency } = require('../config/currencies');
 
 class SessionManager {
   constructor() {
@@ -17,6 +19,10 @@ class SessionManager {
 
   /**
      * Create new authenticated session
+     * The session is bound to an RTP profile: the player's own profile, else the
+     * profile configured for sessionData.operator_id, else the server default.
+     * It also records the currency of the player's wallet for bet ladder checks.
+     * Self-excluded players get no session (code SELF_EXCLUDED).
      * @param {string} playerId - Player ID
      * @param {string|Object} accessTokenOrOptions - JWT access token or options for new token
      * @param {Object} sessionData - Additional session data
@@ -64,15 +70,32 @@ class SessionManager {
         throw new Error('Player account is not active');
       }
 
+      if (player.isSelfExcluded()) {
+        const error = new Error('Your account is self-excluded');
+        error.code = 'SELF_EXCLUDED';
+        throw error;
+      }
+
       // For admin sessions, verify admin privileges
       if (options.isAdminSession && !player.isAdmin()) {
         throw new Error('Player does not have admin privileges');
       }
 
+      const rtpProfile = resolveRtpProfile({
+        playerProfile: player.rtp_profile,
+        operatorId: sessionData.operator_id || sessionData.operatorId || null
+      });
+      const currency = resolveCurrency(player.currency);
+      // Start of the session for the responsible gambling session-time limit
+      const startedAt = new Date();
+
       // 3. Store session in Redis (fast access)
       await this.jwtAuth.storeSession(playerId, accessToken, {
         ip_address: sessionData.ip_address,
         user_agent: sessionData.user_agent,
+        rtp_profile: rtpProfile,
+        currency,
+        created_at: startedAt.toISOString(),
         player: player.getSafeData()
       });
 
@@ -93,7 +116,9 @@ class SessionManager {
           token: accessToken,
           ip_address: sessionData.ipAddress || sessionData.ip_address,
           user_agent: sessionData.userAgent || sessionData.user_agent,
-          expiryMinutes: Math.floor(sessionDuration / (60 * 1000))
+          expiryMinutes: Math.floor(sessionDuration / (60 * 1000)),
+          rtp_profile: rtpProfile,
+          currency
         });
       } catch (dbErr) {
         const msg = String(dbErr?.message || '').toLowerCase();
@@ -110,7 +135,9 @@ class SessionManager {
             token: accessToken,
             ip_address: sessionData.ipAddress || sessionData.ip_address,
             user_agent: sessionData.userAgent || sessionData.user_agent,
-            expiryMinutes: Math.floor(sessionDuration / (60 * 1000))
+            expiryMinutes: Math.floor(sessionDuration / (60 * 1000)),
+            rtp_profile: rtpProfile,
+            currency
           });
         } else {
           throw dbErr;
@@ -130,7 +157,9 @@ class SessionManager {
           created_at: dbSession.created_at,
           is_admin_session: options.isAdminSession || false,
           ip_address: sessionData.ipAddress || sessionData.ip_address,
-          last_activity_at: dbSession.created_at
+          last_activity_at: dbSession.created_at,
+          rtp_profile: rtpProfile,
+          currency
         },
         player: player.getSafeData(),
         message: 'Session created successfully'
@@ -139,7 +168,8 @@ class SessionManager {
     } catch (error) {
       return {
         success: false,
-        error: error.message
+        error: error.message,
+        code: error.code || null
       };
     }
   }
@@ -182,6 +212,9 @@ class SessionManager {
           await this.jwtAuth.storeSession(decoded.player_id, accessToken, {
             ip_address: dbSession.ip_address,
             user_agent: dbSession.user_agent,
+            rtp_profile: dbSession.rtp_profile,
+            currency: dbSession.currency,
+            created_at: dbSession.created_at,
             player: dbSession.player?.getSafeData?.() || undefined
           });
           console.log('[VALIDATE/sessionManager] redis rehydrated');
@@ -220,13 +253,19 @@ class SessionManager {
           player_id: decoded.player_id,
           last_activity: new Date(),
           expires_at: dbSession.expires_at,
-          needs_refresh: dbSession.needsRefresh()
+          needs_refresh: dbSession.needsRefresh(),
+          rtp_profile: dbSession.rtp_profile || DEFAULT_RTP_PROFILE,
+          currency: resolveCurrency(dbSession.currency, playerData.currency),
+          started_at: dbSession.created_at
         } : {
           id: 'redis_only_' + decoded.player_id.substring(0, 8),
           player_id: decoded.player_id,
           last_activity: new Date(),
           expires_at: new Date(Date.now() + 30 * 60 * 1000),
-          needs_refresh: false
+          needs_refresh: false,
+          rtp_profile: redisSession?.rtp_profile || DEFAULT_RTP_PROFILE,
+          currency: resolveCurrency(redisSession?.currency, playerData.currency),
+          started_at: redisSession?.created_at ? new Date(redisSession.created_at) : null
         }
       };
 
@@ -0,0 +1,201 @@
+/**
+ * TOTP - Time-Based One-Time Passwords (RFC 6238)
+ *
+ * HMAC-SHA1, 6 digits, 30 second steps: the defaults every authenticator app
+ * understands. Built on Node crypto only, so enrollment and verification work
+ * without network access.
+ *
+ * Secrets are 20 random bytes, shown to the admin in base32 and inside an
+ * otpauth:// provisioning URI (the text of the enrollment QR code).
+ */
+
+const crypto = require('crypto');
+const { URLSearchParams } = require('url');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const SECRET_BYTES = 20;
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+// Accept the previous and next step as well, for clock drift
+const DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Base32 (RFC 4648) without padding
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * Decode base32, ignoring case, spaces and padding
+ * @param {string} text
+ * @returns {Buffer}
+ * @throws {Error} On characters outside the base32 alphabet
+ */
+function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * New random secret
+ * @returns {string} Base32 secret
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+/**
+ * Time step of a moment
+ * @param {number} [time=Date.now()] - Milliseconds since the epoch
+ * @returns {number}
+ */
+function counterAt(time = Date.now()) {
+  return Math.floor(time / 1000 / STEP_SECONDS);
+}
+
+/**
+ * HOTP code for a counter (RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter
+ * @returns {string} Zero-padded code
+ */
+function generateHotp(secret, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * TOTP code at a moment
+ * @param {string} secret - Base32 secret
+ * @param {number} [time=Date.now()]
+ * @returns {string}
+ */
+function generateCode(secret, time = Date.now()) {
+  return generateHotp(secret, counterAt(time));
+}
+
+/**
+ * Check a code against the current step and its neighbours
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the admin
+ * @param {Object} [options]
+ * @param {number} [options.time=Date.now()]
+ * @param {number|null} [options.lastCounter] - Last step already used; it and earlier steps are refused (replay)
+ * @returns {number|null} Matching step, or null
+ */
+function verifyCode(secret, code, { time = Date.now(), lastCounter = null } = {}) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const current = counterAt(time);
+  for (let counter = current - DRIFT_STEPS; counter <= current + DRIFT_STEPS; counter++) {
+    if (lastCounter !== null && counter <= lastCounter) {
+      continue;
+    }
+    const expected = generateHotp(secret, counter);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return counter;
+    }
+  }
+  return null;
+}
+
+/**
+ * otpauth:// URI for authenticator apps
+ * @param {Object} params
+ * @param {string} params.secret - Base32 secret
+ * @param {string} params.accountName - Shown under the issuer in the app
+ * @param {string} params.issuer
+ * @returns {string}
+ */
+function provisioningUri({ secret, accountName, issuer }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const query = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${query.toString()}`;
+}
+
+/**
+ * One-time recovery codes, formatted xxxx-xxxx
+ * @param {number} [count=RECOVERY_CODE_COUNT]
+ * @returns {string[]}
+ */
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  return Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(4).toString('hex');
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+  });
+}
+
+/**
+ * Hash a recovery code for storage; case, spaces and dashes do not matter
+ * @param {string} code
+ * @returns {string} SHA-256 hex digest
+ */
+function hashRecoveryCode(code) {
+  const normalized = String(code || '').toLowerCase().replace(/[\s-]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+}
+
+module.exports = {
+  DIGITS,
+  STEP_SECONDS,
+  RECOVERY_CODE_COUNT,
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  counterAt,
+  generateHotp,
+  generateCode,
+  verifyCode,
+  provisioningUri,
+  generateRecoveryCodes,
+  hashRecoveryCode
+};
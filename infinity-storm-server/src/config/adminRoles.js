@@ -0,0 +1,103 @@
+/**
+ * Admin Roles and Permissions
+ *
+ * Every admin account (admins.role) and every player with is_admin
+ * (players.admin_role, used by the /api/wallet/admin endpoints) has exactly one
+ * role. Routes ask for a permission rather than a role, so a role can be
+ * widened or narrowed here without touching the routes.
+ *
+ * - viewer: read-only access to players, cases and metrics
+ * - support: viewer plus suspending, reactivating and notifying players and
+ *   credit adjustments (large ones wait for approval, see creditApprovalService)
+ * - finance: viewer plus credit adjustments and their approval, jackpots, exports and reports
+ * - risk: viewer plus case work and resolution, bans, RTP profiles and exports
+ * - superadmin: everything, including feature flags, math models and admin accounts
+ *
+ * An unknown or missing role has no permissions.
+ */
+
+const ADMIN_ROLES = ['viewer', 'support', 'finance', 'risk', 'superadmin'];
+
+const PERMISSIONS = {
+  'players.view': 'View players, their transactions and game history',
+  'players.manage': 'Suspend, reactivate and notify players',
+  'players.ban': 'Ban players',
+  'players.export': 'Export player transactions and game history',
+  'players.rtp_profile': 'Assign RTP profiles to players',
+  'credits.adjust': 'Adjust player balances',
+  'credits.approve': 'Approve or reject credit adjustments above the approval threshold',
+  'spins.replay': 'Replay stored spins',
+  'cases.view': 'View review cases and risk scores',
+  'cases.work': 'Assign review cases, add notes and rescore players',
+  'cases.resolve': 'Resolve review cases',
+  'jackpots.view': 'View jackpot tiers and awards',
+  'jackpots.manage': 'Change jackpot tiers and settle awards',
+  'math_models.view': 'View math models',
+  'math_models.manage': 'Stage, activate and roll back math models',
+  'metrics.view': 'View dashboard and RTP metrics',
+  'reports.compliance': 'Generate compliance reports',
+  'audit.view': 'View the admin audit log',
+  'feature_flags.view': 'View feature flags',
+  'feature_flags.manage': 'Toggle feature flags',
+  'admins.manage': 'Create admin accounts and change roles'
+};
+
+const VIEWER_PERMISSIONS = ['players.view', 'cases.view', 'jackpots.view', 'metrics.view'];
+
+const ROLE_PERMISSIONS = {
+  viewer: VIEWER_PERMISSIONS,
+  support: [
+    ...VIEWER_PERMISSIONS,
+    'players.manage', 'spins.replay', 'cases.work', 'credits.adjust'
+  ],
+  finance: [
+    ...VIEWER_PERMISSIONS,
+    'credits.adjust', 'credits.approve', 'players.export', 'jackpots.manage', 'reports.compliance', 'audit.view'
+  ],
+  risk: [
+    ...VIEWER_PERMISSIONS,
+    'players.manage', 'players.ban', 'players.export', 'players.rtp_profile', 'spins.replay',
+    'cases.work', 'cases.resolve', 'math_models.view', 'feature_flags.view',
+    'reports.compliance', 'audit.view'
+  ],
+  superadmin: Object.keys(PERMISSIONS)
+};
+
+const ROLE_LABELS = {
+  viewer: 'Viewer',
+  support: 'Support',
+  finance: 'Finance',
+  risk: 'Risk',
+  superadmin: 'Super Admin'
+};
+
+/**
+ * Whether a role is one of ADMIN_ROLES
+ * @param {string} role
+ * @returns {boolean}
+ */
+const isAdminRole = (role) => ADMIN_ROLES.includes(role);
+
+/**
+ * Permissions granted to a role
+ * @param {string} role
+ * @returns {string[]} Empty for unknown roles
+ */
+const getRolePermissions = (role) => (isAdminRole(role) ? [...ROLE_PERMISSIONS[role]] : []);
+
+/**
+ * Whether a role grants a permission
+ * @param {string} role
+ * @param {string} permission - Key of PERMISSIONS
+ * @returns {boolean}
+ */
+const hasPermission = (role, permission) => isAdminRole(role) && ROLE_PERMISSIONS[role].includes(permission);
+
+module.exports = {
+  ADMIN_ROLES,
+  PERMISSIONS,
+  ROLE_LABELS,
+  isAdminRole,
+  getRolePermissions,
+  hasPermission
+};
@@ -0,0 +1,98 @@
+/**
+ * Autoplay Rules per Jurisdiction
+ *
+ * What an autoplay session may look like where the server is licensed.
+ * AUTOPLAY_JURISDICTION picks the rules (default: 'default'):
+ *   - default:   up to 1000 spins or until stopped, stop conditions optional
+ *   - regulated: up to 100 spins and a loss limit is required (markets that
+ *                require loss-limit autoplay stops)
+ *   - gb, de:    autoplay is not offered (UKGC RTS 8 and GlueStV 2021 ban
+ *                autoplay for slots)
+ *
+ * Stop conditions a player can set (amounts in the session currency):
+ *   lossLimit            - stop before net loss would exceed this amount
+ *   singleWinLimit       - stop after a single spin wins at least this amount
+ *   balanceIncreaseLimit - stop once the net result is up by at least this amount
+ *   stopOnFeature        - stop when free spins are triggered
+ *
+ * Amount limits are also capped at MAX_LIMIT_BETS times the session bet.
+ */
+
+const { logger } = require('../utils/logger');
+
+const JURISDICTIONS = {
+  default: {
+    enabled: true,
+    maxSpins: 1000,
+    allowUnlimited: true,
+    requireLossLimit: false
+  },
+  regulated: {
+    enabled: true,
+    maxSpins: 100,
+    allowUnlimited: false,
+    requireLossLimit: true
+  },
+  gb: {
+    enabled: false,
+    maxSpins: 0,
+    allowUnlimited: false,
+    requireLossLimit: true
+  },
+  de: {
+    enabled: false,
+    maxSpins: 0,
+    allowUnlimited: false,
+    requireLossLimit: true
+  }
+};
+
+const DEFAULT_JURISDICTION = 'default';
+const MAX_LIMIT_BETS = 10000;
+
+const STOP_REASONS = [
+  'spin_limit',
+  'loss_limit',
+  'single_win',
+  'balance_increase',
+  'feature_triggered',
+  'player_stopped',
+  'replaced'
+];
+
+/**
+ * Jurisdiction in force, from AUTOPLAY_JURISDICTION
+ * @param {string} [value]
+ * @returns {string}
+ */
+function getJurisdiction(value = process.env.AUTOPLAY_JURISDICTION) {
+  const code = String(value || DEFAULT_JURISDICTION).trim().toLowerCase();
+  if (!JURISDICTIONS[code]) {
+    logger.warn('Unknown AUTOPLAY_JURISDICTION, using the default rules', { jurisdiction: value });
+    return DEFAULT_JURISDICTION;
+  }
+  return code;
+}
+
+/**
+ * Autoplay rules of a jurisdiction
+ * @param {string} [jurisdiction] - Defaults to getJurisdiction()
+ * @returns {Object} { jurisdiction, enabled, maxSpins, allowUnlimited, requireLossLimit, maxLimitBets }
+ */
+function getAutoplayRules(jurisdiction = getJurisdiction()) {
+  const code = JURISDICTIONS[jurisdiction] ? jurisdiction : DEFAULT_JURISDICTION;
+  return {
+    jurisdiction: code,
+    ...JURISDICTIONS[code],
+    maxLimitBets: MAX_LIMIT_BETS
+  };
+}
+
+module.exports = {
+  JURISDICTIONS,
+  DEFAULT_JURISDICTION,
+  MAX_LIMIT_BETS,
+  STOP_REASONS,
+  getJurisdiction,
+  getAutoplayRules
+};
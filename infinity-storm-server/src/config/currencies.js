@@ -0,0 +1,171 @@
+/**
+ * Currencies and Bet Ladders
+ *
+ * A player's wallet holds one currency (players.currency); sessions and
+ * transactions record the currency they were played in. Each currency has its
+ * own bet ladder: min/max bet, the bet step and the levels offered by the client
+ * (mirrored in the client's GameConfig.CURRENCIES, apart from USD).
+ *
+ * Amounts are handled as integers of the currency's minor unit (cents, centavos,
+ * yen) whenever money moves. USD keeps the limits each side always had: the
+ * server accepts any whole-cent bet from 0.01 to 1000 (a 0.01 step), while the
+ * client offers 0.40 to 2000 in 0.20 steps. The other currencies step in
+ * multiples of 20 minor units, so (bet / 20) x symbol payout is a whole number
+ * of minor units.
+ *
+ * CURRENCY_DEFAULT picks the currency of players created without one.
+ */
+
+// USD ladder the other currencies are scaled from
+const BASE_BET_LEVELS = [
+  0.4, 0.8, 1, 1.2, 1.6, 2, 2.4, 2.8, 3, 3.2, 3.6, 4, 10, 12, 14, 16, 18, 20, 24, 28, 32, 36, 40,
+  48, 56, 60, 64, 72, 80, 100, 120, 140, 200, 240, 280, 300, 320, 360, 400, 420, 480, 500, 540,
+  560, 600, 640, 700, 720, 800, 840, 900, 960, 980, 1000, 1080, 1120, 1200, 1260, 1280, 1400,
+  1440, 1600, 1800, 2000
+];
+
+const CURRENCY_DEFINITIONS = {
+  USD: {
+    minorUnits: 2, locale: 'en-US', scale: 1,
+    minBet: 0.01, maxBet: 1000, betStep: 0.01,
+    defaultBet: 1, maxBetDemo: 10
+  },
+  EUR: {
+    minorUnits: 2, locale: 'de-DE', scale: 1,
+    minBet: 0.4, maxBet: 1000, betStep: 0.2,
+    defaultBet: 1, maxBetDemo: 10
+  },
+  BRL: {
+    minorUnits: 2, locale: 'pt-BR', scale: 5,
+    minBet: 2, maxBet: 5000, betStep: 1,
+    defaultBet: 5, maxBetDemo: 50
+  },
+  JPY: {
+    minorUnits: 0, locale: 'ja-JP', scale: 100,
+    minBet: 40, maxBet: 100000, betStep: 20,
+    defaultBet: 100, maxBetDemo: 1000
+  }
+};
+
+const CURRENCY_CODES = Object.keys(CURRENCY_DEFINITIONS);
+const FALLBACK_CURRENCY = 'USD';
+
+function isSupportedCurrency(code) {
+  return typeof code === 'string' &&
+    Object.prototype.hasOwnProperty.call(CURRENCY_DEFINITIONS, code);
+}
+
+/**
+ * Currency for players created without one (CURRENCY_DEFAULT, else USD)
+ * @returns {string} Currency code
+ */
+function getDefaultCurrency() {
+  const configured = (process.env.CURRENCY_DEFAULT || '').trim().toUpperCase();
+  return isSupportedCurrency(configured) ? configured : FALLBACK_CURRENCY;
+}
+
+/**
+ * First supported currency among the candidates (session, then player), else the default
+ * @param {...string} candidates - Currency codes in order of preference
+ * @returns {string} Currency code
+ */
+function resolveCurrency(...candidates) {
+  const match = candidates
+    .map(code => (typeof code === 'string' ? code.trim().toUpperCase() : code))
+    .find(isSupportedCurrency);
+  return match || getDefaultCurrency();
+}
+
+function getCurrencyConfig(code) {
+  const currency = resolveCurrency(code);
+  return { code: currency, ...CURRENCY_DEFINITIONS[currency] };
+}
+
+/**
+ * Convert an amount to an integer of minor units, rounding half away from zero
+ * @param {number|string} amount - Amount in major units
+ * @param {string} currency - Currency code
+ * @returns {number} Minor units
+ */
+function toMinorUnits(amount, currency) {
+  const factor = 10 ** getCurrencyConfig(currency).minorUnits;
+  const value = parseFloat(amount);
+  if (!Number.isFinite(value)) {
+    throw new Error(`Invalid amount: ${amount}`);
+  }
+  // toFixed first so 1.005 * 100 = 100.49999... does not round down
+  return Math.sign(value) * Math.round(Number((Math.abs(value) * factor).toFixed(6)));
+}
+
+function fromMinorUnits(minor, currency) {
+  return minor / 10 ** getCurrencyConfig(currency).minorUnits;
+}
+
+function roundToCurrency(amount, currency) {
+  return fromMinorUnits(toMinorUnits(amount, currency), currency);
+}
+
+/**
+ * Bet ladder of a currency, as served to the client
+ * @param {string} code - Currency code
+ * @returns {Object} Currency, minor units, locale, limits, step, default bet and levels
+ */
+function getBetLadder(code) {
+  const {
+    code: currency, minorUnits, locale, scale, minBet, maxBet, betStep, defaultBet, maxBetDemo
+  } = getCurrencyConfig(code);
+  const levels = BASE_BET_LEVELS
+    .map(level => roundToCurrency(level * scale, currency))
+    .filter(level => level >= minBet && level <= maxBet);
+
+  return {
+    currency, minorUnits, locale, minBet, maxBet, betStep, defaultBet, maxBetDemo, levels
+  };
+}
+
+/**
+ * Check a bet against the currency's ladder
+ * @param {number|string} amount - Bet in major units
+ * @param {string} code - Currency code
+ * @param {Object} options - { isDemo }
+ * @returns {Object} { valid, error, limits }
+ */
+function validateBetAmount(amount, code, { isDemo = false } = {}) {
+  const ladder = getBetLadder(code);
+  const maxBet = isDemo ? ladder.maxBetDemo : ladder.maxBet;
+  const { currency, minBet, betStep } = ladder;
+  const limits = { currency, minBet, maxBet, betStep };
+  const invalid = (error) => ({ valid: false, error, limits });
+  const value = parseFloat(amount);
+
+  if (!Number.isFinite(value) || value <= 0) {
+    return invalid('Bet amount must be a positive number');
+  }
+  if (value < minBet) {
+    return invalid(`Bet amount is below the ${currency} minimum of ${minBet}`);
+  }
+  if (value > maxBet) {
+    return invalid(`Bet amount exceeds the ${isDemo ? 'demo' : currency} limit of ${maxBet}`);
+  }
+
+  // Whole minor units only, on the step
+  const minor = toMinorUnits(value, currency);
+  if (fromMinorUnits(minor, currency) !== value || minor % toMinorUnits(betStep, currency) !== 0) {
+    return invalid(`Bet amount must be a multiple of ${betStep} ${currency}`);
+  }
+
+  return { valid: true, error: null, limits };
+}
+
+module.exports = {
+  CURRENCY_CODES,
+  isSupportedCurrency,
+  getDefaultCurrency,
+  resolveCurrency,
+  getCurrencyConfig,
+  getBetLadder,
+  toMinorUnits,
+  fromMinorUnits,
+  roundToCurrency,
+  validateBetAmount
+};
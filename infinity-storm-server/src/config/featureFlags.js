@@ -2,50 +2,150 @@
  * Server-Side Feature Flags
  *
  * Centralized feature flag management for controlled rollout and A/B testing.
- * Flags can be toggled via environment variables or runtime API calls.
+ * Every flag has a rule: on/off, a rollout percentage, and optional player
+ * segment and environment targeting. Defaults come from the definitions below
+ * and FEATURE_<NAME> environment variables. Admin changes are stored in the
+ * feature_flags table by services/featureFlagService.js, which loads them into
+ * this registry at startup and keeps every process in step.
+ *
+ * Flags with a `client` path are also sent to the game client
+ * (window.GameConfig.featureFlags and the feature_flags_update socket event),
+ * already evaluated for the player; the client does no rollout math of its own.
  *
  * Usage:
  *   const { featureFlags } = require('./config/featureFlags');
  *   if (featureFlags.isEnabled('SERVER_CASCADE_PREEXPANSION')) {
  *     // use droppingSymbols
  *   }
+ *   if (featureFlags.isEnabled('BONUS_BUY_FEATURE', { playerId, segments })) {
+ *     // offer the feature to this player
+ *   }
+ */
+
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+const { CURRENCY_CODES } = require('./currencies');
+
+const FLAG_DEFINITIONS = {
+  // Client-Server Sync Features
+  SERVER_CASCADE_PREEXPANSION: { default: true },
+  PAYLOAD_SIZE_MONITORING: { default: true },
+  SUPABASE_SPIN_RECORDING: { default: true },
+
+  // Performance & Optimization
+  RESPONSE_COMPRESSION: { default: true },
+  CASCADE_RESULT_CACHING: { default: false },
+
+  // Validation & Security
+  STRICT_RNG_VALIDATION: { default: true },
+  ANTI_CHEAT_ENABLED: { default: true },
+  RATE_LIMIT_STRICT: { default: false },
+
+  // Debug & Monitoring
+  VERBOSE_SPIN_LOGGING: { default: false },
+  ADMIN_METRICS_ENABLED: { default: true },
+  SERVER_DEBUG_ENDPOINTS: { default: false },
+
+  // Game Features
+  FREE_SPINS_ENABLED: { default: true },
+  PROGRESSIVE_MULTIPLIERS: { default: true },
+  BONUS_BUY_FEATURE: { default: false },
+
+  // Database
+  POSTGRES_FALLBACK: { default: true },
+  REDIS_SESSIONS: { default: false },
+
+  // Game client (src/config/FeatureFlags.js)
+  SERVER_SYNC_ENABLED: { default: true, client: 'serverSync.enabled' },
+  SYNC_VALIDATION_MODE: { default: false, client: 'serverSync.validationMode' },
+  FORCE_DEMO_MODE: { default: false, client: 'serverSync.forceDemo' },
+  SPRITE_POOLING_ENABLED: { default: true, client: 'spritePooling.enabled' },
+  ERROR_RECOVERY_ENABLED: { default: true, client: 'errorRecovery.enabled' },
+  OFFLINE_QUEUE_ENABLED: { default: true, client: 'errorRecovery.offlineQueueEnabled' },
+  FPS_MONITORING: { default: false, client: 'performance.fpsMonitoring' },
+  METRICS_ENABLED: { default: true, client: 'performance.metricsEnabled' },
+  EXPERIMENTAL_WEBGL: { default: false, client: 'experimental.webGL' },
+  ADVANCED_SHADERS: { default: false, client: 'experimental.advancedShaders' }
+};
+
+const CATEGORY_FLAGS = {
+  debug: ['VERBOSE_SPIN_LOGGING', 'SERVER_DEBUG_ENDPOINTS'],
+  security: ['STRICT_RNG_VALIDATION', 'ANTI_CHEAT_ENABLED', 'RATE_LIMIT_STRICT'],
+  performance: ['RESPONSE_COMPRESSION', 'CASCADE_RESULT_CACHING'],
+  sync: ['SERVER_CASCADE_PREEXPANSION', 'PAYLOAD_SIZE_MONITORING', 'SUPABASE_SPIN_RECORDING']
+};
+
+// Segments a flag can target; 'currency:<CODE>' targets players with that wallet currency
+const PLAYER_SEGMENTS = ['demo', 'real_money', 'new_player', 'staff'];
+const NEW_PLAYER_DAYS = parseInt(process.env.FEATURE_NEW_PLAYER_DAYS) || 7;
+const ENVIRONMENTS = ['development', 'test', 'staging', 'production'];
+
+const flagError = (name, message, details = null) => {
+  const error = new Error(message);
+  error.name = name;
+  error.details = details;
+  return error;
+};
+
+/**
+ * Whether a segment name can be targeted
+ * @param {string} segment
+ * @returns {boolean}
+ */
+function isValidSegment(segment) {
+  if (PLAYER_SEGMENTS.includes(segment)) {
+    return true;
+  }
+  const match = /^currency:([A-Z]{3})$/.exec(segment);
+  return Boolean(match) && CURRENCY_CODES.includes(match[1]);
+}
+
+/**
+ * Segments a player belongs to
+ * @param {Object} player - players row (is_demo, is_admin, currency, created_at)
+ * @param {Date} [now=new Date()]
+ * @returns {string[]}
  */
+function segmentsFor(player, now = new Date()) {
+  if (!player) {
+    return [];
+  }
+
+  const segments = [player.is_demo ? 'demo' : 'real_money'];
+  if (player.created_at && now - new Date(player.created_at) < NEW_PLAYER_DAYS * 24 * 60 * 60 * 1000) {
+    segments.push('new_player');
+  }
+  if (player.is_admin) {
+    segments.push('staff');
+  }
+  if (player.currency) {
+    segments.push(`currency:${player.currency}`);
+  }
+  return segments;
+}
+
+/**
+ * Rollout bucket 0-99 of a player for a flag. Salting with the flag name keeps
+ * the same players from landing in every partial rollout.
+ * @param {string} flagName
+ * @param {string} playerId
+ * @returns {number}
+ */
+function rolloutBucket(flagName, playerId) {
+  const digest = crypto.createHash('sha256').update(`${flagName}:${playerId}`).digest();
+  return digest.readUInt32BE(0) % 100;
+}
 
 class FeatureFlags {
   constructor() {
-    // Default flag states (can be overridden by environment variables)
-    this.flags = {
-      // Client-Server Sync Features
-      SERVER_CASCADE_PREEXPANSION: this.getEnvFlag('SERVER_CASCADE_PREEXPANSION', true),
-      PAYLOAD_SIZE_MONITORING: this.getEnvFlag('PAYLOAD_SIZE_MONITORING', true),
-      SUPABASE_SPIN_RECORDING: this.getEnvFlag('SUPABASE_SPIN_RECORDING', true),
-
-      // Performance & Optimization
-      RESPONSE_COMPRESSION: this.getEnvFlag('RESPONSE_COMPRESSION', true),
-      CASCADE_RESULT_CACHING: this.getEnvFlag('CASCADE_RESULT_CACHING', false),
-
-      // Validation & Security
-      STRICT_RNG_VALIDATION: this.getEnvFlag('STRICT_RNG_VALIDATION', true),
-      ANTI_CHEAT_ENABLED: this.getEnvFlag('ANTI_CHEAT_ENABLED', true),
-      RATE_LIMIT_STRICT: this.getEnvFlag('RATE_LIMIT_STRICT', false),
-
-      // Debug & Monitoring
-      VERBOSE_SPIN_LOGGING: this.getEnvFlag('VERBOSE_SPIN_LOGGING', false),
-      ADMIN_METRICS_ENABLED: this.getEnvFlag('ADMIN_METRICS_ENABLED', true),
-      SERVER_DEBUG_ENDPOINTS: this.getEnvFlag('SERVER_DEBUG_ENDPOINTS', false),
-
-      // Game Features
-      FREE_SPINS_ENABLED: this.getEnvFlag('FREE_SPINS_ENABLED', true),
-      PROGRESSIVE_MULTIPLIERS: this.getEnvFlag('PROGRESSIVE_MULTIPLIERS', true),
-      BONUS_BUY_FEATURE: this.getEnvFlag('BONUS_BUY_FEATURE', false),
-
-      // Database
-      POSTGRES_FALLBACK: this.getEnvFlag('POSTGRES_FALLBACK', true),
-      REDIS_SESSIONS: this.getEnvFlag('REDIS_SESSIONS', false)
-    };
+    // Environment the rules' environment targeting is matched against
+    this.environment = process.env.FEATURE_FLAG_ENVIRONMENT || process.env.NODE_ENV || 'development';
 
-    // Track flag state changes for audit
-    this.flagHistory = [];
+    // Default rules (can be overridden by environment variables, then by admin changes)
+    this.flags = {};
+    Object.keys(FLAG_DEFINITIONS).forEach(flagName => {
+      this.flags[flagName] = this.getDefaultRule(flagName);
+    });
   }
 
   /**
@@ -75,81 +175,166 @@ class FeatureFlags {
   }
 
   /**
-   * Check if a feature flag is enabled
+   * Rule a flag has when no admin changed it
    * @param {string} flagName
-   * @returns {boolean}
+   * @returns {Object} { enabled, rolloutPercent, segments, environments }
    */
-  isEnabled(flagName) {
-    if (!(flagName in this.flags)) {
-      logger.warn(`FeatureFlag: Unknown flag '${flagName}', returning false`);
-      return false;
-    }
-    return Boolean(this.flags[flagName]);
+  getDefaultRule(flagName) {
+    return {
+      enabled: this.getEnvFlag(flagName, FLAG_DEFINITIONS[flagName].default),
+      rolloutPercent: 100,
+      segments: [],
+      environments: []
+    };
+  }
+
+  /**
+   * @param {string} flagName
+   * @returns {boolean} True for a defined flag
+   */
+  has(flagName) {
+    return Object.prototype.hasOwnProperty.call(this.flags, flagName);
   }
 
   /**
-   * Set a feature flag at runtime (for admin control or A/B testing)
+   * Current rule of a flag
    * @param {string} flagName
-   * @param {boolean} enabled
-   * @param {string} [reason] - Optional reason for audit trail
+   * @returns {Object}
+   * @throws {Error} NotFoundError for an unknown flag
    */
-  setFlag(flagName, enabled, reason = 'Runtime toggle') {
-    if (!(flagName in this.flags)) {
-      throw new Error(`FeatureFlag: Cannot set unknown flag '${flagName}'`);
+  getRule(flagName) {
+    if (!this.has(flagName)) {
+      throw flagError('NotFoundError', `FeatureFlag: Unknown flag '${flagName}'`);
     }
+    const rule = this.flags[flagName];
+    return { ...rule, segments: [...rule.segments], environments: [...rule.environments] };
+  }
 
-    const oldValue = this.flags[flagName];
-    this.flags[flagName] = Boolean(enabled);
+  /**
+   * Merge changes into a flag's rule and check the result
+   * @param {string} flagName
+   * @param {Object} changes - Any of { enabled, rolloutPercent, segments, environments }
+   * @returns {Object} Complete new rule
+   * @throws {Error} NotFoundError or ValidationError
+   */
+  buildRule(flagName, changes = {}) {
+    const rule = this.getRule(flagName);
+    const next = {
+      enabled: changes.enabled !== undefined ? changes.enabled : rule.enabled,
+      rolloutPercent: changes.rolloutPercent !== undefined ? changes.rolloutPercent : rule.rolloutPercent,
+      segments: changes.segments !== undefined ? changes.segments : rule.segments,
+      environments: changes.environments !== undefined ? changes.environments : rule.environments
+    };
 
-    // Audit trail
-    this.flagHistory.push({
-      timestamp: new Date().toISOString(),
-      flag: flagName,
-      oldValue,
-      newValue: this.flags[flagName],
-      reason
-    });
+    if (typeof next.enabled !== 'boolean') {
+      throw flagError('ValidationError', 'enabled must be a boolean');
+    }
+    if (!Number.isInteger(next.rolloutPercent) || next.rolloutPercent < 0 || next.rolloutPercent > 100) {
+      throw flagError('ValidationError', 'rolloutPercent must be an integer from 0 to 100');
+    }
+    if (!Array.isArray(next.segments) || next.segments.some(segment => !isValidSegment(segment))) {
+      throw flagError('ValidationError', `segments must be drawn from ${PLAYER_SEGMENTS.join(', ')} or currency:<CODE>`);
+    }
+    if (!Array.isArray(next.environments) || next.environments.some(env => !ENVIRONMENTS.includes(env))) {
+      throw flagError('ValidationError', `environments must be drawn from ${ENVIRONMENTS.join(', ')}`);
+    }
 
-    logger.info(`FeatureFlag: ${flagName} changed from ${oldValue} to ${this.flags[flagName]} - ${reason}`);
+    next.segments = [...new Set(next.segments)];
+    next.environments = [...new Set(next.environments)];
+    return next;
   }
 
   /**
-   * Get all current flag states
-   * @returns {Object}
+   * Replace a flag's rule in this process (no persistence, see featureFlagService)
+   * @param {string} flagName
+   * @param {Object} rule - Complete rule from buildRule()
    */
-  getAllFlags() {
-    return { ...this.flags };
+  applyRule(flagName, rule) {
+    if (!this.has(flagName)) {
+      throw flagError('NotFoundError', `FeatureFlag: Unknown flag '${flagName}'`);
+    }
+    this.flags[flagName] = {
+      enabled: rule.enabled,
+      rolloutPercent: rule.rolloutPercent,
+      segments: [...rule.segments],
+      environments: [...rule.environments]
+    };
   }
 
   /**
-   * Get flag change history (for admin dashboard)
-   * @returns {Array}
+   * Check if a feature flag is enabled, for a player when a context is given.
+   * Segment targeting and partial rollouts only match identified players.
+   * @param {string} flagName
+   * @param {Object} [context] - { playerId, segments, environment }
+   * @returns {boolean}
    */
-  getHistory() {
-    return [...this.flagHistory];
+  isEnabled(flagName, context = {}) {
+    if (!this.has(flagName)) {
+      logger.warn(`FeatureFlag: Unknown flag '${flagName}', returning false`);
+      return false;
+    }
+
+    const rule = this.flags[flagName];
+    if (!rule.enabled) {
+      return false;
+    }
+
+    const environment = context.environment || this.environment;
+    if (rule.environments.length > 0 && !rule.environments.includes(environment)) {
+      return false;
+    }
+
+    const segments = context.segments || [];
+    if (rule.segments.length > 0 && !rule.segments.some(segment => segments.includes(segment))) {
+      return false;
+    }
+
+    if (rule.rolloutPercent >= 100) {
+      return true;
+    }
+    if (rule.rolloutPercent <= 0 || !context.playerId) {
+      return false;
+    }
+    return rolloutBucket(flagName, context.playerId) < rule.rolloutPercent;
   }
 
   /**
-   * Bulk enable/disable flags by category
-   * @param {string} category - 'debug', 'security', 'performance', etc.
-   * @param {boolean} enabled
+   * @param {string} flagName
+   * @returns {boolean} True when the flag is sent to the game client
    */
-  setCategoryFlags(category, enabled) {
-    const categoryMap = {
-      debug: ['VERBOSE_SPIN_LOGGING', 'SERVER_DEBUG_ENDPOINTS'],
-      security: ['STRICT_RNG_VALIDATION', 'ANTI_CHEAT_ENABLED', 'RATE_LIMIT_STRICT'],
-      performance: ['RESPONSE_COMPRESSION', 'CASCADE_RESULT_CACHING'],
-      sync: ['SERVER_CASCADE_PREEXPANSION', 'PAYLOAD_SIZE_MONITORING', 'SUPABASE_SPIN_RECORDING']
-    };
+  isClientFlag(flagName) {
+    return Boolean(FLAG_DEFINITIONS[flagName] && FLAG_DEFINITIONS[flagName].client);
+  }
 
-    const flagsInCategory = categoryMap[category.toLowerCase()];
-    if (!flagsInCategory) {
-      throw new Error(`FeatureFlag: Unknown category '${category}'`);
-    }
+  /**
+   * Client flags evaluated for a player, nested the way the client reads them
+   * (e.g. { serverSync: { enabled: true, ... }, ... })
+   * @param {Object} [context] - { playerId, segments, environment }
+   * @returns {Object}
+   */
+  getClientFlags(context = {}) {
+    const result = {};
+    Object.entries(FLAG_DEFINITIONS).forEach(([flagName, definition]) => {
+      if (!definition.client) {
+        return;
+      }
+      const [group, key] = definition.client.split('.');
+      result[group] = result[group] || {};
+      result[group][key] = this.isEnabled(flagName, context);
+    });
+    return result;
+  }
 
-    flagsInCategory.forEach(flagName => {
-      this.setFlag(flagName, enabled, `Category '${category}' bulk toggle`);
+  /**
+   * Get all current flag rules
+   * @returns {Object}
+   */
+  getAllFlags() {
+    const result = {};
+    Object.keys(this.flags).forEach(flagName => {
+      result[flagName] = this.getRule(flagName);
     });
+    return result;
   }
 }
 
@@ -158,11 +343,17 @@ const featureFlags = new FeatureFlags();
 
 // Log initial state in non-production
 if (process.env.NODE_ENV !== 'production') {
-  console.log('FeatureFlags initialized:', featureFlags.getAllFlags());
+  console.log('FeatureFlags initialized:', Object.keys(featureFlags.flags).filter(name => featureFlags.flags[name].enabled));
 }
 
 module.exports = {
   featureFlags,
-  FeatureFlags // Export class for testing
+  FeatureFlags, // Export class for testing
+  FLAG_DEFINITIONS,
+  CATEGORY_FLAGS,
+  PLAYER_SEGMENTS,
+  ENVIRONMENTS,
+  isValidSegment,
+  segmentsFor,
+  rolloutBucket
 };
-
@@ -15,12 +15,31 @@
 
 const { Op } = require('sequelize');
 const Player = require('../models/Player');
+const Admin = require('../models/Admin');
 const AdminLog = require('../models/AdminLog');
 const SpinResult = require('../models/SpinResult');
 const Transaction = require('../models/Transaction');
 const SessionManager = require('../auth/sessionManager');
 const { logger } = require('../utils/logger');
 const metricsService = require('../services/metricsService');
+const SpinReplay = require('../game/spinReplay');
+const mathModelService = require('../services/mathModelService');
+const jackpotService = require('../services/jackpotService');
+const responsibleGamblingService = require('../services/responsibleGamblingService');
+const anomalyScoringService = require('../services/anomalyScoringService');
+const reviewCaseService = require('../services/reviewCaseService');
+const creditApprovalService = require('../services/creditApprovalService');
+const { applyCreditChange } = creditApprovalService;
+const adminTwoFactorService = require('../services/adminTwoFactorService');
+const {
+  CHALLENGE_COOKIE,
+  CHALLENGE_TTL_MINUTES,
+  STEP_UP_COOKIE,
+  STEP_UP_TTL_MINUTES,
+  cookieOptions
+} = adminTwoFactorService;
+const { DEFAULT_RTP_PROFILE } = require('../game/rtpProfiles');
+const { ADMIN_ROLES, ROLE_LABELS, PERMISSIONS, getRolePermissions, hasPermission } = require('../config/adminRoles');
 
 /**
  * Admin Panel Dashboard
@@ -29,9 +48,10 @@ const metricsService = require('../services/metricsService');
 const dashboard = async (req, res) => {
   try {
     // Get system statistics (simplified - no AdminLog dependencies)
-    const [playerStats, gameStats] = await Promise.all([
+    const [playerStats, gameStats, pendingApprovals] = await Promise.all([
       getPlayerStatistics(),
-      getGameStatistics()
+      getGameStatistics(),
+      countPendingApprovals(req.admin)
     ]);
 
     res.render('admin/dashboard', {
@@ -41,6 +61,7 @@ const dashboard = async (req, res) => {
       gameStats,
       securityEvents: [], // Removed AdminLog dependency
       adminActivity: null, // Removed AdminLog dependency
+      pendingApprovals,
       currentTime: new Date()
     });
 
@@ -68,6 +89,8 @@ const loginPage = (req, res) => {
     'invalid_session': 'Your session has expired. Please log in again.',
     'unauthorized': 'Access denied. Admin privileges required.',
     'system_error': 'System error occurred. Please try again.',
+    'account_disabled': 'This admin account has been disabled.',
+    'two_factor_expired': 'Your sign-in expired. Enter your password again.',
     'invalid_credentials': 'Invalid account ID or password.'
   };
 
@@ -77,8 +100,38 @@ const loginPage = (req, res) => {
   });
 };
 
+/**
+ * Start the admin session: a JWT in the admin_token cookie
+ */
+const startAdminSession = (res, admin, rememberMe) => {
+  const jwt = require('jsonwebtoken');
+  const JWT_SECRET = process.env.JWT_ACCESS_SECRET || 'your-super-secret-access-token-key-min-32-chars-change-in-production';
+
+  const token = jwt.sign(
+    {
+      adminId: admin.id,
+      account_id: admin.account_id,
+      type: 'admin'
+    },
+    JWT_SECRET,
+    {
+      expiresIn: rememberMe ? '7d' : '24h'
+    }
+  );
+
+  // Set secure admin cookie
+  res.cookie('admin_token', token, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    maxAge: rememberMe ? 7 * 24 * 60 * 60 * 1000 : 24 * 60 * 60 * 1000 // 7 days or 24 hours
+  });
+};
+
 /**
  * Process Admin Login (Simplified)
+ * Admins with two-factor authentication get a challenge cookie instead of a
+ * session and finish at POST /admin/login/2fa.
  */
 const processLogin = async (req, res) => {
   try {
@@ -105,31 +158,27 @@ const processLogin = async (req, res) => {
       });
     }
 
-    // Create JWT token
-    const jwt = require('jsonwebtoken');
-    const JWT_SECRET = process.env.JWT_ACCESS_SECRET || 'your-super-secret-access-token-key-min-32-chars-change-in-production';
-    
-    const token = jwt.sign(
-      {
-        adminId: admin.id,
+    if (admin.totp_enabled) {
+      res.cookie(
+        CHALLENGE_COOKIE,
+        adminTwoFactorService.issueChallenge(admin, { rememberMe: remember_me === 'on' }),
+        cookieOptions(CHALLENGE_TTL_MINUTES)
+      );
+
+      logger.info('Admin password accepted, awaiting two-factor code', {
+        admin_id: admin.id,
         account_id: admin.account_id,
-        type: 'admin'
-      },
-      JWT_SECRET,
-      {
-        expiresIn: remember_me === 'on' ? '7d' : '24h'
-      }
-    );
+        ip: req.ip
+      });
 
-    // Set secure admin cookie
-    const cookieOptions = {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === 'production',
-      sameSite: 'strict',
-      maxAge: remember_me === 'on' ? 7 * 24 * 60 * 60 * 1000 : 24 * 60 * 60 * 1000 // 7 days or 24 hours
-    };
-    
-    res.cookie('admin_token', token, cookieOptions);
+      return res.json({
+        success: true,
+        two_factor_required: true,
+        message: 'Enter the code from your authenticator app'
+      });
+    }
+
+    startAdminSession(res, admin, remember_me === 'on');
 
     logger.info('Admin login successful', {
       admin_id: admin.id,
@@ -137,11 +186,11 @@ const processLogin = async (req, res) => {
       ip: req.ip
     });
 
-    // Return success
+    // Return success; admins who must enroll 2FA go to the setup page first
     return res.json({
       success: true,
       message: 'Login successful',
-      redirect: '/admin/dashboard'
+      redirect: admin.needsTwoFactorEnrollment() ? '/admin/2fa' : '/admin/dashboard'
     });
 
   } catch (error) {
@@ -158,6 +207,71 @@ const processLogin = async (req, res) => {
   }
 };
 
+/**
+ * Process Admin Login - Second step: TOTP or recovery code for the challenge cookie
+ */
+const processTwoFactorLogin = async (req, res) => {
+  try {
+    const challenge = adminTwoFactorService.readChallenge(req.cookies?.[CHALLENGE_COOKIE]);
+    const admin = challenge ? await Admin.findByPk(challenge.adminId) : null;
+
+    if (!admin || !admin.isActive() || !admin.totp_enabled) {
+      return res.status(401).json({
+        success: false,
+        error: 'Your sign-in expired. Enter your password again.',
+        code: 'TWO_FACTOR_CHALLENGE_EXPIRED'
+      });
+    }
+
+    const verified = await adminTwoFactorService.verify(admin, req.body.code, 'login', {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    if (!verified) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid authentication code',
+        code: 'INVALID_TWO_FACTOR_CODE'
+      });
+    }
+
+    res.clearCookie(CHALLENGE_COOKIE, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'strict'
+    });
+    startAdminSession(res, admin, challenge.rememberMe);
+    // The code just entered also counts as a step-up
+    res.cookie(STEP_UP_COOKIE, adminTwoFactorService.issueStepUp(admin), cookieOptions(STEP_UP_TTL_MINUTES));
+
+    logger.info('Admin login successful', {
+      admin_id: admin.id,
+      account_id: admin.account_id,
+      ip: req.ip,
+      two_factor_method: verified.method
+    });
+
+    return res.json({
+      success: true,
+      message: 'Login successful',
+      redirect: '/admin/dashboard',
+      recovery_code_used: verified.method === 'recovery_code'
+    });
+
+  } catch (error) {
+    logger.error('Admin two-factor login error', {
+      error: error.message,
+      ip: req.ip
+    });
+
+    return res.status(500).json({
+      success: false,
+      error: 'System error occurred. Please try again.'
+    });
+  }
+};
+
 /**
  * Admin Logout
  */
@@ -224,7 +338,7 @@ const listPlayers = async (req, res) => {
 
     res.render('admin/players/list', {
       title: 'Player Management - Admin Panel',
-      admin: req.admin.getSafeData(),
+      admin: req.admin,
       ...playersData,
       filters: { status, is_admin, search },
       pagination: {
@@ -287,11 +401,23 @@ const viewPlayer = async (req, res) => {
       limit: 20
     });
 
+    // Limits, usage and exclusions (the page still renders without them)
+    const responsibleGambling = await responsibleGamblingService.getStatus(id).catch((rgError) => {
+      logger.warn('Admin view player: responsible gambling status unavailable', {
+        player_id: id,
+        error: rgError.message
+      });
+      return null;
+    });
+
     res.render('admin/players/view', {
       title: `Player Details: ${player.username} - Admin Panel`,
-      admin: req.admin.getSafeData(),
+      admin: req.admin,
       player: player.getSafeData(),
-      adminLogs: adminLogs.logs
+      adminLogs: adminLogs.logs,
+      responsibleGambling,
+      creditReasonCodes: creditApprovalService.REASON_CODES,
+      creditApprovalThreshold: creditApprovalService.getThreshold(player.currency)
     });
 
   } catch (error) {
@@ -475,7 +601,7 @@ const activatePlayer = async (req, res) => {
 const adjustCredits = async (req, res) => {
   try {
     const { id } = req.params;
-    const { amount, type, reason = 'Admin credit adjustment' } = req.body;
+    const { amount, type, reason = 'Admin credit adjustment', reason_code: reasonCode = 'other' } = req.body;
 
     const adjustmentAmount = parseFloat(amount);
     if (isNaN(adjustmentAmount) || adjustmentAmount === 0) {
@@ -502,20 +628,36 @@ const adjustCredits = async (req, res) => {
 
     const previousCredits = player.credits;
 
-    // Perform credit adjustment
-    switch (type) {
-    case 'add':
-      await player.addCredits(adjustmentAmount);
-      break;
-    case 'subtract':
-      await player.deductCredits(adjustmentAmount);
-      break;
-    case 'set':
-      player.credits = adjustmentAmount;
-      await player.save({ fields: ['credits', 'updated_at'] });
-      break;
+    // Large adjustments wait for a second admin
+    if (creditApprovalService.requiresApproval({
+      type,
+      amount: adjustmentAmount,
+      balance: previousCredits,
+      currency: player.currency
+    })) {
+      const request = await creditApprovalService.createRequest({
+        playerId: player.id,
+        channel: 'admin_panel',
+        type,
+        amount: adjustmentAmount,
+        currency: player.currency,
+        balance: previousCredits,
+        reasonCode,
+        reason,
+        requestedBy: req.admin.id,
+        requestedByName: req.admin.account_id
+      }, { ip: req.ip, userAgent: req.get('User-Agent') });
+
+      const message = 'Adjustment exceeds the approval threshold and awaits approval by a second admin';
+      if (req.accepts('json')) {
+        return res.status(202).json({ success: true, pending: true, message, request });
+      }
+      return res.redirect(`/admin/players/${id}?message=${encodeURIComponent(message)}`);
     }
 
+    // Perform credit adjustment
+    await applyCreditChange(player, type, adjustmentAmount);
+
     // Log the credit adjustment
     await AdminLog.logSuccess({
       admin_id: req.admin.id,
@@ -526,6 +668,7 @@ const adjustCredits = async (req, res) => {
         adjustment_amount: adjustmentAmount,
         previous_credits: previousCredits,
         new_credits: player.credits,
+        reason_code: reasonCode,
         reason: reason
       },
       ip_address: req.ip,
@@ -605,7 +748,7 @@ const viewAuditLogs = async (req, res) => {
 
     res.render('admin/audit/logs', {
       title: 'Audit Logs - Admin Panel',
-      admin: req.admin.getSafeData(),
+      admin: req.admin,
       ...logsData,
       filters: { admin_id, action_type, severity, result, days },
       admins,
@@ -635,6 +778,21 @@ const viewAuditLogs = async (req, res) => {
  * Helper Functions
  */
 
+/**
+ * Pending credit adjustment requests for the dashboard; 0 for admins who cannot approve them
+ */
+const countPendingApprovals = async (admin) => {
+  if (!hasPermission(admin?.role, 'credits.approve')) {
+    return 0;
+  }
+  try {
+    return await creditApprovalService.countPending();
+  } catch (error) {
+    logger.error('Error counting pending credit approvals', { error: error.message });
+    return 0;
+  }
+};
+
 /**
  * Get player statistics for dashboard
  */
@@ -994,178 +1152,1436 @@ const getPlayerGameHistory = async (req, res) => {
 };
 
 /**
- * Player Management - Export Player Transactions
+ * Game Audit - Replay Spin
+ * Re-runs a stored spin from its seed and diffs it against the persisted result
  */
-const exportPlayerTransactions = async (req, res) => {
+let spinReplay = null;
+
+const replaySpin = async (req, res) => {
   try {
-    const { id } = req.params;
+    const { spinId } = req.params;
 
-    const player = await Player.findByPk(id);
-    if (!player) {
+    const spin = await SpinResult.findByPk(spinId);
+    if (!spin) {
       return res.status(404).json({
-        error: 'Player not found',
-        code: 'PLAYER_NOT_FOUND'
+        error: 'Spin not found',
+        code: 'SPIN_NOT_FOUND'
       });
     }
 
-    // Get all transactions for export
-    const transactions = await Transaction.findAll({
-      where: { player_id: id },
-      order: [['created_at', 'DESC']],
-      limit: 10000 // Reasonable limit for export
-    });
-
-    // Generate CSV
-    const csvHeaders = 'Date,Type,Amount,Status,Reference,Description\n';
-    const csvRows = transactions.map(t => {
-      const date = new Date(t.created_at).toISOString();
-      const type = t.transaction_type;
-      const amount = parseFloat(t.amount).toFixed(2);
-      const status = t.status;
-      const reference = t.reference_id || '';
-      const description = (t.description || '').replace(/"/g, '""');
-
-      return `"${date}","${type}","${amount}","${status}","${reference}","${description}"`;
-    }).join('\n');
-
-    const csvContent = csvHeaders + csvRows;
+    if (!spinReplay) {
+      spinReplay = new SpinReplay({
+        resolveEngine: (modelId) => mathModelService.getEngineForModelId(modelId)
+      });
+    }
+    const report = await spinReplay.replay(spin);
 
-    // Log the export
     await AdminLog.logSuccess({
       admin_id: req.admin.id,
-      action_type: 'data_export',
-      target_player_id: player.id,
+      action_type: 'spin_replay',
+      target_player_id: spin.player_id,
       details: {
-        export_type: 'transactions',
-        record_count: transactions.length
+        spin_id: spin.id,
+        status: report.status,
+        reason: report.reason || null,
+        math_model_id: spin.math_model_id || null,
+        context_inferred: Boolean(report.contextInferred),
+        difference_count: report.differences.length
       },
       ip_address: req.ip,
       user_agent: req.get('User-Agent'),
-      severity: 'medium'
+      severity: report.status === 'mismatch' ? 'high' : 'low'
     });
 
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', `attachment; filename="transactions-${player.username}-${Date.now()}.csv"`);
-    res.send(csvContent);
+    res.json({
+      success: true,
+      replay: report
+    });
 
   } catch (error) {
-    logger.error('Export player transactions error', {
+    logger.error('Spin replay error', {
       error: error.message,
       admin_id: req.admin.id,
-      player_id: req.params.id
+      spin_id: req.params.spinId
     });
 
     res.status(500).json({
-      error: 'Failed to export transactions',
-      code: 'EXPORT_FAILED'
+      error: 'Failed to replay spin',
+      code: 'SPIN_REPLAY_FAILED'
     });
   }
 };
 
 /**
- * Player Management - Export Player Game History
+ * Math Models - map registry errors to responses
  */
-const exportPlayerGameHistory = async (req, res) => {
+const sendMathModelError = (res, error, message, code) => {
+  switch (error.name) {
+  case 'ValidationError':
+    return res.status(400).json({ error: error.message, code: 'INVALID_MATH_MODEL', errors: error.details || [] });
+  case 'NotFoundError':
+    return res.status(404).json({ error: error.message, code: 'MATH_MODEL_NOT_FOUND' });
+  case 'ConflictError':
+    return res.status(409).json({ error: error.message, code: 'MATH_MODEL_CONFLICT' });
+  default:
+    return res.status(500).json({ error: message, code });
+  }
+};
+
+/**
+ * Math Models - Record a registry change in the admin log
+ */
+const logMathModelChange = (req, action, details) => AdminLog.logSuccess({
+  admin_id: req.admin.id,
+  action_type: 'configuration_change',
+  details: { component: 'math_model', action, ...details },
+  ip_address: req.ip,
+  user_agent: req.get('User-Agent'),
+  severity: action === 'stage' ? 'medium' : 'critical'
+});
+
+/**
+ * Math Models - List registered models and the one currently served
+ */
+const listMathModels = async (req, res) => {
   try {
-    const { id } = req.params;
+    const registry = await mathModelService.listModels();
+    res.json({ success: true, ...registry });
+  } catch (error) {
+    logger.error('Math model list error', { error: error.message, admin_id: req.admin.id });
+    sendMathModelError(res, error, 'Failed to list math models', 'MATH_MODEL_LIST_FAILED');
+  }
+};
 
-    const player = await Player.findByPk(id);
-    if (!player) {
-      return res.status(404).json({
-        error: 'Player not found',
-        code: 'PLAYER_NOT_FOUND'
-      });
+/**
+ * Math Models - Full artifact for one model
+ */
+const getMathModel = async (req, res) => {
+  try {
+    const model = await mathModelService.getModel(req.params.modelId);
+    if (!model) {
+      return res.status(404).json({ error: 'Math model not found', code: 'MATH_MODEL_NOT_FOUND' });
     }
-
-    // Get all spin results for export
-    const spins = await SpinResult.findAll({
-      where: { player_id: id },
-      order: [['created_at', 'DESC']],
-      limit: 10000 // Reasonable limit for export
+    res.json({ success: true, model });
+  } catch (error) {
+    logger.error('Math model lookup error', {
+      error: error.message,
+      admin_id: req.admin.id,
+      model_id: req.params.modelId
     });
+    sendMathModelError(res, error, 'Failed to load math model', 'MATH_MODEL_LOOKUP_FAILED');
+  }
+};
 
-    // Generate CSV
-    const csvHeaders = 'Date,Bet Amount,Payout Amount,Multiplier,Session ID,Free Spin,Bonus,Complete,RNG Seed\n';
-    const csvRows = spins.map(s => {
-      const date = new Date(s.created_at).toISOString();
-      const betAmount = parseFloat(s.bet_amount).toFixed(2);
-      const payoutAmount = parseFloat(s.payout_amount).toFixed(2);
-      const multiplier = parseFloat(s.bet_amount) > 0 ? (parseFloat(s.payout_amount) / parseFloat(s.bet_amount)).toFixed(2) : '0.00';
-      const sessionId = s.session_id || '';
-      const freeSpin = s.is_free_spin ? 'Yes' : 'No';
-      const bonus = s.has_bonus ? 'Yes' : 'No';
-      const complete = s.is_complete ? 'Yes' : 'No';
-      const rngSeed = s.rng_seed || '';
+/**
+ * Math Models - Stage a new model artifact
+ */
+const stageMathModel = async (req, res) => {
+  try {
+    const { artifact, notes = null } = req.body;
+    const model = await mathModelService.stageModel(artifact, { adminId: req.admin.id, notes });
 
-      return `"${date}","${betAmount}","${payoutAmount}","${multiplier}","${sessionId}","${freeSpin}","${bonus}","${complete}","${rngSeed}"`;
-    }).join('\n');
+    await logMathModelChange(req, 'stage', { model_id: model.id, checksum: model.checksum, notes });
 
-    const csvContent = csvHeaders + csvRows;
+    res.status(201).json({ success: true, message: `Math model ${model.id} staged`, model });
+  } catch (error) {
+    logger.error('Math model stage error', { error: error.message, admin_id: req.admin.id });
+    sendMathModelError(res, error, 'Failed to stage math model', 'MATH_MODEL_STAGE_FAILED');
+  }
+};
 
-    // Log the export
-    await AdminLog.logSuccess({
-      admin_id: req.admin.id,
-      action_type: 'data_export',
-      target_player_id: player.id,
-      details: {
-        export_type: 'game_history',
-        record_count: spins.length
-      },
-      ip_address: req.ip,
-      user_agent: req.get('User-Agent'),
-      severity: 'medium'
-    });
+/**
+ * Math Models - Activate a staged or retired model
+ */
+const activateMathModel = async (req, res) => {
+  try {
+    const result = await mathModelService.activateModel(req.params.modelId, { adminId: req.admin.id });
 
-    res.setHeader('Content-Type', 'text/csv');
-    res.setHeader('Content-Disposition', `attachment; filename="game-history-${player.username}-${Date.now()}.csv"`);
-    res.send(csvContent);
+    await logMathModelChange(req, 'activate', {
+      model_id: result.active.id,
+      checksum: result.active.checksum,
+      rtp_profile: result.active.rtpProfile,
+      previous_model_id: result.previousModelId
+    });
 
+    res.json({ success: true, message: `Math model ${result.active.id} activated`, ...result });
   } catch (error) {
-    logger.error('Export player game history error', {
+    logger.error('Math model activation error', {
       error: error.message,
       admin_id: req.admin.id,
-      player_id: req.params.id
+      model_id: req.params.modelId
     });
+    sendMathModelError(res, error, 'Failed to activate math model', 'MATH_MODEL_ACTIVATION_FAILED');
+  }
+};
 
-    res.status(500).json({
-      error: 'Failed to export game history',
-      code: 'EXPORT_FAILED'
+/**
+ * Math Models - Roll back an RTP profile to its previously active model
+ */
+const rollbackMathModel = async (req, res) => {
+  try {
+    const rtpProfile = req.body.rtp_profile || DEFAULT_RTP_PROFILE;
+    const result = await mathModelService.rollbackModel({ adminId: req.admin.id, rtpProfile });
+
+    await logMathModelChange(req, 'rollback', {
+      model_id: result.active.id,
+      checksum: result.active.checksum,
+      rtp_profile: rtpProfile,
+      previous_model_id: result.previousModelId,
+      reason: req.body.reason || null
     });
+
+    res.json({ success: true, message: `Rolled back to math model ${result.active.id}`, ...result });
+  } catch (error) {
+    logger.error('Math model rollback error', { error: error.message, admin_id: req.admin.id });
+    sendMathModelError(res, error, 'Failed to roll back math model', 'MATH_MODEL_ROLLBACK_FAILED');
   }
 };
 
 /**
- * API Metrics Endpoint
- * Provides comprehensive dashboard metrics for real-time monitoring
+ * Jackpots - Tier settings, current values and recent awards
  */
-const getMetrics = async (req, res) => {
+const listJackpots = async (req, res) => {
   try {
-    const { timeframe = '24h' } = req.query;
+    const overview = await jackpotService.getAdminOverview({ limit: parseInt(req.query.limit) || 50 });
+    res.json({ success: true, ...overview });
+  } catch (error) {
+    logger.error('Jackpot overview error', { error: error.message, admin_id: req.admin.id });
+    res.status(500).json({ error: 'Failed to load jackpots', code: 'JACKPOT_LIST_FAILED' });
+  }
+};
 
-    // Get comprehensive metrics from metrics service
-    const metrics = await metricsService.getDashboardMetrics(timeframe);
+/**
+ * Jackpots - Change a tier's contribution rate, seed value, must-hit-by threshold or status
+ */
+const updateJackpotTier = async (req, res) => {
+  try {
+    const toNumber = (value) => (value === undefined ? undefined : parseFloat(value));
+    const result = await jackpotService.updateTier(req.params.tier, {
+      seedValue: toNumber(req.body.seed_value),
+      mustHitBy: toNumber(req.body.must_hit_by),
+      contributionRate: toNumber(req.body.contribution_rate),
+      isActive: req.body.is_active
+    });
 
-    // Log metrics access
     await AdminLog.logSuccess({
       admin_id: req.admin.id,
-      action_type: 'metrics_access',
+      action_type: 'configuration_change',
       details: {
-        timeframe: timeframe,
-        sections_accessed: ['overview', 'financial', 'game', 'player', 'system', 'rtp', 'compliance']
+        component: 'jackpot',
+        tier: req.params.tier,
+        previous: result.previous,
+        current: result.current,
+        reason: req.body.reason || null
       },
       ip_address: req.ip,
       user_agent: req.get('User-Agent'),
-      severity: 'low'
+      severity: 'high'
     });
 
-    res.json({
-      success: true,
-      metrics: metrics,
-      timestamp: new Date().toISOString(),
-      admin: {
-        id: req.admin.id,
-        username: req.admin.username
-      }
+    res.json({ success: true, message: `Jackpot tier ${req.params.tier} updated`, tier: req.params.tier, ...result });
+  } catch (error) {
+    logger.error('Jackpot update error', { error: error.message, admin_id: req.admin.id, tier: req.params.tier });
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: error.message, code: 'INVALID_JACKPOT_SETTINGS', errors: error.details || [] });
+    }
+    if (error.name === 'NotFoundError') {
+      return res.status(404).json({ error: error.message, code: 'JACKPOT_NOT_FOUND' });
+    }
+    res.status(500).json({ error: 'Failed to update jackpot', code: 'JACKPOT_UPDATE_FAILED' });
+  }
+};
+
+/**
+ * Jackpots - Retry crediting awards that are still pending
+ */
+const settlePendingJackpots = async (req, res) => {
+  try {
+    const result = await jackpotService.settlePendingAwards();
+
+    await AdminLog.logSuccess({
+      admin_id: req.admin.id,
+      action_type: 'jackpot_award',
+      details: { action: 'settle_pending', ...result },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'high'
+    });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logger.error('Jackpot settlement error', { error: error.message, admin_id: req.admin.id });
+    res.status(500).json({ error: 'Failed to settle pending jackpot awards', code: 'JACKPOT_SETTLE_FAILED' });
+  }
+};
+
+/**
+ * Anomaly Scoring - A player's risk score history
+ */
+const getPlayerRiskScores = async (req, res) => {
+  try {
+    const scores = await anomalyScoringService.getRiskHistory(req.params.id, parseInt(req.query.limit) || 20);
+    res.json({ success: true, playerId: req.params.id, scores });
+  } catch (error) {
+    logger.error('Risk score history error', { error: error.message, admin_id: req.admin.id, player_id: req.params.id });
+    res.status(500).json({ error: 'Failed to load risk scores', code: 'RISK_SCORES_FAILED' });
+  }
+};
+
+/**
+ * Anomaly Scoring - Score a player now
+ */
+const rescorePlayer = async (req, res) => {
+  try {
+    const player = await Player.findByPk(req.params.id);
+    if (!player) {
+      return res.status(404).json({ error: 'Player not found', code: 'PLAYER_NOT_FOUND' });
+    }
+    if (player.is_demo) {
+      return res.status(400).json({ error: 'Demo players are not scored', code: 'DEMO_PLAYER' });
+    }
+
+    const result = await anomalyScoringService.scorePlayer(player.id);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logger.error('Risk scoring error', { error: error.message, admin_id: req.admin.id, player_id: req.params.id });
+    res.status(500).json({ error: 'Failed to score player', code: 'RISK_SCORING_FAILED' });
+  }
+};
+
+/**
+ * Review Cases - Answer a case action: JSON for API clients, a redirect back to the case for forms
+ */
+const sendCaseResult = (req, res, caseId, statusCode, body) => {
+  if (req.accepts(['json', 'html']) === 'json') {
+    return res.status(statusCode).json(body);
+  }
+  const query = body.success
+    ? `message=${encodeURIComponent(body.message)}`
+    : `error=${encodeURIComponent(body.error)}`;
+  return res.redirect(`/admin/cases/${caseId}?${query}`);
+};
+
+/**
+ * Review Cases - Map service errors to responses
+ */
+const sendCaseError = (req, res, caseId, error, message, code) => {
+  switch (error.name) {
+  case 'ValidationError':
+    return sendCaseResult(req, res, caseId, 400, { error: error.message, code: 'INVALID_CASE_ACTION' });
+  case 'NotFoundError':
+    return sendCaseResult(req, res, caseId, 404, { error: error.message, code: 'CASE_NOT_FOUND' });
+  case 'ConflictError':
+    return sendCaseResult(req, res, caseId, 409, { error: error.message, code: 'CASE_RESOLVED' });
+  default:
+    return sendCaseResult(req, res, caseId, 500, { error: message, code });
+  }
+};
+
+/**
+ * Review Cases - Run a player management controller (suspendPlayer, banPlayer) for a case
+ * and capture its response instead of sending it
+ */
+const runPlayerAction = async (action, req, playerId, reason) => {
+  const response = { statusCode: 200, body: null };
+  const captured = {
+    status(code) {
+      response.statusCode = code;
+      return captured;
+    },
+    json(body) {
+      response.body = body;
+      return captured;
+    },
+    redirect() {
+      return captured;
+    }
+  };
+  const actionReq = Object.create(req, {
+    params: { value: { id: playerId } },
+    body: { value: { reason } },
+    accepts: { value: () => 'json' }
+  });
+  await action(actionReq, captured);
+  return response;
+};
+
+const CASE_RESOLUTION_SEVERITY = { clear: 'medium', restrict: 'high', suspend: 'high', ban: 'critical' };
+
+// Resolutions that run a player action need the permission of its own route as well
+const CASE_RESOLUTION_PERMISSIONS = { suspend: 'players.manage', ban: 'players.ban' };
+
+/**
+ * Review Cases - Case queue (JSON)
+ */
+const listReviewQueue = async (req, res) => {
+  try {
+    const entries = await reviewCaseService.listCases({
+      status: req.query.status || 'unresolved',
+      priority: req.query.priority || null,
+      assignedTo: req.query.assigned_to || null,
+      limit: parseInt(req.query.limit) || 50
+    });
+    res.json({ success: true, entries });
+  } catch (error) {
+    logger.error('Review queue error', { error: error.message, admin_id: req.admin.id });
+    res.status(500).json({ error: 'Failed to load review queue', code: 'REVIEW_QUEUE_FAILED' });
+  }
+};
+
+/**
+ * Review Cases - A case with its evidence and notes (JSON)
+ */
+const getReviewCase = async (req, res) => {
+  try {
+    const reviewCase = await reviewCaseService.getCase(req.params.id);
+    if (!reviewCase) {
+      return res.status(404).json({ error: 'Case not found', code: 'CASE_NOT_FOUND' });
+    }
+    res.json({ success: true, case: reviewCase });
+  } catch (error) {
+    logger.error('Review case error', { error: error.message, admin_id: req.admin.id, case_id: req.params.id });
+    res.status(500).json({ error: 'Failed to load case', code: 'REVIEW_CASE_FAILED' });
+  }
+};
+
+/**
+ * Review Cases - Case queue page
+ */
+const listCases = async (req, res) => {
+  const filters = {
+    status: req.query.status || 'unresolved',
+    priority: req.query.priority || '',
+    mine: req.query.mine === 'true'
+  };
+  try {
+    const [cases, counts] = await Promise.all([
+      reviewCaseService.listCases({
+        status: filters.status,
+        priority: filters.priority || null,
+        assignedTo: filters.mine ? req.admin.id : null,
+        limit: 200
+      }),
+      reviewCaseService.countCases()
+    ]);
+
+    res.render('admin/cases/list', {
+      title: 'Review Cases - Admin Panel',
+      admin: req.admin,
+      cases,
+      counts,
+      filters
+    });
+  } catch (error) {
+    logger.error('Admin list cases error', { error: error.message, admin_id: req.admin.id });
+
+    res.render('admin/error', {
+      title: 'Review Cases Error',
+      error: 'Failed to load review cases',
+      message: 'Please try again'
+    });
+  }
+};
+
+/**
+ * Review Cases - Case page: evidence, assignee, notes and resolution actions
+ */
+const viewCase = async (req, res) => {
+  try {
+    const reviewCase = await reviewCaseService.getCase(req.params.id);
+    if (!reviewCase) {
+      return res.render('admin/error', {
+        title: 'Case Not Found',
+        error: 'Case not found',
+        message: 'The requested review case could not be found'
+      });
+    }
+    const admins = await Admin.findAll({ attributes: ['id', 'account_id'], order: [['account_id', 'ASC']] });
+
+    res.render('admin/cases/view', {
+      title: `Review Case: ${reviewCase.username} - Admin Panel`,
+      admin: req.admin,
+      reviewCase,
+      admins: admins.map(entry => ({ id: entry.id, account_id: entry.account_id })),
+      resolutions: reviewCaseService.RESOLUTIONS,
+      restrictionDays: reviewCaseService.RESTRICTION_DAYS,
+      message: req.query.message,
+      error: req.query.error
+    });
+  } catch (error) {
+    logger.error('Admin view case error', { error: error.message, admin_id: req.admin.id, case_id: req.params.id });
+
+    res.render('admin/error', {
+      title: 'Review Case Error',
+      error: 'Failed to load review case',
+      message: 'Please try again'
+    });
+  }
+};
+
+/**
+ * Review Cases - Assign a case (to the requesting admin unless assignee_id is given; empty unassigns)
+ */
+const assignCase = async (req, res) => {
+  const { id } = req.params;
+  try {
+    const assigneeId = req.body.assignee_id === undefined ? req.admin.id : (req.body.assignee_id || null);
+    if (assigneeId && !(await Admin.findByPk(assigneeId))) {
+      return sendCaseResult(req, res, id, 400, { error: 'Assignee is not an admin', code: 'INVALID_ASSIGNEE' });
+    }
+
+    const reviewCase = await reviewCaseService.assign(id, assigneeId);
+
+    await AdminLog.logSuccess({
+      admin_id: req.admin.id,
+      action_type: 'case_assignment',
+      target_player_id: reviewCase.player_id,
+      details: { case_id: id, assigned_to: assigneeId, status: reviewCase.status },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'medium'
+    });
+
+    sendCaseResult(req, res, id, 200, {
+      success: true,
+      message: assigneeId ? 'Case assigned' : 'Case unassigned',
+      case: reviewCase
+    });
+  } catch (error) {
+    logger.error('Admin assign case error', { error: error.message, admin_id: req.admin.id, case_id: id });
+    sendCaseError(req, res, id, error, 'Failed to assign case', 'CASE_ASSIGNMENT_FAILED');
+  }
+};
+
+/**
+ * Review Cases - Add a note to a case
+ */
+const addCaseNote = async (req, res) => {
+  const { id } = req.params;
+  try {
+    const note = await reviewCaseService.addNote(id, req.admin.id, req.body.note);
+    const reviewCase = await reviewCaseService.findCase(id);
+
+    await AdminLog.logSuccess({
+      admin_id: req.admin.id,
+      action_type: 'case_note',
+      target_player_id: reviewCase.player_id,
+      details: { case_id: id, note_id: note.id, note: note.note },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'low'
+    });
+
+    sendCaseResult(req, res, id, 201, { success: true, message: 'Note added', note });
+  } catch (error) {
+    logger.error('Admin case note error', { error: error.message, admin_id: req.admin.id, case_id: id });
+    sendCaseError(req, res, id, error, 'Failed to add note', 'CASE_NOTE_FAILED');
+  }
+};
+
+/**
+ * Review Cases - Resolve a case: clear (lifts any restriction), restrict for restrict_days,
+ * or suspend/ban the player through suspendPlayer/banPlayer. The case stays open when the
+ * action fails
+ */
+const resolveCase = async (req, res) => {
+  const { id } = req.params;
+  const { resolution } = req.body;
+  const reason = (req.body.reason || '').trim() || `Review case ${id}`;
+  const note = (req.body.note || '').trim() || null;
+  try {
+    const reviewCase = await reviewCaseService.findCase(id);
+    if (!reviewCase) {
+      return sendCaseResult(req, res, id, 404, { error: 'Case not found', code: 'CASE_NOT_FOUND' });
+    }
+    if (reviewCase.status === 'resolved') {
+      return sendCaseResult(req, res, id, 409, { error: 'Case is already resolved', code: 'CASE_RESOLVED' });
+    }
+
+    const requiredPermission = CASE_RESOLUTION_PERMISSIONS[resolution];
+    if (requiredPermission && !hasPermission(req.admin.role, requiredPermission)) {
+      return sendCaseResult(req, res, id, 403, {
+        error: 'Insufficient admin permissions',
+        code: 'INSUFFICIENT_ROLE_PERMISSIONS',
+        message: `Requires ${requiredPermission}`
+      });
+    }
+
+    const playerId = reviewCase.player_id;
+    const details = { case_id: id, resolution, reason, note };
+    let actionResult = null;
+    switch (resolution) {
+    case 'clear':
+      details.restriction_lifted = await reviewCaseService.liftRestriction(playerId);
+      break;
+    case 'restrict': {
+      const days = parseInt(req.body.restrict_days) || reviewCaseService.RESTRICTION_DAYS;
+      const restriction = await reviewCaseService.restrictPlayer(playerId, {
+        until: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+        reason
+      });
+      details.restricted_until = restriction.until;
+      break;
+    }
+    case 'suspend':
+      actionResult = await runPlayerAction(suspendPlayer, req, playerId, reason);
+      break;
+    case 'ban':
+      actionResult = await runPlayerAction(banPlayer, req, playerId, reason);
+      break;
+    default:
+      return sendCaseResult(req, res, id, 400, {
+        error: `Resolution must be one of ${reviewCaseService.RESOLUTIONS.join(', ')}`,
+        code: 'INVALID_CASE_ACTION'
+      });
+    }
+
+    if (actionResult && !actionResult.body?.success) {
+      await AdminLog.logFailure({
+        admin_id: req.admin.id,
+        action_type: 'case_resolution',
+        target_player_id: playerId,
+        details: { ...details, error: actionResult.body?.error },
+        ip_address: req.ip,
+        user_agent: req.get('User-Agent'),
+        severity: 'medium',
+        error_message: actionResult.body?.error
+      });
+      return sendCaseResult(req, res, id, actionResult.statusCode, actionResult.body || {
+        error: 'Player action failed',
+        code: 'CASE_ACTION_FAILED'
+      });
+    }
+
+    const resolved = await reviewCaseService.resolve(id, {
+      adminId: req.admin.id,
+      resolution,
+      note: note || reason
+    });
+
+    await AdminLog.logSuccess({
+      admin_id: req.admin.id,
+      action_type: 'case_resolution',
+      target_player_id: playerId,
+      details,
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: CASE_RESOLUTION_SEVERITY[resolution]
+    });
+
+    logger.info('Review case resolved', {
+      admin_id: req.admin.id,
+      case_id: id,
+      player_id: playerId,
+      resolution
+    });
+
+    sendCaseResult(req, res, id, 200, { success: true, message: `Case resolved: ${resolution}`, case: resolved });
+  } catch (error) {
+    logger.error('Admin resolve case error', { error: error.message, admin_id: req.admin.id, case_id: id });
+
+    await AdminLog.logFailure({
+      admin_id: req.admin.id,
+      action_type: 'case_resolution',
+      details: { case_id: id, resolution, error: error.message },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'medium',
+      error_message: error.message
+    });
+
+    sendCaseError(req, res, id, error, 'Failed to resolve case', 'CASE_RESOLUTION_FAILED');
+  }
+};
+
+/**
+ * Credit Approvals - Answer an approval action: JSON for API clients, a redirect back to the queue for forms
+ */
+const sendApprovalResult = (req, res, statusCode, body) => {
+  if (req.accepts(['json', 'html']) === 'json') {
+    return res.status(statusCode).json(body);
+  }
+  const query = body.success
+    ? `message=${encodeURIComponent(body.message)}`
+    : `error=${encodeURIComponent(body.error)}`;
+  return res.redirect(`/admin/approvals?${query}`);
+};
+
+/**
+ * Credit Approvals - Map service errors to responses
+ */
+const sendApprovalError = (req, res, error, message, code) => {
+  switch (error.name) {
+  case 'ValidationError':
+    return sendApprovalResult(req, res, 400, { error: error.message, code: 'INVALID_APPROVAL_ACTION' });
+  case 'NotFoundError':
+    return sendApprovalResult(req, res, 404, { error: error.message, code: 'APPROVAL_REQUEST_NOT_FOUND' });
+  case 'ForbiddenError':
+    return sendApprovalResult(req, res, 403, { error: error.message, code: 'SECOND_ADMIN_REQUIRED' });
+  case 'ConflictError':
+    return sendApprovalResult(req, res, 409, { error: error.message, code: 'APPROVAL_REQUEST_CLOSED', ...error.details });
+  default:
+    return sendApprovalResult(req, res, 500, { error: message, code });
+  }
+};
+
+/**
+ * Credit Approvals - Adjustment requests above the approval threshold
+ */
+const listCreditApprovals = async (req, res) => {
+  const status = req.query.status === undefined ? 'pending' : req.query.status || null;
+  try {
+    const [requests, pendingCount] = await Promise.all([
+      creditApprovalService.listRequests({ status }),
+      creditApprovalService.countPending()
+    ]);
+
+    res.render('admin/approvals/list', {
+      title: 'Credit Approvals - Admin Panel',
+      admin: req.admin,
+      requests,
+      pendingCount,
+      filters: { status: status || '' },
+      statuses: creditApprovalService.REQUEST_STATUSES,
+      threshold: creditApprovalService.APPROVAL_THRESHOLD,
+      ttlHours: creditApprovalService.APPROVAL_TTL_HOURS,
+      message: req.query.message,
+      error: req.query.error
+    });
+  } catch (error) {
+    logger.error('Admin list credit approvals error', { error: error.message, admin_id: req.admin.id });
+
+    res.render('admin/error', {
+      title: 'Credit Approvals Error',
+      error: 'Failed to load credit approvals',
+      message: 'Please try again'
+    });
+  }
+};
+
+/**
+ * Credit Approvals - Adjustment requests as JSON
+ */
+const getCreditApprovals = async (req, res) => {
+  try {
+    const requests = await creditApprovalService.listRequests({
+      status: req.query.status || null,
+      playerId: req.query.player_id || null,
+      limit: parseInt(req.query.limit) || 50
+    });
+
+    res.json({ success: true, requests, pending: await creditApprovalService.countPending() });
+  } catch (error) {
+    logger.error('Admin get credit approvals error', { error: error.message, admin_id: req.admin.id });
+
+    sendApprovalError(req, res, error, 'Failed to load credit approvals', 'CREDIT_APPROVALS_FAILED');
+  }
+};
+
+/**
+ * Credit Approvals - Approve a request and apply the adjustment
+ */
+const approveCreditAdjustment = async (req, res) => {
+  const { id } = req.params;
+  try {
+    const request = await creditApprovalService.approve(id, {
+      adminId: req.admin.id,
+      note: (req.body.note || '').trim() || null
+    }, { ip: req.ip, userAgent: req.get('User-Agent') });
+
+    if (request.status === 'failed') {
+      return sendApprovalResult(req, res, 422, {
+        error: `Approved but not applied: ${request.result.error}`,
+        code: 'CREDIT_ADJUSTMENT_FAILED',
+        request
+      });
+    }
+
+    sendApprovalResult(req, res, 200, { success: true, message: 'Adjustment approved and applied', request });
+  } catch (error) {
+    logger.error('Admin approve credit adjustment error', { error: error.message, admin_id: req.admin.id, request_id: id });
+
+    sendApprovalError(req, res, error, 'Failed to approve adjustment', 'CREDIT_APPROVAL_FAILED');
+  }
+};
+
+/**
+ * Credit Approvals - Reject a request
+ */
+const rejectCreditAdjustment = async (req, res) => {
+  const { id } = req.params;
+  try {
+    const request = await creditApprovalService.reject(id, {
+      adminId: req.admin.id,
+      note: req.body.note.trim()
+    }, { ip: req.ip, userAgent: req.get('User-Agent') });
+
+    sendApprovalResult(req, res, 200, { success: true, message: 'Adjustment rejected', request });
+  } catch (error) {
+    logger.error('Admin reject credit adjustment error', { error: error.message, admin_id: req.admin.id, request_id: id });
+
+    sendApprovalError(req, res, error, 'Failed to reject adjustment', 'CREDIT_REJECTION_FAILED');
+  }
+};
+
+/**
+ * Two-Factor - Answer a 2FA action: JSON for API clients, a redirect back to the 2FA page for forms
+ */
+const sendTwoFactorResult = (req, res, statusCode, body) => {
+  if (req.accepts(['json', 'html']) === 'json') {
+    return res.status(statusCode).json(body);
+  }
+  const query = body.success
+    ? `message=${encodeURIComponent(body.message)}`
+    : `error=${encodeURIComponent(body.error)}`;
+  return res.redirect(`/admin/2fa?${query}`);
+};
+
+/**
+ * Two-Factor - Map service errors to responses
+ */
+const sendTwoFactorError = (req, res, error, message, code) => {
+  switch (error.name) {
+  case 'ValidationError':
+    return sendTwoFactorResult(req, res, 400, { error: error.message, code: 'INVALID_TWO_FACTOR_REQUEST' });
+  case 'ConflictError':
+    return sendTwoFactorResult(req, res, 409, { error: error.message, code: 'TWO_FACTOR_CONFLICT' });
+  default:
+    return sendTwoFactorResult(req, res, 500, { error: message, code });
+  }
+};
+
+/**
+ * Two-Factor - Render the 2FA page, optionally with a new secret or recovery codes (shown once)
+ */
+const renderTwoFactorPage = (req, res, admin, extra = {}) => res.render('admin/two-factor', {
+  title: 'Two-Factor Authentication - Admin Panel',
+  admin,
+  enrollment: null,
+  recoveryCodes: null,
+  stepUpMinutes: STEP_UP_TTL_MINUTES,
+  message: req.query.message,
+  error: req.query.error,
+  ...extra
+});
+
+/**
+ * Two-Factor - Status, setup and recovery codes of the signed-in admin
+ */
+const twoFactorPage = (req, res) => renderTwoFactorPage(req, res, req.admin);
+
+/**
+ * Two-Factor - Start enrollment: a new secret and its provisioning URI
+ */
+const startTwoFactorEnrollment = async (req, res) => {
+  try {
+    const admin = await Admin.findByPk(req.admin.id);
+    const enrollment = await adminTwoFactorService.beginEnrollment(admin);
+
+    if (req.accepts(['json', 'html']) === 'json') {
+      return res.json({ success: true, ...enrollment });
+    }
+    renderTwoFactorPage(req, res, admin.getSafeData(), { enrollment });
+  } catch (error) {
+    logger.error('Admin start 2FA enrollment error', { error: error.message, admin_id: req.admin.id });
+
+    sendTwoFactorError(req, res, error, 'Failed to start two-factor setup', 'TWO_FACTOR_SETUP_FAILED');
+  }
+};
+
+/**
+ * Two-Factor - Confirm enrollment with a code; answers with the recovery codes
+ */
+const confirmTwoFactorEnrollment = async (req, res) => {
+  try {
+    const admin = await Admin.findByPk(req.admin.id);
+    const recoveryCodes = await adminTwoFactorService.confirmEnrollment(admin, req.body.code, {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    res.cookie(STEP_UP_COOKIE, adminTwoFactorService.issueStepUp(admin), cookieOptions(STEP_UP_TTL_MINUTES));
+
+    if (req.accepts(['json', 'html']) === 'json') {
+      return res.json({ success: true, message: 'Two-factor authentication enabled', recovery_codes: recoveryCodes });
+    }
+    renderTwoFactorPage(req, res, admin.getSafeData(), {
+      recoveryCodes,
+      message: 'Two-factor authentication enabled. Store these recovery codes now; they are not shown again.'
+    });
+  } catch (error) {
+    logger.error('Admin confirm 2FA enrollment error', { error: error.message, admin_id: req.admin.id });
+
+    sendTwoFactorError(req, res, error, 'Failed to enable two-factor authentication', 'TWO_FACTOR_SETUP_FAILED');
+  }
+};
+
+/**
+ * Two-Factor - Replace the recovery codes after a valid code
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const admin = await Admin.findByPk(req.admin.id);
+    const recoveryCodes = await adminTwoFactorService.regenerateRecoveryCodes(admin, req.body.code, {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    if (req.accepts(['json', 'html']) === 'json') {
+      return res.json({ success: true, message: 'Recovery codes replaced', recovery_codes: recoveryCodes });
+    }
+    renderTwoFactorPage(req, res, admin.getSafeData(), {
+      recoveryCodes,
+      message: 'New recovery codes created; the old ones no longer work.'
+    });
+  } catch (error) {
+    logger.error('Admin regenerate recovery codes error', { error: error.message, admin_id: req.admin.id });
+
+    sendTwoFactorError(req, res, error, 'Failed to replace recovery codes', 'RECOVERY_CODES_FAILED');
+  }
+};
+
+/**
+ * Two-Factor - Turn 2FA off after a valid code (not while required for the account)
+ */
+const disableTwoFactor = async (req, res) => {
+  try {
+    const admin = await Admin.findByPk(req.admin.id);
+    await adminTwoFactorService.disable(admin, req.body.code, { ip: req.ip, userAgent: req.get('User-Agent') });
+    res.clearCookie(STEP_UP_COOKIE, {
+      httpOnly: true,
+      secure: process.env.NODE_ENV === 'production',
+      sameSite: 'strict'
+    });
+
+    sendTwoFactorResult(req, res, 200, { success: true, message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    logger.error('Admin disable 2FA error', { error: error.message, admin_id: req.admin.id });
+
+    sendTwoFactorError(req, res, error, 'Failed to disable two-factor authentication', 'TWO_FACTOR_DISABLE_FAILED');
+  }
+};
+
+/**
+ * Two-Factor - Step-up confirmed (by requireStepUp); forms go back to the page they came from
+ */
+const confirmStepUp = (req, res) => {
+  const message = `Confirmed; sensitive actions are unlocked for ${STEP_UP_TTL_MINUTES} minutes`;
+
+  if (req.accepts(['json', 'html']) === 'json') {
+    return res.json({ success: true, message, expires_in_minutes: STEP_UP_TTL_MINUTES });
+  }
+  const returnTo = /^\/admin\/[\w/-]*$/.test(req.body.return_to || '') ? req.body.return_to : '/admin/2fa';
+  res.redirect(`${returnTo}?message=${encodeURIComponent(message)}`);
+};
+
+/**
+ * Admin Users - Answer an admin account action: JSON for API clients, a redirect back to the page for forms
+ */
+const sendAdminUserResult = (req, res, statusCode, body) => {
+  if (req.accepts(['json', 'html']) === 'json') {
+    return res.status(statusCode).json(body);
+  }
+  const query = body.success
+    ? `message=${encodeURIComponent(body.message)}`
+    : `error=${encodeURIComponent(body.error)}`;
+  return res.redirect(`/admin/users?${query}`);
+};
+
+/**
+ * Admin Users - Log a role, status or password change of an admin account or admin player
+ */
+const logAdminUserChange = (req, actionType, details, targetPlayerId = null) => AdminLog.logSuccess({
+  admin_id: req.admin.id,
+  action_type: actionType,
+  target_player_id: targetPlayerId,
+  details,
+  ip_address: req.ip,
+  user_agent: req.get('User-Agent')
+});
+
+/**
+ * Admin Users - Whether another active superadmin would remain if this admin lost the role
+ */
+const hasOtherSuperadmin = async (adminId) => {
+  const count = await Admin.count({
+    where: { role: 'superadmin', status: 'active', id: { [Op.ne]: adminId } }
+  });
+  return count > 0;
+};
+
+/**
+ * Admin Users - Admin accounts and admin players with their roles
+ */
+const listAdminUsers = async (req, res) => {
+  try {
+    const [admins, playerAdmins] = await Promise.all([
+      Admin.findAll({ order: [['account_id', 'ASC']] }),
+      Player.findAll({
+        where: { is_admin: true },
+        attributes: ['id', 'username', 'email', 'status', 'admin_role'],
+        order: [['username', 'ASC']]
+      })
+    ]);
+
+    res.render('admin/users/list', {
+      title: 'Admin Users - Admin Panel',
+      admin: req.admin,
+      admins: admins.map(entry => entry.getSafeData()),
+      playerAdmins: playerAdmins.map(entry => entry.get({ plain: true })),
+      roles: ADMIN_ROLES,
+      roleLabels: ROLE_LABELS,
+      rolePermissions: Object.fromEntries(ADMIN_ROLES.map(role => [role, getRolePermissions(role)])),
+      permissions: PERMISSIONS,
+      passwordMinLength: Admin.PASSWORD_MIN_LENGTH,
+      message: req.query.message,
+      error: req.query.error
+    });
+  } catch (error) {
+    logger.error('Admin list users error', { error: error.message, admin_id: req.admin.id });
+
+    res.render('admin/error', {
+      title: 'Admin Users Error',
+      error: 'Failed to load admin users',
+      message: 'Please try again'
+    });
+  }
+};
+
+/**
+ * Admin Users - Create an admin account
+ */
+const createAdminUser = async (req, res) => {
+  const { account_id, password, role } = req.body;
+  try {
+    if (await Admin.findOne({ where: { account_id } })) {
+      return sendAdminUserResult(req, res, 409, { error: 'Account ID already exists', code: 'ADMIN_EXISTS' });
+    }
+
+    const created = await Admin.createAccount({ account_id, password, role });
+    await logAdminUserChange(req, 'permission_change', { action: 'create_admin', admin_account: account_id, role });
+
+    logger.info('Admin account created', { admin_id: req.admin.id, created_admin_id: created.id, role });
+
+    sendAdminUserResult(req, res, 201, {
+      success: true,
+      message: `Admin ${account_id} created as ${ROLE_LABELS[role]}`,
+      admin: created.getSafeData()
+    });
+  } catch (error) {
+    logger.error('Admin create user error', { error: error.message, admin_id: req.admin.id, account_id });
+
+    sendAdminUserResult(req, res, 500, { error: 'Failed to create admin account', code: 'ADMIN_CREATE_FAILED' });
+  }
+};
+
+/**
+ * Admin Users - Change an admin account's role or status
+ * Admins cannot change their own account, and the last active superadmin stays one.
+ */
+const updateAdminUser = async (req, res) => {
+  const { id } = req.params;
+  try {
+    const target = await Admin.findByPk(id);
+    if (!target) {
+      return sendAdminUserResult(req, res, 404, { error: 'Admin not found', code: 'ADMIN_NOT_FOUND' });
+    }
+    if (target.id === req.admin.id) {
+      return sendAdminUserResult(req, res, 409, {
+        error: 'You cannot change your own role or status',
+        code: 'ADMIN_SELF_CHANGE'
+      });
+    }
+
+    const role = req.body.role || target.role;
+    const status = req.body.status || target.status;
+    const losesSuperadmin = target.role === 'superadmin' && target.isActive() &&
+      (role !== 'superadmin' || status !== 'active');
+    if (losesSuperadmin && !(await hasOtherSuperadmin(target.id))) {
+      return sendAdminUserResult(req, res, 409, {
+        error: 'At least one active superadmin is required',
+        code: 'LAST_SUPERADMIN'
+      });
+    }
+
+    const previous = { role: target.role, status: target.status };
+    await target.update({ role, status });
+    await logAdminUserChange(req, 'permission_change', {
+      action: 'update_admin',
+      admin_account: target.account_id,
+      previous,
+      role,
+      status
+    });
+
+    logger.info('Admin account updated', { admin_id: req.admin.id, target_admin_id: target.id, previous, role, status });
+
+    sendAdminUserResult(req, res, 200, {
+      success: true,
+      message: `Admin ${target.account_id} is now ${ROLE_LABELS[role]} (${status})`,
+      admin: target.getSafeData()
+    });
+  } catch (error) {
+    logger.error('Admin update user error', { error: error.message, admin_id: req.admin.id, target_admin_id: id });
+
+    sendAdminUserResult(req, res, 500, { error: 'Failed to update admin account', code: 'ADMIN_UPDATE_FAILED' });
+  }
+};
+
+/**
+ * Admin Users - Set a new password for an admin account
+ */
+const resetAdminPassword = async (req, res) => {
+  const { id } = req.params;
+  try {
+    const target = await Admin.findByPk(id);
+    if (!target) {
+      return sendAdminUserResult(req, res, 404, { error: 'Admin not found', code: 'ADMIN_NOT_FOUND' });
+    }
+
+    await target.setPassword(req.body.password);
+    await target.save();
+    await logAdminUserChange(req, 'password_reset', { action: 'reset_admin_password', admin_account: target.account_id });
+
+    logger.info('Admin password reset', { admin_id: req.admin.id, target_admin_id: target.id });
+
+    sendAdminUserResult(req, res, 200, { success: true, message: `Password of ${target.account_id} reset` });
+  } catch (error) {
+    logger.error('Admin reset password error', { error: error.message, admin_id: req.admin.id, target_admin_id: id });
+
+    sendAdminUserResult(req, res, 500, { error: 'Failed to reset password', code: 'ADMIN_PASSWORD_RESET_FAILED' });
+  }
+};
+
+/**
+ * Admin Users - Set the role of an admin player (wallet admin endpoints); empty role revokes all permissions
+ */
+const setPlayerAdminRole = async (req, res) => {
+  const { id } = req.params;
+  const role = req.body.admin_role || null;
+  try {
+    const player = await Player.findByPk(id);
+    if (!player || !player.is_admin) {
+      return sendAdminUserResult(req, res, 404, { error: 'Admin player not found', code: 'PLAYER_NOT_FOUND' });
+    }
+
+    const previous = player.admin_role || null;
+    await player.update({ admin_role: role });
+    await logAdminUserChange(req, 'permission_change', {
+      action: 'set_player_admin_role',
+      previous,
+      role
+    }, player.id);
+
+    logger.info('Admin player role changed', { admin_id: req.admin.id, player_id: player.id, previous, role });
+
+    sendAdminUserResult(req, res, 200, {
+      success: true,
+      message: role
+        ? `${player.username} is now ${ROLE_LABELS[role]}`
+        : `${player.username} no longer has an admin role`,
+      player: player.getSafeData()
+    });
+  } catch (error) {
+    logger.error('Admin set player role error', { error: error.message, admin_id: req.admin.id, player_id: id });
+
+    sendAdminUserResult(req, res, 500, { error: 'Failed to change admin role', code: 'ADMIN_ROLE_CHANGE_FAILED' });
+  }
+};
+
+/**
+ * Admin Users - Require (or stop requiring) two-factor authentication for an admin account
+ */
+const setAdminTwoFactorRequired = async (req, res) => {
+  const { id } = req.params;
+  const required = req.body.required === true || req.body.required === 'true';
+  try {
+    const target = await Admin.findByPk(id);
+    if (!target) {
+      return sendAdminUserResult(req, res, 404, { error: 'Admin not found', code: 'ADMIN_NOT_FOUND' });
+    }
+
+    await adminTwoFactorService.setRequired(target, required, req.admin.id, { ip: req.ip, userAgent: req.get('User-Agent') });
+
+    sendAdminUserResult(req, res, 200, {
+      success: true,
+      message: required
+        ? `${target.account_id} must use two-factor authentication`
+        : `${target.account_id} may sign in without two-factor authentication`,
+      admin: target.getSafeData()
+    });
+  } catch (error) {
+    logger.error('Admin set 2FA requirement error', { error: error.message, admin_id: req.admin.id, target_admin_id: id });
+
+    sendAdminUserResult(req, res, 500, { error: 'Failed to change the 2FA requirement', code: 'ADMIN_2FA_UPDATE_FAILED' });
+  }
+};
+
+/**
+ * Admin Users - Remove another admin's 2FA enrollment (lost device)
+ * Admins turn off their own 2FA from /admin/2fa, with a code.
+ */
+const resetAdminTwoFactor = async (req, res) => {
+  const { id } = req.params;
+  try {
+    const target = await Admin.findByPk(id);
+    if (!target) {
+      return sendAdminUserResult(req, res, 404, { error: 'Admin not found', code: 'ADMIN_NOT_FOUND' });
+    }
+    if (target.id === req.admin.id) {
+      return sendAdminUserResult(req, res, 409, {
+        error: 'Turn off your own two-factor authentication from the 2FA page',
+        code: 'ADMIN_SELF_CHANGE'
+      });
+    }
+
+    await adminTwoFactorService.reset(target, req.admin.id, { ip: req.ip, userAgent: req.get('User-Agent') });
+
+    sendAdminUserResult(req, res, 200, {
+      success: true,
+      message: `Two-factor authentication of ${target.account_id} reset`,
+      admin: target.getSafeData()
+    });
+  } catch (error) {
+    logger.error('Admin reset 2FA error', { error: error.message, admin_id: req.admin.id, target_admin_id: id });
+
+    sendAdminUserResult(req, res, 500, { error: 'Failed to reset two-factor authentication', code: 'ADMIN_2FA_RESET_FAILED' });
+  }
+};
+
+/**
+ * Player Management - Assign an RTP profile to a player (null restores the operator/default profile)
+ * Takes effect from the player's next session; the current session keeps its profile.
+ */
+const setPlayerRtpProfile = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const rtpProfile = req.body.rtp_profile || null;
+
+    const player = await Player.findByPk(id);
+    if (!player) {
+      return res.status(404).json({
+        error: 'Player not found',
+        code: 'PLAYER_NOT_FOUND'
+      });
+    }
+
+    const previousProfile = player.rtp_profile || null;
+    await player.update({ rtp_profile: rtpProfile });
+
+    await AdminLog.logSuccess({
+      admin_id: req.admin.id,
+      action_type: 'configuration_change',
+      target_player_id: player.id,
+      details: {
+        component: 'rtp_profile',
+        previous_rtp_profile: previousProfile,
+        new_rtp_profile: rtpProfile,
+        reason: req.body.reason || null
+      },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'high'
+    });
+
+    logger.info('Player RTP profile changed by admin', {
+      admin_id: req.admin.id,
+      player_id: player.id,
+      previous_rtp_profile: previousProfile,
+      new_rtp_profile: rtpProfile
+    });
+
+    res.json({
+      success: true,
+      message: 'RTP profile updated; it applies from the player\'s next session',
+      player: player.getSafeData()
+    });
+  } catch (error) {
+    logger.error('Admin set RTP profile error', {
+      error: error.message,
+      admin_id: req.admin.id,
+      player_id: req.params.id
+    });
+
+    res.status(500).json({
+      error: 'Failed to update RTP profile',
+      code: 'RTP_PROFILE_UPDATE_FAILED'
+    });
+  }
+};
+
+/**
+ * Player Management - Export Player Transactions
+ */
+const exportPlayerTransactions = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const player = await Player.findByPk(id);
+    if (!player) {
+      return res.status(404).json({
+        error: 'Player not found',
+        code: 'PLAYER_NOT_FOUND'
+      });
+    }
+
+    // Get all transactions for export
+    const transactions = await Transaction.findAll({
+      where: { player_id: id },
+      order: [['created_at', 'DESC']],
+      limit: 10000 // Reasonable limit for export
+    });
+
+    // Generate CSV
+    const csvHeaders = 'Date,Type,Amount,Status,Reference,Description\n';
+    const csvRows = transactions.map(t => {
+      const date = new Date(t.created_at).toISOString();
+      const type = t.transaction_type;
+      const amount = parseFloat(t.amount).toFixed(2);
+      const status = t.status;
+      const reference = t.reference_id || '';
+      const description = (t.description || '').replace(/"/g, '""');
+
+      return `"${date}","${type}","${amount}","${status}","${reference}","${description}"`;
+    }).join('\n');
+
+    const csvContent = csvHeaders + csvRows;
+
+    // Log the export
+    await AdminLog.logSuccess({
+      admin_id: req.admin.id,
+      action_type: 'data_export',
+      target_player_id: player.id,
+      details: {
+        export_type: 'transactions',
+        record_count: transactions.length
+      },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'medium'
+    });
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="transactions-${player.username}-${Date.now()}.csv"`);
+    res.send(csvContent);
+
+  } catch (error) {
+    logger.error('Export player transactions error', {
+      error: error.message,
+      admin_id: req.admin.id,
+      player_id: req.params.id
+    });
+
+    res.status(500).json({
+      error: 'Failed to export transactions',
+      code: 'EXPORT_FAILED'
+    });
+  }
+};
+
+/**
+ * Player Management - Export Player Game History
+ */
+const exportPlayerGameHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const player = await Player.findByPk(id);
+    if (!player) {
+      return res.status(404).json({
+        error: 'Player not found',
+        code: 'PLAYER_NOT_FOUND'
+      });
+    }
+
+    // Get all spin results for export
+    const spins = await SpinResult.findAll({
+      where: { player_id: id },
+      order: [['created_at', 'DESC']],
+      limit: 10000 // Reasonable limit for export
+    });
+
+    // Generate CSV
+    const csvHeaders = 'Date,Bet Amount,Payout Amount,Multiplier,Session ID,Free Spin,Bonus,Complete,RNG Seed\n';
+    const csvRows = spins.map(s => {
+      const date = new Date(s.created_at).toISOString();
+      const betAmount = parseFloat(s.bet_amount).toFixed(2);
+      const payoutAmount = parseFloat(s.payout_amount).toFixed(2);
+      const multiplier = parseFloat(s.bet_amount) > 0 ? (parseFloat(s.payout_amount) / parseFloat(s.bet_amount)).toFixed(2) : '0.00';
+      const sessionId = s.session_id || '';
+      const freeSpin = s.is_free_spin ? 'Yes' : 'No';
+      const bonus = s.has_bonus ? 'Yes' : 'No';
+      const complete = s.is_complete ? 'Yes' : 'No';
+      const rngSeed = s.rng_seed || '';
+
+      return `"${date}","${betAmount}","${payoutAmount}","${multiplier}","${sessionId}","${freeSpin}","${bonus}","${complete}","${rngSeed}"`;
+    }).join('\n');
+
+    const csvContent = csvHeaders + csvRows;
+
+    // Log the export
+    await AdminLog.logSuccess({
+      admin_id: req.admin.id,
+      action_type: 'data_export',
+      target_player_id: player.id,
+      details: {
+        export_type: 'game_history',
+        record_count: spins.length
+      },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'medium'
+    });
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="game-history-${player.username}-${Date.now()}.csv"`);
+    res.send(csvContent);
+
+  } catch (error) {
+    logger.error('Export player game history error', {
+      error: error.message,
+      admin_id: req.admin.id,
+      player_id: req.params.id
+    });
+
+    res.status(500).json({
+      error: 'Failed to export game history',
+      code: 'EXPORT_FAILED'
+    });
+  }
+};
+
+/**
+ * API Metrics Endpoint
+ * Provides comprehensive dashboard metrics for real-time monitoring
+ */
+const getMetrics = async (req, res) => {
+  try {
+    const { timeframe = '24h', currency } = req.query;
+
+    // Get comprehensive metrics from metrics service
+    const metrics = await metricsService.getDashboardMetrics(timeframe, { currency });
+
+    // Log metrics access
+    await AdminLog.logSuccess({
+      admin_id: req.admin.id,
+      action_type: 'metrics_access',
+      details: {
+        timeframe: timeframe,
+        sections_accessed: ['overview', 'financial', 'game', 'player', 'system', 'rtp', 'compliance']
+      },
+      ip_address: req.ip,
+      user_agent: req.get('User-Agent'),
+      severity: 'low'
+    });
+
+    res.json({
+      success: true,
+      metrics: metrics,
+      timestamp: new Date().toISOString(),
+      admin: {
+        id: req.admin.id,
+        username: req.admin.username
+      }
     });
 
   } catch (error) {
@@ -1230,12 +2646,12 @@ const getRealtimeMetrics = async (req, res) => {
  */
 const getRTPMetrics = async (req, res) => {
   try {
-    const { timeframe = '24h' } = req.query;
-    const metrics = await metricsService.getDashboardMetrics(timeframe);
+    const { timeframe = '24h', currency } = req.query;
+    const rtp = await metricsService.getRTPMetrics(timeframe, { currency });
 
     res.json({
       success: true,
-      rtp: metrics.rtp,
+      rtp,
       timestamp: new Date().toISOString()
     });
 
@@ -1436,7 +2852,14 @@ module.exports = {
   dashboard,
   loginPage,
   processLogin,
+  processTwoFactorLogin,
   logout,
+  twoFactorPage,
+  startTwoFactorEnrollment,
+  confirmTwoFactorEnrollment,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+  confirmStepUp,
   listPlayers,
   viewPlayer,
   suspendPlayer,
@@ -1444,10 +2867,40 @@ module.exports = {
   adjustCredits,
   banPlayer,
   sendNotification,
+  setPlayerRtpProfile,
   getPlayerTransactions,
   getPlayerGameHistory,
   exportPlayerTransactions,
   exportPlayerGameHistory,
+  replaySpin,
+  listMathModels,
+  getMathModel,
+  stageMathModel,
+  activateMathModel,
+  rollbackMathModel,
+  listJackpots,
+  updateJackpotTier,
+  settlePendingJackpots,
+  listReviewQueue,
+  getReviewCase,
+  listCases,
+  viewCase,
+  assignCase,
+  addCaseNote,
+  resolveCase,
+  listCreditApprovals,
+  getCreditApprovals,
+  approveCreditAdjustment,
+  rejectCreditAdjustment,
+  listAdminUsers,
+  createAdminUser,
+  updateAdminUser,
+  resetAdminPassword,
+  setPlayerAdminRole,
+  setAdminTwoFactorRequired,
+  resetAdminTwoFactor,
+  getPlayerRiskScores,
+  rescorePlayer,
   viewAuditLogs,
   // Metrics API endpoints
   getMetrics,
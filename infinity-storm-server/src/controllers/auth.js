@@ -83,7 +83,7 @@ class AuthController {
      */
   async createSession(req, res) {
     try {
-      const { token, ip_address, user_agent } = req.body;
+      const { token, ip_address, user_agent, operator_id } = req.body;
 
       if (!token) {
         return res.status(400).json({
@@ -110,11 +110,19 @@ class AuthController {
         token,
         {
           ip_address: ip_address || req.ip,
-          user_agent: user_agent || req.get('User-Agent')
+          user_agent: user_agent || req.get('User-Agent'),
+          operator_id
         }
       );
 
       if (!sessionResult.success) {
+        if (sessionResult.code === 'SELF_EXCLUDED') {
+          return res.status(403).json({
+            error: 'Account restricted',
+            code: 'SELF_EXCLUDED',
+            message: sessionResult.error
+          });
+        }
         return res.status(400).json({
           error: 'Session creation failed',
           code: 'SESSION_CREATION_ERROR',
@@ -724,10 +732,23 @@ class AuthController {
           is_admin: player.is_admin,
           is_demo: player.is_demo,
           ip_address: req.ip,
-          user_agent: req.get('User-Agent')
+          user_agent: req.get('User-Agent'),
+          operator_id: req.body.operator_id
         }
       );
 
+      if (sessionResult.code === 'SELF_EXCLUDED') {
+        logger.warn('Login refused for self-excluded player', {
+          player_id: player.id,
+          ip: req.ip
+        });
+        return res.status(403).json({
+          error: 'Account restricted',
+          code: 'SELF_EXCLUDED',
+          message: sessionResult.error
+        });
+      }
+
       if (!sessionResult.success) {
         console.error('[LOGIN] Session creation failed:', sessionResult.error);
         return res.status(500).json({
@@ -23,6 +23,18 @@ const AntiCheat = require('../game/antiCheat');
 const AuditLogger = require('../game/auditLogger');
 const walletLedger = require('../services/walletLedger');
 const financialLogger = require('../services/financialTransactionLogger');
+const fairnessService = require('../services/fairnessService');
+const SpinReplay = require('../game/spinReplay');
+const mathModelService = require('../services/mathModelService');
+const jackpotService = require('../services/jackpotService');
+const { getWalletProvider } = require('../services/walletProvider');
+const spinRoundService = require('../services/spinRoundService');
+const serverMetrics = require('../services/serverMetrics');
+const rtpMonitor = require('../services/rtpMonitor');
+const reviewCaseService = require('../services/reviewCaseService');
+const autoplayService = require('../services/autoplayService');
+const { DEFAULT_RTP_PROFILE, isRtpProfile } = require('../game/rtpProfiles');
+const { resolveCurrency, validateBetAmount } = require('../config/currencies');
 const { Player, Transaction, SpinResult } = require('../models');
 const { pool } = require('../db/pool');
 const { logger } = require('../utils/logger.js');
@@ -45,6 +57,10 @@ class GameController {
       errorRate: 0,
       lastResetTime: Date.now()
     };
+    serverMetrics.watch({ rng: this.gameEngine.rng, antiCheat: this.antiCheat, auditLogger: this.auditLogger });
+    serverMetrics.watch({ antiCheat: this.stateManager.antiCheat });
+    reviewCaseService.watchAntiCheat(this.antiCheat);
+    reviewCaseService.watchAntiCheat(this.stateManager.antiCheat);
   }
 
   /**
@@ -69,8 +85,11 @@ class GameController {
       const playerId = (req.user?.id === 'demo-player') ? 'demo-player' : req.user.id;
       const sessionId = (req.session_info?.id === 'demo-session') ? 'demo-session' : req.session_info.id;
 
+      // Currency the session was opened in; bets are checked against its ladder
+      const currency = resolveCurrency(req.session_info?.currency, req.user?.currency);
+
       // Input validation
-      const validation = this.validateSpinRequest(req.body, req.user);
+      const validation = this.validateSpinRequest(req.body, req.user, currency);
       if (!validation.valid) {
         await this.auditLogger.logSpinError(playerId, spinId, 'validation_failed', validation.errors);
         return res.status(400).json({
@@ -115,6 +134,14 @@ class GameController {
 
       // Start database transaction for atomic operations (skip in fallback mode)
       let client;
+      // Bets go through the configured wallet provider (see services/walletProvider.js).
+      // A remote (seamless) debit is outside our pg transaction, so a spin that fails
+      // before COMMIT has its debit rolled back at the operator in the finally below.
+      // The round's wallet state is tracked by spinRoundService for reconciliation.
+      const walletProvider = getWalletProvider();
+      let betTransaction = null;
+      let spinRound = null;
+      let spinCommitted = false;
 
       try {
         // In fallback mode, create a dummy client for transactions
@@ -253,8 +280,18 @@ class GameController {
         });
         // NOTE: We no longer log or use client-sent free spins values - server is authoritative
 
-        // Process bet transaction using wallet ledger (skip during free spins or demo)
-        let betTransaction = null;
+        // Open the spin round before any money moves (normal mode, real players)
+        if (!skipRedis && !player.is_demo) {
+          spinRound = await spinRoundService.openRound({
+            spinId,
+            playerId,
+            sessionId,
+            betAmount: serverFreeSpinsActive ? 0 : normalizedBetAmount,
+            walletMode: walletProvider.mode
+          });
+        }
+
+        // Process bet transaction using the wallet provider (skip during free spins or demo)
         console.log('[GameController] Step 4: Bet processing - is_demo:', player.is_demo, 'skipRedis:', skipRedis, 'will skip bet:', player.is_demo || serverFreeSpinsActive);
         if (!player.is_demo && !serverFreeSpinsActive) {
           try {
@@ -300,14 +337,22 @@ class GameController {
                 console.error('[FinancialLog] Exception logging bet:', logError.message);
               }
             } else {
-              // Use wallet ledger in normal mode
-              betTransaction = await walletLedger.processBet({
+              // Use the wallet provider in normal mode
+              betTransaction = await walletProvider.debit({
                 client,
                 playerId,
                 amount: normalizedBetAmount,
+                currency,
+                referenceId: spinId,
+                sessionId,
                 description: `Spin bet of ${normalizedBetAmount} credits`
               });
               player.credits = betTransaction.balance.current;
+              await spinRoundService.markBetTaken({
+                client: walletProvider.isRemote ? null : client,
+                spinId,
+                transactionId: betTransaction.transaction.id
+              });
 
               // Log financial transaction
               try {
@@ -343,6 +388,30 @@ class GameController {
           }
         }
 
+        // Progressive jackpots grow from every paid bet. In normal mode the contribution
+        // (and any tier it wins) commits with the spin; awards are credited after commit.
+        let jackpotResult = null;
+        if (!player.is_demo && !serverFreeSpinsActive) {
+          try {
+            jackpotResult = await jackpotService.contribute({
+              client: skipRedis ? null : client,
+              playerId,
+              betAmount: normalizedBetAmount,
+              spinId
+            });
+          } catch (jackpotError) {
+            if (!skipRedis) {
+              await client.query('ROLLBACK');
+              throw jackpotError;
+            }
+            logger.warn('[GameController] Jackpot contribution skipped (fallback mode)', {
+              player_id: playerId,
+              spin_id: spinId,
+              error: jackpotError.message
+            });
+          }
+        }
+
         // Process spin with game engine
         // SERVER IS THE SOLE AUTHORITY - use only server state, never client values
         const effectiveFreeSpinsActive = serverFreeSpinsActive;
@@ -358,17 +427,39 @@ class GameController {
           accumulatedMultiplier: effectiveAccumulatedMultiplier,
           quickSpinMode: Boolean(quickSpinMode),
           bonusMode: Boolean(bonusMode),
-          spinId
+          spinId,
+          // RTP profile the session was bound to at creation (see sessionManager.createSession)
+          rtpProfile: isRtpProfile(req.session_info?.rtp_profile) ? req.session_info.rtp_profile : DEFAULT_RTP_PROFILE
         };
 
+        // Provably fair: derive the rng seed from the player's committed seed pair.
+        // If the seed store is unavailable the spin still proceeds with a random seed,
+        // but it will not be verifiable through /api/fairness/verify.
+        let fairness = null;
+        if (fairnessService.isEligiblePlayer(playerId)) {
+          try {
+            fairness = await fairnessService.reserveSpinSeed(playerId);
+            spinRequest.rngSeed = fairness.rngSeed;
+          } catch (fairnessError) {
+            logger.warn('[GameController] Fairness seed unavailable, using unseeded spin', {
+              player_id: playerId,
+              spin_id: spinId,
+              error: fairnessError.message
+            });
+          }
+        }
+
         console.log('[GameController] Spin request to engine (SERVER STATE):', {
           freeSpinsActive: effectiveFreeSpinsActive,
           freeSpinsRemaining: effectiveFreeSpinsRemaining,
           accumulatedMultiplier: effectiveAccumulatedMultiplier
         });
 
+        // Spins are played with the engine for the profile's active math model (see mathModelService)
+        const gameEngine = await mathModelService.getActiveEngine(spinRequest.rtpProfile);
+
         console.log('[GameController] Step 6: About to call gameEngine.processCompleteSpin');
-        const spinResult = await this.gameEngine.processCompleteSpin(spinRequest);
+        const spinResult = await gameEngine.processCompleteSpin(spinRequest);
         console.log('[GameController] Step 7: Spin result received, totalWin:', spinResult.totalWin);
         if (clientRequestId) {
           spinResult.clientRequestId = clientRequestId;
@@ -383,7 +474,7 @@ class GameController {
         const isLoopback = hostname === '127.0.0.1' || hostname === 'localhost' || req.ip === '::1' || req.ip?.includes('127.');
 
         if (!skipRedis && !disableValidation && !isLoopback) {
-          resultValidation = this.gameEngine.validateGameResult(spinResult);
+          resultValidation = gameEngine.validateGameResult(spinResult);
           console.log('[GameController] Step 7.2: Validation result:', resultValidation.valid);
           if (!resultValidation.valid) {
             if (!skipRedis) {
@@ -403,9 +494,10 @@ class GameController {
           resultValidation = { valid: true, sessionRTP: null };
         }
 
-        // Credit winnings using wallet ledger (if any)
+        // Credit winnings using the wallet provider (if any). Seamless wins are sent
+        // after COMMIT so the operator is never paid for a spin we did not record.
         let winTransaction = null;
-        if (spinResult.totalWin > 0 && !player.is_demo) {
+        if (spinResult.totalWin > 0 && !player.is_demo && !walletProvider.isRemote) {
           try {
             if (skipRedis) {
               // Direct Supabase credit in fallback mode
@@ -440,11 +532,14 @@ class GameController {
                 console.error('[FinancialLog] Exception logging win:', logError.message);
               }
             } else {
-              // Use wallet ledger in normal mode
-              winTransaction = await walletLedger.processWin({
+              // Use the wallet provider in normal mode
+              winTransaction = await walletProvider.credit({
                 client,
                 playerId,
                 amount: spinResult.totalWin,
+                currency,
+                referenceId: spinId,
+                sessionId,
                 description: `Spin win of ${spinResult.totalWin} credits`
               });
               player.credits = winTransaction.balance.current;
@@ -598,6 +693,10 @@ class GameController {
         }
 
         const cascadesPayload = spinResult.cascadeSteps || spinResult.cascades || [];
+        const replayContext = SpinReplay.buildReplayContext(spinRequest, spinResult);
+        const stripVersion = replayContext.reelStrips ? replayContext.reelStrips.stripVersion : null;
+        const mathModelId = spinResult.metadata?.mathModel?.id || null;
+        const rtpProfile = spinResult.rtpProfile || spinRequest.rtpProfile;
         
         // Extract and format multipliers from bonusFeatures for database storage
         const multipliersPayload = (spinResult.bonusFeatures?.randomMultipliers || []).map(rm => ({
@@ -638,41 +737,77 @@ class GameController {
 
           if (dupeCheck.rows && dupeCheck.rows.length > 0) {
             savedSpinUuid = dupeCheck.rows[0].id;
-            await client.query('COMMIT');
           } else {
             const insertRes = await client.query(
-            `
-              INSERT INTO spin_results (
-                player_id,
-                session_id,
-                bet_amount,
-                initial_grid,
-                cascades,
-                total_win,
-                multipliers_applied,
-                rng_seed,
-                game_mode
-              )
-              VALUES ($1, $2, $3, $4::jsonb, $5::jsonb, $6, $7::jsonb, $8, $9)
-              RETURNING id
-            `,
-            [
-              playerId,
-              validSessionId,
-              normalizedBetAmount,
-              JSON.stringify(spinResult.initialGrid || []),
-              JSON.stringify(cascadesPayload),
-              spinResult.totalWin,
-              JSON.stringify(multipliersPayload),
-              spinResult.rngSeed,
-              spinGameMode || 'base'
-            ]
-          );
+              `
+                INSERT INTO spin_results (
+                  player_id,
+                  session_id,
+                  bet_amount,
+                  initial_grid,
+                  cascades,
+                  total_win,
+                  multipliers_applied,
+                  rng_seed,
+                  game_mode,
+                  fairness_seed_id,
+                  fairness_nonce,
+                  strip_version,
+                  replay_context,
+                  math_model_id,
+                  rtp_profile
+                )
+                VALUES ($1, $2, $3, $4::jsonb, $5::jsonb, $6, $7::jsonb, $8, $9, $10, $11, $12, $13::jsonb, $14, $15)
+                RETURNING id
+              `,
+              [
+                playerId,
+                validSessionId,
+                normalizedBetAmount,
+                JSON.stringify(spinResult.initialGrid || []),
+                JSON.stringify(cascadesPayload),
+                spinResult.totalWin,
+                JSON.stringify(multipliersPayload),
+                spinResult.rngSeed,
+                spinGameMode || 'base',
+                fairness ? fairness.seedPairId : null,
+                fairness ? fairness.nonce : null,
+                stripVersion,
+                JSON.stringify(replayContext),
+                mathModelId,
+                rtpProfile
+              ]
+            );
 
             savedSpinUuid = insertRes?.rows?.[0]?.id || null;
-            // Commit transaction
-            await client.query('COMMIT');
           }
+
+          // The round's spin result commits with the spin. Transfer rounds settle here too;
+          // seamless rounds settle once the operator has credited the win.
+          if (spinRound) {
+            if (walletProvider.isRemote) {
+              await spinRoundService.attachSpinResult({
+                client,
+                spinId,
+                spinResultId: savedSpinUuid,
+                winAmount: spinResult.totalWin
+              });
+            } else {
+              await spinRoundService.markSettled({
+                client,
+                spinId,
+                fields: {
+                  spin_result_id: savedSpinUuid,
+                  win_amount: spinResult.totalWin,
+                  win_transaction_id: winTransaction?.transaction?.id ? String(winTransaction.transaction.id) : null
+                }
+              });
+            }
+          }
+
+          // Commit transaction
+          await client.query('COMMIT');
+          spinCommitted = true;
         } else {
           logger.info('[GameController] Persist path: Supabase SDK (fallback mode)', { rngSeed: spinResult.rngSeed });
           // Fallback path (no Redis): use Supabase SDK to persist and return UUID
@@ -717,7 +852,13 @@ class GameController {
               rngSeed: spinResult.rngSeed,
               freeSpinsActive: isFreeSpinMode,
               freeSpinsRemaining: effectiveFreeSpinsRemaining,
-              bonusMode: Boolean(bonusMode)
+              bonusMode: Boolean(bonusMode),
+              fairnessSeedId: fairness ? fairness.seedPairId : null,
+              fairnessNonce: fairness ? fairness.nonce : null,
+              stripVersion,
+              replayContext,
+              mathModelId,
+              rtpProfile
             });
             if (saveRes && saveRes.success) {
               savedSpinUuid = saveRes.spinResultId || null;
@@ -731,8 +872,9 @@ class GameController {
           }
         }
 
-        // Backfill transaction references with the real spin UUID (only if valid)
-        if (!skipRedis && savedSpinUuid) {
+        // Backfill transaction references with the real spin UUID (only if valid).
+        // Seamless transactions live at the operator and carry the spin ID already.
+        if (!skipRedis && savedSpinUuid && !walletProvider.isRemote) {
           try {
             if (betTransaction?.transaction?.id) {
               await walletLedger.linkTransactionToSpin({
@@ -753,11 +895,68 @@ class GameController {
           }
         }
 
+        // Credit seamless wins now that the spin is committed, then settle the round. A failed
+        // credit leaves the round open for spinRoundService.reconcile, which resends it with the
+        // same idempotency key (credit:<spinId>), so it cannot pay twice.
+        if (!skipRedis && walletProvider.isRemote && spinRound) {
+          try {
+            if (spinResult.totalWin > 0) {
+              winTransaction = await walletProvider.credit({
+                playerId,
+                amount: spinResult.totalWin,
+                currency,
+                referenceId: spinId,
+                sessionId,
+                description: `Spin win of ${spinResult.totalWin} credits`
+              });
+              await financialLogger.logWinPayout(
+                playerId,
+                spinResult.totalWin,
+                winTransaction.balance.previous,
+                winTransaction.balance.current,
+                spinId
+              );
+            }
+            await spinRoundService.markSettled({
+              spinId,
+              fields: {
+                win_transaction_id: winTransaction?.transaction?.id ? String(winTransaction.transaction.id) : null
+              }
+            });
+          } catch (creditError) {
+            await spinRoundService.recordError(spinId, creditError.message);
+            logger.error('[GameController] Seamless win credit failed', {
+              player_id: playerId,
+              spin_id: spinId,
+              amount: spinResult.totalWin,
+              retryable: Boolean(creditError.retryable),
+              error: creditError.message
+            });
+          }
+        }
+
+        // Credit jackpot awards now that the spin (and the award rows) are committed.
+        // A failed settlement leaves the award pending for jackpotService.settlePendingAwards.
+        const jackpotWins = [];
+        for (const award of jackpotResult?.awards || []) {
+          try {
+            const paid = await jackpotService.settleAward(award.id);
+            jackpotWins.push({ awardId: paid.id, tier: paid.tier, amount: paid.amount, status: paid.status });
+          } catch {
+            jackpotWins.push({ awardId: award.id, tier: award.tier, amount: award.amount, status: 'pending' });
+          }
+        }
+
         // Get current balance for response
         let currentBalance = null;
         if (!player.is_demo) {
           try {
-            const balanceInfo = await walletLedger.getBalance(playerId);
+            const lastWalletResult = walletProvider.isRemote && jackpotWins.length === 0
+              ? (winTransaction || betTransaction)
+              : null;
+            const balanceInfo = lastWalletResult
+              ? { balance: lastWalletResult.balance.current }
+              : await walletProvider.getBalance({ playerId });
             currentBalance = balanceInfo.balance;
           } catch (balanceError) {
             logger.warn('Failed to get current balance for response', {
@@ -771,6 +970,27 @@ class GameController {
 
         // Update performance metrics
         this.updateSpinMetrics(Date.now() - startTime, true);
+        serverMetrics.recordSpin({
+          rtpProfile,
+          currency,
+          gameMode: effectiveFreeSpinsActive ? 'free_spins' : 'base',
+          stake: effectiveFreeSpinsActive ? 0 : spinResult.betAmount,
+          win: spinResult.totalWin,
+          cascades: Array.isArray(spinResult.cascadeSteps) ? spinResult.cascadeSteps.length : 0,
+          realMoney: !player.is_demo
+        });
+        if (!player.is_demo) {
+          // Fire-and-forget: drift monitoring must not delay or fail the spin
+          rtpMonitor.recordSpin({
+            playerId,
+            mathModelId,
+            currency,
+            betAmount: spinResult.betAmount,
+            win: spinResult.totalWin,
+            freeSpin: effectiveFreeSpinsActive,
+            freeSpinsNext: stateResult.gameState.game_mode === 'free_spins'
+          }).catch(error => logger.warn('RTP monitor failed to record spin', { spin_id: spinId, error: error.message }));
+        }
 
         // Log successful spin
         await this.auditLogger.logSpinCompleted(playerId, spinId, spinResult, {
@@ -806,6 +1026,30 @@ class GameController {
           || effectiveAccumulatedMultiplier
           || stateResult.gameState.accumulated_multiplier;
 
+        // Count the spin against its autoplay session; free spins are not autoplay spins
+        let autoplay = null;
+        if (req.body.autoplaySessionId && !effectiveFreeSpinsActive) {
+          // Session ended elsewhere, or the spin could not be counted: the client stops autoplay
+          const autoplayEnded = { sessionId: req.body.autoplaySessionId, active: false, stopReason: null, message: 'Autoplay stopped' };
+          try {
+            autoplay = await autoplayService.recordSpin({
+              playerId,
+              sessionId: req.body.autoplaySessionId,
+              betAmount: spinResult.betAmount,
+              win: spinResult.totalWin,
+              freeSpinsTriggered
+            }) || autoplayEnded;
+          } catch (autoplayError) {
+            logger.error('Failed to record autoplay spin', {
+              player_id: playerId,
+              spin_id: spinId,
+              autoplay_session_id: req.body.autoplaySessionId,
+              error: autoplayError.message
+            });
+            autoplay = autoplayEnded;
+          }
+        }
+
         // DEBUG: Log accumulated multiplier and free spins retrigger
         if (freeSpinsActiveNext || freeSpinsEnded) {
           console.log('🎰 [GAME CONTROLLER] FREE SPINS RESPONSE DEBUG:', {
@@ -848,17 +1092,27 @@ class GameController {
           nextSpinAccumulatedMultiplier: stateResult.gameState.accumulated_multiplier, // The multiplier for the NEXT spin (1 if free spins ended)
           playerCredits: player.is_demo ? null : currentBalance,
           balance: player.is_demo ? null : currentBalance,
+          currency,
           rngSeed: spinResult.rngSeed,
+          fairness: fairness ? {
+            serverSeedHash: fairness.serverSeedHash,
+            clientSeed: fairness.clientSeed,
+            nonce: fairness.nonce
+          } : null,
+          jackpotWins, // Progressive jackpot tiers won by this bet (credited separately from totalWin)
+          autoplay, // Autoplay session progress and stop reason (null for manual spins)
           sessionData: {
             totalSpins: this.spinMetrics.totalSpins,
-            sessionRTP: this.gameEngine.calculateSessionRTP(
-              this.gameEngine.sessionStats.totalBet,
-              this.gameEngine.sessionStats.totalWon
+            sessionRTP: gameEngine.calculateSessionRTP(
+              gameEngine.sessionStats.totalBet,
+              gameEngine.sessionStats.totalWon
             )
           },
           metadata: {
             processingTime: Date.now() - startTime,
             rngAuditId: spinResult.rngSeed,
+            mathModelId,
+            rtpProfile,
             antiCheatPassed: true,
             validationScore: resultValidation.sessionRTP
           }
@@ -911,6 +1165,30 @@ class GameController {
         if (client && !skipRedis) {
           client.release();
         }
+        // A spin that did not commit must not keep the bet. Transfer bets were undone by the
+        // ROLLBACK; seamless bets are rolled back at the operator. If that fails the round stays
+        // open and spinRoundService.reconcile retries the refund.
+        if (spinRound && !spinCommitted) {
+          try {
+            // Rolled back even without a betTransaction: a failed debit may still have reached the operator
+            const refund = walletProvider.isRemote && spinRound.betAmount > 0
+              ? await walletProvider.rollback({ playerId, amount: normalizedBetAmount, currency, referenceId: spinId })
+              : null;
+            await spinRoundService.markRolledBack({
+              spinId,
+              playerId,
+              refund,
+              reason: 'spin failed before commit'
+            });
+          } catch (rollbackError) {
+            await spinRoundService.recordError(spinId, rollbackError.message);
+            logger.error('[GameController] Spin round rollback failed', {
+              player_id: playerId,
+              spin_id: spinId,
+              error: rollbackError.message
+            });
+          }
+        }
       }
 
     } catch (error) {
@@ -1196,6 +1474,7 @@ class GameController {
         success: true,
         gameState: safeData,
         balance: playerBalance,
+        currency: resolveCurrency(req.session_info?.currency, req.user?.currency),
         sessionInfo: sessionInfo,
         gameMode: gameState.game_mode,
         freeSpinsRemaining: gameState.free_spins_remaining,
@@ -1402,19 +1681,16 @@ class GameController {
      * Validate spin request data
      * @param {Object} requestData - Spin request data
      * @param {Object} user - User object
+     * @param {string} currency - Currency of the session (selects the bet ladder)
      * @returns {Object} Validation result
      */
-  validateSpinRequest(requestData, user) {
+  validateSpinRequest(requestData, user, currency) {
     const errors = [];
 
-    // Validate bet amount
-    const betAmount = parseFloat(requestData.betAmount);
-    if (isNaN(betAmount) || betAmount <= 0) {
-      errors.push('Invalid bet amount: must be a positive number');
-    }
-
-    if (betAmount > 1000) {
-      errors.push('Bet amount exceeds maximum limit');
+    // Validate bet amount against the currency's ladder (demo accounts have a lower max)
+    const betCheck = validateBetAmount(requestData.betAmount, currency, { isDemo: Boolean(user.is_demo) });
+    if (!betCheck.valid) {
+      errors.push(betCheck.error);
     }
 
     // NOTE: We do NOT validate client-sent accumulatedMultiplier because server is authoritative
@@ -1425,11 +1701,6 @@ class GameController {
       errors.push('Player account is not active');
     }
 
-    // Additional demo mode validations
-    if (user.is_demo && betAmount > 10) {
-      errors.push('Demo mode bet amount cannot exceed 10');
-    }
-
     return {
       valid: errors.length === 0,
       errors
@@ -1500,6 +1771,7 @@ class GameController {
      * @param {boolean} success - Whether the spin was successful
      */
   updateSpinMetrics(processingTime, success) {
+    serverMetrics.observeSpinDuration(processingTime, success);
     this.spinMetrics.totalSpins++;
 
     // Update rolling average processing time
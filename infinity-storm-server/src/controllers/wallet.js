@@ -17,6 +17,8 @@ const { getPlayer, getPlayerBalance, updatePlayerBalance, createTransaction, pro
 const { auditLogger } = require('../utils/logger');
 const { createResponse } = require('../utils/responseHelper');
 const WalletService = require('../services/walletService');
+const creditApprovalService = require('../services/creditApprovalService');
+const { resolveCurrency } = require('../config/currencies');
 
 class WalletController {
   /**
@@ -60,6 +62,7 @@ class WalletController {
         message: 'Balance retrieved successfully',
         data: {
           balance: balanceResult.balance || 0,
+          currency: balanceResult.currency,
           playerId: balanceResult.playerId || playerId,
           username: balanceResult.username || 'Unknown'
         }
@@ -244,6 +247,7 @@ class WalletController {
         player_id,
         amount,
         reason,
+        reason_code: reasonCode = 'other',
         metadata
       } = req.body;
 
@@ -271,12 +275,51 @@ class WalletController {
         return createResponse(res, 400, 'Adjustment amount exceeds maximum allowed limit');
       }
 
+      // Large adjustments wait for a second admin (admin panel, /admin/approvals)
+      const target = req.targetPlayer
+        ? { balance: req.targetPlayer.credits, currency: resolveCurrency(req.targetPlayer.currency) }
+        : await getPlayerBalance(player_id);
+      if (target.error) {
+        return createResponse(res, 404, target.error);
+      }
+      if (creditApprovalService.requiresApproval({
+        type: 'delta',
+        amount: adjustmentAmount,
+        balance: target.balance,
+        currency: target.currency
+      })) {
+        const request = await creditApprovalService.createRequest({
+          playerId: player_id,
+          channel: 'wallet_api',
+          type: 'delta',
+          amount: adjustmentAmount,
+          currency: target.currency,
+          balance: target.balance,
+          reasonCode,
+          reason: reason.trim(),
+          metadata: metadata || {},
+          requestedBy: adminId,
+          requestedByName: req.admin?.username || null
+        }, { ip: req.ip, userAgent: req.get('User-Agent') });
+
+        auditLogger.info('Admin balance adjustment awaiting approval', {
+          admin_id: adminId,
+          player_id,
+          amount: adjustmentAmount,
+          request_id: request.id
+        });
+
+        return createResponse(res, 202, 'Adjustment exceeds the approval threshold and awaits approval by a second admin', {
+          request
+        });
+      }
+
       const result = await WalletService.processAdminAdjustment({
         player_id,
         amount: adjustmentAmount,
         reason: reason.trim(),
         admin_id: adminId,
-        metadata: metadata || {}
+        metadata: { ...metadata, reason_code: reasonCode }
       });
 
       auditLogger.info('Admin balance adjustment completed', {
@@ -0,0 +1,37 @@
+-- =====================================================
+-- Provably fair seed commitments
+-- =====================================================
+-- Each player has one active seed pair. The server seed stays secret
+-- (only its SHA-256 hash is published) until the pair is rotated, at
+-- which point it is revealed and a new pair becomes active.
+-- Spin rng seeds are HMAC-SHA256(server_seed, client_seed || ':' || nonce).
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS fairness_seeds (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    player_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    server_seed VARCHAR(64) NOT NULL,
+    server_seed_hash VARCHAR(64) NOT NULL,
+    client_seed VARCHAR(64) NOT NULL,
+    nonce BIGINT NOT NULL DEFAULT 0,
+    status VARCHAR(20) NOT NULL DEFAULT 'active',
+    created_at TIMESTAMP DEFAULT NOW(),
+    revealed_at TIMESTAMP,
+    CONSTRAINT valid_fairness_seed_status CHECK (status IN ('active', 'revealed')),
+    CONSTRAINT non_negative_fairness_nonce CHECK (nonce >= 0)
+);
+
+-- Only one active pair per player
+CREATE UNIQUE INDEX IF NOT EXISTS idx_fairness_seeds_active_player
+    ON fairness_seeds(player_id) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_fairness_seeds_player_created
+    ON fairness_seeds(player_id, created_at DESC);
+
+-- Link each spin to the seed pair and nonce that produced its rng_seed
+ALTER TABLE spin_results ADD COLUMN IF NOT EXISTS fairness_seed_id UUID REFERENCES fairness_seeds(id);
+ALTER TABLE spin_results ADD COLUMN IF NOT EXISTS fairness_nonce BIGINT;
+CREATE INDEX IF NOT EXISTS idx_spin_results_fairness_seed ON spin_results(fairness_seed_id);
+
+COMMENT ON TABLE fairness_seeds IS 'Provably fair server/client seed pairs per player';
+COMMENT ON COLUMN fairness_seeds.server_seed IS 'Secret until status = revealed; never returned while active';
+COMMENT ON COLUMN fairness_seeds.nonce IS 'Number of spins played with this pair (next spin uses this value)';
@@ -0,0 +1,15 @@
+-- =====================================================
+-- Spin replay context
+-- =====================================================
+-- Stores what the engine needs, beyond rng_seed and bet_amount, to replay a spin
+-- deterministically: the reel strip version and the server-side state the spin
+-- was played with (free spins flag, remaining spins, accumulated multiplier,
+-- multiplier count) plus the free-spins outcome it produced.
+-- Rows written before this migration keep NULLs and replay with inferred context.
+-- =====================================================
+
+ALTER TABLE spin_results ADD COLUMN IF NOT EXISTS strip_version VARCHAR(16);
+ALTER TABLE spin_results ADD COLUMN IF NOT EXISTS replay_context JSONB;
+
+COMMENT ON COLUMN spin_results.strip_version IS 'Reel strip version (reelStrips.js STRIP_VERSION) used to generate the spin';
+COMMENT ON COLUMN spin_results.replay_context IS 'Engine input state, stop positions and free-spins outcome for deterministic replay';
@@ -0,0 +1,41 @@
+-- =====================================================
+-- Math model registry
+-- =====================================================
+-- A math model bundles paytable, symbol weights, reel strips, multiplier
+-- tables and free spins rules into one artifact (src/game/mathModel.js).
+-- Models are staged, then activated; at most one model is active and the
+-- previously active model is kept as 'retired' so it can be rolled back to.
+-- checksum is SHA-256 of the canonical artifact JSON and is re-verified
+-- whenever a model is loaded.
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS math_models (
+    id VARCHAR(64) PRIMARY KEY,
+    version VARCHAR(16) NOT NULL,
+    checksum VARCHAR(64) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'staged',
+    artifact JSONB NOT NULL,
+    notes TEXT,
+    staged_by UUID,
+    activated_by UUID,
+    previous_model_id VARCHAR(64) REFERENCES math_models(id),
+    created_at TIMESTAMP DEFAULT NOW(),
+    activated_at TIMESTAMP,
+    retired_at TIMESTAMP,
+    CONSTRAINT valid_math_model_status CHECK (status IN ('staged', 'active', 'retired'))
+);
+
+-- Only one active model
+CREATE UNIQUE INDEX IF NOT EXISTS idx_math_models_single_active
+    ON math_models(status) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_math_models_status_activated
+    ON math_models(status, activated_at DESC);
+
+-- Record the model each spin was played under
+ALTER TABLE spin_results ADD COLUMN IF NOT EXISTS math_model_id VARCHAR(64);
+CREATE INDEX IF NOT EXISTS idx_spin_results_math_model ON spin_results(math_model_id);
+
+COMMENT ON TABLE math_models IS 'Versioned, checksummed math model artifacts (staged / active / retired)';
+COMMENT ON COLUMN math_models.id IS 'Model ID as name@version';
+COMMENT ON COLUMN math_models.previous_model_id IS 'Model that was active before this one was activated (rollback target)';
+COMMENT ON COLUMN spin_results.math_model_id IS 'math_models.id the spin was played under (the built-in model may not have a row)';
@@ -0,0 +1,29 @@
+-- =====================================================
+-- RTP profiles
+-- =====================================================
+-- Operators in different jurisdictions run the game at different RTPs
+-- (src/game/rtpProfiles.js). Every math model belongs to one profile and
+-- each profile has its own active model. A session is bound to a profile
+-- when it is created (player override, then operator, then server default)
+-- and every spin records the profile it was played under.
+-- =====================================================
+
+ALTER TABLE math_models ADD COLUMN IF NOT EXISTS rtp_profile VARCHAR(16) NOT NULL DEFAULT 'rtp-965';
+
+-- One active model per profile (replaces the single active model index from 008)
+DROP INDEX IF EXISTS idx_math_models_single_active;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_math_models_active_per_profile
+    ON math_models(rtp_profile) WHERE status = 'active';
+
+-- Player override; NULL means the operator or server default applies
+ALTER TABLE players ADD COLUMN IF NOT EXISTS rtp_profile VARCHAR(16);
+
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS rtp_profile VARCHAR(16) NOT NULL DEFAULT 'rtp-965';
+
+ALTER TABLE spin_results ADD COLUMN IF NOT EXISTS rtp_profile VARCHAR(16);
+CREATE INDEX IF NOT EXISTS idx_spin_results_rtp_profile ON spin_results(rtp_profile, created_at DESC);
+
+COMMENT ON COLUMN math_models.rtp_profile IS 'RTP profile the model belongs to; each profile has at most one active model';
+COMMENT ON COLUMN players.rtp_profile IS 'RTP profile assigned to the player (overrides the operator profile)';
+COMMENT ON COLUMN sessions.rtp_profile IS 'RTP profile selected when the session was created';
+COMMENT ON COLUMN spin_results.rtp_profile IS 'RTP profile the spin was played under';
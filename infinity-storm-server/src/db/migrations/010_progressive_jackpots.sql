@@ -0,0 +1,79 @@
+-- =====================================================
+-- Progressive jackpots
+-- =====================================================
+-- Four must-hit-by tiers (src/game/jackpots.js) grow from a share of every
+-- paid bet. hit_value is the secret drop point drawn between seed_value and
+-- must_hit_by whenever a tier resets; it is never returned by the public API.
+-- Awards are recorded as pending in the spin transaction and paid through
+-- walletService.processWin, which links the wallet transaction back here.
+-- (Replaces the unused jackpot tables dropped in 004.)
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS jackpots (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tier VARCHAR(16) UNIQUE NOT NULL,
+    name VARCHAR(50) NOT NULL,
+    display_order SMALLINT NOT NULL DEFAULT 0,
+    seed_value DECIMAL(12,2) NOT NULL,
+    must_hit_by DECIMAL(12,2) NOT NULL,
+    contribution_rate DECIMAL(6,5) NOT NULL,
+    current_value DECIMAL(14,4) NOT NULL,
+    hit_value DECIMAL(12,2),
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    last_won_at TIMESTAMP,
+    last_won_amount DECIMAL(12,2),
+    last_winner_id UUID REFERENCES players(id),
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    CONSTRAINT valid_jackpot_tier CHECK (tier IN ('mini', 'minor', 'major', 'grand')),
+    CONSTRAINT valid_jackpot_seed CHECK (seed_value >= 0 AND must_hit_by > seed_value),
+    CONSTRAINT valid_jackpot_contribution_rate CHECK (contribution_rate >= 0 AND contribution_rate <= 0.05)
+);
+
+CREATE TABLE IF NOT EXISTS jackpot_contributions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    jackpot_id UUID NOT NULL REFERENCES jackpots(id),
+    player_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    spin_id VARCHAR(100) NOT NULL,
+    bet_amount DECIMAL(10,2) NOT NULL,
+    contribution_amount DECIMAL(12,4) NOT NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    CONSTRAINT positive_jackpot_contribution CHECK (contribution_amount > 0)
+);
+
+CREATE TABLE IF NOT EXISTS jackpot_awards (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    jackpot_id UUID NOT NULL REFERENCES jackpots(id),
+    tier VARCHAR(16) NOT NULL,
+    player_id UUID NOT NULL REFERENCES players(id),
+    spin_id VARCHAR(100) NOT NULL,
+    amount DECIMAL(12,2) NOT NULL,
+    hit_value DECIMAL(12,2) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    transaction_id UUID REFERENCES transactions(id),
+    last_error TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    paid_at TIMESTAMP,
+    CONSTRAINT valid_jackpot_award_status CHECK (status IN ('pending', 'paid')),
+    CONSTRAINT positive_jackpot_award CHECK (amount > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_jackpot_contributions_jackpot ON jackpot_contributions(jackpot_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_jackpot_contributions_spin ON jackpot_contributions(spin_id);
+CREATE INDEX IF NOT EXISTS idx_jackpot_awards_player ON jackpot_awards(player_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_jackpot_awards_pending ON jackpot_awards(created_at) WHERE status = 'pending';
+
+-- Default tiers; hit_value is drawn by the server on the first contribution
+INSERT INTO jackpots (tier, name, display_order, seed_value, must_hit_by, contribution_rate, current_value)
+VALUES
+    ('mini', 'Mini', 1, 10, 50, 0.003, 10),
+    ('minor', 'Minor', 2, 50, 250, 0.002, 50),
+    ('major', 'Major', 3, 500, 2500, 0.0015, 500),
+    ('grand', 'Grand', 4, 5000, 25000, 0.001, 5000)
+ON CONFLICT (tier) DO NOTHING;
+
+COMMENT ON TABLE jackpots IS 'Progressive jackpot tiers with must-hit-by thresholds';
+COMMENT ON COLUMN jackpots.hit_value IS 'Secret drop point between seed_value and must_hit_by; never exposed publicly';
+COMMENT ON COLUMN jackpots.contribution_rate IS 'Share of every paid bet added to the tier (0.001 = 0.1%)';
+COMMENT ON TABLE jackpot_contributions IS 'Per-bet contributions to each jackpot tier';
+COMMENT ON TABLE jackpot_awards IS 'Jackpot wins; pending until credited through walletService.processWin';
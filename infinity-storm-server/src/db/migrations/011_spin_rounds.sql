@@ -0,0 +1,57 @@
+-- =====================================================
+-- Spin rounds (bet/win state machine)
+-- =====================================================
+-- One row per paid or credited spin, tracking its wallet state:
+--   pending -> bet_taken -> settled
+--                        -> rolled_back
+-- A round is opened before the bet, so a process that dies between the bet
+-- and the win leaves an open round behind. spinRoundService.reconcile finds
+-- open rounds that stopped moving and either completes them (the spin result
+-- was saved, so the win is credited) or refunds the bet. spin_result_id is
+-- written in the same transaction as the spin result itself.
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS spin_rounds (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    spin_id VARCHAR(100) UNIQUE NOT NULL,
+    player_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    session_id VARCHAR(100),
+    wallet_mode VARCHAR(20) NOT NULL DEFAULT 'transfer',
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    bet_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+    win_amount DECIMAL(12,2),
+    refund_amount DECIMAL(10,2),
+    bet_transaction_id VARCHAR(100),
+    win_transaction_id VARCHAR(100),
+    spin_result_id UUID REFERENCES spin_results(id),
+    reconcile_attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    closed_at TIMESTAMP,
+    CONSTRAINT valid_spin_round_status CHECK (status IN ('pending', 'bet_taken', 'settled', 'rolled_back')),
+    CONSTRAINT valid_spin_round_bet CHECK (bet_amount >= 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_spin_rounds_open
+    ON spin_rounds(updated_at)
+    WHERE status IN ('pending', 'bet_taken');
+CREATE INDEX IF NOT EXISTS idx_spin_rounds_player ON spin_rounds(player_id, created_at DESC);
+
+COMMENT ON TABLE spin_rounds IS 'Wallet state of each spin (pending, bet_taken, settled, rolled_back) for reconciling half-completed spins';
+
+-- Refunds and reconciliation decisions are audited in financial_transactions
+ALTER TABLE financial_transactions DROP CONSTRAINT IF EXISTS valid_financial_transaction_type;
+ALTER TABLE financial_transactions ADD CONSTRAINT valid_financial_transaction_type CHECK (
+    transaction_type IN (
+        'bet_deduction',
+        'win_payout',
+        'free_spins_purchase',
+        'portal_deposit',
+        'portal_withdrawal',
+        'adjustment',
+        'bonus_credit',
+        'bet_refund',
+        'spin_reconciliation'
+    )
+);
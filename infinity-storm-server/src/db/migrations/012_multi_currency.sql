@@ -0,0 +1,40 @@
+-- =====================================================
+-- Multi-currency wallets
+-- =====================================================
+-- A player's balance is held in one currency (players.currency). Sessions
+-- record the currency they were opened in and every transaction records the
+-- currency of the wallet it moved. Bet ladders per currency live in
+-- src/config/currencies.js.
+--
+-- Transactions always take the player's currency: the trigger below fills it
+-- in for rows written by process_bet_transaction / process_win_transaction as
+-- well as by walletService.
+-- =====================================================
+
+ALTER TABLE players ADD COLUMN IF NOT EXISTS currency CHAR(3) NOT NULL DEFAULT 'USD';
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS currency CHAR(3) NOT NULL DEFAULT 'USD';
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS currency CHAR(3) NOT NULL DEFAULT 'USD';
+
+ALTER TABLE players DROP CONSTRAINT IF EXISTS valid_player_currency;
+ALTER TABLE players ADD CONSTRAINT valid_player_currency CHECK (currency ~ '^[A-Z]{3}$');
+
+CREATE INDEX IF NOT EXISTS idx_transactions_currency_time ON transactions(currency, created_at DESC);
+
+COMMENT ON COLUMN players.currency IS 'ISO 4217 code of the player''s wallet; balances and bets are in this currency';
+COMMENT ON COLUMN sessions.currency IS 'Currency the session was opened in (the player''s wallet currency)';
+COMMENT ON COLUMN transactions.currency IS 'Currency of the wallet the transaction moved';
+
+CREATE OR REPLACE FUNCTION set_transaction_currency() RETURNS TRIGGER AS $$
+BEGIN
+    SELECT currency INTO NEW.currency FROM players WHERE id = NEW.player_id;
+    IF NEW.currency IS NULL THEN
+        RAISE EXCEPTION 'Player not found: %', NEW.player_id;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_transactions_currency ON transactions;
+CREATE TRIGGER trg_transactions_currency
+    BEFORE INSERT ON transactions
+    FOR EACH ROW EXECUTE FUNCTION set_transaction_currency();
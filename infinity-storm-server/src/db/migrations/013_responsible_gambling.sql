@@ -0,0 +1,55 @@
+-- =====================================================
+-- Responsible gambling limits
+-- =====================================================
+-- Player-set deposit, loss and wager limits per rolling day (24h), week (7d)
+-- and month (30d), a session-time limit, reality-check reminders, cool-off
+-- periods and self-exclusion. Enforced by responsibleGamblingService on
+-- /api/spin, /api/buy-feature and portal deposits.
+--
+-- A stricter limit applies at once. A looser one (raised or removed) is parked
+-- in pending_amount / pending_remove and only takes over at
+-- pending_effective_at, after the cooling-off delay (24h by default).
+-- Cool-off and self-exclusion can be extended but not shortened by the player.
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS player_limits (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    player_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    limit_type VARCHAR(16) NOT NULL,
+    period VARCHAR(16) NOT NULL,
+    amount DECIMAL(12,2),
+    pending_amount DECIMAL(12,2),
+    pending_remove BOOLEAN NOT NULL DEFAULT FALSE,
+    pending_effective_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    CONSTRAINT unique_player_limit UNIQUE (player_id, limit_type, period),
+    CONSTRAINT valid_player_limit_type CHECK (limit_type IN ('deposit', 'loss', 'wager', 'session_time')),
+    CONSTRAINT valid_player_limit_period CHECK (
+        (limit_type = 'session_time' AND period = 'session') OR
+        (limit_type <> 'session_time' AND period IN ('daily', 'weekly', 'monthly'))
+    ),
+    CONSTRAINT valid_player_limit_amount CHECK (amount IS NULL OR amount > 0),
+    CONSTRAINT valid_player_limit_pending CHECK (pending_amount IS NULL OR pending_amount > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_player_limits_pending
+    ON player_limits(pending_effective_at)
+    WHERE pending_effective_at IS NOT NULL;
+
+COMMENT ON TABLE player_limits IS 'Player-set responsible gambling limits; session_time amounts are minutes, the others are in the wallet currency';
+COMMENT ON COLUMN player_limits.pending_amount IS 'Looser limit waiting for pending_effective_at (raises never apply at once)';
+
+ALTER TABLE players ADD COLUMN IF NOT EXISTS reality_check_minutes SMALLINT;
+ALTER TABLE players ADD COLUMN IF NOT EXISTS cool_off_until TIMESTAMP;
+ALTER TABLE players ADD COLUMN IF NOT EXISTS self_excluded_at TIMESTAMP;
+ALTER TABLE players ADD COLUMN IF NOT EXISTS self_excluded_until TIMESTAMP;
+
+ALTER TABLE players DROP CONSTRAINT IF EXISTS valid_reality_check_minutes;
+ALTER TABLE players ADD CONSTRAINT valid_reality_check_minutes CHECK (
+    reality_check_minutes IS NULL OR reality_check_minutes BETWEEN 5 AND 240
+);
+
+COMMENT ON COLUMN players.reality_check_minutes IS 'Interval of the in-game reality-check reminder; null disables it';
+COMMENT ON COLUMN players.cool_off_until IS 'Play and deposits are blocked until this time (player-requested break)';
+COMMENT ON COLUMN players.self_excluded_until IS 'Play and deposits are blocked until this time (self-exclusion)';
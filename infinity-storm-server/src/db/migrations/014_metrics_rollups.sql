@@ -0,0 +1,49 @@
+-- =====================================================
+-- Metrics rollups
+-- =====================================================
+-- Per-minute and per-hour aggregates of real-money play for the admin
+-- dashboard, written by metricsRollupService from spin_results and
+-- transactions (demo players excluded). One row per bucket and wallet
+-- currency; amounts are in that currency.
+--
+-- Stakes are the bets of paid (base game) spins plus feature purchases; free
+-- spins are not staked. active_players counts distinct players within the
+-- bucket, so it cannot be summed across buckets.
+--
+-- Each run recomputes every bucket from the previous run (less a lookback for
+-- spins committed late) up to now, and records how far it got in
+-- metrics_rollup_state.
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS metrics_minute (
+    bucket_start TIMESTAMP NOT NULL,
+    currency CHAR(3) NOT NULL,
+    spins INTEGER NOT NULL DEFAULT 0,
+    paid_spins INTEGER NOT NULL DEFAULT 0,
+    bet_amount DECIMAL(16,2) NOT NULL DEFAULT 0,
+    purchases INTEGER NOT NULL DEFAULT 0,
+    purchase_amount DECIMAL(16,2) NOT NULL DEFAULT 0,
+    win_amount DECIMAL(16,2) NOT NULL DEFAULT 0,
+    active_players INTEGER NOT NULL DEFAULT 0,
+    free_spins_triggers INTEGER NOT NULL DEFAULT 0,
+    big_wins INTEGER NOT NULL DEFAULT 0,
+    max_wins INTEGER NOT NULL DEFAULT 0,
+    deposit_amount DECIMAL(16,2) NOT NULL DEFAULT 0,
+    withdrawal_amount DECIMAL(16,2) NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP DEFAULT NOW(),
+    PRIMARY KEY (bucket_start, currency)
+);
+
+CREATE TABLE IF NOT EXISTS metrics_hourly (LIKE metrics_minute INCLUDING ALL);
+
+CREATE TABLE IF NOT EXISTS metrics_rollup_state (
+    granularity VARCHAR(16) PRIMARY KEY,
+    rolled_up_to TIMESTAMP NOT NULL,
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+COMMENT ON TABLE metrics_minute IS 'Real-money play per minute and currency (kept METRICS_MINUTE_RETENTION_HOURS)';
+COMMENT ON TABLE metrics_hourly IS 'Real-money play per hour and currency (kept METRICS_HOURLY_RETENTION_DAYS)';
+COMMENT ON COLUMN metrics_minute.bet_amount IS 'Bets of paid spins; free spins are not staked';
+COMMENT ON COLUMN metrics_minute.active_players IS 'Distinct players who spun in the bucket';
+COMMENT ON COLUMN metrics_rollup_state.rolled_up_to IS 'Time of the last completed rollup run';
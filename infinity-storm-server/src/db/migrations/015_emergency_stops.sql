@@ -0,0 +1,31 @@
+-- =====================================================
+-- Emergency stops
+-- =====================================================
+-- Game-wide halts of /api/spin and /api/buy-feature, started by an admin
+-- through POST /api/admin/emergency-stop or by the RTP monitor's kill switch
+-- (source 'rtp_monitor', with the drift alert in details). At most one stop
+-- is active (released_at IS NULL); every server process reads it from here,
+-- so a stop started on one instance halts them all.
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS emergency_stops (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    reason TEXT NOT NULL,
+    source VARCHAR(32) NOT NULL DEFAULT 'admin',
+    details JSONB,
+    activated_by UUID REFERENCES players(id) ON DELETE SET NULL,
+    activated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    released_by UUID REFERENCES players(id) ON DELETE SET NULL,
+    released_at TIMESTAMP,
+    release_reason TEXT,
+    CONSTRAINT valid_emergency_stop_source CHECK (source IN ('admin', 'rtp_monitor'))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_emergency_stops_active
+    ON emergency_stops((released_at IS NULL))
+    WHERE released_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_emergency_stops_activated_at
+    ON emergency_stops(activated_at DESC);
+
+COMMENT ON TABLE emergency_stops IS 'Game-wide halts of play; the row with released_at NULL is in force';
@@ -0,0 +1,56 @@
+-- =====================================================
+-- Anomaly scoring and the review queue
+-- =====================================================
+-- anomalyScoringService scores real-money players from their spin_results,
+-- transactions and sessions (see game/anomalyDetectors.js). A score is kept
+-- in player_risk_scores whenever it or its findings change, with the
+-- evidence that produced it.
+--
+-- Players scoring ANOMALY_REVIEW_THRESHOLD or more are queued for admin
+-- review. A player has at most one unresolved review_queue entry; later runs
+-- update its score, priority and findings rather than adding another.
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS player_risk_scores (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    player_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    score SMALLINT NOT NULL,
+    priority VARCHAR(10) NOT NULL,
+    findings JSONB NOT NULL DEFAULT '[]',
+    window_start TIMESTAMP NOT NULL,
+    scored_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    CONSTRAINT valid_risk_score CHECK (score BETWEEN 0 AND 100),
+    CONSTRAINT valid_risk_priority CHECK (priority IN ('LOW', 'MEDIUM', 'HIGH', 'CRITICAL'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_player_risk_scores_player
+    ON player_risk_scores(player_id, scored_at DESC);
+
+CREATE TABLE IF NOT EXISTS review_queue (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    player_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    source VARCHAR(32) NOT NULL DEFAULT 'anomaly_scoring',
+    priority VARCHAR(10) NOT NULL,
+    risk_score SMALLINT NOT NULL,
+    findings JSONB NOT NULL DEFAULT '[]',
+    status VARCHAR(20) NOT NULL DEFAULT 'open',
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    CONSTRAINT valid_review_priority CHECK (priority IN ('LOW', 'MEDIUM', 'HIGH', 'CRITICAL')),
+    CONSTRAINT valid_review_status CHECK (status IN ('open', 'in_review', 'resolved'))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_review_queue_unresolved_player
+    ON review_queue(player_id)
+    WHERE status <> 'resolved';
+
+CREATE INDEX IF NOT EXISTS idx_review_queue_status
+    ON review_queue(status, risk_score DESC, created_at);
+
+-- Shared-device lookups group recent sessions by address
+CREATE INDEX IF NOT EXISTS idx_sessions_ip_created
+    ON sessions(ip_address, created_at);
+
+COMMENT ON TABLE player_risk_scores IS 'Behavioral risk score history per player, with the findings behind each score';
+COMMENT ON TABLE review_queue IS 'Players waiting for admin review; one unresolved entry per player';
+COMMENT ON COLUMN review_queue.source IS 'What queued the player: anomaly_scoring';
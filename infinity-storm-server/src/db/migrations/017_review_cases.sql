@@ -0,0 +1,75 @@
+-- =====================================================
+-- Review cases
+-- =====================================================
+-- review_queue entries become cases worked in the admin panel (/admin/cases):
+-- an admin takes a case (status in_review), adds notes and resolves it with
+-- one of clear, restrict, suspend or ban.
+--
+-- Besides anomaly scoring, antiCheat now opens cases (source 'anti_cheat')
+-- when it flags a player; each flag is appended to the case's violations.
+-- Its temporary restrictions, and the restrict resolution, set
+-- players.restricted_until: restricted players cannot buy features and only
+-- spin at the minimum bet of their currency.
+-- =====================================================
+
+ALTER TABLE review_queue
+    ADD COLUMN IF NOT EXISTS violations JSONB NOT NULL DEFAULT '[]',
+    ADD COLUMN IF NOT EXISTS assigned_to UUID REFERENCES admins(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS assigned_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS resolution VARCHAR(20),
+    ADD COLUMN IF NOT EXISTS resolution_note TEXT,
+    ADD COLUMN IF NOT EXISTS resolved_by UUID REFERENCES admins(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS resolved_at TIMESTAMP;
+
+ALTER TABLE review_queue DROP CONSTRAINT IF EXISTS valid_review_source;
+ALTER TABLE review_queue
+    ADD CONSTRAINT valid_review_source CHECK (source IN ('anomaly_scoring', 'anti_cheat'));
+
+ALTER TABLE review_queue DROP CONSTRAINT IF EXISTS valid_review_resolution;
+ALTER TABLE review_queue
+    ADD CONSTRAINT valid_review_resolution CHECK (
+        (status = 'resolved') = (resolution IS NOT NULL)
+        AND (resolution IS NULL OR resolution IN ('clear', 'restrict', 'suspend', 'ban'))
+    );
+
+CREATE INDEX IF NOT EXISTS idx_review_queue_assigned
+    ON review_queue(assigned_to)
+    WHERE status <> 'resolved';
+
+CREATE TABLE IF NOT EXISTS review_case_notes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    case_id UUID NOT NULL REFERENCES review_queue(id) ON DELETE CASCADE,
+    admin_id UUID REFERENCES admins(id) ON DELETE SET NULL,
+    note TEXT NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_review_case_notes_case
+    ON review_case_notes(case_id, created_at);
+
+ALTER TABLE players
+    ADD COLUMN IF NOT EXISTS restricted_until TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS restriction_reason VARCHAR(500);
+
+-- Case actions, and the ban and notification actions the controllers already log
+ALTER TABLE admin_logs DROP CONSTRAINT IF EXISTS valid_admin_action;
+ALTER TABLE admin_logs
+  ADD CONSTRAINT valid_admin_action CHECK (action_type IN (
+    'credit_adjustment', 'account_suspension', 'account_activation',
+    'password_reset', 'balance_inquiry', 'session_termination',
+    'account_deletion', 'permission_change', 'jackpot_reset',
+    'jackpot_award', 'system_maintenance', 'database_backup',
+    'security_event', 'login_attempt', 'data_export',
+    'configuration_change', 'spin_replay', 'transaction_review',
+    'player_verification',
+    'metrics_access', 'realtime_metrics_access', 'rtp_metrics_access',
+    'compliance_report_generation', 'session_cleanup',
+    'account_ban', 'player_notification',
+    'case_assignment', 'case_note', 'case_resolution'
+  ));
+
+COMMENT ON TABLE review_case_notes IS 'Admin notes on review cases';
+COMMENT ON COLUMN review_queue.source IS 'What opened the case: anomaly_scoring or anti_cheat';
+COMMENT ON COLUMN review_queue.violations IS 'antiCheat flags: { priority, riskScore, violations, flaggedAt } per flag';
+COMMENT ON COLUMN review_queue.resolution IS 'clear, restrict, suspend or ban; set when the case is resolved';
+COMMENT ON COLUMN players.restricted_until IS 'Feature purchases and bets above the minimum are refused until this time';
@@ -0,0 +1,53 @@
+-- =====================================================
+-- Admin roles
+-- =====================================================
+-- Admin accounts get a role (viewer, support, finance, risk, superadmin) and a
+-- status; disabled accounts can no longer sign in. Routes check permissions
+-- derived from the role (see src/config/adminRoles.js).
+--
+-- Players with is_admin, who use the /api/wallet/admin endpoints, get the same
+-- roles through players.admin_role.
+--
+-- Accounts that exist before this migration become superadmins so nobody is
+-- locked out; narrow them from /admin/users. New accounts default to viewer.
+-- =====================================================
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'admins' AND column_name = 'role'
+    ) THEN
+        ALTER TABLE admins ADD COLUMN role VARCHAR(20) NOT NULL DEFAULT 'viewer';
+        UPDATE admins SET role = 'superadmin';
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'players' AND column_name = 'admin_role'
+    ) THEN
+        ALTER TABLE players ADD COLUMN admin_role VARCHAR(20);
+        UPDATE players SET admin_role = 'superadmin' WHERE is_admin = TRUE;
+    END IF;
+END $$;
+
+ALTER TABLE admins
+    ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'active';
+
+ALTER TABLE admins DROP CONSTRAINT IF EXISTS valid_admin_role;
+ALTER TABLE admins
+    ADD CONSTRAINT valid_admin_role CHECK (role IN ('viewer', 'support', 'finance', 'risk', 'superadmin'));
+
+ALTER TABLE admins DROP CONSTRAINT IF EXISTS valid_admin_status;
+ALTER TABLE admins
+    ADD CONSTRAINT valid_admin_status CHECK (status IN ('active', 'disabled'));
+
+ALTER TABLE players DROP CONSTRAINT IF EXISTS valid_player_admin_role;
+ALTER TABLE players
+    ADD CONSTRAINT valid_player_admin_role CHECK (
+        admin_role IS NULL OR admin_role IN ('viewer', 'support', 'finance', 'risk', 'superadmin')
+    );
+
+COMMENT ON COLUMN admins.role IS 'viewer, support, finance, risk or superadmin; permissions in src/config/adminRoles.js';
+COMMENT ON COLUMN admins.status IS 'active or disabled; disabled admins cannot sign in';
+COMMENT ON COLUMN players.admin_role IS 'Role of an is_admin player on the wallet admin endpoints; null grants nothing';
@@ -0,0 +1,74 @@
+-- =====================================================
+-- Credit adjustment approvals (maker-checker)
+-- =====================================================
+-- Credit adjustments larger than CREDIT_APPROVAL_THRESHOLD (scaled to the
+-- player's currency) are not applied when they are made. They are stored here
+-- as pending requests until a second admin approves or rejects them from
+-- /admin/approvals. Pending requests expire after CREDIT_APPROVAL_TTL_HOURS.
+--
+-- Requests come from the admin panel (requested_by is an admins.id) or from
+-- the wallet admin API (requested_by is the players.id of an admin player);
+-- decisions are always made by admin panel accounts.
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS credit_adjustment_requests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    player_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    channel VARCHAR(20) NOT NULL,
+    adjustment_type VARCHAR(10) NOT NULL,
+    amount DECIMAL(15,2) NOT NULL,
+    currency VARCHAR(3) NOT NULL,
+    balance_at_request DECIMAL(15,2) NOT NULL,
+    reason_code VARCHAR(30) NOT NULL,
+    reason TEXT NOT NULL,
+    metadata JSONB NOT NULL DEFAULT '{}',
+    requested_by UUID NOT NULL,
+    requested_by_name VARCHAR(100),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    decided_by UUID REFERENCES admins(id) ON DELETE SET NULL,
+    decision_note TEXT,
+    decided_at TIMESTAMP,
+    result JSONB,
+    expires_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT valid_credit_request_channel CHECK (channel IN ('admin_panel', 'wallet_api')),
+    CONSTRAINT valid_credit_request_type CHECK (adjustment_type IN ('add', 'subtract', 'set', 'delta')),
+    CONSTRAINT valid_credit_request_status CHECK (status IN ('pending', 'approved', 'rejected', 'expired', 'failed')),
+    CONSTRAINT valid_credit_request_reason_code CHECK (reason_code IN (
+        'goodwill', 'bonus_correction', 'game_malfunction', 'payment_correction',
+        'chargeback', 'account_closure', 'other'
+    ))
+);
+
+CREATE INDEX IF NOT EXISTS idx_credit_requests_pending
+    ON credit_adjustment_requests(expires_at)
+    WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_credit_requests_player
+    ON credit_adjustment_requests(player_id, created_at DESC);
+
+-- Request, decision and expiry of credit adjustments
+ALTER TABLE admin_logs DROP CONSTRAINT IF EXISTS valid_admin_action;
+ALTER TABLE admin_logs
+  ADD CONSTRAINT valid_admin_action CHECK (action_type IN (
+    'credit_adjustment', 'account_suspension', 'account_activation',
+    'password_reset', 'balance_inquiry', 'session_termination',
+    'account_deletion', 'permission_change', 'jackpot_reset',
+    'jackpot_award', 'system_maintenance', 'database_backup',
+    'security_event', 'login_attempt', 'data_export',
+    'configuration_change', 'spin_replay', 'transaction_review',
+    'player_verification',
+    'metrics_access', 'realtime_metrics_access', 'rtp_metrics_access',
+    'compliance_report_generation', 'session_cleanup',
+    'account_ban', 'player_notification',
+    'case_assignment', 'case_note', 'case_resolution',
+    'credit_adjustment_request', 'credit_adjustment_approval',
+    'credit_adjustment_rejection', 'credit_adjustment_expiry'
+  ));
+
+COMMENT ON TABLE credit_adjustment_requests IS 'Credit adjustments above the approval threshold, waiting for or decided by a second admin';
+COMMENT ON COLUMN credit_adjustment_requests.adjustment_type IS 'add, subtract or set (admin panel); delta is a signed amount (wallet admin API)';
+COMMENT ON COLUMN credit_adjustment_requests.requested_by IS 'admins.id for admin_panel requests, players.id for wallet_api requests';
+COMMENT ON COLUMN credit_adjustment_requests.status IS 'pending, approved (applied), rejected, expired, or failed (approved but could not be applied)';
+COMMENT ON COLUMN credit_adjustment_requests.result IS 'Balances after an approved adjustment, or the error of a failed one';
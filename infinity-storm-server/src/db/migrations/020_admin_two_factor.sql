@@ -0,0 +1,46 @@
+-- =====================================================
+-- Admin two-factor authentication (TOTP)
+-- =====================================================
+-- Admin accounts can enroll an authenticator app from /admin/2fa. Once
+-- enrolled, signing in takes a code after the password, and sensitive actions
+-- (credit adjustments and approvals, bans, feature flags, admin accounts) ask
+-- for a fresh code again (step-up).
+--
+-- totp_secret holds the secret encrypted with AES-256-GCM
+-- (ADMIN_TOTP_ENCRYPTION_KEY); recovery codes are stored as SHA-256 hashes and
+-- removed when used. totp_required is set per admin from /admin/users; such
+-- admins must enroll before they can use the panel.
+-- =====================================================
+
+ALTER TABLE admins
+    ADD COLUMN IF NOT EXISTS totp_secret TEXT,
+    ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+    ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS totp_last_counter BIGINT,
+    ADD COLUMN IF NOT EXISTS totp_recovery_codes JSONB NOT NULL DEFAULT '[]',
+    ADD COLUMN IF NOT EXISTS totp_required BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Enrollment changes and code checks
+ALTER TABLE admin_logs DROP CONSTRAINT IF EXISTS valid_admin_action;
+ALTER TABLE admin_logs
+  ADD CONSTRAINT valid_admin_action CHECK (action_type IN (
+    'credit_adjustment', 'account_suspension', 'account_activation',
+    'password_reset', 'balance_inquiry', 'session_termination',
+    'account_deletion', 'permission_change', 'jackpot_reset',
+    'jackpot_award', 'system_maintenance', 'database_backup',
+    'security_event', 'login_attempt', 'data_export',
+    'configuration_change', 'spin_replay', 'transaction_review',
+    'player_verification',
+    'metrics_access', 'realtime_metrics_access', 'rtp_metrics_access',
+    'compliance_report_generation', 'session_cleanup',
+    'account_ban', 'player_notification',
+    'case_assignment', 'case_note', 'case_resolution',
+    'credit_adjustment_request', 'credit_adjustment_approval',
+    'credit_adjustment_rejection', 'credit_adjustment_expiry',
+    'two_factor_change', 'two_factor_verification'
+  ));
+
+COMMENT ON COLUMN admins.totp_secret IS 'TOTP secret, AES-256-GCM encrypted; set during enrollment before totp_enabled';
+COMMENT ON COLUMN admins.totp_last_counter IS 'Time step of the last accepted code; that code and older ones are refused';
+COMMENT ON COLUMN admins.totp_recovery_codes IS 'SHA-256 hashes of unused recovery codes';
+COMMENT ON COLUMN admins.totp_required IS 'Admin must enroll two-factor authentication before using the panel';
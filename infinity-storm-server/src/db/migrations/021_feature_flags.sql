@@ -0,0 +1,49 @@
+-- =====================================================
+-- Feature flags
+-- =====================================================
+-- Flag rules changed from the admin API. Flags are defined in
+-- src/config/featureFlags.js; a flag without a row here uses its default
+-- (definition, then the FEATURE_<NAME> environment variable). Every server
+-- process loads this table at startup and re-reads it every
+-- FEATURE_FLAG_REFRESH_MS.
+--
+-- A rule matches a player when the flag is enabled, the server environment is
+-- in environments (empty = all), the player is in one of segments
+-- (empty = everyone) and the player's rollout bucket is below rollout_percent.
+--
+-- feature_flag_history keeps every change with the admin and reason.
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS feature_flags (
+    name VARCHAR(64) PRIMARY KEY,
+    enabled BOOLEAN NOT NULL,
+    rollout_percent SMALLINT NOT NULL DEFAULT 100,
+    segments JSONB NOT NULL DEFAULT '[]',
+    environments JSONB NOT NULL DEFAULT '[]',
+    updated_by UUID REFERENCES admins(id) ON DELETE SET NULL,
+    updated_at TIMESTAMP NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT valid_feature_flag_rollout CHECK (rollout_percent BETWEEN 0 AND 100)
+);
+
+CREATE TABLE IF NOT EXISTS feature_flag_history (
+    id BIGSERIAL PRIMARY KEY,
+    flag_name VARCHAR(64) NOT NULL,
+    old_value JSONB,
+    new_value JSONB NOT NULL,
+    reason TEXT,
+    changed_by UUID REFERENCES admins(id) ON DELETE SET NULL,
+    changed_by_name VARCHAR(100),
+    created_at TIMESTAMP NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_feature_flag_history_created
+    ON feature_flag_history(created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_feature_flag_history_flag
+    ON feature_flag_history(flag_name, created_at DESC);
+
+COMMENT ON TABLE feature_flags IS 'Admin-set feature flag rules; flags without a row use their defaults';
+COMMENT ON COLUMN feature_flags.segments IS 'Player segments targeted (demo, real_money, new_player, staff, currency:<CODE>); empty means everyone';
+COMMENT ON COLUMN feature_flags.environments IS 'Server environments the flag is on in; empty means all';
+COMMENT ON TABLE feature_flag_history IS 'Audit trail of feature flag changes';
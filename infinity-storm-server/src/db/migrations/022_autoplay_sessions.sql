@@ -0,0 +1,58 @@
+-- =====================================================
+-- Autoplay sessions
+-- =====================================================
+-- One row per autoplay run, opened by the client before autoplay starts
+-- (POST /api/autoplay). The spin count and stop conditions are checked against
+-- the jurisdiction's rules (src/config/autoplay.js, AUTOPLAY_JURISDICTION)
+-- and kept with the totals of the spins played, so every run can be traced
+-- back to its player, settings and the reason it ended.
+--
+-- Amounts are in the session currency. A NULL limit is not set; a NULL
+-- spin_limit runs until stopped (where the jurisdiction allows it).
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS autoplay_sessions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    player_id UUID NOT NULL REFERENCES players(id) ON DELETE CASCADE,
+    jurisdiction VARCHAR(32) NOT NULL,
+    currency VARCHAR(3) NOT NULL,
+    bet_amount DECIMAL(10,2) NOT NULL,
+    spin_limit INTEGER,
+    loss_limit DECIMAL(12,2),
+    single_win_limit DECIMAL(12,2),
+    balance_increase_limit DECIMAL(12,2),
+    stop_on_feature BOOLEAN NOT NULL DEFAULT FALSE,
+    spins_played INTEGER NOT NULL DEFAULT 0,
+    total_bet DECIMAL(14,2) NOT NULL DEFAULT 0,
+    total_won DECIMAL(14,2) NOT NULL DEFAULT 0,
+    status VARCHAR(16) NOT NULL DEFAULT 'active',
+    stop_reason VARCHAR(32),
+    started_at TIMESTAMP NOT NULL DEFAULT NOW(),
+    last_spin_at TIMESTAMP,
+    ended_at TIMESTAMP,
+
+    CONSTRAINT valid_autoplay_status CHECK (status IN ('active', 'completed', 'stopped')),
+    CONSTRAINT valid_autoplay_stop_reason CHECK (stop_reason IS NULL OR stop_reason IN (
+        'spin_limit', 'loss_limit', 'single_win', 'balance_increase',
+        'feature_triggered', 'player_stopped', 'replaced'
+    )),
+    CONSTRAINT valid_autoplay_spin_limit CHECK (spin_limit IS NULL OR spin_limit > 0),
+    CONSTRAINT valid_autoplay_limits CHECK (
+        (loss_limit IS NULL OR loss_limit > 0) AND
+        (single_win_limit IS NULL OR single_win_limit > 0) AND
+        (balance_increase_limit IS NULL OR balance_increase_limit > 0)
+    )
+);
+
+-- At most one running session per player
+CREATE UNIQUE INDEX IF NOT EXISTS idx_autoplay_sessions_active
+    ON autoplay_sessions(player_id)
+    WHERE status = 'active';
+
+CREATE INDEX IF NOT EXISTS idx_autoplay_sessions_player
+    ON autoplay_sessions(player_id, started_at DESC);
+
+COMMENT ON TABLE autoplay_sessions IS 'Autoplay runs with their stop conditions, totals and end reason';
+COMMENT ON COLUMN autoplay_sessions.jurisdiction IS 'Autoplay rules the settings were checked against (AUTOPLAY_JURISDICTION)';
+COMMENT ON COLUMN autoplay_sessions.loss_limit IS 'Autoplay stops before the net loss (total_bet - total_won) would exceed this';
+COMMENT ON COLUMN autoplay_sessions.stop_reason IS 'Why the run ended; NULL while active';
@@ -0,0 +1,13 @@
+-- =====================================================
+-- Accessibility settings
+-- =====================================================
+-- Per-player display options (GET/PUT /api/accessibility): reduced motion,
+-- reduced flashing, shape/letter markers on gem symbols and screen-reader
+-- announcements. Only the options the player has changed are stored; the
+-- client falls back to its own defaults (e.g. the browser's reduced-motion
+-- preference) for the rest.
+-- =====================================================
+
+ALTER TABLE players ADD COLUMN IF NOT EXISTS accessibility_settings JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+COMMENT ON COLUMN players.accessibility_settings IS 'Accessibility options the player has set (reduceMotion, reduceFlashing, symbolMarkers, announcements)';
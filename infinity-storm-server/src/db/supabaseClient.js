@@ -4,6 +4,7 @@ const path = require('path');
 const { createClient } = require('@supabase/supabase-js');
 const bcrypt = require('bcrypt');
 const dotenv = require('dotenv');
+const { resolveCurrency } = require('../config/currencies');
 
 // Load environment variables from multiple potential locations so local dev works regardless of cwd
 const envCandidates = [
@@ -132,6 +133,7 @@ async function getPlayerBalance(playerId) {
 
     return {
       balance: parseFloat(player.credits || 0),
+      currency: resolveCurrency(player.currency),
       playerId: player.id,
       username: player.username
     };
@@ -358,7 +360,17 @@ async function saveSpinResult(playerId, spinData) {
         total_win: spinData.totalWin,
         multipliers_applied: spinData.multipliers || [],
         rng_seed: spinData.rngSeed || 'demo_seed_' + Date.now(),
-        game_mode: freeSpinsFlag ? 'free_spins' : 'base'
+        game_mode: freeSpinsFlag ? 'free_spins' : 'base',
+        ...(spinData.fairnessSeedId ? {
+          fairness_seed_id: spinData.fairnessSeedId,
+          fairness_nonce: spinData.fairnessNonce
+        } : {}),
+        ...(spinData.replayContext ? {
+          strip_version: spinData.stripVersion || null,
+          replay_context: spinData.replayContext
+        } : {}),
+        ...(spinData.mathModelId ? { math_model_id: spinData.mathModelId } : {}),
+        ...(spinData.rtpProfile ? { rtp_profile: spinData.rtpProfile } : {})
       })
       .select()
       .single();
@@ -575,3 +587,30 @@ async function getSpinHistory(playerId, limit = 200, offset = 0, order = 'desc')
 }
 
 module.exports.getSpinHistory = getSpinHistory;
+
+/**
+ * Fetch one of a player's stored spins from spin_results.
+ * @param {string} playerId
+ * @param {string} spinId - spin_results.id
+ * @returns {Promise<{row: Object|null}|{error: string}>} row is null when the spin is not the player's
+ */
+async function getSpinResult(playerId, spinId) {
+  try {
+    const { data, error } = await supabaseAdmin
+      .from('spin_results')
+      .select('*')
+      .eq('id', spinId)
+      .eq('player_id', playerId)
+      .maybeSingle();
+
+    if (error) {
+      return { error: error.message };
+    }
+    return { row: data || null };
+  } catch (err) {
+    console.error('getSpinResult exception:', err);
+    return { error: err.message };
+  }
+}
+
+module.exports.getSpinResult = getSpinResult;
@@ -0,0 +1,395 @@
+/**
+ * Anomaly Detectors
+ *
+ * Behavioral checks over one player's spin and transaction history. Where
+ * antiCheat scores individual requests (timing, user agent, state jumps),
+ * these look for patterns that only show across many rounds:
+ * - bonus_abuse: deposit, feature purchase with most of it, withdrawal of at
+ *   least the deposit shortly after
+ * - bet_manipulation: bets raised right before free spins triggers far more
+ *   often than the player raises bets otherwise
+ * - collusion: accounts sharing a device (IP address and user agent) or an IP
+ *   address used by several accounts
+ * - improbable_wins: return, big-win count or win streak implausible under the
+ *   math model and the population's hit rates
+ *
+ * Each detector returns a finding { type, score, summary, evidence } or null.
+ * The scores add up to the player's risk score (capped at 100); its priority
+ * uses antiCheat's risk thresholds. This module is pure; anomalyScoringService
+ * loads the history, stores scores and fills the admin review queue.
+ */
+
+const { getModelVolatility } = require('./mathModel');
+
+const FINDING_TYPES = ['bonus_abuse', 'bet_manipulation', 'collusion', 'improbable_wins'];
+
+// Same thresholds as AntiCheat.riskThresholds
+const RISK_PRIORITIES = [
+  { priority: 'CRITICAL', minScore: 90 },
+  { priority: 'HIGH', minScore: 75 },
+  { priority: 'MEDIUM', minScore: 50 },
+  { priority: 'LOW', minScore: 0 }
+];
+
+const DEFAULT_OPTIONS = {
+  // bonus_abuse
+  purchaseWithinHours: 2, // Purchase after the deposit
+  withdrawalWithinHours: 24, // Withdrawal after the purchase
+  minPurchaseShare: 0.5, // Purchase as a share of the deposit
+  // bet_manipulation
+  raiseFactor: 1.5, // A bet above 1.5x the previous one is a raise
+  minTriggers: 3,
+  // improbable_wins
+  minRounds: 200,
+  zScore: 5,
+  // bet_manipulation, improbable_wins: tail probabilities below this are flagged
+  maxProbability: 1e-6,
+  manipulationProbability: 1e-3,
+  // collusion
+  minPlayersPerIp: 3
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const MAX_EVIDENCE_ITEMS = 20;
+
+const toTime = value => new Date(value).getTime();
+const toNumber = value => parseFloat(value) || 0;
+
+/**
+ * Natural log of n!
+ */
+function logFactorial(n) {
+  let total = 0;
+  for (let i = 2; i <= n; i++) {
+    total += Math.log(i);
+  }
+  return total;
+}
+
+/**
+ * P(X >= k) for X ~ Binomial(n, p)
+ */
+function binomialTail(k, n, p) {
+  if (k <= 0) {
+    return 1;
+  }
+  if (p <= 0) {
+    return 0;
+  }
+  if (p >= 1) {
+    return 1;
+  }
+  if (k > n) {
+    return 0;
+  }
+  let term = Math.exp(logFactorial(n) - logFactorial(k) - logFactorial(n - k) + k * Math.log(p) + (n - k) * Math.log(1 - p));
+  let total = term;
+  // Each further term from its ratio to the previous one
+  for (let i = k; i < n; i++) {
+    term *= (n - i) / (i + 1) * p / (1 - p);
+    total += term;
+  }
+  return Math.min(1, total);
+}
+
+/**
+ * P(X >= k) for X ~ Poisson(lambda)
+ */
+function poissonTail(k, lambda) {
+  if (k <= 0) {
+    return 1;
+  }
+  if (lambda <= 0) {
+    return 0;
+  }
+  let term = Math.exp(k * Math.log(lambda) - lambda - logFactorial(k));
+  let total = term;
+  for (let i = k + 1; i < k + 10000 && (i <= lambda || term > total * 1e-12); i++) {
+    term *= lambda / i;
+    total += term;
+  }
+  return Math.min(1, total);
+}
+
+/**
+ * Deposit, purchase, withdrawal cycles
+ * @param {Array<Object>} transactions - { id, type, amount, created_at }, oldest first
+ * @param {Object} options - DEFAULT_OPTIONS overrides
+ * @returns {Object|null} Finding
+ */
+function detectBonusAbuse(transactions, options = {}) {
+  const { purchaseWithinHours, withdrawalWithinHours, minPurchaseShare } = { ...DEFAULT_OPTIONS, ...options };
+  const cycles = [];
+  let deposit = null;
+  let purchase = null;
+
+  for (const transaction of transactions) {
+    const amount = Math.abs(toNumber(transaction.amount));
+    const time = toTime(transaction.created_at);
+
+    if (transaction.type === 'deposit') {
+      deposit = { id: transaction.id, amount, time };
+      purchase = null;
+    } else if (transaction.type === 'purchase' && deposit && !purchase) {
+      if (time - deposit.time <= purchaseWithinHours * HOUR_MS && amount >= deposit.amount * minPurchaseShare) {
+        purchase = { id: transaction.id, amount, time };
+      }
+    } else if (transaction.type === 'withdrawal' && purchase) {
+      if (time - purchase.time <= withdrawalWithinHours * HOUR_MS && amount >= deposit.amount) {
+        cycles.push({
+          depositId: deposit.id,
+          purchaseId: purchase.id,
+          withdrawalId: transaction.id,
+          deposit: deposit.amount,
+          purchase: purchase.amount,
+          withdrawal: amount,
+          depositedAt: new Date(deposit.time).toISOString(),
+          withdrawnAt: new Date(time).toISOString()
+        });
+      }
+      deposit = null;
+      purchase = null;
+    }
+  }
+
+  if (cycles.length === 0) {
+    return null;
+  }
+  return {
+    type: 'bonus_abuse',
+    score: Math.min(50, cycles.length * 25),
+    summary: `${cycles.length} deposit, feature purchase and withdrawal cycle(s)`,
+    evidence: { cycles: cycles.slice(-MAX_EVIDENCE_ITEMS) }
+  };
+}
+
+/**
+ * Bets raised right before free spins triggers
+ * @param {Array<Object>} spins - { id, bet_amount, game_mode, free_spins_triggered }, oldest first
+ * @param {Object} options - DEFAULT_OPTIONS overrides
+ * @returns {Object|null} Finding
+ */
+function detectBetManipulation(spins, options = {}) {
+  const { raiseFactor, minTriggers, manipulationProbability, maxProbability } = { ...DEFAULT_OPTIONS, ...options };
+  const paid = spins.filter(spin => spin.game_mode === 'base');
+  let raises = 0;
+  let triggers = 0;
+  const raisedTriggers = [];
+
+  for (let i = 1; i < paid.length; i++) {
+    const raised = toNumber(paid[i].bet_amount) > toNumber(paid[i - 1].bet_amount) * raiseFactor;
+    if (raised) {
+      raises++;
+    }
+    if (paid[i].free_spins_triggered) {
+      triggers++;
+      if (raised) {
+        raisedTriggers.push({
+          spinId: paid[i].id,
+          bet: toNumber(paid[i].bet_amount),
+          previousBet: toNumber(paid[i - 1].bet_amount)
+        });
+      }
+    }
+  }
+
+  if (triggers < minTriggers || raisedTriggers.length === 0) {
+    return null;
+  }
+  // Raises on other spins estimate how often this player raises regardless of the outcome
+  const otherSpins = paid.length - 1 - triggers;
+  const raiseRate = otherSpins > 0 ? (raises - raisedTriggers.length) / otherSpins : 0;
+  const probability = binomialTail(raisedTriggers.length, triggers, Math.max(raiseRate, 1 / (otherSpins + 1)));
+  if (probability >= manipulationProbability) {
+    return null;
+  }
+
+  return {
+    type: 'bet_manipulation',
+    score: probability < maxProbability ? 40 : 30,
+    summary: `Bet raised before ${raisedTriggers.length} of ${triggers} free spins triggers ` +
+      `(${(raiseRate * 100).toFixed(1)}% of other spins)`,
+    evidence: {
+      paidSpins: paid.length,
+      triggers,
+      raisedBeforeTrigger: raisedTriggers.length,
+      raiseRate,
+      probability,
+      spins: raisedTriggers.slice(-MAX_EVIDENCE_ITEMS)
+    }
+  };
+}
+
+/**
+ * Devices and IP addresses shared with other accounts
+ * @param {string} playerId - Player being scored
+ * @param {Array<Object>} groups - { ip_address, user_agent, ip_only, player_ids } with two or more players each
+ * @param {Object} options - DEFAULT_OPTIONS overrides
+ * @returns {Object|null} Finding
+ */
+function detectCollusion(playerId, groups, options = {}) {
+  const { minPlayersPerIp } = { ...DEFAULT_OPTIONS, ...options };
+  const mine = groups.filter(group => group.player_ids.includes(playerId));
+  const describe = group => ({
+    ipAddress: group.ip_address,
+    userAgent: group.ip_only ? null : group.user_agent,
+    otherPlayers: group.player_ids.filter(id => id !== playerId).slice(0, MAX_EVIDENCE_ITEMS)
+  });
+  const devices = mine.filter(group => !group.ip_only).map(describe);
+  const addresses = mine
+    .filter(group => group.ip_only && group.player_ids.length >= minPlayersPerIp)
+    .map(describe);
+
+  const score = Math.min(40, devices.length * 20) + Math.min(20, addresses.length * 10);
+  if (score === 0) {
+    return null;
+  }
+  const linked = new Set([...devices, ...addresses].flatMap(entry => entry.otherPlayers));
+  return {
+    type: 'collusion',
+    score,
+    summary: `Shares ${devices.length} device(s) and ${addresses.length} IP address(es) with ${linked.size} other account(s)`,
+    evidence: { devices, ipAddresses: addresses, linkedPlayers: [...linked].slice(0, MAX_EVIDENCE_ITEMS) }
+  };
+}
+
+/**
+ * Return, big wins and win streaks against the model and the population
+ * @param {Array<Object>} spins - { bet_amount, total_win, game_mode, math_model_id }, oldest first
+ * @param {Object} context - { models: Map of math model ID -> artifact (key null: spins without one),
+ *                             purchases: Array of amounts, hitRate, bigWinRate, bigWinMultiplier }
+ * @param {Object} options - DEFAULT_OPTIONS overrides
+ * @returns {Object|null} Finding
+ */
+function detectImprobableWins(spins, { models, purchases = [], hitRate = null, bigWinRate = null, bigWinMultiplier = 50 }, options = {}) {
+  const { minRounds, zScore, maxProbability } = { ...DEFAULT_OPTIONS, ...options };
+  const paid = spins.filter(spin => spin.game_mode === 'base');
+  if (paid.length + purchases.length < minRounds) {
+    return null;
+  }
+
+  let stake = 0;
+  let win = 0;
+  let expected = 0;
+  let variance = 0;
+  let bigWins = 0;
+  let streak = 0;
+  let longestStreak = 0;
+  let lastModel = models.get(null) || null;
+
+  for (const spin of spins) {
+    const artifact = models.get(spin.math_model_id) || models.get(null);
+    if (!artifact) {
+      continue;
+    }
+    const spinWin = toNumber(spin.total_win);
+    win += spinWin;
+    if (spin.game_mode !== 'base') {
+      continue;
+    }
+    const bet = toNumber(spin.bet_amount);
+    lastModel = artifact;
+    stake += bet;
+    expected += bet * artifact.targetRtp;
+    variance += (getModelVolatility(artifact).base * bet) ** 2;
+    if (spinWin >= bet * bigWinMultiplier) {
+      bigWins++;
+    }
+    streak = spinWin > 0 ? streak + 1 : 0;
+    longestStreak = Math.max(longestStreak, streak);
+  }
+  // Purchased free spins are played on the model of the player's latest paid spin
+  if (lastModel) {
+    for (const amount of purchases) {
+      stake += amount;
+      expected += amount * lastModel.targetRtp;
+      variance += (getModelVolatility(lastModel).buy_feature * amount) ** 2;
+    }
+  }
+
+  const reasons = [];
+  const evidence = { rounds: paid.length + purchases.length, stake, win };
+  let score = 0;
+
+  if (stake > 0 && variance > 0) {
+    const z = (win - expected) / Math.sqrt(variance);
+    Object.assign(evidence, { observedRtp: win / stake, expectedRtp: expected / stake, zScore: z });
+    if (z >= zScore) {
+      score += z >= zScore * 1.5 ? 40 : 30;
+      reasons.push(`RTP ${(win / stake * 100).toFixed(1)}% vs ${(expected / stake * 100).toFixed(1)}% (z ${z.toFixed(1)})`);
+    }
+  }
+  if (bigWinRate !== null && paid.length > 0) {
+    const expectedBigWins = paid.length * bigWinRate;
+    const probability = poissonTail(bigWins, expectedBigWins);
+    Object.assign(evidence, { bigWins, expectedBigWins, bigWinProbability: probability });
+    if (probability < maxProbability) {
+      score += 20;
+      reasons.push(`${bigWins} big wins where ${expectedBigWins.toFixed(1)} are expected`);
+    }
+  }
+  if (hitRate !== null && hitRate > 0 && hitRate < 1 && longestStreak > 0) {
+    // Expected number of runs of this length: an upper bound on the chance of seeing one
+    const probability = Math.min(1, paid.length * (1 - hitRate) * hitRate ** longestStreak);
+    Object.assign(evidence, { longestWinStreak: longestStreak, hitRate, streakProbability: probability });
+    if (probability < maxProbability) {
+      score += 20;
+      reasons.push(`${longestStreak} winning spins in a row`);
+    }
+  }
+
+  if (score === 0) {
+    return null;
+  }
+  return {
+    type: 'improbable_wins',
+    score: Math.min(60, score),
+    summary: reasons.join('; '),
+    evidence
+  };
+}
+
+/**
+ * Priority of a risk score
+ * @param {number} score - Risk score (0-100)
+ * @returns {string} LOW, MEDIUM, HIGH or CRITICAL
+ */
+function getRiskPriority(score) {
+  return RISK_PRIORITIES.find(entry => score >= entry.minScore).priority;
+}
+
+/**
+ * Run every detector over a player's history
+ * @param {Object} history - { playerId, spins, transactions, deviceGroups, models, hitRate, bigWinRate, bigWinMultiplier }
+ * @param {Object} options - DEFAULT_OPTIONS overrides
+ * @returns {Object} { score, priority, findings }
+ */
+function scorePlayer({ playerId, spins = [], transactions = [], deviceGroups = [], models = new Map(), ...baseline }, options = {}) {
+  const purchases = transactions
+    .filter(transaction => transaction.type === 'purchase')
+    .map(transaction => Math.abs(toNumber(transaction.amount)));
+
+  const findings = [
+    detectBonusAbuse(transactions, options),
+    detectBetManipulation(spins, options),
+    detectCollusion(playerId, deviceGroups, options),
+    detectImprobableWins(spins, { models, purchases, ...baseline }, options)
+  ].filter(Boolean);
+
+  const score = Math.min(100, findings.reduce((total, finding) => total + finding.score, 0));
+  return { score, priority: getRiskPriority(score), findings };
+}
+
+module.exports = {
+  FINDING_TYPES,
+  RISK_PRIORITIES,
+  DEFAULT_OPTIONS,
+  binomialTail,
+  poissonTail,
+  detectBonusAbuse,
+  detectBetManipulation,
+  detectCollusion,
+  detectImprobableWins,
+  getRiskPriority,
+  scorePlayer
+};
@@ -14,16 +14,26 @@
  * - Automated action triggers
  * - Detailed violation logging
  * - Machine learning anomaly detection
+ *
+ * Events: 'flagged' { playerId, priority, riskScore, violations } when a player
+ * is flagged for review, 'restricted' { playerId, durationSeconds } when
+ * temporary restrictions are applied (reviewCaseService turns them into cases
+ * and player restrictions).
  */
 
 const crypto = require('crypto');
+const EventEmitter = require('events');
 const { getRedisClient } = require('../config/redis');
 
-class AntiCheat {
+const RESTRICTION_SECONDS = 3600;
+
+class AntiCheat extends EventEmitter {
   constructor() {
+    super();
     this.redis = null;
     this.playerProfiles = new Map(); // In-memory player behavior profiles
     this.suspiciousActions = new Map(); // Tracking suspicious actions
+    this.violationCounts = {}; // check -> violation type -> count, scraped by serverMetrics
     this.riskThresholds = {
       LOW: 25,
       MEDIUM: 50,
@@ -100,13 +110,17 @@ class AntiCheat {
 
       return {
         valid: violations.length === 0,
-        violations,
+        violations: this.countViolations('session_start', violations),
         riskScore: await this.calculateRiskScore(playerId, violations)
       };
 
     } catch (error) {
       console.error('AntiCheat: Error in session start validation:', error);
-      return { valid: false, violations: ['validation_error'], riskScore: 100 };
+      return {
+        valid: false,
+        violations: this.countViolations('session_start', ['validation_error']),
+        riskScore: 100
+      };
     }
   }
 
@@ -179,13 +193,17 @@ class AntiCheat {
 
       return {
         valid: violations.length === 0,
-        violations,
+        violations: this.countViolations('state_update', violations),
         riskScore
       };
 
     } catch (error) {
       console.error('AntiCheat: Error in state update validation:', error);
-      return { valid: false, violations: ['validation_error'], riskScore: 100 };
+      return {
+        valid: false,
+        violations: this.countViolations('state_update', ['validation_error']),
+        riskScore: 100
+      };
     }
   }
 
@@ -229,16 +247,35 @@ class AntiCheat {
 
       return {
         valid: violations.length === 0,
-        violations,
+        violations: this.countViolations('spin_request', violations),
         riskScore: await this.calculateRiskScore(playerId, violations)
       };
 
     } catch (error) {
       console.error('AntiCheat: Error in spin request validation:', error);
-      return { valid: false, violations: ['validation_error'], riskScore: 100 };
+      return {
+        valid: false,
+        violations: this.countViolations('spin_request', ['validation_error']),
+        riskScore: 100
+      };
     }
   }
 
+  /**
+     * Count violations by validation and type for monitoring
+     * @param {string} check - Validation that found them
+     * @param {Array} violations - Violation names (or objects with a type)
+     * @returns {Array} The same violations
+     */
+  countViolations(check, violations) {
+    const counts = this.violationCounts[check] || (this.violationCounts[check] = {});
+    for (const violation of violations) {
+      const type = typeof violation === 'string' ? violation : violation?.type || 'unknown';
+      counts[type] = (counts[type] || 0) + 1;
+    }
+    return violations;
+  }
+
   /**
      * Validate client data for suspicious patterns
      * @param {string} playerId - Player ID
@@ -592,7 +629,7 @@ class AntiCheat {
     try {
       if (riskScore >= this.riskThresholds.CRITICAL) {
         // Flag for immediate review
-        await this.flagPlayerForReview(playerId, 'CRITICAL', violations);
+        await this.flagPlayerForReview(playerId, 'CRITICAL', violations, riskScore);
 
         // Consider temporary restrictions
         await this.applyTemporaryRestrictions(playerId);
@@ -602,7 +639,7 @@ class AntiCheat {
         await this.enableEnhancedMonitoring(playerId);
 
         // Flag for review
-        await this.flagPlayerForReview(playerId, 'HIGH', violations);
+        await this.flagPlayerForReview(playerId, 'HIGH', violations, riskScore);
       }
 
     } catch (error) {
@@ -917,12 +954,13 @@ class AntiCheat {
      * @param {string} playerId - Player ID
      * @param {string} priority - Priority level
      * @param {Array} violations - Violations
+     * @param {number} riskScore - Risk score
      */
-  async flagPlayerForReview(playerId, priority, violations) {
+  async flagPlayerForReview(playerId, priority, violations, riskScore = null) {
     console.log(`AntiCheat: Flagging player ${playerId} for ${priority} review:`, violations);
 
-    // In a real implementation, this would notify administrators
-    // and create a review case in the admin system
+    // Listeners open the review case in the admin panel
+    this.emit('flagged', { playerId, priority, riskScore, violations });
 
     if (this.redis) {
       await this.redis.sadd('players_for_review', JSON.stringify({
@@ -941,11 +979,11 @@ class AntiCheat {
   async applyTemporaryRestrictions(playerId) {
     console.log(`AntiCheat: Applying temporary restrictions to player ${playerId}`);
 
-    // In a real implementation, this would limit player actions
-    // such as reducing max bet amounts or requiring additional verification
+    // Listeners restrict the player (no feature purchases, minimum bet only)
+    this.emit('restricted', { playerId, durationSeconds: RESTRICTION_SECONDS });
 
     if (this.redis) {
-      await this.redis.setex(`player_restricted:${playerId}`, 3600, 'true');
+      await this.redis.setex(`player_restricted:${playerId}`, RESTRICTION_SECONDS, 'true');
     }
   }
 
@@ -969,6 +1007,7 @@ class AntiCheat {
     return {
       active_profiles: this.playerProfiles.size,
       suspicious_actions: this.suspiciousActions.size,
+      violations: this.violationCounts,
       redis_connected: !!this.redis,
       detection_patterns: this.detectionPatterns,
       risk_thresholds: this.riskThresholds
@@ -0,0 +1,478 @@
+/**
+ * Audit Chain - Tamper-Evident Log Records
+ *
+ * Every line the audit logger writes is a chain record:
+ *   {"seq":N,"prev":"<hash of line N-1>","entry":{...},"hash":"<link hash>"}
+ * or, with encryption enabled, the entry replaced by AES-256-GCM fields:
+ *   {"seq":N,"prev":"...","kid":"<key id>","iv":"...","tag":"...","ct":"...","hash":"..."}
+ *
+ * The link hash is sha256(prev + "\n" + seq + "\n" + payload), where the payload is
+ * the entry JSON or the ciphertext fields, so the chain verifies without keys.
+ * Encrypted records also bind their position through the GCM additional data.
+ *
+ * Each log file starts with a header record (seq 0) whose `prev` is the final
+ * hash of the file it was rotated from, named in `header.prev_file`. The chain
+ * of a log therefore runs across every rotated file; deleting, reordering or
+ * editing any line, or removing a rotated file from the middle, breaks it.
+ * Truncating the newest lines can only be caught against an externally kept
+ * head hash (see AuditLogger.getStats().chain_heads).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const CHAIN_VERSION = 1;
+const HEADER_TYPE = 'audit_chain_header';
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+const IV_BYTES = 12;
+const TAIL_CHUNK_BYTES = 64 * 1024;
+
+/**
+ * Link hash of a record
+ * @param {string|null} prev - Hash of the previous record (null at the start of a chain)
+ * @param {number} seq - Sequence number within the file
+ * @param {string} payload - Entry JSON or encrypted payload
+ * @returns {string} SHA-256 hex digest
+ */
+function linkHash(prev, seq, payload) {
+  return crypto.createHash('sha256').update(`${prev || ''}\n${seq}\n${payload}`).digest('hex');
+}
+
+/**
+ * Integrity hash of a single entry (sorted top-level keys, integrity_hash left out)
+ * @param {Object} entry - Log entry
+ * @returns {string} SHA-256 hex digest
+ */
+function integrityHash(entry) {
+  const entryForHash = { ...entry };
+  delete entryForHash.integrity_hash;
+
+  const entryString = JSON.stringify(entryForHash, Object.keys(entryForHash).sort());
+  return crypto.createHash('sha256').update(entryString).digest('hex');
+}
+
+function recordPayload(record) {
+  if (record.header) {
+    return JSON.stringify(record.header);
+  }
+  if (record.ct !== undefined) {
+    return `${record.kid}.${record.iv}.${record.tag}.${record.ct}`;
+  }
+  return JSON.stringify(record.entry);
+}
+
+const additionalData = (seq, prev) => Buffer.from(`${seq}:${prev || ''}`, 'utf8');
+
+/**
+ * Build the header record that starts a log file
+ * @param {Object} options - { prev: anchor hash, log: base file name, prevFile: rotated predecessor }
+ * @returns {Object} Header record
+ */
+function createHeader({ prev = null, log, prevFile = null, createdAt = new Date().toISOString() }) {
+  const record = {
+    seq: 0,
+    prev,
+    header: { type: HEADER_TYPE, version: CHAIN_VERSION, log, created_at: createdAt, prev_file: prevFile }
+  };
+  record.hash = linkHash(prev, 0, recordPayload(record));
+  return record;
+}
+
+/**
+ * Build the record for an entry, encrypting it when a key is given
+ * @param {Object} options - { seq, prev, entry, key: { id, key } }
+ * @returns {Object} Chain record
+ */
+function createRecord({ seq, prev, entry, key = null }) {
+  const record = { seq, prev };
+
+  if (key) {
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key.key, iv);
+    cipher.setAAD(additionalData(seq, prev));
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(entry), 'utf8'), cipher.final()]);
+    record.kid = key.id;
+    record.iv = iv.toString('base64');
+    record.tag = cipher.getAuthTag().toString('base64');
+    record.ct = ciphertext.toString('base64');
+  } else {
+    record.entry = entry;
+  }
+
+  record.hash = linkHash(prev, seq, recordPayload(record));
+  return record;
+}
+
+/**
+ * Entry of a record, decrypted when needed
+ * @param {Object} record - Chain record
+ * @param {Map<string, Buffer>} keys - Keyring
+ * @returns {Object} Entry
+ * @throws {Error} With code UNKNOWN_KEY, or DECRYPT_FAILED when authentication fails
+ */
+function openRecord(record, keys = new Map()) {
+  if (record.ct === undefined) {
+    return record.entry;
+  }
+
+  const key = keys.get(record.kid);
+  if (!key) {
+    const error = new Error(`Unknown audit encryption key: ${record.kid}`);
+    error.code = 'UNKNOWN_KEY';
+    throw error;
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(record.iv, 'base64'));
+    decipher.setAAD(additionalData(record.seq, record.prev));
+    decipher.setAuthTag(Buffer.from(record.tag, 'base64'));
+    const plaintext = Buffer.concat([
+      decipher.update(Buffer.from(record.ct, 'base64')),
+      decipher.final()
+    ]).toString('utf8');
+    return JSON.parse(plaintext);
+  } catch {
+    const failure = new Error(`Audit record ${record.seq} failed authentication with key ${record.kid}`);
+    failure.code = 'DECRYPT_FAILED';
+    throw failure;
+  }
+}
+
+/**
+ * Parse a key list of the form "id:key,id:key" (or an object of id -> key)
+ * @param {string|Object} spec - Keys as 32 bytes in hex or base64
+ * @returns {Map<string, Buffer>} Keyring in the order given
+ */
+function parseKeyring(spec) {
+  const keys = new Map();
+  if (!spec) {
+    return keys;
+  }
+
+  const pairs = typeof spec === 'string' ?
+    spec.split(',').map(item => item.trim()).filter(Boolean).map((item) => {
+      const separator = item.indexOf(':');
+      return separator === -1 ? [item, ''] : [item.slice(0, separator), item.slice(separator + 1)];
+    }) :
+    Object.entries(spec);
+
+  for (const [id, value] of pairs) {
+    if (!KEY_ID_PATTERN.test(id)) {
+      throw new Error(`Invalid audit encryption key id: ${id}`);
+    }
+    const encoded = String(value || '').trim();
+    const key = /^[0-9a-f]{64}$/i.test(encoded) ?
+      Buffer.from(encoded, 'hex') :
+      Buffer.from(encoded, 'base64');
+    if (key.length !== 32) {
+      throw new Error(`Audit encryption key ${id} must be 32 bytes in hex or base64`);
+    }
+    keys.set(id, key);
+  }
+  return keys;
+}
+
+/**
+ * Keyring from the logger config, falling back to AUDIT_ENCRYPTION_KEYS / AUDIT_ENCRYPTION_KEY_ID
+ * @param {Object} options - { encryptionKeys, encryptionKeyId }
+ * @returns {Object} { keys, activeKeyId } - activeKeyId defaults to the first key listed
+ */
+function resolveKeyring({ encryptionKeys, encryptionKeyId } = {}) {
+  const keys = parseKeyring(encryptionKeys || process.env.AUDIT_ENCRYPTION_KEYS);
+  const activeKeyId = encryptionKeyId || process.env.AUDIT_ENCRYPTION_KEY_ID || keys.keys().next().value || null;
+
+  if (activeKeyId && keys.size > 0 && !keys.has(activeKeyId)) {
+    throw new Error(`Audit encryption key ${activeKeyId} is not in the keyring`);
+  }
+  return { keys, activeKeyId };
+}
+
+const parseLine = (line) => {
+  try {
+    const record = JSON.parse(line);
+    return record && typeof record === 'object' ? record : null;
+  } catch {
+    return null;
+  }
+};
+
+const isChainRecord = record => Boolean(record) && Number.isInteger(record.seq) && typeof record.hash === 'string';
+const isHeader = record => isChainRecord(record) && record.seq === 0 && record.header?.type === HEADER_TYPE;
+
+/**
+ * Where the chain of a file currently ends, read from its first and last lines
+ * @param {string} file - Log file path
+ * @returns {Promise<Object|null>} null for a missing or empty file, { chained: false } for a
+ *          file that does not start with a chain header, otherwise { chained, seq, hash, intact }
+ *          where intact is false when the last line is incomplete or unreadable
+ */
+async function readChainTail(file) {
+  let handle;
+  try {
+    handle = await fs.open(file, 'r');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+
+  try {
+    const { size } = await handle.stat();
+    if (size === 0) {
+      return null;
+    }
+
+    const head = Buffer.alloc(Math.min(size, TAIL_CHUNK_BYTES));
+    await handle.read(head, 0, head.length, 0);
+    const firstLine = head.toString('utf8').split('\n')[0];
+    if (!isHeader(parseLine(firstLine))) {
+      return { chained: false };
+    }
+
+    // Read backwards until the window holds the last two complete lines
+    let length = Math.min(size, TAIL_CHUNK_BYTES);
+    let lines;
+    for (;;) {
+      const buffer = Buffer.alloc(length);
+      await handle.read(buffer, 0, length, size - length);
+      lines = buffer.toString('utf8').split('\n');
+      if (length === size || lines.length > 3) {
+        break;
+      }
+      length = Math.min(size, length * 2);
+    }
+
+    const torn = lines[lines.length - 1] !== '';
+    const complete = lines.slice(length === size ? 0 : 1, -1);
+    const last = parseLine(complete[complete.length - 1]);
+    if (!torn && isChainRecord(last)) {
+      return { chained: true, seq: last.seq, hash: last.hash, intact: true };
+    }
+
+    // Fall back to the last readable record before the damage
+    for (let index = complete.length - (torn ? 1 : 2); index >= 0; index--) {
+      const record = parseLine(complete[index]);
+      if (isChainRecord(record)) {
+        return { chained: true, seq: record.seq, hash: record.hash, intact: false };
+      }
+    }
+    return { chained: true, seq: null, hash: null, intact: false };
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Rotated files of a log, newest first by name
+ * @param {string} baseFile - Current log file path
+ * @returns {Promise<Array<string>>} File names
+ */
+async function listRotatedFiles(baseFile) {
+  const baseName = path.basename(baseFile);
+  try {
+    const files = await fs.readdir(path.dirname(baseFile));
+    return files
+      .filter(file => file.startsWith(`${baseName}.`))
+      .sort((a, b) => b.localeCompare(a));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+}
+
+async function readRecords(file) {
+  const content = await fs.readFile(file, 'utf8');
+  const lines = content.split('\n');
+  const torn = lines[lines.length - 1] !== '';
+  if (!torn) {
+    lines.pop();
+  }
+  return { lines, torn };
+}
+
+/**
+ * Verify the chain of one log across its rotated files
+ *
+ * Files are ordered by following each header's prev_file back from the current
+ * file. Stops at the first problem.
+ * @param {string} baseFile - Current log file path (e.g. logs/audit.log)
+ * @param {Object} options - { keys: keyring to decrypt and check encrypted entries }
+ * @returns {Promise<Object>} { log, ok, files, records, anchor, broken, warnings }
+ */
+async function verifyLogChain(baseFile, { keys = new Map() } = {}) {
+  const dir = path.dirname(baseFile);
+  const baseName = path.basename(baseFile);
+  const result = { log: baseName, ok: true, files: [], records: 0, anchor: null, broken: null, warnings: [] };
+  const fail = (file, line, seq, reason) => {
+    result.ok = false;
+    result.broken = { file, line, seq, reason };
+    return result;
+  };
+
+  const rotated = await listRotatedFiles(baseFile);
+  const existing = new Set(rotated);
+  let current = null;
+  try {
+    await fs.access(baseFile);
+    current = baseName;
+  } catch {
+    current = rotated[0] || null;
+  }
+  if (!current) {
+    result.warnings.push('no log files');
+    return result;
+  }
+
+  // Walk back through prev_file links to find the order of the files
+  const chain = [];
+  const visited = new Set();
+  let missingPredecessor = null;
+  while (current && !visited.has(current)) {
+    visited.add(current);
+    const { lines, torn } = await readRecords(path.join(dir, current));
+    const header = parseLine(lines[0]);
+    chain.unshift({ name: current, lines, torn, header: isHeader(header) ? header : null });
+    if (!isHeader(header)) {
+      break;
+    }
+    current = header.header.prev_file;
+    if (current && current !== baseName && !existing.has(current)) {
+      missingPredecessor = current;
+      current = null;
+    }
+  }
+  result.files = chain.map(file => file.name);
+
+  const unreached = rotated.filter(name => !visited.has(name));
+  const unreachedChained = [];
+  for (const name of unreached) {
+    const tail = await readChainTail(path.join(dir, name));
+    if (tail && tail.chained) {
+      unreachedChained.push(name);
+    } else {
+      result.warnings.push(`${name} predates the audit chain and is not verified`);
+    }
+  }
+
+  if (!chain[0].header) {
+    // A file written before the chain existed may only start it: as the whole log,
+    // or as the predecessor of a genesis header
+    const legacy = chain[0].name;
+    const startsChain = chain.length === 1 ? unreachedChained.length === 0 : chain[1].header.prev === null;
+    if (!startsChain) {
+      return fail(legacy, 1, null, 'file does not start with a chain header');
+    }
+    result.warnings.push(`${legacy} predates the audit chain and is not verified`);
+    chain.shift();
+    result.files = chain.map(file => file.name);
+    if (chain.length === 0) {
+      return result;
+    }
+  }
+  const first = chain[0];
+  if (missingPredecessor) {
+    if (unreachedChained.length > 0) {
+      return fail(first.name, 1, 0, `predecessor ${missingPredecessor} is missing`);
+    }
+    result.warnings.push(`predecessor ${missingPredecessor} is no longer retained; chain verified from its anchor`);
+  } else if (unreachedChained.length > 0) {
+    return fail(unreachedChained[0], 1, 0, `not linked from ${chain[chain.length - 1].name}`);
+  }
+  result.anchor = first.header.prev;
+
+  let undecryptable = 0;
+  let previousHash;
+  for (const file of chain) {
+    let expectedSeq = 0;
+    for (let index = 0; index < file.lines.length; index++) {
+      const lineNumber = index + 1;
+      const record = parseLine(file.lines[index]);
+      if (!isChainRecord(record)) {
+        const reason = file.torn && index === file.lines.length - 1 ?
+          'incomplete final line' : 'unreadable record';
+        return fail(file.name, lineNumber, null, reason);
+      }
+
+      if (index === 0) {
+        if (!isHeader(record) || record.header.log !== baseName) {
+          return fail(file.name, lineNumber, record.seq, `header does not belong to ${baseName}`);
+        }
+        if (previousHash !== undefined && record.prev !== previousHash) {
+          return fail(file.name, lineNumber, 0, 'anchor does not match the final hash of the previous file');
+        }
+      } else if (record.header) {
+        return fail(file.name, lineNumber, record.seq, 'unexpected header');
+      } else if (record.seq !== expectedSeq) {
+        return fail(file.name, lineNumber, record.seq, `sequence gap (expected ${expectedSeq})`);
+      } else if (record.prev !== previousHash) {
+        return fail(file.name, lineNumber, record.seq, 'broken link to the previous record');
+      }
+
+      if (linkHash(record.prev, record.seq, recordPayload(record)) !== record.hash) {
+        return fail(file.name, lineNumber, record.seq, 'tampered record (hash mismatch)');
+      }
+
+      if (index > 0) {
+        let entry = null;
+        try {
+          entry = openRecord(record, keys);
+        } catch (error) {
+          if (error.code !== 'UNKNOWN_KEY') {
+            return fail(file.name, lineNumber, record.seq, 'tampered entry (decryption failed)');
+          }
+          undecryptable++;
+        }
+        if (entry && entry.integrity_hash && integrityHash(entry) !== entry.integrity_hash) {
+          return fail(file.name, lineNumber, record.seq, 'tampered entry (integrity hash mismatch)');
+        }
+        result.records++;
+      }
+
+      previousHash = record.hash;
+      expectedSeq = record.seq + 1;
+    }
+  }
+
+  if (undecryptable > 0) {
+    result.warnings.push(`${undecryptable} encrypted entries not checked (key not provided)`);
+  }
+  result.head = previousHash;
+  return result;
+}
+
+/**
+ * Verify every log in a directory
+ * @param {string} dir - Log directory
+ * @param {Object} options - { keys, logs: base file names (default: every *.log) }
+ * @returns {Promise<Array<Object>>} One verifyLogChain result per log
+ */
+async function verifyLogDir(dir, { keys, logs } = {}) {
+  const names = logs || [...new Set((await fs.readdir(dir))
+    .map(file => file.replace(/(\.log)\..*$/, '$1'))
+    .filter(file => file.endsWith('.log')))].sort();
+
+  const results = [];
+  for (const name of names) {
+    results.push(await verifyLogChain(path.join(dir, name), { keys }));
+  }
+  return results;
+}
+
+module.exports = {
+  CHAIN_VERSION,
+  linkHash,
+  integrityHash,
+  createHeader,
+  createRecord,
+  openRecord,
+  parseKeyring,
+  resolveKeyring,
+  readChainTail,
+  listRotatedFiles,
+  verifyLogChain,
+  verifyLogDir
+};
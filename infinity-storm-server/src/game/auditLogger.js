@@ -15,20 +15,29 @@
  * - Real-time log streaming
  * - Compliance-ready audit trails
  * - Performance-optimized logging
+ *
+ * Every line is a record of a hash chain that runs across rotated files, with
+ * optional AES-256-GCM encryption under a key id (see auditChain.js, and
+ * scripts/verifyAudit.js to check it). The chain position of each file is kept
+ * per process, so only one server process may write to a log directory.
  */
 
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
+const auditChain = require('./auditChain');
 
 const isTestEnv = (process.env.NODE_ENV || '').toLowerCase() === 'test' || process.env.JEST_WORKER_ID;
 
+// Chain position and write queue per log file, shared by every logger writing to it
+const chainStates = new Map();
+
 class AuditLogger {
   constructor(config = {}) {
     this.config = {
       // Log file configuration
-      logDir: config.logDir || path.join(__dirname, '../../logs'),
+      logDir: config.logDir || process.env.AUDIT_LOG_DIR || path.join(__dirname, '../../logs'),
       maxFileSize: config.maxFileSize || 50 * 1024 * 1024, // 50MB
       maxFiles: config.maxFiles || 10,
       rotateInterval: config.rotateInterval || 24 * 60 * 60 * 1000, // 24 hours
@@ -39,8 +48,9 @@ class AuditLogger {
 
       // Compliance settings
       enableCompliance: config.enableCompliance !== false,
-      enableEncryption: config.enableEncryption || false,
-      encryptionKey: config.encryptionKey,
+      enableEncryption: config.enableEncryption || process.env.AUDIT_LOG_ENCRYPTION === 'true',
+      encryptionKeys: config.encryptionKeys,
+      encryptionKeyId: config.encryptionKeyId,
 
       // Performance settings
       bufferSize: config.bufferSize || 100,
@@ -67,11 +77,18 @@ class AuditLogger {
       error: path.join(this.config.logDir, 'error.log')
     };
 
+    // Keys for encrypting entries (AUDIT_ENCRYPTION_KEYS unless given in config)
+    this.keyring = auditChain.resolveKeyring(this.config);
+    if (this.config.enableEncryption && !this.keyring.activeKeyId) {
+      throw new Error('Audit log encryption is enabled but no encryption keys are configured');
+    }
+
     // Log buffer for batch processing
     this.logBuffer = [];
     this.bufferTimer = null;
 
-    // Audit trail tracking
+    // Recent state updates, linked in memory for quick inspection; the
+    // tamper-evident chain covering every line is persisted by writeToFile
     this.auditChain = [];
     this.lastAuditHash = null;
 
@@ -103,7 +120,7 @@ class AuditLogger {
 
       // Log system startup
       await this.logSystemEvent('audit_logger_initialized', {
-        config: this.config,
+        config: this.getPublicConfig(),
         log_files: this.logFiles,
         timestamp: new Date().toISOString()
       });
@@ -541,9 +558,9 @@ class AuditLogger {
   }
 
   /**
-     * Write directly to file
+     * Append entries to a log file as chain records
      * @param {string} logType - Log type
-     * @param {string} logEntry - Log entry
+     * @param {string|Array<string>} logEntry - Formatted log entry, or several in order
      */
   async writeToFile(logType, logEntry) {
     const logFile = this.logFiles[logType];
@@ -551,15 +568,107 @@ class AuditLogger {
       throw new Error(`Unknown log type: ${logType}`);
     }
 
-    // Check if rotation is needed
-    await this.checkAndRotateLog(logFile);
+    const entries = (Array.isArray(logEntry) ? logEntry : [logEntry]).map(entry => JSON.parse(entry));
+    const key = this.getEncryptionKey();
+
+    await this.withChain(logFile, async (chain) => {
+      // Check if rotation is needed
+      await this.checkAndRotateLog(logFile);
+
+      let { seq, hash } = chain;
+      const lines = entries.map((entry) => {
+        seq++;
+        const record = auditChain.createRecord({ seq, prev: hash, entry, key });
+        hash = record.hash;
+        return JSON.stringify(record);
+      });
+
+      // Advance the chain only once the records are on disk
+      await fs.appendFile(logFile, lines.join('\n') + '\n', 'utf8');
+      chain.seq = seq;
+      chain.hash = hash;
+    });
+  }
+
+  /**
+     * Run a task with exclusive use of a log file's chain, resuming the chain first if needed
+     * @param {string} logFile - Log file path
+     * @param {Function} task - Receives the chain state { seq, hash }
+     * @returns {Promise<*>} Task result
+     */
+  withChain(logFile, task) {
+    const chain = this.getChainState(logFile);
+    const run = chain.queue.then(async () => {
+      if (!chain.loaded) {
+        await this.resumeChain(logFile, chain);
+      }
+      return task(chain);
+    });
+    chain.queue = run.catch(() => {});
+    return run;
+  }
+
+  getChainState(logFile) {
+    const key = path.resolve(logFile);
+    if (!chainStates.has(key)) {
+      chainStates.set(key, { seq: null, hash: null, loaded: false, queue: Promise.resolve() });
+    }
+    return chainStates.get(key);
+  }
+
+  /**
+     * Pick up the chain where the file on disk ends
+     *
+     * A file written before the chain existed, or whose last line was torn by a
+     * crash, is moved aside and a new file is started (anchored on the last
+     * readable record, so the verifier still reports the damage). A missing file
+     * is started anchored on the newest rotated file.
+     * @param {string} logFile - Log file path
+     * @param {Object} chain - Chain state
+     */
+  async resumeChain(logFile, chain) {
+    const tail = await auditChain.readChainTail(logFile);
+
+    if (tail && tail.chained && tail.intact) {
+      chain.seq = tail.seq;
+      chain.hash = tail.hash;
+    } else if (tail) {
+      const movedFile = await this.moveAside(logFile);
+      await this.startLogFile(logFile, chain, tail.chained ? tail.hash : null, movedFile);
+    } else {
+      const [latest] = await auditChain.listRotatedFiles(logFile);
+      const previous = latest ?
+        await auditChain.readChainTail(path.join(path.dirname(logFile), latest)) : null;
+      await this.startLogFile(logFile, chain, previous && previous.chained ? previous.hash : null, latest || null);
+    }
+
+    chain.loaded = true;
+  }
 
-    // Encrypt if enabled
-    const finalEntry = this.config.enableEncryption ?
-      this.encryptLogEntry(logEntry) : logEntry;
+  /**
+     * Write the header record that opens a log file
+     * @param {string} logFile - Log file path
+     * @param {Object} chain - Chain state
+     * @param {string|null} anchor - Final hash of the previous file
+     * @param {string|null} prevFile - Name of the previous file
+     */
+  async startLogFile(logFile, chain, anchor, prevFile) {
+    const header = auditChain.createHeader({ prev: anchor, log: path.basename(logFile), prevFile });
+    await fs.appendFile(logFile, JSON.stringify(header) + '\n', 'utf8');
+    chain.seq = 0;
+    chain.hash = header.hash;
+  }
 
-    // Write to file
-    await fs.appendFile(logFile, finalEntry + '\n', 'utf8');
+  /**
+     * Key for new entries, or null when encryption is off
+     * @returns {Object|null} { id, key }
+     */
+  getEncryptionKey() {
+    if (!this.config.enableEncryption) {
+      return null;
+    }
+    const { keys, activeKeyId } = this.keyring;
+    return { id: activeKeyId, key: keys.get(activeKeyId) };
   }
 
   /**
@@ -610,10 +719,9 @@ class AuditLogger {
       }, {});
 
       // Write each group
-      const writePromises = Object.entries(logGroups).map(([logType, entries]) => {
-        const content = entries.join('\n') + '\n';
-        return this.writeToFile(logType, content.slice(0, -1)); // Remove extra newline
-      });
+      const writePromises = Object.entries(logGroups).map(([logType, entries]) =>
+        this.writeToFile(logType, entries)
+      );
 
       await Promise.all(writePromises);
 
@@ -662,7 +770,7 @@ class AuditLogger {
   }
 
   /**
-     * Check and rotate log if needed
+     * Check and rotate log if needed (the caller holds the file's chain)
      * @param {string} logFile - Log file path
      */
   async checkAndRotateLog(logFile) {
@@ -677,15 +785,16 @@ class AuditLogger {
   }
 
   /**
-     * Rotate a log file
+     * Rotate a log file, anchoring the new file on the rotated file's final hash
+     * (the caller holds the file's chain)
      * @param {string} logFile - Log file path
      */
   async rotateLog(logFile) {
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const rotatedFile = `${logFile}.${timestamp}`;
+    const chain = this.getChainState(logFile);
 
     try {
-      await fs.rename(logFile, rotatedFile);
+      const rotatedFile = await this.moveAside(logFile);
+      await this.startLogFile(logFile, chain, chain.hash, rotatedFile);
       if (!isTestEnv) {console.log(`AuditLogger: Rotated log file: ${path.basename(logFile)}`);}
 
       // Clean up old rotated files
@@ -693,16 +802,37 @@ class AuditLogger {
 
     } catch (error) {
       console.error('AuditLogger: Error rotating log file:', error);
+      // Resume from disk on the next write rather than trust the chain state
+      chain.loaded = false;
     }
   }
 
+  /**
+     * Rename a log file to a free timestamped name
+     * @param {string} logFile - Log file path
+     * @returns {Promise<string>} Name of the renamed file
+     */
+  async moveAside(logFile) {
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    let rotatedFile = `${logFile}.${timestamp}`;
+    for (let suffix = 1; await fs.access(rotatedFile).then(() => true, () => false); suffix++) {
+      rotatedFile = `${logFile}.${timestamp}-${suffix}`;
+    }
+
+    await fs.rename(logFile, rotatedFile);
+    return path.basename(rotatedFile);
+  }
+
   /**
      * Rotate all log files
      */
   async rotateAllLogs() {
-    const rotatePromises = Object.values(this.logFiles).map(logFile =>
-      this.checkAndRotateLog(logFile)
-    );
+    const rotatePromises = Object.values(this.logFiles).map(async (logFile) => {
+      const exists = await fs.access(logFile).then(() => true, () => false);
+      if (exists) {
+        await this.withChain(logFile, () => this.checkAndRotateLog(logFile));
+      }
+    });
 
     await Promise.all(rotatePromises);
   }
@@ -767,16 +897,11 @@ class AuditLogger {
      * @returns {string} Integrity hash
      */
   generateIntegrityHash(entry) {
-    // Create a copy without the integrity_hash field
-    const entryForHash = { ...entry };
-    delete entryForHash.integrity_hash;
-
-    const entryString = JSON.stringify(entryForHash, Object.keys(entryForHash).sort());
-    return crypto.createHash('sha256').update(entryString).digest('hex');
+    return auditChain.integrityHash(entry);
   }
 
   /**
-     * Update audit chain
+     * Link a state update into the in-memory list of recent state updates
      * @param {Object} auditEntry - Audit entry
      */
   async updateAuditChain(auditEntry) {
@@ -801,29 +926,6 @@ class AuditLogger {
     }
   }
 
-  /**
-     * Encrypt log entry
-     * @param {string} logEntry - Log entry to encrypt
-     * @returns {string} Encrypted log entry
-     */
-  encryptLogEntry(logEntry) {
-    if (!this.config.encryptionKey) {
-      return logEntry;
-    }
-
-    try {
-      const cipher = crypto.createCipher('aes-256-cbc', this.config.encryptionKey);
-      let encrypted = cipher.update(logEntry, 'utf8', 'hex');
-      encrypted += cipher.final('hex');
-
-      return `ENCRYPTED:${encrypted}`;
-
-    } catch (error) {
-      console.error('AuditLogger: Encryption failed:', error);
-      return logEntry;
-    }
-  }
-
   /**
      * Update write metrics
      * @param {number} startTime - Write start time
@@ -846,13 +948,36 @@ class AuditLogger {
      * @returns {Object} Audit statistics
      */
   getStats() {
+    const chainHeads = {};
+    for (const [logType, logFile] of Object.entries(this.logFiles)) {
+      const chain = chainStates.get(path.resolve(logFile));
+      if (chain && chain.loaded) {
+        chainHeads[logType] = { seq: chain.seq, hash: chain.hash };
+      }
+    }
+
     return {
       ...this.metrics,
       buffer_size: this.logBuffer.length,
       audit_chain_length: this.auditChain.length,
       last_audit_hash: this.lastAuditHash,
+      chain_heads: chainHeads,
       log_files: this.logFiles,
-      config: this.config
+      config: this.getPublicConfig()
+    };
+  }
+
+  /**
+     * Configuration without key material
+     * @returns {Object} Config with key ids in place of keys
+     */
+  getPublicConfig() {
+    const config = { ...this.config };
+    delete config.encryptionKeys;
+    return {
+      ...config,
+      encryptionKeyId: this.keyring.activeKeyId,
+      encryptionKeyIds: [...this.keyring.keys.keys()]
     };
   }
 
@@ -869,12 +994,23 @@ class AuditLogger {
 
     try {
       for (const [logType, logFile] of Object.entries(this.logFiles)) {
-        const content = await fs.readFile(logFile, 'utf8');
+        // Logs that have not been written to yet do not exist
+        const content = await fs.readFile(logFile, 'utf8').catch((error) => {
+          if (error.code === 'ENOENT') {
+            return '';
+          }
+          throw error;
+        });
         const lines = content.split('\n').filter(line => line.trim());
 
         for (const line of lines) {
           try {
-            const entry = JSON.parse(line);
+            const record = JSON.parse(line);
+            if (record.header) {
+              continue;
+            }
+            // Chain records wrap the entry; lines from before the chain are the entry itself
+            const entry = record.hash ? auditChain.openRecord(record, this.keyring.keys) : record;
 
             if (this.matchesCriteria(entry, criteria)) {
               results.push({
@@ -883,7 +1019,7 @@ class AuditLogger {
               });
             }
           } catch (error) {
-            // Skip malformed lines
+            // Skip malformed lines and entries we hold no key for
           }
         }
       }
@@ -14,25 +14,35 @@
 
 const { getRNG } = require('./rng');
 const SymbolDistribution = require('./symbolDistribution');
-const { getReelStripGenerator, STRIP_VERSION } = require('./reelStripGenerator');
+const { getReelStripGenerator, createReelStripGenerator } = require('./reelStripGenerator');
 
 // Feature flag for reel strips (default: enabled)
 const USE_REEL_STRIPS = process.env.USE_REEL_STRIPS !== 'false';
 
 class CascadeProcessor {
-  constructor(gameConfig, rng = null) {
+  /**
+     * @param {Object} gameConfig - Game configuration
+     * @param {Object} rng - RNG instance (defaults to singleton)
+     * @param {Object} options - Math model overrides
+     * @param {Object} options.symbolDistribution - SymbolDistribution configuration
+     * @param {Object} options.reelStrips - Strip set { version, base, freeSpins }
+     */
+  constructor(gameConfig, rng = null, options = {}) {
     this.gameConfig = gameConfig;
     this.rng = rng || getRNG();
-    this.symbolDistribution = new SymbolDistribution(); // Use single source of truth
+    this.symbolDistribution = new SymbolDistribution(options.symbolDistribution || null); // Use single source of truth
     this.useReelStrips = USE_REEL_STRIPS;
     
     // Initialize reel strip generator if enabled
     if (this.useReelStrips) {
-      this.reelStripGenerator = getReelStripGenerator({
+      const stripOptions = {
         rng: this.rng,
         rows: gameConfig.GRID_ROWS,
         cols: gameConfig.GRID_COLS
-      });
+      };
+      this.reelStripGenerator = options.reelStrips
+        ? createReelStripGenerator({ ...stripOptions, strips: options.reelStrips })
+        : getReelStripGenerator(stripOptions);
     }
 
     // Timing constants (identical to client GameConfig.js)
@@ -328,7 +338,7 @@ class CascadeProcessor {
             rngSeed: seededHex,
             // Reel strip audit data
             stripPosition: stripPosition,
-            stripVersion: this.useReelStrips ? STRIP_VERSION : null,
+            stripVersion: this.useReelStrips ? this.reelStripGenerator.stripVersion : null,
             generationMethod: this.useReelStrips ? 'reel_strips' : 'weighted_random'
           };
 
@@ -12,6 +12,9 @@
 
 const { getRNG } = require('./rng');
 
+// Scatters needed to trigger free spins, and to retrigger them (FREE_SPINS.SCATTER_4_PLUS)
+const MIN_SCATTER_COUNT = 4;
+
 class FreeSpinsEngine {
   constructor(gameConfig, rng = null) {
     this.gameConfig = gameConfig;
@@ -25,7 +28,7 @@ class FreeSpinsEngine {
       buyFeatureSpins: gameConfig.FREE_SPINS.BUY_FEATURE_SPINS,
       baseMultiplier: gameConfig.FREE_SPINS.BASE_MULTIPLIER,
       accumTriggerChance: gameConfig.FREE_SPINS.ACCUM_TRIGGER_CHANCE_PER_CASCADE,
-      minScatterCount: 4 // Minimum scatter count to trigger free spins
+      minScatterCount: MIN_SCATTER_COUNT // Minimum scatter count to trigger free spins
     };
 
     // Statistics tracking
@@ -63,7 +66,7 @@ class FreeSpinsEngine {
     this.statistics.scatterDistribution[scatterCount] =
             (this.statistics.scatterDistribution[scatterCount] || 0) + 1;
 
-    const triggered = !freeSpinsActive && scatterCount >= 4;
+    const triggered = !freeSpinsActive && scatterCount >= MIN_SCATTER_COUNT;
     this.logAuditEvent('FREE_SPINS_TRIGGER_CHECK', {
       scatterCount,
       freeSpinsActive,
@@ -86,7 +89,7 @@ class FreeSpinsEngine {
   }
 
   checkFreeSpinsRetrigger(scatterCount) {
-    const retriggered = scatterCount >= 4;
+    const retriggered = scatterCount >= MIN_SCATTER_COUNT;
     this.logAuditEvent('FREE_SPINS_RETRIGGER_CHECK', {
       scatterCount,
       retriggered
@@ -581,4 +584,5 @@ class FreeSpinsEngine {
   }
 }
 
-module.exports = FreeSpinsEngine;
\ No newline at end of file
+module.exports = FreeSpinsEngine;
+module.exports.MIN_SCATTER_COUNT = MIN_SCATTER_COUNT;
\ No newline at end of file
@@ -52,6 +52,7 @@ const GAME_CONFIG = {
   MIN_MATCH_COUNT: 8,
   CASCADE_SPEED: 300,
   RTP: 0.965,
+  RTP_PROFILE: 'rtp-965', // Profile this configuration belongs to (see rtpProfiles.js)
   MAX_WIN_MULTIPLIER: 5000,
 
   // Symbol payout tables (✅ USED by WinCalculator)
@@ -133,22 +134,47 @@ const GAME_CONFIG = {
   }
 };
 
+// Hex suffixes appended to the spin rngSeed for the multiplier draws. Cascade seeds use
+// two-digit decimal suffixes (01-20), so these can never collide with them.
+const MULTIPLIER_SEED_SUFFIX = {
+  CASCADING: 'a1',
+  RANDOM: 'a2'
+};
+
 class GameEngine {
+  /**
+     * @param {Object} options - Engine options (see mathModel.toEngineOptions)
+     * @param {Object} options.gameConfig - Game configuration (defaults to GAME_CONFIG)
+     * @param {Object} options.symbolDistribution - SymbolDistribution configuration
+     * @param {Object} options.reelStrips - Strip set { version, base, freeSpins }
+     * @param {Object} options.mathModel - Model identity { id, version, checksum } recorded on spins
+     */
   constructor(options = {}) {
     // Store game configuration
-    this.gameConfig = GAME_CONFIG;
+    this.gameConfig = options.gameConfig || GAME_CONFIG;
+    this.mathModel = options.mathModel || null;
+
+    const modelOverrides = {
+      symbolDistribution: options.symbolDistribution || null,
+      reelStrips: options.reelStrips || null
+    };
 
     // Initialize crypto RNG system
     this.rng = getRNG({ auditLogging: true });
     // Production: disable any forced cluster injection; audit logging stays on
-    this.gridGenerator = new GridGenerator({ auditLogging: true, clusterInjection: false, minClustersPerGrid: 0 });
+    this.gridGenerator = new GridGenerator({
+      auditLogging: true,
+      clusterInjection: false,
+      minClustersPerGrid: 0,
+      ...modelOverrides
+    });
 
     // Initialize all game systems
-    this.winCalculator = new WinCalculator(GAME_CONFIG);
-    this.cascadeProcessor = new CascadeProcessor(GAME_CONFIG, this.rng);
-    this.multiplierEngine = new MultiplierEngine(GAME_CONFIG, this.rng);
-    this.freeSpinsEngine = new FreeSpinsEngine(GAME_CONFIG, this.rng);
-    this.bonusFeatures = new BonusFeatures(GAME_CONFIG, this.rng);
+    this.winCalculator = new WinCalculator(this.gameConfig);
+    this.cascadeProcessor = new CascadeProcessor(this.gameConfig, this.rng, modelOverrides);
+    this.multiplierEngine = new MultiplierEngine(this.gameConfig, this.rng);
+    this.freeSpinsEngine = new FreeSpinsEngine(this.gameConfig, this.rng);
+    this.bonusFeatures = new BonusFeatures(this.gameConfig, this.rng);
 
     // Game state tracking
     this.sessionStats = {
@@ -162,8 +188,8 @@ class GameEngine {
 
     this.logAuditEvent('GAME_ENGINE_INITIALIZED', {
       systems_loaded: ['winCalculator', 'cascadeProcessor', 'multiplierEngine', 'freeSpinsEngine', 'bonusFeatures'],
-      rtp_target: GAME_CONFIG.RTP,
-      max_win_multiplier: GAME_CONFIG.MAX_WIN_MULTIPLIER
+      rtp_target: this.gameConfig.RTP,
+      max_win_multiplier: this.gameConfig.MAX_WIN_MULTIPLIER
     });
   }
 
@@ -184,17 +210,24 @@ class GameEngine {
       multiplierCount = 0,
       quickSpinMode = false,
       spinId = this.generateSpinId(),
-      rngSeed: providedSeed
+      rngSeed: providedSeed,
+      rtpProfile = this.gameConfig.RTP_PROFILE
     } = spinRequest;
 
     try {
+      // The session's RTP profile picks the engine; never play it with another profile's model
+      if (rtpProfile !== this.gameConfig.RTP_PROFILE) {
+        throw new Error(`RTP profile ${rtpProfile} requested from an engine playing ${this.gameConfig.RTP_PROFILE}`);
+      }
+
       this.logAuditEvent('SPIN_PROCESSING_STARTED', {
         spin_id: spinId,
         player_id: playerId,
         session_id: sessionId,
         bet_amount: betAmount,
         free_spins_active: freeSpinsActive,
-        accumulated_multiplier: accumulatedMultiplier
+        accumulated_multiplier: accumulatedMultiplier,
+        rtp_profile: rtpProfile
       });
 
       // Generate initial grid state (allow deterministic override for testing/replay)
@@ -211,6 +244,7 @@ class GameEngine {
 
       let currentGrid = this.cloneGrid(initialGridResult.grid);
       let totalWin = 0;
+      let scatterWin = 0; // Scatter payouts included in totalWin (reported separately for RTP breakdowns)
       const cascadeSteps = [];
       let cascadeCount = 0;
 
@@ -225,9 +259,11 @@ class GameEngine {
         accumulatedMultiplier,
         initialGrid: this.cloneGrid(currentGrid),
         rngSeed,
+        rtpProfile,
         cascadeSteps: [],
         totalWin: 0,
         baseWin: 0,
+        scatterWin: 0,
         finalGrid: null,
         bonusFeatures: {
           freeSpinsTriggered: false,
@@ -243,7 +279,12 @@ class GameEngine {
         },
         metadata: {
           quickSpinMode,
-          rngAuditId: rngSeed
+          rngAuditId: rngSeed,
+          // Stop positions + strip version reconstruct the initial grid (see SpinReplay)
+          reelStrips: initialGridResult.metadata?.reel_strips || null,
+          // Math model and RTP profile the spin was played under (see mathModel.js, rtpProfiles.js)
+          mathModel: this.mathModel,
+          rtpProfile
         }
       };
 
@@ -430,6 +471,7 @@ class GameEngine {
           // Add scatter payout
           const scatterPayout = this.winCalculator.calculateScatterPayout(scatterCount, betAmount);
           totalWin += scatterPayout;
+          scatterWin += scatterPayout;
           
           // Set flag to block random multipliers ONLY in base game (visual conflict prevention)
           if (!freeSpinsActive) {
@@ -466,6 +508,7 @@ class GameEngine {
             // Add scatter payout
             const scatterPayout = this.winCalculator.calculateScatterPayout(postCascadeScatterCount, betAmount);
             totalWin += scatterPayout;
+            scatterWin += scatterPayout;
             
             // Set flag to block random multipliers ONLY in base game (visual conflict prevention)
             if (!freeSpinsActive) {
@@ -523,7 +566,7 @@ class GameEngine {
         const cascadingMultiplierResult = await this.multiplierEngine.processCascadingRandomMultipliers(
           totalWin,
           cascadeSteps.length,
-          { betAmount, freeSpinsActive, multiplierCount }
+          { betAmount, freeSpinsActive, multiplierCount, seed: `${rngSeed}${MULTIPLIER_SEED_SUFFIX.CASCADING}` }
         );
 
         if (cascadingMultiplierResult.triggered) {
@@ -552,8 +595,12 @@ class GameEngine {
       }
 
       // Skip random multipliers if 4+ scatters triggered free spins in NORMAL mode
-      if (totalWin > GAME_CONFIG.RANDOM_MULTIPLIER.MIN_WIN_REQUIRED && !hasScatterTrigger) {
-        const randomMultiplierResult = await this.multiplierEngine.processRandomMultiplier(totalWin, betAmount, { freeSpinsActive, multiplierCount });
+      if (totalWin > this.gameConfig.RANDOM_MULTIPLIER.MIN_WIN_REQUIRED && !hasScatterTrigger) {
+        const randomMultiplierResult = await this.multiplierEngine.processRandomMultiplier(totalWin, betAmount, {
+          freeSpinsActive,
+          multiplierCount,
+          seed: `${rngSeed}${MULTIPLIER_SEED_SUFFIX.RANDOM}`
+        });
 
         if (randomMultiplierResult.triggered) {
           // CRITICAL FIX: Don't apply yet, just accumulate the multiplier value
@@ -568,7 +615,7 @@ class GameEngine {
             finalWin: null // Will be set after all multipliers are accumulated
           });
         }
-      } else if (totalWin > GAME_CONFIG.RANDOM_MULTIPLIER.MIN_WIN_REQUIRED && hasScatterTrigger) {
+      } else if (totalWin > this.gameConfig.RANDOM_MULTIPLIER.MIN_WIN_REQUIRED && hasScatterTrigger) {
         console.log('  🚫 Random multiplier BLOCKED: 4+ scatters detected in NORMAL mode (visual conflict prevention)');
       }
 
@@ -643,12 +690,13 @@ class GameEngine {
       spinResult.metadata.cascadeCount = cascadeSteps.length;
       spinResult.totalWin = totalWin;
       spinResult.baseWin = baseWin;
+      spinResult.scatterWin = Math.min(scatterWin, totalWin);
       spinResult.finalGrid = currentGrid;
       spinResult.timing.cascadeDuration = cascadeSteps.reduce((sum, step) => sum + (step.timing?.totalDuration || 0), 0);
       spinResult.timing.totalDuration = spinResult.timing.cascadeDuration + 1000; // Buffer time
 
       if (freeSpinsTriggerDetails && Number.isFinite(pendingFreeSpinsCount)) {
-        const baseMultiplier = GAME_CONFIG.FREE_SPINS.BASE_MULTIPLIER;
+        const baseMultiplier = this.gameConfig.FREE_SPINS.BASE_MULTIPLIER;
         const resolvedMultiplier = freeSpinsActive
           ? (Number.isFinite(accumulatedMultiplier) ? accumulatedMultiplier : baseMultiplier)
           : baseMultiplier;
@@ -818,19 +866,19 @@ class GameEngine {
     const sessionRTP = this.calculateSessionRTP(this.sessionStats.totalBet, this.sessionStats.totalWon);
 
     // Check if win exceeds maximum
-    const maxWin = spinResult.betAmount * GAME_CONFIG.MAX_WIN_MULTIPLIER;
+    const maxWin = spinResult.betAmount * this.gameConfig.MAX_WIN_MULTIPLIER;
     const winExceedsMax = spinResult.totalWin > maxWin;
 
     // Check RTP deviation (allow wider range for individual spins)
-    const rtpTooHigh = sessionRTP > (GAME_CONFIG.RTP * 100) + 5; // 5% tolerance
-    const rtpTooLow = sessionRTP < (GAME_CONFIG.RTP * 100) - 5;
+    const rtpTooHigh = sessionRTP > (this.gameConfig.RTP * 100) + 5; // 5% tolerance
+    const rtpTooLow = sessionRTP < (this.gameConfig.RTP * 100) - 5;
 
     return {
       valid: !winExceedsMax && !rtpTooHigh && !rtpTooLow,
       winMultiplier,
       sessionRTP,
       maxWinExceeded: winExceedsMax,
-      rtpDeviation: Math.abs(sessionRTP - (GAME_CONFIG.RTP * 100)),
+      rtpDeviation: Math.abs(sessionRTP - (this.gameConfig.RTP * 100)),
       warnings: []
     };
   }
@@ -847,7 +895,7 @@ class GameEngine {
       session: {
         ...this.sessionStats,
         currentRTP,
-        rtpDeviation: Math.abs(currentRTP - (GAME_CONFIG.RTP * 100)),
+        rtpDeviation: Math.abs(currentRTP - (this.gameConfig.RTP * 100)),
         winRate: this.sessionStats.totalSpins > 0 ? (this.sessionStats.totalWins / this.sessionStats.totalSpins * 100) : 0,
         averageWin: this.sessionStats.totalWins > 0 ? (this.sessionStats.totalWon / this.sessionStats.totalWins) : 0
       },
@@ -859,8 +907,8 @@ class GameEngine {
         bonusFeatures: this.bonusFeatures.getStatistics()
       },
       compliance: {
-        targetRTP: GAME_CONFIG.RTP * 100,
-        maxWinMultiplier: GAME_CONFIG.MAX_WIN_MULTIPLIER,
+        targetRTP: this.gameConfig.RTP * 100,
+        maxWinMultiplier: this.gameConfig.MAX_WIN_MULTIPLIER,
         auditTrailEnabled: true
       }
     };
@@ -895,8 +943,8 @@ class GameEngine {
 
   countScatters(grid) {
     let count = 0;
-    for (let col = 0; col < GAME_CONFIG.GRID_COLS; col++) {
-      for (let row = 0; row < GAME_CONFIG.GRID_ROWS; row++) {
+    for (let col = 0; col < this.gameConfig.GRID_COLS; col++) {
+      for (let row = 0; row < this.gameConfig.GRID_ROWS; row++) {
         if (grid[col][row] === 'infinity_glove') {
           count++;
         }
@@ -920,8 +968,8 @@ class GameEngine {
       'infinity_glove': '🎰'
     };
     let result = '\n';
-    for (let row = 0; row < GAME_CONFIG.GRID_ROWS; row++) {
-      for (let col = 0; col < GAME_CONFIG.GRID_COLS; col++) {
+    for (let row = 0; row < this.gameConfig.GRID_ROWS; row++) {
+      for (let col = 0; col < this.gameConfig.GRID_COLS; col++) {
         const symbol = grid[col][row];
         result += (symbolShort[symbol] || '??') + ' ';
       }
@@ -931,7 +979,7 @@ class GameEngine {
   }
 
   applyWinLimits(win, betAmount) {
-    const maxWin = betAmount * GAME_CONFIG.MAX_WIN_MULTIPLIER;
+    const maxWin = betAmount * this.gameConfig.MAX_WIN_MULTIPLIER;
     const limitedWin = Math.min(win, maxWin);
     return Math.round(limitedWin * 100) / 100; // Round to 2 decimal places
   }
@@ -986,10 +1034,10 @@ class GameEngine {
         bonusFeatures: this.bonusFeatures.validateIntegrity()
       },
       configuration: {
-        rtpTarget: GAME_CONFIG.RTP,
-        maxWinMultiplier: GAME_CONFIG.MAX_WIN_MULTIPLIER,
-        symbolPayouts: Object.keys(GAME_CONFIG.SYMBOLS).length,
-        randomMultiplierTable: GAME_CONFIG.RANDOM_MULTIPLIER.TABLE.length
+        rtpTarget: this.gameConfig.RTP,
+        maxWinMultiplier: this.gameConfig.MAX_WIN_MULTIPLIER,
+        symbolPayouts: Object.keys(this.gameConfig.SYMBOLS).length,
+        randomMultiplierTable: this.gameConfig.RANDOM_MULTIPLIER.TABLE.length
       }
     };
 
@@ -1005,4 +1053,5 @@ class GameEngine {
 }
 
 module.exports = GameEngine;
-module.exports.GAME_CONFIG = GAME_CONFIG;
\ No newline at end of file
+module.exports.GAME_CONFIG = GAME_CONFIG;
+module.exports.MULTIPLIER_SEED_SUFFIX = MULTIPLIER_SEED_SUFFIX;
\ No newline at end of file
@@ -0,0 +1,157 @@
+/**
+ * Game Rules
+ *
+ * Builds the rules and paytable shown to players from a math model record, so
+ * the help screen always describes the model the player's spins are played
+ * on: symbol payouts per cluster size, the scatter table, free spins rules,
+ * the random multiplier tables and the theoretical RTP.
+ *
+ * Payouts are given both as paytable values and as multiples of the total bet
+ * (winCalculator pays bet / PAYOUT_DIVISOR per paytable unit). Trigger chances
+ * and caps the engines hard-code are read from their modules, not repeated here.
+ */
+
+const { PAYOUT_DIVISOR } = require('./winCalculator');
+const { MIN_SCATTER_COUNT } = require('./freeSpinsEngine');
+const {
+  FREE_SPINS_TRIGGER_BOOST,
+  FREE_SPINS_TRIGGER_CAP,
+  MULTIPLIER_COUNT_CAP
+} = require('./multiplierEngine');
+
+const RULES_SCHEMA_VERSION = 1;
+
+const toBetMultiple = (payout) => Math.round((payout / PAYOUT_DIVISOR) * 10000) / 10000;
+const toProbability = (value) => Math.round(value * 1e8) / 1e8;
+
+/**
+ * Payout keys of a paytable entry in ascending order
+ * @param {Object} payouts - { [count]: payout }
+ * @returns {number[]}
+ */
+function payoutCounts(payouts) {
+  return Object.keys(payouts || {})
+    .map(Number)
+    .filter(Number.isInteger)
+    .sort((a, b) => a - b);
+}
+
+/**
+ * Cluster size tiers of a paying symbol; the highest tier pays for any larger cluster
+ * @param {Object} payouts - { [minClusterSize]: payout }
+ * @returns {Array<Object>} [{ minCount, maxCount, payout, betMultiple }], maxCount null = "or more"
+ */
+function clusterTiers(payouts) {
+  const counts = payoutCounts(payouts);
+  return counts.map((count, index) => ({
+    minCount: count,
+    maxCount: index < counts.length - 1 ? counts[index + 1] - 1 : null,
+    payout: payouts[count],
+    betMultiple: toBetMultiple(payouts[count])
+  }));
+}
+
+/**
+ * Random multiplier table with each entry's probability once a multiplier is awarded
+ * @param {Array<Object>} table - WEIGHTED_TABLE [{ multiplier, weight }]
+ * @returns {Array<Object>} [{ multiplier, weight, probability }] in ascending multiplier order
+ */
+function multiplierTable(table = []) {
+  const totalWeight = table.reduce((sum, entry) => sum + entry.weight, 0);
+  return table
+    .map(entry => ({
+      multiplier: entry.multiplier,
+      weight: entry.weight,
+      probability: totalWeight > 0 ? toProbability(entry.weight / totalWeight) : 0
+    }))
+    .sort((a, b) => a.multiplier - b.multiplier);
+}
+
+/**
+ * Rules and paytable for a math model
+ * @param {Object} model - Model record ({ id, version, checksum, artifact })
+ * @param {Object} [options]
+ * @param {string} [options.rtpProfile] - Profile the model was served for
+ * @returns {Object} Rules document for the client rules screen
+ */
+function buildGameRules(model, { rtpProfile = null } = {}) {
+  const { artifact } = model;
+  const symbols = [];
+  const scatters = [];
+
+  Object.entries(artifact.paytable).forEach(([symbol, info]) => {
+    if (info.type === 'scatter') {
+      scatters.push({
+        symbol,
+        payouts: payoutCounts(info.payouts).map(count => ({
+          count,
+          payout: info.payouts[count],
+          betMultiple: toBetMultiple(info.payouts[count])
+        }))
+      });
+    } else {
+      symbols.push({ symbol, type: info.type, tiers: clusterTiers(info.payouts) });
+    }
+  });
+
+  // Highest paying symbol first, as the paytable is read top-down
+  const topPayout = (entry) => entry.tiers.length ? entry.tiers[entry.tiers.length - 1].payout : 0;
+  symbols.sort((a, b) => topPayout(b) - topPayout(a));
+
+  const random = artifact.multipliers.random;
+  const boostedChance = random.TRIGGER_CHANCE * FREE_SPINS_TRIGGER_BOOST;
+  const freeSpinsChance = Math.min(FREE_SPINS_TRIGGER_CAP, boostedChance);
+  const cascadeRandom = artifact.multipliers.cascadeRandom;
+  const freeSpins = artifact.freeSpins;
+
+  return {
+    schemaVersion: RULES_SCHEMA_VERSION,
+    model: {
+      id: model.id,
+      version: model.version,
+      checksum: model.checksum,
+      rtpProfile: artifact.rtpProfile || rtpProfile
+    },
+    rtp: artifact.targetRtp,
+    maxWinMultiplier: artifact.maxWinMultiplier,
+    grid: {
+      cols: artifact.grid.cols,
+      rows: artifact.grid.rows,
+      minMatchCount: artifact.grid.minMatchCount
+    },
+    payoutDivisor: PAYOUT_DIVISOR,
+    symbols,
+    scatter: scatters[0] || null,
+    freeSpins: {
+      triggerCount: MIN_SCATTER_COUNT,
+      spinsAwarded: freeSpins.SCATTER_4_PLUS,
+      retriggerCount: MIN_SCATTER_COUNT,
+      retriggerSpins: freeSpins.RETRIGGER_SPINS,
+      baseMultiplier: freeSpins.BASE_MULTIPLIER,
+      buyFeature: {
+        costBetMultiple: freeSpins.BUY_FEATURE_COST,
+        spinsAwarded: freeSpins.BUY_FEATURE_SPINS
+      }
+    },
+    multipliers: {
+      random: {
+        triggerChance: random.TRIGGER_CHANCE,
+        freeSpinsTriggerChance: toProbability(freeSpinsChance),
+        table: multiplierTable(random.WEIGHTED_TABLE)
+      },
+      cascadeRandom: {
+        triggerChance: cascadeRandom.TRIGGER_CHANCE,
+        minMultipliers: cascadeRandom.MIN_MULTIPLIERS,
+        maxMultipliers: cascadeRandom.MAX_MULTIPLIERS
+      },
+      freeSpinsCap: MULTIPLIER_COUNT_CAP
+    }
+  };
+}
+
+module.exports = {
+  RULES_SCHEMA_VERSION,
+  clusterTiers,
+  multiplierTable,
+  buildGameRules
+};
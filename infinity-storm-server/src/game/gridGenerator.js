@@ -19,7 +19,7 @@
 
 const { getRNG } = require('./rng');
 const SymbolDistribution = require('./symbolDistribution');
-const { getReelStripGenerator, STRIP_VERSION } = require('./reelStripGenerator');
+const { getReelStripGenerator, createReelStripGenerator } = require('./reelStripGenerator');
 
 // Feature flag for reel strips (default: enabled)
 const USE_REEL_STRIPS = process.env.USE_REEL_STRIPS !== 'false';
@@ -47,19 +47,22 @@ class GridGenerator {
       ...options
     };
 
-    // Initialize RNG and symbol distribution
+    // Initialize RNG and symbol distribution (math models pass their own weights and strips)
     this.rng = getRNG({ auditLogging: this.options.auditLogging });
-    this.symbolDistribution = new SymbolDistribution();
+    this.symbolDistribution = new SymbolDistribution(this.options.symbolDistribution || null);
     
     // Initialize reel strip generator if enabled
     if (this.options.useReelStrips) {
-      this.reelStripGenerator = getReelStripGenerator({
+      const stripOptions = {
         rng: this.rng,
         rows: this.options.rows,
         cols: this.options.cols,
         auditLogging: this.options.auditLogging
-      });
-      console.log(`[GridGenerator] Using REEL STRIPS mode (v${STRIP_VERSION}) - Industry standard RNG`);
+      };
+      this.reelStripGenerator = this.options.reelStrips
+        ? createReelStripGenerator({ ...stripOptions, strips: this.options.reelStrips })
+        : getReelStripGenerator(stripOptions);
+      console.log(`[GridGenerator] Using REEL STRIPS mode (v${this.reelStripGenerator.stripVersion}) - Industry standard RNG`);
     } else {
       console.log('[GridGenerator] Using LEGACY weighted random mode');
     }
@@ -0,0 +1,89 @@
+/**
+ * Progressive Jackpots
+ *
+ * Four must-hit-by tiers (mini, minor, major, grand) grow from every paid bet.
+ * Each tier starts at its seed value and receives `contributionRate` of every
+ * bet. When a tier is reset a hit value is drawn uniformly between the seed
+ * value and the must-hit-by threshold; the bet whose contribution takes the
+ * tier to its hit value wins it. The hit value is never published, only the
+ * threshold, so players know the tier will drop before it reaches it.
+ *
+ * This module is pure tier math; jackpotService persists tiers, contributions
+ * and awards and pays winners through walletService.processWin.
+ */
+
+const crypto = require('crypto');
+
+const JACKPOT_TIERS = ['mini', 'minor', 'major', 'grand'];
+
+// Defaults seeded by migration 010; operators tune them through /admin/api/jackpots
+const DEFAULT_JACKPOT_CONFIG = {
+  mini: { name: 'Mini', seedValue: 10, mustHitBy: 50, contributionRate: 0.003 },
+  minor: { name: 'Minor', seedValue: 50, mustHitBy: 250, contributionRate: 0.002 },
+  major: { name: 'Major', seedValue: 500, mustHitBy: 2500, contributionRate: 0.0015 },
+  grand: { name: 'Grand', seedValue: 5000, mustHitBy: 25000, contributionRate: 0.001 }
+};
+
+const HIT_VALUE_RESOLUTION = 2 ** 48 - 1; // crypto.randomInt range limit
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+const roundPool = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Draw the secret value at which a tier will drop
+ * @param {number} seedValue - Value the tier resets to
+ * @param {number} mustHitBy - Value the tier is guaranteed to drop by
+ * @param {Function} random - Returns a float in [0, 1) (crypto RNG by default)
+ * @returns {number} Hit value in (seedValue, mustHitBy]
+ */
+function drawHitValue(seedValue, mustHitBy, random = () => crypto.randomInt(0, HIT_VALUE_RESOLUTION) / HIT_VALUE_RESOLUTION) {
+  const range = mustHitBy - seedValue;
+  const hitValue = roundMoney(mustHitBy - range * random());
+  return Math.min(mustHitBy, Math.max(hitValue, roundMoney(seedValue + 0.01)));
+}
+
+/**
+ * Apply one bet's contribution to a tier
+ * @param {Object} tier - { currentValue, hitValue, contributionRate }
+ * @param {number} betAmount - Bet placed
+ * @returns {Object} { contribution, value, won } - value is the tier value after the bet (the award when won)
+ */
+function applyContribution(tier, betAmount) {
+  const contribution = roundPool(betAmount * tier.contributionRate);
+  const value = roundPool(tier.currentValue + contribution);
+
+  return {
+    contribution,
+    value,
+    won: contribution > 0 && value >= tier.hitValue
+  };
+}
+
+/**
+ * Validate tier settings (used for admin updates)
+ * @param {Object} settings - { seedValue, mustHitBy, contributionRate }
+ * @returns {Array<string>} Errors (empty when valid)
+ */
+function validateTierSettings({ seedValue, mustHitBy, contributionRate }) {
+  const errors = [];
+
+  if (!Number.isFinite(seedValue) || seedValue < 0) {
+    errors.push('seed_value must be a non-negative number');
+  }
+  if (!Number.isFinite(mustHitBy) || mustHitBy <= seedValue) {
+    errors.push('must_hit_by must be greater than seed_value');
+  }
+  if (!Number.isFinite(contributionRate) || contributionRate < 0 || contributionRate > 0.05) {
+    errors.push('contribution_rate must be between 0 and 0.05');
+  }
+  return errors;
+}
+
+module.exports = {
+  JACKPOT_TIERS,
+  DEFAULT_JACKPOT_CONFIG,
+  roundMoney,
+  drawHitValue,
+  applyContribution,
+  validateTierSettings
+};
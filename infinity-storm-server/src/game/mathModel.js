@@ -0,0 +1,332 @@
+/**
+ * Math Model Artifacts
+ *
+ * A math model bundles everything that decides a spin outcome into one versioned
+ * artifact: paytable, symbol weights, reel strips, multiplier tables and free spins
+ * rules. Models are identified as `${name}@${version}` and sealed with the SHA-256
+ * of their canonical JSON (object keys sorted), so the checksum survives a round
+ * trip through JSONB.
+ *
+ * The built-in model is assembled from GAME_CONFIG (gameEngine.js),
+ * symbolDistribution.js and reelStrips.js. Staged and active models live in the
+ * math_models table (see services/mathModelService.js); a GameEngine built from
+ * toEngineOptions(model) plays with that model and records its ID on every spin.
+ */
+
+const crypto = require('crypto');
+const { GAME_CONFIG } = require('./gameEngine');
+const SymbolDistribution = require('./symbolDistribution');
+const {
+  STRIP_VERSION,
+  BASE_GAME_STRIPS,
+  FREE_SPINS_STRIPS,
+  validateStrips
+} = require('./reelStrips');
+
+const MODEL_SCHEMA_VERSION = 1;
+const BUILTIN_MODEL_NAME = 'infinity-storm-965';
+const BUILTIN_MODEL_VERSION = '1.0.0';
+
+// Standard deviation of one round's return per unit staked, for artifacts without `volatility`.
+// Placeholders until simulated values are recorded in the artifact.
+const DEFAULT_VOLATILITY = {
+  base: 12,
+  buy_feature: 2.5
+};
+
+const MODEL_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,47}$/;
+const MODEL_VERSION_PATTERN = /^\d+\.\d+\.\d+$/;
+const RTP_PROFILE_PATTERN = /^[a-z0-9][a-z0-9-]{0,15}$/;
+const SYMBOL_TYPES = ['low', 'high', 'scatter'];
+
+let builtinModel = null;
+
+/**
+ * Serialize a value as JSON with object keys sorted at every level
+ * @param {*} value - JSON-compatible value
+ * @returns {string} Canonical JSON
+ */
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * SHA-256 of the canonical artifact JSON
+ * @param {Object} artifact - Model artifact
+ * @returns {string} 64-character hex checksum
+ */
+function computeChecksum(artifact) {
+  return crypto.createHash('sha256').update(canonicalize(artifact)).digest('hex');
+}
+
+/**
+ * @param {Object} artifact - Model artifact
+ * @returns {string} Model ID (`name@version`)
+ */
+function getModelId(artifact) {
+  return `${artifact.name}@${artifact.version}`;
+}
+
+/**
+ * Seal an artifact into a model record
+ * @param {Object} artifact - Model artifact
+ * @returns {{id: string, version: string, checksum: string, artifact: Object}}
+ */
+function createModel(artifact) {
+  return {
+    id: getModelId(artifact),
+    version: artifact.version,
+    checksum: computeChecksum(artifact),
+    artifact
+  };
+}
+
+/**
+ * The model compiled into this build (GAME_CONFIG, symbolDistribution.js, reelStrips.js)
+ * @returns {Object} Model record
+ */
+function getBuiltinModel() {
+  if (!builtinModel) {
+    const distribution = new SymbolDistribution().exportConfiguration();
+
+    builtinModel = createModel({
+      schemaVersion: MODEL_SCHEMA_VERSION,
+      name: BUILTIN_MODEL_NAME,
+      version: BUILTIN_MODEL_VERSION,
+      description: 'Built-in 96.5% RTP model',
+      targetRtp: GAME_CONFIG.RTP,
+      maxWinMultiplier: GAME_CONFIG.MAX_WIN_MULTIPLIER,
+      grid: {
+        cols: GAME_CONFIG.GRID_COLS,
+        rows: GAME_CONFIG.GRID_ROWS,
+        minMatchCount: GAME_CONFIG.MIN_MATCH_COUNT
+      },
+      paytable: JSON.parse(JSON.stringify(GAME_CONFIG.SYMBOLS)),
+      symbolWeights: {
+        baseWeights: distribution.base_weights,
+        scatterChance: distribution.scatter_chance,
+        freeSpinAdjustments: distribution.free_spin_adjustments
+      },
+      reelStrips: {
+        version: STRIP_VERSION,
+        base: BASE_GAME_STRIPS.map(strip => [...strip]),
+        freeSpins: FREE_SPINS_STRIPS.map(strip => [...strip])
+      },
+      multipliers: {
+        random: JSON.parse(JSON.stringify(GAME_CONFIG.RANDOM_MULTIPLIER)),
+        cascadeRandom: { ...GAME_CONFIG.CASCADE_RANDOM_MULTIPLIER }
+      },
+      freeSpins: { ...GAME_CONFIG.FREE_SPINS }
+    });
+  }
+  return builtinModel;
+}
+
+const isPositiveNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0;
+const isProbability = (value) => typeof value === 'number' && value >= 0 && value <= 1;
+
+/**
+ * Validate an artifact before it can be staged
+ * @param {Object} artifact - Model artifact
+ * @returns {{valid: boolean, errors: Array<string>}}
+ */
+function validateModel(artifact) {
+  const errors = [];
+
+  if (!artifact || typeof artifact !== 'object' || Array.isArray(artifact)) {
+    return { valid: false, errors: ['Model artifact must be an object'] };
+  }
+
+  const {
+    schemaVersion, name, version, rtpProfile, targetRtp, maxWinMultiplier,
+    grid, paytable, symbolWeights, reelStrips, multipliers, freeSpins, volatility
+  } = artifact;
+
+  if (schemaVersion !== MODEL_SCHEMA_VERSION) {
+    errors.push(`schemaVersion must be ${MODEL_SCHEMA_VERSION}`);
+  }
+  if (typeof name !== 'string' || !MODEL_NAME_PATTERN.test(name)) {
+    errors.push('name must be 1-48 lowercase letters, digits, "_" or "-"');
+  }
+  if (typeof version !== 'string' || !MODEL_VERSION_PATTERN.test(version)) {
+    errors.push('version must be semantic (e.g. 1.2.0)');
+  }
+  // Optional; artifacts without one belong to the default profile (see rtpProfiles.js)
+  if (rtpProfile !== undefined && (typeof rtpProfile !== 'string' || !RTP_PROFILE_PATTERN.test(rtpProfile))) {
+    errors.push('rtpProfile must be 1-16 lowercase letters, digits or "-"');
+  }
+  if (!isPositiveNumber(targetRtp) || targetRtp >= 1) {
+    errors.push('targetRtp must be between 0 and 1');
+  }
+  if (!isPositiveNumber(maxWinMultiplier)) {
+    errors.push('maxWinMultiplier must be a positive number');
+  }
+  if (!grid || grid.cols !== GAME_CONFIG.GRID_COLS || grid.rows !== GAME_CONFIG.GRID_ROWS
+    || !Number.isInteger(grid.minMatchCount) || grid.minMatchCount < 1) {
+    errors.push(`grid must be ${GAME_CONFIG.GRID_COLS}x${GAME_CONFIG.GRID_ROWS} with an integer minMatchCount`);
+  }
+
+  const symbols = paytable && typeof paytable === 'object' ? Object.keys(paytable) : [];
+  if (symbols.length === 0) {
+    errors.push('paytable must define at least one symbol');
+  }
+  for (const symbol of symbols) {
+    const entry = paytable[symbol] || {};
+    if (!SYMBOL_TYPES.includes(entry.type)) {
+      errors.push(`paytable.${symbol}.type must be one of ${SYMBOL_TYPES.join(', ')}`);
+    }
+    const payouts = entry.payouts && typeof entry.payouts === 'object' ? Object.entries(entry.payouts) : [];
+    if (payouts.length === 0 || payouts.some(([count, payout]) => !/^\d+$/.test(count) || !isPositiveNumber(payout))) {
+      errors.push(`paytable.${symbol}.payouts must map cluster sizes to positive payouts`);
+    }
+  }
+
+  const baseWeights = symbolWeights?.baseWeights || {};
+  if (Object.keys(baseWeights).length === 0) {
+    errors.push('symbolWeights.baseWeights must not be empty');
+  }
+  for (const [symbol, weight] of Object.entries(baseWeights)) {
+    if (!symbols.includes(symbol) || !isPositiveNumber(weight)) {
+      errors.push(`symbolWeights.baseWeights.${symbol} must be a positive weight for a paytable symbol`);
+    }
+  }
+  for (const [symbol, factor] of Object.entries(symbolWeights?.freeSpinAdjustments || {})) {
+    if (!isPositiveNumber(factor)) {
+      errors.push(`symbolWeights.freeSpinAdjustments.${symbol} must be positive`);
+    }
+  }
+  if (!isProbability(symbolWeights?.scatterChance?.base_game) || !isProbability(symbolWeights?.scatterChance?.free_spins)) {
+    errors.push('symbolWeights.scatterChance.base_game and free_spins must be probabilities');
+  }
+
+  if (typeof reelStrips?.version !== 'string' || reelStrips.version.length === 0) {
+    errors.push('reelStrips.version is required');
+  }
+  if (!Array.isArray(reelStrips?.base) || !Array.isArray(reelStrips?.freeSpins)) {
+    errors.push('reelStrips.base and reelStrips.freeSpins must be arrays of strips');
+  } else {
+    const stripCheck = validateStrips({ base: reelStrips.base, free_spins: reelStrips.freeSpins });
+    errors.push(...stripCheck.errors.map(error => `reelStrips ${error}`));
+
+    const unpaid = new Set();
+    [...reelStrips.base, ...reelStrips.freeSpins].forEach(strip => {
+      (Array.isArray(strip) ? strip : []).forEach(symbol => {
+        if (!symbols.includes(symbol)) {
+          unpaid.add(symbol);
+        }
+      });
+    });
+    if (unpaid.size > 0) {
+      errors.push(`reelStrips contain symbols missing from the paytable: ${[...unpaid].join(', ')}`);
+    }
+  }
+
+  const random = multipliers?.random;
+  const table = random?.WEIGHTED_TABLE;
+  if (!isProbability(random?.TRIGGER_CHANCE)) {
+    errors.push('multipliers.random.TRIGGER_CHANCE must be a probability');
+  }
+  if (!Array.isArray(table) || table.length === 0
+    || table.some(entry => !isPositiveNumber(entry?.multiplier) || !isPositiveNumber(entry?.weight))) {
+    errors.push('multipliers.random.WEIGHTED_TABLE must list { multiplier, weight } entries with positive values');
+  }
+  const cascadeRandom = multipliers?.cascadeRandom;
+  if (!isProbability(cascadeRandom?.TRIGGER_CHANCE)
+    || !Number.isInteger(cascadeRandom?.MIN_MULTIPLIERS)
+    || !Number.isInteger(cascadeRandom?.MAX_MULTIPLIERS)
+    || cascadeRandom.MIN_MULTIPLIERS > cascadeRandom.MAX_MULTIPLIERS) {
+    errors.push('multipliers.cascadeRandom needs TRIGGER_CHANCE and MIN_MULTIPLIERS <= MAX_MULTIPLIERS');
+  }
+
+  for (const key of ['SCATTER_4_PLUS', 'RETRIGGER_SPINS', 'BUY_FEATURE_COST', 'BUY_FEATURE_SPINS']) {
+    if (!isPositiveNumber(freeSpins?.[key])) {
+      errors.push(`freeSpins.${key} must be a positive number`);
+    }
+  }
+  if (!isProbability(freeSpins?.ACCUM_TRIGGER_CHANCE_PER_CASCADE)) {
+    errors.push('freeSpins.ACCUM_TRIGGER_CHANCE_PER_CASCADE must be a probability');
+  }
+  // Optional; per-round return standard deviations used by the RTP monitor's control bands
+  if (volatility !== undefined) {
+    const modes = volatility && typeof volatility === 'object' && !Array.isArray(volatility) ? Object.entries(volatility) : [];
+    if (modes.length === 0 || modes.some(([mode, sd]) => !['base', 'buy_feature'].includes(mode) || !isPositiveNumber(sd))) {
+      errors.push('volatility must map base and/or buy_feature to positive standard deviations');
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Per-round return standard deviations of a model, per unit staked
+ * @param {Object} artifact - Model artifact
+ * @returns {Object} { base, buy_feature }
+ */
+function getModelVolatility(artifact) {
+  return { ...DEFAULT_VOLATILITY, ...artifact?.volatility };
+}
+
+/**
+ * Translate a model into GameEngine constructor options
+ * @param {Object} model - Model record ({ id, version, checksum, artifact })
+ * @returns {Object} Options for new GameEngine(options)
+ */
+function toEngineOptions(model) {
+  const { artifact } = model;
+
+  return {
+    gameConfig: {
+      ...GAME_CONFIG,
+      GRID_COLS: artifact.grid.cols,
+      GRID_ROWS: artifact.grid.rows,
+      MIN_MATCH_COUNT: artifact.grid.minMatchCount,
+      RTP: artifact.targetRtp,
+      RTP_PROFILE: artifact.rtpProfile || GAME_CONFIG.RTP_PROFILE,
+      MAX_WIN_MULTIPLIER: artifact.maxWinMultiplier,
+      SYMBOLS: artifact.paytable,
+      FREE_SPINS: { ...GAME_CONFIG.FREE_SPINS, ...artifact.freeSpins },
+      RANDOM_MULTIPLIER: { ...GAME_CONFIG.RANDOM_MULTIPLIER, ...artifact.multipliers.random },
+      CASCADE_RANDOM_MULTIPLIER: { ...GAME_CONFIG.CASCADE_RANDOM_MULTIPLIER, ...artifact.multipliers.cascadeRandom }
+    },
+    symbolDistribution: {
+      base_weights: artifact.symbolWeights.baseWeights,
+      scatter_chance: artifact.symbolWeights.scatterChance,
+      free_spin_adjustments: artifact.symbolWeights.freeSpinAdjustments || {}
+    },
+    reelStrips: {
+      version: artifact.reelStrips.version,
+      base: artifact.reelStrips.base,
+      freeSpins: artifact.reelStrips.freeSpins
+    },
+    mathModel: {
+      id: model.id,
+      version: model.version,
+      checksum: model.checksum
+    }
+  };
+}
+
+module.exports = {
+  MODEL_SCHEMA_VERSION,
+  BUILTIN_MODEL_NAME,
+  BUILTIN_MODEL_VERSION,
+  DEFAULT_VOLATILITY,
+  canonicalize,
+  computeChecksum,
+  getModelId,
+  createModel,
+  getBuiltinModel,
+  validateModel,
+  getModelVolatility,
+  toEngineOptions
+};
@@ -12,6 +12,12 @@
 
 const { getRNG } = require('./rng');
 
+// Free spins: random multiplier trigger chance is boosted but capped, and no more
+// multipliers appear once this many have landed in the session
+const FREE_SPINS_TRIGGER_BOOST = 1.5;
+const FREE_SPINS_TRIGGER_CAP = 0.30;
+const MULTIPLIER_COUNT_CAP = 25;
+
 class MultiplierEngine {
   constructor(gameConfig, rng = null) {
     this.gameConfig = gameConfig;
@@ -85,18 +91,37 @@ class MultiplierEngine {
     this.logAuditEvent('MULTIPLIER_ENGINE_INITIALIZED', auditData);
   }
 
+  /**
+     * Get the random source for a multiplier draw
+     * With a seed, every roll is derived from it so the spin can be replayed exactly.
+     * @param {string|null} seed - Optional draw seed
+     * @returns {Object} Source exposing random() and randomInt(min, max)
+     * @private
+     */
+  createDrawSource(seed = null) {
+    if (!seed) {
+      return this.rng;
+    }
+
+    const next = this.rng.createSeededRNG(seed);
+    return {
+      random: next,
+      randomInt: (min, max) => Math.floor(next() * (max - min + 1)) + min
+    };
+  }
+
   /**
      * Process random multiplier for base game wins
      * @param {number} totalWin - Current total win amount
      * @param {number} betAmount - Current bet amount
-     * @param {Object} options - Options including freeSpinsActive and multiplierCount
+     * @param {Object} options - Options including freeSpinsActive, multiplierCount and seed
      * @returns {Object} Random multiplier result
      */
   async processRandomMultiplier(totalWin, betAmount, options = {}) {
-    const { freeSpinsActive = false, multiplierCount = 0 } = options;
+    const { freeSpinsActive = false, multiplierCount = 0, seed = null } = options;
+    const source = this.createDrawSource(seed);
     
     // CAP: Stop generating multipliers after 25 multipliers have appeared in free spins
-    const MULTIPLIER_COUNT_CAP = 25;
     if (freeSpinsActive && multiplierCount >= MULTIPLIER_COUNT_CAP) {
       return {
         triggered: false,
@@ -120,9 +145,9 @@ class MultiplierEngine {
     const baseChance = this.config.randomMultiplier.triggerChance;
     // Free spins boost: 1.5x but don't exceed 30% total
     const effectiveChance = freeSpinsActive 
-      ? Math.min(0.30, baseChance * 1.5) 
+      ? Math.min(FREE_SPINS_TRIGGER_CAP, baseChance * FREE_SPINS_TRIGGER_BOOST) 
       : baseChance;
-    const triggerRoll = this.rng.random();
+    const triggerRoll = source.random();
     if (triggerRoll > effectiveChance) {
       return {
         triggered: false,
@@ -135,16 +160,16 @@ class MultiplierEngine {
     }
 
     // Select random multiplier from weighted table
-    const multiplier = this.selectRandomMultiplier();
+    const multiplier = this.selectRandomMultiplier(source);
 
     // Select random position for effect
     const position = {
-      col: this.rng.randomInt(0, this.gameConfig.GRID_COLS - 1),
-      row: this.rng.randomInt(0, this.gameConfig.GRID_ROWS - 1)
+      col: source.randomInt(0, this.gameConfig.GRID_COLS - 1),
+      row: source.randomInt(0, this.gameConfig.GRID_ROWS - 1)
     };
 
     // Select character for animation (weighted selection)
-    const character = this.selectCharacterForMultiplier();
+    const character = this.selectCharacterForMultiplier(source);
 
     // Update statistics
     this.updateRandomMultiplierStatistics(multiplier);
@@ -188,14 +213,15 @@ class MultiplierEngine {
      * @param {number} options.betAmount - Current bet amount
      * @param {boolean} options.freeSpinsActive - Whether free spins are active
      * @param {number} options.multiplierCount - Current count of multipliers that have appeared
+     * @param {string} options.seed - Optional seed for deterministic draws (replay)
      * @returns {Object} Cascading multiplier result
      */
   async processCascadingRandomMultipliers(totalWin, cascadeCount, options = {}) {
     const config = this.config.cascadeRandomMultiplier;
-    const { betAmount = 0, freeSpinsActive = false, multiplierCount = 0 } = options;
+    const { betAmount = 0, freeSpinsActive = false, multiplierCount = 0, seed = null } = options;
+    const source = this.createDrawSource(seed);
 
     // CAP: Stop generating multipliers after 25 multipliers have appeared in free spins
-    const MULTIPLIER_COUNT_CAP = 25;
     if (freeSpinsActive && multiplierCount >= MULTIPLIER_COUNT_CAP) {
       return {
         triggered: false,
@@ -221,7 +247,7 @@ class MultiplierEngine {
       };
     }
 
-    const triggerRoll = this.rng.random();
+    const triggerRoll = source.random();
     if (triggerRoll > config.triggerChance) {
       return {
         triggered: false,
@@ -231,16 +257,16 @@ class MultiplierEngine {
       };
     }
 
-    const numMultipliers = this.rng.randomInt(config.minMultipliers, config.maxMultipliers);
+    const numMultipliers = source.randomInt(config.minMultipliers, config.maxMultipliers);
     const usedPositions = new Set();
     const multipliers = [];
     const appearDelayStep = 300;
     const animationDuration = this.config.randomMultiplier.animationDuration;
 
     for (let index = 0; index < numMultipliers; index++) {
-      const multiplier = this.selectRandomMultiplier();
-      const position = this.selectUniquePosition(usedPositions);
-      const character = this.selectCharacterForMultiplier();
+      const multiplier = this.selectRandomMultiplier(source);
+      const position = this.selectUniquePosition(usedPositions, source);
+      const character = this.selectCharacterForMultiplier(source);
 
       const entry = {
         type: 'cascade_random_multiplier',
@@ -444,17 +470,18 @@ class MultiplierEngine {
 
   /**
      * Select random multiplier from weighted table
+     * @param {Object} source - Random source (defaults to the engine RNG)
      * @returns {number} Selected multiplier value
      * @private
      */
-  selectRandomMultiplier() {
+  selectRandomMultiplier(source = this.rng) {
     // Use new efficient WEIGHTED_TABLE if available, otherwise fall back to legacy TABLE
     const weightedTable = this.config.randomMultiplier.weightedTable;
 
     if (weightedTable && Array.isArray(weightedTable) && weightedTable.length > 0) {
       // NEW METHOD: Weighted random selection (efficient!)
       const totalWeight = weightedTable.reduce((sum, entry) => sum + entry.weight, 0);
-      const randomValue = this.rng.random() * totalWeight;
+      const randomValue = source.random() * totalWeight;
 
       let currentWeight = 0;
       for (const entry of weightedTable) {
@@ -473,7 +500,7 @@ class MultiplierEngine {
         console.error('No multiplier table configured! Returning default multiplier.');
         return 2; // Default fallback
       }
-      const randomIndex = this.rng.randomInt(0, table.length - 1);
+      const randomIndex = source.randomInt(0, table.length - 1);
       return table[randomIndex];
     }
   }
@@ -483,7 +510,7 @@ class MultiplierEngine {
      * @returns {string} Selected character
      * @private
      */
-  selectUniquePosition(usedPositions = new Set()) {
+  selectUniquePosition(usedPositions = new Set(), source = this.rng) {
 
     const maxAttempts = 50;
 
@@ -491,9 +518,9 @@ class MultiplierEngine {
 
       const position = {
 
-        col: this.rng.randomInt(0, this.gameConfig.GRID_COLS - 1),
+        col: source.randomInt(0, this.gameConfig.GRID_COLS - 1),
 
-        row: this.rng.randomInt(0, this.gameConfig.GRID_ROWS - 1)
+        row: source.randomInt(0, this.gameConfig.GRID_ROWS - 1)
 
       };
 
@@ -535,8 +562,8 @@ class MultiplierEngine {
 
   }
 
-  selectCharacterForMultiplier() {
-    const roll = this.rng.random();
+  selectCharacterForMultiplier(source = this.rng) {
+    const roll = source.random();
     return roll < this.characterWeights.thanos ? 'thanos' : 'scarlet_witch';
   }
 
@@ -783,4 +810,7 @@ class MultiplierEngine {
   }
 }
 
-module.exports = MultiplierEngine;
\ No newline at end of file
+module.exports = MultiplierEngine;
+module.exports.FREE_SPINS_TRIGGER_BOOST = FREE_SPINS_TRIGGER_BOOST;
+module.exports.FREE_SPINS_TRIGGER_CAP = FREE_SPINS_TRIGGER_CAP;
+module.exports.MULTIPLIER_COUNT_CAP = MULTIPLIER_COUNT_CAP;
\ No newline at end of file
@@ -0,0 +1,365 @@
+/**
+ * Provably Fair Protocol
+ *
+ * Implements the server seed commitment scheme used to let players verify spins:
+ * - The server publishes SHA-256(serverSeed) before any spin is played
+ * - The player supplies a client seed; the server increments a nonce per spin
+ * - Each spin's rng seed is HMAC-SHA256(serverSeed, `${clientSeed}:${nonce}`)
+ * - On rotation the server seed is revealed so players can recompute every spin
+ *
+ * The spin replay deliberately uses only the seeded paths of GridGenerator,
+ * CascadeProcessor, WinCalculator and MultiplierEngine so that the recomputed
+ * grid, cascades, random multipliers and payout depend on nothing but the
+ * revealed seeds. Free spins payouts also carry the accumulated multiplier of
+ * earlier spins, which is not seed material, so they are not checked.
+ */
+
+const crypto = require('crypto');
+const GridGenerator = require('./gridGenerator');
+const CascadeProcessor = require('./cascadeProcessor');
+const WinCalculator = require('./winCalculator');
+const MultiplierEngine = require('./multiplierEngine');
+const { GAME_CONFIG, MULTIPLIER_SEED_SUFFIX } = require('./gameEngine');
+const { getRNG } = require('./rng');
+
+const SERVER_SEED_BYTES = 32;
+const MAX_CLIENT_SEED_LENGTH = 64;
+const CLIENT_SEED_PATTERN = /^[A-Za-z0-9_-]+$/;
+const MAX_CASCADES = 20;
+const PAYOUT_TOLERANCE = 0.01;
+
+class ProvablyFair {
+  /**
+     * @param {Object} options - Accepts mathModel.toEngineOptions(model) to verify spins of
+     *   a registered math model; the built-in model is used otherwise
+     */
+  constructor(options = {}) {
+    this.gameConfig = options.gameConfig || GAME_CONFIG;
+    this.rng = options.rng || getRNG({ auditLogging: true });
+
+    const modelOverrides = {
+      symbolDistribution: options.symbolDistribution || null,
+      reelStrips: options.reelStrips || null
+    };
+    this.gridGenerator = options.gridGenerator || new GridGenerator({
+      auditLogging: false,
+      clusterInjection: false,
+      minClustersPerGrid: 0,
+      ...modelOverrides
+    });
+    this.cascadeProcessor = options.cascadeProcessor || new CascadeProcessor(this.gameConfig, this.rng, modelOverrides);
+    this.winCalculator = options.winCalculator || new WinCalculator(this.gameConfig);
+    this.multiplierEngine = options.multiplierEngine || new MultiplierEngine(this.gameConfig, this.rng);
+  }
+
+  /**
+     * Generate a fresh secret server seed
+     * @returns {string} 64-character hex seed
+     */
+  generateServerSeed() {
+    return crypto.randomBytes(SERVER_SEED_BYTES).toString('hex');
+  }
+
+  /**
+     * Generate a default client seed for players that have not chosen one
+     * @returns {string} 32-character hex seed
+     */
+  generateClientSeed() {
+    return crypto.randomBytes(16).toString('hex');
+  }
+
+  /**
+     * Hash a server seed into its public commitment
+     * @param {string} serverSeed - Secret server seed
+     * @returns {string} SHA-256 hex digest
+     */
+  hashServerSeed(serverSeed) {
+    return crypto.createHash('sha256').update(String(serverSeed)).digest('hex');
+  }
+
+  /**
+     * Check a revealed server seed against its published commitment
+     * @param {string} serverSeed - Revealed server seed
+     * @param {string} serverSeedHash - Commitment published before play
+     * @returns {boolean} True when the seed matches the commitment
+     */
+  verifyCommitment(serverSeed, serverSeedHash) {
+    if (!serverSeed || !serverSeedHash) {
+      return false;
+    }
+    const expected = Buffer.from(this.hashServerSeed(serverSeed), 'hex');
+    const provided = Buffer.from(String(serverSeedHash), 'hex');
+    return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+  }
+
+  /**
+     * Validate a player-supplied client seed
+     * @param {string} clientSeed - Client seed
+     * @returns {boolean} True when the seed is acceptable
+     */
+  isValidClientSeed(clientSeed) {
+    return typeof clientSeed === 'string'
+      && clientSeed.length > 0
+      && clientSeed.length <= MAX_CLIENT_SEED_LENGTH
+      && CLIENT_SEED_PATTERN.test(clientSeed);
+  }
+
+  /**
+     * Derive the spin rng seed from the seed pair and nonce
+     * The result is 64 hex characters so it fits spin_results.rng_seed unchanged.
+     * @param {string} serverSeed - Secret server seed
+     * @param {string} clientSeed - Player client seed
+     * @param {number} nonce - Spin nonce within the seed pair
+     * @returns {string} Hex rng seed
+     */
+  deriveSpinSeed(serverSeed, clientSeed, nonce) {
+    if (!serverSeed || !clientSeed || !Number.isInteger(nonce) || nonce < 0) {
+      throw new Error('deriveSpinSeed requires serverSeed, clientSeed and a non-negative integer nonce');
+    }
+    return crypto
+      .createHmac('sha256', serverSeed)
+      .update(`${clientSeed}:${nonce}`)
+      .digest('hex');
+  }
+
+  /**
+     * Recompute a spin's grid, cascades, random multipliers and payout from its rng seed
+     * Multipliers are drawn from the same `${rngSeed}a1` / `${rngSeed}a2` seeds as
+     * GameEngine.processCompleteSpin. The payout is the base game payout; free spins
+     * payouts also depend on the accumulated multiplier carried in.
+     * @param {Object} params - Replay parameters
+     * @param {string} params.rngSeed - Spin rng seed
+     * @param {number} params.betAmount - Bet amount
+     * @param {boolean} params.freeSpinsMode - Whether the spin used free spins strips
+     * @param {number} params.multiplierCount - Multipliers already seen in the free spins round
+     *   (only the free spins cap depends on it)
+     * @returns {Promise<Object>} Replay result
+     */
+  async replaySpin({ rngSeed, betAmount, freeSpinsMode = false, multiplierCount = 0 }) {
+    const bet = Number(betAmount);
+    const initialGridResult = this.gridGenerator.generateGrid({
+      seed: rngSeed,
+      freeSpinsMode,
+      accumulatedMultiplier: 1
+    });
+
+    const initialGrid = this.cloneGrid(initialGridResult.grid);
+    let currentGrid = this.cloneGrid(initialGridResult.grid);
+    const cascades = [];
+    let baseWin = 0;
+    let matches = this.winCalculator.findConnectedMatches(currentGrid);
+
+    while (matches.length > 0 && cascades.length < MAX_CASCADES) {
+      const stepNumber = cascades.length + 1;
+      const wins = this.winCalculator.calculateCascadeWins(matches, bet);
+      const cascadeWin = wins.reduce((sum, win) => sum + win.payout, 0);
+      baseWin += cascadeWin;
+
+      // Same per-cascade seed derivation as GameEngine.processCompleteSpin
+      const cascadeSeed = `${rngSeed}${String(stepNumber).padStart(2, '0')}`;
+      const cascadeResult = await this.cascadeProcessor.processCascade(
+        currentGrid,
+        matches,
+        stepNumber,
+        true,
+        cascadeSeed
+      );
+
+      cascades.push({
+        stepNumber,
+        rngSeed: cascadeSeed,
+        winningClusters: wins.map(win => ({
+          symbolType: win.symbolType,
+          clusterSize: win.clusterSize,
+          payout: win.payout
+        })),
+        cascadeWin,
+        gridAfter: this.cloneGrid(cascadeResult.newGrid)
+      });
+
+      currentGrid = cascadeResult.newGrid;
+      matches = this.winCalculator.findConnectedMatches(currentGrid);
+    }
+
+    let scatterCount = 0;
+    let scatterWin = 0;
+    if (!freeSpinsMode) {
+      const initialScatters = this.countScatters(initialGrid);
+      scatterCount = initialScatters >= 4 ? initialScatters : this.countScatters(currentGrid);
+      if (scatterCount >= 4) {
+        scatterWin = this.winCalculator.calculateScatterPayout(scatterCount, bet);
+      }
+    }
+    baseWin += scatterWin;
+
+    const blockedByScatter = !freeSpinsMode && scatterCount >= 4;
+    const multipliers = blockedByScatter
+      ? []
+      : await this.drawMultipliers({
+        rngSeed, baseWin, bet, cascadeCount: cascades.length, freeSpinsMode, multiplierCount
+      });
+    const multiplierSum = multipliers.reduce((sum, multiplier) => sum + multiplier, 0);
+    const effectiveMultiplier = multiplierSum > 0 ? multiplierSum : 1;
+    const maxWin = bet * this.gameConfig.MAX_WIN_MULTIPLIER;
+    const payout = Math.round(Math.min(baseWin * effectiveMultiplier, maxWin) * 100) / 100;
+
+    return {
+      initialGrid,
+      finalGrid: this.cloneGrid(currentGrid),
+      cascades,
+      cascadeCount: cascades.length,
+      scatterCount,
+      scatterWin,
+      baseWin: Math.round(baseWin * 100) / 100,
+      multipliers,
+      appliedMultiplier: effectiveMultiplier,
+      payout
+    };
+  }
+
+  /**
+     * Cascading then random multipliers, in the order GameEngine records them
+     * @returns {Promise<Array<number>>} Multiplier values
+     */
+  async drawMultipliers({ rngSeed, baseWin, bet, cascadeCount, freeSpinsMode, multiplierCount }) {
+    const multipliers = [];
+    const options = { betAmount: bet, freeSpinsActive: freeSpinsMode, multiplierCount };
+
+    if (cascadeCount > 0) {
+      const cascading = await this.multiplierEngine.processCascadingRandomMultipliers(
+        baseWin,
+        cascadeCount,
+        { ...options, seed: `${rngSeed}${MULTIPLIER_SEED_SUFFIX.CASCADING}` }
+      );
+      if (cascading.triggered) {
+        multipliers.push(...cascading.multipliers.map(entry => entry.multiplier));
+      }
+    }
+
+    if (baseWin > this.gameConfig.RANDOM_MULTIPLIER.MIN_WIN_REQUIRED) {
+      const random = await this.multiplierEngine.processRandomMultiplier(baseWin, bet, {
+        ...options,
+        seed: `${rngSeed}${MULTIPLIER_SEED_SUFFIX.RANDOM}`
+      });
+      if (random.triggered) {
+        multipliers.push(random.multiplier);
+      }
+    }
+    return multipliers;
+  }
+
+  /**
+     * Verify a stored spin against its revealed seed pair
+     * @param {Object} spin - spin_results row
+     * @param {Object} seedPair - fairness_seeds row
+     * @returns {Promise<Object>} Verification report
+     */
+  async verifySpin(spin, seedPair) {
+    const nonce = Number(spin.fairness_nonce);
+    const commitmentValid = this.verifyCommitment(seedPair.server_seed, seedPair.server_seed_hash);
+    const expectedSeed = this.deriveSpinSeed(seedPair.server_seed, seedPair.client_seed, nonce);
+    const seedMatches = expectedSeed === spin.rng_seed;
+    const freeSpinsMode = spin.game_mode === 'free_spins';
+    // The free spins multiplier cap depends on the round's multiplier count so far
+    const replayInput = spin.replay_context?.input || null;
+
+    const replay = await this.replaySpin({
+      rngSeed: expectedSeed,
+      betAmount: spin.bet_amount,
+      freeSpinsMode,
+      multiplierCount: Number(replayInput?.multiplierCount) || 0
+    });
+
+    const recordedWin = Number(spin.total_win) || 0;
+    const gridMatches = JSON.stringify(replay.initialGrid) === JSON.stringify(spin.initial_grid);
+    const recordedCascades = Array.isArray(spin.cascades) ? spin.cascades.length : 0;
+    const recordedMultipliers = Array.isArray(spin.multipliers_applied)
+      ? spin.multipliers_applied.map(entry => Number(entry && entry.multiplier))
+      : [];
+
+    const multipliersMatch = freeSpinsMode && !replayInput
+      ? null
+      : JSON.stringify(replay.multipliers) === JSON.stringify(recordedMultipliers);
+
+    // Free spins wins include the accumulated multiplier carried in from earlier spins,
+    // which is not part of the seed material, so only the base-game payout is checked.
+    const payoutMatches = freeSpinsMode
+      ? null
+      : Math.abs(replay.payout - recordedWin) <= PAYOUT_TOLERANCE;
+
+    return {
+      spinId: spin.id,
+      verified: commitmentValid && seedMatches && gridMatches &&
+        multipliersMatch !== false && payoutMatches !== false,
+      checks: {
+        commitmentValid,
+        seedMatches,
+        gridMatches,
+        cascadeCountMatches: replay.cascadeCount === recordedCascades,
+        multipliersMatch,
+        payoutMatches
+      },
+      seeds: {
+        serverSeed: seedPair.server_seed,
+        serverSeedHash: seedPair.server_seed_hash,
+        clientSeed: seedPair.client_seed,
+        nonce,
+        rngSeed: expectedSeed
+      },
+      recomputed: replay,
+      recorded: {
+        initialGrid: spin.initial_grid,
+        cascadeCount: recordedCascades,
+        multipliers: recordedMultipliers,
+        totalWin: recordedWin,
+        gameMode: spin.game_mode
+      }
+    };
+  }
+
+  cloneGrid(grid) {
+    return grid.map(column => [...column]);
+  }
+
+  countScatters(grid) {
+    let count = 0;
+    for (const column of grid) {
+      for (const symbol of column) {
+        if (symbol === 'infinity_glove') {
+          count++;
+        }
+      }
+    }
+    return count;
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+/**
+ * Get or create singleton ProvablyFair instance
+ * @param {Object} options - Configuration options
+ * @returns {ProvablyFair} Protocol instance
+ */
+function getProvablyFair(options = {}) {
+  if (!instance) {
+    instance = new ProvablyFair(options);
+  }
+  return instance;
+}
+
+/**
+ * Create a new ProvablyFair instance (for testing or isolation)
+ * @param {Object} options - Configuration options
+ * @returns {ProvablyFair} New protocol instance
+ */
+function createProvablyFair(options = {}) {
+  return new ProvablyFair(options);
+}
+
+module.exports = {
+  ProvablyFair,
+  getProvablyFair,
+  createProvablyFair
+};
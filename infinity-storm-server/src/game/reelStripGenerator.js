@@ -16,10 +16,8 @@
 const { getRNG } = require('./rng');
 const { 
   STRIP_VERSION, 
-  STRIP_LENGTH, 
-  getStrips, 
-  getStrip, 
-  getSymbolAt,
+  BASE_GAME_STRIPS,
+  FREE_SPINS_STRIPS,
   getStripStatistics 
 } = require('./reelStrips');
 
@@ -31,12 +29,19 @@ class ReelStripGenerator {
    * @param {number} options.rows - Number of rows in grid (default: 5)
    * @param {number} options.cols - Number of columns in grid (default: 6)
    * @param {boolean} options.auditLogging - Enable audit logging (default: true)
+   * @param {Object} options.strips - Strip set { version, base, freeSpins } (defaults to reelStrips.js)
    */
   constructor(options = {}) {
     this.rng = options.rng || getRNG();
     this.rows = options.rows || 5;
     this.cols = options.cols || 6;
     this.auditLogging = options.auditLogging !== false;
+
+    // Math models bring their own strip set; reelStrips.js is the built-in one
+    this.stripVersion = options.strips?.version || STRIP_VERSION;
+    this.baseStrips = options.strips?.base || BASE_GAME_STRIPS;
+    this.freeSpinsStrips = options.strips?.freeSpins || FREE_SPINS_STRIPS;
+    this.stripLength = this.baseStrips[0].length;
     
     // Statistics tracking
     this.statistics = {
@@ -48,12 +53,35 @@ class ReelStripGenerator {
     };
     
     this.logAuditEvent('REEL_STRIP_GENERATOR_INITIALIZED', {
-      stripVersion: STRIP_VERSION,
-      stripLength: STRIP_LENGTH,
+      stripVersion: this.stripVersion,
+      stripLength: this.stripLength,
       gridDimensions: `${this.cols}x${this.rows}`
     });
   }
   
+  /**
+   * Get strips for the game mode
+   * @param {boolean} freeSpinsMode - Whether in free spins mode
+   * @returns {Array<Array<string>>} Strips for all columns
+   */
+  getStrips(freeSpinsMode = false) {
+    return freeSpinsMode ? this.freeSpinsStrips : this.baseStrips;
+  }
+
+  /**
+   * Get a specific reel strip
+   * @param {number} column - Column index (0-5)
+   * @param {boolean} freeSpinsMode - Whether in free spins mode
+   * @returns {Array<string>} Reel strip for the column
+   */
+  getStrip(column, freeSpinsMode = false) {
+    const strips = this.getStrips(freeSpinsMode);
+    if (column < 0 || column >= strips.length) {
+      throw new Error(`Invalid column index: ${column}`);
+    }
+    return strips[column];
+  }
+
   /**
    * Generate initial grid using reel strip stop positions
    * @param {Object} options - Generation options
@@ -66,7 +94,7 @@ class ReelStripGenerator {
     const startTime = Date.now();
     
     // Get appropriate strips for game mode
-    const strips = getStrips(freeSpinsMode);
+    const strips = this.getStrips(freeSpinsMode);
     
     // Generate stop positions - ONE RNG call per column
     const stopPositions = this.generateStopPositions(seed);
@@ -101,7 +129,7 @@ class ReelStripGenerator {
     const result = {
       grid,
       stopPositions,
-      stripVersion: STRIP_VERSION,
+      stripVersion: this.stripVersion,
       symbolCounts,
       metadata: {
         generationMethod: 'reel_strips',
@@ -114,7 +142,7 @@ class ReelStripGenerator {
     
     this.logAuditEvent('GRID_GENERATED_FROM_STRIPS', {
       stopPositions,
-      stripVersion: STRIP_VERSION,
+      stripVersion: this.stripVersion,
       freeSpinsMode,
       symbolCounts,
       generationTimeMs: endTime - startTime
@@ -135,13 +163,13 @@ class ReelStripGenerator {
       // Use seeded RNG for deterministic results
       const seededRNG = this.rng.createSeededRNG(seed);
       for (let col = 0; col < this.cols; col++) {
-        const position = Math.floor(seededRNG() * STRIP_LENGTH);
+        const position = Math.floor(seededRNG() * this.stripLength);
         stopPositions.push(position);
       }
     } else {
       // Use crypto-secure RNG
       for (let col = 0; col < this.cols; col++) {
-        const position = this.rng.randomInt(0, STRIP_LENGTH - 1);
+        const position = this.rng.randomInt(0, this.stripLength - 1);
         stopPositions.push(position);
       }
     }
@@ -149,7 +177,7 @@ class ReelStripGenerator {
     this.logAuditEvent('STOP_POSITIONS_GENERATED', {
       positions: stopPositions,
       seeded: !!seed,
-      stripLength: STRIP_LENGTH
+      stripLength: this.stripLength
     });
     
     return stopPositions;
@@ -168,7 +196,7 @@ class ReelStripGenerator {
       throw new Error(`Invalid column index: ${column}`);
     }
     
-    const strip = getStrip(column, freeSpinsMode);
+    const strip = this.getStrip(column, freeSpinsMode);
     let stripPosition;
     
     if (seed) {
@@ -188,14 +216,14 @@ class ReelStripGenerator {
       stripPosition,
       symbol,
       freeSpinsMode,
-      stripVersion: STRIP_VERSION
+      stripVersion: this.stripVersion
     });
     
     return {
       symbol,
       stripPosition,
       column,
-      stripVersion: STRIP_VERSION,
+      stripVersion: this.stripVersion,
       freeSpinsMode
     };
   }
@@ -222,7 +250,7 @@ class ReelStripGenerator {
     // Generate symbols for each column
     for (const [colStr, colPositions] of Object.entries(byColumn)) {
       const col = parseInt(colStr, 10);
-      const strip = getStrip(col, freeSpinsMode);
+      const strip = this.getStrip(col, freeSpinsMode);
       
       for (const pos of colPositions) {
         // Generate unique seed for each position if base seed provided
@@ -245,7 +273,7 @@ class ReelStripGenerator {
           row: pos.row,
           symbol,
           stripPosition,
-          stripVersion: STRIP_VERSION
+          stripVersion: this.stripVersion
         });
         
         this.statistics.replacementSymbolsGenerated++;
@@ -255,7 +283,7 @@ class ReelStripGenerator {
     this.logAuditEvent('REPLACEMENT_SYMBOLS_BATCH_GENERATED', {
       count: replacements.length,
       freeSpinsMode,
-      stripVersion: STRIP_VERSION
+      stripVersion: this.stripVersion
     });
     
     return replacements;
@@ -268,16 +296,16 @@ class ReelStripGenerator {
    * @param {string} stripVersion - Strip version to use (must match)
    * @returns {Array<Array<string>>} Reconstructed grid
    */
-  reconstructGrid(stopPositions, freeSpinsMode = false, stripVersion = STRIP_VERSION) {
-    if (stripVersion !== STRIP_VERSION) {
-      throw new Error(`Strip version mismatch: expected ${STRIP_VERSION}, got ${stripVersion}`);
+  reconstructGrid(stopPositions, freeSpinsMode = false, stripVersion = this.stripVersion) {
+    if (stripVersion !== this.stripVersion) {
+      throw new Error(`Strip version mismatch: expected ${this.stripVersion}, got ${stripVersion}`);
     }
     
     if (!Array.isArray(stopPositions) || stopPositions.length !== this.cols) {
       throw new Error(`Invalid stop positions: expected ${this.cols} positions`);
     }
     
-    const strips = getStrips(freeSpinsMode);
+    const strips = this.getStrips(freeSpinsMode);
     const grid = [];
     
     for (let col = 0; col < this.cols; col++) {
@@ -309,8 +337,8 @@ class ReelStripGenerator {
   getStatistics() {
     return {
       ...this.statistics,
-      stripVersion: STRIP_VERSION,
-      stripLength: STRIP_LENGTH,
+      stripVersion: this.stripVersion,
+      stripLength: this.stripLength,
       uptime: Date.now() - this.statistics.initialized
     };
   }
@@ -321,7 +349,7 @@ class ReelStripGenerator {
    * @returns {Object} Strip statistics
    */
   getStripStatistics(freeSpinsMode = false) {
-    return getStripStatistics(freeSpinsMode);
+    return getStripStatistics(freeSpinsMode, this.getStrips(freeSpinsMode), this.stripVersion);
   }
   
   /**
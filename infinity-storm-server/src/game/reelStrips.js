@@ -452,14 +452,15 @@ function getSymbolAt(column, position, freeSpinsMode = false) {
 /**
  * Get strip statistics for validation
  * @param {boolean} freeSpinsMode - Whether in free spins mode
+ * @param {Array<Array<string>>} strips - Strips to analyse (defaults to the built-in set)
+ * @param {string} stripVersion - Version reported for the strips
  * @returns {Object} Statistics for each column
  */
-function getStripStatistics(freeSpinsMode = false) {
-  const strips = getStrips(freeSpinsMode);
+function getStripStatistics(freeSpinsMode = false, strips = getStrips(freeSpinsMode), stripVersion = STRIP_VERSION) {
   const stats = {
     mode: freeSpinsMode ? 'free_spins' : 'base_game',
-    stripVersion: STRIP_VERSION,
-    stripLength: STRIP_LENGTH,
+    stripVersion,
+    stripLength: strips[0].length,
     columns: []
   };
   
@@ -489,9 +490,10 @@ function getStripStatistics(freeSpinsMode = false) {
 
 /**
  * Validate strip integrity
+ * @param {Object} stripSets - Strip sets to check (defaults to the built-in base and free spins strips)
  * @returns {Object} Validation results
  */
-function validateStrips() {
+function validateStrips(stripSets = { base: BASE_GAME_STRIPS, free_spins: FREE_SPINS_STRIPS }) {
   const results = {
     valid: true,
     errors: [],
@@ -504,7 +506,7 @@ function validateStrips() {
   ]);
   
   // Validate both base and free spins strips
-  for (const [mode, strips] of [['base', BASE_GAME_STRIPS], ['free_spins', FREE_SPINS_STRIPS]]) {
+  for (const [mode, strips] of Object.entries(stripSets)) {
     if (strips.length !== 6) {
       results.valid = false;
       results.errors.push(`${mode}: Expected 6 strips, got ${strips.length}`);
@@ -0,0 +1,259 @@
+/**
+ * RTP Profiles
+ *
+ * Operators in different jurisdictions run the game at different RTPs. Each
+ * profile is a family of math models (see mathModel.js) with its own symbol
+ * weights, reel strips and random multiplier table; the built-in model for a
+ * profile is derived from the built-in 96.5% model so the paytable, grid and
+ * free spins rules stay identical across profiles.
+ *
+ * A session is bound to one profile when it is created (sessionManager.createSession):
+ *   1. players.rtp_profile, when an admin assigned one to the player
+ *   2. the operator's profile from OPERATOR_RTP_PROFILES ("operator-a=rtp-94,operator-b=rtp-975")
+ *   3. RTP_PROFILE_DEFAULT, falling back to GAME_CONFIG.RTP_PROFILE
+ *
+ * The math model registry keeps one active model per profile, so a profile can
+ * be retuned by staging and activating a new model for it.
+ */
+
+const { GAME_CONFIG } = require('./gameEngine');
+const { getBuiltinModel, createModel } = require('./mathModel');
+
+const DEFAULT_RTP_PROFILE = GAME_CONFIG.RTP_PROFILE;
+
+/**
+ * Differences from the built-in model for each profile.
+ * stripSwaps replace the last `perStrip` occurrences of `from` with `to` on every
+ * base and free spins strip; scatter counts are never touched.
+ */
+const PROFILE_DEFINITIONS = {
+  'rtp-94': {
+    targetRtp: 0.94,
+    modelName: 'infinity-storm-940',
+    description: '94% RTP profile (flatter symbol mix so fewer clusters form, lower multiplier weights)',
+    baseWeights: {
+      time_gem: 24,
+      space_gem: 24,
+      mind_gem: 22,
+      power_gem: 20,
+      reality_gem: 20,
+      soul_gem: 21,
+      thanos_weapon: 19,
+      scarlet_witch: 12,
+      thanos: 11
+    },
+    stripSwaps: [
+      { from: 'time_gem', to: 'soul_gem', perStrip: 1 },
+      { from: 'space_gem', to: 'thanos_weapon', perStrip: 1 }
+    ],
+    multiplierTable: [
+      { multiplier: 2, weight: 74.9098 },
+      { multiplier: 3, weight: 21 },
+      { multiplier: 4, weight: 3 },
+      { multiplier: 5, weight: 2 },
+      { multiplier: 6, weight: 1.5 },
+      { multiplier: 8, weight: 0.8 },
+      { multiplier: 10, weight: 0.6 },
+      { multiplier: 20, weight: 0.4 },
+      { multiplier: 100, weight: 0.0001 },
+      { multiplier: 500, weight: 0.000001 }
+    ]
+  },
+  'rtp-965': {
+    targetRtp: GAME_CONFIG.RTP,
+    modelName: null, // the built-in model as-is
+    description: 'Default 96.5% RTP profile'
+  },
+  'rtp-975': {
+    targetRtp: 0.975,
+    modelName: 'infinity-storm-975',
+    description: '97.5% RTP profile (more common low symbols so more clusters form, higher multiplier weights)',
+    baseWeights: {
+      time_gem: 28,
+      space_gem: 28,
+      mind_gem: 22,
+      power_gem: 20,
+      reality_gem: 20,
+      soul_gem: 17,
+      thanos_weapon: 15,
+      scarlet_witch: 12,
+      thanos: 11
+    },
+    stripSwaps: [
+      { from: 'soul_gem', to: 'time_gem', perStrip: 1 },
+      { from: 'thanos_weapon', to: 'space_gem', perStrip: 1 }
+    ],
+    multiplierTable: [
+      { multiplier: 2, weight: 64.9098 },
+      { multiplier: 3, weight: 26 },
+      { multiplier: 4, weight: 5 },
+      { multiplier: 5, weight: 3.5 },
+      { multiplier: 6, weight: 2.5 },
+      { multiplier: 8, weight: 1.2 },
+      { multiplier: 10, weight: 1.2 },
+      { multiplier: 20, weight: 1.1 },
+      { multiplier: 100, weight: 0.0002 },
+      { multiplier: 500, weight: 0.000002 }
+    ]
+  }
+};
+
+const profileModels = new Map();
+
+/**
+ * @param {string} profileId - Profile ID
+ * @returns {boolean} True for a known profile
+ */
+function isRtpProfile(profileId) {
+  return typeof profileId === 'string' && Object.prototype.hasOwnProperty.call(PROFILE_DEFINITIONS, profileId);
+}
+
+/**
+ * Profile a model artifact belongs to (artifacts without rtpProfile belong to the default)
+ * @param {Object} artifact - Model artifact
+ * @returns {string} Profile ID
+ */
+function getArtifactRtpProfile(artifact) {
+  return artifact?.rtpProfile || DEFAULT_RTP_PROFILE;
+}
+
+/**
+ * Replace symbols on every strip, scanning from the end of the strip
+ * @param {Array<Array<string>>} strips - Strips to copy
+ * @param {Array<Object>} swaps - { from, to, perStrip }
+ * @returns {Array<Array<string>>} New strips
+ */
+function swapStripSymbols(strips, swaps) {
+  return strips.map(source => {
+    const strip = [...source];
+    for (const { from, to, perStrip } of swaps) {
+      let remaining = perStrip;
+      for (let pos = strip.length - 1; pos >= 0 && remaining > 0; pos--) {
+        if (strip[pos] === from) {
+          strip[pos] = to;
+          remaining--;
+        }
+      }
+    }
+    return strip;
+  });
+}
+
+/**
+ * Built-in model for a profile
+ * @param {string} profileId - Profile ID
+ * @returns {Object} Model record
+ */
+function getProfileModel(profileId = DEFAULT_RTP_PROFILE) {
+  if (!isRtpProfile(profileId)) {
+    throw new Error(`Unknown RTP profile: ${profileId}`);
+  }
+
+  const definition = PROFILE_DEFINITIONS[profileId];
+  if (!definition.modelName) {
+    return getBuiltinModel();
+  }
+
+  if (!profileModels.has(profileId)) {
+    const base = JSON.parse(JSON.stringify(getBuiltinModel().artifact));
+    const swaps = definition.stripSwaps;
+
+    profileModels.set(profileId, createModel({
+      ...base,
+      name: definition.modelName,
+      description: definition.description,
+      rtpProfile: profileId,
+      targetRtp: definition.targetRtp,
+      symbolWeights: {
+        ...base.symbolWeights,
+        baseWeights: { ...definition.baseWeights }
+      },
+      reelStrips: {
+        version: `${base.reelStrips.version}-${profileId}`,
+        base: swapStripSymbols(base.reelStrips.base, swaps),
+        freeSpins: swapStripSymbols(base.reelStrips.freeSpins, swaps)
+      },
+      multipliers: {
+        ...base.multipliers,
+        random: {
+          ...base.multipliers.random,
+          WEIGHTED_TABLE: definition.multiplierTable.map(entry => ({ ...entry }))
+        }
+      }
+    }));
+  }
+  return profileModels.get(profileId);
+}
+
+/**
+ * Built-in model records for every profile
+ * @returns {Array<Object>} Model records
+ */
+function getProfileModels() {
+  return Object.keys(PROFILE_DEFINITIONS).map(getProfileModel);
+}
+
+/**
+ * Profiles available for selection
+ * @returns {Array<Object>} { id, targetRtp, description, builtinModelId }
+ */
+function listRtpProfiles() {
+  return Object.entries(PROFILE_DEFINITIONS).map(([id, definition]) => ({
+    id,
+    targetRtp: definition.targetRtp,
+    description: definition.description,
+    builtinModelId: getProfileModel(id).id
+  }));
+}
+
+/**
+ * Operator to profile mapping from OPERATOR_RTP_PROFILES ("operator=profile,...")
+ * Entries naming an unknown profile are ignored.
+ * @param {string} value - Raw setting
+ * @returns {Object} Operator ID -> profile ID
+ */
+function parseOperatorProfiles(value = process.env.OPERATOR_RTP_PROFILES || '') {
+  return value.split(',').reduce((profiles, entry) => {
+    const [operatorId, profileId] = entry.split('=').map(part => (part || '').trim());
+    if (operatorId && isRtpProfile(profileId)) {
+      profiles[operatorId] = profileId;
+    }
+    return profiles;
+  }, {});
+}
+
+/**
+ * Pick the profile for a new session
+ * @param {Object} options - Selection inputs
+ * @param {string} options.playerProfile - players.rtp_profile
+ * @param {string} options.operatorId - Operator the player was launched from
+ * @param {Object} options.operatorProfiles - Operator mapping (defaults to OPERATOR_RTP_PROFILES)
+ * @param {string} options.defaultProfile - Fallback (defaults to RTP_PROFILE_DEFAULT)
+ * @returns {string} Profile ID
+ */
+function resolveRtpProfile({
+  playerProfile = null,
+  operatorId = null,
+  operatorProfiles = parseOperatorProfiles(),
+  defaultProfile = process.env.RTP_PROFILE_DEFAULT
+} = {}) {
+  if (isRtpProfile(playerProfile)) {
+    return playerProfile;
+  }
+  if (operatorId && isRtpProfile(operatorProfiles[operatorId])) {
+    return operatorProfiles[operatorId];
+  }
+  return isRtpProfile(defaultProfile) ? defaultProfile : DEFAULT_RTP_PROFILE;
+}
+
+module.exports = {
+  DEFAULT_RTP_PROFILE,
+  RTP_PROFILE_IDS: Object.keys(PROFILE_DEFINITIONS),
+  isRtpProfile,
+  getArtifactRtpProfile,
+  getProfileModel,
+  getProfileModels,
+  listRtpProfiles,
+  parseOperatorProfiles,
+  resolveRtpProfile
+};
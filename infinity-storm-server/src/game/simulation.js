@@ -0,0 +1,450 @@
+/**
+ * Monte Carlo Simulation
+ *
+ * Plays the real GameEngine for a number of paid rounds and reports the game's
+ * statistical profile. A round is one paid base game spin plus every free spin
+ * it triggers (retriggers included), so round wins are what a player actually
+ * receives for one bet.
+ *
+ * RTP is split into additive parts that sum to the total:
+ *   - baseGame: base game cluster pays before random multipliers
+ *   - randomMultipliers: extra base game win added by random and cascading multipliers
+ *   - scatterPays: scatter payouts on the triggering spin
+ *   - freeSpins: everything won during free spins (their multipliers included)
+ *
+ * Every spin is seeded from the simulation seed and its round index, so a run is
+ * reproducible and independent of how rounds are split across worker threads
+ * (see simulationWorker.js and scripts/simulate.js).
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+const Z_SCORES = { 90: 1.6449, 95: 1.96, 99: 2.5758 };
+// Volatility index as commonly quoted by test labs: 90% confidence z-score times the round standard deviation
+const VOLATILITY_CONFIDENCE = 90;
+const MAX_FREE_SPINS_PER_ROUND = 1000;
+
+// Win-distribution buckets in bet multiples: [min, max)
+const HISTOGRAM_BUCKETS = [
+  { label: '0x', min: 0, max: 0 },
+  { label: '0-1x', min: 0, max: 1 },
+  { label: '1-2x', min: 1, max: 2 },
+  { label: '2-5x', min: 2, max: 5 },
+  { label: '5-10x', min: 5, max: 10 },
+  { label: '10-25x', min: 10, max: 25 },
+  { label: '25-50x', min: 25, max: 50 },
+  { label: '50-100x', min: 50, max: 100 },
+  { label: '100-250x', min: 100, max: 250 },
+  { label: '250-500x', min: 250, max: 500 },
+  { label: '500-1000x', min: 500, max: 1000 },
+  { label: '1000-5000x', min: 1000, max: 5000 },
+  { label: '5000x+', min: 5000, max: Infinity }
+];
+
+/**
+ * @param {number} multiple - Round win in bet multiples
+ * @returns {number} Histogram bucket index
+ */
+function getBucketIndex(multiple) {
+  if (multiple <= 0) {
+    return 0;
+  }
+  const index = HISTOGRAM_BUCKETS.findIndex((bucket, i) => i > 0 && multiple >= bucket.min && multiple < bucket.max);
+  return index === -1 ? HISTOGRAM_BUCKETS.length - 1 : index;
+}
+
+/**
+ * Seed for one spin of a round
+ * @param {string} seed - Simulation seed
+ * @param {number} round - Global round index
+ * @param {number} freeSpin - Free spin index within the round (omitted for the paid spin)
+ * @returns {string} 64-character hex rngSeed
+ */
+function deriveSpinSeed(seed, round, freeSpin = null) {
+  const material = freeSpin === null ? `${seed}:${round}` : `${seed}:${round}:${freeSpin}`;
+  return crypto.createHash('sha256').update(material).digest('hex');
+}
+
+/**
+ * Mergeable accumulator for simulated rounds (all amounts in bet multiples)
+ */
+class SimulationStats {
+  constructor() {
+    this.rounds = 0;
+    this.spins = 0;
+    this.totalWin = 0;
+    this.totalWinSquared = 0;
+    this.components = { baseGame: 0, randomMultipliers: 0, scatterPays: 0, freeSpins: 0 };
+    this.baseSpinHits = 0;
+    this.roundHits = 0;
+    this.freeSpinsTriggers = 0;
+    this.freeSpinsPlayed = 0;
+    this.freeSpinsRetriggers = 0;
+    this.maxWinHits = 0;
+    this.largestRoundWin = 0;
+    this.histogram = HISTOGRAM_BUCKETS.map(() => ({ count: 0, win: 0 }));
+  }
+
+  /**
+     * Record one round
+     * @param {Object} round - Output of playRound, in bet multiples
+     * @param {number} maxWinMultiplier - Win cap in bet multiples
+     */
+  recordRound(round, maxWinMultiplier) {
+    const win = round.baseGame + round.randomMultipliers + round.scatterPays + round.freeSpins;
+
+    this.rounds++;
+    this.spins += 1 + round.freeSpinsPlayed;
+    this.totalWin += win;
+    this.totalWinSquared += win * win;
+    Object.keys(this.components).forEach(key => {
+      this.components[key] += round[key];
+    });
+
+    if (round.baseSpinWin > 0) {
+      this.baseSpinHits++;
+    }
+    if (win > 0) {
+      this.roundHits++;
+    }
+    if (round.freeSpinsPlayed > 0) {
+      this.freeSpinsTriggers++;
+      this.freeSpinsPlayed += round.freeSpinsPlayed;
+      this.freeSpinsRetriggers += round.retriggers;
+    }
+    if (win >= maxWinMultiplier) {
+      this.maxWinHits++;
+    }
+    this.largestRoundWin = Math.max(this.largestRoundWin, win);
+
+    const bucket = this.histogram[getBucketIndex(win)];
+    bucket.count++;
+    bucket.win += win;
+  }
+
+  /**
+     * Add another accumulator (e.g. from a worker thread)
+     * @param {Object} other - SimulationStats or its JSON form
+     * @returns {SimulationStats} this
+     */
+  merge(other) {
+    ['rounds', 'spins', 'totalWin', 'totalWinSquared', 'baseSpinHits', 'roundHits',
+      'freeSpinsTriggers', 'freeSpinsPlayed', 'freeSpinsRetriggers', 'maxWinHits'].forEach(key => {
+      this[key] += other[key];
+    });
+    Object.keys(this.components).forEach(key => {
+      this.components[key] += other.components[key];
+    });
+    this.largestRoundWin = Math.max(this.largestRoundWin, other.largestRoundWin);
+    other.histogram.forEach((bucket, index) => {
+      this.histogram[index].count += bucket.count;
+      this.histogram[index].win += bucket.win;
+    });
+    return this;
+  }
+
+  /**
+     * @param {Object} json - Plain object posted by a worker
+     * @returns {SimulationStats} Accumulator
+     */
+  static fromJSON(json) {
+    return new SimulationStats().merge(json);
+  }
+}
+
+/**
+ * Play one paid round: the base spin plus any free spins it triggers
+ * @param {GameEngine} engine - Engine to play with
+ * @param {Object} options - { betAmount, seed, round }
+ * @returns {Promise<Object>} Round outcome in bet multiples
+ */
+async function playRound(engine, { betAmount, seed, round }) {
+  const baseSpin = await engine.processCompleteSpin({
+    betAmount,
+    playerId: 'simulation',
+    sessionId: 'simulation',
+    quickSpinMode: true,
+    rngSeed: deriveSpinSeed(seed, round)
+  });
+
+  const multiplied = baseSpin.multiplierAwarded
+    ? Math.max(0, baseSpin.totalWin - baseSpin.multiplierAwarded.originalWin)
+    : 0;
+  const scatter = baseSpin.scatterWin || 0;
+  const outcome = {
+    baseSpinWin: baseSpin.totalWin / betAmount,
+    baseGame: Math.max(0, baseSpin.totalWin - multiplied - scatter) / betAmount,
+    randomMultipliers: multiplied / betAmount,
+    scatterPays: scatter / betAmount,
+    freeSpins: 0,
+    freeSpinsPlayed: 0,
+    retriggers: 0
+  };
+
+  let remaining = baseSpin.bonusFeatures.freeSpinsTriggered
+    ? (baseSpin.freeSpinsNextCount ?? baseSpin.bonusFeatures.freeSpinsAwarded)
+    : 0;
+  let accumulatedMultiplier = engine.gameConfig.FREE_SPINS.BASE_MULTIPLIER || 1;
+  let multiplierCount = 0;
+
+  while (remaining > 0 && outcome.freeSpinsPlayed < MAX_FREE_SPINS_PER_ROUND) {
+    const freeSpin = await engine.processCompleteSpin({
+      betAmount,
+      playerId: 'simulation',
+      sessionId: 'simulation',
+      quickSpinMode: true,
+      freeSpinsActive: true,
+      freeSpinsRemaining: remaining,
+      accumulatedMultiplier,
+      multiplierCount,
+      rngSeed: deriveSpinSeed(seed, round, outcome.freeSpinsPlayed)
+    });
+
+    outcome.freeSpinsPlayed++;
+    outcome.freeSpins += freeSpin.totalWin / betAmount;
+    accumulatedMultiplier = freeSpin.newAccumulatedMultiplier ?? accumulatedMultiplier;
+    multiplierCount = freeSpin.newMultiplierCount ?? multiplierCount;
+
+    if (freeSpin.bonusFeatures.freeSpinsRetriggered && Number.isFinite(freeSpin.freeSpinsNextCount)) {
+      outcome.retriggers++;
+      remaining = freeSpin.freeSpinsNextCount;
+    } else {
+      remaining--;
+    }
+  }
+
+  return outcome;
+}
+
+/**
+ * Play a contiguous range of rounds (runs inside a worker thread)
+ * @param {GameEngine} engine - Engine to play with
+ * @param {Object} options - { seed, betAmount, startRound, rounds, onProgress, progressEvery }
+ * @returns {Promise<SimulationStats>} Accumulated statistics
+ */
+async function runRounds(engine, {
+  seed,
+  betAmount = 1,
+  startRound = 0,
+  rounds,
+  onProgress = null,
+  progressEvery = 10000
+}) {
+  const stats = new SimulationStats();
+  const maxWinMultiplier = engine.gameConfig.MAX_WIN_MULTIPLIER;
+
+  for (let i = 0; i < rounds; i++) {
+    stats.recordRound(await playRound(engine, { betAmount, seed, round: startRound + i }), maxWinMultiplier);
+    if (onProgress && (i + 1) % progressEvery === 0) {
+      onProgress(progressEvery);
+    }
+  }
+  if (onProgress && rounds % progressEvery !== 0) {
+    onProgress(rounds % progressEvery);
+  }
+  return stats;
+}
+
+const round4 = (value) => Number(value.toFixed(4));
+const oneIn = (count, total) => (count > 0 ? Math.round(total / count) : null);
+
+/**
+ * Turn merged statistics into the report shared by the JSON, CSV and text outputs
+ * @param {SimulationStats} stats - Merged statistics
+ * @param {Object} run - { seed, betAmount, workers, durationMs, model: { id, checksum, rtpProfile, targetRtp, maxWinMultiplier } }
+ * @returns {Object} Report (RTP figures in percent)
+ */
+function buildReport(stats, run) {
+  const n = stats.rounds;
+  const mean = n > 0 ? stats.totalWin / n : 0;
+  const variance = n > 1 ? Math.max(0, (stats.totalWinSquared - n * mean * mean) / (n - 1)) : 0;
+  const standardDeviation = Math.sqrt(variance);
+  const standardError = n > 0 ? standardDeviation / Math.sqrt(n) : 0;
+  const percent = (value) => round4((n > 0 ? value / n : 0) * 100);
+
+  const confidenceIntervals = {};
+  Object.entries(Z_SCORES).forEach(([level, z]) => {
+    confidenceIntervals[level] = {
+      low: round4((mean - z * standardError) * 100),
+      high: round4((mean + z * standardError) * 100)
+    };
+  });
+
+  return {
+    config: {
+      rounds: n,
+      betAmount: run.betAmount,
+      seed: run.seed,
+      workers: run.workers,
+      rtpProfile: run.model.rtpProfile,
+      mathModelId: run.model.id,
+      mathModelChecksum: run.model.checksum,
+      maxWinMultiplier: run.model.maxWinMultiplier
+    },
+    rtp: {
+      total: round4(mean * 100),
+      target: round4(run.model.targetRtp * 100),
+      baseGame: percent(stats.components.baseGame),
+      randomMultipliers: percent(stats.components.randomMultipliers),
+      scatterPays: percent(stats.components.scatterPays),
+      freeSpins: percent(stats.components.freeSpins)
+    },
+    hitFrequency: {
+      baseSpin: percent(stats.baseSpinHits),
+      round: percent(stats.roundHits),
+      freeSpinsTrigger: percent(stats.freeSpinsTriggers),
+      freeSpinsTriggerOneIn: oneIn(stats.freeSpinsTriggers, n)
+    },
+    volatility: {
+      standardDeviation: round4(standardDeviation),
+      variance: round4(variance),
+      volatilityIndex: round4(Z_SCORES[VOLATILITY_CONFIDENCE] * standardDeviation),
+      volatilityIndexConfidence: VOLATILITY_CONFIDENCE
+    },
+    confidenceIntervals,
+    maxWin: {
+      multiplier: run.model.maxWinMultiplier,
+      hits: stats.maxWinHits,
+      frequency: percent(stats.maxWinHits),
+      oneIn: oneIn(stats.maxWinHits, n),
+      largestRoundWin: round4(stats.largestRoundWin)
+    },
+    freeSpins: {
+      triggers: stats.freeSpinsTriggers,
+      spinsPlayed: stats.freeSpinsPlayed,
+      retriggers: stats.freeSpinsRetriggers,
+      averageSpinsPerTrigger: stats.freeSpinsTriggers > 0 ? round4(stats.freeSpinsPlayed / stats.freeSpinsTriggers) : 0,
+      averageWinPerTrigger: stats.freeSpinsTriggers > 0 ? round4(stats.components.freeSpins / stats.freeSpinsTriggers) : 0
+    },
+    histogram: HISTOGRAM_BUCKETS.map((bucket, index) => ({
+      bucket: bucket.label,
+      min: bucket.min,
+      max: Number.isFinite(bucket.max) ? bucket.max : null,
+      count: stats.histogram[index].count,
+      share: percent(stats.histogram[index].count),
+      rtpContribution: percent(stats.histogram[index].win)
+    })),
+    performance: {
+      spins: stats.spins,
+      durationMs: run.durationMs,
+      spinsPerSecond: run.durationMs > 0 ? Math.round(stats.spins / (run.durationMs / 1000)) : null
+    }
+  };
+}
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Flatten a report into CSV rows: section,metric,value,count,share
+ * Histogram rows carry the bucket count and share; their value is the RTP contribution.
+ * @param {Object} report - Output of buildReport
+ * @returns {string} CSV document
+ */
+function formatCsv(report) {
+  const rows = [['section', 'metric', 'value', 'count', 'share']];
+
+  ['config', 'rtp', 'hitFrequency', 'volatility', 'maxWin', 'freeSpins', 'performance'].forEach(section => {
+    Object.entries(report[section]).forEach(([metric, value]) => {
+      rows.push([section, metric, value, '', '']);
+    });
+  });
+  Object.entries(report.confidenceIntervals).forEach(([level, interval]) => {
+    rows.push(['confidenceIntervals', `${level}.low`, interval.low, '', '']);
+    rows.push(['confidenceIntervals', `${level}.high`, interval.high, '', '']);
+  });
+  report.histogram.forEach(bucket => {
+    rows.push(['histogram', bucket.bucket, bucket.rtpContribution, bucket.count, bucket.share]);
+  });
+
+  return `${rows.map(row => row.map(csvCell).join(',')).join('\n')}\n`;
+}
+
+/**
+ * Run a simulation across worker threads
+ * @param {Object} options - Simulation options
+ * @param {number} options.rounds - Paid rounds to play
+ * @param {Object} options.model - Math model record ({ id, version, checksum, artifact })
+ * @param {string} options.seed - Simulation seed (random when omitted; reported for reproduction)
+ * @param {number} options.betAmount - Bet per round
+ * @param {number} options.workers - Worker threads (defaults to the CPU count)
+ * @param {Function} options.onProgress - (roundsDone, roundsTotal) => void
+ * @returns {Promise<Object>} Report (see buildReport)
+ */
+async function runSimulation({
+  rounds,
+  model,
+  seed = crypto.randomBytes(16).toString('hex'),
+  betAmount = 1,
+  workers = os.cpus().length,
+  onProgress = null
+}) {
+  const workerCount = Math.max(1, Math.min(workers, rounds));
+  const startedAt = Date.now();
+  const stats = new SimulationStats();
+  let done = 0;
+
+  const slices = [];
+  const perWorker = Math.floor(rounds / workerCount);
+  for (let i = 0, start = 0; i < workerCount; i++) {
+    const count = perWorker + (i < rounds % workerCount ? 1 : 0);
+    slices.push({ startRound: start, rounds: count });
+    start += count;
+  }
+
+  await Promise.all(slices.map(slice => new Promise((resolve, reject) => {
+    const worker = new Worker(path.join(__dirname, 'simulationWorker.js'), {
+      workerData: { ...slice, seed, betAmount, artifact: model.artifact }
+    });
+
+    worker.on('message', message => {
+      if (message.type === 'progress') {
+        done += message.rounds;
+        if (onProgress) {
+          onProgress(done, rounds);
+        }
+      } else if (message.type === 'done') {
+        stats.merge(message.stats);
+        resolve();
+      } else if (message.type === 'error') {
+        reject(new Error(message.error));
+      }
+    });
+    worker.on('error', reject);
+    worker.on('exit', code => {
+      if (code !== 0) {
+        reject(new Error(`Simulation worker exited with code ${code}`));
+      }
+    });
+  })));
+
+  return buildReport(stats, {
+    seed,
+    betAmount,
+    workers: workerCount,
+    durationMs: Date.now() - startedAt,
+    model: {
+      id: model.id,
+      checksum: model.checksum,
+      rtpProfile: model.artifact.rtpProfile || null,
+      targetRtp: model.artifact.targetRtp,
+      maxWinMultiplier: model.artifact.maxWinMultiplier
+    }
+  });
+}
+
+module.exports = {
+  HISTOGRAM_BUCKETS,
+  SimulationStats,
+  deriveSpinSeed,
+  playRound,
+  runRounds,
+  buildReport,
+  formatCsv,
+  runSimulation
+};
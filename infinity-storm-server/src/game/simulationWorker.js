@@ -0,0 +1,39 @@
+/**
+ * Simulation worker thread
+ *
+ * Plays one contiguous slice of rounds for runSimulation (simulation.js) and
+ * posts progress and the accumulated statistics back to the parent thread.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+
+// The engine logs every spin with console.log; a multi-million spin run only needs
+// the statistics. Failures are reported through the logger.
+// eslint-disable-next-line no-console
+console.log = () => {};
+
+const GameEngine = require('./gameEngine');
+const { createModel, toEngineOptions } = require('./mathModel');
+const { runRounds } = require('./simulation');
+const { logger } = require('../utils/logger');
+
+async function run() {
+  const engine = new GameEngine(toEngineOptions(createModel(workerData.artifact)));
+  const stats = await runRounds(engine, {
+    seed: workerData.seed,
+    betAmount: workerData.betAmount,
+    startRound: workerData.startRound,
+    rounds: workerData.rounds,
+    onProgress: (rounds) => parentPort.postMessage({ type: 'progress', rounds })
+  });
+
+  parentPort.postMessage({ type: 'done', stats: JSON.parse(JSON.stringify(stats)) });
+}
+
+run().catch(error => {
+  logger.error('Simulation worker failed', {
+    startRound: workerData.startRound,
+    error: error.message
+  });
+  parentPort.postMessage({ type: 'error', error: error.message });
+});
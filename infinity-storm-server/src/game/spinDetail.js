@@ -0,0 +1,85 @@
+/**
+ * Spin Detail
+ *
+ * Player-facing view of a stored spin_results row, used by the history viewer to
+ * replay a spin cascade by cascade: the initial grid, each cascade step (clusters
+ * paid, removals, drops, new symbols and the grids around them) and the
+ * multipliers applied to the spin win.
+ *
+ * Replay-only data (rng seeds, grid hashes, reel stop positions) is left out;
+ * players verify outcomes through /api/fairness instead.
+ */
+
+const roundMoney = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * A cascade step as the client GridRenderer animates it
+ * @param {Object} step - Stored cascade step (gameEngine cascadeSteps entry)
+ * @param {number} index - Position of the step in the spin
+ * @returns {Object} Step detail
+ */
+function toStepDetail(step, index) {
+  const clusters = step.winningClusters || step.matchedClusters || [];
+
+  return {
+    stepIndex: Number.isInteger(step.stepIndex) ? step.stepIndex : index,
+    gridStateBefore: step.gridStateBefore || null,
+    gridAfterRemoval: step.gridAfterRemoval || null,
+    gridStateAfter: step.gridStateAfter || null,
+    winningClusters: clusters.map(cluster => ({
+      symbolType: cluster.symbolType,
+      positions: cluster.positions || [],
+      clusterSize: cluster.clusterSize || (cluster.positions || []).length,
+      payout: roundMoney(cluster.payout)
+    })),
+    droppingSymbols: step.droppingSymbols || [],
+    newSymbols: (step.newSymbols || []).map(entry => ({
+      position: entry.position || { col: entry.column ?? entry.col, row: entry.row },
+      symbolType: entry.symbolType || entry.type || entry.symbol
+    })),
+    winAmount: roundMoney(step.winAmount ?? step.cascadeWin),
+    totalWinSoFar: roundMoney(step.totalWinSoFar)
+  };
+}
+
+/**
+ * Detail of a stored spin for its player
+ * @param {Object} row - spin_results row
+ * @returns {Object} Spin detail
+ */
+function buildSpinDetail(row) {
+  const cascades = (Array.isArray(row.cascades) ? row.cascades : []).map(toStepDetail);
+  const context = row.replay_context || null;
+  const clusterWin = roundMoney(cascades.reduce((sum, step) => sum + step.winAmount, 0));
+  const totalWin = roundMoney(row.total_win);
+
+  return {
+    spinId: row.id,
+    betTime: row.created_at || null,
+    betAmount: roundMoney(row.bet_amount),
+    totalWin,
+    gameMode: row.game_mode || 'base',
+    mathModelId: row.math_model_id || null,
+    rtpProfile: row.rtp_profile || null,
+    initialGrid: row.initial_grid || (cascades[0] ? cascades[0].gridStateBefore : null),
+    cascades,
+    clusterWin,
+    // Scatter pays and multipliers, on top of the cluster wins
+    otherWin: roundMoney(totalWin - clusterWin),
+    multipliers: (Array.isArray(row.multipliers_applied) ? row.multipliers_applied : []).map(entry => ({
+      multiplier: entry.multiplier,
+      type: entry.type || 'random',
+      position: entry.position || null
+    })),
+    freeSpins: context ? {
+      accumulatedMultiplier: context.input?.accumulatedMultiplier ?? null,
+      newAccumulatedMultiplier: context.outcome?.newAccumulatedMultiplier ?? null,
+      triggered: Boolean(context.outcome?.freeSpinsTriggered),
+      awarded: context.outcome?.freeSpinsAwarded || 0
+    } : null
+  };
+}
+
+module.exports = {
+  buildSpinDetail
+};
@@ -0,0 +1,282 @@
+/**
+ * Deterministic Spin Replay
+ *
+ * Re-runs a persisted spin through GameEngine from its rng seed, strip version,
+ * bet and the engine state captured when it was played (free spins flag, remaining
+ * spins, accumulated multiplier and multiplier count), then diffs the replay
+ * against the stored spin_results row.
+ *
+ * Every random draw in processCompleteSpin is derived from the spin rngSeed:
+ * - initial grid: reel strip stop positions seeded by rngSeed
+ * - cascade refills: `${rngSeed}${NN}` per cascade step
+ * - random / cascading multipliers: rngSeed plus a fixed hex suffix
+ *
+ * Spins recorded under a math model other than the replay engine's are replayed
+ * with that model's engine, obtained through options.resolveEngine.
+ *
+ * Used by the admin replay endpoint and scripts/replaySpin.js for disputes.
+ */
+
+const GameEngine = require('./gameEngine');
+const { getBuiltinModel, toEngineOptions } = require('./mathModel');
+
+const WIN_TOLERANCE = 0.01;
+const REPLAY_CONTEXT_VERSION = 1;
+
+class SpinReplay {
+  /**
+     * @param {Object} options - Configuration options
+     * @param {GameEngine} options.engine - Engine used for replays (a dedicated built-in model
+     *   instance by default so replays do not touch the live engine's session statistics)
+     * @param {Function} options.resolveEngine - async (mathModelId) => GameEngine|null for spins
+     *   recorded under another math model
+     */
+  constructor(options = {}) {
+    this.engine = options.engine || new GameEngine(toEngineOptions(getBuiltinModel()));
+    this.resolveEngine = options.resolveEngine || null;
+  }
+
+  /**
+     * Pick the engine for the math model a spin was played under
+     * Rows without math_model_id predate the registry and use the default engine.
+     * @param {Object} spin - Normalized spin row
+     * @returns {Promise<GameEngine|null>} Engine, or null when the model is unavailable
+     */
+  async engineFor(spin) {
+    if (!spin.math_model_id || spin.math_model_id === this.engine.mathModel?.id) {
+      return this.engine;
+    }
+    return this.resolveEngine ? this.resolveEngine(spin.math_model_id) : null;
+  }
+
+  /**
+     * Build the replay_context stored alongside a spin result
+     * @param {Object} spinRequest - Request passed to processCompleteSpin
+     * @param {Object} spinResult - Result returned by processCompleteSpin
+     * @returns {Object} Replay context
+     */
+  static buildReplayContext(spinRequest, spinResult) {
+    const reelStrips = spinResult.metadata?.reelStrips || null;
+
+    return {
+      version: REPLAY_CONTEXT_VERSION,
+      input: {
+        freeSpinsActive: Boolean(spinRequest.freeSpinsActive),
+        freeSpinsRemaining: Number(spinRequest.freeSpinsRemaining) || 0,
+        accumulatedMultiplier: Number(spinRequest.accumulatedMultiplier) || 1,
+        multiplierCount: Number(spinRequest.multiplierCount) || 0,
+        quickSpinMode: Boolean(spinRequest.quickSpinMode)
+      },
+      reelStrips: reelStrips ? {
+        stopPositions: reelStrips.stop_positions,
+        stripVersion: reelStrips.strip_version
+      } : null,
+      outcome: {
+        freeSpinsTriggered: Boolean(spinResult.bonusFeatures?.freeSpinsTriggered),
+        freeSpinsAwarded: spinResult.bonusFeatures?.freeSpinsAwarded || 0,
+        freeSpinsNextCount: Number.isFinite(spinResult.freeSpinsNextCount) ? spinResult.freeSpinsNextCount : null,
+        newAccumulatedMultiplier: spinResult.newAccumulatedMultiplier ?? null,
+        newMultiplierCount: spinResult.newMultiplierCount ?? null
+      }
+    };
+  }
+
+  /**
+     * Accept either a Sequelize SpinResult instance or a raw spin_results row
+     * @param {Object} row - Spin row
+     * @returns {Object} Plain row
+     */
+  normalizeRow(row) {
+    const plain = typeof row.get === 'function' ? row.get({ plain: true }) : { ...row };
+    return {
+      ...plain,
+      bet_amount: Number(plain.bet_amount),
+      total_win: Number(plain.total_win) || 0,
+      cascades: Array.isArray(plain.cascades) ? plain.cascades : [],
+      multipliers_applied: Array.isArray(plain.multipliers_applied) ? plain.multipliers_applied : []
+    };
+  }
+
+  /**
+     * Derive the processCompleteSpin request for a stored spin
+     * Rows written before replay_context existed fall back to game_mode, which cannot
+     * recover the accumulated multiplier; such replays are flagged as inferred.
+     * @param {Object} spin - Normalized spin row
+     * @returns {{request: Object, contextInferred: boolean}}
+     */
+  buildSpinRequest(spin) {
+    const input = spin.replay_context?.input;
+    const contextInferred = !input;
+
+    return {
+      contextInferred,
+      request: {
+        betAmount: spin.bet_amount,
+        playerId: spin.player_id,
+        sessionId: spin.session_id,
+        freeSpinsActive: input ? input.freeSpinsActive : spin.game_mode === 'free_spins',
+        freeSpinsRemaining: input ? input.freeSpinsRemaining : 0,
+        accumulatedMultiplier: input ? input.accumulatedMultiplier : 1,
+        multiplierCount: input ? input.multiplierCount : 0,
+        quickSpinMode: input ? input.quickSpinMode : true,
+        spinId: `replay_${spin.id}`,
+        rngSeed: spin.rng_seed
+      }
+    };
+  }
+
+  /**
+     * Replay a stored spin and diff it against the persisted result
+     * @param {Object} row - SpinResult instance or spin_results row
+     * @returns {Promise<Object>} Replay report with status 'match' | 'mismatch' | 'unreplayable'
+     */
+  async replay(row) {
+    const spin = this.normalizeRow(row);
+    const recordedStripVersion = spin.strip_version || spin.replay_context?.reelStrips?.stripVersion || null;
+
+    if (!spin.rng_seed) {
+      return this.unreplayable(spin, 'missing_rng_seed');
+    }
+
+    const engine = await this.engineFor(spin);
+    if (!engine) {
+      return this.unreplayable(spin, 'math_model_unavailable', { mathModelId: spin.math_model_id });
+    }
+
+    const stripVersion = engine.gridGenerator.reelStripGenerator?.stripVersion || null;
+    if (recordedStripVersion && recordedStripVersion !== stripVersion) {
+      return this.unreplayable(spin, 'strip_version_mismatch', {
+        recordedStripVersion,
+        currentStripVersion: stripVersion
+      });
+    }
+
+    const { request, contextInferred } = this.buildSpinRequest(spin);
+    const result = await engine.processCompleteSpin(request);
+    const differences = this.diff(spin, result);
+
+    return {
+      spinId: spin.id,
+      status: differences.length === 0 ? 'match' : 'mismatch',
+      contextInferred,
+      stripVersion,
+      mathModelId: engine.mathModel?.id || null,
+      request,
+      differences,
+      replayed: {
+        initialGrid: result.initialGrid,
+        cascadeSteps: result.cascadeSteps.map(step => ({
+          stepNumber: step.stepNumber,
+          gridStateAfter: step.gridStateAfter,
+          cascadeWin: step.cascadeWin
+        })),
+        randomMultipliers: result.bonusFeatures.randomMultipliers.map(m => ({
+          multiplier: m.multiplier,
+          position: m.position,
+          type: m.type || 'random'
+        })),
+        totalWin: result.totalWin,
+        freeSpins: {
+          triggered: Boolean(result.bonusFeatures.freeSpinsTriggered),
+          awarded: result.bonusFeatures.freeSpinsAwarded || 0,
+          nextCount: Number.isFinite(result.freeSpinsNextCount) ? result.freeSpinsNextCount : null,
+          newAccumulatedMultiplier: result.newAccumulatedMultiplier ?? null,
+          newMultiplierCount: result.newMultiplierCount ?? null
+        },
+        reelStrips: result.metadata.reelStrips
+      },
+      recorded: {
+        initialGrid: spin.initial_grid,
+        cascadeCount: spin.cascades.length,
+        multipliers: spin.multipliers_applied,
+        totalWin: spin.total_win,
+        gameMode: spin.game_mode,
+        createdAt: spin.created_at
+      }
+    };
+  }
+
+  /**
+     * Compare a stored spin with its replay
+     * @param {Object} spin - Normalized spin row
+     * @param {Object} result - processCompleteSpin result
+     * @returns {Array<Object>} Differences as { path, recorded, replayed }
+     */
+  diff(spin, result) {
+    const differences = [];
+    const add = (path, recorded, replayed) => differences.push({ path, recorded, replayed });
+    const sameJson = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const sameAmount = (a, b) => Math.abs((Number(a) || 0) - (Number(b) || 0)) <= WIN_TOLERANCE;
+
+    const recordedStops = spin.replay_context?.reelStrips?.stopPositions;
+    const replayedStops = result.metadata.reelStrips?.stop_positions;
+    if (recordedStops && !sameJson(recordedStops, replayedStops)) {
+      add('reelStrips.stopPositions', recordedStops, replayedStops);
+    }
+
+    if (!sameJson(spin.initial_grid, result.initialGrid)) {
+      add('initialGrid', spin.initial_grid, result.initialGrid);
+    }
+
+    if (spin.cascades.length !== result.cascadeSteps.length) {
+      add('cascades.length', spin.cascades.length, result.cascadeSteps.length);
+    }
+
+    const stepCount = Math.min(spin.cascades.length, result.cascadeSteps.length);
+    for (let i = 0; i < stepCount; i++) {
+      const recordedStep = spin.cascades[i] || {};
+      const replayedStep = result.cascadeSteps[i];
+      const recordedGrid = recordedStep.gridStateAfter || recordedStep.gridAfter;
+      const recordedWin = recordedStep.cascadeWin ?? recordedStep.winAmount;
+
+      if (recordedGrid && !sameJson(recordedGrid, replayedStep.gridStateAfter)) {
+        add(`cascades[${i}].gridStateAfter`, recordedGrid, replayedStep.gridStateAfter);
+      }
+      if (recordedWin !== undefined && !sameAmount(recordedWin, replayedStep.cascadeWin)) {
+        add(`cascades[${i}].cascadeWin`, recordedWin, replayedStep.cascadeWin);
+      }
+    }
+
+    const recordedMultipliers = spin.multipliers_applied.map(m => Number(m.multiplier));
+    const replayedMultipliers = result.bonusFeatures.randomMultipliers.map(m => Number(m.multiplier));
+    if (!sameJson(recordedMultipliers, replayedMultipliers)) {
+      add('multipliers', recordedMultipliers, replayedMultipliers);
+    }
+
+    if (!sameAmount(spin.total_win, result.totalWin)) {
+      add('totalWin', spin.total_win, result.totalWin);
+    }
+
+    const outcome = spin.replay_context?.outcome;
+    if (outcome) {
+      const replayedOutcome = {
+        freeSpinsTriggered: Boolean(result.bonusFeatures.freeSpinsTriggered),
+        freeSpinsAwarded: result.bonusFeatures.freeSpinsAwarded || 0,
+        freeSpinsNextCount: Number.isFinite(result.freeSpinsNextCount) ? result.freeSpinsNextCount : null,
+        newAccumulatedMultiplier: result.newAccumulatedMultiplier ?? null,
+        newMultiplierCount: result.newMultiplierCount ?? null
+      };
+
+      for (const key of Object.keys(replayedOutcome)) {
+        if (!sameJson(outcome[key] ?? null, replayedOutcome[key])) {
+          add(`freeSpins.${key}`, outcome[key] ?? null, replayedOutcome[key]);
+        }
+      }
+    }
+
+    return differences;
+  }
+
+  unreplayable(spin, reason, details = {}) {
+    return {
+      spinId: spin.id,
+      status: 'unreplayable',
+      reason,
+      ...details,
+      differences: []
+    };
+  }
+}
+
+module.exports = SpinReplay;
+module.exports.REPLAY_CONTEXT_VERSION = REPLAY_CONTEXT_VERSION;
@@ -33,7 +33,11 @@
  * providing engaging gameplay through proper symbol frequency balance.
  */
 class SymbolDistribution {
-  constructor() {
+  /**
+     * @param {Object} [config] - Configuration in exportConfiguration() format (e.g. from the
+     *   active math model); the built-in tables below are used when omitted
+     */
+  constructor(config = null) {
     // Base symbol weights for 96.5% RTP (from GameConfig.js)
     this.baseWeights = {
       // Low-paying symbols (Infinity Gems)
@@ -151,6 +155,10 @@ class SymbolDistribution {
 
     // Calculate total weights for normalization
     this.calculateTotalWeights();
+
+    if (config) {
+      this.importConfiguration(config);
+    }
   }
 
   /**
@@ -11,6 +11,9 @@
 
 const { getRNG } = require('./rng');
 
+// Paytable values are paid in units of the bet divided by this (a payout of 20 returns the bet)
+const PAYOUT_DIVISOR = 20;
+
 class WinCalculator {
   constructor(gameConfig) {
     this.gameConfig = gameConfig;
@@ -175,7 +178,7 @@ class WinCalculator {
 
     // Base win calculation: (Bet Amount / 20) * Symbol Payout Multiplier
     // This formula is identical to client implementation
-    const baseWin = (betAmount / 20) * payoutMultiplier;
+    const baseWin = (betAmount / PAYOUT_DIVISOR) * payoutMultiplier;
 
     // Get highest symbol multiplier in the match (from special symbols)
     const symbolMultiplier = this.getHighestSymbolMultiplier(match);
@@ -261,7 +264,8 @@ class WinCalculator {
     }
 
     // Scatter payout calculation (same formula as regular symbols)
-    const scatterPayout = this.validateWin((betAmount / 20) * payoutMultiplier, betAmount);
+    const scatterWin = (betAmount / PAYOUT_DIVISOR) * payoutMultiplier;
+    const scatterPayout = this.validateWin(scatterWin, betAmount);
 
     this.statistics.scatterMatches++;
 
@@ -492,4 +496,5 @@ class WinCalculator {
   }
 }
 
-module.exports = WinCalculator;
\ No newline at end of file
+module.exports = WinCalculator;
+module.exports.PAYOUT_DIVISOR = PAYOUT_DIVISOR;
\ No newline at end of file
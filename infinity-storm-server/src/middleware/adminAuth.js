@@ -9,11 +9,16 @@
  * - IP address validation and tracking
  * - Session timeout management
  * - Comprehensive audit logging
- * - Two-factor authentication ready
+ * - Two-factor authentication: enrollment enforcement and step-up for sensitive actions
  * - Admin activity monitoring
+ * - Role-based permissions per route (config/adminRoles.js)
  */
 
+const { URL } = require('url');
 const { logger } = require('../utils/logger');
+const { hasPermission } = require('../config/adminRoles');
+const adminTwoFactorService = require('../services/adminTwoFactorService');
+const { STEP_UP_COOKIE, STEP_UP_TTL_MINUTES, cookieOptions } = adminTwoFactorService;
 
 /**
  * Extract admin token from request (cookies or headers)
@@ -128,13 +133,42 @@ const authenticateAdmin = async (req, res, next) => {
       });
     }
 
-    // Attach admin to request
+    if (!admin.isActive()) {
+      if (req.cookies?.admin_token) {
+        res.clearCookie('admin_token', {
+          httpOnly: true,
+          secure: process.env.NODE_ENV === 'production',
+          sameSite: 'strict'
+        });
+      }
+
+      logger.warn('Disabled admin rejected', {
+        admin_id: admin.id,
+        account_id: admin.account_id,
+        ip: req.ip,
+        endpoint: req.originalUrl
+      });
+
+      if (req.accepts('html')) {
+        return res.redirect('/admin/login?error=account_disabled');
+      }
+
+      return res.status(403).json({
+        error: 'Admin account disabled',
+        code: 'ADMIN_DISABLED'
+      });
+    }
+
+    // Attach admin to request (and to views, for role-dependent navigation)
     req.admin = admin.getSafeData();
     req.admin_token = token;
+    res.locals.admin = req.admin;
+    res.locals.stepUpActive = adminTwoFactorService.hasStepUp(req.cookies?.[STEP_UP_COOKIE], admin.id);
 
     logger.info('Admin access granted', {
       admin_id: admin.id,
       account_id: admin.account_id,
+      role: admin.role,
       ip: req.ip,
       endpoint: req.originalUrl,
       method: req.method
@@ -340,37 +374,163 @@ const getErrorMessage = (responseBody) => {
 };
 
 /**
- * Admin role verification middleware
- * Ensures admin has specific role permissions (for future role-based access)
+ * Admin permission middleware
+ * Refuses the request unless the admin's role grants every listed permission.
+ * Works for admin panel accounts and for is_admin players on the wallet admin
+ * endpoints, as long as req.admin carries the role.
+ * @param {...string} permissions - Keys of PERMISSIONS in config/adminRoles.js
+ * @returns {Function} Express middleware
  */
-const requireAdminRole = (requiredRole = 'admin') => {
+const requirePermission = (...permissions) => {
   return (req, res, next) => {
-    try {
-      // For now, all admins have full access
-      // In the future, implement role-based access control
-      if (!req.admin || !req.admin.isAdmin()) {
-        return res.status(403).json({
-          error: 'Insufficient admin permissions',
-          code: 'INSUFFICIENT_ROLE_PERMISSIONS',
-          message: `Admin role '${requiredRole}' required`
-        });
-      }
+    const role = req.admin?.role;
+    const missing = permissions.filter(permission => !hasPermission(role, permission));
 
-      next();
+    if (missing.length === 0) {
+      return next();
+    }
 
-    } catch (error) {
-      logger.error('Admin role verification error', {
-        error: error.message,
-        admin_id: req.admin?.id,
-        required_role: requiredRole
-      });
+    logger.warn('Admin permission denied', {
+      admin_id: req.admin?.id,
+      role: role || null,
+      missing,
+      endpoint: req.originalUrl,
+      method: req.method,
+      ip: req.ip
+    });
 
-      res.status(500).json({
-        error: 'Role verification failed',
-        code: 'ROLE_VERIFICATION_ERROR'
+    const denial = {
+      error: 'Insufficient admin permissions',
+      code: 'INSUFFICIENT_ROLE_PERMISSIONS',
+      message: `Requires ${missing.join(', ')}`
+    };
+
+    if (req.method === 'GET' && req.accepts(['json', 'html']) === 'html') {
+      return res.status(403).render('admin/error', {
+        title: 'Access Denied',
+        error: denial.error,
+        message: `Your role (${role || 'none'}) does not allow this page. ${denial.message}.`
       });
     }
+
+    return res.status(403).json(denial);
+  };
+};
+
+/**
+ * Where to send a refused admin panel form back to: the referring admin page
+ * @param {Object} req - Express request
+ * @returns {string} Admin path without query
+ */
+const refererPath = (req) => {
+  try {
+    const { pathname } = new URL(req.get('Referer') || '', `${req.protocol}://${req.get('host')}`);
+    return pathname.startsWith('/admin') ? pathname : '/admin/dashboard';
+  } catch {
+    return '/admin/dashboard';
+  }
+};
+
+/**
+ * Two-factor enrollment enforcement middleware
+ * Admins whose account requires 2FA and who have not enrolled can only reach
+ * the /admin/2fa pages (and log out) until they do.
+ */
+const requireTwoFactorEnrollment = (req, res, next) => {
+  const twoFactor = req.admin?.two_factor;
+  if (!twoFactor?.required || twoFactor.enabled) {
+    return next();
+  }
+
+  if (req.accepts(['json', 'html']) === 'html') {
+    return res.redirect(`/admin/2fa?error=${encodeURIComponent('Set up two-factor authentication to continue')}`);
+  }
+
+  return res.status(403).json({
+    error: 'Two-factor authentication required',
+    code: 'TWO_FACTOR_ENROLLMENT_REQUIRED',
+    message: 'Set up two-factor authentication at /admin/2fa'
+  });
+};
+
+/**
+ * Step-up middleware for sensitive actions
+ * Passes admins who confirmed within the step-up window. Otherwise admins with
+ * 2FA send a TOTP or recovery code with the request (body totp_code or header
+ * X-Admin-TOTP) and admins without it send their password (body
+ * current_password); either opens a new window. Admins required to use 2FA are
+ * refused until they enroll. Admin players (wallet admin API, req.admin.account_type
+ * 'player') have no 2FA and confirm with their player password.
+ */
+const requireStepUp = async (req, res, next) => {
+  const refuse = (statusCode, code, error) => {
+    logger.warn('Admin step-up refused', {
+      admin_id: req.admin?.id,
+      code,
+      endpoint: req.originalUrl,
+      ip: req.ip
+    });
+
+    if (req.accepts(['json', 'html']) === 'html') {
+      return res.redirect(`${refererPath(req)}?error=${encodeURIComponent(error)}`);
+    }
+    return res.status(statusCode).json({ error, code });
+  };
+
+  const unlock = (account) => {
+    res.cookie(STEP_UP_COOKIE, adminTwoFactorService.issueStepUp(account), cookieOptions(STEP_UP_TTL_MINUTES));
+    res.locals.stepUpActive = true;
+    next();
   };
+
+  try {
+    const twoFactor = req.admin?.two_factor || {};
+    if (twoFactor.required && !twoFactor.enabled) {
+      return refuse(403, 'TWO_FACTOR_NOT_ENROLLED', 'Set up two-factor authentication at /admin/2fa before this action');
+    }
+    if (adminTwoFactorService.hasStepUp(req.cookies?.[STEP_UP_COOKIE], req.admin.id)) {
+      return next();
+    }
+
+    const context = { ip: req.ip, userAgent: req.get('User-Agent') };
+    const { Admin, Player } = require('../models');
+
+    if (!twoFactor.enabled) {
+      const password = req.body?.current_password;
+      if (!password) {
+        return refuse(403, 'STEP_UP_REQUIRED', 'Enter your password to confirm this action');
+      }
+      const Account = req.admin.account_type === 'player' ? Player : Admin;
+      const admin = await Account.findByPk(req.admin.id);
+      if (!admin || !(await adminTwoFactorService.verifyPassword(admin, password, 'step_up', context))) {
+        return refuse(403, 'STEP_UP_FAILED', 'Invalid password');
+      }
+      return unlock(admin);
+    }
+
+    const code = req.body?.totp_code || req.get('X-Admin-TOTP');
+    if (!code) {
+      return refuse(403, 'STEP_UP_REQUIRED', 'Enter a code from your authenticator app to confirm this action');
+    }
+
+    const admin = await Admin.findByPk(req.admin.id);
+    const verified = await adminTwoFactorService.verify(admin, code, 'step_up', context);
+    if (!verified) {
+      return refuse(403, 'STEP_UP_FAILED', 'Invalid authentication code');
+    }
+    unlock(admin);
+
+  } catch (error) {
+    logger.error('Admin step-up error', {
+      error: error.message,
+      admin_id: req.admin?.id
+    });
+
+    res.status(500).json({
+      error: 'Two-factor verification unavailable',
+      code: 'STEP_UP_SERVICE_ERROR'
+    });
+  }
 };
 
 module.exports = {
@@ -378,6 +538,8 @@ module.exports = {
   checkAdminSessionTimeout,
   logAdminActivity,
   completeAdminActivityLog,
-  requireAdminRole,
+  requirePermission,
+  requireTwoFactorEnrollment,
+  requireStepUp,
   extractAdminToken
 };
\ No newline at end of file
@@ -150,7 +150,8 @@ const authenticate = async (req, res, next) => {
                 id: null, // Use NULL for session_id in fallback mode (Supabase expects UUID or NULL)
                 player_id: decoded.player_id,
                 created_at: decoded.iat,
-                expires_at: decoded.exp
+                expires_at: decoded.exp,
+                started_at: new Date(decoded.iat * 1000)
               }
             };
           }
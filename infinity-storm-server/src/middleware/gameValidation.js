@@ -11,6 +11,10 @@
  * Features:
  * - Configurable validation rules
  * - Player-specific limits
+ * - Per-currency bet ladders (min/max bet and bet step)
+ * - Responsible gambling limits, cool-off and self-exclusion
+ * - Autoplay stop conditions
+ * - Emergency stop (admin or RTP monitor kill switch)
  * - Demo mode restrictions
  * - Anti-fraud detection
  * - Performance monitoring
@@ -19,12 +23,15 @@
 const { body, validationResult } = require('express-validator');
 const { logger } = require('../utils/logger.js');
 const responseHelper = require('../utils/responseHelper');
+const { resolveCurrency, validateBetAmount } = require('../config/currencies');
+const responsibleGamblingService = require('../services/responsibleGamblingService');
+const autoplayService = require('../services/autoplayService');
+const emergencyStopService = require('../services/emergencyStopService');
+const reviewCaseService = require('../services/reviewCaseService');
 
 // Game configuration constants
+// Bet limits are per currency: see the bet ladders in config/currencies.js
 const GAME_LIMITS = {
-  MIN_BET: 0.01,
-  MAX_BET: 1000,
-  MAX_BET_DEMO: 10,
   MIN_MULTIPLIER: 1,
   MAX_MULTIPLIER: 5000,
   MAX_FREE_SPINS: 100,
@@ -52,6 +59,11 @@ class GameValidation {
       const playerId = req.user.id;
       const { betAmount, accumulatedMultiplier = 1 } = req.body;
 
+      const stop = await emergencyStopService.getActiveStop();
+      if (stop) {
+        return responseHelper.gameHalted(res, stop);
+      }
+
       // Check rate limiting
       const rateLimitResult = GameValidation.checkRateLimit(playerId);
       if (!rateLimitResult.allowed) {
@@ -61,14 +73,15 @@ class GameValidation {
         });
       }
 
-      // Validate bet amount based on account type
-      const maxBet = req.user.is_demo ? GAME_LIMITS.MAX_BET_DEMO : GAME_LIMITS.MAX_BET;
-      if (betAmount > maxBet) {
-        return responseHelper.badRequest(res,
-          `Bet amount exceeds ${req.user.is_demo ? 'demo' : 'account'} limit`, {
-            maxBet,
-            accountType: req.user.is_demo ? 'demo' : 'real'
-          });
+      // Validate bet amount against the session currency's ladder and the account type
+      const betCheck = validateBetAmount(betAmount, GameValidation.getRequestCurrency(req), {
+        isDemo: Boolean(req.user.is_demo)
+      });
+      if (!betCheck.valid) {
+        return responseHelper.badRequest(res, betCheck.error, {
+          ...betCheck.limits,
+          accountType: req.user.is_demo ? 'demo' : 'real'
+        });
       }
 
       // Validate multiplier limits
@@ -79,6 +92,12 @@ class GameValidation {
         });
       }
 
+      // Restricted players spin at the minimum bet only
+      const restriction = await GameValidation.checkRestriction(req);
+      if (restriction && parseFloat(betAmount) > betCheck.limits.minBet) {
+        return responseHelper.playerRestricted(res, restriction, { maxBet: betCheck.limits.minBet });
+      }
+
       // Check player credit sufficiency (for real accounts)
       if (!req.user.is_demo && req.user.credits < betAmount) {
         return responseHelper.badRequest(res, 'Insufficient credits', {
@@ -96,6 +115,18 @@ class GameValidation {
         });
       }
 
+      // Player-set limits, cool-off and self-exclusion
+      const rgBlock = await GameValidation.checkResponsibleGambling(req, betAmount);
+      if (rgBlock) {
+        return responseHelper.responsibleGamblingLimit(res, rgBlock);
+      }
+
+      // Autoplay stop conditions (spin count, loss limit) of the session the spin belongs to
+      const autoplayBlock = await GameValidation.checkAutoplay(req, betAmount);
+      if (autoplayBlock) {
+        return responseHelper.autoplayStopped(res, autoplayBlock);
+      }
+
       // Update rate limit
       GameValidation.updateRateLimit(playerId);
 
@@ -191,6 +222,16 @@ class GameValidation {
     try {
       const { featureType, cost } = req.body;
 
+      const stop = await emergencyStopService.getActiveStop();
+      if (stop) {
+        return responseHelper.gameHalted(res, stop);
+      }
+
+      const restriction = await GameValidation.checkRestriction(req);
+      if (restriction) {
+        return responseHelper.playerRestricted(res, restriction, { featurePurchase: false });
+      }
+
       // Check if feature type is valid
       if (!FEATURE_COSTS[featureType]) {
         return responseHelper.badRequest(res, 'Invalid feature type', {
@@ -198,6 +239,15 @@ class GameValidation {
         });
       }
 
+      if (req.body.betAmount !== undefined) {
+        const betCheck = validateBetAmount(req.body.betAmount, GameValidation.getRequestCurrency(req), {
+          isDemo: Boolean(req.user.is_demo)
+        });
+        if (!betCheck.valid) {
+          return responseHelper.badRequest(res, betCheck.error, betCheck.limits);
+        }
+      }
+
       // Calculate expected cost (for validation)
       const expectedCost = FEATURE_COSTS[featureType] * (req.body.betAmount || 1);
       const costDifference = Math.abs(cost - expectedCost);
@@ -222,6 +272,12 @@ class GameValidation {
       // Demo mode: No purchase limit - it's virtual currency with boosted RTP
       // Players can spend as much as they have available
 
+      // Player-set limits, cool-off and self-exclusion
+      const rgBlock = await GameValidation.checkResponsibleGambling(req, cost, { isPurchase: true });
+      if (rgBlock) {
+        return responseHelper.responsibleGamblingLimit(res, rgBlock);
+      }
+
       next();
 
     } catch (error) {
@@ -234,6 +290,89 @@ class GameValidation {
     }
   };
 
+  /**
+     * Currency the request is played in: the session's, else the player's wallet currency
+     * @param {Object} req - Express request
+     * @returns {string} Currency code
+     */
+  static getRequestCurrency(req) {
+    return resolveCurrency(req.session_info?.currency, req.user?.currency);
+  }
+
+  /**
+     * Responsible gambling check of a stake (real accounts only)
+     * @param {Object} req - Express request
+     * @param {number} amount - Bet or purchase cost
+     * @param {Object} options - { isPurchase }
+     * @returns {Promise<Object|null>} Block or null when play is allowed
+     */
+  static async checkResponsibleGambling(req, amount, { isPurchase = false } = {}) {
+    if (req.user.is_demo) {
+      return null;
+    }
+    const block = await responsibleGamblingService.checkPlay({
+      playerId: req.user.id,
+      amount,
+      sessionStartedAt: req.session_info?.started_at || null,
+      isPurchase
+    });
+    if (block) {
+      logger.info('Play blocked by responsible gambling limit', {
+        playerId: req.user.id,
+        reason: block.reason,
+        path: req.path
+      });
+    }
+    return block;
+  }
+
+  /**
+     * Autoplay check of a spin sent with an autoplaySessionId
+     * @param {Object} req - Express request
+     * @param {number} betAmount - Bet of the spin
+     * @returns {Promise<Object|null>} Block or null when the spin may go ahead
+     */
+  static async checkAutoplay(req, betAmount) {
+    const sessionId = req.body.autoplaySessionId;
+    if (!sessionId) {
+      return null;
+    }
+    const block = await autoplayService.checkSpin({
+      playerId: req.user.id,
+      sessionId,
+      betAmount
+    });
+    if (block) {
+      logger.info('Autoplay spin refused', {
+        playerId: req.user.id,
+        autoplaySessionId: sessionId,
+        reason: block.reason,
+        stopReason: block.stopReason
+      });
+    }
+    return block;
+  }
+
+  /**
+     * Restriction in force for the player (real accounts only)
+     * @param {Object} req - Express request
+     * @returns {Promise<Object|null>} { until, reason } or null
+     */
+  static async checkRestriction(req) {
+    if (req.user.is_demo) {
+      return null;
+    }
+    const restriction = await reviewCaseService.getRestriction(req.user.id);
+    if (restriction) {
+      logger.info('Play limited by player restriction', {
+        playerId: req.user.id,
+        restrictedUntil: restriction.until,
+        path: req.path
+      });
+    }
+    return restriction;
+  }
+
   /**
      * Check rate limiting for player actions
      * @param {string} playerId - Player ID
@@ -341,8 +480,7 @@ class GameValidation {
     }
 
     // Additional checks can be added here
-    // - Daily loss limits
-    // - Responsible gaming settings
+    // (limits and exclusions: see checkResponsibleGambling)
     // - Jurisdiction restrictions
     // - Age verification
 
@@ -406,6 +544,13 @@ class GameValidation {
     }
   }
 
+  /**
+     * Stop the periodic rate limit cleanup (tests and shutdown)
+     */
+  static stopRateLimitCleanup() {
+    clearInterval(rateLimitCleanupInterval);
+  }
+
   /**
      * Get rate limit statistics for monitoring
      * @returns {Object} Rate limit statistics
@@ -436,9 +581,10 @@ class GameValidation {
   }
 }
 
-// Clean up rate limits every 5 minutes
-setInterval(() => {
+// Clean up rate limits every 5 minutes; unref'd so the timer alone does not keep the process alive
+const rateLimitCleanupInterval = setInterval(() => {
   GameValidation.cleanupRateLimits();
 }, 5 * 60 * 1000);
+rateLimitCleanupInterval.unref();
 
 module.exports = GameValidation;
\ No newline at end of file
@@ -328,13 +328,19 @@ const authRateLimiter = rateLimit({
   }
 });
 
+// Endpoints whose bodies legitimately exceed the default limit (must match server.js parsers)
+const LARGE_BODY_LIMITS = [
+  { path: '/admin/api/math-models', maxSize: 256 * 1024 } // Math model artifacts with reel strips
+];
+
 /**
  * Request Size Validation
  * Prevent payload bomb attacks
  */
 const validateRequestSize = (req, res, next) => {
   const contentLength = parseInt(req.get('content-length') || '0', 10);
-  const MAX_SIZE = 10 * 1024; // 10KB
+  const largeBody = LARGE_BODY_LIMITS.find(limit => req.path.startsWith(limit.path));
+  const MAX_SIZE = largeBody ? largeBody.maxSize : 10 * 1024; // 10KB
 
   if (contentLength > MAX_SIZE) {
     logger.warn('Request size exceeded limit', {
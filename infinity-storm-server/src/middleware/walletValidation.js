@@ -16,6 +16,7 @@ const { body, param, query, validationResult } = require('express-validator');
 const { getPlayer } = require('../db/supabaseClient');
 const { logger } = require('../utils/logger');
 const ResponseHelper = require('../utils/responseHelper');
+const { REASON_CODES } = require('../services/creditApprovalService');
 
 /**
  * Rate limiting store for wallet operations
@@ -124,6 +125,9 @@ class WalletValidation {
         return ResponseHelper.forbidden(res, 'Admin permissions required');
       }
 
+      // Role checked per route by requirePermission (middleware/adminAuth.js)
+      req.admin = { id: user.id, username: user.username, role: user.admin_role || null, account_type: 'player' };
+
       next();
     } catch (error) {
       logger.error('Admin permission validation error', {
@@ -229,6 +233,11 @@ class WalletValidation {
       .trim()
       .escape(),
 
+    body('reason_code')
+      .optional()
+      .isIn(REASON_CODES)
+      .withMessage(`reason_code must be one of ${REASON_CODES.join(', ')}`),
+
     body('metadata')
       .optional()
       .isObject()
@@ -1,12 +1,21 @@
 /**
  * Admin.js - Simplified Admin Model
  * 
- * Standalone admin authentication table with minimal fields.
- * No roles, no status, no email - just account_id and password.
+ * Standalone admin authentication table: account_id, password, role and
+ * status. No email. The role decides what the admin may do (see
+ * config/adminRoles.js); disabled admins cannot sign in.
+ *
+ * The totp_* columns hold two-factor enrollment; they are managed by
+ * services/adminTwoFactorService.js and never leave the server.
  */
 
 const { DataTypes, Model } = require('sequelize');
 const bcrypt = require('bcrypt');
+const { ADMIN_ROLES, getRolePermissions, hasPermission } = require('../config/adminRoles');
+
+const ADMIN_STATUSES = ['active', 'disabled'];
+const PASSWORD_MIN_LENGTH = 12;
+const BCRYPT_ROUNDS = 10;
 
 class Admin extends Model {
   /**
@@ -35,6 +44,70 @@ class Admin extends Model {
         type: DataTypes.STRING(255),
         allowNull: false,
         comment: 'Bcrypt hashed password'
+      },
+
+      role: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'viewer',
+        validate: {
+          isIn: {
+            args: [ADMIN_ROLES],
+            msg: `Role must be one of ${ADMIN_ROLES.join(', ')}`
+          }
+        },
+        comment: 'Admin role; permissions in config/adminRoles.js'
+      },
+
+      status: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        defaultValue: 'active',
+        validate: {
+          isIn: {
+            args: [ADMIN_STATUSES],
+            msg: 'Status must be active or disabled'
+          }
+        },
+        comment: 'Disabled admins cannot sign in'
+      },
+
+      totp_secret: {
+        type: DataTypes.TEXT,
+        allowNull: true,
+        comment: 'Encrypted TOTP secret'
+      },
+
+      totp_enabled: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Sign-in and sensitive actions need a TOTP code'
+      },
+
+      totp_enabled_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+      },
+
+      totp_last_counter: {
+        type: DataTypes.BIGINT,
+        allowNull: true,
+        comment: 'Time step of the last accepted code (replay protection)'
+      },
+
+      totp_recovery_codes: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: [],
+        comment: 'SHA-256 hashes of unused recovery codes'
+      },
+
+      totp_required: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        comment: 'Admin must enroll two-factor authentication'
       }
     }, {
       sequelize,
@@ -65,6 +138,56 @@ class Admin extends Model {
     }
   }
 
+  /**
+   * Replace the password (not saved until the caller saves the instance)
+   * @param {string} password - Plain text password, at least PASSWORD_MIN_LENGTH characters
+   */
+  async setPassword(password) {
+    if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+      throw new Error(`Password must be at least ${PASSWORD_MIN_LENGTH} characters`);
+    }
+    this.password_hash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+  }
+
+  /**
+   * Create an admin account
+   * @param {Object} params
+   * @param {string} params.account_id - Login identifier
+   * @param {string} params.password - Plain text password
+   * @param {string} [params.role='viewer'] - One of ADMIN_ROLES
+   * @returns {Promise<Admin>} Created admin
+   */
+  static async createAccount({ account_id, password, role = 'viewer' }) {
+    const admin = Admin.build({ account_id, role, password_hash: '' });
+    await admin.setPassword(password);
+    return admin.save();
+  }
+
+  /**
+   * Check if the admin may sign in
+   * @returns {boolean} True unless disabled
+   */
+  isActive() {
+    return this.status !== 'disabled';
+  }
+
+  /**
+   * Check if the admin's role grants a permission
+   * @param {string} permission - Key of PERMISSIONS in config/adminRoles.js
+   * @returns {boolean} True if granted
+   */
+  hasPermission(permission) {
+    return this.isActive() && hasPermission(this.role, permission);
+  }
+
+  /**
+   * Check if the admin must enroll two-factor authentication before using the panel
+   * @returns {boolean} True if required and not enrolled
+   */
+  needsTwoFactorEnrollment() {
+    return Boolean(this.totp_required) && !this.totp_enabled;
+  }
+
   /**
    * Authenticate an admin by account_id and password
    * @param {string} account_id - Admin account ID
@@ -86,7 +209,7 @@ class Admin extends Model {
       }
 
       const isValid = await admin.checkPassword(password);
-      return isValid ? admin : null;
+      return isValid && admin.isActive() ? admin : null;
     } catch (error) {
       console.error('Admin authentication error:', error.message);
       return null;
@@ -95,7 +218,7 @@ class Admin extends Model {
 
   /**
    * Ensure default admin exists (dev setup)
-   * Creates admin/admin123 if no admins exist
+   * Creates admin/admin123 as a superadmin if no admins exist
    */
   static async ensureDefaultAdmin() {
     try {
@@ -106,7 +229,8 @@ class Admin extends Model {
         
         await Admin.create({
           account_id: 'admin',
-          password_hash: hashedPassword
+          password_hash: hashedPassword,
+          role: 'superadmin'
         });
         
         console.log('✓ Default admin created: admin / admin123');
@@ -125,6 +249,14 @@ class Admin extends Model {
     return {
       id: this.id,
       account_id: this.account_id,
+      role: this.role,
+      status: this.status,
+      permissions: this.isActive() ? getRolePermissions(this.role) : [],
+      two_factor: {
+        enabled: Boolean(this.totp_enabled),
+        required: Boolean(this.totp_required),
+        recovery_codes_left: (this.totp_recovery_codes || []).length
+      },
       created_at: this.created_at,
       updated_at: this.updated_at
     };
@@ -132,4 +264,6 @@ class Admin extends Model {
 }
 
 module.exports = Admin;
+module.exports.ADMIN_STATUSES = ADMIN_STATUSES;
+module.exports.PASSWORD_MIN_LENGTH = PASSWORD_MIN_LENGTH;
 
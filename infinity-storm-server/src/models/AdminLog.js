@@ -53,7 +53,11 @@ class AdminLog extends Model {
               'jackpot_reset', 'jackpot_award', 'system_maintenance',
               'database_backup', 'security_event', 'login_attempt',
               'data_export', 'configuration_change', 'spin_replay',
-              'transaction_review', 'player_verification'
+              'transaction_review', 'player_verification',
+              'case_assignment', 'case_note', 'case_resolution',
+              'credit_adjustment_request', 'credit_adjustment_approval',
+              'credit_adjustment_rejection', 'credit_adjustment_expiry',
+              'two_factor_change', 'two_factor_verification'
             ]],
             msg: 'Invalid action type'
           }
@@ -348,7 +352,16 @@ class AdminLog extends Model {
       'configuration_change': 'Configuration Change',
       'spin_replay': 'Spin Replay',
       'transaction_review': 'Transaction Review',
-      'player_verification': 'Player Verification'
+      'player_verification': 'Player Verification',
+      'case_assignment': 'Review Case Assignment',
+      'case_note': 'Review Case Note',
+      'case_resolution': 'Review Case Resolution',
+      'credit_adjustment_request': 'Credit Adjustment Request',
+      'credit_adjustment_approval': 'Credit Adjustment Approval',
+      'credit_adjustment_rejection': 'Credit Adjustment Rejection',
+      'credit_adjustment_expiry': 'Credit Adjustment Request Expiry',
+      'two_factor_change': 'Two-Factor Authentication Change',
+      'two_factor_verification': 'Two-Factor Code Verification'
     };
 
     return actionDescriptions[this.action_type] || this.action_type;
@@ -425,6 +438,10 @@ class AdminLog extends Model {
       'jackpot_award': 'high',
       'security_event': 'high',
       'configuration_change': 'high',
+      'case_resolution': 'high',
+      'credit_adjustment_request': 'high',
+      'credit_adjustment_approval': 'high',
+      'two_factor_change': 'high',
 
       // Medium severity actions
       'password_reset': 'medium',
@@ -433,11 +450,16 @@ class AdminLog extends Model {
       'transaction_review': 'medium',
       'player_verification': 'medium',
       'data_export': 'medium',
+      'case_assignment': 'medium',
+      'credit_adjustment_rejection': 'medium',
+      'credit_adjustment_expiry': 'medium',
+      'two_factor_verification': 'medium',
 
       // Low severity actions
       'balance_inquiry': 'low',
       'login_attempt': 'low',
-      'spin_replay': 'low'
+      'spin_replay': 'low',
+      'case_note': 'low'
     };
 
     return severityMap[actionType] || 'medium';
@@ -6,8 +6,10 @@
  *
  * Features:
  * - Credit balance management with positive balance constraints
+ * - Balance currency (EUR, BRL, JPY, ...) with per-currency bet ladders
+ * - Responsible gambling: reality checks, cool-off and self-exclusion
  * - Demo mode support for testing
- * - Admin privilege flags
+ * - Admin privilege flags and admin role (wallet admin endpoints)
  * - Account status tracking (active, suspended, banned)
  * - Audit trail with created/updated timestamps
  * - Secure password hashing hooks
@@ -16,6 +18,8 @@
 const { DataTypes, Model } = require('sequelize');
 const bcrypt = require('bcrypt');
 const { logger } = require('../utils/logger');
+const { CURRENCY_CODES, getDefaultCurrency, isSupportedCurrency } = require('../config/currencies');
+const { ADMIN_ROLES } = require('../config/adminRoles');
 
 class Player extends Model {
   /**
@@ -109,6 +113,20 @@ class Player extends Model {
         comment: 'Player credit balance for betting'
       },
 
+      currency: {
+        type: DataTypes.CHAR(3),
+        allowNull: false,
+        defaultValue: getDefaultCurrency(),
+        validate: {
+          isSupported(value) {
+            if (!isSupportedCurrency(value)) {
+              throw new Error(`Currency must be one of: ${CURRENCY_CODES.join(', ')}`);
+            }
+          }
+        },
+        comment: 'Currency of the player balance (see config/currencies.js)'
+      },
+
       is_demo: {
         type: DataTypes.BOOLEAN,
         allowNull: false,
@@ -123,12 +141,76 @@ class Player extends Model {
         comment: 'Flag indicating if player has admin privileges'
       },
 
+      admin_role: {
+        type: DataTypes.STRING(20),
+        allowNull: true,
+        validate: {
+          isIn: {
+            args: [ADMIN_ROLES],
+            msg: `Admin role must be one of ${ADMIN_ROLES.join(', ')}`
+          }
+        },
+        comment: 'Role of an admin player on the wallet admin endpoints (config/adminRoles.js)'
+      },
+
       last_login_at: {
         type: DataTypes.DATE,
         allowNull: true,
         comment: 'Timestamp of last successful login'
       },
 
+      rtp_profile: {
+        type: DataTypes.STRING(16),
+        allowNull: true,
+        validate: {
+          is: {
+            args: /^[a-z0-9][a-z0-9-]{0,15}$/,
+            msg: 'RTP profile must be a profile ID such as rtp-965'
+          }
+        },
+        comment: 'RTP profile assigned to the player; null uses the operator or server default'
+      },
+
+      reality_check_minutes: {
+        type: DataTypes.SMALLINT,
+        allowNull: true,
+        validate: {
+          min: { args: [5], msg: 'Reality check interval must be at least 5 minutes' },
+          max: { args: [240], msg: 'Reality check interval cannot exceed 240 minutes' }
+        },
+        comment: 'Interval of the in-game reality-check reminder; null disables it'
+      },
+
+      cool_off_until: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Play and deposits are blocked until this time (player-requested break)'
+      },
+
+      self_excluded_at: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'When the player self-excluded'
+      },
+
+      self_excluded_until: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Play and deposits are blocked until this time (self-exclusion)'
+      },
+
+      restricted_until: {
+        type: DataTypes.DATE,
+        allowNull: true,
+        comment: 'Feature purchases and bets above the minimum are refused until this time (review case or anti-cheat)'
+      },
+
+      restriction_reason: {
+        type: DataTypes.STRING(500),
+        allowNull: true,
+        comment: 'Why the player is restricted'
+      },
+
       status: {
         type: DataTypes.ENUM('active', 'suspended', 'banned'),
         allowNull: false,
@@ -365,9 +447,16 @@ class Player extends Model {
       username: this.username,
       email: this.email,
       credits: this.credits,
+      currency: this.currency,
       is_demo: this.is_demo,
       is_admin: this.is_admin,
+      admin_role: this.is_admin ? this.admin_role || null : null,
       status: this.status,
+      rtp_profile: this.rtp_profile || null,
+      reality_check_minutes: this.reality_check_minutes || null,
+      cool_off_until: this.cool_off_until || null,
+      self_excluded_until: this.self_excluded_until || null,
+      restricted_until: this.restricted_until || null,
       last_login_at: this.last_login_at,
       created_at: this.created_at,
       updated_at: this.updated_at
@@ -398,6 +487,24 @@ class Player extends Model {
     return this.is_demo === true;
   }
 
+  /**
+     * Check if player is on a cool-off break
+     * @param {Date} now - Reference time
+     * @returns {boolean} True until cool_off_until has passed
+     */
+  isInCoolOff(now = new Date()) {
+    return Boolean(this.cool_off_until) && new Date(this.cool_off_until) > now;
+  }
+
+  /**
+     * Check if player is self-excluded
+     * @param {Date} now - Reference time
+     * @returns {boolean} True until self_excluded_until has passed
+     */
+  isSelfExcluded(now = new Date()) {
+    return Boolean(this.self_excluded_until) && new Date(this.self_excluded_until) > now;
+  }
+
   /**
      * Suspend player account
      * @param {string} reason - Suspension reason
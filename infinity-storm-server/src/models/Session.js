@@ -103,6 +103,20 @@ class Session extends Model {
         allowNull: false,
         defaultValue: true,
         comment: 'Whether this session is currently active'
+      },
+
+      rtp_profile: {
+        type: DataTypes.STRING(16),
+        allowNull: false,
+        defaultValue: 'rtp-965',
+        comment: 'RTP profile selected when the session was created (see game/rtpProfiles.js)'
+      },
+
+      currency: {
+        type: DataTypes.CHAR(3),
+        allowNull: false,
+        defaultValue: 'USD',
+        comment: 'Currency of the player wallet when the session was created'
       }
     }, {
       sequelize,
@@ -354,6 +368,8 @@ class Session extends Model {
       last_activity: this.last_activity,
       expires_at: this.expires_at,
       is_active: this.is_active,
+      rtp_profile: this.rtp_profile,
+      currency: this.currency,
       created_at: this.created_at,
       session_duration_minutes: this.getSessionDuration(),
       time_remaining_minutes: this.getTimeRemaining(),
@@ -375,7 +391,9 @@ class Session extends Model {
     token,
     ip_address = null,
     user_agent = null,
-    expiryMinutes = 30
+    expiryMinutes = 30,
+    rtp_profile = undefined,
+    currency = undefined
   }) {
     const token_hash = Session.generateTokenHash(token);
     const expires_at = new Date(Date.now() + (expiryMinutes * 60 * 1000));
@@ -387,7 +405,9 @@ class Session extends Model {
       user_agent,
       expires_at,
       last_activity: new Date(),
-      is_active: true
+      is_active: true,
+      rtp_profile,
+      currency
     });
   }
 
@@ -177,6 +177,42 @@ class SpinResult extends Model {
           }
         },
         comment: 'Game mode when spin was performed'
+      },
+
+      fairness_seed_id: {
+        type: DataTypes.UUID,
+        allowNull: true,
+        comment: 'Provably fair seed pair that produced rng_seed (null for unseeded spins)'
+      },
+
+      fairness_nonce: {
+        type: DataTypes.BIGINT,
+        allowNull: true,
+        comment: 'Nonce within the seed pair used to derive rng_seed'
+      },
+
+      strip_version: {
+        type: DataTypes.STRING(16),
+        allowNull: true,
+        comment: 'Reel strip version used to generate the spin'
+      },
+
+      replay_context: {
+        type: DataTypes.JSONB,
+        allowNull: true,
+        comment: 'Engine state and stop positions needed for deterministic replay'
+      },
+
+      math_model_id: {
+        type: DataTypes.STRING(64),
+        allowNull: true,
+        comment: 'Math model (name@version) the spin was played under'
+      },
+
+      rtp_profile: {
+        type: DataTypes.STRING(16),
+        allowNull: true,
+        comment: 'RTP profile the spin was played under (see game/rtpProfiles.js)'
       }
     }, {
       sequelize,
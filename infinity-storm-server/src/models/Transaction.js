@@ -16,6 +16,7 @@
 
 const { DataTypes, Model } = require('sequelize');
 const { logger } = require('../utils/logger');
+const { getCurrencyConfig } = require('../config/currencies');
 
 class Transaction extends Model {
   /**
@@ -114,6 +115,13 @@ class Transaction extends Model {
         comment: 'Player balance after this transaction'
       },
 
+      currency: {
+        type: DataTypes.CHAR(3),
+        allowNull: false,
+        defaultValue: 'USD',
+        comment: 'Currency of the wallet moved (set from players.currency on insert)'
+      },
+
       reference_id: {
         type: DataTypes.UUID,
         allowNull: true,
@@ -445,13 +453,19 @@ class Transaction extends Model {
   }
 
   /**
-     * Get formatted amount string
+     * Get formatted amount string in the transaction's currency and locale
      * @returns {string} Formatted amount with + or - prefix
      */
   getFormattedAmount() {
     const amount = this.amount;
-    const prefix = amount >= 0 ? '+' : '';
-    return `${prefix}$${amount.toFixed(2)}`;
+    const { code, locale, minorUnits } = getCurrencyConfig(this.currency);
+    const formatted = new Intl.NumberFormat(locale, {
+      style: 'currency',
+      currency: code,
+      minimumFractionDigits: minorUnits,
+      maximumFractionDigits: minorUnits
+    }).format(amount);
+    return amount >= 0 ? `+${formatted}` : formatted;
   }
 
   /**
@@ -466,6 +480,7 @@ class Transaction extends Model {
       amount: this.amount,
       balance_before: this.balance_before,
       balance_after: this.balance_after,
+      currency: this.currency,
       reference_id: this.reference_id,
       reference_type: this.reference_type,
       description: this.description,
@@ -0,0 +1,87 @@
+/**
+ * accessibility.js - Accessibility Settings Routes
+ *
+ * Lets real-money players keep their accessibility options (reduced motion and
+ * flashing, symbol markers, screen-reader announcements) with their account.
+ * Demo players keep them in the browser only.
+ *
+ * Routes:
+ * - GET /api/accessibility - Options the player has set
+ * - PUT /api/accessibility - Change one or more options
+ */
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const accessibilitySettingsService = require('../services/accessibilitySettingsService');
+const { authenticate, requireActivePlayer, blockDemoMode } = require('../middleware/auth');
+const responseHelper = require('../utils/responseHelper');
+const { logger } = require('../utils/logger');
+
+const { ACCESSIBILITY_SETTINGS } = accessibilitySettingsService;
+
+const router = express.Router();
+
+const validateAndProceed = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return responseHelper.validationError(res, 'Request validation failed', errors.array());
+  }
+  next();
+};
+
+const handleServiceError = (res, error, message, playerId) => {
+  if (error.name === 'ValidationError') {
+    return responseHelper.validationError(res, error.message, error.details || []);
+  }
+  if (error.name === 'NotFoundError') {
+    return responseHelper.notFound(res, error.message);
+  }
+  logger.error(message, { error: error.message, playerId });
+  return responseHelper.serverError(res, message);
+};
+
+router.use(authenticate, requireActivePlayer, blockDemoMode);
+
+/**
+ * @route GET /api/accessibility
+ * @desc Accessibility options the player has set; others follow the client defaults
+ * @access Private (Player)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const result = await accessibilitySettingsService.getSettings(req.user.id);
+    responseHelper.success(res, 'Accessibility settings retrieved', result);
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to retrieve accessibility settings', req.user.id);
+  }
+});
+
+/**
+ * @route PUT /api/accessibility
+ * @desc Change accessibility options; options not sent keep their value
+ * @access Private (Player)
+ * @body {boolean} [reduceMotion] - No screen shake or swirling shader backgrounds
+ * @body {boolean} [reduceFlashing] - No flashes or strobing effects
+ * @body {boolean} [symbolMarkers] - Shape and letter markers on gem symbols
+ * @body {boolean} [announcements] - Screen-reader announcements of results
+ */
+router.put('/',
+  [
+    body(ACCESSIBILITY_SETTINGS)
+      .optional()
+      .isBoolean()
+      .withMessage('Accessibility settings must be booleans')
+      .toBoolean(true)
+  ],
+  validateAndProceed,
+  async (req, res) => {
+    try {
+      const result = await accessibilitySettingsService.updateSettings(req.user.id, req.body);
+      responseHelper.success(res, 'Accessibility settings updated', result);
+    } catch (error) {
+      handleServiceError(res, error, 'Failed to update accessibility settings', req.user.id);
+    }
+  }
+);
+
+module.exports = router;
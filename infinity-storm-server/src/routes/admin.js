@@ -6,7 +6,8 @@
  *
  * Features:
  * - Secure admin authentication and session management
- * - Role-based access control (ready for expansion)
+ * - Role-based access control: each route requires a permission (config/adminRoles.js)
+ * - TOTP two-factor sign-in, with a fresh code (step-up) for sensitive actions
  * - Comprehensive audit logging for all admin actions
  * - Simplified authentication with JWT tokens
  * - Rate limiting for security-sensitive endpoints
@@ -17,15 +18,25 @@ const express = require('express');
 const rateLimit = require('express-rate-limit');
 const { body, param, query, validationResult } = require('express-validator');
 const { logger } = require('../utils/logger');
-const { featureFlags } = require('../config/featureFlags');
+const { featureFlags, CATEGORY_FLAGS, PLAYER_SEGMENTS, ENVIRONMENTS } = require('../config/featureFlags');
+const featureFlagService = require('../services/featureFlagService');
 
 const adminController = require('../controllers/admin');
+const { RTP_PROFILE_IDS } = require('../game/rtpProfiles');
+const { JACKPOT_TIERS } = require('../game/jackpots');
+const { CURRENCY_CODES } = require('../config/currencies');
+const { CASE_FILTERS, RESOLUTIONS, PRIORITIES } = require('../services/reviewCaseService');
+const { REQUEST_STATUSES, REASON_CODES } = require('../services/creditApprovalService');
+const { ADMIN_ROLES } = require('../config/adminRoles');
+const { ADMIN_STATUSES, PASSWORD_MIN_LENGTH } = require('../models/Admin');
 const {
   authenticateAdmin,
   checkAdminSessionTimeout,
   logAdminActivity,
   completeAdminActivityLog,
-  requireAdminRole
+  requirePermission,
+  requireTwoFactorEnrollment,
+  requireStepUp
 } = require('../middleware/adminAuth');
 
 const router = express.Router();
@@ -63,6 +74,20 @@ const sensitiveRateLimit = rateLimit({
   }
 });
 
+// Rate limiting for two-factor codes (sign-in second step, enrollment, step-up)
+const twoFactorRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // 10 codes per window
+  message: {
+    error: 'Too many authentication codes',
+    code: 'TWO_FACTOR_RATE_LIMIT',
+    message: 'Please try again in 15 minutes'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: () => process.env.NODE_ENV !== 'production'
+});
+
 // Validation middleware
 const validateErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -109,6 +134,19 @@ router.post('/login',
   adminController.processLogin
 );
 
+// Second sign-in step for admins with two-factor authentication
+const twoFactorCodeBody = (field = 'code') => body(field)
+  .trim()
+  .matches(/^(\d{6}|[0-9a-fA-F]{4}-?[0-9a-fA-F]{4})$/)
+  .withMessage('Enter the 6-digit code from your authenticator app or a recovery code');
+
+router.post('/login/2fa',
+  twoFactorRateLimit,
+  [twoFactorCodeBody()],
+  validateErrors,
+  adminController.processTwoFactorLogin
+);
+
 // Test Dashboard (no auth required) - dev/test only
 if (process.env.NODE_ENV !== 'production') {
   router.get('/test-dashboard', async (req, res) => {
@@ -143,6 +181,50 @@ router.use(completeAdminActivityLog);
 router.post('/logout', adminController.logout);
 router.get('/logout', adminController.logout);
 
+/**
+ * Two-Factor Routes (reachable before enrollment)
+ */
+
+router.get('/2fa', adminController.twoFactorPage);
+
+router.post('/2fa/setup',
+  sensitiveRateLimit,
+  adminController.startTwoFactorEnrollment
+);
+
+router.post('/2fa/confirm',
+  twoFactorRateLimit,
+  [twoFactorCodeBody()],
+  validateErrors,
+  adminController.confirmTwoFactorEnrollment
+);
+
+router.post('/2fa/recovery-codes',
+  twoFactorRateLimit,
+  [twoFactorCodeBody()],
+  validateErrors,
+  adminController.regenerateRecoveryCodes
+);
+
+router.post('/2fa/disable',
+  twoFactorRateLimit,
+  [twoFactorCodeBody()],
+  validateErrors,
+  adminController.disableTwoFactor
+);
+
+// Unlock sensitive actions for STEP_UP_TTL_MINUTES (a code, or the password of admins without 2FA)
+router.post('/2fa/step-up',
+  twoFactorRateLimit,
+  [twoFactorCodeBody('totp_code').optional()],
+  validateErrors,
+  requireStepUp,
+  adminController.confirmStepUp
+);
+
+// Admins required to use 2FA cannot go further until they enroll
+router.use(requireTwoFactorEnrollment);
+
 // Admin Dashboard
 router.get('/', adminController.dashboard);
 router.get('/dashboard', adminController.dashboard);
@@ -161,6 +243,7 @@ router.get('/players',
     query('search').optional().trim().isLength({ min: 1, max: 100 }).withMessage('Invalid search term')
   ],
   validateErrors,
+  requirePermission('players.view'),
   adminController.listPlayers
 );
 
@@ -170,6 +253,7 @@ router.get('/players/:id',
     param('id').isUUID().withMessage('Invalid player ID')
   ],
   validateErrors,
+  requirePermission('players.view'),
   logAdminActivity('balance_inquiry'),
   adminController.viewPlayer
 );
@@ -186,7 +270,7 @@ router.post('/players/:id/suspend',
       .withMessage('Reason must be between 1 and 500 characters')
   ],
   validateErrors,
-  requireAdminRole('admin'),
+  requirePermission('players.manage'),
   logAdminActivity('account_suspension'),
   adminController.suspendPlayer
 );
@@ -198,7 +282,7 @@ router.post('/players/:id/activate',
     param('id').isUUID().withMessage('Invalid player ID')
   ],
   validateErrors,
-  requireAdminRole('admin'),
+  requirePermission('players.manage'),
   logAdminActivity('account_activation'),
   adminController.activatePlayer
 );
@@ -214,6 +298,9 @@ router.post('/players/:id/credits',
     body('type')
       .isIn(['add', 'subtract', 'set'])
       .withMessage('Type must be add, subtract, or set'),
+    body('reason_code')
+      .isIn(REASON_CODES)
+      .withMessage(`Reason code must be one of ${REASON_CODES.join(', ')}`),
     body('reason')
       .optional()
       .trim()
@@ -221,7 +308,8 @@ router.post('/players/:id/credits',
       .withMessage('Reason must be between 1 and 500 characters')
   ],
   validateErrors,
-  requireAdminRole('admin'),
+  requirePermission('credits.adjust'),
+  requireStepUp,
   logAdminActivity('credit_adjustment'),
   adminController.adjustCredits
 );
@@ -237,11 +325,33 @@ router.post('/players/:id/ban',
       .withMessage('Reason must be between 3 and 1000 characters')
   ],
   validateErrors,
-  requireAdminRole('admin'),
+  requirePermission('players.ban'),
+  requireStepUp,
   logAdminActivity('account_ban'),
   adminController.banPlayer
 );
 
+// Assign RTP Profile to Player (empty rtp_profile restores the operator/default profile)
+router.post('/players/:id/rtp-profile',
+  sensitiveRateLimit,
+  [
+    param('id').isUUID().withMessage('Invalid player ID'),
+    body('rtp_profile')
+      .optional({ values: 'falsy' })
+      .isIn(RTP_PROFILE_IDS)
+      .withMessage(`RTP profile must be one of ${RTP_PROFILE_IDS.join(', ')}`),
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 500 })
+      .withMessage('Reason must be between 1 and 500 characters')
+  ],
+  validateErrors,
+  requirePermission('players.rtp_profile'),
+  logAdminActivity('configuration_change'),
+  adminController.setPlayerRtpProfile
+);
+
 // Send Notification to Player
 router.post('/players/:id/notify',
   sensitiveRateLimit,
@@ -264,7 +374,7 @@ router.post('/players/:id/notify',
       .withMessage('Urgent must be a boolean')
   ],
   validateErrors,
-  requireAdminRole('admin'),
+  requirePermission('players.manage'),
   logAdminActivity('player_notification'),
   adminController.sendNotification
 );
@@ -277,6 +387,7 @@ router.get('/players/:id/transactions',
     query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Invalid limit')
   ],
   validateErrors,
+  requirePermission('players.view'),
   logAdminActivity('transaction_history_inquiry'),
   adminController.getPlayerTransactions
 );
@@ -289,6 +400,7 @@ router.get('/players/:id/game-history',
     query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Invalid limit')
   ],
   validateErrors,
+  requirePermission('players.view'),
   logAdminActivity('game_history_inquiry'),
   adminController.getPlayerGameHistory
 );
@@ -299,7 +411,7 @@ router.get('/players/:id/transactions/export',
     param('id').isUUID().withMessage('Invalid player ID')
   ],
   validateErrors,
-  requireAdminRole('admin'),
+  requirePermission('players.export'),
   logAdminActivity('transaction_export'),
   adminController.exportPlayerTransactions
 );
@@ -310,7 +422,7 @@ router.get('/players/:id/game-history/export',
     param('id').isUUID().withMessage('Invalid player ID')
   ],
   validateErrors,
-  requireAdminRole('admin'),
+  requirePermission('players.export'),
   logAdminActivity('game_history_export'),
   adminController.exportPlayerGameHistory
 );
@@ -319,6 +431,448 @@ router.get('/players/:id/game-history/export',
  * Audit and Monitoring Routes
  */
 
+// Replay a stored spin and diff it against the persisted result (dispute resolution)
+router.get('/api/spins/:spinId/replay',
+  [
+    param('spinId').isUUID().withMessage('Invalid spin ID')
+  ],
+  validateErrors,
+  requirePermission('spins.replay'),
+  logAdminActivity('spin_replay'),
+  adminController.replaySpin
+);
+
+/**
+ * Anomaly Scoring Routes
+ */
+
+// A player's risk score history with the evidence behind each score
+router.get('/api/players/:id/risk-scores',
+  [
+    param('id').isUUID().withMessage('Invalid player ID'),
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200')
+  ],
+  validateErrors,
+  requirePermission('cases.view'),
+  logAdminActivity('transaction_review'),
+  adminController.getPlayerRiskScores
+);
+
+// Score a player now instead of waiting for the next run
+router.post('/api/players/:id/risk-scores',
+  sensitiveRateLimit,
+  [
+    param('id').isUUID().withMessage('Invalid player ID')
+  ],
+  validateErrors,
+  requirePermission('cases.work'),
+  logAdminActivity('transaction_review'),
+  adminController.rescorePlayer
+);
+
+/**
+ * Review Case Routes
+ */
+
+const caseIdParam = param('id').isUUID().withMessage('Invalid case ID');
+const caseListQuery = [
+  query('status').optional().isIn(CASE_FILTERS).withMessage(`Status must be one of ${CASE_FILTERS.join(', ')}`),
+  query('priority').optional({ values: 'falsy' }).isIn(PRIORITIES).withMessage(`Priority must be one of ${PRIORITIES.join(', ')}`)
+];
+
+// Case queue (anomaly scoring and anti-cheat flags), highest priority and score first
+router.get('/cases',
+  [
+    ...caseListQuery,
+    query('mine').optional().isBoolean().withMessage('Invalid mine flag')
+  ],
+  validateErrors,
+  requirePermission('cases.view'),
+  logAdminActivity('transaction_review'),
+  adminController.listCases
+);
+
+// Case with its evidence, assignee and notes
+router.get('/cases/:id',
+  [caseIdParam],
+  validateErrors,
+  requirePermission('cases.view'),
+  logAdminActivity('transaction_review'),
+  adminController.viewCase
+);
+
+// Assign a case (to the requesting admin unless assignee_id is given; empty unassigns)
+router.post('/cases/:id/assign',
+  [
+    caseIdParam,
+    body('assignee_id').optional({ values: 'falsy' }).isUUID().withMessage('Invalid assignee ID')
+  ],
+  validateErrors,
+  requirePermission('cases.work'),
+  logAdminActivity('case_assignment'),
+  adminController.assignCase
+);
+
+// Add a note to a case
+router.post('/cases/:id/notes',
+  [
+    caseIdParam,
+    body('note')
+      .trim()
+      .isLength({ min: 1, max: 2000 })
+      .withMessage('Note must be between 1 and 2000 characters')
+  ],
+  validateErrors,
+  requirePermission('cases.work'),
+  logAdminActivity('case_note'),
+  adminController.addCaseNote
+);
+
+// Suspending or banning through a case changes the player's status, so it needs the
+// same step-up as the player ban route
+const requireStepUpForStatusChange = (req, res, next) => (
+  ['suspend', 'ban'].includes(req.body.resolution) ? requireStepUp(req, res, next) : next()
+);
+
+// Resolve a case: clear, restrict, suspend or ban the player
+router.post('/cases/:id/resolve',
+  sensitiveRateLimit,
+  [
+    caseIdParam,
+    body('resolution').isIn(RESOLUTIONS).withMessage(`Resolution must be one of ${RESOLUTIONS.join(', ')}`),
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Reason must be at most 1000 characters'),
+    body('note')
+      .optional()
+      .trim()
+      .isLength({ max: 2000 })
+      .withMessage('Note must be at most 2000 characters'),
+    body('restrict_days').optional({ values: 'falsy' }).isInt({ min: 1, max: 365 }).withMessage('Restriction must be between 1 and 365 days')
+  ],
+  validateErrors,
+  requirePermission('cases.resolve'),
+  requireStepUpForStatusChange,
+  logAdminActivity('case_resolution'),
+  adminController.resolveCase
+);
+
+// Case queue as JSON
+router.get('/api/review-queue',
+  [
+    ...caseListQuery,
+    query('assigned_to').optional().isUUID().withMessage('Invalid assignee ID'),
+    query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500')
+  ],
+  validateErrors,
+  requirePermission('cases.view'),
+  logAdminActivity('transaction_review'),
+  adminController.listReviewQueue
+);
+
+// Case with its evidence as JSON
+router.get('/api/cases/:id',
+  [caseIdParam],
+  validateErrors,
+  requirePermission('cases.view'),
+  logAdminActivity('transaction_review'),
+  adminController.getReviewCase
+);
+
+/**
+ * Credit Approval Routes
+ */
+
+const approvalIdParam = param('id').isUUID().withMessage('Invalid request ID');
+
+// Adjustment requests above the approval threshold (pending by default; empty status lists all)
+router.get('/approvals',
+  [
+    query('status').optional({ values: 'falsy' }).isIn(REQUEST_STATUSES).withMessage(`Status must be one of ${REQUEST_STATUSES.join(', ')}`)
+  ],
+  validateErrors,
+  requirePermission('credits.approve'),
+  logAdminActivity('transaction_review'),
+  adminController.listCreditApprovals
+);
+
+// Adjustment requests as JSON
+router.get('/api/credit-approvals',
+  [
+    query('status').optional().isIn(REQUEST_STATUSES).withMessage(`Status must be one of ${REQUEST_STATUSES.join(', ')}`),
+    query('player_id').optional().isUUID().withMessage('Invalid player ID'),
+    query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500')
+  ],
+  validateErrors,
+  requirePermission('credits.approve'),
+  logAdminActivity('transaction_review'),
+  adminController.getCreditApprovals
+);
+
+// Approve a request and apply the adjustment (not by the admin who requested it)
+router.post('/approvals/:id/approve',
+  sensitiveRateLimit,
+  [
+    approvalIdParam,
+    body('note')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Note must be at most 1000 characters')
+  ],
+  validateErrors,
+  requirePermission('credits.approve'),
+  requireStepUp,
+  logAdminActivity('credit_adjustment_approval'),
+  adminController.approveCreditAdjustment
+);
+
+// Reject a request
+router.post('/approvals/:id/reject',
+  sensitiveRateLimit,
+  [
+    approvalIdParam,
+    body('note')
+      .trim()
+      .isLength({ min: 3, max: 1000 })
+      .withMessage('Reason must be between 3 and 1000 characters')
+  ],
+  validateErrors,
+  requirePermission('credits.approve'),
+  logAdminActivity('credit_adjustment_rejection'),
+  adminController.rejectCreditAdjustment
+);
+
+/**
+ * Admin User Routes
+ */
+
+const adminPasswordBody = body('password')
+  .isLength({ min: PASSWORD_MIN_LENGTH, max: 128 })
+  .withMessage(`Password must be between ${PASSWORD_MIN_LENGTH} and 128 characters`);
+const adminRoleBody = () => body('role').isIn(ADMIN_ROLES).withMessage(`Role must be one of ${ADMIN_ROLES.join(', ')}`);
+
+// Admin accounts and admin players with their roles
+router.get('/users',
+  requirePermission('admins.manage'),
+  logAdminActivity('admin_users_inquiry'),
+  adminController.listAdminUsers
+);
+
+// Create an admin account
+router.post('/users',
+  sensitiveRateLimit,
+  [
+    body('account_id')
+      .trim()
+      .matches(/^[a-zA-Z0-9._-]{3,50}$/)
+      .withMessage('Account ID must be 3-50 letters, digits, dots, dashes or underscores'),
+    adminPasswordBody,
+    adminRoleBody()
+  ],
+  validateErrors,
+  requirePermission('admins.manage'),
+  requireStepUp,
+  logAdminActivity('permission_change'),
+  adminController.createAdminUser
+);
+
+// Change an admin account's role or status
+router.post('/users/:id',
+  sensitiveRateLimit,
+  [
+    param('id').isUUID().withMessage('Invalid admin ID'),
+    adminRoleBody().optional(),
+    body('status').optional().isIn(ADMIN_STATUSES).withMessage(`Status must be one of ${ADMIN_STATUSES.join(', ')}`)
+  ],
+  validateErrors,
+  requirePermission('admins.manage'),
+  requireStepUp,
+  logAdminActivity('permission_change'),
+  adminController.updateAdminUser
+);
+
+// Set a new password for an admin account
+router.post('/users/:id/password',
+  sensitiveRateLimit,
+  [
+    param('id').isUUID().withMessage('Invalid admin ID'),
+    adminPasswordBody
+  ],
+  validateErrors,
+  requirePermission('admins.manage'),
+  requireStepUp,
+  logAdminActivity('password_reset'),
+  adminController.resetAdminPassword
+);
+
+// Set the role of an admin player on the wallet admin endpoints (empty revokes it)
+router.post('/users/players/:id',
+  sensitiveRateLimit,
+  [
+    param('id').isUUID().withMessage('Invalid player ID'),
+    body('admin_role')
+      .optional({ values: 'falsy' })
+      .isIn(ADMIN_ROLES)
+      .withMessage(`Role must be one of ${ADMIN_ROLES.join(', ')}`)
+  ],
+  validateErrors,
+  requirePermission('admins.manage'),
+  requireStepUp,
+  logAdminActivity('permission_change'),
+  adminController.setPlayerAdminRole
+);
+
+// Require (or stop requiring) two-factor authentication for an admin account
+router.post('/users/:id/2fa',
+  sensitiveRateLimit,
+  [
+    param('id').isUUID().withMessage('Invalid admin ID'),
+    body('required').isBoolean().withMessage('Required must be true or false')
+  ],
+  validateErrors,
+  requirePermission('admins.manage'),
+  requireStepUp,
+  logAdminActivity('two_factor_change'),
+  adminController.setAdminTwoFactorRequired
+);
+
+// Remove an admin's two-factor enrollment (lost device)
+router.post('/users/:id/2fa/reset',
+  sensitiveRateLimit,
+  [param('id').isUUID().withMessage('Invalid admin ID')],
+  validateErrors,
+  requirePermission('admins.manage'),
+  requireStepUp,
+  logAdminActivity('two_factor_change'),
+  adminController.resetAdminTwoFactor
+);
+
+/**
+ * Math Model Registry Routes
+ */
+
+const mathModelIdParam = param('modelId')
+  .matches(/^[a-z0-9][a-z0-9_-]{0,47}@\d+\.\d+\.\d+$/)
+  .withMessage('Invalid math model ID (expected name@major.minor.patch)');
+
+// List registered math models and the active model of each RTP profile
+router.get('/api/math-models',
+  requirePermission('math_models.view'),
+  logAdminActivity('math_model_inquiry'),
+  adminController.listMathModels
+);
+
+// Roll back an RTP profile to its previously active math model
+router.post('/api/math-models/rollback',
+  sensitiveRateLimit,
+  [
+    body('rtp_profile')
+      .optional()
+      .isIn(RTP_PROFILE_IDS)
+      .withMessage(`RTP profile must be one of ${RTP_PROFILE_IDS.join(', ')}`),
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 500 })
+      .withMessage('Reason must be between 1 and 500 characters')
+  ],
+  validateErrors,
+  requirePermission('math_models.manage'),
+  requireStepUp,
+  logAdminActivity('configuration_change'),
+  adminController.rollbackMathModel
+);
+
+// Math model artifact
+router.get('/api/math-models/:modelId',
+  [mathModelIdParam],
+  validateErrors,
+  requirePermission('math_models.view'),
+  logAdminActivity('math_model_inquiry'),
+  adminController.getMathModel
+);
+
+// Stage a math model artifact (validated and checksummed, not yet live)
+router.post('/api/math-models',
+  sensitiveRateLimit,
+  [
+    body('artifact')
+      .isObject()
+      .withMessage('Artifact must be an object'),
+    body('notes')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Notes must be at most 1000 characters')
+  ],
+  validateErrors,
+  requirePermission('math_models.manage'),
+  logAdminActivity('configuration_change'),
+  adminController.stageMathModel
+);
+
+// Activate a staged or retired math model
+router.post('/api/math-models/:modelId/activate',
+  sensitiveRateLimit,
+  [mathModelIdParam],
+  validateErrors,
+  requirePermission('math_models.manage'),
+  requireStepUp,
+  logAdminActivity('configuration_change'),
+  adminController.activateMathModel
+);
+
+/**
+ * Progressive Jackpot Routes
+ */
+
+// Tier settings, current values, recent awards and pending award count
+router.get('/api/jackpots',
+  [
+    query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500')
+  ],
+  validateErrors,
+  requirePermission('jackpots.view'),
+  logAdminActivity('jackpot_inquiry'),
+  adminController.listJackpots
+);
+
+// Retry crediting awards whose settlement failed
+router.post('/api/jackpots/awards/settle',
+  sensitiveRateLimit,
+  requirePermission('jackpots.manage'),
+  logAdminActivity('jackpot_award'),
+  adminController.settlePendingJackpots
+);
+
+// Change a tier's contribution rate, seed value, must-hit-by threshold or status
+router.put('/api/jackpots/:tier',
+  sensitiveRateLimit,
+  [
+    param('tier').isIn(JACKPOT_TIERS).withMessage(`Tier must be one of ${JACKPOT_TIERS.join(', ')}`),
+    body('seed_value').optional().isFloat({ min: 0 }).withMessage('Seed value must be a non-negative number'),
+    body('must_hit_by').optional().isFloat({ gt: 0 }).withMessage('Must-hit-by must be a positive number'),
+    body('contribution_rate')
+      .optional()
+      .isFloat({ min: 0, max: 0.05 })
+      .withMessage('Contribution rate must be between 0 and 0.05'),
+    body('is_active').optional().isBoolean().withMessage('is_active must be a boolean').toBoolean(),
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 500 })
+      .withMessage('Reason must be between 1 and 500 characters')
+  ],
+  validateErrors,
+  requirePermission('jackpots.manage'),
+  requireStepUp,
+  logAdminActivity('configuration_change'),
+  adminController.updateJackpotTier
+);
+
 // View Audit Logs
 router.get('/audit/logs',
   [
@@ -331,6 +885,7 @@ router.get('/audit/logs',
     query('days').optional().isInt({ min: 1, max: 365 }).withMessage('Invalid days value')
   ],
   validateErrors,
+  requirePermission('audit.view'),
   adminController.viewAuditLogs
 );
 
@@ -341,15 +896,18 @@ router.get('/audit/logs',
 // Comprehensive Dashboard Metrics API
 router.get('/api/metrics',
   [
-    query('timeframe').optional().isIn(['1h', '24h', '7d', '30d']).withMessage('Invalid timeframe')
+    query('timeframe').optional().isIn(['1h', '24h', '7d', '30d']).withMessage('Invalid timeframe'),
+    query('currency').optional().isIn(CURRENCY_CODES).withMessage('Invalid currency')
   ],
   validateErrors,
+  requirePermission('metrics.view'),
   logAdminActivity('metrics_access'),
   adminController.getMetrics
 );
 
 // Real-time Metrics API
 router.get('/api/realtime-metrics',
+  requirePermission('metrics.view'),
   logAdminActivity('realtime_metrics_access'),
   adminController.getRealtimeMetrics
 );
@@ -357,9 +915,11 @@ router.get('/api/realtime-metrics',
 // RTP Monitoring API
 router.get('/api/rtp-metrics',
   [
-    query('timeframe').optional().isIn(['1h', '24h', '7d', '30d']).withMessage('Invalid timeframe')
+    query('timeframe').optional().isIn(['1h', '24h', '7d', '30d']).withMessage('Invalid timeframe'),
+    query('currency').optional().isIn(CURRENCY_CODES).withMessage('Invalid currency')
   ],
   validateErrors,
+  requirePermission('metrics.view'),
   logAdminActivity('rtp_metrics_access'),
   adminController.getRTPMetrics
 );
@@ -375,7 +935,7 @@ router.get('/api/compliance-report',
     query('timeframe').optional().isIn(['24h', '7d', '30d', '90d']).withMessage('Invalid timeframe')
   ],
   validateErrors,
-  requireAdminRole('admin'),
+  requirePermission('reports.compliance'),
   logAdminActivity('compliance_report_generation'),
   adminController.generateComplianceReport
 );
@@ -490,28 +1050,33 @@ router.use((err, req, res, next) => {
 
 /**
  * GET /admin/api/feature-flags
- * Get all feature flags and their current states
+ * Get all feature flag rules, the segments and environments they can target,
+ * and the latest changes
  */
 router.get('/api/feature-flags',
   authenticateAdmin,
   checkAdminSessionTimeout,
-  logAdminActivity,
+  requirePermission('feature_flags.view'),
+  logAdminActivity('configuration_change'),
   async (req, res) => {
     try {
       const flags = featureFlags.getAllFlags();
-      const history = featureFlags.getHistory();
+      const history = await featureFlagService.getHistory({ limit: 20 });
 
       res.json({
         success: true,
         data: {
           flags,
-          history: history.slice(-20), // Last 20 changes
+          segments: PLAYER_SEGMENTS,
+          environments: ENVIRONMENTS,
+          environment: featureFlags.environment,
+          history, // Last 20 changes, newest first
           timestamp: new Date().toISOString()
         }
       });
     } catch (error) {
       logger.error('Feature flags retrieval error', {
-        admin: req.admin?.username,
+        admin: req.admin?.account_id,
         error: error.message
       });
       res.status(500).json({
@@ -522,15 +1087,29 @@ router.get('/api/feature-flags',
   }
 );
 
+/**
+ * Status for a feature flag service error
+ * @param {Error} error
+ * @returns {number}
+ */
+const featureFlagErrorStatus = (error) => {
+  if (error.name === 'NotFoundError') {
+    return 404;
+  }
+  return error.name === 'ValidationError' ? 400 : 500;
+};
+
 /**
  * POST /admin/api/feature-flags/:flagName
- * Toggle a feature flag
+ * Change a feature flag: on/off, rollout percentage, segments and environments
  */
 router.post('/api/feature-flags/:flagName',
   authenticateAdmin,
   checkAdminSessionTimeout,
   sensitiveRateLimit,
-  logAdminActivity,
+  requirePermission('feature_flags.manage'),
+  requireStepUp,
+  logAdminActivity('configuration_change'),
   [
     param('flagName')
       .isString()
@@ -539,7 +1118,21 @@ router.post('/api/feature-flags/:flagName',
       .withMessage('Flag name is required'),
     body('enabled')
       .isBoolean()
-      .withMessage('Enabled must be a boolean'),
+      .withMessage('Enabled must be a boolean')
+      .toBoolean(true),
+    body('rollout_percent')
+      .optional()
+      .isInt({ min: 0, max: 100 })
+      .withMessage('Rollout percent must be an integer from 0 to 100')
+      .toInt(),
+    body('segments')
+      .optional()
+      .isArray({ max: 20 })
+      .withMessage('Segments must be an array'),
+    body('environments')
+      .optional()
+      .isArray({ max: ENVIRONMENTS.length })
+      .withMessage('Environments must be an array'),
     body('reason')
       .optional()
       .isString()
@@ -551,39 +1144,91 @@ router.post('/api/feature-flags/:flagName',
   async (req, res) => {
     try {
       const { flagName } = req.params;
-      const { enabled, reason } = req.body;
-      const adminUsername = req.admin?.username || 'unknown';
+      const { enabled, rollout_percent: rolloutPercent, segments, environments, reason } = req.body;
+      const adminUsername = req.admin?.account_id || 'unknown';
 
-      featureFlags.setFlag(
+      const { rule } = await featureFlagService.setFlag(
         flagName,
-        enabled,
-        `${reason || 'Manual toggle'} by ${adminUsername}`
+        { enabled, rolloutPercent, segments, environments },
+        { adminId: req.admin?.id, adminName: adminUsername, reason: reason || 'Manual toggle' }
       );
 
-      logger.info('Feature flag toggled', {
-        admin: adminUsername,
-        flag: flagName,
-        enabled,
-        reason
+      res.json({
+        success: true,
+        data: {
+          flag: flagName,
+          enabled: rule.enabled,
+          rule,
+          message: `Feature flag ${flagName} ${rule.enabled ? 'enabled' : 'disabled'}`
+        }
+      });
+    } catch (error) {
+      logger.error('Feature flag toggle error', {
+        admin: req.admin?.account_id,
+        flag: req.params.flagName,
+        error: error.message
+      });
+      const status = featureFlagErrorStatus(error);
+      res.status(status).json({
+        success: false,
+        error: status < 500 ? error.message : 'Failed to toggle feature flag'
+      });
+    }
+  }
+);
+
+/**
+ * POST /admin/api/feature-flags/:flagName/reset
+ * Drop an admin change so the flag uses its default again
+ */
+router.post('/api/feature-flags/:flagName/reset',
+  authenticateAdmin,
+  checkAdminSessionTimeout,
+  sensitiveRateLimit,
+  requirePermission('feature_flags.manage'),
+  requireStepUp,
+  logAdminActivity('configuration_change'),
+  [
+    param('flagName')
+      .isString()
+      .trim()
+      .notEmpty()
+      .withMessage('Flag name is required'),
+    body('reason')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Reason must be a string (max 200 chars)')
+  ],
+  validateErrors,
+  async (req, res) => {
+    try {
+      const { flagName } = req.params;
+      const { rule } = await featureFlagService.resetFlag(flagName, {
+        adminId: req.admin?.id,
+        adminName: req.admin?.account_id || 'unknown',
+        reason: req.body.reason
       });
 
       res.json({
         success: true,
         data: {
           flag: flagName,
-          enabled,
-          message: `Feature flag ${flagName} ${enabled ? 'enabled' : 'disabled'}`
+          rule,
+          message: `Feature flag ${flagName} reset to its default`
         }
       });
     } catch (error) {
-      logger.error('Feature flag toggle error', {
-        admin: req.admin?.username,
+      logger.error('Feature flag reset error', {
+        admin: req.admin?.account_id,
         flag: req.params.flagName,
         error: error.message
       });
-      res.status(500).json({
+      const status = featureFlagErrorStatus(error);
+      res.status(status).json({
         success: false,
-        error: error.message || 'Failed to toggle feature flag'
+        error: status < 500 ? error.message : 'Failed to reset feature flag'
       });
     }
   }
@@ -597,16 +1242,19 @@ router.post('/api/feature-flags/category/:category',
   authenticateAdmin,
   checkAdminSessionTimeout,
   sensitiveRateLimit,
-  logAdminActivity,
+  requirePermission('feature_flags.manage'),
+  requireStepUp,
+  logAdminActivity('configuration_change'),
   [
     param('category')
       .isString()
       .trim()
-      .isIn(['debug', 'security', 'performance', 'sync'])
+      .isIn(Object.keys(CATEGORY_FLAGS))
       .withMessage('Invalid category'),
     body('enabled')
       .isBoolean()
-      .withMessage('Enabled must be a boolean'),
+      .withMessage('Enabled must be a boolean')
+      .toBoolean(true),
     body('reason')
       .optional()
       .isString()
@@ -619,9 +1267,13 @@ router.post('/api/feature-flags/category/:category',
     try {
       const { category } = req.params;
       const { enabled, reason } = req.body;
-      const adminUsername = req.admin?.username || 'unknown';
+      const adminUsername = req.admin?.account_id || 'unknown';
 
-      featureFlags.setCategoryFlags(category, enabled);
+      await featureFlagService.setCategoryFlags(category, enabled, {
+        adminId: req.admin?.id,
+        adminName: adminUsername,
+        reason
+      });
 
       logger.info('Feature flag category toggled', {
         admin: adminUsername,
@@ -640,7 +1292,7 @@ router.post('/api/feature-flags/category/:category',
       });
     } catch (error) {
       logger.error('Feature flag category toggle error', {
-        admin: req.admin?.username,
+        admin: req.admin?.account_id,
         category: req.params.category,
         error: error.message
       });
@@ -652,4 +1304,4 @@ router.post('/api/feature-flags/category/:category',
   }
 );
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -10,6 +10,12 @@
  * - PUT /api/game-state - Update game state
  * - GET /api/player-stats - Get player statistics
  * - GET /api/game-status - Get game system status
+ * - GET /api/spin-history/:spinId - One spin with its cascade steps, for the history replay viewer
+ * - GET /api/jackpots - Current progressive jackpot values
+ * - GET /api/feature-flags - Game client feature flags for the player
+ * - GET /api/game-rules - Rules and paytable of the math model the player is on
+ * - GET/POST/DELETE /api/admin/emergency-stop - Halt or resume play (admin)
+ * - GET /api/admin/rtp-monitor - RTP drift control bands (admin)
  *
  * Features:
  * - Complete request validation
@@ -23,6 +29,17 @@ const express = require('express');
 const { body, param, query, validationResult } = require('express-validator');
 const GameController = require('../controllers/game');
 const financialLogger = require('../services/financialTransactionLogger');
+const jackpotService = require('../services/jackpotService');
+const { getWalletProvider } = require('../services/walletProvider');
+const serverMetrics = require('../services/serverMetrics');
+const mathModelService = require('../services/mathModelService');
+const rtpMonitor = require('../services/rtpMonitor');
+const emergencyStopService = require('../services/emergencyStopService');
+const featureFlagService = require('../services/featureFlagService');
+const { buildGameRules } = require('../game/gameRules');
+const { buildSpinDetail } = require('../game/spinDetail');
+const { DEFAULT_RTP_PROFILE, isRtpProfile } = require('../game/rtpProfiles');
+const { resolveCurrency } = require('../config/currencies');
 const {
   authenticate,
   optionalAuth,
@@ -321,7 +338,7 @@ const demoAuthBypass = async (req, res, next) => {
  * POST /api/spin
  * Process a spin request
  * Requires: Active player authentication
- * Body: { betAmount, quickSpinMode?, freeSpinsActive?, accumulatedMultiplier?, bonusMode? }
+ * Body: { betAmount, quickSpinMode?, freeSpinsActive?, accumulatedMultiplier?, bonusMode?, autoplaySessionId? }
  */
 router.post('/spin',
   demoAuthBypass,
@@ -330,11 +347,12 @@ router.post('/spin',
   checkSessionRefresh,
   gameValidation.validateSpinRequest,
   [
+    // Range and step depend on the currency; gameValidation checks the bet ladder
     body('betAmount')
       .isNumeric()
       .withMessage('Bet amount must be a number')
-      .isFloat({ min: 0.01, max: 1000 })
-      .withMessage('Bet amount must be between 0.01 and 1000')
+      .isFloat({ gt: 0 })
+      .withMessage('Bet amount must be a positive number')
       .toFloat(),
     body('quickSpinMode')
       .optional()
@@ -357,7 +375,11 @@ router.post('/spin',
       .optional()
       .isBoolean()
       .withMessage('Bonus mode must be a boolean')
-      .toBoolean()
+      .toBoolean(),
+    body('autoplaySessionId')
+      .optional({ values: 'null' })
+      .isUUID()
+      .withMessage('Autoplay session ID must be a valid UUID')
   ],
   validateAndProceed,
   GameController.processSpin.bind(GameController)
@@ -489,6 +511,7 @@ router.post('/buy-feature',
       const playerId = req.user.id;
       const skipRedis = (process.env.SKIP_REDIS ?? 'false').toLowerCase() === 'true';
       const isDemo = req.user.is_demo || playerId === 'demo-player';
+      const currency = resolveCurrency(req.session_info?.currency, req.user?.currency);
 
       // Only support free_spins for now
       if (featureType !== 'free_spins') {
@@ -506,6 +529,10 @@ router.post('/buy-feature',
 
       let playerBalance;
       let newBalance;
+      // Seamless wallets charge the purchase at the operator; rolled back if free spins cannot start
+      const walletProvider = getWalletProvider();
+      const purchaseReference = `purchase_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
+      let remotePurchase = null;
 
       if (isDemo) {
         // DEMO MODE: Use client-provided balance (localStorage), skip database
@@ -524,6 +551,45 @@ router.post('/buy-feature',
         // Calculate new balance (don't update database for demo)
         newBalance = playerBalance - cost;
         console.log('🎮 [DEMO PURCHASE] New balance:', newBalance, '(not saved to database)');
+      } else if (walletProvider.isRemote) {
+        try {
+          remotePurchase = await walletProvider.debit({
+            playerId,
+            amount: cost,
+            currency,
+            referenceId: purchaseReference,
+            description: `Purchased ${FREE_SPINS_COUNT} free spins`
+          });
+        } catch (walletError) {
+          if (walletError.code === 'INSUFFICIENT_FUNDS') {
+            return res.status(400).json({
+              success: false,
+              error: 'INSUFFICIENT_BALANCE',
+              message: `Insufficient balance. Required: ${cost}`
+            });
+          }
+          logger.error('Seamless wallet purchase debit failed', {
+            playerId,
+            cost,
+            error: walletError.message
+          });
+          return res.status(502).json({
+            success: false,
+            error: 'WALLET_UNAVAILABLE',
+            message: 'Failed to process purchase'
+          });
+        }
+
+        playerBalance = remotePurchase.balance.previous;
+        newBalance = remotePurchase.balance.current;
+
+        await financialLogger.logFreeSpinsPurchase(
+          playerId,
+          cost,
+          playerBalance,
+          newBalance,
+          remotePurchase.transaction.id
+        );
       } else {
         // REAL MONEY MODE: Use database balance
         const { supabaseAdmin } = require('../db/supabaseClient');
@@ -659,10 +725,16 @@ router.post('/buy-feature',
           });
 
           // Refund the balance
-          const { error: refundError } = await supabaseAdmin
-            .from('players')
-            .update({ credits: playerBalance })
-            .eq('id', playerId);
+          let refundError = null;
+          if (remotePurchase) {
+            await walletProvider.rollback({ playerId, amount: cost, currency, referenceId: purchaseReference })
+              .catch(error => { refundError = error; });
+          } else {
+            ({ error: refundError } = await supabaseAdmin
+              .from('players')
+              .update({ credits: playerBalance })
+              .eq('id', playerId));
+          }
 
           if (refundError) {
             logger.error('CRITICAL: Failed to refund balance after game state failure', {
@@ -678,24 +750,27 @@ router.post('/buy-feature',
           });
         }
 
-        // Create transaction record (non-critical - log but don't fail)
-        const { error: txError } = await supabaseAdmin
-          .from('transactions')
-          .insert({
-            player_id: playerId,
-            type: 'purchase',
-            amount: -cost,
-            balance_before: playerBalance,
-            balance_after: newBalance,
-            reference_type: 'free_spins_purchase',
-            description: `Purchased ${FREE_SPINS_COUNT} free spins`
-          });
+        // Create transaction record (non-critical - log but don't fail).
+        // Seamless purchases are recorded in the operator's ledger instead.
+        if (!remotePurchase) {
+          const { error: txError } = await supabaseAdmin
+            .from('transactions')
+            .insert({
+              player_id: playerId,
+              type: 'purchase',
+              amount: -cost,
+              balance_before: playerBalance,
+              balance_after: newBalance,
+              reference_type: 'free_spins_purchase',
+              description: `Purchased ${FREE_SPINS_COUNT} free spins`
+            });
 
-        if (txError) {
-          logger.warn('Failed to record purchase transaction (non-critical)', {
-            playerId,
-            error: txError.message
-          });
+          if (txError) {
+            logger.warn('Failed to record purchase transaction (non-critical)', {
+              playerId,
+              error: txError.message
+            });
+          }
         }
       } else {
         logger.info('🎮 [DEMO PURCHASE] Skipping database transaction/state recording');
@@ -709,6 +784,20 @@ router.post('/buy-feature',
         balanceAfter: newBalance,
         isDemo
       });
+      if (!isDemo) {
+        const rtpProfile = isRtpProfile(req.session_info?.rtp_profile) ? req.session_info.rtp_profile : DEFAULT_RTP_PROFILE;
+        serverMetrics.recordPurchase({ rtpProfile, currency, amount: cost });
+        // Fire-and-forget: the purchased free spins are played on the profile's active model
+        mathModelService.getActiveModel(rtpProfile)
+          .then(model => rtpMonitor.recordPurchase({
+            playerId,
+            mathModelId: model.id,
+            currency,
+            cost,
+            betAmount: cost / COST_MULTIPLIER
+          }))
+          .catch(error => logger.warn('RTP monitor failed to record purchase', { playerId, error: error.message }));
+      }
 
       res.json({
         success: true,
@@ -826,6 +915,42 @@ router.get('/spin-history',
   }
 );
 
+/**
+ * GET /api/spin-history/:spinId
+ * One of the player's spins with its initial grid, cascade steps and multipliers
+ * Requires: Active player authentication
+ */
+router.get('/spin-history/:spinId',
+  demoAuthBypass,
+  authenticate,
+  requireActivePlayer,
+  [
+    param('spinId')
+      .isUUID()
+      .withMessage('Spin ID must be a valid UUID')
+  ],
+  validateAndProceed,
+  async (req, res) => {
+    try {
+      const { getSpinResult } = require('../db/supabaseClient');
+      const result = await getSpinResult(req.user.id, req.params.spinId);
+
+      if (result.error) {
+        logger.error('Failed to load spin detail', { spinId: req.params.spinId, error: result.error });
+        return responseHelper.serverError(res, 'Failed to load spin');
+      }
+      if (!result.row) {
+        return responseHelper.notFound(res, 'Spin not found');
+      }
+
+      responseHelper.success(res, 'Spin retrieved', { spin: buildSpinDetail(result.row) });
+    } catch (error) {
+      logger.error('Spin detail endpoint error', { spinId: req.params.spinId, error: error.message });
+      responseHelper.serverError(res, 'Failed to load spin');
+    }
+  }
+);
+
 /**
  * GET /api/jackpots
  * Get current jackpot information
@@ -834,12 +959,50 @@ router.get('/spin-history',
 router.get('/jackpots',
   optionalAuth,
   async (req, res) => {
-    // Jackpot information logic would go here
-    // For now, return mock data
-    responseHelper.success(res, 'Jackpot data retrieved', {
-      jackpots: [],
-      message: 'Jackpot system not yet implemented'
-    });
+    try {
+      // Live updates are pushed as 'jackpot_update' to sockets that emit 'subscribe_jackpots'
+      const jackpots = await jackpotService.getJackpots();
+      responseHelper.success(res, 'Jackpot data retrieved', { jackpots });
+    } catch (error) {
+      logger.error('Failed to load jackpots', { error: error.message });
+      responseHelper.serverError(res, 'Failed to load jackpots');
+    }
+  }
+);
+
+/**
+ * GET /api/feature-flags
+ * Game client feature flags, evaluated for the player when authenticated
+ * Optional authentication
+ */
+router.get('/feature-flags',
+  optionalAuth,
+  (req, res) => {
+    // Changes are pushed as 'feature_flags_update' to sockets that emit 'subscribe_feature_flags'
+    const flags = featureFlagService.getClientFlags(featureFlagService.contextFor(req.user));
+    responseHelper.success(res, 'Feature flags retrieved', { flags });
+  }
+);
+
+/**
+ * GET /api/game-rules
+ * Rules and paytable of the active math model for the player's RTP profile,
+ * so the rules screen shows exactly what spins are played with
+ * Optional authentication (anonymous players see the default profile)
+ */
+router.get('/game-rules',
+  optionalAuth,
+  async (req, res) => {
+    const rtpProfile = isRtpProfile(req.session_info?.rtp_profile) ? req.session_info.rtp_profile : DEFAULT_RTP_PROFILE;
+    try {
+      const model = await mathModelService.getActiveModel(rtpProfile);
+      responseHelper.success(res, 'Game rules retrieved', {
+        rules: buildGameRules(model, { rtpProfile })
+      });
+    } catch (error) {
+      logger.error('Failed to build game rules', { rtpProfile, error: error.message });
+      responseHelper.serverError(res, 'Failed to load game rules');
+    }
   }
 );
 
@@ -884,9 +1047,31 @@ router.get('/admin/game-metrics',
   }
 );
 
+/**
+ * GET /api/admin/emergency-stop
+ * Emergency stop in force, if any (admin only)
+ * Requires: Admin authentication
+ */
+router.get('/admin/emergency-stop',
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const stop = await emergencyStopService.getActiveStop({ refresh: true });
+      responseHelper.success(res, stop ? 'Emergency stop is active' : 'No emergency stop is active', {
+        active: Boolean(stop),
+        stop
+      });
+    } catch (error) {
+      logger.error('Failed to load emergency stop', { error: error.message });
+      responseHelper.serverError(res, 'Failed to load emergency stop');
+    }
+  }
+);
+
 /**
  * POST /api/admin/emergency-stop
  * Emergency stop for game operations (admin only)
+ * Spins and feature purchases are refused with 503 GAME_HALTED until released.
  * Requires: Admin authentication
  */
 router.post('/admin/emergency-stop',
@@ -902,8 +1087,66 @@ router.post('/admin/emergency-stop',
   ],
   validateAndProceed,
   async (req, res) => {
-    // Emergency stop logic would go here
-    responseHelper.notImplemented(res, 'Emergency stop not yet implemented');
+    try {
+      const { stop, alreadyActive } = await emergencyStopService.activate({
+        reason: req.body.reason,
+        source: 'admin',
+        adminId: req.user.id
+      });
+      responseHelper.success(res, alreadyActive ? 'Emergency stop already active' : 'Emergency stop activated', {
+        stop,
+        alreadyActive
+      });
+    } catch (error) {
+      logger.error('Failed to activate emergency stop', { error: error.message, adminId: req.user.id });
+      responseHelper.serverError(res, 'Failed to activate emergency stop');
+    }
+  }
+);
+
+/**
+ * DELETE /api/admin/emergency-stop
+ * Release the emergency stop and resume play (admin only)
+ * Requires: Admin authentication
+ * Body: { reason?: string }
+ */
+router.delete('/admin/emergency-stop',
+  requireAdmin,
+  [
+    body('reason')
+      .optional()
+      .isString()
+      .withMessage('Reason must be a string')
+      .isLength({ max: 500 })
+      .withMessage('Reason must be at most 500 characters')
+  ],
+  validateAndProceed,
+  async (req, res) => {
+    try {
+      const stop = await emergencyStopService.release({
+        adminId: req.user.id,
+        reason: req.body?.reason || null
+      });
+      responseHelper.success(res, 'Emergency stop released', { stop });
+    } catch (error) {
+      if (error.name === 'NotFoundError') {
+        return responseHelper.notFound(res, error.message);
+      }
+      logger.error('Failed to release emergency stop', { error: error.message, adminId: req.user.id });
+      responseHelper.serverError(res, 'Failed to release emergency stop');
+    }
+  }
+);
+
+/**
+ * GET /api/admin/rtp-monitor
+ * Observed RTP and control band per game mode, bet level and math model (admin only)
+ * Requires: Admin authentication
+ */
+router.get('/admin/rtp-monitor',
+  requireAdmin,
+  (req, res) => {
+    responseHelper.success(res, 'RTP monitor status retrieved', rtpMonitor.getStatus());
   }
 );
 
@@ -66,7 +66,11 @@ router.post('/session',
       .optional()
       .isString()
       .isLength({ max: 500 })
-      .withMessage('User agent too long')
+      .withMessage('User agent too long'),
+    body('operator_id')
+      .optional()
+      .matches(/^[A-Za-z0-9_-]{1,64}$/)
+      .withMessage('Operator ID must be 1-64 letters, digits, "_" or "-"')
   ],
   validateRequest,
   AuthController.createSession
@@ -207,7 +211,11 @@ router.post('/login',
       .withMessage('Username or email is required'),
     body('password')
       .notEmpty()
-      .withMessage('Password is required')
+      .withMessage('Password is required'),
+    body('operator_id')
+      .optional()
+      .matches(/^[A-Za-z0-9_-]{1,64}$/)
+      .withMessage('Operator ID must be 1-64 letters, digits, "_" or "-"')
   ],
   validateRequest,
   AuthController.login
@@ -0,0 +1,143 @@
+/**
+ * autoplay.js - Autoplay Session Routes
+ *
+ * The client opens a session here before autoplay starts and sends its id with
+ * every autoplay spin. Stop conditions are enforced by autoplayService, called
+ * from gameValidation (before the bet) and the game controller (after the spin).
+ *
+ * Routes:
+ * - GET /api/autoplay - Jurisdiction rules for the autoplay panel and the running session
+ * - POST /api/autoplay - Start a session with its spin count and stop conditions
+ * - DELETE /api/autoplay/:sessionId - Stop a session
+ */
+
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const autoplayService = require('../services/autoplayService');
+const { authenticate, requireActivePlayer } = require('../middleware/auth');
+const responseHelper = require('../utils/responseHelper');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+const validateAndProceed = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return responseHelper.validationError(res, 'Request validation failed', errors.array());
+  }
+  next();
+};
+
+const handleServiceError = (res, error, message, playerId) => {
+  if (error.name === 'ValidationError') {
+    return responseHelper.validationError(res, error.message, error.details || []);
+  }
+  if (error.name === 'ForbiddenError') {
+    return responseHelper.forbidden(res, error.message, error.details);
+  }
+  if (error.name === 'NotFoundError') {
+    return responseHelper.notFound(res, error.message);
+  }
+  logger.error(message, { error: error.message, playerId });
+  return responseHelper.serverError(res, message);
+};
+
+const optionalAmount = (field, label) => body(field)
+  .optional({ values: 'null' })
+  .isFloat({ gt: 0 })
+  .withMessage(`${label} must be a positive amount`)
+  .toFloat();
+
+router.use(authenticate, requireActivePlayer);
+
+/**
+ * @route GET /api/autoplay
+ * @desc Autoplay rules in force (spin cap, unlimited allowed, loss limit required) and the running session
+ * @access Private (Player)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const session = await autoplayService.getActiveSession(req.user.id);
+    responseHelper.success(res, 'Autoplay status retrieved', {
+      rules: autoplayService.getRules(),
+      session
+    });
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to retrieve autoplay status', req.user.id);
+  }
+});
+
+/**
+ * @route POST /api/autoplay
+ * @desc Start an autoplay session; a running one is replaced
+ * @access Private (Player)
+ * @body {number} spins - Spin count, or -1 until stopped (where allowed)
+ * @body {number} betAmount - Bet autoplay will spin at
+ * @body {number|null} lossLimit - Stop before the net loss would exceed this
+ * @body {number|null} singleWinLimit - Stop after a single win of at least this
+ * @body {number|null} balanceIncreaseLimit - Stop once up by at least this
+ * @body {boolean} stopOnFeature - Stop when free spins are triggered
+ */
+router.post('/',
+  [
+    body('spins')
+      .isInt({ min: -1 })
+      .withMessage('Spins must be a whole number, or -1 until stopped')
+      .toInt(),
+    body('betAmount')
+      .isFloat({ gt: 0 })
+      .withMessage('Bet amount must be a positive number')
+      .toFloat(),
+    optionalAmount('lossLimit', 'Loss limit'),
+    optionalAmount('singleWinLimit', 'Single win limit'),
+    optionalAmount('balanceIncreaseLimit', 'Balance increase limit'),
+    body('stopOnFeature')
+      .optional()
+      .isBoolean()
+      .withMessage('Stop on feature must be a boolean')
+      .toBoolean()
+  ],
+  validateAndProceed,
+  async (req, res) => {
+    try {
+      const { spins, betAmount, lossLimit, singleWinLimit, balanceIncreaseLimit, stopOnFeature } = req.body;
+      const result = await autoplayService.startSession(req.user, {
+        spins,
+        lossLimit,
+        singleWinLimit,
+        balanceIncreaseLimit,
+        stopOnFeature
+      }, {
+        betAmount,
+        currency: req.session_info?.currency
+      });
+      responseHelper.success(res, 'Autoplay started', result);
+    } catch (error) {
+      handleServiceError(res, error, 'Failed to start autoplay', req.user.id);
+    }
+  }
+);
+
+/**
+ * @route DELETE /api/autoplay/:sessionId
+ * @desc Stop an autoplay session (player pressed stop, or the client ended it)
+ * @access Private (Player)
+ */
+router.delete('/:sessionId',
+  [
+    param('sessionId')
+      .isUUID()
+      .withMessage('Session ID must be a valid UUID')
+  ],
+  validateAndProceed,
+  async (req, res) => {
+    try {
+      const session = await autoplayService.stopSession(req.user.id, req.params.sessionId);
+      responseHelper.success(res, 'Autoplay stopped', session);
+    } catch (error) {
+      handleServiceError(res, error, 'Failed to stop autoplay', req.user.id);
+    }
+  }
+);
+
+module.exports = router;
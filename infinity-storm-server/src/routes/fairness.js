@@ -0,0 +1,171 @@
+/**
+ * fairness.js - Provably Fair Routes
+ *
+ * Lets players inspect their seed commitment, choose a client seed, rotate
+ * (reveal) server seeds and verify individual spins.
+ *
+ * Routes:
+ * - GET /api/fairness/commitment - Active server seed hash, client seed and next nonce
+ * - POST /api/fairness/client-seed - Set a new client seed (reveals the current server seed)
+ * - POST /api/fairness/rotate - Reveal the current server seed and commit to a new one
+ * - GET /api/fairness/seeds - Previously revealed seed pairs
+ * - GET /api/fairness/verify/:spinId - Replay a spin from its revealed seeds
+ */
+
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const fairnessService = require('../services/fairnessService');
+const { authenticate, requireActivePlayer } = require('../middleware/auth');
+const responseHelper = require('../utils/responseHelper');
+const { logger } = require('../utils/logger');
+
+const router = express.Router();
+
+const validateAndProceed = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return responseHelper.validationError(res, 'Request validation failed', errors.array());
+  }
+  next();
+};
+
+const requireEligiblePlayer = (req, res, next) => {
+  if (!fairnessService.isEligiblePlayer(req.user?.id)) {
+    return responseHelper.forbidden(res, 'Provably fair seeds are not available for this account');
+  }
+  next();
+};
+
+router.use(authenticate, requireActivePlayer, requireEligiblePlayer);
+
+/**
+ * @route GET /api/fairness/commitment
+ * @desc Get the active seed commitment (server seed stays hidden)
+ * @access Private (Player)
+ */
+router.get('/commitment', async (req, res) => {
+  try {
+    const commitment = await fairnessService.getActiveCommitment(req.user.id);
+    responseHelper.success(res, 'Seed commitment retrieved', commitment);
+  } catch (error) {
+    logger.error('Fairness commitment error', { error: error.message, playerId: req.user.id });
+    responseHelper.serverError(res, 'Failed to retrieve seed commitment');
+  }
+});
+
+/**
+ * @route POST /api/fairness/client-seed
+ * @desc Set a new client seed; the current server seed is revealed and replaced
+ * @access Private (Player)
+ * @body {string} clientSeed - 1-64 characters of [A-Za-z0-9_-]
+ */
+router.post('/client-seed',
+  [
+    body('clientSeed')
+      .isString()
+      .withMessage('Client seed must be a string')
+      .isLength({ min: 1, max: 64 })
+      .withMessage('Client seed must be 1-64 characters')
+      .matches(/^[A-Za-z0-9_-]+$/)
+      .withMessage('Client seed may only contain letters, digits, "_" or "-"')
+  ],
+  validateAndProceed,
+  async (req, res) => {
+    try {
+      const result = await fairnessService.rotateSeedPair(req.user.id, req.body.clientSeed);
+      responseHelper.success(res, 'Client seed updated', result);
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return responseHelper.validationError(res, 'Validation failed', [error.message]);
+      }
+      logger.error('Fairness client seed error', { error: error.message, playerId: req.user.id });
+      responseHelper.serverError(res, 'Failed to update client seed');
+    }
+  }
+);
+
+/**
+ * @route POST /api/fairness/rotate
+ * @desc Reveal the current server seed and commit to a new one
+ * @access Private (Player)
+ */
+router.post('/rotate', async (req, res) => {
+  try {
+    const result = await fairnessService.rotateSeedPair(req.user.id);
+    responseHelper.success(res, 'Server seed rotated', result);
+  } catch (error) {
+    logger.error('Fairness rotation error', { error: error.message, playerId: req.user.id });
+    responseHelper.serverError(res, 'Failed to rotate server seed');
+  }
+});
+
+/**
+ * @route GET /api/fairness/seeds
+ * @desc List revealed seed pairs, newest first
+ * @access Private (Player)
+ * @query {number} limit - Max rows (default: 20, max: 100)
+ */
+router.get('/seeds',
+  [
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+      .toInt()
+  ],
+  validateAndProceed,
+  async (req, res) => {
+    try {
+      const seeds = await fairnessService.getRevealedSeedPairs(req.user.id, req.query.limit || 20);
+      responseHelper.success(res, 'Revealed seeds retrieved', { seeds });
+    } catch (error) {
+      logger.error('Fairness seed list error', { error: error.message, playerId: req.user.id });
+      responseHelper.serverError(res, 'Failed to retrieve revealed seeds');
+    }
+  }
+);
+
+/**
+ * @route GET /api/fairness/verify/:spinId
+ * @desc Recompute a spin's grid, cascades and payout from its revealed seeds
+ * @access Private (Player, own spins only)
+ */
+router.get('/verify/:spinId',
+  [
+    param('spinId')
+      .isUUID()
+      .withMessage('Spin ID must be a valid UUID')
+  ],
+  validateAndProceed,
+  async (req, res) => {
+    try {
+      const result = await fairnessService.verifySpin(req.user.id, req.params.spinId);
+
+      switch (result.status) {
+      case 'not_found':
+        return responseHelper.notFound(res, 'Spin not found');
+      case 'not_verifiable':
+        return responseHelper.conflict(res, 'Spin was not played with a provably fair seed pair', {
+          spinId: result.spinId
+        });
+      case 'pending_reveal':
+        return responseHelper.conflict(res, 'Server seed has not been revealed yet; rotate seeds to verify', {
+          spinId: result.spinId,
+          nonce: result.nonce,
+          commitment: result.commitment
+        });
+      default:
+        return responseHelper.success(res, result.verified ? 'Spin verified' : 'Spin verification mismatch', result);
+      }
+    } catch (error) {
+      logger.error('Fairness verification error', {
+        error: error.message,
+        playerId: req.user.id,
+        spinId: req.params.spinId
+      });
+      responseHelper.serverError(res, 'Failed to verify spin');
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,77 @@
+/**
+ * metrics.js - Prometheus Scrape Endpoint
+ *
+ * Serves serverMetrics in the OpenMetrics text format, or the Prometheus 0.0.4
+ * text format when the scraper does not ask for OpenMetrics.
+ *
+ * Scrapers authenticate with `Authorization: Bearer <METRICS_TOKEN>`. Without a
+ * METRICS_TOKEN the endpoint is open outside production and disabled in production.
+ *
+ * Routes:
+ * - GET /metrics - Metrics of this server process
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const serverMetrics = require('../services/serverMetrics');
+const responseHelper = require('../utils/responseHelper');
+const { logger } = require('../utils/logger');
+const {
+  OPENMETRICS_CONTENT_TYPE,
+  PROMETHEUS_CONTENT_TYPE,
+  acceptsOpenMetrics
+} = require('../utils/openMetrics');
+
+const router = express.Router();
+
+/**
+ * Whether the request carries the scrape token (compared in constant time)
+ * @param {string} header - Authorization header
+ * @param {string} token - Expected token
+ * @returns {boolean} True when the bearer token matches
+ */
+function hasScrapeToken(header, token) {
+  const match = /^Bearer (.+)$/.exec(header || '');
+  if (!match) {
+    return false;
+  }
+  // Hash both sides so the comparison does not depend on the token length
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(match[1]), digest(token));
+}
+
+const authenticateScraper = (req, res, next) => {
+  const token = process.env.METRICS_TOKEN;
+  if (!token) {
+    if (process.env.NODE_ENV === 'production') {
+      return responseHelper.notFound(res, 'Not found');
+    }
+    return next();
+  }
+  if (!hasScrapeToken(req.get('authorization'), token)) {
+    res.set('WWW-Authenticate', 'Bearer realm="metrics"');
+    return responseHelper.unauthorized(res, 'Valid metrics token required');
+  }
+  next();
+};
+
+/**
+ * @route GET /metrics
+ * @desc Spin, wallet, Socket.IO, anti-cheat and RTP metrics of this process
+ * @access Prometheus (METRICS_TOKEN)
+ */
+router.get('/', authenticateScraper, async (req, res) => {
+  try {
+    const openMetrics = acceptsOpenMetrics(req.get('accept'));
+    const body = await serverMetrics.render({ openMetrics });
+    res.set('Content-Type', openMetrics ? OPENMETRICS_CONTENT_TYPE : PROMETHEUS_CONTENT_TYPE);
+    res.set('Cache-Control', 'no-store');
+    res.send(body);
+  } catch (error) {
+    logger.error('Failed to render metrics', { error: error.message });
+    responseHelper.serverError(res, 'Failed to render metrics');
+  }
+});
+
+module.exports = router;
+module.exports.hasScrapeToken = hasScrapeToken;
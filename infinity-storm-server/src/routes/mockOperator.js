@@ -0,0 +1,251 @@
+/**
+ * Mock Operator Wallet
+ *
+ * In-memory stand-in for an operator's seamless wallet API, used by tests and
+ * local development with WALLET_MODE=seamless:
+ *
+ *   SEAMLESS_WALLET_URL=http://localhost:3000/operator/mock
+ *
+ * It implements the protocol seamlessWalletProvider speaks: signed requests,
+ * Idempotency-Key replays, rollbacks of unknown rounds (remembered so a late
+ * debit is refused), and failure injection through mockOperator.failNext().
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+const {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  IDEMPOTENCY_HEADER,
+  verifySignature
+} = require('../services/walletProvider');
+
+const router = express.Router();
+
+const OPERATOR_MOCK_ENABLED = process.env.OPERATOR_MOCK_ENABLED
+  ? process.env.OPERATOR_MOCK_ENABLED === 'true'
+  : process.env.NODE_ENV !== 'production';
+const DEFAULT_BALANCE = parseFloat(process.env.OPERATOR_MOCK_DEFAULT_BALANCE) || 1000;
+
+const getSecret = () =>
+  process.env.OPERATOR_MOCK_SECRET || process.env.SEAMLESS_WALLET_SECRET || 'operator-dev-secret';
+
+const state = {
+  balances: new Map(),
+  responses: new Map(),
+  debits: new Map(),
+  cancelled: new Set(),
+  failures: [],
+  requests: []
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const balanceOf = (playerId) => {
+  if (!state.balances.has(playerId)) {
+    state.balances.set(playerId, DEFAULT_BALANCE);
+  }
+  return state.balances.get(playerId);
+};
+
+const reject = (res, status, errorCode, message) =>
+  res.status(status).json({ success: false, error_code: errorCode, message });
+
+/**
+ * Test helpers for driving the mock operator
+ */
+const mockOperator = {
+  reset() {
+    state.balances.clear();
+    state.responses.clear();
+    state.debits.clear();
+    state.cancelled.clear();
+    state.failures = [];
+    state.requests = [];
+  },
+
+  setBalance(playerId, amount) {
+    state.balances.set(playerId, roundAmount(amount));
+  },
+
+  getBalance(playerId) {
+    return balanceOf(playerId);
+  },
+
+  /**
+     * Fail the next `count` requests
+     * @param {Object} options - { count, status, afterApply }; afterApply applies the
+     *     request before failing it, simulating a response lost on the way back
+     */
+  failNext({ count = 1, status = 500, afterApply = false } = {}) {
+    for (let i = 0; i < count; i++) {
+      state.failures.push({ status, afterApply });
+    }
+  },
+
+  get requests() {
+    return state.requests;
+  },
+
+  get secret() {
+    return getSecret();
+  }
+};
+
+router.use((req, res, next) => {
+  if (!OPERATOR_MOCK_ENABLED) {
+    return res.status(403).json({
+      success: false,
+      message: 'Mock operator is disabled'
+    });
+  }
+  return next();
+});
+
+router.use(express.json({
+  limit: '10kb',
+  verify: (req, res, buffer) => {
+    req.rawBody = buffer.toString('utf8');
+  }
+}));
+
+router.use((req, res, next) => {
+  const valid = verifySignature({
+    secret: getSecret(),
+    timestamp: req.get(TIMESTAMP_HEADER),
+    body: req.rawBody || '',
+    signature: req.get(SIGNATURE_HEADER)
+  });
+  if (!valid) {
+    return reject(res, 401, 'INVALID_SIGNATURE', 'Invalid or expired request signature');
+  }
+  return next();
+});
+
+router.use((req, res, next) => {
+  const idempotencyKey = req.get(IDEMPOTENCY_HEADER) || null;
+  state.requests.push({ path: req.path, idempotencyKey, body: req.body });
+
+  const failure = state.failures.shift();
+  if (failure && !failure.afterApply) {
+    return reject(res, failure.status, 'INJECTED_FAILURE', 'Injected operator failure');
+  }
+
+  if (idempotencyKey && state.responses.has(idempotencyKey)) {
+    const previous = state.responses.get(idempotencyKey);
+    return res.status(previous.status).json({ ...previous.body, duplicate: true });
+  }
+
+  // Remember successful responses so replays with the same key are not applied twice
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (idempotencyKey && res.statusCode < 500) {
+      state.responses.set(idempotencyKey, { status: res.statusCode, body });
+    }
+    if (failure) {
+      res.status(failure.status);
+      return json({ success: false, error_code: 'INJECTED_FAILURE', message: 'Injected operator failure' });
+    }
+    return json(body);
+  };
+  return next();
+});
+
+const requireAmount = (req, res) => {
+  const amount = roundAmount(Number(req.body.amount));
+  if (!req.body.player_id || !req.body.reference_id || !Number.isFinite(amount) || amount < 0) {
+    reject(res, 400, 'INVALID_REQUEST', 'player_id, reference_id and a non-negative amount are required');
+    return null;
+  }
+  return amount;
+};
+
+router.post('/balance', (req, res) => {
+  if (!req.body.player_id) {
+    return reject(res, 400, 'INVALID_REQUEST', 'player_id is required');
+  }
+  return res.json({ success: true, balance: balanceOf(req.body.player_id), currency: req.body.currency });
+});
+
+router.post('/debit', (req, res) => {
+  const amount = requireAmount(req, res);
+  if (amount === null) {
+    return undefined;
+  }
+  const { player_id: playerId, reference_id: referenceId } = req.body;
+
+  if (state.cancelled.has(referenceId)) {
+    return reject(res, 409, 'ROUND_CANCELLED', 'Round was rolled back');
+  }
+  const before = balanceOf(playerId);
+  if (before < amount) {
+    return reject(res, 402, 'INSUFFICIENT_FUNDS', 'Insufficient funds');
+  }
+
+  const after = roundAmount(before - amount);
+  state.balances.set(playerId, after);
+  state.debits.set(referenceId, { playerId, amount });
+
+  logger.info('Mock operator debit applied', { player_id: playerId, reference_id: referenceId, amount });
+  return res.json({
+    success: true,
+    transaction_id: crypto.randomUUID(),
+    balance_before: before,
+    balance: after
+  });
+});
+
+router.post('/credit', (req, res) => {
+  const amount = requireAmount(req, res);
+  if (amount === null) {
+    return undefined;
+  }
+  const { player_id: playerId, reference_id: referenceId } = req.body;
+
+  if (state.cancelled.has(referenceId)) {
+    return reject(res, 409, 'ROUND_CANCELLED', 'Round was rolled back');
+  }
+  const before = balanceOf(playerId);
+  const after = roundAmount(before + amount);
+  state.balances.set(playerId, after);
+
+  logger.info('Mock operator credit applied', { player_id: playerId, reference_id: referenceId, amount });
+  return res.json({
+    success: true,
+    transaction_id: crypto.randomUUID(),
+    balance_before: before,
+    balance: after
+  });
+});
+
+router.post('/rollback', (req, res) => {
+  const { player_id: playerId, original_reference_id: originalReference } = req.body;
+  if (!playerId || !originalReference) {
+    return reject(res, 400, 'INVALID_REQUEST', 'player_id and original_reference_id are required');
+  }
+
+  // Unknown rounds are cancelled up front so a delayed debit cannot land afterwards
+  state.cancelled.add(originalReference);
+  const before = balanceOf(playerId);
+  const debit = state.debits.get(originalReference);
+  if (!debit || debit.rolledBack) {
+    return res.json({ success: true, rolled_back: false, transaction_id: null, balance: before });
+  }
+
+  debit.rolledBack = true;
+  const after = roundAmount(before + debit.amount);
+  state.balances.set(playerId, after);
+
+  logger.info('Mock operator rollback applied', { player_id: playerId, reference_id: originalReference });
+  return res.json({
+    success: true,
+    rolled_back: true,
+    transaction_id: crypto.randomUUID(),
+    balance_before: before,
+    balance: after
+  });
+});
+
+module.exports = router;
+module.exports.mockOperator = mockOperator;
@@ -8,6 +8,7 @@ const {
 } = require('../db/supabaseClient');
 const { logger } = require('../utils/logger');
 const financialLogger = require('../services/financialTransactionLogger');
+const responsibleGamblingService = require('../services/responsibleGamblingService');
 
 const router = express.Router();
 
@@ -98,6 +99,21 @@ router.post(
 
       const { player, created, password: defaultPassword } = portalPlayerResult;
 
+      // Deposit limits, cool-off and self-exclusion
+      const depositBlock = await responsibleGamblingService.checkDeposit({
+        playerId: player.id,
+        amount: creditAmount
+      });
+      if (depositBlock) {
+        const { message, ...details } = depositBlock;
+        return res.status(403).json({
+          success: false,
+          error: 'RESPONSIBLE_GAMBLING_LIMIT',
+          message,
+          details
+        });
+      }
+
       const balanceResult = await getPlayerBalance(player.id || playerId.trim());
       if (balanceResult?.error) {
         return res.status(500).json({
@@ -0,0 +1,183 @@
+/**
+ * responsibleGambling.js - Responsible Gambling Routes
+ *
+ * Lets real-money players set their own limits, reality-check reminders,
+ * breaks and self-exclusion. Enforcement lives in responsibleGamblingService,
+ * called from gameValidation (spins, feature purchases) and the portal (deposits).
+ *
+ * Routes:
+ * - GET /api/responsible-gambling - Limits with usage, session time and exclusion state
+ * - PUT /api/responsible-gambling/limits - Set, raise, lower or remove a deposit, loss, wager or session_time limit
+ * - PUT /api/responsible-gambling/reality-check - Reality-check reminder interval
+ * - POST /api/responsible-gambling/cool-off - Take a break (24h, 7d, 30d, 42d)
+ * - POST /api/responsible-gambling/self-exclusion - Self-exclude (6m, 1y, 5y)
+ */
+
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const responsibleGamblingService = require('../services/responsibleGamblingService');
+const { authenticate, requireActivePlayer, blockDemoMode } = require('../middleware/auth');
+const responseHelper = require('../utils/responseHelper');
+const { logger } = require('../utils/logger');
+
+const {
+  LIMIT_TYPES,
+  LIMIT_PERIODS,
+  COOL_OFF_PERIODS,
+  SELF_EXCLUSION_PERIODS,
+  REALITY_CHECK_RANGE
+} = responsibleGamblingService;
+
+const router = express.Router();
+
+const validateAndProceed = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return responseHelper.validationError(res, 'Request validation failed', errors.array());
+  }
+  next();
+};
+
+const handleServiceError = (res, error, message, playerId) => {
+  if (error.name === 'ValidationError') {
+    return responseHelper.validationError(res, error.message, error.details || []);
+  }
+  if (error.name === 'NotFoundError') {
+    return responseHelper.notFound(res, error.message);
+  }
+  logger.error(message, { error: error.message, playerId });
+  return responseHelper.serverError(res, message);
+};
+
+router.use(authenticate, requireActivePlayer, blockDemoMode);
+
+/**
+ * @route GET /api/responsible-gambling
+ * @desc Current limits with usage, session time and cool-off / self-exclusion state
+ * @access Private (Player)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const status = await responsibleGamblingService.getStatus(req.user.id, {
+      sessionStartedAt: req.session_info?.started_at || null
+    });
+    responseHelper.success(res, 'Responsible gambling status retrieved', status);
+  } catch (error) {
+    handleServiceError(res, error, 'Failed to retrieve responsible gambling status', req.user.id);
+  }
+});
+
+/**
+ * @route PUT /api/responsible-gambling/limits
+ * @desc Set a limit; lower limits apply at once, higher or removed ones after a cooling-off delay
+ * @access Private (Player)
+ * @body {string} limitType - deposit, loss, wager or session_time
+ * @body {string} period - daily, weekly or monthly (not used for session_time)
+ * @body {number|null} amount - Wallet currency (minutes for session_time); null removes the limit
+ */
+router.put('/limits',
+  [
+    body('limitType')
+      .isIn(LIMIT_TYPES)
+      .withMessage(`Limit type must be one of: ${LIMIT_TYPES.join(', ')}`),
+    body('period')
+      .if(body('limitType').not().equals('session_time'))
+      .isIn(LIMIT_PERIODS)
+      .withMessage(`Period must be one of: ${LIMIT_PERIODS.join(', ')}`),
+    body('amount')
+      .optional({ values: 'null' })
+      .isFloat({ gt: 0 })
+      .withMessage('Amount must be a positive number, or null to remove the limit')
+      .toFloat()
+  ],
+  validateAndProceed,
+  async (req, res) => {
+    try {
+      const { limitType, period, amount = null } = req.body;
+      const result = await responsibleGamblingService.setLimit(req.user.id, { limitType, period, amount });
+      const message = result.pending
+        ? 'Limit change scheduled; a higher or removed limit takes effect after the cooling-off period'
+        : 'Limit updated';
+      responseHelper.success(res, message, result);
+    } catch (error) {
+      handleServiceError(res, error, 'Failed to update limit', req.user.id);
+    }
+  }
+);
+
+/**
+ * @route PUT /api/responsible-gambling/reality-check
+ * @desc Set the reality-check reminder interval
+ * @access Private (Player)
+ * @body {number|null} minutes - Interval in minutes; null disables the reminder
+ */
+router.put('/reality-check',
+  [
+    body('minutes')
+      .optional({ values: 'null' })
+      .isInt(REALITY_CHECK_RANGE)
+      .withMessage(`Minutes must be between ${REALITY_CHECK_RANGE.min} and ${REALITY_CHECK_RANGE.max}`)
+      .toInt()
+  ],
+  validateAndProceed,
+  async (req, res) => {
+    try {
+      const result = await responsibleGamblingService.setRealityCheck(req.user.id, req.body.minutes ?? null);
+      responseHelper.success(res, 'Reality check updated', result);
+    } catch (error) {
+      handleServiceError(res, error, 'Failed to update reality check', req.user.id);
+    }
+  }
+);
+
+/**
+ * @route POST /api/responsible-gambling/cool-off
+ * @desc Block play and deposits for a period; cannot be cancelled early
+ * @access Private (Player)
+ * @body {string} period - 24h, 7d, 30d or 42d
+ */
+router.post('/cool-off',
+  [
+    body('period')
+      .isIn(Object.keys(COOL_OFF_PERIODS))
+      .withMessage(`Period must be one of: ${Object.keys(COOL_OFF_PERIODS).join(', ')}`)
+  ],
+  validateAndProceed,
+  async (req, res) => {
+    try {
+      const result = await responsibleGamblingService.startCoolOff(req.user.id, req.body.period);
+      responseHelper.success(res, 'Cool-off started', result);
+    } catch (error) {
+      handleServiceError(res, error, 'Failed to start cool-off', req.user.id);
+    }
+  }
+);
+
+/**
+ * @route POST /api/responsible-gambling/self-exclusion
+ * @desc Self-exclude for a period; cannot be cancelled early
+ * @access Private (Player)
+ * @body {string} period - 6m, 1y or 5y
+ * @body {boolean} confirm - Must be true
+ */
+router.post('/self-exclusion',
+  [
+    body('period')
+      .isIn(Object.keys(SELF_EXCLUSION_PERIODS))
+      .withMessage(`Period must be one of: ${Object.keys(SELF_EXCLUSION_PERIODS).join(', ')}`),
+    body('confirm')
+      .custom(value => value === true)
+      .withMessage('Self-exclusion must be confirmed')
+  ],
+  validateAndProceed,
+  async (req, res) => {
+    try {
+      const result = await responsibleGamblingService.selfExclude(req.user.id, req.body.period);
+      responseHelper.success(res, 'Self-exclusion started', result);
+    } catch (error) {
+      handleServiceError(res, error, 'Failed to start self-exclusion', req.user.id);
+    }
+  }
+);
+
+module.exports = router;
@@ -22,6 +22,7 @@ const router = express.Router();
 const WalletController = require('../controllers/wallet');
 const WalletValidation = require('../middleware/walletValidation');
 const { authenticate } = require('../middleware/auth');
+const { requirePermission, requireStepUp } = require('../middleware/adminAuth');
 
 // Apply authentication to all wallet routes
 router.use(authenticate);
@@ -102,20 +103,26 @@ router.get('/validate',
 
 /**
  * Admin Wallet Operations
- * Requires admin permissions
+ * Requires an is_admin player whose admin_role grants the route's permission.
+ * Balance changes also need a step-up like the admin panel; admin players have
+ * no two-factor enrollment, so they confirm with their password (current_password).
  */
 
 /**
  * @route POST /api/wallet/admin/adjust
- * @desc Adjust player balance (admin only)
- * @access Private (Admin)
+ * @desc Adjust player balance (admin only); above the approval threshold it answers 202 with a pending request
+ * @access Private (Admin: credits.adjust)
  * @body {string} player_id - Target player UUID
  * @body {number} amount - Adjustment amount (positive or negative)
  * @body {string} reason - Detailed reason for adjustment
+ * @body {string} reason_code - One of REASON_CODES of creditApprovalService (optional, default other)
  * @body {object} metadata - Additional metadata (optional)
+ * @body {string} current_password - The admin player's password, for the step-up
  */
 router.post('/admin/adjust',
   WalletValidation.validateAdminPermissions,
+  requirePermission('credits.adjust'),
+  requireStepUp,
   WalletValidation.validateAdminAdjustment,
   WalletValidation.validateTransactionSecurity,
   WalletValidation.normalizeNumericInputs,
@@ -126,11 +133,12 @@ router.post('/admin/adjust',
 /**
  * @route GET /api/wallet/admin/balance/:playerId
  * @desc Get player balance (admin only)
- * @access Private (Admin)
+ * @access Private (Admin: players.view)
  * @param {string} playerId - Player UUID
  */
 router.get('/admin/balance/:playerId',
   WalletValidation.validateAdminPermissions,
+  requirePermission('players.view'),
   WalletValidation.validatePlayerIdParam,
   WalletValidation.logWalletOperation('admin_get_balance'),
   WalletController.adminGetBalance
@@ -139,7 +147,7 @@ router.get('/admin/balance/:playerId',
 /**
  * @route GET /api/wallet/admin/transactions/:playerId
  * @desc Get player transaction history (admin only)
- * @access Private (Admin)
+ * @access Private (Admin: players.view)
  * @param {string} playerId - Player UUID
  * @query {number} page - Page number (default: 1)
  * @query {number} limit - Items per page (default: 50, max: 100)
@@ -149,6 +157,7 @@ router.get('/admin/balance/:playerId',
  */
 router.get('/admin/transactions/:playerId',
   WalletValidation.validateAdminPermissions,
+  requirePermission('players.view'),
   WalletValidation.validatePlayerIdParam,
   WalletValidation.validateTransactionHistoryQuery,
   WalletValidation.validateDateRange,
@@ -160,11 +169,12 @@ router.get('/admin/transactions/:playerId',
 /**
  * @route GET /api/wallet/admin/validate/:playerId
  * @desc Validate player balance consistency (admin only)
- * @access Private (Admin)
+ * @access Private (Admin: players.view)
  * @param {string} playerId - Player UUID
  */
 router.get('/admin/validate/:playerId',
   WalletValidation.validateAdminPermissions,
+  requirePermission('players.view'),
   WalletValidation.validatePlayerIdParam,
   WalletValidation.logWalletOperation('admin_validate_balance'),
   WalletController.adminValidateBalance
@@ -0,0 +1,101 @@
+/**
+ * Accessibility Settings Service
+ *
+ * Per-player display options, stored on the player so they follow the account
+ * across devices:
+ *   - reduceMotion: no screen shake or swirling shader backgrounds
+ *   - reduceFlashing: no flashes, strobing tints or the fire shader
+ *   - symbolMarkers: shape and letter markers on gem symbols (not color alone)
+ *   - announcements: spin results and free-spins status for screen readers
+ *
+ * Only the options a player has set are stored and returned. Options left out
+ * follow the client's defaults, so a browser that asks for reduced motion gets
+ * it until the player says otherwise.
+ */
+
+const { pool } = require('../db/pool');
+const { auditLogger } = require('../utils/logger');
+
+const ACCESSIBILITY_SETTINGS = ['reduceMotion', 'reduceFlashing', 'symbolMarkers', 'announcements'];
+
+const settingsError = (name, message, details = null) => {
+  const error = new Error(message);
+  error.name = name;
+  error.details = details;
+  return error;
+};
+
+/**
+ * Known options from a stored or submitted object; anything else is dropped
+ * @param {Object|null} stored - accessibility_settings column
+ * @returns {Object} Option name -> boolean
+ */
+function pickSettings(stored) {
+  const settings = {};
+  if (!stored || typeof stored !== 'object') {
+    return settings;
+  }
+  ACCESSIBILITY_SETTINGS.forEach(key => {
+    if (typeof stored[key] === 'boolean') {
+      settings[key] = stored[key];
+    }
+  });
+  return settings;
+}
+
+class AccessibilitySettingsService {
+  constructor() {
+    this.pool = pool;
+  }
+
+  /**
+     * @param {string} playerId - Player ID
+     * @returns {Promise<Object>} { settings } with the options the player has set
+     */
+  async getSettings(playerId) {
+    const { rows } = await this.pool.query(
+      'SELECT accessibility_settings FROM players WHERE id = $1',
+      [playerId]
+    );
+    if (rows.length === 0) {
+      throw settingsError('NotFoundError', `Player not found: ${playerId}`);
+    }
+    return { settings: pickSettings(rows[0].accessibility_settings) };
+  }
+
+  /**
+     * Change some options; the others keep their stored value
+     * @param {string} playerId - Player ID
+     * @param {Object} changes - Option name -> boolean
+     * @returns {Promise<Object>} { settings } after the change
+     */
+  async updateSettings(playerId, changes) {
+    const keys = changes && typeof changes === 'object' ? Object.keys(changes) : [];
+    const invalid = keys.filter(key =>
+      !ACCESSIBILITY_SETTINGS.includes(key) || typeof changes[key] !== 'boolean');
+    if (keys.length === 0 || invalid.length > 0) {
+      throw settingsError('ValidationError', 'Invalid accessibility settings', [
+        `settings must be booleans named: ${ACCESSIBILITY_SETTINGS.join(', ')}`
+      ]);
+    }
+    const { rows } = await this.pool.query(
+      `UPDATE players
+       SET accessibility_settings = COALESCE(accessibility_settings, '{}'::jsonb) || $2::jsonb,
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING accessibility_settings`,
+      [playerId, JSON.stringify(changes)]
+    );
+    if (rows.length === 0) {
+      throw settingsError('NotFoundError', `Player not found: ${playerId}`);
+    }
+    auditLogger.info('Accessibility settings changed', { player_id: playerId, changes });
+    return { settings: pickSettings(rows[0].accessibility_settings) };
+  }
+}
+
+const accessibilitySettingsService = new AccessibilitySettingsService();
+
+module.exports = accessibilitySettingsService;
+module.exports.ACCESSIBILITY_SETTINGS = ACCESSIBILITY_SETTINGS;
+module.exports.pickSettings = pickSettings;
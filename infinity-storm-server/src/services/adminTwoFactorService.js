@@ -0,0 +1,387 @@
+/**
+ * Admin Two-Factor Service
+ *
+ * TOTP enrollment, verification and recovery codes for admin panel accounts
+ * (auth/totp.js does the RFC 6238 math).
+ *
+ * - Enrollment stores a new secret, encrypted with AES-256-GCM, and turns 2FA
+ *   on once the admin confirms a code from their app. Ten one-time recovery
+ *   codes are shown once and stored as hashes.
+ * - Sign-in with 2FA is two steps: the password yields a short-lived challenge
+ *   token, the code exchanges it for the admin session.
+ * - Sensitive actions need a step-up: a code verified within the last
+ *   STEP_UP_TTL_MINUTES, carried in its own cookie.
+ * - A code's time step is remembered, so a code cannot be used twice.
+ *
+ * Every verification (success or failure) and every enrollment change is
+ * written to AdminLog.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { logger } = require('../utils/logger');
+const AdminLog = require('../models/AdminLog');
+const totp = require('../auth/totp');
+
+const JWT_SECRET = process.env.JWT_ACCESS_SECRET || 'your-super-secret-access-token-key-min-32-chars-change-in-production';
+// Without a dedicated key the secrets are encrypted with a key derived from the JWT secret
+const ENCRYPTION_KEY = crypto.createHash('sha256')
+  .update(process.env.ADMIN_TOTP_ENCRYPTION_KEY || JWT_SECRET)
+  .digest();
+const ISSUER = process.env.ADMIN_TOTP_ISSUER || 'Infinity Storm Admin';
+const CHALLENGE_TTL_MINUTES = 5;
+const STEP_UP_TTL_MINUTES = parseInt(process.env.ADMIN_STEP_UP_TTL_MINUTES) || 10;
+
+const CHALLENGE_COOKIE = 'admin_2fa_challenge';
+const STEP_UP_COOKIE = 'admin_step_up';
+
+const twoFactorError = (name, message, details = null) => {
+  const error = new Error(message);
+  error.name = name;
+  error.details = details;
+  return error;
+};
+
+/**
+ * Options for the 2FA cookies, matching the admin_token cookie
+ * @param {number} maxAgeMinutes
+ * @returns {Object}
+ */
+const cookieOptions = (maxAgeMinutes) => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict',
+  maxAge: maxAgeMinutes * 60 * 1000
+});
+
+class AdminTwoFactorService {
+  /**
+     * Encrypt a secret for admins.totp_secret, bound to the admin's ID
+     * @param {string} secret - Base32 secret
+     * @param {string} adminId
+     * @returns {string} v1.iv.tag.ciphertext (base64 parts)
+     */
+  encryptSecret(secret, adminId) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+    cipher.setAAD(Buffer.from(String(adminId)));
+    const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return ['v1', iv, cipher.getAuthTag(), ciphertext].map(part => (Buffer.isBuffer(part) ? part.toString('base64') : part)).join('.');
+  }
+
+  /**
+     * Decrypt admins.totp_secret
+     * @param {string} stored - Output of encryptSecret
+     * @param {string} adminId
+     * @returns {string} Base32 secret
+     * @throws {Error} When the value was not encrypted for this admin with this key
+     */
+  decryptSecret(stored, adminId) {
+    const [version, iv, tag, ciphertext] = String(stored).split('.');
+    if (version !== 'v1') {
+      throw new Error('Unknown TOTP secret format');
+    }
+    const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, Buffer.from(iv, 'base64'));
+    decipher.setAAD(Buffer.from(String(adminId)));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+  }
+
+  /**
+     * Start enrollment: store a new secret (2FA stays off until confirmed)
+     * @param {Admin} admin - Admin instance
+     * @returns {Promise<Object>} { secret, uri } for the authenticator app
+     */
+  async beginEnrollment(admin) {
+    if (admin.totp_enabled) {
+      throw twoFactorError('ConflictError', 'Two-factor authentication is already enabled');
+    }
+
+    const secret = totp.generateSecret();
+    await admin.update({ totp_secret: this.encryptSecret(secret, admin.id) });
+
+    return {
+      secret,
+      uri: totp.provisioningUri({ secret, accountName: admin.account_id, issuer: ISSUER })
+    };
+  }
+
+  /**
+     * Finish enrollment with a code from the app
+     * @param {Admin} admin - Admin instance
+     * @param {string} code
+     * @param {Object} context - { ip, userAgent } for AdminLog
+     * @returns {Promise<string[]>} Recovery codes, to be shown once
+     */
+  async confirmEnrollment(admin, code, context = {}) {
+    if (admin.totp_enabled) {
+      throw twoFactorError('ConflictError', 'Two-factor authentication is already enabled');
+    }
+    if (!admin.totp_secret) {
+      throw twoFactorError('ValidationError', 'Start the setup first');
+    }
+
+    const counter = totp.verifyCode(this.decryptSecret(admin.totp_secret, admin.id), code);
+    if (counter === null) {
+      await this.logVerification(admin, 'enrollment', null, context, 'Invalid authentication code');
+      throw twoFactorError('ValidationError', 'Invalid authentication code');
+    }
+
+    const recoveryCodes = totp.generateRecoveryCodes();
+    await admin.update({
+      totp_enabled: true,
+      totp_enabled_at: new Date(),
+      totp_last_counter: counter,
+      totp_recovery_codes: recoveryCodes.map(totp.hashRecoveryCode)
+    });
+    await this.logChange(admin, admin.id, 'enrolled', context);
+    return recoveryCodes;
+  }
+
+  /**
+     * Check a TOTP or recovery code; a used recovery code is removed
+     * @param {Admin} admin - Admin instance with 2FA enabled
+     * @param {string} code
+     * @param {string} purpose - login, step_up, recovery_codes or disable, for the log
+     * @param {Object} context - { ip, userAgent }
+     * @returns {Promise<Object|null>} { method: 'totp'|'recovery_code' }, or null when the code is wrong
+     */
+  async verify(admin, code, purpose, context = {}) {
+    if (!admin.totp_enabled || !admin.totp_secret) {
+      throw twoFactorError('ValidationError', 'Two-factor authentication is not enabled');
+    }
+
+    const lastCounter = admin.totp_last_counter === null || admin.totp_last_counter === undefined
+      ? null
+      : Number(admin.totp_last_counter);
+    const counter = totp.verifyCode(this.decryptSecret(admin.totp_secret, admin.id), code, { lastCounter });
+    if (counter !== null && await this.claimCounter(admin, counter)) {
+      await this.logVerification(admin, purpose, 'totp', context);
+      return { method: 'totp' };
+    }
+
+    const hash = totp.hashRecoveryCode(code);
+    const recoveryCodes = admin.totp_recovery_codes || [];
+    if (String(code || '').replace(/\s/g, '').length > totp.DIGITS && recoveryCodes.includes(hash)) {
+      const remaining = recoveryCodes.filter(stored => stored !== hash);
+      await admin.update({ totp_recovery_codes: remaining });
+      await this.logVerification(admin, purpose, 'recovery_code', context, null, { recovery_codes_left: remaining.length });
+      logger.warn('Admin used a recovery code', { admin_id: admin.id, purpose, recovery_codes_left: remaining.length });
+      return { method: 'recovery_code' };
+    }
+
+    await this.logVerification(admin, purpose, null, context, 'Invalid authentication code');
+    return null;
+  }
+
+  /**
+     * Check the password of an admin without 2FA, for a step-up
+     * @param {Admin|Player} admin - Admin account, or admin player of the wallet admin API
+     * @param {string} password
+     * @param {string} purpose - step_up, for the log
+     * @param {Object} context - { ip, userAgent }
+     * @returns {Promise<boolean>}
+     */
+  async verifyPassword(admin, password, purpose, context = {}) {
+    const matches = typeof admin.checkPassword === 'function'
+      ? await admin.checkPassword(password)
+      : await admin.verifyPassword(password).catch(() => false);
+    if (matches) {
+      await this.logVerification(admin, purpose, 'password', context);
+      return true;
+    }
+    await this.logVerification(admin, purpose, 'password', context, 'Invalid password');
+    return false;
+  }
+
+  /**
+     * Replace the recovery codes, after a valid code
+     * @param {Admin} admin
+     * @param {string} code
+     * @param {Object} context
+     * @returns {Promise<string[]>} New recovery codes
+     */
+  async regenerateRecoveryCodes(admin, code, context = {}) {
+    if (!(await this.verify(admin, code, 'recovery_codes', context))) {
+      throw twoFactorError('ValidationError', 'Invalid authentication code');
+    }
+
+    const recoveryCodes = totp.generateRecoveryCodes();
+    await admin.update({ totp_recovery_codes: recoveryCodes.map(totp.hashRecoveryCode) });
+    await this.logChange(admin, admin.id, 'recovery_codes_regenerated', context);
+    return recoveryCodes;
+  }
+
+  /**
+     * Turn 2FA off, after a valid code; not allowed while it is required for the admin
+     * @param {Admin} admin
+     * @param {string} code
+     * @param {Object} context
+     */
+  async disable(admin, code, context = {}) {
+    if (admin.totp_required) {
+      throw twoFactorError('ConflictError', 'Two-factor authentication is required for this account');
+    }
+    if (!(await this.verify(admin, code, 'disable', context))) {
+      throw twoFactorError('ValidationError', 'Invalid authentication code');
+    }
+
+    await admin.update(this.clearedFields());
+    await this.logChange(admin, admin.id, 'disabled', context);
+  }
+
+  /**
+     * Remove another admin's enrollment (lost device); they enroll again at next sign-in if required
+     * @param {Admin} target
+     * @param {string} actorId - Admin doing the reset
+     * @param {Object} context
+     */
+  async reset(target, actorId, context = {}) {
+    await target.update(this.clearedFields());
+    await this.logChange(target, actorId, 'reset', context);
+  }
+
+  /**
+     * Require (or stop requiring) 2FA for an admin
+     * @param {Admin} target
+     * @param {boolean} required
+     * @param {string} actorId
+     * @param {Object} context
+     */
+  async setRequired(target, required, actorId, context = {}) {
+    await target.update({ totp_required: required });
+    await this.logChange(target, actorId, required ? 'required' : 'not_required', context);
+  }
+
+  /**
+     * Challenge token handed out after the password step
+     * @param {Admin} admin
+     * @param {Object} options - { rememberMe }
+     * @returns {string} JWT
+     */
+  issueChallenge(admin, { rememberMe = false } = {}) {
+    return jwt.sign({ type: 'admin_2fa', adminId: admin.id, rememberMe }, JWT_SECRET, {
+      expiresIn: `${CHALLENGE_TTL_MINUTES}m`
+    });
+  }
+
+  /**
+     * Payload of a challenge token
+     * @param {string} token
+     * @returns {Object|null} { adminId, rememberMe }, or null when missing, expired or not a challenge
+     */
+  readChallenge(token) {
+    return this.readToken(token, 'admin_2fa');
+  }
+
+  /**
+     * Step-up token for an admin who just entered a code
+     * @param {Admin|Object} admin
+     * @returns {string} JWT
+     */
+  issueStepUp(admin) {
+    return jwt.sign({ type: 'admin_step_up', adminId: admin.id }, JWT_SECRET, {
+      expiresIn: `${STEP_UP_TTL_MINUTES}m`
+    });
+  }
+
+  /**
+     * Whether a step-up token is valid for the admin
+     * @param {string} token
+     * @param {string} adminId
+     * @returns {boolean}
+     */
+  hasStepUp(token, adminId) {
+    const payload = this.readToken(token, 'admin_step_up');
+    return Boolean(payload) && payload.adminId === adminId;
+  }
+
+  /**
+     * @private
+     */
+  readToken(token, type) {
+    if (!token) {
+      return null;
+    }
+    try {
+      const payload = jwt.verify(token, JWT_SECRET);
+      return payload.type === type ? payload : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+     * Record a code's time step unless a concurrent request already used it or a later one
+     * @private
+     */
+  async claimCounter(admin, counter) {
+    const [claimed] = await admin.constructor.update({ totp_last_counter: counter }, {
+      where: {
+        id: admin.id,
+        [Op.or]: [{ totp_last_counter: null }, { totp_last_counter: { [Op.lt]: counter } }]
+      }
+    });
+    if (claimed === 0) {
+      return false;
+    }
+    admin.totp_last_counter = counter;
+    return true;
+  }
+
+  /**
+     * @private
+     */
+  clearedFields() {
+    return {
+      totp_secret: null,
+      totp_enabled: false,
+      totp_enabled_at: null,
+      totp_last_counter: null,
+      totp_recovery_codes: []
+    };
+  }
+
+  /**
+     * @private
+     */
+  async logVerification(admin, purpose, method, context, errorMessage = null, extra = {}) {
+    const entry = {
+      admin_id: admin.id,
+      action_type: 'two_factor_verification',
+      details: { account_id: admin.account_id, purpose, method, ...extra },
+      ip_address: context.ip || null,
+      user_agent: context.userAgent || null
+    };
+    if (errorMessage) {
+      logger.warn('Admin two-factor verification failed', { admin_id: admin.id, purpose, ip: context.ip });
+      return AdminLog.logFailure({ ...entry, error_message: errorMessage });
+    }
+    return AdminLog.logSuccess(entry);
+  }
+
+  /**
+     * @private
+     */
+  async logChange(target, actorId, event, context) {
+    logger.info('Admin two-factor setting changed', { admin_id: actorId, target_admin_id: target.id, event });
+    return AdminLog.logSuccess({
+      admin_id: actorId,
+      action_type: 'two_factor_change',
+      details: { admin_account: target.account_id, target_admin_id: target.id, event },
+      ip_address: context.ip || null,
+      user_agent: context.userAgent || null
+    });
+  }
+}
+
+const adminTwoFactorService = new AdminTwoFactorService();
+
+module.exports = adminTwoFactorService;
+module.exports.AdminTwoFactorService = AdminTwoFactorService;
+module.exports.CHALLENGE_COOKIE = CHALLENGE_COOKIE;
+module.exports.STEP_UP_COOKIE = STEP_UP_COOKIE;
+module.exports.CHALLENGE_TTL_MINUTES = CHALLENGE_TTL_MINUTES;
+module.exports.STEP_UP_TTL_MINUTES = STEP_UP_TTL_MINUTES;
+module.exports.cookieOptions = cookieOptions;
@@ -0,0 +1,269 @@
+/**
+ * Anomaly Scoring Service
+ *
+ * Background job that scores every real-money player active in the last
+ * ANOMALY_LOOKBACK_DAYS from their spin_results, transactions and sessions
+ * (detectors in game/anomalyDetectors.js). Population hit and big-win rates
+ * and the shared-device groups are loaded once per run; each player's history
+ * is capped at ANOMALY_MAX_SPINS spins, newest kept.
+ *
+ * A score is appended to player_risk_scores when it or its finding types
+ * change. Players scoring ANOMALY_REVIEW_THRESHOLD (50) or more land in the
+ * review_queue, one unresolved entry per player that later runs keep up to
+ * date; admins work the queue as cases (reviewCaseService). Only one server
+ * process runs the job at a time (advisory lock).
+ *
+ * Transactions come from the local ledger, so with a seamless wallet deposits
+ * and withdrawals are not seen and bonus_abuse never fires.
+ */
+
+const { pool } = require('../db/pool');
+const { logger } = require('../utils/logger');
+const mathModelService = require('./mathModelService');
+const { BIG_WIN_MULTIPLIER } = require('./metricsRollupService');
+const { getBuiltinModel } = require('../game/mathModel');
+const { scorePlayer } = require('../game/anomalyDetectors');
+
+const LOOKBACK_DAYS = parseInt(process.env.ANOMALY_LOOKBACK_DAYS) || 7;
+const REVIEW_THRESHOLD = parseInt(process.env.ANOMALY_REVIEW_THRESHOLD) || 50;
+const MAX_PLAYERS = parseInt(process.env.ANOMALY_MAX_PLAYERS) || 5000;
+const MAX_SPINS = parseInt(process.env.ANOMALY_MAX_SPINS) || 5000;
+
+const findingTypes = findings => findings.map(finding => finding.type).sort().join(',');
+
+class AnomalyScoringService {
+  constructor() {
+    this.pool = pool;
+  }
+
+  /**
+     * Hit and big-win rates of all real-money paid spins in the window
+     * @returns {Promise<Object>} { hitRate, bigWinRate, bigWinMultiplier } (rates null without spins)
+     */
+  async loadBaseline() {
+    const { rows: [row] } = await this.pool.query(
+      `SELECT COUNT(*) AS rounds,
+              COUNT(*) FILTER (WHERE sr.total_win > 0) AS hits,
+              COUNT(*) FILTER (WHERE sr.total_win >= sr.bet_amount * $2) AS big_wins
+       FROM spin_results sr
+       JOIN players p ON p.id = sr.player_id AND NOT COALESCE(p.is_demo, FALSE)
+       WHERE sr.game_mode = 'base' AND sr.created_at >= NOW() - $1::interval`,
+      [`${LOOKBACK_DAYS} days`, BIG_WIN_MULTIPLIER]
+    );
+    const rounds = parseInt(row.rounds) || 0;
+    return {
+      hitRate: rounds > 0 ? parseInt(row.hits) / rounds : null,
+      bigWinRate: rounds > 0 ? parseInt(row.big_wins) / rounds : null,
+      bigWinMultiplier: BIG_WIN_MULTIPLIER
+    };
+  }
+
+  /**
+     * Devices (IP address and user agent) and IP addresses used by two or more real-money players
+     * @returns {Promise<Array<Object>>} { ip_address, user_agent, ip_only, player_ids }
+     */
+  async loadDeviceGroups() {
+    const { rows } = await this.pool.query(
+      `SELECT host(s.ip_address) AS ip_address,
+              s.user_agent,
+              GROUPING(s.user_agent) = 1 AS ip_only,
+              array_agg(DISTINCT s.player_id::text) AS player_ids
+       FROM sessions s
+       JOIN players p ON p.id = s.player_id AND NOT COALESCE(p.is_demo, FALSE)
+       WHERE s.created_at >= NOW() - $1::interval AND s.ip_address IS NOT NULL
+       GROUP BY GROUPING SETS ((s.ip_address, s.user_agent), (s.ip_address))
+       HAVING COUNT(DISTINCT s.player_id) >= 2`,
+      [`${LOOKBACK_DAYS} days`]
+    );
+    return rows;
+  }
+
+  /**
+     * A player's spins (oldest first) and ledger deposits, purchases and withdrawals in the window
+     * @param {string} playerId - Player ID
+     * @returns {Promise<Object>} { spins, transactions }
+     */
+  async loadHistory(playerId) {
+    const interval = `${LOOKBACK_DAYS} days`;
+    const { rows: spins } = await this.pool.query(
+      `SELECT id, bet_amount, total_win, game_mode, math_model_id, created_at,
+              COALESCE(replay_context #>> '{outcome,freeSpinsTriggered}' = 'true', FALSE) AS free_spins_triggered
+       FROM spin_results
+       WHERE player_id = $1 AND created_at >= NOW() - $2::interval
+       ORDER BY created_at DESC, spin_number DESC
+       LIMIT $3`,
+      [playerId, interval, MAX_SPINS]
+    );
+    const { rows: transactions } = await this.pool.query(
+      `SELECT id, type, amount, created_at
+       FROM transactions
+       WHERE player_id = $1 AND created_at >= NOW() - $2::interval
+         AND type IN ('deposit', 'purchase', 'withdrawal')
+       ORDER BY created_at`,
+      [playerId, interval]
+    );
+    return { spins: spins.reverse(), transactions };
+  }
+
+  /**
+     * Artifacts of the models a player's spins were played on
+     * @param {Array<Object>} spins - Spins
+     * @param {Map} cache - Model ID -> artifact, shared across a run
+     * @returns {Promise<Map>} Model ID -> artifact; key null is the built-in model for spins without one
+     */
+  async loadModels(spins, cache) {
+    const models = new Map([[null, getBuiltinModel().artifact]]);
+    for (const modelId of new Set(spins.map(spin => spin.math_model_id).filter(Boolean))) {
+      if (!cache.has(modelId)) {
+        const model = await mathModelService.getModel(modelId).catch(() => null);
+        cache.set(modelId, model ? model.artifact : null);
+      }
+      if (cache.get(modelId)) {
+        models.set(modelId, cache.get(modelId));
+      }
+    }
+    return models;
+  }
+
+  /**
+     * Score one player, record the score and queue them for review when it is high enough
+     * @param {string} playerId - Player ID
+     * @param {Object} context - { baseline, deviceGroups, modelCache }; loaded when missing
+     * @returns {Promise<Object>} { playerId, score, priority, findings, recorded, queued }
+     */
+  async scorePlayer(playerId, context = {}) {
+    const baseline = context.baseline || await this.loadBaseline();
+    const deviceGroups = context.deviceGroups || await this.loadDeviceGroups();
+    const { spins, transactions } = await this.loadHistory(playerId);
+    const models = await this.loadModels(spins, context.modelCache || new Map());
+
+    const result = scorePlayer({ playerId, spins, transactions, deviceGroups, models, ...baseline });
+    const recorded = await this.recordScore(playerId, result);
+    const queued = result.score >= REVIEW_THRESHOLD ? await this.enqueue(playerId, result) : null;
+
+    return { playerId, ...result, recorded, queued };
+  }
+
+  /**
+     * Append a score to the player's history unless it repeats the latest one
+     * @returns {Promise<boolean>} True when a row was written
+     */
+  async recordScore(playerId, { score, priority, findings }) {
+    const { rows: [latest] } = await this.pool.query(
+      'SELECT score, findings FROM player_risk_scores WHERE player_id = $1 ORDER BY scored_at DESC LIMIT 1',
+      [playerId]
+    );
+    if (latest ? latest.score === score && findingTypes(latest.findings) === findingTypes(findings) : score === 0) {
+      return false;
+    }
+
+    await this.pool.query(
+      `INSERT INTO player_risk_scores (player_id, score, priority, findings, window_start)
+       VALUES ($1, $2, $3, $4, NOW() - $5::interval)`,
+      [playerId, score, priority, JSON.stringify(findings), `${LOOKBACK_DAYS} days`]
+    );
+    return true;
+  }
+
+  /**
+     * Open a review queue entry for the player, or refresh their unresolved one
+     * @returns {Promise<Object>} { id, created }
+     */
+  async enqueue(playerId, { score, priority, findings }) {
+    const { rows: [entry] } = await this.pool.query(
+      `INSERT INTO review_queue (player_id, source, priority, risk_score, findings)
+       VALUES ($1, 'anomaly_scoring', $2, $3, $4)
+       ON CONFLICT (player_id) WHERE status <> 'resolved' DO UPDATE
+       SET priority = EXCLUDED.priority,
+           risk_score = EXCLUDED.risk_score,
+           findings = EXCLUDED.findings,
+           updated_at = NOW()
+       RETURNING id, (xmax = 0) AS created`,
+      [playerId, priority, score, JSON.stringify(findings)]
+    );
+    if (entry.created) {
+      logger.warn('Player queued for review', { player_id: playerId, risk_score: score, priority, queue_id: entry.id });
+    }
+    return { id: entry.id, created: entry.created };
+  }
+
+  /**
+     * Score every real-money player active in the window (the background job)
+     * @returns {Promise<Object>} { players, recorded, queued, failed } or { skipped: true }
+     */
+  async run() {
+    const client = await this.pool.connect();
+    let locked = false;
+    try {
+      // Another server process is already scoring
+      const { rows: [lock] } = await client.query(
+        'SELECT pg_try_advisory_lock(hashtext($1)) AS locked',
+        ['anomaly_scoring']
+      );
+      locked = lock.locked;
+      if (!locked) {
+        return { skipped: true };
+      }
+
+      const { rows: players } = await client.query(
+        `SELECT DISTINCT activity.player_id
+         FROM (
+           SELECT player_id FROM spin_results WHERE created_at >= NOW() - $1::interval
+           UNION
+           SELECT player_id FROM transactions
+           WHERE created_at >= NOW() - $1::interval AND type IN ('deposit', 'purchase', 'withdrawal')
+         ) activity
+         JOIN players p ON p.id = activity.player_id AND NOT COALESCE(p.is_demo, FALSE)
+         LIMIT $2`,
+        [`${LOOKBACK_DAYS} days`, MAX_PLAYERS]
+      );
+
+      const context = {
+        baseline: await this.loadBaseline(),
+        deviceGroups: await this.loadDeviceGroups(),
+        modelCache: new Map()
+      };
+      const summary = { players: players.length, recorded: 0, queued: 0, failed: 0 };
+      for (const { player_id: playerId } of players) {
+        try {
+          const result = await this.scorePlayer(playerId, context);
+          summary.recorded += result.recorded ? 1 : 0;
+          summary.queued += result.queued?.created ? 1 : 0;
+        } catch (error) {
+          summary.failed++;
+          logger.error('Anomaly scoring failed for player', { player_id: playerId, error: error.message });
+        }
+      }
+      return summary;
+    } finally {
+      if (locked) {
+        await client.query('SELECT pg_advisory_unlock(hashtext($1))', ['anomaly_scoring']).catch(() => {});
+      }
+      client.release();
+    }
+  }
+
+  /**
+     * A player's risk score history, newest first
+     * @param {string} playerId - Player ID
+     * @param {number} limit - Maximum rows
+     * @returns {Promise<Array<Object>>} Scores with their findings
+     */
+  async getRiskHistory(playerId, limit = 20) {
+    const { rows } = await this.pool.query(
+      `SELECT id, score, priority, findings, window_start, scored_at
+       FROM player_risk_scores
+       WHERE player_id = $1
+       ORDER BY scored_at DESC
+       LIMIT $2`,
+      [playerId, limit]
+    );
+    return rows;
+  }
+}
+
+const anomalyScoringService = new AnomalyScoringService();
+
+module.exports = anomalyScoringService;
+module.exports.AnomalyScoringService = AnomalyScoringService;
+module.exports.REVIEW_THRESHOLD = REVIEW_THRESHOLD;
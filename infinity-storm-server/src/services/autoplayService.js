@@ -0,0 +1,444 @@
+/**
+ * Autoplay Service
+ *
+ * Server-side autoplay sessions. The client opens a session with its spin count
+ * and stop conditions before autoplay starts (POST /api/autoplay); the settings
+ * are checked against the jurisdiction's rules (config/autoplay.js) and stored
+ * in autoplay_sessions, so every autoplay run is attributable to a player and
+ * its limits.
+ *
+ * Each autoplay spin carries the session id:
+ *   - checkSpin runs in gameValidation before the bet is charged and refuses the
+ *     spin (409 AUTOPLAY_STOPPED) when the session is over or the bet would take
+ *     the net loss past the loss limit
+ *   - recordSpin runs in the game controller after the spin and stops the
+ *     session on its spin count, loss limit, single win, balance increase or
+ *     free spins trigger; the spin response tells the client
+ *
+ * Spins played inside free spins are not counted: they cost nothing and the
+ * client does not send the session id for them.
+ */
+
+const { pool } = require('../db/pool');
+const { auditLogger } = require('../utils/logger');
+const { getAutoplayRules, getJurisdiction } = require('../config/autoplay');
+const { resolveCurrency, roundToCurrency, validateBetAmount } = require('../config/currencies');
+
+const autoplayError = (name, message, details = null) => {
+  const error = new Error(message);
+  error.name = name;
+  error.details = details;
+  return error;
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+const STOP_MESSAGES = {
+  spin_limit: 'Autoplay finished its spins',
+  loss_limit: 'Autoplay stopped: loss limit reached',
+  single_win: 'Autoplay stopped: single win limit reached',
+  balance_increase: 'Autoplay stopped: balance increase target reached',
+  feature_triggered: 'Autoplay stopped: free spins triggered',
+  player_stopped: 'Autoplay stopped',
+  replaced: 'Autoplay was restarted with new settings'
+};
+
+/**
+ * Check and normalize the settings of a new session
+ * @param {Object} settings - { spins, lossLimit, singleWinLimit, balanceIncreaseLimit, stopOnFeature }
+ * @param {Object} context - { betAmount, currency, isDemo, rules }
+ * @returns {Object} { spinLimit (null = until stopped), lossLimit, singleWinLimit, balanceIncreaseLimit, stopOnFeature }
+ * @throws {Error} ForbiddenError when autoplay is not offered, ValidationError with the problems otherwise
+ */
+function validateSettings(settings, { betAmount, currency, isDemo = false, rules = getAutoplayRules() }) {
+  if (!rules.enabled) {
+    throw autoplayError('ForbiddenError', 'Autoplay is not available in this jurisdiction', {
+      jurisdiction: rules.jurisdiction
+    });
+  }
+
+  const errors = [];
+  const betCheck = validateBetAmount(betAmount, currency, { isDemo });
+  if (!betCheck.valid) {
+    errors.push(betCheck.error);
+  }
+  const bet = parseFloat(betAmount);
+  const maxAmount = betCheck.valid ? roundToCurrency(bet * rules.maxLimitBets, currency) : null;
+
+  const spins = settings.spins === null || settings.spins === undefined ? -1 : Number(settings.spins);
+  let spinLimit = null;
+  if (spins === -1) {
+    if (!rules.allowUnlimited) {
+      errors.push(`spins must be set (at most ${rules.maxSpins})`);
+    }
+  } else if (!Number.isInteger(spins) || spins < 1 || spins > rules.maxSpins) {
+    errors.push(`spins must be between 1 and ${rules.maxSpins}${rules.allowUnlimited ? ', or -1 until stopped' : ''}`);
+  } else {
+    spinLimit = spins;
+  }
+
+  const amount = (field, { required = false, min = 0 } = {}) => {
+    const raw = settings[field];
+    if (raw === null || raw === undefined || raw === '') {
+      if (required) {
+        errors.push(`${field} is required in this jurisdiction`);
+      }
+      return null;
+    }
+    const value = parseFloat(raw);
+    if (!Number.isFinite(value) || value <= 0) {
+      errors.push(`${field} must be a positive amount`);
+      return null;
+    }
+    if (maxAmount !== null && (value < min || value > maxAmount)) {
+      errors.push(`${field} must be between ${min} and ${maxAmount} ${currency}`);
+      return null;
+    }
+    return roundToCurrency(value, currency);
+  };
+
+  const normalized = {
+    spinLimit,
+    // A loss limit below one bet would stop autoplay before its first spin
+    lossLimit: amount('lossLimit', { required: rules.requireLossLimit, min: bet }),
+    singleWinLimit: amount('singleWinLimit'),
+    balanceIncreaseLimit: amount('balanceIncreaseLimit'),
+    stopOnFeature: Boolean(settings.stopOnFeature)
+  };
+
+  if (errors.length > 0) {
+    throw autoplayError('ValidationError', 'Invalid autoplay settings', errors);
+  }
+  return normalized;
+}
+
+/**
+ * Net loss so far (positive when the player is down)
+ * @param {Object} session - Session from fromRow()
+ * @returns {number}
+ */
+function netLoss(session) {
+  return roundToCurrency(session.totalBet - session.totalWon, session.currency);
+}
+
+/**
+ * Check an autoplay spin before it is charged
+ * @param {Object} session - Session from fromRow()
+ * @param {number} betAmount - Bet of the spin
+ * @returns {string|null} Stop reason, or null when the spin may go ahead
+ */
+function evaluateSpin(session, betAmount) {
+  if (session.status !== 'active') {
+    return session.stopReason || 'player_stopped';
+  }
+  if (session.spinLimit !== null && session.spinsPlayed >= session.spinLimit) {
+    return 'spin_limit';
+  }
+  if (session.lossLimit !== null &&
+    roundToCurrency(netLoss(session) + parseFloat(betAmount), session.currency) > session.lossLimit) {
+    return 'loss_limit';
+  }
+  return null;
+}
+
+/**
+ * Add a settled spin to the session and decide whether autoplay stops
+ * @param {Object} session - Session from fromRow()
+ * @param {Object} spin - { betAmount, win, freeSpinsTriggered }
+ * @returns {Object} { spinsPlayed, totalBet, totalWon, stopReason }
+ */
+function applySpin(session, { betAmount, win, freeSpinsTriggered = false }) {
+  const bet = parseFloat(betAmount) || 0;
+  const won = parseFloat(win) || 0;
+  const next = {
+    ...session,
+    spinsPlayed: session.spinsPlayed + 1,
+    totalBet: roundToCurrency(session.totalBet + bet, session.currency),
+    totalWon: roundToCurrency(session.totalWon + won, session.currency)
+  };
+
+  let stopReason = null;
+  if (session.singleWinLimit !== null && won >= session.singleWinLimit) {
+    stopReason = 'single_win';
+  } else if (session.stopOnFeature && freeSpinsTriggered) {
+    stopReason = 'feature_triggered';
+  } else if (session.balanceIncreaseLimit !== null && -netLoss(next) >= session.balanceIncreaseLimit) {
+    stopReason = 'balance_increase';
+  } else {
+    // Stop as soon as another spin at this bet could not be afforded within the loss limit
+    stopReason = evaluateSpin(next, bet);
+  }
+
+  return {
+    spinsPlayed: next.spinsPlayed,
+    totalBet: next.totalBet,
+    totalWon: next.totalWon,
+    stopReason
+  };
+}
+
+/**
+ * What the client is told about its session
+ * @param {Object} session - Session from fromRow()
+ * @returns {Object}
+ */
+function summarize(session) {
+  const loss = netLoss(session);
+  return {
+    sessionId: session.id,
+    active: session.status === 'active',
+    spinsPlayed: session.spinsPlayed,
+    spinsRemaining: session.spinLimit === null ? null : Math.max(0, session.spinLimit - session.spinsPlayed),
+    netResult: -loss,
+    lossRemaining: session.lossLimit === null
+      ? null
+      : roundToCurrency(Math.max(0, session.lossLimit - loss), session.currency),
+    stopReason: session.stopReason,
+    message: session.stopReason ? STOP_MESSAGES[session.stopReason] : null
+  };
+}
+
+class AutoplayService {
+  constructor() {
+    this.pool = pool;
+  }
+
+  fromRow(row) {
+    return {
+      id: row.id,
+      playerId: row.player_id,
+      jurisdiction: row.jurisdiction,
+      currency: row.currency,
+      betAmount: toNumber(row.bet_amount),
+      spinLimit: row.spin_limit === null ? null : parseInt(row.spin_limit),
+      lossLimit: toNumber(row.loss_limit),
+      singleWinLimit: toNumber(row.single_win_limit),
+      balanceIncreaseLimit: toNumber(row.balance_increase_limit),
+      stopOnFeature: row.stop_on_feature,
+      spinsPlayed: parseInt(row.spins_played) || 0,
+      totalBet: toNumber(row.total_bet) || 0,
+      totalWon: toNumber(row.total_won) || 0,
+      status: row.status,
+      stopReason: row.stop_reason,
+      startedAt: row.started_at,
+      endedAt: row.ended_at
+    };
+  }
+
+  /**
+     * Rules the client builds its autoplay panel from
+     * @returns {Object} getAutoplayRules() result
+     */
+  getRules() {
+    return getAutoplayRules(getJurisdiction());
+  }
+
+  /**
+     * Open an autoplay session; a session still running is closed as 'replaced'
+     * @param {Object} player - { id, currency, is_demo }
+     * @param {Object} settings - See validateSettings
+     * @param {Object} options - { betAmount, currency }
+     * @returns {Promise<Object>} { session, settings } (session as summarize())
+     */
+  async startSession(player, settings, { betAmount, currency = null }) {
+    const rules = this.getRules();
+    const sessionCurrency = resolveCurrency(currency, player.currency);
+    const normalized = validateSettings(settings, {
+      betAmount,
+      currency: sessionCurrency,
+      isDemo: Boolean(player.is_demo),
+      rules
+    });
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        `UPDATE autoplay_sessions
+         SET status = 'stopped', stop_reason = 'replaced', ended_at = NOW()
+         WHERE player_id = $1 AND status = 'active'`,
+        [player.id]
+      );
+      const { rows } = await client.query(
+        `INSERT INTO autoplay_sessions
+           (player_id, jurisdiction, currency, bet_amount, spin_limit, loss_limit,
+            single_win_limit, balance_increase_limit, stop_on_feature)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+         RETURNING *`,
+        [player.id, rules.jurisdiction, sessionCurrency, parseFloat(betAmount), normalized.spinLimit,
+          normalized.lossLimit, normalized.singleWinLimit, normalized.balanceIncreaseLimit,
+          normalized.stopOnFeature]
+      );
+      await client.query('COMMIT');
+
+      const session = this.fromRow(rows[0]);
+      auditLogger.info('Autoplay session started', {
+        player_id: player.id,
+        autoplay_session_id: session.id,
+        jurisdiction: rules.jurisdiction,
+        ...normalized
+      });
+      return { session: summarize(session), settings: normalized };
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+     * Player's running session
+     * @param {string} playerId
+     * @returns {Promise<Object|null>} summarize() result with its settings, or null
+     */
+  async getActiveSession(playerId) {
+    const { rows } = await this.pool.query(
+      'SELECT * FROM autoplay_sessions WHERE player_id = $1 AND status = \'active\' ORDER BY started_at DESC LIMIT 1',
+      [playerId]
+    );
+    if (rows.length === 0) {
+      return null;
+    }
+    const session = this.fromRow(rows[0]);
+    return {
+      ...summarize(session),
+      settings: {
+        spinLimit: session.spinLimit,
+        lossLimit: session.lossLimit,
+        singleWinLimit: session.singleWinLimit,
+        balanceIncreaseLimit: session.balanceIncreaseLimit,
+        stopOnFeature: session.stopOnFeature
+      }
+    };
+  }
+
+  /**
+     * End a session
+     * @param {string} playerId
+     * @param {string} sessionId
+     * @param {string} reason - Stop reason (see config/autoplay STOP_REASONS)
+     * @returns {Promise<Object>} summarize() result
+     * @throws {Error} NotFoundError when the player has no such session
+     */
+  async stopSession(playerId, sessionId, reason = 'player_stopped') {
+    const { rows } = await this.pool.query(
+      `UPDATE autoplay_sessions
+       SET status = CASE WHEN status = 'active' THEN $3 ELSE status END,
+           stop_reason = CASE WHEN status = 'active' THEN $4 ELSE stop_reason END,
+           ended_at = COALESCE(ended_at, NOW())
+       WHERE id = $1 AND player_id = $2
+       RETURNING *`,
+      [sessionId, playerId, reason === 'spin_limit' ? 'completed' : 'stopped', reason]
+    );
+    if (rows.length === 0) {
+      throw autoplayError('NotFoundError', `Autoplay session not found: ${sessionId}`);
+    }
+    const session = this.fromRow(rows[0]);
+    auditLogger.info('Autoplay session ended', {
+      player_id: playerId,
+      autoplay_session_id: sessionId,
+      stop_reason: session.stopReason,
+      spins_played: session.spinsPlayed
+    });
+    return summarize(session);
+  }
+
+  /**
+     * Check an autoplay spin before it is charged; stops the session when it may not go ahead
+     * @param {Object} params - { playerId, sessionId, betAmount }
+     * @returns {Promise<Object|null>} Block ({ reason, message, sessionId, stopReason }) or null
+     */
+  async checkSpin({ playerId, sessionId, betAmount }) {
+    // Spins reach this before the request body is validated
+    const { rows } = UUID_PATTERN.test(String(sessionId)) && UUID_PATTERN.test(String(playerId))
+      ? await this.pool.query(
+        'SELECT * FROM autoplay_sessions WHERE id = $1 AND player_id = $2',
+        [sessionId, playerId]
+      )
+      : { rows: [] };
+    if (rows.length === 0) {
+      return {
+        reason: 'AUTOPLAY_SESSION_NOT_FOUND',
+        message: 'Autoplay session not found',
+        sessionId,
+        stopReason: null
+      };
+    }
+
+    const session = this.fromRow(rows[0]);
+    const stopReason = evaluateSpin(session, betAmount);
+    if (!stopReason) {
+      return null;
+    }
+    if (session.status === 'active') {
+      await this.stopSession(playerId, sessionId, stopReason);
+    }
+    return {
+      reason: 'AUTOPLAY_STOPPED',
+      message: STOP_MESSAGES[stopReason],
+      sessionId,
+      stopReason
+    };
+  }
+
+  /**
+     * Count a settled autoplay spin and stop the session when a condition is met
+     * @param {Object} params - { playerId, sessionId, betAmount, win, freeSpinsTriggered }
+     * @returns {Promise<Object|null>} summarize() result, or null when the session is not running
+     */
+  async recordSpin({ playerId, sessionId, betAmount, win, freeSpinsTriggered = false }) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const { rows } = await client.query(
+        'SELECT * FROM autoplay_sessions WHERE id = $1 AND player_id = $2 AND status = \'active\' FOR UPDATE',
+        [sessionId, playerId]
+      );
+      if (rows.length === 0) {
+        await client.query('ROLLBACK');
+        return null;
+      }
+
+      const session = this.fromRow(rows[0]);
+      const result = applySpin(session, { betAmount, win, freeSpinsTriggered });
+      const status = result.stopReason === null ? 'active' : (result.stopReason === 'spin_limit' ? 'completed' : 'stopped');
+      const { rows: [updated] } = await client.query(
+        `UPDATE autoplay_sessions
+         SET spins_played = $2, total_bet = $3, total_won = $4, status = $5, stop_reason = $6,
+             last_spin_at = NOW(), ended_at = CASE WHEN $5 = 'active' THEN NULL ELSE NOW() END
+         WHERE id = $1
+         RETURNING *`,
+        [sessionId, result.spinsPlayed, result.totalBet, result.totalWon, status, result.stopReason]
+      );
+      await client.query('COMMIT');
+
+      if (result.stopReason) {
+        auditLogger.info('Autoplay session ended', {
+          player_id: playerId,
+          autoplay_session_id: sessionId,
+          stop_reason: result.stopReason,
+          spins_played: result.spinsPlayed
+        });
+      }
+      return summarize(this.fromRow(updated));
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+const autoplayService = new AutoplayService();
+
+module.exports = autoplayService;
+module.exports.AutoplayService = AutoplayService;
+module.exports.STOP_MESSAGES = STOP_MESSAGES;
+module.exports.validateSettings = validateSettings;
+module.exports.evaluateSpin = evaluateSpin;
+module.exports.applySpin = applySpin;
+module.exports.summarize = summarize;
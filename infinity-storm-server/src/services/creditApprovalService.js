@@ -0,0 +1,346 @@
+/**
+ * Credit Approval Service
+ *
+ * Maker-checker for credit adjustments. Adjustments up to the approval
+ * threshold are applied at once by the admin controller (adjustCredits) and
+ * the wallet controller (adminAdjustBalance); larger ones are stored as
+ * pending requests in credit_adjustment_requests. A second admin, with a
+ * different account and the credits.approve permission, approves the request,
+ * which applies it, or rejects it. Requests nobody decides expire.
+ *
+ * The threshold (CREDIT_APPROVAL_THRESHOLD, 1000 by default) is in USD and
+ * scaled to the player's currency with the currency's scale, like the bet
+ * ladders. For 'set' adjustments the size is the change to the balance.
+ *
+ * Every request, decision and expiry is written to AdminLog.
+ */
+
+const { pool } = require('../db/pool');
+const { logger } = require('../utils/logger');
+const Player = require('../models/Player');
+const AdminLog = require('../models/AdminLog');
+const { getCurrencyConfig, roundToCurrency } = require('../config/currencies');
+
+const CHANNELS = ['admin_panel', 'wallet_api'];
+// add/subtract/set come from the admin panel; delta is the wallet API's signed amount
+const ADJUSTMENT_TYPES = ['add', 'subtract', 'set', 'delta'];
+const REQUEST_STATUSES = ['pending', 'approved', 'rejected', 'expired', 'failed'];
+const REASON_CODES = [
+  'goodwill', 'bonus_correction', 'game_malfunction', 'payment_correction',
+  'chargeback', 'account_closure', 'other'
+];
+const APPROVAL_THRESHOLD = parseFloat(process.env.CREDIT_APPROVAL_THRESHOLD) || 1000;
+const APPROVAL_TTL_HOURS = parseFloat(process.env.CREDIT_APPROVAL_TTL_HOURS) || 24;
+
+const approvalError = (name, message, details = null) => {
+  const error = new Error(message);
+  error.name = name;
+  error.details = details;
+  return error;
+};
+
+/**
+ * Apply an admin panel adjustment to a player's credits
+ * @param {Player} player - Player instance
+ * @param {string} type - add, subtract or set
+ * @param {number} amount - Amount in the player's currency
+ */
+const applyCreditChange = async (player, type, amount) => {
+  switch (type) {
+  case 'add':
+    await player.addCredits(amount);
+    break;
+  case 'subtract':
+    await player.deductCredits(amount);
+    break;
+  case 'set':
+    player.credits = amount;
+    await player.save({ fields: ['credits', 'updated_at'] });
+    break;
+  default:
+    throw approvalError('ValidationError', `Unknown adjustment type: ${type}`);
+  }
+};
+
+class CreditApprovalService {
+  constructor() {
+    this.pool = pool;
+  }
+
+  /**
+     * Largest adjustment applied without approval
+     * @param {string} currency - Player currency
+     * @returns {number} Threshold in that currency
+     */
+  getThreshold(currency) {
+    return roundToCurrency(APPROVAL_THRESHOLD * getCurrencyConfig(currency).scale, currency);
+  }
+
+  /**
+     * Whether an adjustment needs a second admin
+     * @param {Object} adjustment - { type, amount, balance (current credits), currency }
+     * @returns {boolean}
+     */
+  requiresApproval({ type, amount, balance, currency }) {
+    const size = type === 'set' ? Math.abs(amount - parseFloat(balance)) : Math.abs(amount);
+    return size > this.getThreshold(currency);
+  }
+
+  /**
+     * Store an adjustment for approval and log the request
+     * @param {Object} request - { playerId, channel, type, amount, currency, balance, reasonCode, reason,
+     *   metadata, requestedBy, requestedByName }
+     * @param {Object} context - { ip, userAgent } of the request, for AdminLog
+     * @returns {Promise<Object>} Pending request
+     */
+  async createRequest({
+    playerId, channel, type, amount, currency, balance, reasonCode = 'other', reason,
+    metadata = {}, requestedBy, requestedByName = null
+  }, context = {}) {
+    if (!CHANNELS.includes(channel)) {
+      throw approvalError('ValidationError', `channel must be one of ${CHANNELS.join(', ')}`);
+    }
+    if (!ADJUSTMENT_TYPES.includes(type)) {
+      throw approvalError('ValidationError', `type must be one of ${ADJUSTMENT_TYPES.join(', ')}`);
+    }
+    if (!REASON_CODES.includes(reasonCode)) {
+      throw approvalError('ValidationError', `reason code must be one of ${REASON_CODES.join(', ')}`);
+    }
+
+    const { rows: [request] } = await this.pool.query(
+      `INSERT INTO credit_adjustment_requests
+         (player_id, channel, adjustment_type, amount, currency, balance_at_request,
+          reason_code, reason, metadata, requested_by, requested_by_name, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW() + make_interval(secs => $12))
+       RETURNING *`,
+      [
+        playerId, channel, type, amount, currency, balance, reasonCode, reason,
+        JSON.stringify(metadata || {}), requestedBy, requestedByName, APPROVAL_TTL_HOURS * 3600
+      ]
+    );
+
+    await this.log('credit_adjustment_request', request, requestedBy, context, {
+      threshold: this.getThreshold(currency)
+    });
+    logger.info('Credit adjustment awaiting approval', {
+      request_id: request.id,
+      player_id: playerId,
+      channel,
+      adjustment_type: type,
+      amount,
+      requested_by: requestedBy
+    });
+    return request;
+  }
+
+  /**
+     * Requests, newest first; expires overdue requests first
+     * @param {Object} options - { status, playerId, limit }
+     * @returns {Promise<Array<Object>>} Requests with the player's username and the approver's account ID
+     */
+  async listRequests({ status = 'pending', playerId = null, limit = 50 } = {}) {
+    if (status && !REQUEST_STATUSES.includes(status)) {
+      throw approvalError('ValidationError', `status must be one of ${REQUEST_STATUSES.join(', ')}`);
+    }
+    await this.expireOverdue();
+    const { rows } = await this.pool.query(
+      `SELECT r.*, p.username, p.credits AS current_balance, a.account_id AS decided_by_name
+       FROM credit_adjustment_requests r
+       JOIN players p ON p.id = r.player_id
+       LEFT JOIN admins a ON a.id = r.decided_by
+       WHERE ($1::text IS NULL OR r.status = $1)
+         AND ($2::uuid IS NULL OR r.player_id = $2)
+       ORDER BY r.created_at DESC
+       LIMIT $3`,
+      [status || null, playerId, limit]
+    );
+    return rows;
+  }
+
+  /**
+     * Number of pending requests that have not expired
+     * @returns {Promise<number>}
+     */
+  async countPending() {
+    const { rows: [row] } = await this.pool.query(
+      'SELECT COUNT(*) AS count FROM credit_adjustment_requests WHERE status = \'pending\' AND expires_at > NOW()'
+    );
+    return parseInt(row.count);
+  }
+
+  /**
+     * Request by ID
+     * @param {string} requestId
+     * @returns {Promise<Object|null>}
+     */
+  async findRequest(requestId) {
+    const { rows: [request] } = await this.pool.query(
+      'SELECT * FROM credit_adjustment_requests WHERE id = $1',
+      [requestId]
+    );
+    return request || null;
+  }
+
+  /**
+     * Mark pending requests past their expiry as expired and log each one
+     * @returns {Promise<Array<Object>>} Expired requests
+     */
+  async expireOverdue() {
+    const { rows } = await this.pool.query(
+      `UPDATE credit_adjustment_requests
+       SET status = 'expired'
+       WHERE status = 'pending' AND expires_at <= NOW()
+       RETURNING *`
+    );
+    for (const request of rows) {
+      await this.log('credit_adjustment_expiry', request, request.requested_by, {});
+      logger.info('Credit adjustment request expired', { request_id: request.id, player_id: request.player_id });
+    }
+    return rows;
+  }
+
+  /**
+     * Approve a pending request and apply the adjustment
+     * @param {string} requestId
+     * @param {Object} decision - { adminId, note }
+     * @param {Object} context - { ip, userAgent }
+     * @returns {Promise<Object>} The request, approved (with its result) or failed (with the error)
+     */
+  async approve(requestId, { adminId, note = null }, context = {}) {
+    let request = await this.claim(requestId, 'approved', { adminId, note });
+
+    try {
+      const result = await this.execute(request, adminId);
+      request = await this.saveResult(request.id, 'approved', result);
+      await this.log('credit_adjustment_approval', request, adminId, context, { result });
+    } catch (error) {
+      request = await this.saveResult(request.id, 'failed', { error: error.message });
+      await this.log('credit_adjustment_approval', request, adminId, context, { error: error.message }, error.message);
+      logger.error('Approved credit adjustment could not be applied', { request_id: request.id, error: error.message });
+    }
+    return request;
+  }
+
+  /**
+     * Reject a pending request
+     * @param {string} requestId
+     * @param {Object} decision - { adminId, note }
+     * @param {Object} context - { ip, userAgent }
+     * @returns {Promise<Object>} Rejected request
+     */
+  async reject(requestId, { adminId, note = null }, context = {}) {
+    const request = await this.claim(requestId, 'rejected', { adminId, note });
+    await this.log('credit_adjustment_rejection', request, adminId, context);
+    return request;
+  }
+
+  /**
+     * Move a pending request to its decision; the requester cannot decide their own request
+     * @private
+     */
+  async claim(requestId, status, { adminId, note }) {
+    const existing = await this.findRequest(requestId);
+    if (!existing) {
+      throw approvalError('NotFoundError', 'Adjustment request not found');
+    }
+    if (existing.requested_by === adminId) {
+      throw approvalError('ForbiddenError', 'A second admin must decide this request');
+    }
+
+    const { rows: [request] } = await this.pool.query(
+      `UPDATE credit_adjustment_requests
+       SET status = $2, decided_by = $3, decision_note = $4, decided_at = NOW()
+       WHERE id = $1 AND status = 'pending' AND expires_at > NOW()
+       RETURNING *`,
+      [requestId, status, adminId, note]
+    );
+    if (!request) {
+      await this.expireOverdue();
+      const { status: current } = await this.findRequest(requestId);
+      throw approvalError('ConflictError', `Adjustment request is ${current}`, { status: current });
+    }
+    return request;
+  }
+
+  /**
+     * Apply an approved request through the path it came from
+     * @private
+     */
+  async execute(request, approvedBy) {
+    const amount = parseFloat(request.amount);
+
+    if (request.channel === 'wallet_api') {
+      // Lazy require: walletService loads the transaction models this service does not need otherwise
+      const WalletService = require('./walletService');
+      const { transaction, balance } = await WalletService.processAdminAdjustment({
+        player_id: request.player_id,
+        amount,
+        reason: request.reason,
+        admin_id: request.requested_by,
+        metadata: { ...request.metadata, reason_code: request.reason_code, approval_request_id: request.id, approved_by: approvedBy }
+      });
+      return { transaction_id: transaction.id, previous_balance: balance.previous, new_balance: balance.current };
+    }
+
+    const player = await Player.findByPk(request.player_id);
+    if (!player) {
+      throw approvalError('NotFoundError', 'Player not found');
+    }
+    const previousBalance = player.credits;
+    await applyCreditChange(player, request.adjustment_type, amount);
+    return { previous_balance: previousBalance, new_balance: player.credits };
+  }
+
+  /**
+     * @private
+     */
+  async saveResult(requestId, status, result) {
+    const { rows: [request] } = await this.pool.query(
+      'UPDATE credit_adjustment_requests SET status = $2, result = $3 WHERE id = $1 RETURNING *',
+      [requestId, status, JSON.stringify(result)]
+    );
+    return request;
+  }
+
+  /**
+     * AdminLog entry for a request event
+     * @private
+     */
+  async log(actionType, request, adminId, context, extra = {}, errorMessage = null) {
+    const entry = {
+      admin_id: adminId,
+      action_type: actionType,
+      target_player_id: request.player_id,
+      details: {
+        request_id: request.id,
+        channel: request.channel,
+        adjustment_type: request.adjustment_type,
+        amount: parseFloat(request.amount),
+        currency: request.currency,
+        reason_code: request.reason_code,
+        reason: request.reason,
+        requested_by: request.requested_by,
+        status: request.status,
+        decision_note: request.decision_note || null,
+        expires_at: request.expires_at,
+        ...extra
+      },
+      ip_address: context.ip || null,
+      user_agent: context.userAgent || null
+    };
+    return errorMessage
+      ? AdminLog.logFailure({ ...entry, error_message: errorMessage })
+      : AdminLog.logSuccess(entry);
+  }
+}
+
+const creditApprovalService = new CreditApprovalService();
+
+module.exports = creditApprovalService;
+module.exports.CreditApprovalService = CreditApprovalService;
+module.exports.applyCreditChange = applyCreditChange;
+module.exports.CHANNELS = CHANNELS;
+module.exports.REQUEST_STATUSES = REQUEST_STATUSES;
+module.exports.REASON_CODES = REASON_CODES;
+module.exports.APPROVAL_THRESHOLD = APPROVAL_THRESHOLD;
+module.exports.APPROVAL_TTL_HOURS = APPROVAL_TTL_HOURS;
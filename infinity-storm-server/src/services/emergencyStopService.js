@@ -0,0 +1,188 @@
+/**
+ * Emergency Stop Service
+ *
+ * Game-wide halt of play. While a stop is active gameValidation refuses
+ * /api/spin and /api/buy-feature with a 503 GAME_HALTED; balances, history and
+ * admin pages stay available.
+ *
+ * A stop is started by an admin (POST /api/admin/emergency-stop) or by the RTP
+ * monitor's kill switch, and only an admin releases it. The active stop is the
+ * emergency_stops row without released_at, so every server process sees it;
+ * each process re-reads it at most every STATUS_CACHE_TTL_MS and keeps the last
+ * known state when the database cannot be reached.
+ *
+ * Events: 'activated' (stop) and 'released' (stop).
+ */
+
+const EventEmitter = require('events');
+const { pool } = require('../db/pool');
+const { logger, auditLogger } = require('../utils/logger');
+
+const STATUS_CACHE_TTL_MS = parseInt(process.env.EMERGENCY_STOP_CACHE_MS) || 5000;
+const STOP_SOURCES = ['admin', 'rtp_monitor'];
+
+const stopError = (name, message, details = null) => {
+  const error = new Error(message);
+  error.name = name;
+  error.details = details;
+  return error;
+};
+
+class EmergencyStopService extends EventEmitter {
+  constructor() {
+    super();
+    this.pool = pool;
+    this.activeStop = null;
+    this.loadedAt = 0;
+  }
+
+  fromRow(row) {
+    return {
+      id: row.id,
+      reason: row.reason,
+      source: row.source,
+      details: row.details || null,
+      activatedBy: row.activated_by || null,
+      activatedAt: row.activated_at,
+      releasedBy: row.released_by || null,
+      releasedAt: row.released_at || null,
+      releaseReason: row.release_reason || null
+    };
+  }
+
+  /**
+     * Stop in force, if any
+     * @param {Object} options - { refresh: skip the cache }
+     * @returns {Promise<Object|null>} Active stop
+     */
+  async getActiveStop({ refresh = false } = {}) {
+    if (!refresh && Date.now() - this.loadedAt < STATUS_CACHE_TTL_MS) {
+      return this.activeStop;
+    }
+
+    try {
+      const { rows } = await this.pool.query(
+        'SELECT * FROM emergency_stops WHERE released_at IS NULL ORDER BY activated_at DESC LIMIT 1'
+      );
+      // A stop that could not be recorded holds this process until an admin releases it
+      const unrecorded = this.activeStop && !this.activeStop.id ? this.activeStop : null;
+      this.activeStop = rows[0] ? this.fromRow(rows[0]) : unrecorded;
+      this.loadedAt = Date.now();
+    } catch (error) {
+      logger.warn('Failed to read emergency stop state, keeping the last known state', {
+        error: error.message,
+        active: Boolean(this.activeStop)
+      });
+    }
+    return this.activeStop;
+  }
+
+  /**
+     * @returns {Promise<boolean>} True while play is halted
+     */
+  async isActive() {
+    return Boolean(await this.getActiveStop());
+  }
+
+  /**
+     * Halt play; a stop that is already active is returned as-is
+     * @param {Object} options - { reason, source: 'admin' | 'rtp_monitor', adminId, details }
+     * @returns {Promise<Object>} { stop, alreadyActive }
+     */
+  async activate({ reason, source = 'admin', adminId = null, details = null }) {
+    if (typeof reason !== 'string' || reason.trim().length === 0) {
+      throw stopError('ValidationError', 'A reason is required to stop the game');
+    }
+    if (!STOP_SOURCES.includes(source)) {
+      throw stopError('ValidationError', `source must be one of ${STOP_SOURCES.join(', ')}`);
+    }
+
+    const existing = await this.getActiveStop({ refresh: true });
+    if (existing) {
+      return { stop: existing, alreadyActive: true };
+    }
+
+    let stop;
+    try {
+      // The partial unique index admits one active row; a concurrent stop wins the race
+      const { rows } = await this.pool.query(
+        `INSERT INTO emergency_stops (reason, source, details, activated_by)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT DO NOTHING
+         RETURNING *`,
+        [reason.trim(), source, details ? JSON.stringify(details) : null, adminId]
+      );
+      if (!rows[0]) {
+        return { stop: await this.getActiveStop({ refresh: true }), alreadyActive: true };
+      }
+      stop = this.fromRow(rows[0]);
+    } catch (error) {
+      // Halt this process even when the stop cannot be recorded
+      logger.error('Failed to record emergency stop; halting this process only', { error: error.message });
+      stop = {
+        id: null,
+        reason: reason.trim(),
+        source,
+        details,
+        activatedBy: adminId,
+        activatedAt: new Date(),
+        releasedBy: null,
+        releasedAt: null,
+        releaseReason: null
+      };
+    }
+
+    this.activeStop = stop;
+    this.loadedAt = Date.now();
+    auditLogger.warn('Emergency stop activated', {
+      stop_id: stop.id,
+      source,
+      reason: stop.reason,
+      admin_id: adminId
+    });
+    this.emit('activated', stop);
+    return { stop, alreadyActive: false };
+  }
+
+  /**
+     * Resume play
+     * @param {Object} options - { adminId, reason }
+     * @returns {Promise<Object>} Released stop
+     */
+  async release({ adminId = null, reason = null } = {}) {
+    const active = await this.getActiveStop({ refresh: true });
+    if (!active) {
+      throw stopError('NotFoundError', 'No emergency stop is active');
+    }
+
+    let released = { ...active, releasedBy: adminId, releasedAt: new Date(), releaseReason: reason };
+    if (active.id) {
+      const { rows } = await this.pool.query(
+        `UPDATE emergency_stops
+         SET released_at = NOW(), released_by = $2, release_reason = $3
+         WHERE id = $1 AND released_at IS NULL
+         RETURNING *`,
+        [active.id, adminId, reason]
+      );
+      if (rows[0]) {
+        released = this.fromRow(rows[0]);
+      }
+    }
+
+    this.activeStop = null;
+    this.loadedAt = Date.now();
+    auditLogger.warn('Emergency stop released', {
+      stop_id: released.id,
+      admin_id: adminId,
+      reason
+    });
+    this.emit('released', released);
+    return released;
+  }
+}
+
+const emergencyStopService = new EmergencyStopService();
+
+module.exports = emergencyStopService;
+module.exports.EmergencyStopService = EmergencyStopService;
+module.exports.STOP_SOURCES = STOP_SOURCES;
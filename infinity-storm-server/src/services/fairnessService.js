@@ -0,0 +1,274 @@
+/**
+ * Fairness Service
+ *
+ * Persists provably fair seed pairs (fairness_seeds table) and links them to
+ * spin results. The active server seed is never returned to callers; only its
+ * SHA-256 commitment is exposed until the pair is rotated and revealed.
+ */
+
+const { pool } = require('../db/pool');
+const { logger } = require('../utils/logger');
+const { getProvablyFair, createProvablyFair } = require('../game/provablyFair');
+const { getBuiltinModel, toEngineOptions } = require('../game/mathModel');
+const mathModelService = require('./mathModelService');
+
+const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class FairnessService {
+  constructor() {
+    this.pool = pool;
+    this.protocol = getProvablyFair();
+    this.modelProtocols = new Map();
+  }
+
+  /**
+     * Protocol instance that recomputes spins with the math model they were played under
+     * @param {string|null} mathModelId - spin_results.math_model_id
+     * @returns {Promise<ProvablyFair|null>} Protocol, or null when the model is unavailable
+     */
+  async getProtocolForModel(mathModelId) {
+    if (!mathModelId || mathModelId === getBuiltinModel().id) {
+      return this.protocol;
+    }
+
+    if (!this.modelProtocols.has(mathModelId)) {
+      const model = await mathModelService.getModel(mathModelId);
+      if (!model || !model.checksumValid) {
+        return null;
+      }
+      this.modelProtocols.set(mathModelId, createProvablyFair(toEngineOptions(model)));
+    }
+    return this.modelProtocols.get(mathModelId);
+  }
+
+  /**
+     * Whether the player can hold a persistent seed pair (demo players cannot)
+     * @param {string} playerId - Player ID
+     * @returns {boolean} True for real player UUIDs
+     */
+  isEligiblePlayer(playerId) {
+    return typeof playerId === 'string' && uuidRegex.test(playerId);
+  }
+
+  /**
+     * Public view of a seed pair (hides the server seed while active)
+     * @param {Object} row - fairness_seeds row
+     * @returns {Object} Commitment data
+     */
+  toCommitment(row) {
+    return {
+      seedPairId: row.id,
+      serverSeedHash: row.server_seed_hash,
+      clientSeed: row.client_seed,
+      nonce: Number(row.nonce),
+      status: row.status,
+      createdAt: row.created_at,
+      revealedAt: row.revealed_at || null,
+      serverSeed: row.status === 'revealed' ? row.server_seed : undefined
+    };
+  }
+
+  /**
+     * Insert a new active seed pair for a player
+     * @param {Object} client - pg client or pool
+     * @param {string} playerId - Player ID
+     * @param {string} clientSeed - Optional client seed
+     * @returns {Promise<Object>} Inserted row
+     */
+  async createSeedPair(client, playerId, clientSeed = null) {
+    const serverSeed = this.protocol.generateServerSeed();
+    const { rows } = await client.query(
+      `INSERT INTO fairness_seeds (player_id, server_seed, server_seed_hash, client_seed)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (player_id) WHERE status = 'active' DO NOTHING
+       RETURNING *`,
+      [
+        playerId,
+        serverSeed,
+        this.protocol.hashServerSeed(serverSeed),
+        clientSeed || this.protocol.generateClientSeed()
+      ]
+    );
+
+    if (rows.length > 0) {
+      return rows[0];
+    }
+
+    // Another request created the pair concurrently
+    const existing = await client.query(
+      'SELECT * FROM fairness_seeds WHERE player_id = $1 AND status = \'active\'',
+      [playerId]
+    );
+    return existing.rows[0];
+  }
+
+  /**
+     * Get the player's active seed commitment, creating one on first use
+     * @param {string} playerId - Player ID
+     * @returns {Promise<Object>} Commitment data
+     */
+  async getActiveCommitment(playerId) {
+    const { rows } = await this.pool.query(
+      'SELECT * FROM fairness_seeds WHERE player_id = $1 AND status = \'active\'',
+      [playerId]
+    );
+    const row = rows[0] || await this.createSeedPair(this.pool, playerId);
+    return this.toCommitment(row);
+  }
+
+  /**
+     * Reserve the next nonce and derive the rng seed for a spin
+     * @param {string} playerId - Player ID
+     * @returns {Promise<Object>} { rngSeed, seedPairId, nonce, serverSeedHash, clientSeed }
+     */
+  async reserveSpinSeed(playerId) {
+    const reserveQuery = `
+      UPDATE fairness_seeds
+      SET nonce = nonce + 1
+      WHERE player_id = $1 AND status = 'active'
+      RETURNING id, server_seed, server_seed_hash, client_seed, nonce - 1 AS nonce
+    `;
+
+    let { rows } = await this.pool.query(reserveQuery, [playerId]);
+    if (rows.length === 0) {
+      await this.createSeedPair(this.pool, playerId);
+      ({ rows } = await this.pool.query(reserveQuery, [playerId]));
+    }
+
+    const row = rows[0];
+    if (!row) {
+      throw new Error('Unable to reserve fairness seed');
+    }
+
+    const nonce = Number(row.nonce);
+    return {
+      rngSeed: this.protocol.deriveSpinSeed(row.server_seed, row.client_seed, nonce),
+      seedPairId: row.id,
+      nonce,
+      serverSeedHash: row.server_seed_hash,
+      clientSeed: row.client_seed
+    };
+  }
+
+  /**
+     * Reveal the active server seed and start a new pair
+     * @param {string} playerId - Player ID
+     * @param {string} clientSeed - Optional client seed for the new pair (keeps the old one otherwise)
+     * @returns {Promise<Object>} { revealed, active }
+     */
+  async rotateSeedPair(playerId, clientSeed = null) {
+    if (clientSeed !== null && !this.protocol.isValidClientSeed(clientSeed)) {
+      const error = new Error('Client seed must be 1-64 characters of letters, digits, "_" or "-"');
+      error.name = 'ValidationError';
+      throw error;
+    }
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      const { rows } = await client.query(
+        `UPDATE fairness_seeds
+         SET status = 'revealed', revealed_at = NOW()
+         WHERE player_id = $1 AND status = 'active'
+         RETURNING *`,
+        [playerId]
+      );
+      const revealed = rows[0] || null;
+
+      const nextClientSeed = clientSeed || (revealed ? revealed.client_seed : null);
+      const active = await this.createSeedPair(client, playerId, nextClientSeed);
+
+      await client.query('COMMIT');
+
+      logger.info('Fairness seed pair rotated', {
+        player_id: playerId,
+        revealed_seed_pair: revealed ? revealed.id : null,
+        active_seed_pair: active.id
+      });
+
+      return {
+        revealed: revealed ? this.toCommitment(revealed) : null,
+        active: this.toCommitment(active)
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+     * List a player's revealed seed pairs, newest first
+     * @param {string} playerId - Player ID
+     * @param {number} limit - Maximum rows
+     * @returns {Promise<Array<Object>>} Revealed pairs
+     */
+  async getRevealedSeedPairs(playerId, limit = 20) {
+    const { rows } = await this.pool.query(
+      `SELECT * FROM fairness_seeds
+       WHERE player_id = $1 AND status = 'revealed'
+       ORDER BY revealed_at DESC
+       LIMIT $2`,
+      [playerId, limit]
+    );
+    return rows.map(row => this.toCommitment(row));
+  }
+
+  /**
+     * Verify a stored spin for the owning player
+     * @param {string} playerId - Player ID
+     * @param {string} spinId - spin_results UUID
+     * @returns {Promise<Object>} { status, ... } where status is
+     *   'not_found' | 'not_verifiable' | 'pending_reveal' | 'verified' | 'mismatch'
+     */
+  async verifySpin(playerId, spinId) {
+    const spinRes = await this.pool.query(
+      `SELECT id, player_id, bet_amount, initial_grid, cascades, total_win,
+              multipliers_applied, rng_seed, game_mode, fairness_seed_id, fairness_nonce,
+              math_model_id, replay_context, created_at
+       FROM spin_results
+       WHERE id = $1 AND player_id = $2`,
+      [spinId, playerId]
+    );
+    const spin = spinRes.rows[0];
+
+    if (!spin) {
+      return { status: 'not_found' };
+    }
+
+    if (!spin.fairness_seed_id || spin.fairness_nonce === null) {
+      return { status: 'not_verifiable', spinId: spin.id };
+    }
+
+    const seedRes = await this.pool.query(
+      'SELECT * FROM fairness_seeds WHERE id = $1',
+      [spin.fairness_seed_id]
+    );
+    const seedPair = seedRes.rows[0];
+
+    if (!seedPair) {
+      return { status: 'not_verifiable', spinId: spin.id };
+    }
+
+    if (seedPair.status !== 'revealed') {
+      return {
+        status: 'pending_reveal',
+        spinId: spin.id,
+        nonce: Number(spin.fairness_nonce),
+        commitment: this.toCommitment(seedPair)
+      };
+    }
+
+    const protocol = await this.getProtocolForModel(spin.math_model_id);
+    if (!protocol) {
+      return { status: 'not_verifiable', spinId: spin.id };
+    }
+
+    const report = await protocol.verifySpin(spin, seedPair);
+    return { status: report.verified ? 'verified' : 'mismatch', ...report };
+  }
+}
+
+module.exports = new FairnessService();
@@ -0,0 +1,323 @@
+/**
+ * Feature Flag Service
+ *
+ * Persistence and audit for the flag registry in config/featureFlags.js.
+ * Admin changes are written to feature_flags (the rule in force) and
+ * feature_flag_history (who changed what, when and why) before they take effect,
+ * so they survive restarts. A flag without a feature_flags row uses its default
+ * (definition, then FEATURE_<NAME> environment variable).
+ *
+ * Every process re-reads the table on refresh(), which server.js runs at
+ * startup and then every FEATURE_FLAG_REFRESH_MS; a change made on one
+ * instance reaches the others within that interval. When the database cannot
+ * be read the last loaded rules stay in force.
+ *
+ * Events: 'changed' ({ flags, source: 'admin' | 'refresh' }).
+ */
+
+const EventEmitter = require('events');
+const { pool } = require('../db/pool');
+const { logger } = require('../utils/logger');
+const jwtAuth = require('../auth/jwt');
+const { featureFlags, CATEGORY_FLAGS, segmentsFor } = require('../config/featureFlags');
+
+const REFRESH_INTERVAL_MS = parseInt(process.env.FEATURE_FLAG_REFRESH_MS) || 30 * 1000;
+const MAX_HISTORY = 200;
+
+const flagServiceError = (name, message, details = null) => {
+  const error = new Error(message);
+  error.name = name;
+  error.details = details;
+  return error;
+};
+
+class FeatureFlagService extends EventEmitter {
+  constructor() {
+    super();
+    this.pool = pool;
+    this.registry = featureFlags;
+    // Changes made by this process, for when feature_flag_history cannot be read
+    this.flagHistory = [];
+    this.loadedAt = null;
+  }
+
+  fromRow(row) {
+    return {
+      enabled: row.enabled,
+      rolloutPercent: Number(row.rollout_percent),
+      segments: row.segments || [],
+      environments: row.environments || []
+    };
+  }
+
+  historyFromRow(row) {
+    return {
+      id: row.id,
+      flag: row.flag_name,
+      oldValue: row.old_value,
+      newValue: row.new_value,
+      reason: row.reason,
+      changedBy: row.changed_by_name || null,
+      timestamp: row.created_at
+    };
+  }
+
+  /**
+     * Load stored rules into the registry; flags without a row go back to their default
+     * @returns {Promise<string[]>} Names of the flags whose rule changed
+     */
+  async refresh() {
+    let rows;
+    try {
+      ({ rows } = await this.pool.query('SELECT * FROM feature_flags'));
+    } catch (error) {
+      logger.warn('Failed to load feature flags, keeping the current rules', { error: error.message });
+      return [];
+    }
+
+    const stored = new Map(rows.map(row => [row.name, row]));
+    const changed = [];
+
+    Object.keys(this.registry.flags).forEach(flagName => {
+      const row = stored.get(flagName);
+      let rule = this.registry.getDefaultRule(flagName);
+      if (row) {
+        try {
+          rule = this.registry.buildRule(flagName, this.fromRow(row));
+        } catch (error) {
+          logger.warn('Stored feature flag rule is invalid, using the default', { flag: flagName, error: error.message });
+        }
+      }
+
+      if (JSON.stringify(rule) !== JSON.stringify(this.registry.flags[flagName])) {
+        this.registry.applyRule(flagName, rule);
+        changed.push(flagName);
+      }
+    });
+
+    this.loadedAt = new Date();
+    if (changed.length > 0) {
+      logger.info('Feature flags loaded', { changed });
+      this.emit('changed', { flags: changed, source: 'refresh' });
+    }
+    return changed;
+  }
+
+  /**
+     * Change a flag's rule, persist it with an audit record and apply it
+     * @param {string} flagName
+     * @param {Object} changes - Any of { enabled, rolloutPercent, segments, environments }
+     * @param {Object} actor - { adminId, adminName, reason }
+     * @returns {Promise<Object>} { flag, previous, rule }
+     */
+  async setFlag(flagName, changes, { adminId = null, adminName = null, reason = null } = {}) {
+    const previous = this.registry.getRule(flagName);
+    const rule = this.registry.buildRule(flagName, changes);
+
+    await this.persist(flagName, previous, rule, { adminId, adminName, reason }, async (client) => {
+      await client.query(
+        `INSERT INTO feature_flags (name, enabled, rollout_percent, segments, environments, updated_by, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, NOW())
+         ON CONFLICT (name) DO UPDATE SET
+           enabled = EXCLUDED.enabled,
+           rollout_percent = EXCLUDED.rollout_percent,
+           segments = EXCLUDED.segments,
+           environments = EXCLUDED.environments,
+           updated_by = EXCLUDED.updated_by,
+           updated_at = NOW()`,
+        [flagName, rule.enabled, rule.rolloutPercent, JSON.stringify(rule.segments),
+          JSON.stringify(rule.environments), adminId]
+      );
+    });
+
+    return { flag: flagName, previous, rule };
+  }
+
+  /**
+     * Drop an admin change so the flag uses its default again
+     * @param {string} flagName
+     * @param {Object} actor - { adminId, adminName, reason }
+     * @returns {Promise<Object>} { flag, previous, rule }
+     */
+  async resetFlag(flagName, { adminId = null, adminName = null, reason = null } = {}) {
+    const previous = this.registry.getRule(flagName);
+    const rule = this.registry.getDefaultRule(flagName);
+
+    await this.persist(flagName, previous, rule, { adminId, adminName, reason: reason || 'Reset to default' }, async (client) => {
+      await client.query('DELETE FROM feature_flags WHERE name = $1', [flagName]);
+    });
+
+    return { flag: flagName, previous, rule };
+  }
+
+  /**
+     * Bulk enable/disable the flags of a category
+     * @param {string} category - 'debug', 'security', 'performance' or 'sync'
+     * @param {boolean} enabled
+     * @param {Object} actor - { adminId, adminName, reason }
+     * @returns {Promise<Object[]>} One setFlag() result per flag
+     */
+  async setCategoryFlags(category, enabled, actor = {}) {
+    const flagsInCategory = CATEGORY_FLAGS[String(category).toLowerCase()];
+    if (!flagsInCategory) {
+      throw flagServiceError('ValidationError', `FeatureFlag: Unknown category '${category}'`);
+    }
+
+    const results = [];
+    for (const flagName of flagsInCategory) {
+      results.push(await this.setFlag(flagName, { enabled }, {
+        ...actor,
+        reason: `${actor.reason || 'Manual toggle'} (category '${category}')`
+      }));
+    }
+    return results;
+  }
+
+  /**
+     * Write the rule change and its history row in one transaction, then apply it
+     * @private
+     */
+  async persist(flagName, previous, rule, { adminId, adminName, reason }, writeRule) {
+    const client = await this.pool.connect();
+    let historyRow;
+    try {
+      await client.query('BEGIN');
+      await writeRule(client);
+      const { rows } = await client.query(
+        `INSERT INTO feature_flag_history (flag_name, old_value, new_value, reason, changed_by, changed_by_name)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING *`,
+        [flagName, JSON.stringify(previous), JSON.stringify(rule), reason, adminId, adminName]
+      );
+      historyRow = rows[0];
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    this.registry.applyRule(flagName, rule);
+    this.flagHistory.push(historyRow ? this.historyFromRow(historyRow) : {
+      flag: flagName, oldValue: previous, newValue: rule, reason, changedBy: adminName, timestamp: new Date()
+    });
+    if (this.flagHistory.length > MAX_HISTORY) {
+      this.flagHistory.shift();
+    }
+
+    logger.info(`FeatureFlag: ${flagName} changed - ${reason || 'no reason given'}`, {
+      flag: flagName,
+      previous,
+      rule,
+      admin: adminName
+    });
+    this.emit('changed', { flags: [flagName], source: 'admin' });
+  }
+
+  /**
+     * Recent flag changes, newest first
+     * @param {Object} options - { flagName, limit }
+     * @returns {Promise<Object[]>}
+     */
+  async getHistory({ flagName = null, limit = 20 } = {}) {
+    const cappedLimit = Math.min(Math.max(1, parseInt(limit) || 20), MAX_HISTORY);
+    try {
+      const { rows } = await this.pool.query(
+        `SELECT * FROM feature_flag_history
+         WHERE ($1::text IS NULL OR flag_name = $1)
+         ORDER BY created_at DESC, id DESC
+         LIMIT $2`,
+        [flagName, cappedLimit]
+      );
+      return rows.map(row => this.historyFromRow(row));
+    } catch (error) {
+      logger.warn('Failed to read feature flag history, returning this process\'s changes', { error: error.message });
+      return this.flagHistory
+        .filter(entry => !flagName || entry.flag === flagName)
+        .slice(-cappedLimit)
+        .reverse();
+    }
+  }
+
+  /**
+     * Evaluation context of a loaded player: id and segments
+     * @param {Object} player - Player or players row
+     * @returns {Object} { playerId, segments }
+     */
+  contextFor(player) {
+    return player ? { playerId: player.id, segments: segmentsFor(player) } : {};
+  }
+
+  /**
+     * Evaluation context of a player by id
+     * @param {string} playerId
+     * @returns {Promise<Object>} { playerId, segments }
+     */
+  async contextForPlayer(playerId) {
+    if (!playerId) {
+      return {};
+    }
+    try {
+      const { rows } = await this.pool.query(
+        'SELECT id, is_demo, is_admin, currency, created_at FROM players WHERE id = $1',
+        [playerId]
+      );
+      return rows[0] ? this.contextFor(rows[0]) : { playerId, segments: [] };
+    } catch (error) {
+      logger.warn('Failed to load player for feature flags', { player_id: playerId, error: error.message });
+      return { playerId, segments: [] };
+    }
+  }
+
+  /**
+     * Evaluation context from a player access token; anonymous when missing or invalid
+     * @param {string} [token]
+     * @returns {Promise<Object>}
+     */
+  async contextForToken(token) {
+    if (!token) {
+      return {};
+    }
+    try {
+      const decoded = jwtAuth.verifyAccessToken(token);
+      return await this.contextForPlayer(decoded.player_id);
+    } catch {
+      // Expired or forged tokens get the anonymous flags
+      return {};
+    }
+  }
+
+  /**
+     * Client flags for a context (see FeatureFlags.getClientFlags)
+     * @param {Object} [context]
+     * @returns {Object}
+     */
+  getClientFlags(context = {}) {
+    return this.registry.getClientFlags(context);
+  }
+
+  /**
+     * Script that hands the client flags to the page as window.GameConfig.featureFlags,
+     * or to window.FeatureFlags when the client already started
+     * @param {Object} [context]
+     * @returns {string}
+     */
+  getClientScript(context = {}) {
+    const flags = JSON.stringify(this.getClientFlags(context));
+    return [
+      'window.GameConfig = window.GameConfig || {};',
+      `window.GameConfig.featureFlags = ${flags};`,
+      'if (window.FeatureFlags && window.FeatureFlags.applyServerFlags) {',
+      '  window.FeatureFlags.applyServerFlags(window.GameConfig.featureFlags);',
+      '}',
+      ''
+    ].join('\n');
+  }
+}
+
+const featureFlagService = new FeatureFlagService();
+
+module.exports = featureFlagService;
+module.exports.FeatureFlagService = FeatureFlagService;
+module.exports.REFRESH_INTERVAL_MS = REFRESH_INTERVAL_MS;
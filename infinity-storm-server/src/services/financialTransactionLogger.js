@@ -116,7 +116,7 @@ async function logBetDeduction(playerId, amount, balanceBefore, balanceAfter, sp
 /**
  * Log win payout
  */
-async function logWinPayout(playerId, amount, balanceBefore, balanceAfter, spinId = null) {
+async function logWinPayout(playerId, amount, balanceBefore, balanceAfter, spinId = null, extraMetadata = null) {
   return logFinancialTransaction({
     playerId,
     transactionType: 'win_payout',
@@ -126,7 +126,41 @@ async function logWinPayout(playerId, amount, balanceBefore, balanceAfter, spinI
     referenceId: spinId,
     referenceType: spinId ? 'spin_result' : null,
     description: `Win payout of ${amount} credits`,
-    metadata: { spin_id: spinId }
+    metadata: { spin_id: spinId, ...extraMetadata }
+  });
+}
+
+/**
+ * Log refund of a bet whose spin did not complete
+ */
+async function logBetRefund(playerId, amount, balanceBefore, balanceAfter, spinId, reason) {
+  return logFinancialTransaction({
+    playerId,
+    transactionType: 'bet_refund',
+    amount: Math.abs(amount), // Ensure positive
+    balanceBefore,
+    balanceAfter,
+    referenceId: spinId,
+    referenceType: 'spin_round',
+    description: `Bet refund of ${Math.abs(amount)} credits: ${reason}`,
+    metadata: { spin_id: spinId, reason }
+  });
+}
+
+/**
+ * Log a spin round state change that moved no money (e.g. an abandoned round closed by reconciliation)
+ */
+async function logSpinReconciliation(playerId, spinId, action, balance, metadata = null) {
+  return logFinancialTransaction({
+    playerId,
+    transactionType: 'spin_reconciliation',
+    amount: 0,
+    balanceBefore: balance,
+    balanceAfter: balance,
+    referenceId: spinId,
+    referenceType: 'spin_round',
+    description: `Spin round ${action}`,
+    metadata: { spin_id: spinId, action, ...metadata }
   });
 }
 
@@ -219,6 +253,8 @@ module.exports = {
   logFinancialTransaction,
   logBetDeduction,
   logWinPayout,
+  logBetRefund,
+  logSpinReconciliation,
   logFreeSpinsPurchase,
   logPortalDeposit,
   logPortalWithdrawal,
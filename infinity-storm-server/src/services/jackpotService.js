@@ -0,0 +1,437 @@
+/**
+ * Jackpot Service
+ *
+ * Persists the progressive jackpot tiers (jackpots table, see game/jackpots.js),
+ * records every bet's contribution and pays winners.
+ *
+ * A paid spin contributes inside the spin's database transaction: the tier rows
+ * are locked, grown and, when a tier reaches its hit value, reset to the seed
+ * value with a new hit value and a pending jackpot_awards row. Once the spin has
+ * committed the award is settled: walletService.processWin credits the player
+ * and the award is marked paid in the same Sequelize transaction, so an award is
+ * either paid exactly once or still pending. Pending awards left behind by a
+ * crash are retried by settlePendingAwards.
+ *
+ * Events (forwarded to Socket.IO by server.js):
+ *   - 'update'  public tier values, at most once per UPDATE_THROTTLE_MS
+ *   - 'awarded' a settled award
+ */
+
+const EventEmitter = require('events');
+const { pool } = require('../db/pool');
+const { logger } = require('../utils/logger');
+const { sequelize } = require('../models');
+const WalletService = require('./walletService');
+const { getWalletProvider } = require('./walletProvider');
+const {
+  JACKPOT_TIERS,
+  roundMoney,
+  drawHitValue,
+  applyContribution,
+  validateTierSettings
+} = require('../game/jackpots');
+
+const SNAPSHOT_CACHE_TTL_MS = 5 * 1000;
+const UPDATE_THROTTLE_MS = 1000;
+const PENDING_SETTLE_BATCH = 50;
+
+const jackpotError = (name, message, details = null) => {
+  const error = new Error(message);
+  error.name = name;
+  error.details = details;
+  return error;
+};
+
+const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+class JackpotService extends EventEmitter {
+  constructor() {
+    super();
+    this.pool = pool;
+    this.snapshot = null;
+    this.snapshotLoadedAt = 0;
+    this.updateTimer = null;
+  }
+
+  /**
+     * Tier row as stored (hit value included; never send this to players)
+     * @param {Object} row - jackpots row
+     * @returns {Object} Tier
+     */
+  fromRow(row) {
+    return {
+      id: row.id,
+      tier: row.tier,
+      name: row.name,
+      displayOrder: row.display_order,
+      seedValue: toNumber(row.seed_value),
+      mustHitBy: toNumber(row.must_hit_by),
+      contributionRate: toNumber(row.contribution_rate),
+      currentValue: toNumber(row.current_value),
+      hitValue: toNumber(row.hit_value),
+      isActive: row.is_active,
+      lastWonAt: row.last_won_at || null,
+      lastWonAmount: toNumber(row.last_won_amount),
+      updatedAt: row.updated_at || null
+    };
+  }
+
+  /**
+     * Public view of a tier
+     * @param {Object} tier - Tier from fromRow
+     * @returns {Object} Tier without its hit value
+     */
+  toPublic(tier) {
+    return {
+      tier: tier.tier,
+      name: tier.name,
+      value: roundMoney(tier.currentValue),
+      seedValue: tier.seedValue,
+      mustHitBy: tier.mustHitBy,
+      lastWonAt: tier.lastWonAt,
+      lastWonAmount: tier.lastWonAmount
+    };
+  }
+
+  /**
+     * Current values of the active tiers (cached briefly)
+     * @returns {Promise<Array<Object>>} Public tiers in display order
+     */
+  async getJackpots() {
+    if (this.snapshot && Date.now() - this.snapshotLoadedAt < SNAPSHOT_CACHE_TTL_MS) {
+      return this.snapshot;
+    }
+
+    const { rows } = await this.pool.query(
+      'SELECT * FROM jackpots WHERE is_active = TRUE ORDER BY display_order'
+    );
+    this.setSnapshot(rows.map(row => this.toPublic(this.fromRow(row))));
+    return this.snapshot;
+  }
+
+  setSnapshot(snapshot) {
+    this.snapshot = snapshot;
+    this.snapshotLoadedAt = Date.now();
+  }
+
+  /**
+     * Emit 'update' with the latest values, coalescing bursts of spins
+     */
+  scheduleUpdate() {
+    if (this.updateTimer) {
+      return;
+    }
+    this.updateTimer = setTimeout(() => {
+      this.updateTimer = null;
+      if (this.snapshot) {
+        this.emit('update', this.snapshot);
+      }
+    }, UPDATE_THROTTLE_MS);
+    if (typeof this.updateTimer.unref === 'function') {
+      this.updateTimer.unref();
+    }
+  }
+
+  /**
+     * Drop a pending throttled update (tests and shutdown)
+     */
+  stopUpdates() {
+    clearTimeout(this.updateTimer);
+    this.updateTimer = null;
+  }
+
+  /**
+     * Add a paid bet to every active tier and record any tier it wins
+     * Runs inside the caller's transaction when `client` is given.
+     * @param {Object} options - Contribution options
+     * @param {Object} options.client - pg client with an open transaction (optional)
+     * @param {string} options.playerId - Player UUID
+     * @param {number} options.betAmount - Bet placed
+     * @param {string} options.spinId - Spin identifier
+     * @returns {Promise<Object>} { contributions: [{ tier, amount }], awards: [pending award] }
+     */
+  async contribute({ client = null, playerId, betAmount, spinId }) {
+    const db = client || await this.pool.connect();
+    const ownTransaction = !client;
+
+    try {
+      if (ownTransaction) {
+        await db.query('BEGIN');
+      }
+
+      const { rows } = await db.query(
+        'SELECT * FROM jackpots WHERE is_active = TRUE ORDER BY display_order FOR UPDATE'
+      );
+      const contributions = [];
+      const awards = [];
+      const snapshot = [];
+
+      for (const row of rows) {
+        const tier = this.fromRow(row);
+        if (tier.hitValue === null) {
+          tier.hitValue = drawHitValue(tier.seedValue, tier.mustHitBy);
+        }
+
+        const result = applyContribution(tier, betAmount);
+        if (result.contribution > 0) {
+          contributions.push({ jackpotId: tier.id, tier: tier.tier, amount: result.contribution });
+        }
+
+        if (result.won) {
+          const amount = roundMoney(result.value);
+          const { rows: awardRows } = await db.query(
+            `INSERT INTO jackpot_awards (jackpot_id, tier, player_id, spin_id, amount, hit_value)
+             VALUES ($1, $2, $3, $4, $5, $6)
+             RETURNING *`,
+            [tier.id, tier.tier, playerId, spinId, amount, tier.hitValue]
+          );
+          awards.push(this.awardFromRow(awardRows[0]));
+
+          tier.currentValue = tier.seedValue;
+          tier.hitValue = drawHitValue(tier.seedValue, tier.mustHitBy);
+          tier.lastWonAt = new Date();
+          tier.lastWonAmount = amount;
+          await db.query(
+            `UPDATE jackpots
+             SET current_value = $2, hit_value = $3, last_won_at = $4, last_won_amount = $5,
+                 last_winner_id = $6, updated_at = NOW()
+             WHERE id = $1`,
+            [tier.id, tier.currentValue, tier.hitValue, tier.lastWonAt, amount, playerId]
+          );
+        } else {
+          tier.currentValue = result.value;
+          await db.query(
+            'UPDATE jackpots SET current_value = $2, hit_value = $3, updated_at = NOW() WHERE id = $1',
+            [tier.id, tier.currentValue, tier.hitValue]
+          );
+        }
+        snapshot.push(this.toPublic(tier));
+      }
+
+      if (contributions.length > 0) {
+        await db.query(
+          `INSERT INTO jackpot_contributions (jackpot_id, player_id, spin_id, bet_amount, contribution_amount)
+           SELECT jackpot_id, $2, $3, $4, amount
+           FROM UNNEST($1::uuid[], $5::numeric[]) AS c(jackpot_id, amount)`,
+          [contributions.map(c => c.jackpotId), playerId, spinId, betAmount, contributions.map(c => c.amount)]
+        );
+      }
+
+      if (ownTransaction) {
+        await db.query('COMMIT');
+      }
+
+      this.setSnapshot(snapshot);
+      this.scheduleUpdate();
+
+      awards.forEach(award => {
+        logger.info('Jackpot won', {
+          award_id: award.id,
+          tier: award.tier,
+          player_id: playerId,
+          spin_id: spinId,
+          amount: award.amount
+        });
+      });
+
+      return {
+        contributions: contributions.map(({ tier, amount }) => ({ tier, amount })),
+        awards
+      };
+    } catch (error) {
+      if (ownTransaction) {
+        await db.query('ROLLBACK').catch(() => {});
+      }
+      throw error;
+    } finally {
+      if (ownTransaction) {
+        db.release();
+      }
+    }
+  }
+
+  awardFromRow(row) {
+    return {
+      id: row.id,
+      tier: row.tier,
+      playerId: row.player_id,
+      spinId: row.spin_id,
+      amount: toNumber(row.amount),
+      status: row.status,
+      transactionId: row.transaction_id || null,
+      createdAt: row.created_at,
+      paidAt: row.paid_at || null
+    };
+  }
+
+  /**
+     * Credit a pending award through walletService.processWin
+     * The wallet credit and the award status change commit together.
+     * @param {string} awardId - jackpot_awards ID
+     * @returns {Promise<Object>} Settled award (unchanged when it was already paid)
+     */
+  async settleAward(awardId) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const [rows] = await sequelize.query(
+        'SELECT * FROM jackpot_awards WHERE id = :awardId FOR UPDATE',
+        { replacements: { awardId }, transaction }
+      );
+      if (rows.length === 0) {
+        throw jackpotError('NotFoundError', `Jackpot award ${awardId} not found`);
+      }
+
+      const award = this.awardFromRow(rows[0]);
+      if (award.status === 'paid') {
+        await transaction.commit();
+        return award;
+      }
+
+      const result = await WalletService.processWin({
+        player_id: award.playerId,
+        amount: award.amount,
+        reference_id: award.id,
+        reference_type: 'jackpot',
+        description: `${award.tier.charAt(0).toUpperCase()}${award.tier.slice(1)} jackpot win of ${award.amount} credits`,
+        metadata: { jackpot_tier: award.tier, spin_id: award.spinId },
+        transaction
+      });
+
+      const [updated] = await sequelize.query(
+        `UPDATE jackpot_awards
+         SET status = 'paid', transaction_id = :transactionId, paid_at = NOW(), last_error = NULL
+         WHERE id = :awardId
+         RETURNING *`,
+        {
+          // Seamless wallet credits are identified by the operator's ID, not a local transactions row
+          replacements: { awardId, transactionId: getWalletProvider().isRemote ? null : result.transaction.id },
+          transaction
+        }
+      );
+      await transaction.commit();
+
+      const paid = { ...this.awardFromRow(updated[0]), balance: result.balance.current };
+      this.emit('awarded', paid);
+      return paid;
+    } catch (error) {
+      await transaction.rollback().catch(() => {});
+      await this.pool.query(
+        'UPDATE jackpot_awards SET last_error = $2 WHERE id = $1 AND status = \'pending\'',
+        [awardId, error.message]
+      ).catch(() => {});
+      logger.error('Jackpot award settlement failed', { award_id: awardId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+     * Retry awards that were recorded but never credited
+     * @returns {Promise<Object>} { settled, failed }
+     */
+  async settlePendingAwards() {
+    const { rows } = await this.pool.query(
+      'SELECT id FROM jackpot_awards WHERE status = \'pending\' ORDER BY created_at LIMIT $1',
+      [PENDING_SETTLE_BATCH]
+    );
+    let settled = 0;
+    let failed = 0;
+
+    for (const row of rows) {
+      try {
+        await this.settleAward(row.id);
+        settled++;
+      } catch {
+        failed++;
+      }
+    }
+    return { settled, failed };
+  }
+
+  /**
+     * Tiers with their configuration and recent awards (admin view)
+     * @param {Object} options - { limit }
+     * @returns {Promise<Object>} { jackpots, awards, pendingAwards }
+     */
+  async getAdminOverview({ limit = 50 } = {}) {
+    const [jackpots, awards, pending] = await Promise.all([
+      this.pool.query('SELECT * FROM jackpots ORDER BY display_order'),
+      this.pool.query('SELECT * FROM jackpot_awards ORDER BY created_at DESC LIMIT $1', [limit]),
+      this.pool.query('SELECT COUNT(*)::int AS count FROM jackpot_awards WHERE status = \'pending\'')
+    ]);
+
+    return {
+      jackpots: jackpots.rows.map(row => {
+        const tier = this.fromRow(row);
+        delete tier.hitValue;
+        return { ...tier, value: roundMoney(tier.currentValue) };
+      }),
+      awards: awards.rows.map(row => this.awardFromRow(row)),
+      pendingAwards: pending.rows[0].count
+    };
+  }
+
+  /**
+     * Change a tier's seed value, must-hit-by threshold, contribution rate or status
+     * A new hit value is drawn between the current value and the threshold when the
+     * threshold changes, so the tier still drops by it.
+     * @param {string} tierId - Tier (mini, minor, major, grand)
+     * @param {Object} changes - { seedValue, mustHitBy, contributionRate, isActive }
+     * @returns {Promise<Object>} { previous, current } tier settings
+     */
+  async updateTier(tierId, changes) {
+    if (!JACKPOT_TIERS.includes(tierId)) {
+      throw jackpotError('NotFoundError', `Unknown jackpot tier: ${tierId}`);
+    }
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const { rows } = await client.query('SELECT * FROM jackpots WHERE tier = $1 FOR UPDATE', [tierId]);
+      if (rows.length === 0) {
+        throw jackpotError('NotFoundError', `Jackpot tier ${tierId} is not configured`);
+      }
+
+      const previous = this.fromRow(rows[0]);
+      const next = {
+        seedValue: changes.seedValue ?? previous.seedValue,
+        mustHitBy: changes.mustHitBy ?? previous.mustHitBy,
+        contributionRate: changes.contributionRate ?? previous.contributionRate,
+        isActive: changes.isActive ?? previous.isActive
+      };
+
+      const errors = validateTierSettings(next);
+      if (next.mustHitBy <= previous.currentValue) {
+        errors.push(`must_hit_by must be greater than the current value (${roundMoney(previous.currentValue)})`);
+      }
+      if (errors.length > 0) {
+        throw jackpotError('ValidationError', 'Invalid jackpot settings', errors);
+      }
+
+      let hitValue = previous.hitValue;
+      if (next.mustHitBy !== previous.mustHitBy || hitValue === null) {
+        hitValue = drawHitValue(Math.max(previous.currentValue, next.seedValue), next.mustHitBy);
+      }
+
+      await client.query(
+        `UPDATE jackpots
+         SET seed_value = $2, must_hit_by = $3, contribution_rate = $4, is_active = $5, hit_value = $6, updated_at = NOW()
+         WHERE id = $1`,
+        [previous.id, next.seedValue, next.mustHitBy, next.contributionRate, next.isActive, hitValue]
+      );
+      await client.query('COMMIT');
+
+      this.snapshot = null;
+      const settings = ({ seedValue, mustHitBy, contributionRate, isActive }) =>
+        ({ seedValue, mustHitBy, contributionRate, isActive });
+      return { previous: settings(previous), current: next };
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = new JackpotService();
@@ -0,0 +1,374 @@
+/**
+ * Math Model Service
+ *
+ * Registry for math model artifacts (math_models table). Admins stage a model,
+ * activate it, and can roll back to the model that was active before. Every
+ * RTP profile (see game/rtpProfiles.js) has its own active model; activating a
+ * model only replaces the active model of the profile it belongs to. Active
+ * models are cached briefly so every server instance picks up an activation
+ * within MODEL_CACHE_TTL_MS without a restart.
+ *
+ * When no model has been activated for a profile its built-in model
+ * (rtpProfiles.getProfileModel) is used. Built-in models are registered as
+ * retired rows the first time a model is activated, so a rollback can always
+ * return to them.
+ */
+
+const { pool } = require('../db/pool');
+const { logger } = require('../utils/logger');
+const GameEngine = require('../game/gameEngine');
+const {
+  createModel,
+  validateModel,
+  computeChecksum,
+  toEngineOptions
+} = require('../game/mathModel');
+const {
+  DEFAULT_RTP_PROFILE,
+  RTP_PROFILE_IDS,
+  isRtpProfile,
+  getArtifactRtpProfile,
+  getProfileModel,
+  getProfileModels,
+  listRtpProfiles
+} = require('../game/rtpProfiles');
+
+const MODEL_CACHE_TTL_MS = 30 * 1000;
+
+const modelError = (name, message, details = null) => {
+  const error = new Error(message);
+  error.name = name;
+  error.details = details;
+  return error;
+};
+
+class MathModelService {
+  constructor() {
+    this.pool = pool;
+    this.engines = new Map();
+    // RTP profile -> { model, loadedAt }
+    this.activeModels = new Map();
+  }
+
+  /**
+     * Build a model record from a math_models row, re-verifying its checksum
+     * @param {Object} row - math_models row
+     * @returns {Object} Model record with checksumValid
+     */
+  fromRow(row) {
+    return {
+      id: row.id,
+      version: row.version,
+      checksum: row.checksum,
+      checksumValid: computeChecksum(row.artifact) === row.checksum,
+      status: row.status,
+      artifact: row.artifact,
+      notes: row.notes || null,
+      stagedBy: row.staged_by || null,
+      activatedBy: row.activated_by || null,
+      previousModelId: row.previous_model_id || null,
+      createdAt: row.created_at,
+      activatedAt: row.activated_at || null,
+      retiredAt: row.retired_at || null
+    };
+  }
+
+  /**
+     * Registry listing entry (artifact omitted)
+     * @param {Object} model - Model record
+     * @returns {Object} Summary
+     */
+  toSummary(model) {
+    const { artifact, ...summary } = model;
+    return {
+      ...summary,
+      name: artifact.name,
+      rtpProfile: getArtifactRtpProfile(artifact),
+      description: artifact.description || null,
+      targetRtp: artifact.targetRtp,
+      stripVersion: artifact.reelStrips?.version || null
+    };
+  }
+
+  /**
+     * Active model for an RTP profile, falling back to the profile's built-in one
+     * A model whose checksum no longer matches its artifact is never served.
+     * @param {string} rtpProfile - RTP profile ID
+     * @returns {Promise<Object>} Model record
+     */
+  async getActiveModel(rtpProfile = DEFAULT_RTP_PROFILE) {
+    const cached = this.activeModels.get(rtpProfile);
+    if (cached && Date.now() - cached.loadedAt < MODEL_CACHE_TTL_MS) {
+      return cached.model;
+    }
+
+    const builtin = { ...getProfileModel(rtpProfile), status: 'active', checksumValid: true };
+    let activeModel = cached ? cached.model : null;
+
+    try {
+      const { rows } = await this.pool.query(
+        'SELECT * FROM math_models WHERE status = \'active\' AND rtp_profile = $1',
+        [rtpProfile]
+      );
+      const model = rows[0] ? this.fromRow(rows[0]) : builtin;
+
+      if (!model.checksumValid) {
+        logger.error('Active math model failed checksum verification; keeping previous model', {
+          model_id: model.id,
+          rtp_profile: rtpProfile,
+          recorded_checksum: model.checksum
+        });
+      } else {
+        activeModel = model;
+      }
+    } catch (error) {
+      logger.warn('Math model registry unavailable, using cached or built-in model', {
+        rtp_profile: rtpProfile,
+        error: error.message
+      });
+    }
+
+    activeModel = activeModel || builtin;
+    this.activeModels.set(rtpProfile, { model: activeModel, loadedAt: Date.now() });
+    return activeModel;
+  }
+
+  /**
+     * GameEngine for a model (one engine per model ID and checksum)
+     * @param {Object} model - Model record
+     * @returns {GameEngine} Engine playing with the model
+     */
+  getEngine(model) {
+    const key = `${model.id}:${model.checksum}`;
+    if (!this.engines.has(key)) {
+      this.engines.set(key, new GameEngine(toEngineOptions(model)));
+    }
+    return this.engines.get(key);
+  }
+
+  /**
+     * Engine for the model currently active for an RTP profile
+     * @param {string} rtpProfile - RTP profile ID
+     * @returns {Promise<GameEngine>} Engine
+     */
+  async getActiveEngine(rtpProfile = DEFAULT_RTP_PROFILE) {
+    return this.getEngine(await this.getActiveModel(rtpProfile));
+  }
+
+  /**
+     * Engine for a recorded model ID (used to replay historical spins)
+     * @param {string} modelId - math_models.id
+     * @returns {Promise<GameEngine|null>} Engine, or null when the model is unknown or corrupt
+     */
+  async getEngineForModelId(modelId) {
+    const model = await this.getModel(modelId);
+    if (!model || !model.checksumValid) {
+      return null;
+    }
+    return this.getEngine(model);
+  }
+
+  /**
+     * Load a model by ID (built-in profile models resolve even without a row)
+     * @param {string} modelId - Model ID
+     * @returns {Promise<Object|null>} Model record
+     */
+  async getModel(modelId) {
+    const { rows } = await this.pool.query('SELECT * FROM math_models WHERE id = $1', [modelId]);
+    if (rows[0]) {
+      return this.fromRow(rows[0]);
+    }
+
+    const builtin = getProfileModels().find(model => model.id === modelId);
+    return builtin ? { ...builtin, status: 'builtin', checksumValid: true } : null;
+  }
+
+  /**
+     * List registered models, newest first, plus the model served for each RTP profile
+     * @returns {Promise<Object>} { active, profiles, models } (active is the default profile's model)
+     */
+  async listModels() {
+    const { rows } = await this.pool.query('SELECT * FROM math_models ORDER BY created_at DESC');
+    const profiles = [];
+    for (const profile of listRtpProfiles()) {
+      profiles.push({ ...profile, active: this.toSummary(await this.getActiveModel(profile.id)) });
+    }
+
+    return {
+      active: profiles.find(profile => profile.id === DEFAULT_RTP_PROFILE).active,
+      profiles,
+      models: rows.map(row => this.toSummary(this.fromRow(row)))
+    };
+  }
+
+  /**
+     * Validate and store a model as staged
+     * @param {Object} artifact - Model artifact
+     * @param {Object} options - { adminId, notes }
+     * @returns {Promise<Object>} Staged model summary
+     */
+  async stageModel(artifact, { adminId = null, notes = null } = {}) {
+    const validation = validateModel(artifact);
+    if (!validation.valid) {
+      throw modelError('ValidationError', 'Math model artifact is invalid', validation.errors);
+    }
+
+    const rtpProfile = getArtifactRtpProfile(artifact);
+    if (!isRtpProfile(rtpProfile)) {
+      throw modelError('ValidationError', 'Math model artifact is invalid', [
+        `rtpProfile must be one of ${RTP_PROFILE_IDS.join(', ')}`
+      ]);
+    }
+
+    const model = createModel(artifact);
+    const builtin = getProfileModels().find(candidate => candidate.id === model.id);
+    if (builtin && model.checksum !== builtin.checksum) {
+      throw modelError('ConflictError', `Math model ${model.id} is a built-in model; bump the version to stage changes`);
+    }
+
+    const { rows } = await this.pool.query(
+      `INSERT INTO math_models (id, version, checksum, status, artifact, notes, staged_by, rtp_profile)
+       VALUES ($1, $2, $3, 'staged', $4::jsonb, $5, $6, $7)
+       ON CONFLICT (id) DO NOTHING
+       RETURNING *`,
+      [model.id, model.version, model.checksum, JSON.stringify(artifact), notes, adminId, rtpProfile]
+    );
+
+    if (rows.length === 0) {
+      throw modelError('ConflictError', `Math model ${model.id} already exists; bump the version to stage changes`);
+    }
+
+    logger.info('Math model staged', {
+      model_id: model.id,
+      checksum: model.checksum,
+      rtp_profile: rtpProfile,
+      admin_id: adminId
+    });
+    return this.toSummary(this.fromRow(rows[0]));
+  }
+
+  /**
+     * Make a staged or retired model the active one for its RTP profile
+     * @param {string} modelId - Model ID
+     * @param {Object} options - { adminId }
+     * @returns {Promise<Object>} { active, previousModelId }
+     */
+  async activateModel(modelId, { adminId = null } = {}) {
+    return this.switchActiveModel(modelId, { adminId, rollback: false });
+  }
+
+  /**
+     * Re-activate the model that was active for a profile before the current one
+     * @param {Object} options - { adminId, rtpProfile }
+     * @returns {Promise<Object>} { active, previousModelId }
+     */
+  async rollbackModel({ adminId = null, rtpProfile = DEFAULT_RTP_PROFILE } = {}) {
+    if (!isRtpProfile(rtpProfile)) {
+      throw modelError('ValidationError', `Unknown RTP profile ${rtpProfile}`);
+    }
+    return this.switchActiveModel(null, { adminId, rollback: true, rtpProfile });
+  }
+
+  /**
+     * @private
+     */
+  async switchActiveModel(modelId, { adminId, rollback, rtpProfile = null }) {
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      await this.registerBuiltinModels(client);
+
+      let profileId = rtpProfile;
+      if (!rollback) {
+        const target = await client.query('SELECT rtp_profile FROM math_models WHERE id = $1', [modelId]);
+        if (!target.rows[0]) {
+          throw modelError('NotFoundError', `Math model ${modelId} not found`);
+        }
+        profileId = target.rows[0].rtp_profile;
+      }
+
+      const current = await client.query(
+        'SELECT * FROM math_models WHERE status = \'active\' AND rtp_profile = $1 FOR UPDATE',
+        [profileId]
+      );
+      const currentRow = current.rows[0] || null;
+      // With no active row the profile's built-in model is the one being served
+      const previousId = currentRow ? currentRow.id : getProfileModel(profileId).id;
+
+      let targetId = modelId;
+      if (rollback) {
+        if (!currentRow || !currentRow.previous_model_id) {
+          throw modelError('ConflictError', 'No earlier math model to roll back to');
+        }
+        targetId = currentRow.previous_model_id;
+      }
+
+      const target = await client.query('SELECT * FROM math_models WHERE id = $1 FOR UPDATE', [targetId]);
+      const targetRow = target.rows[0];
+      if (!targetRow) {
+        throw modelError('NotFoundError', `Math model ${targetId} not found`);
+      }
+      if (targetRow.id === previousId) {
+        throw modelError('ConflictError', `Math model ${targetId} is already active`);
+      }
+      if (computeChecksum(targetRow.artifact) !== targetRow.checksum) {
+        throw modelError('ConflictError', `Math model ${targetId} failed checksum verification`);
+      }
+
+      if (currentRow) {
+        await client.query(
+          'UPDATE math_models SET status = \'retired\', retired_at = NOW() WHERE id = $1',
+          [currentRow.id]
+        );
+      }
+
+      // A rollback keeps the target's own previous_model_id so repeated rollbacks walk further back
+      const { rows } = await client.query(
+        `UPDATE math_models
+         SET status = 'active', activated_at = NOW(), activated_by = $2, retired_at = NULL,
+             previous_model_id = CASE WHEN $3::boolean THEN previous_model_id ELSE $4 END
+         WHERE id = $1
+         RETURNING *`,
+        [targetRow.id, adminId, rollback, previousId]
+      );
+
+      await client.query('COMMIT');
+      this.activeModels.delete(profileId);
+
+      logger.info(rollback ? 'Math model rolled back' : 'Math model activated', {
+        model_id: targetRow.id,
+        rtp_profile: profileId,
+        previous_model_id: previousId,
+        admin_id: adminId
+      });
+
+      return {
+        active: this.toSummary(this.fromRow(rows[0])),
+        previousModelId: previousId
+      };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+     * Store each profile's built-in model as a retired row so it can be activated or rolled back to
+     * @private
+     */
+  async registerBuiltinModels(client) {
+    for (const builtin of getProfileModels()) {
+      await client.query(
+        `INSERT INTO math_models (id, version, checksum, status, artifact, notes, rtp_profile)
+         VALUES ($1, $2, $3, 'retired', $4::jsonb, 'Built-in model', $5)
+         ON CONFLICT (id) DO NOTHING`,
+        [builtin.id, builtin.version, builtin.checksum, JSON.stringify(builtin.artifact),
+          getArtifactRtpProfile(builtin.artifact)]
+      );
+    }
+  }
+}
+
+module.exports = new MathModelService();
@@ -0,0 +1,267 @@
+/**
+ * Metrics Rollup Service
+ *
+ * Rolls real-money play up into per-minute (metrics_minute) and per-hour
+ * (metrics_hourly) buckets per wallet currency: spins, stakes, wins, feature
+ * purchases, active players, free-spins triggers, big and max wins, deposits
+ * and withdrawals. The admin dashboard and /admin/api/rtp-metrics read these
+ * tables instead of scanning spin_results.
+ *
+ * A run recomputes every bucket from its previous run, less a lookback for
+ * spins whose transaction committed late, up to the current (partial) bucket.
+ * On an empty table it backfills. Bucket boundaries and windows use the
+ * database clock, the same clock that stamps spin_results.created_at.
+ *
+ * Stake = bets of paid (base game) spins + feature purchases; wins include
+ * the free spins those paid for. Purchases, deposits and withdrawals come from
+ * the local transactions ledger, so with a seamless wallet only spins are seen.
+ */
+
+const { pool } = require('../db/pool');
+const { GAME_CONFIG } = require('../game/gameEngine');
+
+const GRANULARITIES = {
+  minute: {
+    table: 'metrics_minute',
+    unit: 'minute',
+    lookback: '5 minutes',
+    backfill: `${parseInt(process.env.METRICS_MINUTE_RETENTION_HOURS) || 48} hours`,
+    retention: `${parseInt(process.env.METRICS_MINUTE_RETENTION_HOURS) || 48} hours`
+  },
+  hour: {
+    table: 'metrics_hourly',
+    unit: 'hour',
+    lookback: '2 hours',
+    backfill: `${parseInt(process.env.METRICS_BACKFILL_DAYS) || 30} days`,
+    retention: `${parseInt(process.env.METRICS_HOURLY_RETENTION_DAYS) || 400} days`
+  }
+};
+
+// Dashboard timeframes: which rollup they read and how many points their series has
+const TIMEFRAMES = {
+  '1h': { granularity: 'minute', unit: 'minute', points: 60 },
+  '24h': { granularity: 'hour', unit: 'hour', points: 24 },
+  '7d': { granularity: 'hour', unit: 'hour', points: 168 },
+  '30d': { granularity: 'hour', unit: 'day', points: 30 }
+};
+
+// Win thresholds in multiples of the bet (Big Win tier of the win calculator, max win cap)
+const BIG_WIN_MULTIPLIER = 50;
+const MAX_WIN_MULTIPLIER = GAME_CONFIG.MAX_WIN_MULTIPLIER;
+
+const SUM_COLUMNS = [
+  'spins',
+  'paid_spins',
+  'bet_amount',
+  'purchases',
+  'purchase_amount',
+  'win_amount',
+  'free_spins_triggers',
+  'big_wins',
+  'max_wins',
+  'deposit_amount',
+  'withdrawal_amount'
+];
+
+/**
+ * Recompute the buckets of one granularity from `since` onwards
+ * @param {Object} config - GRANULARITIES entry
+ * @returns {string} SQL; $1 = since (timestamp text), $2 = big win multiplier, $3 = max win multiplier
+ */
+function buildRollupQuery({ table, unit }) {
+  return `
+    WITH spins AS (
+      SELECT date_trunc('${unit}', sr.created_at) AS bucket_start,
+             COALESCE(s.currency, p.currency) AS currency,
+             COUNT(*) AS spins,
+             COUNT(*) FILTER (WHERE sr.game_mode = 'base') AS paid_spins,
+             COALESCE(SUM(sr.bet_amount) FILTER (WHERE sr.game_mode = 'base'), 0) AS bet_amount,
+             COALESCE(SUM(sr.total_win), 0) AS win_amount,
+             COUNT(DISTINCT sr.player_id) AS active_players,
+             COUNT(*) FILTER (
+               WHERE sr.replay_context #>> '{outcome,freeSpinsTriggered}' = 'true'
+             ) AS free_spins_triggers,
+             COUNT(*) FILTER (WHERE sr.total_win >= sr.bet_amount * $2) AS big_wins,
+             COUNT(*) FILTER (WHERE sr.total_win >= sr.bet_amount * $3) AS max_wins
+      FROM spin_results sr
+      JOIN players p ON p.id = sr.player_id AND NOT COALESCE(p.is_demo, FALSE)
+      LEFT JOIN sessions s ON s.id = sr.session_id
+      WHERE sr.created_at >= $1::timestamp
+      GROUP BY 1, 2
+    ),
+    money AS (
+      SELECT date_trunc('${unit}', t.created_at) AS bucket_start,
+             t.currency,
+             COUNT(*) FILTER (WHERE t.type = 'purchase') AS purchases,
+             COALESCE(SUM(ABS(t.amount)) FILTER (WHERE t.type = 'purchase'), 0) AS purchase_amount,
+             COALESCE(SUM(ABS(t.amount)) FILTER (WHERE t.type = 'deposit'), 0) AS deposit_amount,
+             COALESCE(SUM(ABS(t.amount)) FILTER (WHERE t.type = 'withdrawal'), 0) AS withdrawal_amount
+      FROM transactions t
+      JOIN players p ON p.id = t.player_id AND NOT COALESCE(p.is_demo, FALSE)
+      WHERE t.created_at >= $1::timestamp
+        AND t.type IN ('purchase', 'deposit', 'withdrawal')
+      GROUP BY 1, 2
+    )
+    INSERT INTO ${table} (
+      bucket_start, currency, spins, paid_spins, bet_amount, purchases, purchase_amount,
+      win_amount, active_players, free_spins_triggers, big_wins, max_wins,
+      deposit_amount, withdrawal_amount
+    )
+    SELECT COALESCE(s.bucket_start, m.bucket_start),
+           COALESCE(s.currency, m.currency),
+           COALESCE(s.spins, 0),
+           COALESCE(s.paid_spins, 0),
+           COALESCE(s.bet_amount, 0),
+           COALESCE(m.purchases, 0),
+           COALESCE(m.purchase_amount, 0),
+           COALESCE(s.win_amount, 0),
+           COALESCE(s.active_players, 0),
+           COALESCE(s.free_spins_triggers, 0),
+           COALESCE(s.big_wins, 0),
+           COALESCE(s.max_wins, 0),
+           COALESCE(m.deposit_amount, 0),
+           COALESCE(m.withdrawal_amount, 0)
+    FROM spins s
+    FULL OUTER JOIN money m ON m.bucket_start = s.bucket_start AND m.currency = s.currency
+    ON CONFLICT (bucket_start, currency) DO UPDATE
+    SET ${['active_players', ...SUM_COLUMNS].map(column => `${column} = EXCLUDED.${column}`).join(', ')},
+        updated_at = NOW()`;
+}
+
+/**
+ * Series of one timeframe, one row per bucket and currency (currency null for empty buckets)
+ * @param {Object} timeframe - TIMEFRAMES entry
+ * @returns {string} SQL
+ */
+function buildSeriesQuery({ granularity, unit, points }) {
+  const { table } = GRANULARITIES[granularity];
+  // Daily points are built from hours: distinct players cannot be added up, so take the busiest hour
+  const activePlayers = unit === granularity ? 'SUM' : 'MAX';
+  return `
+    WITH buckets AS (
+      SELECT generate_series(
+        date_trunc('${unit}', NOW()) - INTERVAL '1 ${unit}' * ${points - 1},
+        date_trunc('${unit}', NOW()),
+        INTERVAL '1 ${unit}'
+      ) AS bucket_start
+    )
+    SELECT b.bucket_start,
+           r.currency,
+           ${SUM_COLUMNS.map(column => `COALESCE(SUM(r.${column}), 0) AS ${column}`).join(',\n           ')},
+           COALESCE(${activePlayers}(r.active_players), 0) AS active_players
+    FROM buckets b
+    LEFT JOIN ${table} r
+      ON date_trunc('${unit}', r.bucket_start) = b.bucket_start
+     AND r.bucket_start >= (SELECT MIN(bucket_start) FROM buckets)
+    GROUP BY b.bucket_start, r.currency
+    ORDER BY b.bucket_start, r.currency`;
+}
+
+class MetricsRollupService {
+  constructor() {
+    this.pool = pool;
+  }
+
+  /**
+     * Recompute the buckets of one granularity since its last run
+     * @param {string} granularity - 'minute' or 'hour'
+     * @returns {Promise<Object>} { granularity, since, buckets, pruned } or { granularity, skipped: true }
+     */
+  async rollup(granularity) {
+    const config = GRANULARITIES[granularity];
+    if (!config) {
+      throw new Error(`Unknown metrics granularity: ${granularity}`);
+    }
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      // Another server process is already rolling this granularity up
+      const { rows: [lock] } = await client.query(
+        'SELECT pg_try_advisory_xact_lock(hashtext($1)) AS locked',
+        [`metrics_rollup:${granularity}`]
+      );
+      if (!lock.locked) {
+        await client.query('ROLLBACK');
+        return { granularity, skipped: true };
+      }
+
+      // Start of the first bucket to recompute, as timestamp text so it round-trips unchanged
+      const { rows: [window] } = await client.query(
+        `SELECT date_trunc('${config.unit}', CASE
+                  WHEN MAX(rolled_up_to) IS NULL THEN NOW() - $3::interval
+                  ELSE LEAST(MAX(rolled_up_to), NOW() - $2::interval)
+                END)::text AS since
+         FROM metrics_rollup_state
+         WHERE granularity = $1`,
+        [granularity, config.lookback, config.backfill]
+      );
+
+      await client.query(
+        `DELETE FROM ${config.table} WHERE bucket_start >= $1::timestamp`,
+        [window.since]
+      );
+      const inserted = await client.query(buildRollupQuery(config), [
+        window.since,
+        BIG_WIN_MULTIPLIER,
+        MAX_WIN_MULTIPLIER
+      ]);
+      const pruned = await client.query(
+        `DELETE FROM ${config.table} WHERE bucket_start < NOW() - $1::interval`,
+        [config.retention]
+      );
+      await client.query(
+        `INSERT INTO metrics_rollup_state (granularity, rolled_up_to, updated_at)
+         VALUES ($1, NOW(), NOW())
+         ON CONFLICT (granularity) DO UPDATE
+         SET rolled_up_to = EXCLUDED.rolled_up_to, updated_at = NOW()`,
+        [granularity]
+      );
+      await client.query('COMMIT');
+
+      return {
+        granularity,
+        since: window.since,
+        buckets: inserted.rowCount,
+        pruned: pruned.rowCount
+      };
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+     * Roll up every granularity (the background job)
+     * @returns {Promise<Array<Object>>} One rollup summary per granularity
+     */
+  async run() {
+    const results = [];
+    for (const granularity of Object.keys(GRANULARITIES)) {
+      results.push(await this.rollup(granularity));
+    }
+    return results;
+  }
+
+  /**
+     * Rolled-up buckets of a dashboard timeframe, oldest first; empty buckets are included
+     * @param {string} timeframe - Key of TIMEFRAMES
+     * @returns {Promise<Array<Object>>} Rows of { bucket_start, currency, ...totals }
+     */
+  async getSeries(timeframe) {
+    const config = TIMEFRAMES[timeframe] || TIMEFRAMES['24h'];
+    const { rows } = await this.pool.query(buildSeriesQuery(config));
+    return rows;
+  }
+}
+
+const metricsRollupService = new MetricsRollupService();
+
+module.exports = metricsRollupService;
+module.exports.GRANULARITIES = GRANULARITIES;
+module.exports.TIMEFRAMES = TIMEFRAMES;
+module.exports.BIG_WIN_MULTIPLIER = BIG_WIN_MULTIPLIER;
+module.exports.buildRollupQuery = buildRollupQuery;
+module.exports.buildSeriesQuery = buildSeriesQuery;
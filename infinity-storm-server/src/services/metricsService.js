@@ -1,18 +1,160 @@
-// Metrics service with simulated data for dashboard functionality
-// Database integration will be added when PostgreSQL is set up
+/**
+ * Metrics Service
+ *
+ * Dashboard metrics for the admin panel. Financial, game, player, RTP and
+ * real-time figures come from the metrics rollups (metricsRollupService) and
+ * the players/sessions tables; system and compliance figures are still
+ * simulated.
+ *
+ * Money figures are reported in one currency (the `currency` option, else
+ * CURRENCY_DEFAULT) with a per-currency breakdown. Counts and RTP cover every
+ * currency; for RTP, stakes and wins are divided by each currency's bet-ladder
+ * scale so that a BRL or JPY spin weighs the same as the equivalent USD spin.
+ */
+
+const { pool } = require('../db/pool');
+const metricsRollupService = require('./metricsRollupService');
+const { getCurrencyConfig, getDefaultCurrency, resolveCurrency, roundToCurrency } = require('../config/currencies');
+const { listRtpProfiles, resolveRtpProfile } = require('../game/rtpProfiles');
+
+const TIMEFRAME_INTERVALS = {
+  '1h': '1 hour',
+  '24h': '24 hours',
+  '7d': '7 days',
+  '30d': '30 days'
+};
+
+// Fewer paid spins than this and the observed RTP says nothing about the math
+const RTP_MIN_SAMPLE = parseInt(process.env.METRICS_RTP_MIN_SPINS) || 1000;
+
+const toNumber = (value) => parseFloat(value) || 0;
+
+const percent = (part, whole) => (whole > 0 ? parseFloat((part / whole * 100).toFixed(2)) : null);
+
+/**
+ * Fold rollup rows (one per bucket and currency) into chart points and totals
+ * @param {Array<Object>} rows - metricsRollupService.getSeries rows
+ * @param {string} currency - Currency of the money figures
+ * @returns {Object} { currency, points, totals, byCurrency }
+ */
+function summarizeSeries(rows, currency) {
+  const points = new Map();
+  const byCurrency = {};
+  const scaled = { stake: 0, win: 0 };
+
+  for (const row of rows) {
+    const time = new Date(row.bucket_start).getTime();
+    if (!points.has(time)) {
+      points.set(time, {
+        timestamp: new Date(time),
+        spins: 0,
+        paidSpins: 0,
+        purchases: 0,
+        wagered: 0,
+        won: 0,
+        activePlayers: 0,
+        freeSpinsTriggers: 0,
+        bigWins: 0,
+        maxWins: 0,
+        scaledStake: 0,
+        scaledWin: 0
+      });
+    }
+    if (!row.currency) {
+      continue; // Empty bucket
+    }
+
+    const point = points.get(time);
+    const code = row.currency.trim();
+    const { scale } = getCurrencyConfig(code);
+    const stake = toNumber(row.bet_amount) + toNumber(row.purchase_amount);
+    const win = toNumber(row.win_amount);
+
+    point.spins += toNumber(row.spins);
+    point.paidSpins += toNumber(row.paid_spins);
+    point.purchases += toNumber(row.purchases);
+    point.activePlayers += toNumber(row.active_players);
+    point.freeSpinsTriggers += toNumber(row.free_spins_triggers);
+    point.bigWins += toNumber(row.big_wins);
+    point.maxWins += toNumber(row.max_wins);
+    point.scaledStake += stake / scale;
+    point.scaledWin += win / scale;
+    if (code === currency) {
+      point.wagered += stake;
+      point.won += win;
+    }
 
-const { supabaseAdmin } = require('../db/supabaseClient');
+    const totals = byCurrency[code] || (byCurrency[code] = {
+      spins: 0, wagered: 0, won: 0, deposits: 0, withdrawals: 0
+    });
+    totals.spins += toNumber(row.spins);
+    totals.wagered += stake;
+    totals.won += win;
+    totals.deposits += toNumber(row.deposit_amount);
+    totals.withdrawals += toNumber(row.withdrawal_amount);
+  }
+
+  const series = [...points.values()].sort((a, b) => a.timestamp - b.timestamp).map(point => {
+    scaled.stake += point.scaledStake;
+    scaled.win += point.scaledWin;
+    const { scaledStake, scaledWin, ...values } = point;
+    return {
+      ...values,
+      wagered: roundToCurrency(point.wagered, currency),
+      won: roundToCurrency(point.won, currency),
+      revenue: roundToCurrency(point.wagered - point.won, currency),
+      rtp: percent(scaledWin, scaledStake)
+    };
+  });
+
+  for (const [code, totals] of Object.entries(byCurrency)) {
+    byCurrency[code] = {
+      spins: totals.spins,
+      wagered: roundToCurrency(totals.wagered, code),
+      won: roundToCurrency(totals.won, code),
+      revenue: roundToCurrency(totals.wagered - totals.won, code),
+      rtp: percent(totals.won, totals.wagered),
+      deposits: roundToCurrency(totals.deposits, code),
+      withdrawals: roundToCurrency(totals.withdrawals, code)
+    };
+  }
+
+  const sum = (field) => series.reduce((total, point) => total + point[field], 0);
+  const own = byCurrency[currency] || { wagered: 0, won: 0, deposits: 0, withdrawals: 0 };
+  return {
+    currency,
+    points: series,
+    totals: {
+      spins: sum('spins'),
+      paidSpins: sum('paidSpins'),
+      purchases: sum('purchases'),
+      freeSpinsTriggers: sum('freeSpinsTriggers'),
+      bigWins: sum('bigWins'),
+      maxWins: sum('maxWins'),
+      peakActivePlayers: series.reduce((peak, point) => Math.max(peak, point.activePlayers), 0),
+      wagered: own.wagered,
+      won: own.won,
+      revenue: roundToCurrency(own.wagered - own.won, currency),
+      deposits: own.deposits,
+      withdrawals: own.withdrawals,
+      rtp: percent(scaled.win, scaled.stake)
+    },
+    byCurrency
+  };
+}
 
 class MetricsService {
   constructor() {
+    this.pool = pool;
     this.realtimeCache = {
       activePlayers: 0,
       totalSpinsLastHour: 0,
       revenueLastHour: 0,
-      avgResponseTime: 0,
+      currency: getDefaultCurrency(),
       systemHealth: 'healthy',
       lastUpdated: new Date()
     };
+    this.collectionInterval = null;
 
     // Start background metrics collection (skip during tests to avoid open handles)
     if (process.env.NODE_ENV !== 'test') {
@@ -22,9 +164,12 @@ class MetricsService {
 
   /**
      * Get comprehensive dashboard metrics
+     * @param {string} timeframe - 1h, 24h, 7d or 30d
+     * @param {Object} options - { currency } for the money figures
      */
-  async getDashboardMetrics(timeframe = '24h') {
+  async getDashboardMetrics(timeframe = '24h', { currency } = {}) {
     try {
+      const series = await this.getSeries(timeframe, currency);
       const [
         financialMetrics,
         gameMetrics,
@@ -33,17 +178,18 @@ class MetricsService {
         rtpMetrics,
         complianceMetrics
       ] = await Promise.all([
-        this.getFinancialMetrics(timeframe),
-        this.getGameMetrics(timeframe),
-        this.getPlayerMetrics(timeframe),
+        this.getFinancialMetrics(timeframe, { series }),
+        this.getGameMetrics(timeframe, { series }),
+        this.getPlayerMetrics(timeframe, { currency: series.currency }),
         this.getSystemMetrics(timeframe),
-        this.getRTPMetrics(timeframe),
+        this.getRTPMetrics(timeframe, { series }),
         this.getComplianceMetrics(timeframe)
       ]);
 
       return {
         timestamp: new Date(),
         timeframe,
+        currency: series.currency,
         financial: financialMetrics,
         game: gameMetrics,
         player: playerMetrics,
@@ -58,52 +204,46 @@ class MetricsService {
     }
   }
 
+  /**
+     * Rolled-up series of a timeframe, summarized for one currency
+     * @param {string} timeframe - 1h, 24h, 7d or 30d
+     * @param {string} currency - Currency of the money figures (defaults to CURRENCY_DEFAULT)
+     * @returns {Promise<Object>} summarizeSeries result
+     */
+  async getSeries(timeframe, currency) {
+    const rows = await metricsRollupService.getSeries(timeframe);
+    return summarizeSeries(rows, resolveCurrency(currency));
+  }
+
   /**
      * Get financial metrics and trends
      */
-  async getFinancialMetrics(timeframe) {
+  async getFinancialMetrics(timeframe, { currency, series } = {}) {
     try {
-      // Pull from Supabase spin_results
-      const since = this.getTimeClause(timeframe);
-      const { data: spins, error } = await supabaseAdmin
-        .from('spin_results')
-        .select('bet_amount,total_win,created_at')
-        .gte('created_at', since.toISOString());
-      if (error) {throw new Error(error.message);}
-
-      const totalSpins = spins?.length || 0;
-      const totalWagered = Math.round((spins || []).reduce((s, r) => s + (parseFloat(r.bet_amount) || 0), 0));
-      const totalWon = Math.round((spins || []).reduce((s, r) => s + (parseFloat(r.total_win) || 0), 0));
-      const revenue = totalWagered - totalWon;
-      const rtp = totalWagered > 0 ? (totalWon / totalWagered * 100) : 0;
-      const avgBetSize = totalSpins > 0 ? totalWagered / totalSpins : 0;
-
-      // Simple placeholders until transactions wired
-      const creditsAdded = 0;
-      const creditsWithdrawn = 0;
-
-      // Generate hourly trend using realized revenue
-      const revenueTrend = this.generateHourlyTrend(24, totalSpins > 0 ? revenue / 24 : 0);
-      const rtpTrend = this.generateHourlyTrend(24, rtp, 2);
+      const { currency: code, points, totals, byCurrency } = series || await this.getSeries(timeframe, currency);
+      const paidRounds = totals.paidSpins + totals.purchases;
 
       return {
-        totalWagered,
-        totalWon,
-        revenue,
-        rtp: parseFloat(rtp.toFixed(2)),
-        totalSpins,
-        avgBetSize: parseFloat(avgBetSize.toFixed(2)),
-        creditsAdded,
-        creditsWithdrawn,
-        netCreditFlow: creditsAdded - creditsWithdrawn,
-        revenueTrend,
-        rtpTrend,
-        profitMargin: totalWagered > 0 ? ((revenue / totalWagered) * 100) : 0
+        currency: code,
+        totalWagered: totals.wagered,
+        totalWon: totals.won,
+        revenue: totals.revenue,
+        rtp: totals.rtp ?? 0,
+        totalSpins: totals.spins,
+        avgBetSize: paidRounds > 0 ? roundToCurrency(totals.wagered / paidRounds, code) : 0,
+        creditsAdded: totals.deposits,
+        creditsWithdrawn: totals.withdrawals,
+        netCreditFlow: roundToCurrency(totals.deposits - totals.withdrawals, code),
+        revenueTrend: points.map(point => ({ timestamp: point.timestamp, value: point.revenue })),
+        rtpTrend: points.map(point => ({ timestamp: point.timestamp, value: point.rtp })),
+        profitMargin: totals.wagered > 0 ? ((totals.revenue / totals.wagered) * 100) : 0,
+        byCurrency
       };
     } catch (error) {
       console.error('Error getting financial metrics:', error);
       // Return default metrics on error
       return {
+        currency: resolveCurrency(currency),
         totalWagered: 0,
         totalWon: 0,
         revenue: 0,
@@ -115,7 +255,8 @@ class MetricsService {
         netCreditFlow: 0,
         revenueTrend: [],
         rtpTrend: [],
-        profitMargin: 0
+        profitMargin: 0,
+        byCurrency: {}
       };
     }
   }
@@ -123,55 +264,39 @@ class MetricsService {
   /**
      * Get game analytics and feature usage
      */
-  async getGameMetrics(timeframe) {
+  async getGameMetrics(timeframe, { currency, series } = {}) {
     try {
-      // Simulate realistic game metrics
-      const totalSessions = Math.round(150 + Math.random() * 100);
-      const featureUsage = {
-        freeSpinsTriggered: Math.round(totalSessions * 0.15), // 15% trigger free spins
-        burstModeActivations: Math.round(totalSessions * 0.08), // 8% burst mode
-        bigWins: Math.round(totalSessions * 0.03), // 3% big wins
-        maxWins: Math.round(totalSessions * 0.005) // 0.5% max wins
-      };
-
-      const symbolPopularity = {
-        'time_gem': Math.round(totalSessions * 2.1),
-        'space_gem': Math.round(totalSessions * 2.0),
-        'mind_gem': Math.round(totalSessions * 1.9),
-        'power_gem': Math.round(totalSessions * 1.8),
-        'reality_gem': Math.round(totalSessions * 1.7),
-        'soul_gem': Math.round(totalSessions * 1.6),
-        'thanos_weapon': Math.round(totalSessions * 0.8),
-        'scarlet_witch': Math.round(totalSessions * 0.6),
-        'thanos': Math.round(totalSessions * 0.4)
-      };
-
-      const betSizeDistribution = {
-        '<$1': Math.round(totalSessions * 0.2),
-        '$1-$9': Math.round(totalSessions * 0.4),
-        '$10-$49': Math.round(totalSessions * 0.25),
-        '$50-$99': Math.round(totalSessions * 0.1),
-        '$100+': Math.round(totalSessions * 0.05)
-      };
-
-      const hourlyActivity = this.generateHourlyActivity();
-      const avgSessionDuration = 8.5 + Math.random() * 3; // 8.5-11.5 minutes avg
+      const { points, totals } = series || await this.getSeries(timeframe, currency);
+      const { rows: [sessions] } = await this.pool.query(
+        `SELECT COUNT(*) AS total_sessions,
+                COALESCE(AVG(EXTRACT(EPOCH FROM (s.last_activity - s.created_at))) / 60, 0) AS avg_minutes
+         FROM sessions s
+         JOIN players p ON p.id = s.player_id AND NOT COALESCE(p.is_demo, FALSE)
+         WHERE s.created_at >= NOW() - $1::interval`,
+        [TIMEFRAME_INTERVALS[timeframe] || TIMEFRAME_INTERVALS['24h']]
+      );
 
       return {
-        featureUsage,
-        symbolPopularity,
-        betSizeDistribution,
-        hourlyActivity,
-        avgSessionDuration,
-        totalSessions
+        featureUsage: {
+          freeSpinsTriggered: totals.freeSpinsTriggered,
+          featurePurchases: totals.purchases,
+          bigWins: totals.bigWins,
+          maxWins: totals.maxWins
+        },
+        activityTrend: points.map(point => ({
+          timestamp: point.timestamp,
+          spins: point.spins,
+          activePlayers: point.activePlayers,
+          freeSpinsTriggers: point.freeSpinsTriggers
+        })),
+        avgSessionDuration: parseFloat(toNumber(sessions.avg_minutes).toFixed(1)),
+        totalSessions: parseInt(sessions.total_sessions) || 0
       };
     } catch (error) {
       console.error('Error getting game metrics:', error);
       return {
-        featureUsage: { freeSpinsTriggered: 0, burstModeActivations: 0, bigWins: 0, maxWins: 0 },
-        symbolPopularity: {},
-        betSizeDistribution: {},
-        hourlyActivity: new Array(24).fill(0),
+        featureUsage: { freeSpinsTriggered: 0, featurePurchases: 0, bigWins: 0, maxWins: 0 },
+        activityTrend: [],
         avgSessionDuration: 0,
         totalSessions: 0
       };
@@ -181,44 +306,60 @@ class MetricsService {
   /**
      * Get player analytics and behavior metrics
      */
-  async getPlayerMetrics(timeframe) {
+  async getPlayerMetrics(timeframe, { currency } = {}) {
+    const code = resolveCurrency(currency);
     try {
-      // Simulate realistic player metrics
-      const totalPlayers = 850 + Math.round(Math.random() * 200);
-      const activeUsers = Math.round(totalPlayers * 0.25); // 25% active in 24h
-      const newUsers = Math.round(totalPlayers * 0.08); // 8% new users
-
-      const playerSegments = {
-        whales: Math.round(totalPlayers * 0.02), // 2% whales
-        highRollers: Math.round(totalPlayers * 0.08), // 8% high rollers
-        regular: Math.round(totalPlayers * 0.35), // 35% regular
-        casual: Math.round(totalPlayers * 0.55) // 55% casual
-      };
-
-      const retentionData = {
-        day1: 85.2 + Math.random() * 5,
-        day7: 42.1 + Math.random() * 8,
-        day30: 18.5 + Math.random() * 5
-      };
-
-      const avgSessionsPerUser = 3.2 + Math.random() * 1.5;
+      const interval = TIMEFRAME_INTERVALS[timeframe] || TIMEFRAME_INTERVALS['24h'];
+      // Distinct players over the whole timeframe cannot come from the buckets
+      const [players, activity, topPlayers] = await Promise.all([
+        this.pool.query(
+          `SELECT COUNT(*) AS total_players,
+                  COUNT(*) FILTER (WHERE created_at >= NOW() - $1::interval) AS new_players
+           FROM players
+           WHERE NOT COALESCE(is_demo, FALSE)`,
+          [interval]
+        ),
+        this.pool.query(
+          `SELECT (SELECT COUNT(DISTINCT sr.player_id)
+                   FROM spin_results sr
+                   JOIN players p ON p.id = sr.player_id AND NOT COALESCE(p.is_demo, FALSE)
+                   WHERE sr.created_at >= NOW() - $1::interval) AS active_players,
+                  (SELECT COUNT(*)
+                   FROM sessions s
+                   JOIN players p ON p.id = s.player_id AND NOT COALESCE(p.is_demo, FALSE)
+                   WHERE s.created_at >= NOW() - $1::interval) AS sessions`,
+          [interval]
+        ),
+        this.pool.query(
+          `SELECT p.username,
+                  COALESCE(SUM(sr.bet_amount) FILTER (WHERE sr.game_mode = 'base'), 0) AS wagered,
+                  COALESCE(SUM(sr.total_win), 0) AS won
+           FROM spin_results sr
+           JOIN players p ON p.id = sr.player_id AND NOT COALESCE(p.is_demo, FALSE) AND p.currency = $2
+           WHERE sr.created_at >= NOW() - $1::interval
+           GROUP BY p.id, p.username
+           ORDER BY wagered DESC
+           LIMIT 5`,
+          [interval, code]
+        )
+      ]);
 
-      const topPlayers = [
-        { username: 'Player***1', totalWagered: 15420, totalWon: 14890, profit: 530 },
-        { username: 'Player***2', totalWagered: 12850, totalWon: 12200, profit: 650 },
-        { username: 'Player***3', totalWagered: 9750, totalWon: 9100, profit: 650 },
-        { username: 'Player***4', totalWagered: 8900, totalWon: 8450, profit: 450 },
-        { username: 'Player***5', totalWagered: 7650, totalWon: 7200, profit: 450 }
-      ];
+      const activeUsers = parseInt(activity.rows[0].active_players) || 0;
+      const sessions = parseInt(activity.rows[0].sessions) || 0;
 
       return {
-        totalPlayers,
+        totalPlayers: parseInt(players.rows[0].total_players) || 0,
         activeUsers,
-        newUsers,
-        playerSegments,
-        retentionData,
-        avgSessionsPerUser: parseFloat(avgSessionsPerUser.toFixed(1)),
-        topPlayers
+        newUsers: parseInt(players.rows[0].new_players) || 0,
+        avgSessionsPerUser: activeUsers > 0 ? parseFloat((sessions / activeUsers).toFixed(1)) : 0,
+        currency: code,
+        topPlayers: topPlayers.rows.map(row => ({
+          username: `${String(row.username).slice(0, 3)}***`,
+          totalWagered: roundToCurrency(row.wagered, code),
+          totalWon: roundToCurrency(row.won, code),
+          // House result against the player
+          profit: roundToCurrency(toNumber(row.wagered) - toNumber(row.won), code)
+        }))
       };
     } catch (error) {
       console.error('Error getting player metrics:', error);
@@ -226,9 +367,8 @@ class MetricsService {
         totalPlayers: 0,
         activeUsers: 0,
         newUsers: 0,
-        playerSegments: { whales: 0, highRollers: 0, regular: 0, casual: 0 },
-        retentionData: { day1: 0, day7: 0, day30: 0 },
         avgSessionsPerUser: 0,
+        currency: code,
         topPlayers: []
       };
     }
@@ -305,22 +445,25 @@ class MetricsService {
   /**
      * Get RTP monitoring and compliance metrics
      */
-  async getRTPMetrics(timeframe) {
+  async getRTPMetrics(timeframe, { currency, series } = {}) {
+    const profile = listRtpProfiles().find(entry => entry.id === resolveRtpProfile());
+    const targetRTP = parseFloat((profile.targetRtp * 100).toFixed(2));
     try {
-      const targetRTP = 96.5;
-      // Simulate realistic RTP with small variance
-      const currentRTP = targetRTP + (Math.random() - 0.5) * 1.5; // ±0.75% variance
-      const deviation = Math.abs(currentRTP - targetRTP);
+      const { points, totals } = series || await this.getSeries(timeframe, currency);
+      const sampleSize = totals.paidSpins + totals.purchases;
+      const currentRTP = totals.rtp;
+      const deviation = currentRTP === null ? 0 : Math.abs(currentRTP - targetRTP);
+      const enoughData = sampleSize >= RTP_MIN_SAMPLE;
 
       // RTP alerts
       const alerts = [];
-      if (deviation > 2.0) {
+      if (enoughData && deviation > 2.0) {
         alerts.push({
           type: 'critical',
           message: `RTP deviation of ${deviation.toFixed(2)}% exceeds acceptable range`,
           timestamp: new Date()
         });
-      } else if (deviation > 1.0) {
+      } else if (enoughData && deviation > 1.0) {
         alerts.push({
           type: 'warning',
           message: `RTP deviation of ${deviation.toFixed(2)}% requires monitoring`,
@@ -328,25 +471,41 @@ class MetricsService {
         });
       }
 
-      // Generate RTP trend data
-      const rtpTrend = this.generateRTPTrend(24, currentRTP);
+      let status = 'healthy';
+      if (!enoughData) {
+        status = 'insufficient_data';
+      } else if (deviation > 2.0) {
+        status = 'critical';
+      } else if (deviation > 1.0) {
+        status = 'warning';
+      }
 
       return {
-        currentRTP: parseFloat(currentRTP.toFixed(2)),
+        currentRTP,
         targetRTP,
+        rtpProfile: profile.id,
         deviation: parseFloat(deviation.toFixed(2)),
-        status: deviation > 2.0 ? 'critical' : deviation > 1.0 ? 'warning' : 'healthy',
+        sampleSize,
+        minSampleSize: RTP_MIN_SAMPLE,
+        status,
         alerts,
-        rtpTrend,
-        complianceScore: Math.max(0, 100 - (deviation * 10))
+        rtpTrend: points.map(point => ({
+          timestamp: point.timestamp,
+          rtp: point.rtp,
+          sample_size: point.paidSpins + point.purchases
+        })),
+        complianceScore: enoughData ? Math.max(0, 100 - (deviation * 10)) : 100
       };
     } catch (error) {
       console.error('Error getting RTP metrics:', error);
       return {
-        currentRTP: 96.5,
-        targetRTP: 96.5,
+        currentRTP: null,
+        targetRTP,
+        rtpProfile: profile.id,
         deviation: 0,
-        status: 'healthy',
+        sampleSize: 0,
+        minSampleSize: RTP_MIN_SAMPLE,
+        status: 'insufficient_data',
         alerts: [],
         rtpTrend: [],
         complianceScore: 100
@@ -416,11 +575,22 @@ class MetricsService {
      */
   async getRealtimeMetrics() {
     try {
-      // Simulate real-time data updates
-      this.realtimeCache.activePlayers = Math.max(0, this.realtimeCache.activePlayers + Math.floor(Math.random() * 6 - 3)); // ±3 variance
-      this.realtimeCache.totalSpinsLastHour = 150 + Math.round(Math.random() * 50);
-      this.realtimeCache.revenueLastHour = 875 + Math.round(Math.random() * 200);
-      this.realtimeCache.avgResponseTime = 45 + Math.random() * 30;
+      const currency = getDefaultCurrency();
+      const [series, { rows: [active] }] = await Promise.all([
+        this.getSeries('1h', currency),
+        // Players who spun in the last five minutes
+        this.pool.query(
+          `SELECT COUNT(DISTINCT sr.player_id) AS active_players
+           FROM spin_results sr
+           JOIN players p ON p.id = sr.player_id AND NOT COALESCE(p.is_demo, FALSE)
+           WHERE sr.created_at >= NOW() - INTERVAL '5 minutes'`
+        )
+      ]);
+
+      this.realtimeCache.activePlayers = parseInt(active.active_players) || 0;
+      this.realtimeCache.totalSpinsLastHour = series.totals.spins;
+      this.realtimeCache.revenueLastHour = series.totals.revenue;
+      this.realtimeCache.currency = currency;
       this.realtimeCache.systemHealth = 'healthy';
       this.realtimeCache.lastUpdated = new Date();
 
@@ -436,109 +606,22 @@ class MetricsService {
      */
   startMetricsCollection() {
     // Update realtime metrics every minute
-    setInterval(() => {
+    this.collectionInterval = setInterval(() => {
       this.getRealtimeMetrics();
     }, 60000);
-
-    // Update RTP monitoring every 5 minutes
-    setInterval(() => {
-      this.updateRTPMonitoring();
-    }, 5 * 60000);
+    this.collectionInterval.unref();
 
     console.log('Metrics collection started');
   }
 
   /**
-     * Update RTP monitoring data
+     * Stop background metrics collection (tests and shutdown)
      */
-  async updateRTPMonitoring() {
-    try {
-      // Simulate RTP monitoring updates
-      // In production, this would update RTP data in the database
-      console.log('RTP monitoring updated with simulated data');
-    } catch (error) {
-      console.error('Error updating RTP monitoring:', error);
-    }
-  }
-
-  // Helper methods
-  getTimeClause(timeframe) {
-    const now = new Date();
-    switch (timeframe) {
-    case '1h':
-      return new Date(now.getTime() - 60 * 60 * 1000);
-    case '24h':
-      return new Date(now.getTime() - 24 * 60 * 60 * 1000);
-    case '7d':
-      return new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-    case '30d':
-      return new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-    default:
-      return new Date(now.getTime() - 24 * 60 * 60 * 1000);
-    }
+  stopMetricsCollection() {
+    clearInterval(this.collectionInterval);
+    this.collectionInterval = null;
   }
-
-  getBetRange(betSize) {
-    if (betSize >= 100) {return '$100+';}
-    if (betSize >= 50) {return '$50-$99';}
-    if (betSize >= 10) {return '$10-$49';}
-    if (betSize >= 1) {return '$1-$9';}
-    return '<$1';
-  }
-
-  generateHourlyTrend(hours, baseValue, variance = 0.3) {
-    const trend = [];
-    for (let i = 0; i < hours; i++) {
-      const variation = (Math.random() - 0.5) * 2 * variance;
-      const value = Math.max(0, baseValue * (1 + variation));
-      trend.push({
-        hour: i,
-        value: parseFloat(value.toFixed(2))
-      });
-    }
-    return trend;
-  }
-
-  generateHourlyActivity() {
-    // Simulate realistic activity patterns (peak hours: 8pm-11pm)
-    const hourlyActivity = [];
-    for (let hour = 0; hour < 24; hour++) {
-      let baseActivity = 20; // Base activity level
-
-      // Peak hours simulation
-      if (hour >= 20 && hour <= 23) {
-        baseActivity = 80;
-      } else if (hour >= 18 && hour <= 21) {
-        baseActivity = 60;
-      } else if (hour >= 12 && hour <= 17) {
-        baseActivity = 40;
-      } else if (hour >= 6 && hour <= 11) {
-        baseActivity = 35;
-      } else {
-        baseActivity = 15; // Late night/early morning
-      }
-
-      const variance = baseActivity * 0.3 * (Math.random() - 0.5);
-      hourlyActivity.push(Math.max(0, Math.round(baseActivity + variance)));
-    }
-    return hourlyActivity;
-  }
-
-  generateRTPTrend(hours, currentRTP) {
-    const trend = [];
-    for (let i = 0; i < hours; i++) {
-      const variance = (Math.random() - 0.5) * 0.5; // Small RTP variance
-      const rtp = currentRTP + variance;
-      trend.push({
-        timestamp: new Date(Date.now() - (hours - i) * 60 * 60 * 1000),
-        rtp: parseFloat(rtp.toFixed(2)),
-        sample_size: 100 + Math.round(Math.random() * 200)
-      });
-    }
-    return trend;
-  }
-
-
 }
 
-module.exports = new MetricsService();
\ No newline at end of file
+module.exports = new MetricsService();
+module.exports.summarizeSeries = summarizeSeries;
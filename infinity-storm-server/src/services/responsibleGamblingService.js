@@ -0,0 +1,554 @@
+/**
+ * Responsible Gambling Service
+ *
+ * Player-set limits and exclusions, checked before money is staked or deposited:
+ *   - deposit, loss and wager limits per rolling day (24h), week (7d) and month (30d)
+ *   - a session-time limit, counted from the start of the login session
+ *   - reality-check reminders (interval only; the client shows them)
+ *   - cool-off breaks (24h to 6 weeks) and self-exclusion (6 months to 5 years)
+ *
+ * checkPlay runs in gameValidation for /api/spin and /api/buy-feature, checkDeposit
+ * in the portal credit route. Both return null when the action is allowed, or a
+ * block ({ reason, message, ... }) that is sent to the client as a 403
+ * RESPONSIBLE_GAMBLING_LIMIT.
+ *
+ * A stricter limit applies at once. A looser one (raised or removed) only takes
+ * over after LIMIT_INCREASE_DELAY_MS; until then it is kept as pending in
+ * player_limits and resolved when the row is read. Cool-off and self-exclusion
+ * can be extended but never shortened by the player.
+ *
+ * Usage is summed from the transactions ledger: wagered = bets + purchases -
+ * refunds, loss = wagered - wins. With a seamless wallet the operator's ledger
+ * holds the money, so deposit, loss and wager limits are the operator's to
+ * enforce; session time, cool-off and self-exclusion still apply here.
+ */
+
+const { pool } = require('../db/pool');
+const { auditLogger } = require('../utils/logger');
+const { resolveCurrency, roundToCurrency } = require('../config/currencies');
+
+const MONEY_LIMIT_TYPES = ['deposit', 'loss', 'wager'];
+const LIMIT_TYPES = [...MONEY_LIMIT_TYPES, 'session_time'];
+const LIMIT_PERIODS = ['daily', 'weekly', 'monthly'];
+
+// Intervals in SQL syntax, so windows are measured by the database clock
+const COOL_OFF_PERIODS = {
+  '24h': '24 hours',
+  '7d': '7 days',
+  '30d': '30 days',
+  '42d': '42 days'
+};
+const SELF_EXCLUSION_PERIODS = {
+  '6m': '6 months',
+  '1y': '1 year',
+  '5y': '5 years'
+};
+
+const MAX_SESSION_MINUTES = 24 * 60;
+const REALITY_CHECK_RANGE = { min: 5, max: 240 };
+const LIMIT_INCREASE_DELAY_MS =
+  (parseInt(process.env.RG_LIMIT_INCREASE_DELAY_HOURS) || 24) * 60 * 60 * 1000;
+
+const rgError = (name, message, details = null) => {
+  const error = new Error(message);
+  error.name = name;
+  error.details = details;
+  return error;
+};
+
+const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+const isFuture = (value, now) => Boolean(value) && new Date(value) > now;
+
+/**
+ * Limit in force at `now`, applying a pending change whose delay has passed
+ * @param {Object} row - player_limits row
+ * @param {Date} now - Reference time
+ * @returns {Object} { limitType, period, amount, pending } (pending: { amount, effectiveAt } or null)
+ */
+function resolveLimit(row, now = new Date()) {
+  const pendingAmount = row.pending_remove ? null : toNumber(row.pending_amount);
+  const hasPending = Boolean(row.pending_effective_at);
+  const due = hasPending && new Date(row.pending_effective_at) <= now;
+
+  return {
+    limitType: row.limit_type,
+    period: row.period,
+    amount: due ? pendingAmount : toNumber(row.amount),
+    pending: hasPending && !due
+      ? { amount: pendingAmount, effectiveAt: new Date(row.pending_effective_at) }
+      : null
+  };
+}
+
+/**
+ * Decide how a requested limit is stored: tighter now, looser after the delay
+ * @param {number|null} current - Limit in force (null: none)
+ * @param {number|null} requested - Requested limit (null: remove)
+ * @param {Date} now - Reference time
+ * @returns {Object} { amount, pendingAmount, pendingRemove, pendingEffectiveAt }
+ */
+function planLimitChange(current, requested, now = new Date()) {
+  const looser = requested === null
+    ? current !== null
+    : current !== null && requested > current;
+
+  if (!looser) {
+    return { amount: requested, pendingAmount: null, pendingRemove: false, pendingEffectiveAt: null };
+  }
+  return {
+    amount: current,
+    pendingAmount: requested,
+    pendingRemove: requested === null,
+    pendingEffectiveAt: new Date(now.getTime() + LIMIT_INCREASE_DELAY_MS)
+  };
+}
+
+/**
+ * Per-period totals from the usage query rows
+ * @param {Array<Object>} rows - { type, daily, weekly, monthly } per transaction type
+ * @param {string} currency - Wallet currency (for rounding)
+ * @returns {Object} { daily, weekly, monthly } of { deposited, wagered, won, loss }
+ */
+function summarizeUsage(rows, currency) {
+  const usage = {};
+  for (const period of LIMIT_PERIODS) {
+    const sum = (...types) => rows
+      .filter(row => types.includes(row.type))
+      .reduce((total, row) => total + (parseFloat(row[period]) || 0), 0);
+    const wagered = sum('bet', 'purchase') - sum('refund');
+    const won = sum('win');
+
+    usage[period] = {
+      deposited: roundToCurrency(sum('deposit'), currency),
+      wagered: roundToCurrency(wagered, currency),
+      won: roundToCurrency(won, currency),
+      loss: roundToCurrency(wagered - won, currency)
+    };
+  }
+  return usage;
+}
+
+const USAGE_FIELD = { deposit: 'deposited', loss: 'loss', wager: 'wagered' };
+
+/**
+ * First money limit the amount would break
+ * @param {Array<Object>} limits - Resolved limits
+ * @param {Object} usage - summarizeUsage result
+ * @param {Array<string>} limitTypes - Limit types to check
+ * @param {number} amount - Amount about to be staked or deposited
+ * @returns {Object|null} Block or null
+ */
+function findMoneyLimitBlock(limits, usage, limitTypes, amount) {
+  for (const limit of limits) {
+    if (!limitTypes.includes(limit.limitType) || limit.amount === null) {
+      continue;
+    }
+    const used = usage[limit.period][USAGE_FIELD[limit.limitType]];
+    if (used + amount > limit.amount) {
+      return {
+        reason: `${limit.limitType.toUpperCase()}_LIMIT`,
+        message: `This would exceed your ${limit.period} ${limit.limitType} limit`,
+        limitType: limit.limitType,
+        period: limit.period,
+        limit: limit.amount,
+        used,
+        remaining: Math.max(0, limit.amount - used)
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Exclusion and session-time blocks, which stop any play
+ * @param {Object} account - Player's responsible gambling settings
+ * @param {Array<Object>} limits - Resolved limits
+ * @param {Date|null} sessionStartedAt - Start of the login session
+ * @param {Date} now - Reference time
+ * @returns {Object|null} Block or null
+ */
+function findAccountBlock(account, limits, sessionStartedAt, now) {
+  if (isFuture(account.self_excluded_until, now)) {
+    return {
+      reason: 'SELF_EXCLUDED',
+      message: 'Your account is self-excluded',
+      until: new Date(account.self_excluded_until)
+    };
+  }
+  if (isFuture(account.cool_off_until, now)) {
+    return {
+      reason: 'COOL_OFF',
+      message: 'You are taking a break from play',
+      until: new Date(account.cool_off_until)
+    };
+  }
+
+  const sessionLimit = limits.find(limit => limit.limitType === 'session_time');
+  if (sessionLimit?.amount && sessionStartedAt) {
+    const elapsedMinutes = Math.floor((now - new Date(sessionStartedAt)) / 60000);
+    if (elapsedMinutes >= sessionLimit.amount) {
+      return {
+        reason: 'SESSION_TIME_LIMIT',
+        message: `You have reached your session limit of ${sessionLimit.amount} minutes`,
+        limitMinutes: sessionLimit.amount,
+        elapsedMinutes
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Check a stake (spin bet or feature purchase)
+ * @param {Object} state - { account, limits, usage, amount, sessionStartedAt, now }
+ * @returns {Object|null} Block or null
+ */
+function evaluatePlay({ account, limits, usage, amount, sessionStartedAt = null, now = new Date() }) {
+  return findAccountBlock(account, limits, sessionStartedAt, now) ||
+    (amount > 0 ? findMoneyLimitBlock(limits, usage, ['loss', 'wager'], amount) : null);
+}
+
+/**
+ * Check a deposit
+ * @param {Object} state - { account, limits, usage, amount, now }
+ * @returns {Object|null} Block or null
+ */
+function evaluateDeposit({ account, limits, usage, amount, now = new Date() }) {
+  return findAccountBlock(account, limits, null, now) ||
+    findMoneyLimitBlock(limits, usage, ['deposit'], amount);
+}
+
+class ResponsibleGamblingService {
+  constructor() {
+    this.pool = pool;
+  }
+
+  /**
+     * Player's settings, plus pending free spins (which are already paid for)
+     * @param {string} playerId - Player ID
+     * @returns {Promise<Object>} Account row
+     */
+  async loadAccount(playerId) {
+    const { rows } = await this.pool.query(
+      `SELECT p.id, p.is_demo, p.currency, p.reality_check_minutes, p.cool_off_until,
+              p.self_excluded_at, p.self_excluded_until,
+              COALESCE(gs.free_spins_remaining, 0) AS free_spins_remaining
+       FROM players p
+       LEFT JOIN game_states gs ON gs.player_id = p.id
+       WHERE p.id = $1`,
+      [playerId]
+    );
+    if (rows.length === 0) {
+      throw rgError('NotFoundError', `Player not found: ${playerId}`);
+    }
+    return rows[0];
+  }
+
+  /**
+     * @param {string} playerId - Player ID
+     * @param {Date} now - Reference time
+     * @returns {Promise<Array<Object>>} Resolved limits
+     */
+  async loadLimits(playerId, now = new Date()) {
+    const { rows } = await this.pool.query(
+      'SELECT * FROM player_limits WHERE player_id = $1 ORDER BY limit_type, period',
+      [playerId]
+    );
+    return rows.map(row => resolveLimit(row, now));
+  }
+
+  /**
+     * Deposits, stakes and wins over the rolling day, week and month
+     * @param {string} playerId - Player ID
+     * @param {string} currency - Wallet currency
+     * @returns {Promise<Object>} summarizeUsage result
+     */
+  async getUsage(playerId, currency) {
+    const { rows } = await this.pool.query(
+      `SELECT type,
+              COALESCE(SUM(ABS(amount)) FILTER (WHERE created_at >= NOW() - INTERVAL '1 day'), 0) AS daily,
+              COALESCE(SUM(ABS(amount)) FILTER (WHERE created_at >= NOW() - INTERVAL '7 days'), 0) AS weekly,
+              COALESCE(SUM(ABS(amount)), 0) AS monthly
+       FROM transactions
+       WHERE player_id = $1
+         AND created_at >= NOW() - INTERVAL '30 days'
+         AND type IN ('bet', 'purchase', 'refund', 'win', 'deposit')
+       GROUP BY type`,
+      [playerId]
+    );
+    return summarizeUsage(rows, currency);
+  }
+
+  /**
+     * Check a spin or feature purchase before it is charged
+     * @param {Object} params - { playerId, amount, sessionStartedAt, isPurchase }
+     * @returns {Promise<Object|null>} Block or null when play is allowed
+     */
+  async checkPlay({ playerId, amount, sessionStartedAt = null, isPurchase = false }) {
+    const now = new Date();
+    const account = await this.loadAccount(playerId);
+    if (account.is_demo) {
+      return null;
+    }
+
+    const limits = await this.loadLimits(playerId, now);
+    // Spins of a bought or triggered feature cost nothing
+    const freeSpin = !isPurchase && parseInt(account.free_spins_remaining) > 0;
+    const stake = freeSpin ? 0 : (parseFloat(amount) || 0);
+    const usage = stake > 0 && limits.some(limit => MONEY_LIMIT_TYPES.includes(limit.limitType))
+      ? await this.getUsage(playerId, resolveCurrency(account.currency))
+      : null;
+
+    return evaluatePlay({ account, limits, usage, amount: stake, sessionStartedAt, now });
+  }
+
+  /**
+     * Check a deposit before it is credited
+     * @param {Object} params - { playerId, amount }
+     * @returns {Promise<Object|null>} Block or null when the deposit is allowed
+     */
+  async checkDeposit({ playerId, amount }) {
+    const now = new Date();
+    const account = await this.loadAccount(playerId);
+    const limits = await this.loadLimits(playerId, now);
+    const usage = await this.getUsage(playerId, resolveCurrency(account.currency));
+
+    return evaluateDeposit({ account, limits, usage, amount: parseFloat(amount) || 0, now });
+  }
+
+  /**
+     * Limits with usage, session and exclusion state (player settings screen, admin view)
+     * @param {string} playerId - Player ID
+     * @param {Object} options - { sessionStartedAt }
+     * @returns {Promise<Object>} Status
+     */
+  async getStatus(playerId, { sessionStartedAt = null } = {}) {
+    const now = new Date();
+    const account = await this.loadAccount(playerId);
+    const currency = resolveCurrency(account.currency);
+    const [limits, usage] = await Promise.all([
+      this.loadLimits(playerId, now),
+      this.getUsage(playerId, currency)
+    ]);
+    const sessionLimit = limits.find(limit => limit.limitType === 'session_time');
+
+    return {
+      currency,
+      limits: limits
+        .filter(limit => MONEY_LIMIT_TYPES.includes(limit.limitType))
+        .map(limit => {
+          const used = usage[limit.period][USAGE_FIELD[limit.limitType]];
+          return {
+            ...limit,
+            used,
+            remaining: limit.amount === null ? null : Math.max(0, limit.amount - used)
+          };
+        }),
+      usage,
+      session: {
+        startedAt: sessionStartedAt ? new Date(sessionStartedAt) : null,
+        elapsedMinutes: sessionStartedAt ? Math.floor((now - new Date(sessionStartedAt)) / 60000) : null,
+        limitMinutes: sessionLimit?.amount ?? null,
+        pending: sessionLimit?.pending ?? null,
+        realityCheckMinutes: account.reality_check_minutes ?? null
+      },
+      coolOffUntil: isFuture(account.cool_off_until, now) ? new Date(account.cool_off_until) : null,
+      selfExcludedAt: account.self_excluded_at ? new Date(account.self_excluded_at) : null,
+      selfExcludedUntil: isFuture(account.self_excluded_until, now)
+        ? new Date(account.self_excluded_until)
+        : null,
+      block: findAccountBlock(account, limits, sessionStartedAt, now)
+    };
+  }
+
+  /**
+     * Set, raise, lower or remove a limit
+     * @param {string} playerId - Player ID
+     * @param {Object} change - { limitType, period, amount } (amount null removes; minutes for session_time)
+     * @returns {Promise<Object>} { limitType, period, amount, pending, previous }
+     */
+  async setLimit(playerId, { limitType, period, amount }) {
+    const limitPeriod = limitType === 'session_time' ? 'session' : period;
+    const errors = [];
+    if (!LIMIT_TYPES.includes(limitType)) {
+      errors.push(`limitType must be one of: ${LIMIT_TYPES.join(', ')}`);
+    }
+    if (limitType !== 'session_time' && !LIMIT_PERIODS.includes(period)) {
+      errors.push(`period must be one of: ${LIMIT_PERIODS.join(', ')}`);
+    }
+    const requested = amount === null || amount === undefined ? null : parseFloat(amount);
+    if (requested !== null && (!Number.isFinite(requested) || requested <= 0)) {
+      errors.push('amount must be a positive number, or null to remove the limit');
+    }
+    if (limitType === 'session_time' && requested !== null &&
+      (!Number.isInteger(requested) || requested > MAX_SESSION_MINUTES)) {
+      errors.push(`session_time must be whole minutes up to ${MAX_SESSION_MINUTES}`);
+    }
+    if (errors.length > 0) {
+      throw rgError('ValidationError', 'Invalid limit', errors);
+    }
+
+    const now = new Date();
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+      const { rows: [player] } = await client.query(
+        'SELECT currency FROM players WHERE id = $1 FOR UPDATE',
+        [playerId]
+      );
+      if (!player) {
+        throw rgError('NotFoundError', `Player not found: ${playerId}`);
+      }
+      const normalized = requested === null || limitType === 'session_time'
+        ? requested
+        : roundToCurrency(requested, resolveCurrency(player.currency));
+
+      const { rows } = await client.query(
+        'SELECT * FROM player_limits WHERE player_id = $1 AND limit_type = $2 AND period = $3',
+        [playerId, limitType, limitPeriod]
+      );
+      const previous = rows[0] ? resolveLimit(rows[0], now) : { amount: null, pending: null };
+      const plan = planLimitChange(previous.amount, normalized, now);
+
+      if (plan.amount === null && !plan.pendingEffectiveAt) {
+        await client.query(
+          'DELETE FROM player_limits WHERE player_id = $1 AND limit_type = $2 AND period = $3',
+          [playerId, limitType, limitPeriod]
+        );
+      } else {
+        await client.query(
+          `INSERT INTO player_limits
+             (player_id, limit_type, period, amount, pending_amount, pending_remove, pending_effective_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)
+           ON CONFLICT (player_id, limit_type, period) DO UPDATE
+           SET amount = EXCLUDED.amount,
+               pending_amount = EXCLUDED.pending_amount,
+               pending_remove = EXCLUDED.pending_remove,
+               pending_effective_at = EXCLUDED.pending_effective_at,
+               updated_at = NOW()`,
+          [playerId, limitType, limitPeriod, plan.amount, plan.pendingAmount, plan.pendingRemove,
+            plan.pendingEffectiveAt]
+        );
+      }
+      await client.query('COMMIT');
+
+      const result = {
+        limitType,
+        period: limitPeriod,
+        amount: plan.amount,
+        pending: plan.pendingEffectiveAt
+          ? { amount: plan.pendingAmount, effectiveAt: plan.pendingEffectiveAt }
+          : null,
+        previous: previous.amount
+      };
+      auditLogger.info('Responsible gambling limit changed', { player_id: playerId, ...result });
+      return result;
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+     * @param {string} playerId - Player ID
+     * @param {number|null} minutes - Reminder interval (null disables)
+     * @returns {Promise<Object>} { realityCheckMinutes }
+     */
+  async setRealityCheck(playerId, minutes) {
+    if (minutes !== null &&
+      (!Number.isInteger(minutes) || minutes < REALITY_CHECK_RANGE.min || minutes > REALITY_CHECK_RANGE.max)) {
+      throw rgError('ValidationError', 'Invalid reality check interval', [
+        `minutes must be whole minutes between ${REALITY_CHECK_RANGE.min} and ${REALITY_CHECK_RANGE.max}, or null`
+      ]);
+    }
+    const { rowCount } = await this.pool.query(
+      'UPDATE players SET reality_check_minutes = $2, updated_at = NOW() WHERE id = $1',
+      [playerId, minutes]
+    );
+    if (rowCount === 0) {
+      throw rgError('NotFoundError', `Player not found: ${playerId}`);
+    }
+    auditLogger.info('Reality check interval changed', { player_id: playerId, minutes });
+    return { realityCheckMinutes: minutes };
+  }
+
+  /**
+     * Take a break; an existing longer break is kept
+     * @param {string} playerId - Player ID
+     * @param {string} period - Key of COOL_OFF_PERIODS
+     * @returns {Promise<Object>} { coolOffUntil }
+     */
+  async startCoolOff(playerId, period) {
+    if (!COOL_OFF_PERIODS[period]) {
+      throw rgError('ValidationError', 'Invalid cool-off period', [
+        `period must be one of: ${Object.keys(COOL_OFF_PERIODS).join(', ')}`
+      ]);
+    }
+    const { rows } = await this.pool.query(
+      `UPDATE players
+       SET cool_off_until = GREATEST(COALESCE(cool_off_until, NOW()), NOW() + $2::interval),
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING cool_off_until`,
+      [playerId, COOL_OFF_PERIODS[period]]
+    );
+    if (rows.length === 0) {
+      throw rgError('NotFoundError', `Player not found: ${playerId}`);
+    }
+    auditLogger.info('Player started a cool-off', {
+      player_id: playerId,
+      period,
+      until: rows[0].cool_off_until
+    });
+    return { coolOffUntil: rows[0].cool_off_until };
+  }
+
+  /**
+     * Self-exclude; an existing longer exclusion is kept
+     * @param {string} playerId - Player ID
+     * @param {string} period - Key of SELF_EXCLUSION_PERIODS
+     * @returns {Promise<Object>} { selfExcludedAt, selfExcludedUntil }
+     */
+  async selfExclude(playerId, period) {
+    if (!SELF_EXCLUSION_PERIODS[period]) {
+      throw rgError('ValidationError', 'Invalid self-exclusion period', [
+        `period must be one of: ${Object.keys(SELF_EXCLUSION_PERIODS).join(', ')}`
+      ]);
+    }
+    const { rows } = await this.pool.query(
+      `UPDATE players
+       SET self_excluded_at = CASE WHEN self_excluded_until > NOW() THEN self_excluded_at ELSE NOW() END,
+           self_excluded_until = GREATEST(COALESCE(self_excluded_until, NOW()), NOW() + $2::interval),
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING self_excluded_at, self_excluded_until`,
+      [playerId, SELF_EXCLUSION_PERIODS[period]]
+    );
+    if (rows.length === 0) {
+      throw rgError('NotFoundError', `Player not found: ${playerId}`);
+    }
+    auditLogger.warn('Player self-excluded', {
+      player_id: playerId,
+      period,
+      until: rows[0].self_excluded_until
+    });
+    return { selfExcludedAt: rows[0].self_excluded_at, selfExcludedUntil: rows[0].self_excluded_until };
+  }
+}
+
+const responsibleGamblingService = new ResponsibleGamblingService();
+
+module.exports = responsibleGamblingService;
+module.exports.LIMIT_TYPES = LIMIT_TYPES;
+module.exports.LIMIT_PERIODS = LIMIT_PERIODS;
+module.exports.COOL_OFF_PERIODS = COOL_OFF_PERIODS;
+module.exports.SELF_EXCLUSION_PERIODS = SELF_EXCLUSION_PERIODS;
+module.exports.REALITY_CHECK_RANGE = REALITY_CHECK_RANGE;
+module.exports.resolveLimit = resolveLimit;
+module.exports.planLimitChange = planLimitChange;
+module.exports.summarizeUsage = summarizeUsage;
+module.exports.evaluatePlay = evaluatePlay;
+module.exports.evaluateDeposit = evaluateDeposit;
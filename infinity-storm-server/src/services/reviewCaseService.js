@@ -0,0 +1,360 @@
+/**
+ * Review Case Service
+ *
+ * Cases are review_queue entries worked in the admin panel. Anomaly scoring
+ * opens them for high risk scores; antiCheat opens them when it flags a
+ * player (watchAntiCheat), appending each flag's violations to the player's
+ * unresolved case. An admin takes a case, adds notes and resolves it with
+ * clear, restrict, suspend or ban; the admin controller applies suspensions
+ * and bans and records every step in AdminLog.
+ *
+ * Restrictions (players.restricted_until) come from the restrict resolution
+ * and from antiCheat's temporary restrictions. gameValidation refuses feature
+ * purchases and bets above the minimum while one is in force.
+ */
+
+const { pool } = require('../db/pool');
+const { logger } = require('../utils/logger');
+
+const QUEUE_STATUSES = ['open', 'in_review', 'resolved'];
+const CASE_FILTERS = [...QUEUE_STATUSES, 'unresolved'];
+const RESOLUTIONS = ['clear', 'restrict', 'suspend', 'ban'];
+const PRIORITIES = ['LOW', 'MEDIUM', 'HIGH', 'CRITICAL'];
+const RESTRICTION_DAYS = parseInt(process.env.REVIEW_RESTRICTION_DAYS) || 7;
+// Repeated antiCheat flags of a player within this time only update the case when the priority rises
+const FLAG_COOLDOWN_MS = parseInt(process.env.REVIEW_FLAG_COOLDOWN_MS) || 10 * 60 * 1000;
+const RECENT_SPINS = 25;
+
+const caseError = (name, message, details = null) => {
+  const error = new Error(message);
+  error.name = name;
+  error.details = details;
+  return error;
+};
+
+class ReviewCaseService {
+  constructor() {
+    this.pool = pool;
+    this.recentFlags = new Map(); // player ID -> { rank, at }
+    this.watched = new WeakSet();
+  }
+
+  /**
+     * Cases, highest priority and score first
+     * @param {Object} options - { status (a queue status or 'unresolved'), priority, assignedTo, limit }
+     * @returns {Promise<Array<Object>>} Cases with the player's username and account status and the assignee's account ID
+     */
+  async listCases({ status = 'unresolved', priority = null, assignedTo = null, limit = 50 } = {}) {
+    if (!CASE_FILTERS.includes(status)) {
+      throw caseError('ValidationError', `status must be one of ${CASE_FILTERS.join(', ')}`);
+    }
+    if (priority && !PRIORITIES.includes(priority)) {
+      throw caseError('ValidationError', `priority must be one of ${PRIORITIES.join(', ')}`);
+    }
+    const { rows } = await this.pool.query(
+      `SELECT q.id, q.player_id, q.source, q.priority, q.risk_score, q.status,
+              q.assigned_to, q.resolution, q.created_at, q.updated_at, q.resolved_at,
+              jsonb_array_length(q.findings) AS finding_count,
+              jsonb_array_length(q.violations) AS flag_count,
+              p.username, p.status AS player_status, a.account_id AS assignee
+       FROM review_queue q
+       JOIN players p ON p.id = q.player_id
+       LEFT JOIN admins a ON a.id = q.assigned_to
+       WHERE ($1 = 'unresolved' AND q.status <> 'resolved' OR q.status = $1)
+         AND ($2::text IS NULL OR q.priority = $2)
+         AND ($3::uuid IS NULL OR q.assigned_to = $3)
+       ORDER BY array_position($4::text[], q.priority) DESC, q.risk_score DESC, q.created_at
+       LIMIT $5`,
+      [status, priority, assignedTo, PRIORITIES, limit]
+    );
+    return rows;
+  }
+
+  /**
+     * Number of cases per status
+     * @returns {Promise<Object>} { open, in_review, resolved }
+     */
+  async countCases() {
+    const { rows } = await this.pool.query('SELECT status, COUNT(*) AS count FROM review_queue GROUP BY status');
+    const counts = Object.fromEntries(QUEUE_STATUSES.map(status => [status, 0]));
+    for (const row of rows) {
+      counts[row.status] = parseInt(row.count);
+    }
+    return counts;
+  }
+
+  /**
+     * A case with the player's username, account status and restriction
+     * @param {string} caseId - Case ID
+     * @returns {Promise<Object|null>} Case or null when it does not exist
+     */
+  async findCase(caseId) {
+    const { rows: [reviewCase] } = await this.pool.query(
+      `SELECT q.*, p.username, p.status AS player_status, p.is_demo, p.currency,
+              p.restricted_until, p.restriction_reason,
+              a.account_id AS assignee, r.account_id AS resolver
+       FROM review_queue q
+       JOIN players p ON p.id = q.player_id
+       LEFT JOIN admins a ON a.id = q.assigned_to
+       LEFT JOIN admins r ON r.id = q.resolved_by
+       WHERE q.id = $1`,
+      [caseId]
+    );
+    return reviewCase || null;
+  }
+
+  /**
+     * A case with its evidence: findings and antiCheat violations, the player's
+     * risk score history and recent spins, and the notes
+     * @param {string} caseId - Case ID
+     * @returns {Promise<Object|null>} Case or null when it does not exist
+     */
+  async getCase(caseId) {
+    const reviewCase = await this.findCase(caseId);
+    if (!reviewCase) {
+      return null;
+    }
+
+    // Required here: anomaly scoring loads the math model registry
+    const anomalyScoringService = require('./anomalyScoringService');
+    const [riskScores, { rows: recentSpins }, notes] = await Promise.all([
+      anomalyScoringService.getRiskHistory(reviewCase.player_id),
+      this.pool.query(
+        `SELECT id, spin_number, bet_amount, total_win, game_mode, created_at
+         FROM spin_results
+         WHERE player_id = $1
+         ORDER BY created_at DESC
+         LIMIT $2`,
+        [reviewCase.player_id, RECENT_SPINS]
+      ),
+      this.getNotes(caseId)
+    ]);
+    return { ...reviewCase, riskScores, recentSpins, notes };
+  }
+
+  /**
+     * Notes of a case, oldest first
+     * @param {string} caseId - Case ID
+     * @returns {Promise<Array<Object>>} Notes with the author's account ID
+     */
+  async getNotes(caseId) {
+    const { rows } = await this.pool.query(
+      `SELECT n.id, n.note, n.admin_id, a.account_id AS author, n.created_at
+       FROM review_case_notes n
+       LEFT JOIN admins a ON a.id = n.admin_id
+       WHERE n.case_id = $1
+       ORDER BY n.created_at`,
+      [caseId]
+    );
+    return rows;
+  }
+
+  /**
+     * Assign an unresolved case; an open case moves to in_review
+     * @param {string} caseId - Case ID
+     * @param {string|null} adminId - Assignee, null to unassign
+     * @returns {Promise<Object>} Updated case row
+     */
+  async assign(caseId, adminId) {
+    const { rows: [reviewCase] } = await this.pool.query(
+      `UPDATE review_queue
+       SET assigned_to = $2,
+           assigned_at = CASE WHEN $2::uuid IS NULL THEN NULL ELSE NOW() END,
+           status = CASE WHEN $2::uuid IS NOT NULL AND status = 'open' THEN 'in_review' ELSE status END,
+           updated_at = NOW()
+       WHERE id = $1 AND status <> 'resolved'
+       RETURNING *`,
+      [caseId, adminId]
+    );
+    if (!reviewCase) {
+      throw await this.notWorkable(caseId);
+    }
+    return reviewCase;
+  }
+
+  /**
+     * Add a note to a case
+     * @param {string} caseId - Case ID
+     * @param {string} adminId - Author
+     * @param {string} note - Note text
+     * @returns {Promise<Object>} Note row
+     */
+  async addNote(caseId, adminId, note) {
+    const text = String(note || '').trim();
+    if (!text) {
+      throw caseError('ValidationError', 'Note is required');
+    }
+    const { rows: [row] } = await this.pool.query(
+      `INSERT INTO review_case_notes (case_id, admin_id, note)
+       SELECT id, $2, $3 FROM review_queue WHERE id = $1
+       RETURNING *`,
+      [caseId, adminId, text]
+    );
+    if (!row) {
+      throw caseError('NotFoundError', 'Case not found');
+    }
+    return row;
+  }
+
+  /**
+     * Close a case with its resolution. The caller applies the resolution first
+     * (restrictPlayer, or the suspend/ban controllers)
+     * @param {string} caseId - Case ID
+     * @param {Object} resolution - { adminId, resolution, note }
+     * @returns {Promise<Object>} Resolved case row
+     */
+  async resolve(caseId, { adminId, resolution, note = null }) {
+    if (!RESOLUTIONS.includes(resolution)) {
+      throw caseError('ValidationError', `resolution must be one of ${RESOLUTIONS.join(', ')}`);
+    }
+    const { rows: [reviewCase] } = await this.pool.query(
+      `UPDATE review_queue
+       SET status = 'resolved', resolution = $2, resolution_note = $3,
+           resolved_by = $4, resolved_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND status <> 'resolved'
+       RETURNING *`,
+      [caseId, resolution, note, adminId]
+    );
+    if (!reviewCase) {
+      throw await this.notWorkable(caseId);
+    }
+    return reviewCase;
+  }
+
+  /**
+     * Error for a case that could not be changed: missing or already resolved
+     * @private
+     */
+  async notWorkable(caseId) {
+    const { rows: [existing] } = await this.pool.query('SELECT status FROM review_queue WHERE id = $1', [caseId]);
+    return existing
+      ? caseError('ConflictError', 'Case is already resolved')
+      : caseError('NotFoundError', 'Case not found');
+  }
+
+  /**
+     * Restrict a player until the given time; never shortens a longer restriction
+     * @param {string} playerId - Player ID
+     * @param {Object} restriction - { until (default RESTRICTION_DAYS from now), reason }
+     * @returns {Promise<Object|null>} { until, reason } or null when the player does not exist
+     */
+  async restrictPlayer(playerId, { until = null, reason }) {
+    const restrictedUntil = until || new Date(Date.now() + RESTRICTION_DAYS * 24 * 60 * 60 * 1000);
+    const { rows: [row] } = await this.pool.query(
+      `UPDATE players
+       SET restricted_until = GREATEST(COALESCE(restricted_until, NOW()), $2),
+           restriction_reason = CASE WHEN restricted_until > $2 THEN restriction_reason ELSE $3 END,
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING restricted_until, restriction_reason`,
+      [playerId, restrictedUntil, reason]
+    );
+    return row ? { until: row.restricted_until, reason: row.restriction_reason } : null;
+  }
+
+  /**
+     * Lift a player's restriction
+     * @param {string} playerId - Player ID
+     * @returns {Promise<boolean>} True when a restriction was in force
+     */
+  async liftRestriction(playerId) {
+    const { rowCount } = await this.pool.query(
+      `UPDATE players
+       SET restricted_until = NULL, restriction_reason = NULL, updated_at = NOW()
+       WHERE id = $1 AND restricted_until > NOW()`,
+      [playerId]
+    );
+    return rowCount > 0;
+  }
+
+  /**
+     * The restriction in force for a player
+     * @param {string} playerId - Player ID
+     * @returns {Promise<Object|null>} { until, reason } or null
+     */
+  async getRestriction(playerId) {
+    const { rows: [row] } = await this.pool.query(
+      'SELECT restricted_until, restriction_reason FROM players WHERE id = $1 AND restricted_until > NOW()',
+      [playerId]
+    );
+    return row ? { until: row.restricted_until, reason: row.restriction_reason } : null;
+  }
+
+  /**
+     * Open a case for an antiCheat flag, or append the flag to the player's unresolved case.
+     * Keeps the higher priority and score; repeats within FLAG_COOLDOWN_MS are dropped
+     * unless the priority rises
+     * @param {Object} flag - { playerId, priority, riskScore, violations }
+     * @returns {Promise<Object|null>} { id, created } or null when dropped
+     */
+  async openFromAntiCheat({ playerId, priority, riskScore = 0, violations = [] }) {
+    const rank = PRIORITIES.indexOf(priority);
+    const recent = this.recentFlags.get(playerId);
+    if (recent && Date.now() - recent.at < FLAG_COOLDOWN_MS && rank <= recent.rank) {
+      return null;
+    }
+    this.recentFlags.set(playerId, { rank, at: Date.now() });
+
+    const flag = { priority, riskScore, violations, flaggedAt: new Date().toISOString() };
+    const { rows: [entry] } = await this.pool.query(
+      `INSERT INTO review_queue (player_id, source, priority, risk_score, violations)
+       VALUES ($1, 'anti_cheat', $2, $3, $4)
+       ON CONFLICT (player_id) WHERE status <> 'resolved' DO UPDATE
+       SET priority = CASE
+             WHEN array_position($5::text[], EXCLUDED.priority) > array_position($5::text[], review_queue.priority)
+             THEN EXCLUDED.priority ELSE review_queue.priority END,
+           risk_score = GREATEST(review_queue.risk_score, EXCLUDED.risk_score),
+           violations = review_queue.violations || EXCLUDED.violations,
+           updated_at = NOW()
+       RETURNING id, (xmax = 0) AS created`,
+      [playerId, priority, Math.round(riskScore), JSON.stringify([flag]), PRIORITIES]
+    );
+    logger.warn('Anti-cheat flag recorded on review case', {
+      player_id: playerId,
+      priority,
+      risk_score: riskScore,
+      case_id: entry.id,
+      created: entry.created
+    });
+    return { id: entry.id, created: entry.created };
+  }
+
+  /**
+     * Open cases and restrict players from an AntiCheat instance's events
+     * @param {AntiCheat} antiCheat - Instance emitting 'flagged' and 'restricted'
+     */
+  watchAntiCheat(antiCheat) {
+    if (!antiCheat || this.watched.has(antiCheat)) {
+      return;
+    }
+    this.watched.add(antiCheat);
+
+    antiCheat.on('flagged', (flag) => {
+      this.openFromAntiCheat(flag).catch((error) => {
+        logger.error('Failed to open review case for anti-cheat flag', { player_id: flag.playerId, error: error.message });
+      });
+    });
+    antiCheat.on('restricted', ({ playerId, durationSeconds }) => {
+      this.restrictPlayer(playerId, {
+        until: new Date(Date.now() + durationSeconds * 1000),
+        reason: 'Anti-cheat: critical risk score'
+      }).then((restriction) => {
+        if (restriction) {
+          logger.warn('Player restricted by anti-cheat', { player_id: playerId, restricted_until: restriction.until });
+        }
+      }).catch((error) => {
+        logger.error('Failed to apply anti-cheat restriction', { player_id: playerId, error: error.message });
+      });
+    });
+  }
+}
+
+const reviewCaseService = new ReviewCaseService();
+
+module.exports = reviewCaseService;
+module.exports.ReviewCaseService = ReviewCaseService;
+module.exports.QUEUE_STATUSES = QUEUE_STATUSES;
+module.exports.CASE_FILTERS = CASE_FILTERS;
+module.exports.RESOLUTIONS = RESOLUTIONS;
+module.exports.PRIORITIES = PRIORITIES;
+module.exports.RESTRICTION_DAYS = RESTRICTION_DAYS;
@@ -0,0 +1,416 @@
+/**
+ * RTP Monitor
+ *
+ * Statistical process control of live RTP. Real-money play is tracked in one
+ * series per game mode (base, buy_feature), bet level and math model version,
+ * each over a rolling window of its last WINDOW_ROUNDS paid rounds. Free spin
+ * wins count towards the round that paid for them: the base spin that
+ * triggered them or the feature purchase.
+ *
+ * A series' control band is the model's target RTP plus or minus Z standard
+ * errors. The standard error comes from the model's volatility (standard
+ * deviation of one round's return per unit staked, artifact.volatility, else
+ * mathModel's DEFAULT_VOLATILITY) and the stakes in the window:
+ *   se = sd * sqrt(sum(stake^2)) / sum(stake)
+ * Series are checked each time a twentieth of the window fills, once they
+ * hold MIN_ROUNDS rounds. The band is wider than the textbook 3 sigma because
+ * many series are looked at many times.
+ *
+ * Leaving the band raises a critical alert and returning to it an info alert:
+ * emitted as 'alert' (server.js relays it to the Socket.IO rtp_alerts room),
+ * POSTed to RTP_ALERT_WEBHOOK_URL (signed like seamless wallet requests when
+ * RTP_ALERT_WEBHOOK_SECRET is set), and, when RTP_KILL_SWITCH names the
+ * direction (above, below or both), turned into an emergency stop.
+ *
+ * Windows are per process and start empty on restart.
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { logger } = require('../utils/logger');
+const { getCurrencyConfig } = require('../config/currencies');
+const { getArtifactRtpProfile, getProfileModels } = require('../game/rtpProfiles');
+const { getModelVolatility } = require('../game/mathModel');
+const { signPayload, SIGNATURE_HEADER, TIMESTAMP_HEADER } = require('./walletProvider');
+
+const WINDOW_ROUNDS = parseInt(process.env.RTP_MONITOR_WINDOW_ROUNDS) || 50000;
+const MIN_ROUNDS = parseInt(process.env.RTP_MONITOR_MIN_ROUNDS) || 5000;
+const Z_SCORE = parseFloat(process.env.RTP_MONITOR_Z) || 4;
+const KILL_SWITCH_DIRECTIONS = ['off', 'above', 'below', 'both'];
+
+// Upper bounds (exclusive) of each bet level, in USD terms (bet / currency scale)
+const BET_LEVELS = [
+  { id: 'low', below: 2 },
+  { id: 'medium', below: 20 },
+  { id: 'high', below: 200 },
+  { id: 'vip', below: Infinity }
+];
+
+const MAX_OPEN_FEATURES = 10000;
+const OPEN_FEATURE_TTL_MS = 24 * 60 * 60 * 1000;
+
+const percent = value => `${(value * 100).toFixed(2)}%`;
+
+/**
+ * Bet level of a stake
+ * @param {number} betAmount - Bet in the wallet currency
+ * @param {string} currency - Currency code
+ * @returns {string} Bet level ID
+ */
+function getBetLevel(betAmount, currency) {
+  const usd = betAmount / getCurrencyConfig(currency).scale;
+  return BET_LEVELS.find(level => usd < level.below).id;
+}
+
+async function defaultResolveModel(modelId) {
+  try {
+    // Required lazily so monitors built with their own resolveModel never load the model service
+    const mathModelService = require('./mathModelService');
+    return await mathModelService.getModel(modelId);
+  } catch (error) {
+    logger.warn('RTP monitor could not load math model, trying built-in models', {
+      math_model_id: modelId,
+      error: error.message
+    });
+    return getProfileModels().find(model => model.id === modelId) || null;
+  }
+}
+
+class RtpMonitor extends EventEmitter {
+  /**
+     * @param {Object} options - { windowRounds, minRounds, zScore, webhookUrl, webhookSecret, killSwitch,
+     *                             resolveModel, emergencyStop, fetchImpl, timeoutMs }
+     */
+  constructor({
+    windowRounds = WINDOW_ROUNDS,
+    minRounds = MIN_ROUNDS,
+    zScore = Z_SCORE,
+    webhookUrl = process.env.RTP_ALERT_WEBHOOK_URL || null,
+    webhookSecret = process.env.RTP_ALERT_WEBHOOK_SECRET || null,
+    killSwitch = process.env.RTP_KILL_SWITCH || 'off',
+    resolveModel = defaultResolveModel,
+    emergencyStop = null,
+    fetchImpl = globalThis.fetch,
+    timeoutMs = 5000
+  } = {}) {
+    super();
+    if (!KILL_SWITCH_DIRECTIONS.includes(killSwitch)) {
+      throw new Error(`RTP_KILL_SWITCH must be one of ${KILL_SWITCH_DIRECTIONS.join(', ')}`);
+    }
+
+    this.windowRounds = windowRounds;
+    this.bucketRounds = Math.max(1, Math.ceil(windowRounds / 20));
+    this.minRounds = minRounds;
+    this.zScore = zScore;
+    this.webhookUrl = webhookUrl;
+    this.webhookSecret = webhookSecret;
+    this.killSwitch = killSwitch;
+    this.resolveModel = resolveModel;
+    this.emergencyStop = emergencyStop;
+    this.fetch = fetchImpl;
+    this.timeoutMs = timeoutMs;
+
+    this.series = new Map(); // `${gameMode}|${betLevel}|${mathModelId}` -> series
+    this.models = new Map(); // mathModelId -> Promise of { rtpProfile, targetRtp, volatility } or null
+    this.openFeatures = new Map(); // playerId -> { series, openedAt } while free spins are paid for
+  }
+
+  /**
+     * Record a real-money spin
+     * @param {Object} spin - { playerId, mathModelId, currency, betAmount, win, freeSpin, freeSpinsNext }
+     *                        freeSpin: played in free spins (not staked); freeSpinsNext: free spins follow
+     */
+  async recordSpin({ playerId, mathModelId, currency, betAmount, win = 0, freeSpin = false, freeSpinsNext = false }) {
+    const { scale } = getCurrencyConfig(currency);
+
+    if (freeSpin) {
+      const feature = this.openFeatures.get(playerId);
+      const series = feature ? feature.series : await this.getSeries('base', betAmount, currency, mathModelId);
+      this.addPlay(series, { stake: 0, win: win / scale });
+      if (!freeSpinsNext) {
+        this.openFeatures.delete(playerId);
+      }
+      return;
+    }
+
+    const series = await this.getSeries('base', betAmount, currency, mathModelId);
+    this.addPlay(series, { stake: betAmount / scale, win: win / scale });
+    if (freeSpinsNext) {
+      this.openFeature(playerId, series);
+    }
+  }
+
+  /**
+     * Record a real-money feature purchase; the free spins it buys are counted towards it
+     * @param {Object} purchase - { playerId, mathModelId, currency, cost, betAmount }
+     */
+  async recordPurchase({ playerId, mathModelId, currency, cost, betAmount }) {
+    const series = await this.getSeries('buy_feature', betAmount, currency, mathModelId);
+    this.addPlay(series, { stake: cost / getCurrencyConfig(currency).scale, win: 0 });
+    this.openFeature(playerId, series);
+  }
+
+  openFeature(playerId, series) {
+    if (!series) {
+      return;
+    }
+    if (this.openFeatures.size >= MAX_OPEN_FEATURES) {
+      // Drop features whose free spins were abandoned
+      const cutoff = Date.now() - OPEN_FEATURE_TTL_MS;
+      for (const [id, feature] of this.openFeatures) {
+        if (feature.openedAt < cutoff) {
+          this.openFeatures.delete(id);
+        }
+      }
+    }
+    this.openFeatures.set(playerId, { series, openedAt: Date.now() });
+  }
+
+  /**
+     * Expected RTP and volatility of a model (cached per model ID)
+     * @param {string} mathModelId - Model ID
+     * @returns {Promise<Object|null>} { rtpProfile, targetRtp, volatility }, null for an unknown model
+     */
+  describeModel(mathModelId) {
+    if (!this.models.has(mathModelId)) {
+      const description = Promise.resolve(this.resolveModel(mathModelId)).then((model) => {
+        if (!model) {
+          // Retry on the next spin rather than caching the miss
+          this.models.delete(mathModelId);
+          return null;
+        }
+        const { artifact } = model;
+        return {
+          rtpProfile: getArtifactRtpProfile(artifact),
+          targetRtp: artifact.targetRtp,
+          volatility: getModelVolatility(artifact)
+        };
+      });
+      this.models.set(mathModelId, description);
+    }
+    return this.models.get(mathModelId);
+  }
+
+  /**
+     * Series of a game mode, bet level and model, created on first use
+     * @returns {Promise<Object|null>} Series, null when the model is unknown
+     */
+  async getSeries(gameMode, betAmount, currency, mathModelId) {
+    if (!mathModelId) {
+      return null;
+    }
+    const betLevel = getBetLevel(betAmount, currency);
+    const key = `${gameMode}|${betLevel}|${mathModelId}`;
+    if (this.series.has(key)) {
+      return this.series.get(key);
+    }
+
+    const model = await this.describeModel(mathModelId);
+    if (!model) {
+      logger.warn('RTP monitor skipped play of an unknown math model', { math_model_id: mathModelId });
+      return null;
+    }
+    if (!this.series.has(key)) {
+      this.series.set(key, {
+        gameMode,
+        betLevel,
+        mathModelId,
+        rtpProfile: model.rtpProfile,
+        expectedRtp: model.targetRtp,
+        standardDeviation: model.volatility[gameMode],
+        buckets: [],
+        drifting: false,
+        lastCheck: null
+      });
+    }
+    return this.series.get(key);
+  }
+
+  /**
+     * Add stake (one round when positive) and win, in USD terms, to a series
+     * @param {Object} series - Series
+     * @param {Object} play - { stake, win }
+     */
+  addPlay(series, { stake, win }) {
+    if (!series) {
+      return;
+    }
+
+    let bucket = series.buckets[series.buckets.length - 1];
+    if (!bucket || bucket.rounds >= this.bucketRounds) {
+      bucket = { rounds: 0, stake: 0, stakeSquared: 0, win: 0 };
+      series.buckets.push(bucket);
+    }
+    bucket.win += win;
+    if (stake > 0) {
+      bucket.rounds++;
+      bucket.stake += stake;
+      bucket.stakeSquared += stake * stake;
+    }
+
+    if (bucket.rounds >= this.bucketRounds) {
+      let rounds = series.buckets.reduce((total, entry) => total + entry.rounds, 0);
+      while (rounds - series.buckets[0].rounds >= this.windowRounds) {
+        rounds -= series.buckets.shift().rounds;
+      }
+      this.check(series);
+    }
+  }
+
+  /**
+     * Observed RTP and control band of a series
+     * @param {Object} series - Series
+     * @returns {Object} { rounds, observedRtp, expectedRtp, lowerBound, upperBound, zScore }
+     */
+  measure(series) {
+    const totals = series.buckets.reduce((total, bucket) => ({
+      rounds: total.rounds + bucket.rounds,
+      stake: total.stake + bucket.stake,
+      stakeSquared: total.stakeSquared + bucket.stakeSquared,
+      win: total.win + bucket.win
+    }), { rounds: 0, stake: 0, stakeSquared: 0, win: 0 });
+
+    if (totals.stake === 0) {
+      return { rounds: 0, observedRtp: null, expectedRtp: series.expectedRtp, lowerBound: null, upperBound: null, zScore: null };
+    }
+
+    const observedRtp = totals.win / totals.stake;
+    const standardError = series.standardDeviation * Math.sqrt(totals.stakeSquared) / totals.stake;
+    return {
+      rounds: totals.rounds,
+      observedRtp,
+      expectedRtp: series.expectedRtp,
+      lowerBound: series.expectedRtp - this.zScore * standardError,
+      upperBound: series.expectedRtp + this.zScore * standardError,
+      zScore: standardError > 0 ? (observedRtp - series.expectedRtp) / standardError : 0
+    };
+  }
+
+  check(series) {
+    const measurement = this.measure(series);
+    series.lastCheck = { ...measurement, checkedAt: new Date().toISOString() };
+    if (measurement.rounds < this.minRounds) {
+      return;
+    }
+
+    const outside = measurement.observedRtp > measurement.upperBound || measurement.observedRtp < measurement.lowerBound;
+    if (outside === series.drifting) {
+      return;
+    }
+    series.drifting = outside;
+    this.raise(series, measurement, outside);
+  }
+
+  raise(series, measurement, drifting) {
+    const direction = measurement.observedRtp > measurement.expectedRtp ? 'above' : 'below';
+    const scope = `${series.gameMode} / ${series.betLevel} bets on ${series.mathModelId}`;
+    const alert = {
+      id: crypto.randomUUID(),
+      kind: drifting ? 'rtp_drift' : 'rtp_drift_recovered',
+      type: drifting ? 'critical' : 'info',
+      gameMode: series.gameMode,
+      betLevel: series.betLevel,
+      mathModelId: series.mathModelId,
+      rtpProfile: series.rtpProfile,
+      direction: drifting ? direction : null,
+      ...measurement,
+      message: drifting
+        ? `RTP ${percent(measurement.observedRtp)} is ${direction} the control band ` +
+          `${percent(measurement.lowerBound)}-${percent(measurement.upperBound)} for ${scope} ` +
+          `(${measurement.rounds} rounds, z ${measurement.zScore.toFixed(2)})`
+        : `RTP ${percent(measurement.observedRtp)} is back within the control band for ${scope}`,
+      killSwitch: drifting && (this.killSwitch === 'both' || this.killSwitch === direction),
+      timestamp: new Date().toISOString()
+    };
+
+    logger[drifting ? 'error' : 'info']('RTP monitor alert', alert);
+    this.emit('alert', alert);
+    this.sendWebhook(alert).catch(() => {});
+    if (alert.killSwitch) {
+      this.tripKillSwitch(alert).catch(() => {});
+    }
+  }
+
+  /**
+     * POST an alert to the configured webhook (failures are logged, not retried)
+     * @param {Object} alert - Alert
+     */
+  async sendWebhook(alert) {
+    if (!this.webhookUrl) {
+      return;
+    }
+
+    const body = JSON.stringify(alert);
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.webhookSecret) {
+      const timestamp = String(Date.now());
+      headers[TIMESTAMP_HEADER] = timestamp;
+      headers[SIGNATURE_HEADER] = signPayload(this.webhookSecret, timestamp, body);
+    }
+
+    const controller = new globalThis.AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+    try {
+      const response = await this.fetch(this.webhookUrl, { method: 'POST', headers, body, signal: controller.signal });
+      if (!response.ok) {
+        throw new Error(`status ${response.status}`);
+      }
+    } catch (error) {
+      logger.error('RTP alert webhook failed', { alert_id: alert.id, error: error.message });
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+     * Halt play through the emergency stop
+     * @param {Object} alert - Drift alert
+     */
+  async tripKillSwitch(alert) {
+    const emergencyStop = this.emergencyStop || require('./emergencyStopService');
+    try {
+      await emergencyStop.activate({
+        reason: `RTP kill switch: ${alert.message}`,
+        source: 'rtp_monitor',
+        details: alert
+      });
+    } catch (error) {
+      logger.error('RTP kill switch failed to stop the game', { alert_id: alert.id, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+     * Current state of every series, for the admin API
+     * @returns {Object} { config, series }
+     */
+  getStatus() {
+    return {
+      config: {
+        windowRounds: this.windowRounds,
+        minRounds: this.minRounds,
+        zScore: this.zScore,
+        killSwitch: this.killSwitch,
+        webhook: Boolean(this.webhookUrl)
+      },
+      series: [...this.series.values()].map(series => ({
+        gameMode: series.gameMode,
+        betLevel: series.betLevel,
+        mathModelId: series.mathModelId,
+        rtpProfile: series.rtpProfile,
+        standardDeviation: series.standardDeviation,
+        status: series.drifting ? 'drift' : 'in_control',
+        ...this.measure(series),
+        lastCheckedAt: series.lastCheck ? series.lastCheck.checkedAt : null
+      }))
+    };
+  }
+}
+
+const rtpMonitor = new RtpMonitor();
+
+module.exports = rtpMonitor;
+module.exports.RtpMonitor = RtpMonitor;
+module.exports.getBetLevel = getBetLevel;
+module.exports.BET_LEVELS = BET_LEVELS;
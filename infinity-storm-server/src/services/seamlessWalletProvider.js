@@ -0,0 +1,299 @@
+/**
+ * Seamless Wallet Provider
+ *
+ * The operator keeps the player's money; every bet and win is a call to the
+ * operator's wallet API:
+ *
+ *   POST {baseUrl}/balance   { player_id }
+ *   POST {baseUrl}/debit     { player_id, amount, reference_id, round_id, ... }
+ *   POST {baseUrl}/credit    { player_id, amount, reference_id, round_id, ... }
+ *   POST {baseUrl}/rollback  { player_id, amount, reference_id, original_reference_id, ... }
+ *
+ * Every request carries a currency: the player's wallet currency when the caller
+ * passes one, else the operator's configured currency. Amounts and balances are
+ * rounded to that currency's minor unit (whole yen for JPY), so a retried debit
+ * or its rollback sends the same amount the ledger books.
+ *
+ * Every request carries X-Operator-Id, X-Timestamp and X-Signature (see
+ * walletProvider.signPayload) plus an Idempotency-Key of `${type}:${reference_id}`,
+ * so a retried request is applied at most once by the operator. The operator
+ * answers { transaction_id, balance, balance_before?, duplicate? }, or a 4xx with
+ * { error_code, message } when it refuses the request.
+ *
+ * Retry and rollback semantics:
+ *   - network errors, timeouts, 408, 429 and 5xx are retried with exponential backoff
+ *   - a debit whose outcome is still unknown after the last retry is rolled back,
+ *     so the player is never charged for a round that did not happen
+ *   - a credit that cannot be delivered is reported as retryable (CREDIT_FAILED);
+ *     credits are never rolled back
+ */
+
+const crypto = require('crypto');
+const { logger } = require('../utils/logger');
+const { roundToCurrency } = require('../config/currencies');
+const {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  IDEMPOTENCY_HEADER,
+  walletProviderError,
+  signPayload
+} = require('./walletProvider');
+
+const RETRYABLE_STATUSES = [408, 429];
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class SeamlessWalletProvider {
+  /**
+     * @param {Object} options - Operator connection settings
+     * @param {string} options.baseUrl - Operator wallet API base URL
+     * @param {string} options.secret - Shared HMAC secret
+     * @param {string} options.operatorId - Our ID at the operator
+     * @param {string} options.currency - Currency code sent with every request
+     * @param {number} options.timeoutMs - Per-attempt timeout
+     * @param {number} options.maxRetries - Retries after the first attempt
+     * @param {number} options.retryDelayMs - First backoff delay (doubles each retry)
+     * @param {Function} options.fetchImpl - fetch implementation (tests)
+     */
+  constructor({
+    baseUrl,
+    secret,
+    operatorId = 'default',
+    currency = 'USD',
+    timeoutMs = 5000,
+    maxRetries = 3,
+    retryDelayMs = 200,
+    fetchImpl = globalThis.fetch
+  } = {}) {
+    if (!baseUrl || !secret) {
+      throw walletProviderError(
+        'WALLET_NOT_CONFIGURED',
+        'Seamless wallet requires SEAMLESS_WALLET_URL and SEAMLESS_WALLET_SECRET'
+      );
+    }
+
+    this.mode = 'seamless';
+    this.isRemote = true;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.secret = secret;
+    this.operatorId = operatorId;
+    this.currency = currency;
+    this.timeoutMs = timeoutMs;
+    this.maxRetries = maxRetries;
+    this.retryDelayMs = retryDelayMs;
+    this.fetch = fetchImpl;
+  }
+
+  /**
+     * Send a signed request, retrying transient failures with the same idempotency key
+     * @param {string} type - balance, debit, credit or rollback
+     * @param {Object} payload - Request body fields
+     * @param {string|null} idempotencyKey - Idempotency-Key header
+     * @returns {Promise<Object>} Operator response body
+     */
+  async send(type, payload, idempotencyKey = null) {
+    const body = JSON.stringify({
+      request_id: crypto.randomUUID(),
+      operator_id: this.operatorId,
+      currency: this.currency,
+      ...payload
+    });
+    let lastError = null;
+
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      if (attempt > 0) {
+        await delay(this.retryDelayMs * 2 ** (attempt - 1));
+      }
+
+      const timestamp = String(Date.now());
+      const headers = {
+        'Content-Type': 'application/json',
+        'X-Operator-Id': this.operatorId,
+        [TIMESTAMP_HEADER]: timestamp,
+        [SIGNATURE_HEADER]: signPayload(this.secret, timestamp, body)
+      };
+      if (idempotencyKey) {
+        headers[IDEMPOTENCY_HEADER] = idempotencyKey;
+      }
+
+      const controller = new globalThis.AbortController();
+      const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+      try {
+        const response = await this.fetch(`${this.baseUrl}/${type}`, {
+          method: 'POST',
+          headers,
+          body,
+          signal: controller.signal
+        });
+        const data = await response.json().catch(() => ({}));
+
+        if (response.ok) {
+          return data;
+        }
+
+        const retryable = response.status >= 500 || RETRYABLE_STATUSES.includes(response.status);
+        lastError = walletProviderError(
+          data.error_code || (retryable ? 'OPERATOR_UNAVAILABLE' : 'OPERATOR_REJECTED'),
+          data.message || `Operator ${type} failed with status ${response.status}`,
+          { status: response.status, retryable }
+        );
+        if (!retryable) {
+          throw lastError;
+        }
+      } catch (error) {
+        if (error.name === 'WalletProviderError' && !error.retryable) {
+          throw error;
+        }
+        lastError = error.name === 'WalletProviderError'
+          ? error
+          : walletProviderError('OPERATOR_UNAVAILABLE', `Operator ${type} request failed: ${error.message}`, { retryable: true });
+      } finally {
+        clearTimeout(timer);
+      }
+
+      logger.warn('Seamless wallet request failed', {
+        type,
+        idempotency_key: idempotencyKey,
+        attempt: attempt + 1,
+        error: lastError.message
+      });
+    }
+
+    throw lastError;
+  }
+
+  /**
+     * Normalize an operator response to walletService's result shape
+     */
+  toResult(type, signedAmount, { playerId, referenceId, currency }, data) {
+    const current = roundToCurrency(data.balance, currency);
+    const previous = data.balance_before !== undefined
+      ? roundToCurrency(data.balance_before, currency)
+      : roundToCurrency(current - signedAmount, currency);
+
+    return {
+      success: true,
+      duplicate: Boolean(data.duplicate),
+      transaction: {
+        id: data.transaction_id || null,
+        player_id: playerId,
+        type,
+        amount: signedAmount,
+        reference_id: referenceId
+      },
+      balance: { previous, current }
+    };
+  }
+
+  /**
+     * @param {Object} options - { playerId }
+     * @returns {Promise<Object>} { balance, currency }
+     */
+  async getBalance({ playerId }) {
+    const data = await this.send('balance', { player_id: playerId });
+    const currency = data.currency || this.currency;
+    return { balance: roundToCurrency(data.balance, currency), currency };
+  }
+
+  /**
+     * Debit a bet; rolled back automatically when its outcome stays unknown
+     * @param {Object} options - { playerId, amount, currency, referenceId, roundId, sessionId, description }
+     * @returns {Promise<Object>} Wallet result
+     */
+  async debit({ playerId, amount, currency = null, referenceId, roundId = null, sessionId = null, description = null }) {
+    if (!referenceId) {
+      throw walletProviderError('MISSING_REFERENCE', 'Seamless debits require a reference_id');
+    }
+    const walletCurrency = currency || this.currency;
+    const value = roundToCurrency(amount, walletCurrency);
+
+    try {
+      const data = await this.send('debit', {
+        player_id: playerId,
+        amount: value,
+        currency: walletCurrency,
+        reference_id: referenceId,
+        round_id: roundId || referenceId,
+        session_id: sessionId,
+        description
+      }, `debit:${referenceId}`);
+      return this.toResult('bet', -value, {
+        playerId,
+        referenceId,
+        currency: walletCurrency
+      }, data);
+    } catch (error) {
+      if (error.code === 'INSUFFICIENT_FUNDS') {
+        throw walletProviderError('INSUFFICIENT_FUNDS', 'Insufficient funds', { retryable: false });
+      }
+      if (error.retryable) {
+        // The operator may or may not have applied the debit: cancel it either way
+        await this.rollback({ playerId, amount: value, currency: walletCurrency, referenceId, roundId }).catch(rollbackError => {
+          logger.error('Seamless wallet rollback after failed debit also failed', {
+            reference_id: referenceId,
+            error: rollbackError.message
+          });
+        });
+        error.rolledBack = true;
+      }
+      throw error;
+    }
+  }
+
+  /**
+     * Credit a win
+     * @param {Object} options - { playerId, amount, currency, referenceId, roundId, sessionId, description }
+     * @returns {Promise<Object>} Wallet result
+     */
+  async credit({ playerId, amount, currency = null, referenceId, roundId = null, sessionId = null, description = null }) {
+    if (!referenceId) {
+      throw walletProviderError('MISSING_REFERENCE', 'Seamless credits require a reference_id');
+    }
+    const walletCurrency = currency || this.currency;
+    const value = roundToCurrency(amount, walletCurrency);
+
+    try {
+      const data = await this.send('credit', {
+        player_id: playerId,
+        amount: value,
+        currency: walletCurrency,
+        reference_id: referenceId,
+        round_id: roundId || referenceId,
+        session_id: sessionId,
+        description
+      }, `credit:${referenceId}`);
+      return this.toResult('win', value, { playerId, referenceId, currency: walletCurrency }, data);
+    } catch (error) {
+      throw walletProviderError('CREDIT_FAILED', `Seamless credit ${referenceId} failed: ${error.message}`, {
+        retryable: Boolean(error.retryable),
+        status: error.status
+      });
+    }
+  }
+
+  /**
+     * Cancel the debit with referenceId (a no-op at the operator when it never arrived)
+     * @param {Object} options - { playerId, amount, currency, referenceId, roundId }
+     * @returns {Promise<Object>} Wallet result
+     */
+  async rollback({ playerId, amount, currency = null, referenceId, roundId = null }) {
+    const walletCurrency = currency || this.currency;
+    const value = roundToCurrency(amount, walletCurrency);
+    const data = await this.send('rollback', {
+      player_id: playerId,
+      amount: value,
+      currency: walletCurrency,
+      reference_id: `rollback:${referenceId}`,
+      original_reference_id: referenceId,
+      round_id: roundId || referenceId
+    }, `rollback:${referenceId}`);
+    return this.toResult('refund', data.rolled_back === false ? 0 : value, {
+      playerId,
+      referenceId,
+      currency: walletCurrency
+    }, data);
+  }
+}
+
+module.exports = SeamlessWalletProvider;
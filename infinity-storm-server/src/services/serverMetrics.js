@@ -0,0 +1,281 @@
+/**
+ * Server Metrics
+ *
+ * Operational metrics of this server process for Prometheus, scraped from
+ * GET /metrics (routes/metrics.js):
+ * - spin latency and cascade depth histograms, spins per game mode and RTP profile
+ * - stakes and wins per RTP profile and currency, and live RTP gauges over a
+ *   rolling window (currencies weighed by their ladder scale, as on the dashboard)
+ * - wallet operation outcomes and latency per provider
+ * - Socket.IO connections, anti-cheat violations by type
+ * - the in-memory counters of the RNG, audit logger and cascade validator
+ *
+ * Values are per process and start from zero on restart; aggregate across
+ * instances in Prometheus. Label values come from closed sets (RTP profiles,
+ * currencies, wallet error codes, violation names) and every metric is capped
+ * at METRICS_MAX_SERIES label sets. Player and session ids are never labels.
+ */
+
+const { Registry } = require('../utils/openMetrics');
+const { listRtpProfiles } = require('../game/rtpProfiles');
+const { getCurrencyConfig } = require('../config/currencies');
+
+const MAX_SERIES = parseInt(process.env.METRICS_MAX_SERIES) || 200;
+const RTP_WINDOW_MINUTES = parseInt(process.env.METRICS_RTP_WINDOW_MINUTES) || 60;
+
+const SPIN_DURATION_BUCKETS = [0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const CASCADE_BUCKETS = [0, 1, 2, 3, 4, 5, 6, 8, 10, 15, 20];
+const WALLET_DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+class ServerMetrics {
+  constructor({ maxSeries = MAX_SERIES, rtpWindowMinutes = RTP_WINDOW_MINUTES } = {}) {
+    this.registry = new Registry({ prefix: 'infinity_storm_', maxSeries });
+    this.rtpWindowMinutes = rtpWindowMinutes;
+    this.rtpWindows = new Map(); // rtpProfile -> minute buckets of { minute, stake, win, rounds }
+    this.sources = {};
+
+    this.spinDuration = this.registry.histogram({
+      name: 'spin_duration_seconds',
+      help: 'Time to process a /api/spin request',
+      labelNames: ['outcome'],
+      buckets: SPIN_DURATION_BUCKETS
+    });
+    this.spinCascades = this.registry.histogram({
+      name: 'spin_cascades',
+      help: 'Cascades per spin',
+      labelNames: ['game_mode'],
+      buckets: CASCADE_BUCKETS
+    });
+    this.spins = this.registry.counter({
+      name: 'spins',
+      help: 'Completed spins',
+      labelNames: ['game_mode', 'rtp_profile', 'real_money']
+    });
+    this.stake = this.registry.counter({
+      name: 'stake',
+      help: 'Real-money stakes (paid spin bets and feature purchases) in the wallet currency',
+      labelNames: ['rtp_profile', 'currency']
+    });
+    this.win = this.registry.counter({
+      name: 'win',
+      help: 'Real-money spin wins in the wallet currency',
+      labelNames: ['rtp_profile', 'currency']
+    });
+    this.rtp = this.registry.gauge({
+      name: 'rtp_ratio',
+      help: `Real-money RTP over the last ${rtpWindowMinutes} minutes (NaN without stakes)`,
+      labelNames: ['rtp_profile']
+    });
+    this.rtpRounds = this.registry.gauge({
+      name: 'rtp_window_rounds',
+      help: `Paid spins and feature purchases behind rtp_ratio (last ${rtpWindowMinutes} minutes)`,
+      labelNames: ['rtp_profile']
+    });
+    this.rtpTarget = this.registry.gauge({
+      name: 'rtp_target_ratio',
+      help: 'Target RTP of the profile',
+      labelNames: ['rtp_profile']
+    });
+    this.walletOperations = this.registry.counter({
+      name: 'wallet_operations',
+      help: 'Wallet provider calls by outcome (success or the error code)',
+      labelNames: ['provider', 'operation', 'outcome']
+    });
+    this.walletDuration = this.registry.histogram({
+      name: 'wallet_operation_duration_seconds',
+      help: 'Wallet provider call latency',
+      labelNames: ['provider', 'operation'],
+      buckets: WALLET_DURATION_BUCKETS
+    });
+    this.socketConnections = this.registry.gauge({
+      name: 'socketio_connections',
+      help: 'Open Socket.IO connections'
+    });
+    this.violations = this.registry.counter({
+      name: 'anticheat_violations',
+      help: 'Anti-cheat violations by validation (spin_request, state_update, session_start) and type',
+      labelNames: ['check', 'type']
+    });
+    this.rngCalls = this.registry.counter({
+      name: 'rng_calls',
+      help: 'Calls to the cryptographic RNG since its statistics were last reset'
+    });
+    this.rngEntropy = this.registry.counter({
+      name: 'rng_entropy_bytes',
+      help: 'Random bytes drawn from the cryptographic RNG since its statistics were last reset'
+    });
+    this.auditEntries = this.registry.counter({
+      name: 'audit_log_entries',
+      help: 'Entries written by the game audit logger',
+      labelNames: ['kind']
+    });
+    this.auditBuffer = this.registry.gauge({
+      name: 'audit_log_buffered_entries',
+      help: 'Audit entries waiting to be flushed'
+    });
+    this.cascadeValidations = this.registry.counter({
+      name: 'cascade_validations',
+      help: 'Cascade validations by result',
+      labelNames: ['result']
+    });
+
+    this.registry.addCollector(() => this.collect());
+  }
+
+  /**
+     * Record the processing time of a /api/spin request
+     * @param {number} processingTime - Milliseconds
+     * @param {boolean} success - Whether the spin completed
+     */
+  observeSpinDuration(processingTime, success) {
+    this.spinDuration.observe({ outcome: success ? 'success' : 'error' }, processingTime / 1000);
+  }
+
+  /**
+     * Record a completed spin
+     * @param {Object} spin - { rtpProfile, currency, gameMode, stake, win, cascades, realMoney }
+     */
+  recordSpin({ rtpProfile, currency, gameMode, stake = 0, win = 0, cascades = 0, realMoney }) {
+    this.spins.inc({ game_mode: gameMode, rtp_profile: rtpProfile, real_money: String(Boolean(realMoney)) });
+    this.spinCascades.observe({ game_mode: gameMode }, cascades);
+    if (realMoney) {
+      this.addPlay({ rtpProfile, currency, stake, win, rounds: stake > 0 ? 1 : 0 });
+    }
+  }
+
+  /**
+     * Record a real-money feature purchase
+     * @param {Object} purchase - { rtpProfile, currency, amount }
+     */
+  recordPurchase({ rtpProfile, currency, amount }) {
+    this.addPlay({ rtpProfile, currency, stake: amount, win: 0, rounds: 1 });
+  }
+
+  addPlay({ rtpProfile, currency, stake, win, rounds }, now = Date.now()) {
+    this.stake.inc({ rtp_profile: rtpProfile, currency }, stake);
+    this.win.inc({ rtp_profile: rtpProfile, currency }, win);
+
+    const { scale } = getCurrencyConfig(currency);
+    const minute = Math.floor(now / 60000);
+    const window = this.rtpWindows.get(rtpProfile) || [];
+    let bucket = window[window.length - 1];
+    if (!bucket || bucket.minute !== minute) {
+      bucket = { minute, stake: 0, win: 0, rounds: 0 };
+      window.push(bucket);
+    }
+    bucket.stake += stake / scale;
+    bucket.win += win / scale;
+    bucket.rounds += rounds;
+    this.rtpWindows.set(rtpProfile, this.trimWindow(window, minute));
+  }
+
+  trimWindow(window, minute) {
+    return window.filter(bucket => bucket.minute > minute - this.rtpWindowMinutes);
+  }
+
+  /**
+     * Time a wallet provider call and count its outcome
+     * @param {string} provider - Wallet mode (transfer, seamless)
+     * @param {string} operation - getBalance, debit, credit or rollback
+     * @param {Function} call - Performs the call
+     * @returns {Promise<*>} The call's result; errors are rethrown
+     */
+  async trackWalletOperation(provider, operation, call) {
+    const startTime = process.hrtime.bigint();
+    let outcome = 'success';
+    try {
+      return await call();
+    } catch (error) {
+      outcome = typeof error.code === 'string' ? error.code : 'error';
+      throw error;
+    } finally {
+      this.walletOperations.inc({ provider, operation, outcome });
+      this.walletDuration.observe(
+        { provider, operation },
+        Number(process.hrtime.bigint() - startTime) / 1e9
+      );
+    }
+  }
+
+  /**
+     * Read counters kept by other modules on every scrape; totals are summed across instances
+     * @param {Object} sources - Any of { io, rng, antiCheat, auditLogger, cascadeValidator }
+     */
+  watch(sources) {
+    for (const [kind, source] of Object.entries(sources)) {
+      if (source) {
+        if (!this.sources[kind]) {
+          this.sources[kind] = new Set();
+        }
+        this.sources[kind].add(source);
+      }
+    }
+  }
+
+  collect(now = Date.now()) {
+    const sourcesOf = kind => [...(this.sources[kind] || [])];
+    const sum = (stats, field) => stats.reduce((total, entry) => total + (entry[field] || 0), 0);
+
+    if (!this.rtpTargets) {
+      this.rtpTargets = listRtpProfiles().map(({ id, targetRtp }) => ({ id, targetRtp }));
+    }
+    for (const { id, targetRtp } of this.rtpTargets) {
+      this.rtpTarget.set({ rtp_profile: id }, targetRtp);
+    }
+
+    this.rtp.reset();
+    this.rtpRounds.reset();
+    const minute = Math.floor(now / 60000);
+    for (const [rtpProfile, buckets] of this.rtpWindows) {
+      const window = this.trimWindow(buckets, minute);
+      this.rtpWindows.set(rtpProfile, window);
+      const totals = window.reduce((total, bucket) => ({
+        stake: total.stake + bucket.stake,
+        win: total.win + bucket.win,
+        rounds: total.rounds + bucket.rounds
+      }), { stake: 0, win: 0, rounds: 0 });
+      this.rtp.set({ rtp_profile: rtpProfile }, totals.stake > 0 ? totals.win / totals.stake : NaN);
+      this.rtpRounds.set({ rtp_profile: rtpProfile }, totals.rounds);
+    }
+
+    const rngStats = sourcesOf('rng').map(rng => rng.getStatistics());
+    this.rngCalls.setTotal({}, sum(rngStats, 'totalCalls'));
+    this.rngEntropy.setTotal({}, sum(rngStats, 'entropyConsumed'));
+
+    const sockets = sourcesOf('io').map(io => ({ connections: io.engine?.clientsCount ?? 0 }));
+    this.socketConnections.set({}, sum(sockets, 'connections'));
+
+    this.violations.reset();
+    for (const antiCheat of sourcesOf('antiCheat')) {
+      for (const [check, counts] of Object.entries(antiCheat.getStats().violations || {})) {
+        for (const [type, count] of Object.entries(counts)) {
+          this.violations.inc({ check, type }, count);
+        }
+      }
+    }
+
+    const auditStats = sourcesOf('auditLogger').map(auditLogger => auditLogger.getStats());
+    this.auditEntries.setTotal({ kind: 'log' }, sum(auditStats, 'logsWritten'));
+    this.auditEntries.setTotal({ kind: 'audit' }, sum(auditStats, 'auditsLogged'));
+    this.auditEntries.setTotal({ kind: 'error' }, sum(auditStats, 'errorsLogged'));
+    this.auditBuffer.set({}, sum(auditStats, 'buffer_size'));
+
+    const validatorStats = sourcesOf('cascadeValidator').map(validator => validator.getPerformanceMetrics());
+    this.cascadeValidations.setTotal({ result: 'success' }, sum(validatorStats, 'successfulValidations'));
+    this.cascadeValidations.setTotal({ result: 'failure' }, sum(validatorStats, 'failedValidations'));
+  }
+
+  /**
+     * Text exposition of every metric
+     * @param {Object} options - { openMetrics: false for the Prometheus 0.0.4 text format }
+     * @returns {Promise<string>} Exposition body
+     */
+  render(options) {
+    return this.registry.render(options);
+  }
+}
+
+const serverMetrics = new ServerMetrics();
+
+module.exports = serverMetrics;
+module.exports.ServerMetrics = ServerMetrics;
@@ -0,0 +1,408 @@
+/**
+ * Spin Round Service
+ *
+ * Persists the wallet state of every spin so a spin interrupted between its bet
+ * and its win can be finished or undone later:
+ *
+ *   pending ──> bet_taken ──> settled
+ *      │            └──────> rolled_back
+ *      ├──> settled      (no bet: free spins)
+ *      └──> rolled_back  (failed before or during the bet)
+ *
+ * The round is opened before the bet. With the transfer wallet every later
+ * transition is written through the spin's pg client, so it commits or rolls
+ * back together with the ledger rows. With a seamless wallet the bet and the win
+ * happen at the operator, outside that transaction, so bet_taken and settled are
+ * written as soon as the operator answers; spin_result_id is still written with
+ * the spin result. Fallback mode (SKIP_REDIS) persists through Supabase and is
+ * not tracked.
+ *
+ * reconcile() runs at startup and periodically (server.js). Open rounds that have
+ * not moved for RECONCILE_AFTER_MS are:
+ *   - completed when their spin result was saved: the win is credited (same
+ *     idempotency key as the original credit) and the round is settled
+ *   - refunded when it was not: the bet is rolled back through the wallet provider
+ *   - closed as abandoned when they never reached the wallet (transfer wallet only)
+ * Every refund, late credit and closure is written to financialTransactionLogger.
+ */
+
+const { pool } = require('../db/pool');
+const { logger } = require('../utils/logger');
+const financialLogger = require('./financialTransactionLogger');
+const WalletService = require('./walletService');
+const { getWalletProvider } = require('./walletProvider');
+
+const SPIN_ROUND_STATES = ['pending', 'bet_taken', 'settled', 'rolled_back'];
+
+const SPIN_ROUND_TRANSITIONS = {
+  pending: ['bet_taken', 'settled', 'rolled_back'],
+  bet_taken: ['settled', 'rolled_back'],
+  settled: [],
+  rolled_back: []
+};
+
+// Columns a transition may set alongside the status
+const TRANSITION_FIELDS = [
+  'bet_transaction_id',
+  'win_transaction_id',
+  'spin_result_id',
+  'win_amount',
+  'refund_amount',
+  'last_error'
+];
+
+const RECONCILE_AFTER_MS = parseInt(process.env.SPIN_RECONCILE_AFTER_MS) || 2 * 60 * 1000;
+const RECONCILE_BATCH = 50;
+
+const spinRoundError = (name, message, details = null) => {
+  const error = new Error(message);
+  error.name = name;
+  error.details = details;
+  return error;
+};
+
+const toNumber = (value) => (value === null || value === undefined ? null : parseFloat(value));
+
+/**
+ * @param {string} from - Current state
+ * @param {string} to - Next state
+ * @returns {boolean} True when the state machine allows the move
+ */
+function canTransition(from, to) {
+  return (SPIN_ROUND_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Decide how reconciliation finishes an open round
+ * @param {Object} round - Spin round ({ status, spinResultId, walletMode })
+ * @returns {string} 'complete', 'refund' or 'abandon'
+ */
+function planReconciliation(round) {
+  if (round.spinResultId) {
+    return 'complete';
+  }
+  if (round.status === 'bet_taken') {
+    return 'refund';
+  }
+  // A pending transfer round never reached the ledger (its transaction rolled back);
+  // a pending seamless round may have reached the operator, so it is rolled back there.
+  return round.walletMode === 'transfer' ? 'abandon' : 'refund';
+}
+
+class SpinRoundService {
+  constructor() {
+    this.pool = pool;
+    this.reconciling = false;
+  }
+
+  roundFromRow(row) {
+    return {
+      id: row.id,
+      spinId: row.spin_id,
+      playerId: row.player_id,
+      sessionId: row.session_id,
+      walletMode: row.wallet_mode,
+      currency: row.currency || null,
+      status: row.status,
+      betAmount: toNumber(row.bet_amount),
+      winAmount: toNumber(row.win_amount),
+      refundAmount: toNumber(row.refund_amount),
+      betTransactionId: row.bet_transaction_id,
+      winTransactionId: row.win_transaction_id,
+      spinResultId: row.spin_result_id,
+      reconcileAttempts: row.reconcile_attempts,
+      lastError: row.last_error,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at,
+      closedAt: row.closed_at
+    };
+  }
+
+  /**
+     * Open a round before any money moves (autocommitted so it survives a crash)
+     * @param {Object} options - { spinId, playerId, sessionId, betAmount, walletMode }
+     * @returns {Promise<Object>} Spin round
+     */
+  async openRound({ spinId, playerId, sessionId = null, betAmount = 0, walletMode = 'transfer' }) {
+    const { rows } = await this.pool.query(
+      `INSERT INTO spin_rounds (spin_id, player_id, session_id, bet_amount, wallet_mode)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [spinId, playerId, sessionId, betAmount, walletMode]
+    );
+    return this.roundFromRow(rows[0]);
+  }
+
+  /**
+     * Move a round to `to`, setting any TRANSITION_FIELDS passed in `fields`
+     * @param {Object} options - { client, spinId, to, fields }; client defaults to the pool
+     * @returns {Promise<Object>} Updated spin round
+     */
+  async transition({ client = null, spinId, to, fields = {} }) {
+    if (!SPIN_ROUND_STATES.includes(to)) {
+      throw spinRoundError('ValidationError', `Unknown spin round state: ${to}`);
+    }
+    const from = SPIN_ROUND_STATES.filter(state => canTransition(state, to));
+    const assignments = ['status = $1', 'updated_at = NOW()'];
+    const params = [to, spinId, from];
+
+    if (to === 'settled' || to === 'rolled_back') {
+      assignments.push('closed_at = NOW()');
+    }
+    for (const [column, value] of Object.entries(fields)) {
+      if (!TRANSITION_FIELDS.includes(column)) {
+        throw spinRoundError('ValidationError', `Cannot set ${column} on a spin round`);
+      }
+      params.push(value);
+      assignments.push(`${column} = $${params.length}`);
+    }
+
+    const { rows } = await (client || this.pool).query(
+      `UPDATE spin_rounds SET ${assignments.join(', ')}
+       WHERE spin_id = $2 AND status = ANY($3::varchar[])
+       RETURNING *`,
+      params
+    );
+    if (rows.length === 0) {
+      throw spinRoundError('ConflictError', `Spin round ${spinId} cannot move to ${to}`, { spinId, to });
+    }
+    return this.roundFromRow(rows[0]);
+  }
+
+  /**
+     * Record the bet debit
+     * @param {Object} options - { client, spinId, transactionId }
+     */
+  async markBetTaken({ client = null, spinId, transactionId = null }) {
+    return this.transition({
+      client,
+      spinId,
+      to: 'bet_taken',
+      fields: { bet_transaction_id: transactionId ? String(transactionId) : null }
+    });
+  }
+
+  /**
+     * Link the saved spin result without changing state (seamless rounds settle after the credit)
+     * @param {Object} options - { client, spinId, spinResultId, winAmount }
+     */
+  async attachSpinResult({ client = null, spinId, spinResultId, winAmount }) {
+    await (client || this.pool).query(
+      `UPDATE spin_rounds SET spin_result_id = $2, win_amount = $3, updated_at = NOW()
+       WHERE spin_id = $1`,
+      [spinId, spinResultId, winAmount]
+    );
+  }
+
+  /**
+     * Close a round whose win (if any) has been credited
+     * @param {Object} options - { client, spinId, fields }
+     */
+  async markSettled({ client = null, spinId, fields = {} }) {
+    return this.transition({ client, spinId, to: 'settled', fields });
+  }
+
+  /**
+     * Close a round that did not complete. A refund (amount > 0) is audited as a bet refund,
+     * anything else as a spin_reconciliation record.
+     * @param {Object} options - { spinId, playerId, refund, reason }; refund is the wallet result of the rollback
+     */
+  async markRolledBack({ spinId, playerId, refund = null, reason }) {
+    const refundAmount = refund ? Math.abs(refund.transaction?.amount || 0) : 0;
+    const round = await this.transition({
+      spinId,
+      to: 'rolled_back',
+      fields: { refund_amount: refundAmount, last_error: reason }
+    });
+
+    if (refundAmount > 0) {
+      await financialLogger.logBetRefund(
+        playerId,
+        refundAmount,
+        refund.balance.previous,
+        refund.balance.current,
+        spinId,
+        reason
+      );
+    } else {
+      await this.logClosure(round, 'rolled_back', { reason });
+    }
+    return round;
+  }
+
+  /**
+     * Remember why an open round could not move on (left for reconciliation)
+     */
+  async recordError(spinId, message) {
+    await this.pool.query(
+      'UPDATE spin_rounds SET last_error = $2 WHERE spin_id = $1',
+      [spinId, message]
+    ).catch(error => {
+      logger.warn('Failed to record spin round error', { spin_id: spinId, error: error.message });
+    });
+  }
+
+  async logClosure(round, action, metadata = null) {
+    let balance = 0;
+    try {
+      balance = (await getWalletProvider().getBalance({ playerId: round.playerId })).balance;
+    } catch (error) {
+      logger.warn('Balance unavailable for spin round audit', { spin_id: round.spinId, error: error.message });
+    }
+    await financialLogger.logSpinReconciliation(round.playerId, round.spinId, action, balance, {
+      status: round.status,
+      wallet_mode: round.walletMode,
+      ...metadata
+    });
+  }
+
+  /**
+     * Claim an open round for reconciliation (another instance may be reconciling too).
+     * Comes with the player's wallet currency so remote amounts round as they were booked.
+     * @returns {Promise<Object|null>} Claimed round, or null when it moved or was claimed elsewhere
+     */
+  async claimRound(id, olderThanMs) {
+    const { rows } = await this.pool.query(
+      `UPDATE spin_rounds
+       SET reconcile_attempts = reconcile_attempts + 1, updated_at = NOW()
+       WHERE id = $1
+         AND status IN ('pending', 'bet_taken')
+         AND updated_at < NOW() - ($2::int * INTERVAL '1 millisecond')
+       RETURNING *,
+         (SELECT currency FROM players WHERE players.id = spin_rounds.player_id) AS currency`,
+      [id, olderThanMs]
+    );
+    return rows[0] ? this.roundFromRow(rows[0]) : null;
+  }
+
+  /**
+     * Finish one claimed round
+     * @param {Object} round - Spin round
+     * @returns {Promise<string>} Action taken
+     */
+  async reconcileRound(round) {
+    const provider = getWalletProvider();
+    if (provider.mode !== round.walletMode) {
+      throw spinRoundError(
+        'ConflictError',
+        `Round was played with the ${round.walletMode} wallet but ${provider.mode} is configured`
+      );
+    }
+
+    const action = planReconciliation(round);
+
+    if (action === 'complete') {
+      const fields = {};
+      if (round.winAmount > 0 && !round.winTransactionId) {
+        const credit = provider.isRemote
+          ? await provider.credit({
+            playerId: round.playerId,
+            amount: round.winAmount,
+            currency: round.currency,
+            referenceId: round.spinId,
+            sessionId: round.sessionId,
+            description: `Reconciled spin win of ${round.winAmount} credits`
+          })
+          : await WalletService.processWin({
+            player_id: round.playerId,
+            amount: round.winAmount,
+            reference_id: round.spinResultId,
+            description: `Reconciled spin win of ${round.winAmount} credits`
+          });
+        fields.win_transaction_id = credit.transaction.id ? String(credit.transaction.id) : null;
+        await financialLogger.logWinPayout(
+          round.playerId,
+          round.winAmount,
+          credit.balance.previous,
+          credit.balance.current,
+          round.spinId,
+          { reconciled: true }
+        );
+      }
+      const settled = await this.markSettled({ spinId: round.spinId, fields });
+      if (!fields.win_transaction_id) {
+        await this.logClosure(settled, 'settled', { reconciled: true });
+      }
+      return action;
+    }
+
+    if (action === 'refund') {
+      const refund = await provider.rollback({
+        playerId: round.playerId,
+        amount: round.betAmount,
+        currency: round.currency,
+        referenceId: round.spinId,
+        description: `Refund of interrupted spin ${round.spinId}`
+      });
+      await this.markRolledBack({
+        spinId: round.spinId,
+        playerId: round.playerId,
+        refund,
+        reason: 'reconciled: spin did not complete'
+      });
+      return action;
+    }
+
+    await this.markRolledBack({
+      spinId: round.spinId,
+      playerId: round.playerId,
+      reason: 'reconciled: abandoned before the bet'
+    });
+    return action;
+  }
+
+  /**
+     * Complete or refund open rounds that stopped moving
+     * @param {Object} options - { olderThanMs, limit }
+     * @returns {Promise<Object>} { completed, refunded, abandoned, failed }
+     */
+  async reconcile({ olderThanMs = RECONCILE_AFTER_MS, limit = RECONCILE_BATCH } = {}) {
+    const summary = { completed: 0, refunded: 0, abandoned: 0, failed: 0 };
+    if (this.reconciling) {
+      return summary;
+    }
+    this.reconciling = true;
+
+    try {
+      const { rows } = await this.pool.query(
+        `SELECT id FROM spin_rounds
+         WHERE status IN ('pending', 'bet_taken')
+           AND updated_at < NOW() - ($1::int * INTERVAL '1 millisecond')
+         ORDER BY updated_at
+         LIMIT $2`,
+        [olderThanMs, limit]
+      );
+
+      for (const { id } of rows) {
+        const round = await this.claimRound(id, olderThanMs);
+        if (!round) {
+          continue;
+        }
+        try {
+          const action = await this.reconcileRound(round);
+          summary[{ complete: 'completed', refund: 'refunded', abandon: 'abandoned' }[action]]++;
+          logger.info('Spin round reconciled', { spin_id: round.spinId, action });
+        } catch (error) {
+          summary.failed++;
+          await this.recordError(round.spinId, error.message);
+          logger.error('Spin round reconciliation failed', {
+            spin_id: round.spinId,
+            status: round.status,
+            error: error.message
+          });
+        }
+      }
+    } finally {
+      this.reconciling = false;
+    }
+    return summary;
+  }
+}
+
+const spinRoundService = new SpinRoundService();
+
+module.exports = spinRoundService;
+module.exports.SPIN_ROUND_STATES = SPIN_ROUND_STATES;
+module.exports.SPIN_ROUND_TRANSITIONS = SPIN_ROUND_TRANSITIONS;
+module.exports.canTransition = canTransition;
+module.exports.planReconciliation = planReconciliation;
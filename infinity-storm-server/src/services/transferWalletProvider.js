@@ -0,0 +1,68 @@
+/**
+ * Transfer Wallet Provider
+ *
+ * Players transfer money into our wallet (players.credits) and every bet and win
+ * is booked there. Spin debits and credits run inside the spin's pg transaction
+ * through walletLedger, so undoing an uncommitted spin is a database ROLLBACK;
+ * rollback() is only needed for a debit that has already been committed and
+ * books a compensating refund.
+ */
+
+// walletLedger builds the Supabase client when loaded; require it on first use so
+// walletService can pick the provider without Supabase being configured
+const ledger = () => require('./walletLedger');
+
+class TransferWalletProvider {
+  constructor() {
+    this.mode = 'transfer';
+    this.isRemote = false;
+  }
+
+  /**
+     * @param {Object} options - { playerId, client }
+     * @returns {Promise<Object>} { balance, currency }
+     */
+  async getBalance({ playerId, client = null }) {
+    const info = await ledger().getBalance(playerId, { client });
+    return { balance: info.balance, currency: info.currency };
+  }
+
+  /**
+     * Debit a bet inside the caller's pg transaction. The spin reference is
+     * backfilled with walletLedger.linkTransactionToSpin once the spin is saved.
+     * @param {Object} options - { client, playerId, amount, description }
+     * @returns {Promise<Object>} Wallet result
+     */
+  async debit({ client, playerId, amount, description = null }) {
+    return ledger().processBet({ client, playerId, amount, description });
+  }
+
+  /**
+     * Credit a win inside the caller's pg transaction
+     * @param {Object} options - { client, playerId, amount, description }
+     * @returns {Promise<Object>} Wallet result
+     */
+  async credit({ client, playerId, amount, description = null }) {
+    return ledger().processWin({ client, playerId, amount, description });
+  }
+
+  /**
+     * Refund a committed debit
+     * @param {Object} options - { playerId, amount, referenceId, description }
+     * @returns {Promise<Object>} Wallet result
+     */
+  async rollback({ playerId, amount, referenceId, description = null }) {
+    // Required lazily: walletService routes through the configured provider
+    const WalletService = require('./walletService');
+    return WalletService.executeTransaction({
+      player_id: playerId,
+      type: 'refund',
+      amount,
+      description: description || `Rollback of ${referenceId}`,
+      metadata: { rolled_back_reference: referenceId },
+      validate_balance: false
+    });
+  }
+}
+
+module.exports = TransferWalletProvider;
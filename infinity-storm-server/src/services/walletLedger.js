@@ -7,6 +7,7 @@
  */
 
 const { supabaseAdmin } = require('../db/supabaseClient');
+const { resolveCurrency } = require('../config/currencies');
 
 const SPIN_REFERENCE_TYPE = 'spin_result';
 
@@ -164,14 +165,14 @@ async function getBalance(playerId, { client = null } = {}) {
 
   if (client) {
     const { rows } = await client.query(
-      'SELECT id, username, credits::numeric AS credits, is_demo, status, updated_at FROM players WHERE id = $1',
+      'SELECT id, username, credits::numeric AS credits, currency, is_demo, status, updated_at FROM players WHERE id = $1',
       [playerId]
     );
     playerRow = rows?.[0] || null;
   } else {
     const { data, error } = await supabaseAdmin
       .from('players')
-      .select('id, username, credits, is_demo, status, updated_at')
+      .select('id, username, credits, currency, is_demo, status, updated_at')
       .eq('id', playerId)
       .limit(1);
 
@@ -213,6 +214,7 @@ async function getBalance(playerId, { client = null } = {}) {
     player_id: playerRow.id,
     username: playerRow.username || 'Unknown',
     balance,
+    currency: resolveCurrency(playerRow.currency),
     is_demo: Boolean(playerRow.is_demo),
     status: playerRow.status || 'active',
     balance_consistent: isConsistent,
@@ -0,0 +1,130 @@
+/**
+ * Wallet Provider
+ *
+ * Where player money lives. Every provider implements the same interface so the
+ * game controller and walletService do not care which one is configured:
+ *
+ *   getBalance({ playerId })                              -> { balance, currency }
+ *   debit({ playerId, amount, referenceId, ... })        -> wallet result
+ *   credit({ playerId, amount, referenceId, ... })       -> wallet result
+ *   rollback({ playerId, amount, referenceId, ... })     -> wallet result (reverses the debit with referenceId)
+ *
+ * Wallet results use walletService's shape:
+ *   { success, transaction: { id, player_id, type, amount, reference_id }, balance: { previous, current } }
+ *
+ * Modes (WALLET_MODE):
+ *   - transfer (default): players.credits in our database (transferWalletProvider.js)
+ *   - seamless: the operator's wallet API (seamlessWalletProvider.js); requests are
+ *     HMAC-signed and use `${type}:${referenceId}` as the idempotency key
+ *
+ * Calls through the configured provider are timed and counted in serverMetrics.
+ */
+
+const crypto = require('crypto');
+const serverMetrics = require('./serverMetrics');
+
+const WALLET_MODES = ['transfer', 'seamless'];
+const WALLET_OPERATIONS = ['getBalance', 'debit', 'credit', 'rollback'];
+const SIGNATURE_HEADER = 'x-signature';
+const TIMESTAMP_HEADER = 'x-timestamp';
+const IDEMPOTENCY_HEADER = 'idempotency-key';
+
+let provider = null;
+
+const walletProviderError = (code, message, details = {}) => {
+  const error = new Error(message);
+  error.name = 'WalletProviderError';
+  error.code = code;
+  Object.assign(error, details);
+  return error;
+};
+
+/**
+ * Signature for a seamless wallet request or response body
+ * @param {string} secret - Shared operator secret
+ * @param {string|number} timestamp - Milliseconds since epoch, sent in X-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} Hex HMAC-SHA256 of `${timestamp}.${body}`
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Check a signature in constant time, rejecting stale timestamps
+ * @param {Object} options - { secret, timestamp, body, signature, maxSkewMs }
+ * @returns {boolean} True when the signature is valid and fresh
+ */
+function verifySignature({ secret, timestamp, body, signature, maxSkewMs = 5 * 60 * 1000 }) {
+  const sentAt = Number(timestamp);
+  if (!Number.isFinite(sentAt) || Math.abs(Date.now() - sentAt) > maxSkewMs || typeof signature !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body), 'hex');
+  const provided = Buffer.from(signature, 'hex');
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+}
+
+/**
+ * Seamless wallet settings from the environment
+ * @returns {Object} Provider options
+ */
+function getSeamlessConfig() {
+  return {
+    baseUrl: process.env.SEAMLESS_WALLET_URL,
+    secret: process.env.SEAMLESS_WALLET_SECRET,
+    operatorId: process.env.SEAMLESS_WALLET_OPERATOR_ID || 'default',
+    currency: process.env.SEAMLESS_WALLET_CURRENCY || 'USD',
+    timeoutMs: parseInt(process.env.SEAMLESS_WALLET_TIMEOUT_MS) || 5000,
+    maxRetries: parseInt(process.env.SEAMLESS_WALLET_MAX_RETRIES) || 3
+  };
+}
+
+/**
+ * Configured wallet provider (created once per process)
+ * @returns {Object} Wallet provider
+ */
+function getWalletProvider() {
+  if (!provider) {
+    const mode = (process.env.WALLET_MODE || 'transfer').toLowerCase();
+    if (!WALLET_MODES.includes(mode)) {
+      throw walletProviderError('INVALID_WALLET_MODE', `Unknown WALLET_MODE: ${mode}`);
+    }
+
+    if (mode === 'seamless') {
+      const SeamlessWalletProvider = require('./seamlessWalletProvider');
+      provider = new SeamlessWalletProvider(getSeamlessConfig());
+    } else {
+      const TransferWalletProvider = require('./transferWalletProvider');
+      provider = new TransferWalletProvider();
+    }
+
+    for (const operation of WALLET_OPERATIONS) {
+      const call = provider[operation].bind(provider);
+      provider[operation] = (...args) => serverMetrics.trackWalletOperation(mode, operation, () => call(...args));
+    }
+  }
+  return provider;
+}
+
+/**
+ * Replace the provider (tests, or switching modes at startup)
+ * @param {Object|null} nextProvider - Provider instance, or null to rebuild from the environment
+ */
+function setWalletProvider(nextProvider) {
+  provider = nextProvider;
+}
+
+module.exports = {
+  WALLET_MODES,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  IDEMPOTENCY_HEADER,
+  walletProviderError,
+  signPayload,
+  verifySignature,
+  getSeamlessConfig,
+  getWalletProvider,
+  setWalletProvider
+};
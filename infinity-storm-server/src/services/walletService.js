@@ -12,12 +12,22 @@
  * - Admin adjustment support with reason logging
  * - Transaction history with pagination
  * - Real-time balance inquiry
+ *
+ * With a seamless wallet (WALLET_MODE=seamless) bets and wins are forwarded to
+ * the operator through services/walletProvider.js instead of players.credits.
+ *
+ * Balances are in the player's currency (players.currency). Amounts are added
+ * as integers of the currency's minor unit, so JPY moves in whole yen and
+ * EUR/BRL/USD in whole cents without floating point drift.
  */
 
+const crypto = require('crypto');
 const { Transaction, Player, AdminLog } = require('../models');
 // Use Sequelize instance from models index (source of truth)
 const { sequelize } = require('../models');
 const { auditLogger } = require('../utils/logger');
+const { getWalletProvider } = require('./walletProvider');
+const { resolveCurrency, getCurrencyConfig, toMinorUnits, fromMinorUnits } = require('../config/currencies');
 
 class WalletService {
   /**
@@ -28,7 +38,7 @@ class WalletService {
   static async getBalance(playerId) {
     try {
       const player = await Player.findByPk(playerId, {
-        attributes: ['id', 'username', 'credits', 'is_demo', 'status']
+        attributes: ['id', 'username', 'credits', 'currency', 'is_demo', 'status']
       });
 
       if (!player) {
@@ -63,6 +73,7 @@ class WalletService {
         player_id: playerId,
         username: player.username,
         balance: dbBalance,
+        currency: resolveCurrency(player.currency),
         is_demo: player.is_demo,
         status: player.status,
         balance_consistent: isConsistent,
@@ -79,6 +90,8 @@ class WalletService {
 
   /**
      * Execute atomic wallet transaction
+     * Pass `transaction` to run inside a caller's Sequelize transaction; the caller
+     * then owns commit and rollback.
      * @param {Object} transactionData - Transaction details
      * @returns {Promise<Object>} Transaction result
      */
@@ -91,10 +104,11 @@ class WalletService {
     description = null,
     created_by = null,
     metadata = null,
-    validate_balance = true
+    validate_balance = true,
+    transaction = null
   }) {
-    // Start database transaction for atomicity
-    const dbTransaction = await sequelize.transaction();
+    // Start database transaction for atomicity (or join the caller's)
+    const dbTransaction = transaction || await sequelize.transaction();
 
     try {
       // Lock player record for update to prevent race conditions
@@ -111,19 +125,22 @@ class WalletService {
         throw new Error(`Cannot execute transaction. Account status: ${player.status}`);
       }
 
-      // Validate transaction amount
-      const transactionAmount = parseFloat(amount);
-      if (transactionAmount === 0) {
+      // Work in minor units of the player's currency (amounts below one minor unit round away)
+      const currency = resolveCurrency(player.currency);
+      const amountMinor = toMinorUnits(amount, currency);
+      if (amountMinor === 0) {
         throw new Error('Transaction amount cannot be zero');
       }
+      const balanceMinor = toMinorUnits(player.credits, currency);
+      const newBalanceMinor = balanceMinor + amountMinor;
+
+      const transactionAmount = fromMinorUnits(amountMinor, currency);
+      const currentBalance = fromMinorUnits(balanceMinor, currency);
+      const newBalance = fromMinorUnits(newBalanceMinor, currency);
 
       // Validate sufficient balance for debits
-      const currentBalance = parseFloat(player.credits);
-      if (transactionAmount < 0 && validate_balance) {
-        const newBalance = currentBalance + transactionAmount;
-        if (newBalance < 0) {
-          throw new Error(`Insufficient funds. Balance: ${currentBalance}, Required: ${Math.abs(transactionAmount)}`);
-        }
+      if (amountMinor < 0 && validate_balance && newBalanceMinor < 0) {
+        throw new Error(`Insufficient funds. Balance: ${currentBalance}, Required: ${Math.abs(transactionAmount)}`);
       }
 
       // Anti-fraud validation
@@ -131,17 +148,16 @@ class WalletService {
         player_id,
         type,
         amount: transactionAmount,
-        currentBalance
+        currentBalance,
+        currency
       });
 
-      // Calculate new balance
-      const newBalance = currentBalance + transactionAmount;
-
       // Create transaction record
       const transactionRecord = await Transaction.create({
         player_id,
         type,
         amount: transactionAmount,
+        currency,
         balance_before: currentBalance,
         balance_after: newBalance,
         reference_id,
@@ -158,7 +174,9 @@ class WalletService {
       }, { transaction: dbTransaction });
 
       // Commit transaction
-      await dbTransaction.commit();
+      if (!transaction) {
+        await dbTransaction.commit();
+      }
 
       // Log successful transaction
       auditLogger.info('Wallet transaction completed', {
@@ -166,6 +184,7 @@ class WalletService {
         player_id,
         type,
         amount: transactionAmount,
+        currency,
         balance_before: currentBalance,
         balance_after: newBalance,
         reference_id,
@@ -178,13 +197,16 @@ class WalletService {
         balance: {
           previous: currentBalance,
           current: newBalance,
-          change: transactionAmount
+          change: transactionAmount,
+          currency
         }
       };
 
     } catch (error) {
       // Rollback transaction on error
-      await dbTransaction.rollback();
+      if (!transaction) {
+        await dbTransaction.rollback();
+      }
 
       auditLogger.error('Wallet transaction failed', {
         player_id,
@@ -204,11 +226,22 @@ class WalletService {
      * @param {Object} betData - Bet transaction data
      * @returns {Promise<Object>} Transaction result
      */
-  static async processBet({ player_id, amount, reference_id, metadata = null }) {
+  static async processBet({ player_id, amount, reference_id, currency = null, metadata = null }) {
     if (amount <= 0) {
       throw new Error('Bet amount must be positive');
     }
 
+    const provider = getWalletProvider();
+    if (provider.isRemote) {
+      // The operator needs a reference for idempotency; locally the transaction ID serves
+      return await provider.debit({
+        playerId: player_id,
+        amount,
+        currency,
+        referenceId: reference_id || crypto.randomUUID()
+      });
+    }
+
     return await this.executeTransaction({
       player_id,
       type: 'bet',
@@ -222,22 +255,45 @@ class WalletService {
 
   /**
      * Process win transaction (credit)
+     * Jackpot awards pass reference_type 'jackpot' and their own transaction so the
+     * credit commits together with the award record.
      * @param {Object} winData - Win transaction data
      * @returns {Promise<Object>} Transaction result
      */
-  static async processWin({ player_id, amount, reference_id, metadata = null }) {
+  static async processWin({
+    player_id,
+    amount,
+    reference_id,
+    reference_type = 'spin_result',
+    currency = null,
+    description = null,
+    metadata = null,
+    transaction = null
+  }) {
     if (amount <= 0) {
       throw new Error('Win amount must be positive');
     }
 
+    const provider = getWalletProvider();
+    if (provider.isRemote) {
+      return await provider.credit({
+        playerId: player_id,
+        amount,
+        currency,
+        referenceId: reference_id || crypto.randomUUID(),
+        description: description || `Spin win of ${amount} credits`
+      });
+    }
+
     return await this.executeTransaction({
       player_id,
       type: 'win',
       amount: amount, // Positive for credit
       reference_id,
-      reference_type: 'spin_result',
-      description: `Spin win of ${amount} credits`,
-      metadata
+      reference_type,
+      description: description || `Spin win of ${amount} credits`,
+      metadata,
+      transaction
     });
   }
 
@@ -545,17 +601,19 @@ class WalletService {
     player_id,
     type,
     amount,
-    currentBalance
+    currentBalance,
+    currency = null
   }) {
     const absAmount = Math.abs(amount);
 
-    // Check for suspiciously large transactions
-    const LARGE_TRANSACTION_THRESHOLD = 10000;
+    // Check for suspiciously large transactions (threshold scaled like the currency's bet ladder)
+    const LARGE_TRANSACTION_THRESHOLD = 10000 * getCurrencyConfig(currency).scale;
     if (absAmount > LARGE_TRANSACTION_THRESHOLD) {
       auditLogger.warn('Large transaction detected', {
         player_id,
         type,
         amount: absAmount,
+        currency: getCurrencyConfig(currency).code,
         threshold: LARGE_TRANSACTION_THRESHOLD
       });
     }
@@ -147,6 +147,11 @@ const logDatabaseOperation = (operation, table, rowsAffected = null, duration =
   });
 };
 
+/**
+ * Audit trail logger for wallet operations (walletService, wallet controller)
+ */
+const auditLogger = logger.child({ component: 'audit' });
+
 /**
  * Express middleware for request logging
  */
@@ -169,6 +174,7 @@ const requestLogger = (req, res, next) => {
 
 module.exports = {
   logger,
+  auditLogger,
   logGameEvent,
   logSecurityEvent,
   logTransaction,
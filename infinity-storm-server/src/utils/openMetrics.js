@@ -0,0 +1,337 @@
+/**
+ * OpenMetrics Registry
+ *
+ * Small in-process metrics registry that renders the OpenMetrics text format
+ * (what Prometheus asks for) or the older Prometheus 0.0.4 text format.
+ *
+ * Counters, gauges and histograms declare their label names up front. Each
+ * metric keeps at most `maxSeries` label sets; samples for further label sets
+ * are folded into one series whose labels are all "other", and counted in
+ * <prefix>metrics_label_overflow_total so the cap shows up on a dashboard.
+ *
+ * Collectors added with addCollector run before every render, for values that
+ * are read from elsewhere (connection counts, other modules' statistics).
+ */
+
+const { logger } = require('./logger');
+
+const OPENMETRICS_CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+const OVERFLOW_LABEL_VALUE = 'other';
+const MAX_LABEL_VALUE_LENGTH = 64;
+const NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+const escapeLabelValue = (value) => value
+  .replace(/\\/g, '\\\\')
+  .replace(/\n/g, '\\n')
+  .replace(/"/g, '\\"');
+
+// OpenMetrics also escapes double quotes in HELP; the 0.0.4 format does not
+const escapeHelp = (text, openMetrics) => {
+  const escaped = text.replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+  return openMetrics ? escaped.replace(/"/g, '\\"') : escaped;
+};
+
+const formatValue = (value) => {
+  if (Number.isNaN(value)) {
+    return 'NaN';
+  }
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  if (value === -Infinity) {
+    return '-Inf';
+  }
+  return String(value);
+};
+
+const formatLabels = (pairs) => {
+  if (pairs.length === 0) {
+    return '';
+  }
+  return `{${pairs.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+};
+
+class Metric {
+  constructor(registry, { name, help, labelNames = [], maxSeries }) {
+    if (!NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid metric name: ${name}`);
+    }
+    for (const labelName of labelNames) {
+      if (!NAME_PATTERN.test(labelName) || labelName.startsWith('__') || labelName === 'le') {
+        throw new Error(`Invalid label name for ${name}: ${labelName}`);
+      }
+    }
+
+    this.registry = registry;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.maxSeries = maxSeries || registry.maxSeries;
+    this.series = new Map();
+  }
+
+  /**
+     * Series for a label set, created on first use (or the overflow series once the cap is reached)
+     * @param {Object} labels - Label values by name; missing labels are empty
+     * @returns {Object} Series state
+     */
+  getSeries(labels = {}) {
+    let values = this.labelNames.map((labelName) => {
+      const value = labels[labelName];
+      return value === undefined || value === null ? '' : String(value).slice(0, MAX_LABEL_VALUE_LENGTH);
+    });
+    let key = values.join('\u0000');
+
+    if (!this.series.has(key)) {
+      if (this.series.size >= this.maxSeries) {
+        this.registry.recordOverflow(this.name);
+        values = this.labelNames.map(() => OVERFLOW_LABEL_VALUE);
+        key = values.join('\u0000');
+        if (this.series.has(key)) {
+          return this.series.get(key);
+        }
+      }
+      this.series.set(key, { values, ...this.createState() });
+    }
+    return this.series.get(key);
+  }
+
+  /**
+     * Drop every series (collectors rebuild gauges on each scrape)
+     */
+  reset() {
+    this.series.clear();
+  }
+
+  labelPairs(series, extra = []) {
+    return [...this.labelNames.map((labelName, index) => [labelName, series.values[index]]), ...extra];
+  }
+}
+
+class Counter extends Metric {
+  get type() {
+    return 'counter';
+  }
+
+  createState() {
+    return { value: 0 };
+  }
+
+  /**
+     * Increase the counter
+     * @param {Object} labels - Label values
+     * @param {number} amount - Non-negative increment (default 1)
+     */
+  inc(labels = {}, amount = 1) {
+    if (!(amount >= 0)) {
+      throw new Error(`Counter ${this.name} cannot decrease`);
+    }
+    this.getSeries(labels).value += amount;
+  }
+
+  /**
+     * Set the total of a counter kept by another module
+     * @param {Object} labels - Label values
+     * @param {number} total - Current total
+     */
+  setTotal(labels, total) {
+    this.getSeries(labels).value = total;
+  }
+
+  samples() {
+    return [...this.series.values()].map(series => ({
+      name: `${this.name}_total`,
+      labels: this.labelPairs(series),
+      value: series.value
+    }));
+  }
+}
+
+class Gauge extends Metric {
+  get type() {
+    return 'gauge';
+  }
+
+  createState() {
+    return { value: 0 };
+  }
+
+  set(labels, value) {
+    this.getSeries(labels).value = value;
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.getSeries(labels).value += amount;
+  }
+
+  dec(labels = {}, amount = 1) {
+    this.getSeries(labels).value -= amount;
+  }
+
+  samples() {
+    return [...this.series.values()].map(series => ({
+      name: this.name,
+      labels: this.labelPairs(series),
+      value: series.value
+    }));
+  }
+}
+
+class Histogram extends Metric {
+  constructor(registry, options) {
+    super(registry, options);
+    this.buckets = [...options.buckets].sort((a, b) => a - b);
+  }
+
+  get type() {
+    return 'histogram';
+  }
+
+  createState() {
+    return { counts: new Array(this.buckets.length).fill(0), count: 0, sum: 0 };
+  }
+
+  /**
+     * Record one observation
+     * @param {Object} labels - Label values
+     * @param {number} value - Observed value
+     */
+  observe(labels, value) {
+    const series = this.getSeries(labels);
+    const index = this.buckets.findIndex(bound => value <= bound);
+    if (index !== -1) {
+      series.counts[index]++;
+    }
+    series.count++;
+    series.sum += value;
+  }
+
+  samples() {
+    const samples = [];
+    for (const series of this.series.values()) {
+      let cumulative = 0;
+      this.buckets.forEach((bound, index) => {
+        cumulative += series.counts[index];
+        samples.push({
+          name: `${this.name}_bucket`,
+          labels: this.labelPairs(series, [['le', formatValue(bound)]]),
+          value: cumulative
+        });
+      });
+      samples.push(
+        { name: `${this.name}_bucket`, labels: this.labelPairs(series, [['le', '+Inf']]), value: series.count },
+        { name: `${this.name}_count`, labels: this.labelPairs(series), value: series.count },
+        { name: `${this.name}_sum`, labels: this.labelPairs(series), value: series.sum }
+      );
+    }
+    return samples;
+  }
+}
+
+class Registry {
+  /**
+     * @param {Object} options - { prefix: prepended to every metric name, maxSeries: label sets kept per metric }
+     */
+  constructor({ prefix = '', maxSeries = 200 } = {}) {
+    this.prefix = prefix;
+    this.maxSeries = maxSeries;
+    this.metrics = new Map();
+    this.collectors = [];
+    this.overflows = this.counter({
+      name: 'metrics_label_overflow',
+      help: 'Samples folded into the overflow series because a metric hit its label set cap',
+      labelNames: ['metric']
+    });
+  }
+
+  register(MetricClass, options) {
+    const name = `${this.prefix}${options.name}`;
+    if (this.metrics.has(name)) {
+      throw new Error(`Metric already registered: ${name}`);
+    }
+    const metric = new MetricClass(this, { ...options, name });
+    this.metrics.set(name, metric);
+    if (metric.labelNames.length === 0 && metric.type !== 'histogram') {
+      metric.getSeries();
+    }
+    return metric;
+  }
+
+  counter(options) {
+    return this.register(Counter, options);
+  }
+
+  gauge(options) {
+    return this.register(Gauge, options);
+  }
+
+  histogram(options) {
+    return this.register(Histogram, options);
+  }
+
+  /**
+     * Run a function before every render
+     * @param {Function} collector - Sync or async; a failure is logged and the scrape goes on
+     */
+  addCollector(collector) {
+    this.collectors.push(collector);
+  }
+
+  recordOverflow(metricName) {
+    // The overflow counter has one series per metric, so it cannot overflow itself
+    if (this.overflows) {
+      this.overflows.inc({ metric: metricName });
+    }
+  }
+
+  /**
+     * Text exposition of every metric
+     * @param {Object} options - { openMetrics: false for the Prometheus 0.0.4 text format }
+     * @returns {Promise<string>} Exposition body
+     */
+  async render({ openMetrics = true } = {}) {
+    for (const collector of this.collectors) {
+      try {
+        await collector();
+      } catch (error) {
+        logger.warn('Metrics collector failed', { error: error.message });
+      }
+    }
+
+    const lines = [];
+    for (const metric of this.metrics.values()) {
+      // OpenMetrics names the counter family without _total; the 0.0.4 format names it after the sample
+      const familyName = metric.type === 'counter' && !openMetrics ? `${metric.name}_total` : metric.name;
+      lines.push(`# HELP ${familyName} ${escapeHelp(metric.help, openMetrics)}`);
+      lines.push(`# TYPE ${familyName} ${metric.type}`);
+      for (const sample of metric.samples()) {
+        lines.push(`${sample.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+      }
+    }
+    if (openMetrics) {
+      lines.push('# EOF');
+    }
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+/**
+ * Whether a scraper asked for OpenMetrics in its Accept header
+ * @param {string} accept - Accept header
+ * @returns {boolean} True for application/openmetrics-text
+ */
+function acceptsOpenMetrics(accept) {
+  return typeof accept === 'string' && accept.includes('application/openmetrics-text');
+}
+
+module.exports = {
+  OPENMETRICS_CONTENT_TYPE,
+  PROMETHEUS_CONTENT_TYPE,
+  OVERFLOW_LABEL_VALUE,
+  Registry,
+  Counter,
+  Gauge,
+  Histogram,
+  acceptsOpenMetrics
+};
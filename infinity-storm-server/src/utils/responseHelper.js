@@ -245,6 +245,41 @@ class ResponseHelper {
     return this._errorResponse(res, 403, 'ANTI_CHEAT_VIOLATION', 'Security violation detected', details);
   }
 
+  /**
+     * Responsible gambling block (player limit, cool-off or self-exclusion)
+     * @param {Object} res - Express response object
+     * @param {Object} block - Block from responsibleGamblingService ({ reason, message, ... })
+     */
+  static responsibleGamblingLimit(res, block) {
+    const { message, ...details } = block;
+    return this._errorResponse(res, 403, 'RESPONSIBLE_GAMBLING_LIMIT', message, details);
+  }
+
+  /**
+     * Autoplay spin refused: the session ended or the bet would pass its loss limit
+     * @param {Object} res - Express response object
+     * @param {Object} block - Block from autoplayService.checkSpin ({ reason, message, sessionId, stopReason })
+     */
+  static autoplayStopped(res, block) {
+    const { message, ...details } = block;
+    return this._errorResponse(res, 409, 'AUTOPLAY_STOPPED', message, details);
+  }
+
+  /**
+     * Player restricted after a review case or an anti-cheat flag
+     * @param {Object} res - Express response object
+     * @param {Object} restriction - Restriction in force ({ until })
+     * @param {Object} limits - What the player may still do (e.g. { maxBet })
+     */
+  static playerRestricted(res, restriction, limits = {}) {
+    const details = {
+      restrictedUntil: restriction.until,
+      ...limits
+    };
+
+    return this._errorResponse(res, 403, 'PLAYER_RESTRICTED', 'Your account is restricted', details);
+  }
+
   /**
      * Game state error
      * @param {Object} res - Express response object
@@ -286,6 +321,21 @@ class ResponseHelper {
     return this._errorResponse(res, 503, 'MAINTENANCE_MODE', 'Service under maintenance', details);
   }
 
+  /**
+     * Game halted by an emergency stop
+     * @param {Object} res - Express response object
+     * @param {Object} stop - Active stop ({ reason, activatedAt })
+     */
+  static gameHalted(res, stop) {
+    const details = {
+      reason: stop.reason,
+      haltedSince: stop.activatedAt,
+      message: 'Play is paused; your balance and history remain available'
+    };
+
+    return this._errorResponse(res, 503, 'GAME_HALTED', 'Game is temporarily halted', details);
+  }
+
   /**
      * Generic error response builder
      * @param {Object} res - Express response object
@@ -352,6 +402,27 @@ class ResponseHelper {
     return res.status(statusCode).json(response);
   }
 
+  /**
+     * Plain status/message/data response, used by the wallet controller
+     * @param {Object} res - Express response object
+     * @param {number} statusCode - HTTP status code
+     * @param {string} message - Response message
+     * @param {Object} data - Response data
+     */
+  static createResponse(res, statusCode, message, data = null) {
+    const response = {
+      success: statusCode < 400,
+      message,
+      timestamp: new Date().toISOString()
+    };
+
+    if (data !== null) {
+      response.data = data;
+    }
+
+    return res.status(statusCode).json(response);
+  }
+
   /**
      * Paginated response helper
      * @param {Object} res - Express response object
@@ -0,0 +1,217 @@
+/**
+ * Admin Role Tests
+ *
+ * Role permissions, the per-route requirePermission middleware (admin panel
+ * and wallet admin endpoints) and the safeguards of the admin users page.
+ */
+
+// The real module builds a Supabase client on load, which needs SUPABASE_* keys
+jest.mock('../../src/db/supabaseClient', () => ({
+  getPlayer: jest.fn()
+}));
+
+const { getPlayer } = require('../../src/db/supabaseClient');
+const { ADMIN_ROLES, PERMISSIONS, hasPermission, getRolePermissions } = require('../../src/config/adminRoles');
+const { requirePermission } = require('../../src/middleware/adminAuth');
+const WalletValidation = require('../../src/middleware/walletValidation');
+const adminController = require('../../src/controllers/admin');
+const reviewCaseService = require('../../src/services/reviewCaseService');
+const Admin = require('../../src/models/Admin');
+const AdminLog = require('../../src/models/AdminLog');
+
+const createResponse = () => {
+  const res = {
+    locals: {},
+    status: jest.fn(() => res),
+    json: jest.fn(() => res),
+    render: jest.fn(() => res),
+    redirect: jest.fn(() => res)
+  };
+  return res;
+};
+
+const createRequest = (overrides = {}) => ({
+  method: 'POST',
+  originalUrl: '/admin/test',
+  params: {},
+  body: {},
+  query: {},
+  ip: '127.0.0.1',
+  get: () => 'jest',
+  accepts: () => 'json',
+  ...overrides
+});
+
+// Unsaved admin whose update() only sets the fields
+const buildAdmin = (fields) => {
+  const admin = Admin.build({ password_hash: 'x', ...fields });
+  admin.update = jest.fn(async (changes) => admin.set(changes));
+  return admin;
+};
+
+describe('Admin Roles', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('role permissions', () => {
+    test('superadmin holds every permission and unknown roles none', () => {
+      expect(getRolePermissions('superadmin').sort()).toEqual(Object.keys(PERMISSIONS).sort());
+      expect(getRolePermissions('admin')).toEqual([]);
+      expect(hasPermission(undefined, 'players.view')).toBe(false);
+    });
+
+    test('only finance and superadmin approve credits; only superadmin flips feature flags', () => {
+      const holders = (permission) => ADMIN_ROLES.filter(role => hasPermission(role, permission));
+
+      expect(holders('credits.adjust')).toEqual(['support', 'finance', 'superadmin']);
+      expect(holders('credits.approve')).toEqual(['finance', 'superadmin']);
+      expect(holders('players.ban')).toEqual(['risk', 'superadmin']);
+      expect(holders('feature_flags.manage')).toEqual(['superadmin']);
+      expect(holders('admins.manage')).toEqual(['superadmin']);
+      expect(holders('players.view')).toEqual(ADMIN_ROLES);
+    });
+
+    test('disabled admins lose their permissions', () => {
+      const admin = buildAdmin({ id: 'admin-1', account_id: 'ops', role: 'superadmin' });
+      expect(admin.hasPermission('admins.manage')).toBe(true);
+
+      admin.status = 'disabled';
+      expect(admin.hasPermission('admins.manage')).toBe(false);
+      expect(admin.getSafeData()).toMatchObject({ role: 'superadmin', status: 'disabled', permissions: [] });
+    });
+  });
+
+  describe('requirePermission', () => {
+    test('passes admins whose role grants every permission', () => {
+      const next = jest.fn();
+      requirePermission('players.view', 'players.ban')(createRequest({ admin: { id: 'a', role: 'risk' } }), createResponse(), next);
+
+      expect(next).toHaveBeenCalled();
+    });
+
+    test('refuses API requests with 403 and the missing permissions', () => {
+      const res = createResponse();
+      const next = jest.fn();
+      requirePermission('players.view', 'credits.adjust')(createRequest({ admin: { id: 'a', role: 'viewer' } }), res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json.mock.calls[0][0]).toEqual({
+        error: 'Insufficient admin permissions',
+        code: 'INSUFFICIENT_ROLE_PERMISSIONS',
+        message: 'Requires credits.adjust'
+      });
+    });
+
+    test('renders the error page for admin panel pages', () => {
+      const res = createResponse();
+      const req = createRequest({ method: 'GET', admin: { id: 'a', role: 'viewer' }, accepts: () => 'html' });
+      requirePermission('audit.view')(req, res, jest.fn());
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.render).toHaveBeenCalledWith('admin/error', expect.objectContaining({ title: 'Access Denied' }));
+    });
+
+    test('checks the admin_role of admin players on the wallet admin endpoints', async () => {
+      const run = async (player) => {
+        getPlayer.mockResolvedValue(player);
+        const req = createRequest({ user: { id: player.id } });
+        const res = createResponse();
+        const next = jest.fn();
+        await WalletValidation.validateAdminPermissions(req, res, () => requirePermission('credits.adjust')(req, res, next));
+        return { res, next };
+      };
+
+      const finance = await run({ id: 'p1', username: 'cashier', is_admin: true, admin_role: 'finance' });
+      expect(finance.next).toHaveBeenCalled();
+
+      const viewer = await run({ id: 'p2', username: 'auditor', is_admin: true, admin_role: 'viewer' });
+      expect(viewer.next).not.toHaveBeenCalled();
+      expect(viewer.res.status).toHaveBeenCalledWith(403);
+
+      const unassigned = await run({ id: 'p3', username: 'legacy', is_admin: true, admin_role: null });
+      expect(unassigned.next).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('admin users', () => {
+    test('keeps the last active superadmin', async () => {
+      const target = buildAdmin({ id: 'admin-2', account_id: 'root', role: 'superadmin' });
+      jest.spyOn(Admin, 'findByPk').mockResolvedValue(target);
+      jest.spyOn(Admin, 'count').mockResolvedValue(0);
+
+      const res = createResponse();
+      await adminController.updateAdminUser(createRequest({
+        params: { id: 'admin-2' },
+        body: { status: 'disabled' },
+        admin: { id: 'admin-1', role: 'superadmin' }
+      }), res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json.mock.calls[0][0]).toMatchObject({ code: 'LAST_SUPERADMIN' });
+      expect(target.update).not.toHaveBeenCalled();
+    });
+
+    test('refuses changes to the requesting admin', async () => {
+      jest.spyOn(Admin, 'findByPk').mockResolvedValue(buildAdmin({ id: 'admin-1', account_id: 'me', role: 'superadmin' }));
+
+      const res = createResponse();
+      await adminController.updateAdminUser(createRequest({
+        params: { id: 'admin-1' },
+        body: { role: 'viewer' },
+        admin: { id: 'admin-1', role: 'superadmin' }
+      }), res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json.mock.calls[0][0]).toMatchObject({ code: 'ADMIN_SELF_CHANGE' });
+    });
+
+    test('changes a role and logs a permission change', async () => {
+      const target = buildAdmin({ id: 'admin-2', account_id: 'analyst', role: 'viewer' });
+      jest.spyOn(Admin, 'findByPk').mockResolvedValue(target);
+      const logSuccess = jest.spyOn(AdminLog, 'logSuccess').mockResolvedValue({});
+
+      const res = createResponse();
+      await adminController.updateAdminUser(createRequest({
+        params: { id: 'admin-2' },
+        body: { role: 'risk' },
+        admin: { id: 'admin-1', role: 'superadmin' }
+      }), res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(target.update).toHaveBeenCalledWith({ role: 'risk', status: 'active' });
+      expect(logSuccess.mock.calls[0][0]).toMatchObject({
+        admin_id: 'admin-1',
+        action_type: 'permission_change',
+        details: { admin_account: 'analyst', previous: { role: 'viewer' }, role: 'risk' }
+      });
+    });
+  });
+
+  describe('case resolutions', () => {
+    const originalPool = reviewCaseService.pool;
+
+    afterEach(() => {
+      reviewCaseService.pool = originalPool;
+    });
+
+    test('a ban resolution also needs players.ban', async () => {
+      reviewCaseService.pool = {
+        query: async () => ({ rows: [{ id: 'case-1', player_id: 'player-1', status: 'in_review' }] })
+      };
+      const logSuccess = jest.spyOn(AdminLog, 'logSuccess').mockResolvedValue({});
+
+      const res = createResponse();
+      await adminController.resolveCase(createRequest({
+        params: { id: 'case-1' },
+        body: { resolution: 'ban', reason: 'Chargeback ring' },
+        admin: { id: 'admin-1', role: 'support' }
+      }), res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json.mock.calls[0][0]).toMatchObject({ code: 'INSUFFICIENT_ROLE_PERMISSIONS' });
+      expect(logSuccess).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,302 @@
+/**
+ * Admin Two-Factor Tests
+ *
+ * RFC 6238 codes, enrollment with recovery codes, replay protection, the
+ * two-step admin sign-in and the step-up check in front of sensitive actions.
+ */
+
+const totp = require('../../src/auth/totp');
+const adminTwoFactorService = require('../../src/services/adminTwoFactorService');
+const { requireStepUp, requireTwoFactorEnrollment } = require('../../src/middleware/adminAuth');
+const adminController = require('../../src/controllers/admin');
+const bcrypt = require('bcrypt');
+const Admin = require('../../src/models/Admin');
+const Player = require('../../src/models/Player');
+const AdminLog = require('../../src/models/AdminLog');
+
+const { CHALLENGE_COOKIE, STEP_UP_COOKIE } = adminTwoFactorService;
+const STEP_MS = totp.STEP_SECONDS * 1000;
+
+const createResponse = () => {
+  const res = {
+    locals: {},
+    cookies: {},
+    status: jest.fn(() => res),
+    json: jest.fn(() => res),
+    redirect: jest.fn(() => res),
+    clearCookie: jest.fn(() => res),
+    cookie: jest.fn((name, value) => {
+      res.cookies[name] = value;
+      return res;
+    })
+  };
+  return res;
+};
+
+const createRequest = (overrides = {}) => ({
+  method: 'POST',
+  originalUrl: '/admin/test',
+  params: {},
+  body: {},
+  query: {},
+  cookies: {},
+  ip: '127.0.0.1',
+  get: (header) => (header === 'User-Agent' ? 'jest' : undefined),
+  accepts: () => 'json',
+  ...overrides
+});
+
+// Unsaved admin whose update() only sets the fields; Admin.update claims time steps like the database would
+const buildAdmin = (fields = {}) => {
+  const admin = Admin.build({ id: 'admin-1', account_id: 'ops', role: 'superadmin', password_hash: 'x', ...fields });
+  admin.update = jest.fn(async (changes) => admin.set(changes));
+  return admin;
+};
+
+const trackCounters = (admin) => jest.spyOn(Admin, 'update').mockImplementation(async ({ totp_last_counter: counter }) => {
+  const last = admin.totp_last_counter === null ? null : Number(admin.totp_last_counter);
+  return [last === null || last < counter ? 1 : 0];
+});
+
+// Admin with 2FA enabled, the secret and its recovery codes
+const enrolledAdmin = async () => {
+  const admin = buildAdmin();
+  trackCounters(admin);
+  const { secret } = await adminTwoFactorService.beginEnrollment(admin);
+  // Confirm with the previous step so the current one is still unused
+  const recoveryCodes = await adminTwoFactorService.confirmEnrollment(admin, totp.generateCode(secret, Date.now() - STEP_MS));
+  return { admin, secret, recoveryCodes };
+};
+
+describe('Admin Two-Factor Authentication', () => {
+  let logSuccess;
+  let logFailure;
+
+  beforeEach(() => {
+    logSuccess = jest.spyOn(AdminLog, 'logSuccess').mockResolvedValue({});
+    logFailure = jest.spyOn(AdminLog, 'logFailure').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('TOTP codes', () => {
+    test('match the RFC 6238 SHA-1 test vectors', () => {
+      const secret = totp.base32Encode(Buffer.from('12345678901234567890'));
+
+      expect(totp.generateCode(secret, 59 * 1000)).toBe('287082');
+      expect(totp.generateCode(secret, 1111111109 * 1000)).toBe('081804');
+      expect(totp.generateCode(secret, 2000000000 * 1000)).toBe('279037');
+    });
+
+    test('accept one step of clock drift and refuse used steps', () => {
+      const secret = totp.generateSecret();
+      const now = Date.now();
+      const previous = totp.generateCode(secret, now - STEP_MS);
+
+      expect(totp.verifyCode(secret, previous, { time: now })).toBe(totp.counterAt(now) - 1);
+      expect(totp.verifyCode(secret, totp.generateCode(secret, now - 3 * STEP_MS), { time: now })).toBeNull();
+      expect(totp.verifyCode(secret, previous, { time: now, lastCounter: totp.counterAt(now) - 1 })).toBeNull();
+    });
+
+    test('provisioning URI carries the secret and issuer', () => {
+      const uri = totp.provisioningUri({ secret: 'JBSWY3DPEHPK3PXP', accountName: 'ops', issuer: 'Infinity Storm Admin' });
+
+      expect(uri).toBe('otpauth://totp/Infinity%20Storm%20Admin%3Aops?secret=JBSWY3DPEHPK3PXP' +
+        '&issuer=Infinity+Storm+Admin&algorithm=SHA1&digits=6&period=30');
+    });
+  });
+
+  describe('enrollment', () => {
+    test('stores the secret encrypted for the admin and enables 2FA once a code is confirmed', async () => {
+      const admin = buildAdmin();
+      const { secret } = await adminTwoFactorService.beginEnrollment(admin);
+
+      expect(admin.totp_enabled).toBe(false);
+      expect(admin.totp_secret).not.toContain(secret);
+      expect(adminTwoFactorService.decryptSecret(admin.totp_secret, admin.id)).toBe(secret);
+      expect(() => adminTwoFactorService.decryptSecret(admin.totp_secret, 'admin-2')).toThrow();
+
+      await expect(adminTwoFactorService.confirmEnrollment(admin, '000000')).rejects.toThrow('Invalid authentication code');
+      expect(logFailure.mock.calls[0][0]).toMatchObject({
+        action_type: 'two_factor_verification',
+        details: { purpose: 'enrollment' }
+      });
+
+      const recoveryCodes = await adminTwoFactorService.confirmEnrollment(admin, totp.generateCode(secret));
+      expect(admin.totp_enabled).toBe(true);
+      expect(recoveryCodes).toHaveLength(totp.RECOVERY_CODE_COUNT);
+      expect(admin.totp_recovery_codes).toEqual(recoveryCodes.map(totp.hashRecoveryCode));
+      expect(admin.getSafeData().two_factor).toEqual({ enabled: true, required: false, recovery_codes_left: 10 });
+      expect(logSuccess.mock.calls[0][0]).toMatchObject({ action_type: 'two_factor_change', details: { event: 'enrolled' } });
+    });
+
+    test('a code works once and a recovery code works once', async () => {
+      const { admin, secret, recoveryCodes } = await enrolledAdmin();
+      const code = totp.generateCode(secret);
+
+      await expect(adminTwoFactorService.verify(admin, code, 'step_up')).resolves.toEqual({ method: 'totp' });
+      await expect(adminTwoFactorService.verify(admin, code, 'step_up')).resolves.toBeNull();
+
+      const recovery = recoveryCodes[0].toUpperCase();
+      await expect(adminTwoFactorService.verify(admin, recovery, 'login')).resolves.toEqual({ method: 'recovery_code' });
+      await expect(adminTwoFactorService.verify(admin, recovery, 'login')).resolves.toBeNull();
+      expect(admin.totp_recovery_codes).toHaveLength(totp.RECOVERY_CODE_COUNT - 1);
+
+      const verifications = [...logSuccess.mock.calls, ...logFailure.mock.calls]
+        .map(([entry]) => entry)
+        .filter(entry => entry.action_type === 'two_factor_verification');
+      expect(verifications.map(entry => [entry.details.method, Boolean(entry.error_message)])).toEqual([
+        ['totp', false],
+        ['recovery_code', false],
+        [null, true],
+        [null, true]
+      ]);
+    });
+
+    test('required 2FA cannot be turned off by the admin', async () => {
+      const { admin, secret } = await enrolledAdmin();
+      admin.totp_required = true;
+
+      await expect(adminTwoFactorService.disable(admin, totp.generateCode(secret))).rejects.toMatchObject({ name: 'ConflictError' });
+      expect(admin.totp_enabled).toBe(true);
+    });
+  });
+
+  describe('sign-in', () => {
+    test('admins with 2FA get a challenge instead of a session, and the code completes it', async () => {
+      const { admin, secret } = await enrolledAdmin();
+      jest.spyOn(Admin, 'authenticate').mockResolvedValue(admin);
+      jest.spyOn(Admin, 'findByPk').mockResolvedValue(admin);
+
+      const passwordStep = createResponse();
+      await adminController.processLogin(createRequest({ body: { account_id: 'ops', password: 'secret' } }), passwordStep);
+
+      expect(passwordStep.json.mock.calls[0][0]).toMatchObject({ success: true, two_factor_required: true });
+      expect(passwordStep.cookies.admin_token).toBeUndefined();
+      expect(passwordStep.cookies[CHALLENGE_COOKIE]).toBeDefined();
+
+      const wrongCode = createResponse();
+      await adminController.processTwoFactorLogin(createRequest({
+        body: { code: '000000' },
+        cookies: { [CHALLENGE_COOKIE]: passwordStep.cookies[CHALLENGE_COOKIE] }
+      }), wrongCode);
+      expect(wrongCode.status).toHaveBeenCalledWith(401);
+      expect(wrongCode.cookies.admin_token).toBeUndefined();
+
+      const codeStep = createResponse();
+      await adminController.processTwoFactorLogin(createRequest({
+        body: { code: totp.generateCode(secret) },
+        cookies: { [CHALLENGE_COOKIE]: passwordStep.cookies[CHALLENGE_COOKIE] }
+      }), codeStep);
+
+      expect(codeStep.json.mock.calls[0][0]).toMatchObject({ success: true, redirect: '/admin/dashboard' });
+      expect(codeStep.cookies.admin_token).toBeDefined();
+      expect(adminTwoFactorService.hasStepUp(codeStep.cookies[STEP_UP_COOKIE], admin.id)).toBe(true);
+    });
+
+    test('the code step needs a valid challenge', async () => {
+      const res = createResponse();
+      await adminController.processTwoFactorLogin(createRequest({ body: { code: '123456' } }), res);
+
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json.mock.calls[0][0]).toMatchObject({ code: 'TWO_FACTOR_CHALLENGE_EXPIRED' });
+    });
+
+    test('admins who must enroll are held at the setup page', () => {
+      const admin = buildAdmin({ totp_required: true });
+      const res = createResponse();
+      const next = jest.fn();
+      requireTwoFactorEnrollment(createRequest({ admin: admin.getSafeData() }), res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json.mock.calls[0][0]).toMatchObject({ code: 'TWO_FACTOR_ENROLLMENT_REQUIRED' });
+    });
+  });
+
+  describe('step-up', () => {
+    const runStepUp = async (req) => {
+      const res = createResponse();
+      const next = jest.fn();
+      await requireStepUp(req, res, next);
+      return { res, next };
+    };
+
+    test('refuses admins who must enroll and requests without a code', async () => {
+      const notEnrolled = await runStepUp(createRequest({ admin: buildAdmin({ totp_required: true }).getSafeData() }));
+      expect(notEnrolled.next).not.toHaveBeenCalled();
+      expect(notEnrolled.res.json.mock.calls[0][0]).toMatchObject({ code: 'TWO_FACTOR_NOT_ENROLLED' });
+
+      const { admin } = await enrolledAdmin();
+      const withoutCode = await runStepUp(createRequest({ admin: admin.getSafeData() }));
+      expect(withoutCode.res.status).toHaveBeenCalledWith(403);
+      expect(withoutCode.res.json.mock.calls[0][0]).toMatchObject({ code: 'STEP_UP_REQUIRED' });
+    });
+
+    test('a valid code passes and unlocks the next sensitive actions; a wrong one is logged', async () => {
+      const { admin, secret } = await enrolledAdmin();
+      jest.spyOn(Admin, 'findByPk').mockResolvedValue(admin);
+
+      const wrong = await runStepUp(createRequest({ admin: admin.getSafeData(), body: { totp_code: '000000' } }));
+      expect(wrong.next).not.toHaveBeenCalled();
+      expect(wrong.res.json.mock.calls[0][0]).toMatchObject({ code: 'STEP_UP_FAILED' });
+      expect(logFailure.mock.calls.at(-1)[0]).toMatchObject({ action_type: 'two_factor_verification', details: { purpose: 'step_up' } });
+
+      const valid = await runStepUp(createRequest({ admin: admin.getSafeData(), body: { totp_code: totp.generateCode(secret) } }));
+      expect(valid.next).toHaveBeenCalled();
+
+      const unlocked = await runStepUp(createRequest({
+        admin: admin.getSafeData(),
+        cookies: { [STEP_UP_COOKIE]: valid.res.cookies[STEP_UP_COOKIE] }
+      }));
+      expect(unlocked.next).toHaveBeenCalled();
+
+      const otherAdmin = await runStepUp(createRequest({
+        admin: { ...admin.getSafeData(), id: 'admin-2' },
+        cookies: { [STEP_UP_COOKIE]: valid.res.cookies[STEP_UP_COOKIE] }
+      }));
+      expect(otherAdmin.next).not.toHaveBeenCalled();
+    });
+
+    test('admins without 2FA who are not required to use it confirm with their password', async () => {
+      const admin = buildAdmin();
+      await admin.setPassword('correct horse battery');
+      jest.spyOn(Admin, 'findByPk').mockResolvedValue(admin);
+
+      const withoutPassword = await runStepUp(createRequest({ admin: admin.getSafeData() }));
+      expect(withoutPassword.res.json.mock.calls[0][0]).toMatchObject({ code: 'STEP_UP_REQUIRED' });
+
+      const wrong = await runStepUp(createRequest({ admin: admin.getSafeData(), body: { current_password: 'wrong' } }));
+      expect(wrong.next).not.toHaveBeenCalled();
+      expect(wrong.res.json.mock.calls[0][0]).toMatchObject({ code: 'STEP_UP_FAILED' });
+
+      const valid = await runStepUp(createRequest({
+        admin: admin.getSafeData(),
+        body: { current_password: 'correct horse battery' }
+      }));
+      expect(valid.next).toHaveBeenCalled();
+      expect(valid.res.cookies[STEP_UP_COOKIE]).toEqual(expect.any(String));
+      expect(logSuccess.mock.calls.at(-1)[0]).toMatchObject({
+        action_type: 'two_factor_verification',
+        details: { purpose: 'step_up', method: 'password' }
+      });
+    });
+
+    test('admin players of the wallet admin API confirm with their player password', async () => {
+      const player = Player.build({ id: 'player-admin-1', username: 'ops', is_admin: true });
+      player.password_hash = await bcrypt.hash('player password 1', 4);
+      const findAdmin = jest.spyOn(Admin, 'findByPk');
+      jest.spyOn(Player, 'findByPk').mockResolvedValue(player);
+      const admin = { id: player.id, username: 'ops', role: 'finance', account_type: 'player' };
+
+      const wrong = await runStepUp(createRequest({ admin, body: { current_password: 'wrong' } }));
+      expect(wrong.res.json.mock.calls[0][0]).toMatchObject({ code: 'STEP_UP_FAILED' });
+
+      const valid = await runStepUp(createRequest({ admin, body: { current_password: 'player password 1' } }));
+      expect(valid.next).toHaveBeenCalled();
+      expect(findAdmin).not.toHaveBeenCalled();
+    });
+  });
+});
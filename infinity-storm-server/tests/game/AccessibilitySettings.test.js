@@ -0,0 +1,97 @@
+/**
+ * Accessibility Settings Tests
+ *
+ * Which stored options are returned, how a change is validated and merged
+ * into players.accessibility_settings, and unknown players.
+ */
+
+const accessibilitySettingsService = require('../../src/services/accessibilitySettingsService');
+
+const { pickSettings } = accessibilitySettingsService;
+
+describe('Accessibility Settings', () => {
+  const playerId = '11111111-1111-4111-8111-111111111111';
+  const originalPool = accessibilitySettingsService.pool;
+
+  // In-memory stand-in for the players.accessibility_settings column
+  const createPool = (stored) => {
+    const players = new Map(stored === undefined ? [] : [[playerId, stored]]);
+    return {
+      players,
+      query: jest.fn(async (sql, params) => {
+        if (!players.has(params[0])) {
+          return { rows: [], rowCount: 0 };
+        }
+        if (sql.startsWith('UPDATE players')) {
+          players.set(params[0], { ...(players.get(params[0]) || {}), ...JSON.parse(params[1]) });
+        }
+        return { rows: [{ accessibility_settings: players.get(params[0]) }], rowCount: 1 };
+      })
+    };
+  };
+
+  afterEach(() => {
+    accessibilitySettingsService.pool = originalPool;
+  });
+
+  describe('pickSettings', () => {
+    test('keeps known boolean options only', () => {
+      const stored = { reduceMotion: true, symbolMarkers: 'yes', theme: 'dark', announcements: false };
+      expect(pickSettings(stored)).toEqual({ reduceMotion: true, announcements: false });
+    });
+
+    test('treats a missing column as nothing set', () => {
+      expect(pickSettings(null)).toEqual({});
+    });
+  });
+
+  describe('getSettings', () => {
+    test('returns only the options the player has set', async () => {
+      accessibilitySettingsService.pool = createPool({ reduceFlashing: true });
+
+      await expect(accessibilitySettingsService.getSettings(playerId))
+        .resolves.toEqual({ settings: { reduceFlashing: true } });
+    });
+
+    test('rejects an unknown player', async () => {
+      accessibilitySettingsService.pool = createPool();
+
+      await expect(accessibilitySettingsService.getSettings(playerId))
+        .rejects.toMatchObject({ name: 'NotFoundError' });
+    });
+  });
+
+  describe('updateSettings', () => {
+    test('merges a change into the stored options', async () => {
+      const pool = createPool({ reduceMotion: true });
+      accessibilitySettingsService.pool = pool;
+
+      const result = await accessibilitySettingsService.updateSettings(playerId, {
+        symbolMarkers: true
+      });
+
+      expect(result).toEqual({ settings: { reduceMotion: true, symbolMarkers: true } });
+      expect(pool.players.get(playerId)).toEqual({ reduceMotion: true, symbolMarkers: true });
+    });
+
+    test.each([
+      ['an unknown option', { highContrast: true }],
+      ['a non-boolean value', { reduceMotion: 'on' }],
+      ['an empty change', {}]
+    ])('rejects %s without writing', async (_, changes) => {
+      const pool = createPool({});
+      accessibilitySettingsService.pool = pool;
+
+      await expect(accessibilitySettingsService.updateSettings(playerId, changes))
+        .rejects.toMatchObject({ name: 'ValidationError' });
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    test('rejects an unknown player', async () => {
+      accessibilitySettingsService.pool = createPool();
+
+      await expect(accessibilitySettingsService.updateSettings(playerId, { announcements: false }))
+        .rejects.toMatchObject({ name: 'NotFoundError' });
+    });
+  });
+});
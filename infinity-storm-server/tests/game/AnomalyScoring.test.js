@@ -0,0 +1,290 @@
+/**
+ * Anomaly Scoring Tests
+ *
+ * The behavioral detectors (bonus abuse, bet manipulation around free spins
+ * triggers, shared devices, improbable wins), how their findings add up to a
+ * risk score, and how the scoring service records scores and queues players.
+ */
+
+const {
+  binomialTail,
+  poissonTail,
+  detectBonusAbuse,
+  detectBetManipulation,
+  detectCollusion,
+  detectImprobableWins,
+  getRiskPriority,
+  scorePlayer
+} = require('../../src/game/anomalyDetectors');
+const anomalyScoringService = require('../../src/services/anomalyScoringService');
+
+describe('Anomaly Scoring', () => {
+  const start = new Date('2026-03-01T12:00:00Z').getTime();
+  const at = (minutes) => new Date(start + minutes * 60 * 1000).toISOString();
+  const model = { targetRtp: 0.96, volatility: { base: 2, buy_feature: 1 } };
+
+  const transaction = (id, type, amount, minutes) => ({ id, type, amount: String(amount), created_at: at(minutes) });
+
+  // Paid spins at a steady bet; `overrides` maps spin index -> fields
+  const paidSpins = (count, overrides = {}) => Array.from({ length: count }, (_, index) => ({
+    id: `spin-${index}`,
+    bet_amount: '1.00',
+    total_win: '0.00',
+    game_mode: 'base',
+    math_model_id: 'model-1',
+    free_spins_triggered: false,
+    created_at: at(index),
+    ...overrides[index]
+  }));
+
+  test('computes binomial and Poisson tails', () => {
+    expect(binomialTail(0, 10, 0.2)).toBe(1);
+    expect(binomialTail(10, 10, 0.5)).toBeCloseTo(1 / 1024);
+    expect(binomialTail(1, 3, 0.5)).toBeCloseTo(7 / 8);
+    expect(poissonTail(1, 2)).toBeCloseTo(1 - Math.exp(-2));
+    expect(poissonTail(2, 1)).toBeCloseTo(1 - 2 * Math.exp(-1));
+  });
+
+  describe('bonus abuse', () => {
+    test('flags a deposit spent on a feature purchase and withdrawn soon after', () => {
+      const finding = detectBonusAbuse([
+        transaction('d1', 'deposit', 100, 0),
+        transaction('p1', 'purchase', -100, 10),
+        transaction('w1', 'withdrawal', -450, 120)
+      ]);
+      expect(finding).toMatchObject({ type: 'bonus_abuse', score: 25 });
+      expect(finding.evidence.cycles[0]).toMatchObject({
+        depositId: 'd1',
+        purchaseId: 'p1',
+        withdrawalId: 'w1',
+        deposit: 100,
+        withdrawal: 450
+      });
+    });
+
+    test('ignores slow purchases, small purchases and withdrawals below the deposit', () => {
+      expect(detectBonusAbuse([
+        transaction('d1', 'deposit', 100, 0),
+        transaction('p1', 'purchase', -100, 600),
+        transaction('w1', 'withdrawal', -450, 700)
+      ])).toBeNull();
+      expect(detectBonusAbuse([
+        transaction('d1', 'deposit', 100, 0),
+        transaction('p1', 'purchase', -20, 10),
+        transaction('w1', 'withdrawal', -450, 120)
+      ])).toBeNull();
+      expect(detectBonusAbuse([
+        transaction('d1', 'deposit', 100, 0),
+        transaction('p1', 'purchase', -100, 10),
+        transaction('w1', 'withdrawal', -60, 120)
+      ])).toBeNull();
+    });
+  });
+
+  describe('bet manipulation', () => {
+    test('flags bets raised before most free spins triggers', () => {
+      // Bet 10 instead of 1 right before each of five triggers, flat otherwise
+      const overrides = {};
+      for (const index of [50, 120, 200, 260, 330]) {
+        overrides[index] = { bet_amount: '10.00', free_spins_triggered: true };
+      }
+      const finding = detectBetManipulation(paidSpins(400, overrides));
+
+      expect(finding).toMatchObject({
+        type: 'bet_manipulation',
+        evidence: { triggers: 5, raisedBeforeTrigger: 5, raiseRate: 0 }
+      });
+      expect(finding.evidence.probability).toBeLessThan(1e-6);
+      expect(finding.score).toBe(40);
+    });
+
+    test('does not flag a player who raises bets all the time', () => {
+      const overrides = {};
+      for (let index = 1; index < 400; index += 2) {
+        overrides[index] = { bet_amount: '10.00' };
+      }
+      for (const index of [51, 121, 201]) {
+        overrides[index] = { bet_amount: '10.00', free_spins_triggered: true };
+      }
+      expect(detectBetManipulation(paidSpins(400, overrides))).toBeNull();
+    });
+  });
+
+  describe('collusion', () => {
+    const groups = [
+      { ip_address: '10.0.0.1', user_agent: 'UA-1', ip_only: false, player_ids: ['player-1', 'player-2'] },
+      { ip_address: '10.0.0.1', user_agent: null, ip_only: true, player_ids: ['player-1', 'player-2'] },
+      { ip_address: '10.0.0.9', user_agent: null, ip_only: true, player_ids: ['player-1', 'player-3', 'player-4'] },
+      { ip_address: '10.0.0.5', user_agent: 'UA-5', ip_only: false, player_ids: ['player-5', 'player-6'] }
+    ];
+
+    test('scores shared devices and busy shared addresses', () => {
+      const finding = detectCollusion('player-1', groups);
+      expect(finding).toMatchObject({ type: 'collusion', score: 30 });
+      expect(finding.evidence.devices).toEqual([
+        { ipAddress: '10.0.0.1', userAgent: 'UA-1', otherPlayers: ['player-2'] }
+      ]);
+      expect(finding.evidence.ipAddresses).toEqual([
+        { ipAddress: '10.0.0.9', userAgent: null, otherPlayers: ['player-3', 'player-4'] }
+      ]);
+      expect(finding.evidence.linkedPlayers.sort()).toEqual(['player-2', 'player-3', 'player-4']);
+    });
+
+    test('ignores players who share nothing', () => {
+      expect(detectCollusion('player-7', groups)).toBeNull();
+    });
+  });
+
+  describe('improbable wins', () => {
+    const models = new Map([['model-1', model]]);
+    const baseline = { models, hitRate: 0.3, bigWinRate: 0.001, bigWinMultiplier: 50 };
+
+    test('flags more big wins than the population has', () => {
+      const overrides = {};
+      for (let index = 0; index < 280; index += 40) {
+        overrides[index] = { total_win: '50.00' };
+      }
+      const finding = detectImprobableWins(paidSpins(300, overrides), baseline);
+
+      expect(finding.type).toBe('improbable_wins');
+      expect(finding.evidence).toMatchObject({ bigWins: 7, expectedBigWins: 0.3, longestWinStreak: 1 });
+      expect(finding.evidence.observedRtp).toBeCloseTo(350 / 300);
+      expect(finding.evidence.zScore).toBeCloseTo((350 - 288) / (2 * Math.sqrt(300)));
+      // Return within the model's variance and no streaks: nothing else to flag
+      expect(finding.score).toBe(20);
+      expect(finding.summary).toBe('7 big wins where 0.3 are expected');
+    });
+
+    test('flags long win streaks and an implausible return', () => {
+      const overrides = {};
+      for (let index = 0; index < 40; index++) {
+        overrides[index] = { total_win: '3.00' };
+      }
+      const finding = detectImprobableWins(paidSpins(300, overrides), { ...baseline, bigWinRate: null });
+
+      expect(finding.evidence).toMatchObject({ longestWinStreak: 40, rounds: 300 });
+      expect(finding.evidence.zScore).toBeLessThan(5);
+      expect(finding.score).toBe(20);
+
+      const rich = {};
+      for (let index = 0; index < 300; index++) {
+        rich[index] = { total_win: index % 2 ? '0.00' : '6.00' };
+      }
+      const inflated = detectImprobableWins(paidSpins(300, rich), { ...baseline, bigWinRate: null, hitRate: null });
+      expect(inflated.evidence.zScore).toBeGreaterThan(7.5);
+      expect(inflated.score).toBe(40);
+    });
+
+    test('needs enough rounds and counts purchased free spins as stake', () => {
+      expect(detectImprobableWins(paidSpins(100, { 0: { total_win: '500.00' } }), baseline)).toBeNull();
+
+      const spins = [
+        ...paidSpins(250),
+        { id: 'free-1', bet_amount: '1.00', total_win: '1000.00', game_mode: 'free_spins', math_model_id: 'model-1' }
+      ];
+      const finding = detectImprobableWins(spins, { ...baseline, purchases: [100], hitRate: null, bigWinRate: null });
+      // Stake 250 + 100, variance 250 * 2^2 + (100 * 1)^2
+      expect(finding.evidence).toMatchObject({ rounds: 251, stake: 350, win: 1000 });
+      expect(finding.evidence.zScore).toBeCloseTo((1000 - 336) / Math.sqrt(11000));
+      expect(finding.score).toBe(30);
+    });
+  });
+
+  test('adds findings up to a capped score with antiCheat priorities', () => {
+    expect(getRiskPriority(0)).toBe('LOW');
+    expect(getRiskPriority(50)).toBe('MEDIUM');
+    expect(getRiskPriority(75)).toBe('HIGH');
+    expect(getRiskPriority(95)).toBe('CRITICAL');
+
+    const result = scorePlayer({
+      playerId: 'player-1',
+      transactions: [
+        transaction('d1', 'deposit', 100, 0),
+        transaction('p1', 'purchase', -100, 10),
+        transaction('w1', 'withdrawal', -450, 120),
+        transaction('d2', 'deposit', 100, 1440),
+        transaction('p2', 'purchase', -80, 1450),
+        transaction('w2', 'withdrawal', -300, 1500)
+      ],
+      deviceGroups: [
+        { ip_address: '10.0.0.1', user_agent: 'UA-1', ip_only: false, player_ids: ['player-1', 'player-2'] }
+      ]
+    });
+    expect(result.findings.map(finding => finding.type)).toEqual(['bonus_abuse', 'collusion']);
+    expect(result).toMatchObject({ score: 70, priority: 'MEDIUM' });
+  });
+
+  describe('scoring service', () => {
+    const originalPool = anomalyScoringService.pool;
+
+    afterEach(() => {
+      anomalyScoringService.pool = originalPool;
+    });
+
+    const fakePool = (latestScore) => {
+      const writes = [];
+      return {
+        writes,
+        query: async (sql, params) => {
+          if (sql.includes('FROM spin_results') && sql.includes('player_id = $1')) {
+            return { rows: [] };
+          }
+          if (sql.includes('FROM transactions')) {
+            return {
+              rows: [
+                transaction('d1', 'deposit', 100, 0),
+                transaction('p1', 'purchase', -100, 10),
+                transaction('w1', 'withdrawal', -450, 120)
+              ]
+            };
+          }
+          if (sql.startsWith('SELECT score')) {
+            return { rows: latestScore ? [latestScore] : [] };
+          }
+          writes.push({ sql, params });
+          if (sql.includes('INSERT INTO review_queue')) {
+            return { rows: [{ id: 'queue-1', created: true }] };
+          }
+          return { rows: [] };
+        }
+      };
+    };
+
+    const context = {
+      baseline: { hitRate: 0.3, bigWinRate: 0.001, bigWinMultiplier: 50 },
+      deviceGroups: [
+        { ip_address: '10.0.0.1', user_agent: 'UA-1', ip_only: false, player_ids: ['player-1', 'player-2'] },
+        { ip_address: '10.0.0.2', user_agent: 'UA-2', ip_only: false, player_ids: ['player-1', 'player-3'] }
+      ]
+    };
+
+    test('records the score and queues a player at the review threshold', async () => {
+      const pool = fakePool(null);
+      anomalyScoringService.pool = pool;
+
+      const result = await anomalyScoringService.scorePlayer('player-1', context);
+      expect(result).toMatchObject({ score: 65, priority: 'MEDIUM', recorded: true, queued: { id: 'queue-1', created: true } });
+
+      const [scoreInsert, queueInsert] = pool.writes;
+      expect(scoreInsert.sql).toContain('INSERT INTO player_risk_scores');
+      expect(scoreInsert.params.slice(0, 3)).toEqual(['player-1', 65, 'MEDIUM']);
+      expect(JSON.parse(scoreInsert.params[3]).map(finding => finding.type)).toEqual(['bonus_abuse', 'collusion']);
+      expect(queueInsert.sql).toContain('ON CONFLICT (player_id) WHERE status <> \'resolved\'');
+      expect(queueInsert.params.slice(0, 3)).toEqual(['player-1', 'MEDIUM', 65]);
+    });
+
+    test('does not repeat an unchanged score', async () => {
+      const pool = fakePool({
+        score: 65,
+        findings: [{ type: 'collusion' }, { type: 'bonus_abuse' }]
+      });
+      anomalyScoringService.pool = pool;
+
+      const result = await anomalyScoringService.scorePlayer('player-1', context);
+      expect(result.recorded).toBe(false);
+      expect(pool.writes.map(write => write.sql.trim().split('\n')[0])).toEqual([
+        'INSERT INTO review_queue (player_id, source, priority, risk_score, findings)'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Audit Chain Tests
+ *
+ * Chained audit log records across rotated files, tamper and deletion
+ * detection, AES-256-GCM encryption with key ids, and the verify-audit CLI.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+const AuditLogger = require('../../src/game/auditLogger');
+const { verifyLogChain, parseKeyring } = require('../../src/game/auditChain');
+
+describe('Audit Chain', () => {
+  const keyA = crypto.randomBytes(32).toString('base64');
+  const keyB = crypto.randomBytes(32).toString('hex');
+  let logDir;
+
+  beforeEach(() => {
+    logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-chain-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(logDir, { recursive: true, force: true });
+  });
+
+  // The logger writes its initialization event without being awaited
+  const createLogger = async (config = {}, Logger = AuditLogger) => {
+    const logger = new Logger({ logDir, ...config });
+    await new Promise(resolve => setTimeout(resolve, 20));
+    return logger;
+  };
+  const writeEvents = async (logger, count) => {
+    for (let i = 0; i < count; i++) {
+      await logger.logSystemEvent('test_event', { i });
+    }
+  };
+  const auditLog = () => path.join(logDir, 'audit.log');
+  const readLines = file => fs.readFileSync(file, 'utf8').trim().split('\n');
+  const rotatedFiles = () => fs.readdirSync(logDir).filter(file => file.startsWith('audit.log.')).sort();
+
+  test('links every record and anchors rotated files on their predecessor', async () => {
+    const logger = await createLogger({ maxFileSize: 1500 });
+    await writeEvents(logger, 12);
+
+    const result = await verifyLogChain(auditLog());
+
+    expect(result.ok).toBe(true);
+    expect(result.records).toBe(13); // the initialization event and the 12 test events
+    expect(result.files.length).toBeGreaterThan(2);
+    expect(result.files[result.files.length - 1]).toBe('audit.log');
+    expect(result.head).toBe(logger.getStats().chain_heads.audit.hash);
+
+    // The current file opens with a header anchored on the final hash of the last rotated file
+    const [header] = readLines(auditLog()).map(line => JSON.parse(line));
+    const previous = readLines(path.join(logDir, header.header.prev_file)).map(line => JSON.parse(line));
+    expect(header.prev).toBe(previous[previous.length - 1].hash);
+  });
+
+  test('reports an edited entry, and the next link when the hash is recomputed', async () => {
+    const logger = await createLogger();
+    await writeEvents(logger, 4);
+
+    const lines = readLines(auditLog());
+    const record = JSON.parse(lines[2]);
+    record.entry.data.i = 99;
+    lines[2] = JSON.stringify(record);
+    fs.writeFileSync(auditLog(), `${lines.join('\n')}\n`);
+
+    let result = await verifyLogChain(auditLog());
+    expect(result.ok).toBe(false);
+    expect(result.broken).toMatchObject({ file: 'audit.log', line: 3, seq: 2 });
+    expect(result.broken.reason).toContain('hash mismatch');
+
+    const { linkHash } = require('../../src/game/auditChain');
+    record.hash = linkHash(record.prev, record.seq, JSON.stringify(record.entry));
+    lines[2] = JSON.stringify(record);
+    fs.writeFileSync(auditLog(), `${lines.join('\n')}\n`);
+
+    result = await verifyLogChain(auditLog());
+    expect(result.broken).toMatchObject({ line: 4, seq: 3, reason: 'broken link to the previous record' });
+  });
+
+  test('reports a deleted line as a sequence gap', async () => {
+    const logger = await createLogger();
+    await writeEvents(logger, 4);
+
+    const lines = readLines(auditLog());
+    lines.splice(2, 1);
+    fs.writeFileSync(auditLog(), `${lines.join('\n')}\n`);
+
+    const result = await verifyLogChain(auditLog());
+    expect(result.broken).toMatchObject({ line: 3, seq: 3, reason: 'sequence gap (expected 2)' });
+  });
+
+  test('tells a file deleted from the middle apart from retention of the oldest', async () => {
+    const logger = await createLogger({ maxFileSize: 1500 });
+    await writeEvents(logger, 12);
+    const rotated = rotatedFiles();
+    expect(rotated.length).toBeGreaterThan(2);
+
+    fs.unlinkSync(path.join(logDir, rotated[0]));
+    let result = await verifyLogChain(auditLog());
+    expect(result.ok).toBe(true);
+    expect(result.warnings[0]).toContain(`predecessor ${rotated[0]} is no longer retained`);
+
+    fs.unlinkSync(path.join(logDir, rotated[2]));
+    result = await verifyLogChain(auditLog());
+    expect(result.ok).toBe(false);
+    expect(result.broken).toMatchObject({ line: 1, reason: `predecessor ${rotated[2]} is missing` });
+  });
+
+  test('encrypts entries under the active key id and reads older key ids', async () => {
+    const oldLogger = await createLogger({ enableEncryption: true, encryptionKeys: `old:${keyB}` });
+    await oldLogger.logSystemEvent('before_key_rotation', { secret: 'player-data' });
+    const logger = await createLogger({ enableEncryption: true, encryptionKeys: `new:${keyA},old:${keyB}` });
+    await logger.logSystemEvent('after_key_rotation', { secret: 'player-data' });
+
+    const records = readLines(auditLog()).slice(1).map(line => JSON.parse(line));
+    expect(records.map(record => record.kid)).toEqual(['old', 'old', 'new', 'new']);
+    expect(fs.readFileSync(auditLog(), 'utf8')).not.toContain('player-data');
+
+    const keys = parseKeyring(`new:${keyA},old:${keyB}`);
+    expect((await verifyLogChain(auditLog(), { keys })).ok).toBe(true);
+
+    // Without keys the chain still verifies, but the entries cannot be checked
+    const withoutKeys = await verifyLogChain(auditLog());
+    expect(withoutKeys.ok).toBe(true);
+    expect(withoutKeys.warnings).toContain('4 encrypted entries not checked (key not provided)');
+
+    const found = await logger.searchLogs({ event_type: 'before_key_rotation' });
+    expect(found[0].entry.data.secret).toBe('player-data');
+  });
+
+  test('fails authentication under the wrong key', async () => {
+    const logger = await createLogger({ enableEncryption: true, encryptionKeys: `k1:${keyA}` });
+    await writeEvents(logger, 1);
+
+    const result = await verifyLogChain(auditLog(), { keys: parseKeyring(`k1:${keyB}`) });
+
+    expect(result.ok).toBe(false);
+    expect(result.broken).toMatchObject({ line: 2, reason: 'tampered entry (decryption failed)' });
+  });
+
+  test('refuses to encrypt without keys and keeps keys out of stats', async () => {
+    expect(() => new AuditLogger({ logDir, enableEncryption: true, encryptionKeys: '' }))
+      .toThrow('no encryption keys');
+
+    const logger = await createLogger({ enableEncryption: true, encryptionKeys: `k1:${keyA}` });
+    const { config } = logger.getStats();
+
+    expect(config.encryptionKeyIds).toEqual(['k1']);
+    expect(JSON.stringify(config)).not.toContain(keyA);
+  });
+
+  test('resumes the chain from disk and moves a pre-chain file aside', async () => {
+    fs.writeFileSync(auditLog(), `${JSON.stringify({ id: 'legacy', event_type: 'old_format' })}\n`);
+
+    await jest.isolateModulesAsync(async () => {
+      const FreshLogger = require('../../src/game/auditLogger');
+      await writeEvents(await createLogger({}, FreshLogger), 2);
+    });
+    // A new process continues the same file
+    await jest.isolateModulesAsync(async () => {
+      const FreshLogger = require('../../src/game/auditLogger');
+      await writeEvents(await createLogger({}, FreshLogger), 2);
+    });
+
+    const result = await verifyLogChain(auditLog());
+    expect(result.ok).toBe(true);
+    expect(result.records).toBe(6);
+    expect(result.warnings).toEqual([`${rotatedFiles()[0]} predates the audit chain and is not verified`]);
+  });
+
+  test('verify-audit exits with 2 and names the first break', async () => {
+    const logger = await createLogger();
+    await writeEvents(logger, 2);
+    const cli = path.join(__dirname, '../../scripts/verifyAudit.js');
+
+    expect(execFileSync('node', [cli, logDir], { encoding: 'utf8' })).toContain('audit.log: ok - 3 records');
+
+    const lines = readLines(auditLog());
+    fs.writeFileSync(auditLog(), `${[lines[0], ...lines.slice(2)].join('\n')}\n`);
+
+    let failure;
+    try {
+      execFileSync('node', [cli, logDir], { encoding: 'utf8' });
+    } catch (error) {
+      failure = error;
+    }
+    expect(failure.status).toBe(2);
+    expect(failure.stdout).toContain('first break: audit.log line 2 (seq 2): sequence gap (expected 1)');
+  });
+});
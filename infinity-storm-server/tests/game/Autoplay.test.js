@@ -0,0 +1,272 @@
+/**
+ * Autoplay Tests
+ *
+ * Session settings against the jurisdiction rules, the stop conditions checked
+ * before and after each autoplay spin, and how sessions are stored.
+ */
+
+const {
+  AutoplayService,
+  validateSettings,
+  evaluateSpin,
+  applySpin,
+  summarize
+} = require('../../src/services/autoplayService');
+const { getAutoplayRules, getJurisdiction } = require('../../src/config/autoplay');
+
+describe('Autoplay', () => {
+  const playerId = '11111111-1111-4111-8111-111111111111';
+
+  const session = (overrides = {}) => ({
+    id: '22222222-2222-4222-8222-222222222222',
+    playerId,
+    currency: 'USD',
+    spinLimit: 50,
+    lossLimit: null,
+    singleWinLimit: null,
+    balanceIncreaseLimit: null,
+    stopOnFeature: false,
+    spinsPlayed: 0,
+    totalBet: 0,
+    totalWon: 0,
+    status: 'active',
+    stopReason: null,
+    ...overrides
+  });
+
+  // In-memory stand-in for the autoplay_sessions table
+  const createPool = (rows) => {
+    let nextId = 1;
+    const query = async (sql, params = []) => {
+      const text = sql.trim();
+      if (text === 'BEGIN' || text === 'COMMIT' || text === 'ROLLBACK') {
+        return { rows: [] };
+      }
+      if (text.startsWith('UPDATE autoplay_sessions') && text.includes('\'replaced\'')) {
+        rows.filter(row => row.player_id === params[0] && row.status === 'active').forEach(row => {
+          Object.assign(row, { status: 'stopped', stop_reason: 'replaced', ended_at: new Date() });
+        });
+        return { rows: [] };
+      }
+      if (text.startsWith('INSERT INTO autoplay_sessions')) {
+        const [player, jurisdiction, currency, bet, spinLimit, lossLimit, singleWin, balanceIncrease, stopOnFeature] = params;
+        const row = {
+          id: `33333333-3333-4333-8333-00000000000${nextId++}`,
+          player_id: player,
+          jurisdiction,
+          currency,
+          bet_amount: String(bet),
+          spin_limit: spinLimit,
+          loss_limit: lossLimit === null ? null : String(lossLimit),
+          single_win_limit: singleWin === null ? null : String(singleWin),
+          balance_increase_limit: balanceIncrease === null ? null : String(balanceIncrease),
+          stop_on_feature: stopOnFeature,
+          spins_played: 0,
+          total_bet: '0.00',
+          total_won: '0.00',
+          status: 'active',
+          stop_reason: null,
+          started_at: new Date(),
+          ended_at: null
+        };
+        rows.push(row);
+        return { rows: [row] };
+      }
+      if (text.startsWith('SELECT * FROM autoplay_sessions WHERE id = $1')) {
+        const activeOnly = text.includes('status = \'active\'');
+        return {
+          rows: rows.filter(row => row.id === params[0] && row.player_id === params[1] &&
+            (!activeOnly || row.status === 'active'))
+        };
+      }
+      if (text.startsWith('UPDATE autoplay_sessions') && text.includes('spins_played = $2')) {
+        const row = rows.find(r => r.id === params[0]);
+        Object.assign(row, {
+          spins_played: params[1],
+          total_bet: String(params[2]),
+          total_won: String(params[3]),
+          status: params[4],
+          stop_reason: params[5]
+        });
+        return { rows: [row] };
+      }
+      if (text.startsWith('UPDATE autoplay_sessions')) {
+        const row = rows.find(r => r.id === params[0] && r.player_id === params[1]);
+        if (!row) {
+          return { rows: [] };
+        }
+        if (row.status === 'active') {
+          Object.assign(row, { status: params[2], stop_reason: params[3] });
+        }
+        return { rows: [row] };
+      }
+      throw new Error(`Unexpected query: ${text}`);
+    };
+    return { query, connect: async () => ({ query, release: () => {} }) };
+  };
+
+  const createService = (rows = [], jurisdiction = 'default') => {
+    const service = new AutoplayService();
+    service.pool = createPool(rows);
+    service.getRules = () => getAutoplayRules(jurisdiction);
+    return service;
+  };
+
+  describe('validateSettings', () => {
+    const context = (jurisdiction, overrides = {}) => ({
+      betAmount: 1,
+      currency: 'USD',
+      rules: getAutoplayRules(jurisdiction),
+      ...overrides
+    });
+
+    test('accepts unlimited autoplay without conditions under the default rules', () => {
+      expect(validateSettings({ spins: -1 }, context('default'))).toEqual({
+        spinLimit: null,
+        lossLimit: null,
+        singleWinLimit: null,
+        balanceIncreaseLimit: null,
+        stopOnFeature: false
+      });
+    });
+
+    test('requires a spin cap and a loss limit in regulated markets', () => {
+      expect(() => validateSettings({ spins: -1 }, context('regulated')))
+        .toThrow(expect.objectContaining({
+          name: 'ValidationError',
+          details: ['spins must be set (at most 100)', 'lossLimit is required in this jurisdiction']
+        }));
+      expect(() => validateSettings({ spins: 200, lossLimit: 50 }, context('regulated')))
+        .toThrow(expect.objectContaining({ details: ['spins must be between 1 and 100'] }));
+
+      expect(validateSettings({ spins: 100, lossLimit: 50.004, stopOnFeature: true }, context('regulated')))
+        .toMatchObject({ spinLimit: 100, lossLimit: 50, stopOnFeature: true });
+    });
+
+    test('refuses autoplay where it is banned', () => {
+      expect(() => validateSettings({ spins: 10, lossLimit: 50 }, context('gb')))
+        .toThrow(expect.objectContaining({ name: 'ForbiddenError', details: { jurisdiction: 'gb' } }));
+    });
+
+    test('checks amounts against the bet', () => {
+      expect(() => validateSettings({ spins: 10, lossLimit: 0.5 }, context('default')))
+        .toThrow(expect.objectContaining({ details: ['lossLimit must be between 1 and 10000 USD'] }));
+      expect(() => validateSettings({ spins: 10, singleWinLimit: -5 }, context('default')))
+        .toThrow(expect.objectContaining({ details: ['singleWinLimit must be a positive amount'] }));
+      expect(() => validateSettings({ spins: 10 }, context('default', { betAmount: 0.005 })))
+        .toThrow(/Invalid autoplay settings/);
+    });
+
+    test('falls back to the default jurisdiction for unknown codes', () => {
+      expect(getJurisdiction('Regulated')).toBe('regulated');
+      expect(getJurisdiction('atlantis')).toBe('default');
+      expect(getJurisdiction(undefined)).toBe('default');
+    });
+  });
+
+  describe('stop conditions', () => {
+    test('refuses a spin that would take the net loss past the limit', () => {
+      expect(evaluateSpin(session({ lossLimit: 20, totalBet: 18, totalWon: 0 }), 2)).toBeNull();
+      expect(evaluateSpin(session({ lossLimit: 20, totalBet: 18, totalWon: 0 }), 3)).toBe('loss_limit');
+      expect(evaluateSpin(session({ spinsPlayed: 50 }), 1)).toBe('spin_limit');
+      expect(evaluateSpin(session({ status: 'stopped', stopReason: 'player_stopped' }), 1)).toBe('player_stopped');
+    });
+
+    test('stops once another spin would pass the loss limit', () => {
+      const result = applySpin(session({ lossLimit: 10, totalBet: 8, totalWon: 0 }), { betAmount: 2, win: 0 });
+      expect(result).toEqual({ spinsPlayed: 1, totalBet: 10, totalWon: 0, stopReason: 'loss_limit' });
+      expect(applySpin(session({ lossLimit: 10, totalBet: 8 }), { betAmount: 2, win: 2 }).stopReason).toBeNull();
+    });
+
+    test('stops on a single big win, a balance increase or the feature', () => {
+      expect(applySpin(session({ singleWinLimit: 100 }), { betAmount: 1, win: 100 }).stopReason).toBe('single_win');
+      expect(applySpin(session({ singleWinLimit: 100 }), { betAmount: 1, win: 99 }).stopReason).toBeNull();
+      expect(applySpin(session({ balanceIncreaseLimit: 50, totalBet: 10, totalWon: 5 }), { betAmount: 1, win: 56 }).stopReason)
+        .toBe('balance_increase');
+      expect(applySpin(session({ stopOnFeature: true }), { betAmount: 1, win: 0, freeSpinsTriggered: true }).stopReason)
+        .toBe('feature_triggered');
+      expect(applySpin(session(), { betAmount: 1, win: 0, freeSpinsTriggered: true }).stopReason).toBeNull();
+      expect(applySpin(session({ spinsPlayed: 49 }), { betAmount: 1, win: 0 }).stopReason).toBe('spin_limit');
+    });
+
+    test('summarizes progress for the client', () => {
+      expect(summarize(session({ lossLimit: 20, totalBet: 12.4, totalWon: 4.2, spinsPlayed: 7 }))).toEqual({
+        sessionId: '22222222-2222-4222-8222-222222222222',
+        active: true,
+        spinsPlayed: 7,
+        spinsRemaining: 43,
+        netResult: -8.2,
+        lossRemaining: 11.8,
+        stopReason: null,
+        message: null
+      });
+    });
+  });
+
+  describe('sessions', () => {
+    const player = { id: playerId, currency: 'USD', is_demo: false };
+
+    test('a new session replaces the running one', async () => {
+      const rows = [];
+      const service = createService(rows);
+
+      const first = await service.startSession(player, { spins: 10 }, { betAmount: 1 });
+      const second = await service.startSession(player, { spins: 20, lossLimit: 15 }, { betAmount: 1 });
+
+      expect(rows.map(row => [row.status, row.stop_reason])).toEqual([['stopped', 'replaced'], ['active', null]]);
+      expect(second.session).toMatchObject({ active: true, spinsRemaining: 20, lossRemaining: 15 });
+      expect(rows[1]).toMatchObject({ jurisdiction: 'default', currency: 'USD', spin_limit: 20 });
+
+      const block = await service.checkSpin({ playerId, sessionId: first.session.sessionId, betAmount: 1 });
+      expect(block).toMatchObject({ reason: 'AUTOPLAY_STOPPED', stopReason: 'replaced' });
+    });
+
+    test('counts spins and ends the session on its loss limit', async () => {
+      const rows = [];
+      const service = createService(rows, 'regulated');
+      const { session: started } = await service.startSession(player, { spins: 100, lossLimit: 3 }, { betAmount: 1 });
+      const spin = (win) => service.recordSpin({ playerId, sessionId: started.sessionId, betAmount: 1, win });
+
+      expect(await service.checkSpin({ playerId, sessionId: started.sessionId, betAmount: 1 })).toBeNull();
+      expect(await spin(0)).toMatchObject({ active: true, spinsPlayed: 1, lossRemaining: 2 });
+      expect(await spin(0.5)).toMatchObject({ active: true, spinsPlayed: 2, netResult: -1.5 });
+      expect(await spin(0)).toMatchObject({
+        active: false,
+        spinsPlayed: 3,
+        stopReason: 'loss_limit',
+        message: 'Autoplay stopped: loss limit reached'
+      });
+
+      expect(rows[0]).toMatchObject({ status: 'stopped', stop_reason: 'loss_limit', total_bet: '3' });
+      // Later spins are neither counted nor allowed
+      expect(await spin(0)).toBeNull();
+      expect(await service.checkSpin({ playerId, sessionId: started.sessionId, betAmount: 1 }))
+        .toMatchObject({ reason: 'AUTOPLAY_STOPPED', stopReason: 'loss_limit' });
+    });
+
+    test('refuses spins of sessions the player does not own', async () => {
+      const rows = [];
+      const service = createService(rows);
+      const { session: started } = await service.startSession(player, { spins: 10 }, { betAmount: 1 });
+
+      const otherPlayer = '44444444-4444-4444-8444-444444444444';
+      expect(await service.checkSpin({ playerId: otherPlayer, sessionId: started.sessionId, betAmount: 1 }))
+        .toMatchObject({ reason: 'AUTOPLAY_SESSION_NOT_FOUND' });
+      expect(await service.checkSpin({ playerId, sessionId: 'not-a-uuid', betAmount: 1 }))
+        .toMatchObject({ reason: 'AUTOPLAY_SESSION_NOT_FOUND' });
+      await expect(service.stopSession(otherPlayer, started.sessionId))
+        .rejects.toThrow(expect.objectContaining({ name: 'NotFoundError' }));
+
+      expect(await service.stopSession(playerId, started.sessionId))
+        .toMatchObject({ active: false, stopReason: 'player_stopped' });
+    });
+
+    test('does not open sessions where autoplay is banned', async () => {
+      const rows = [];
+      const service = createService(rows, 'de');
+      await expect(service.startSession(player, { spins: 10, lossLimit: 20 }, { betAmount: 1 }))
+        .rejects.toThrow(expect.objectContaining({ name: 'ForbiddenError' }));
+      expect(rows).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,269 @@
+/**
+ * Credit Approval Tests
+ *
+ * Maker-checker for large credit adjustments: the threshold, pending requests
+ * from the admin panel and the wallet admin API, the second-admin rule,
+ * expiry, and the AdminLog trail of every step.
+ */
+
+// The real module builds a Supabase client on load, which needs SUPABASE_* keys
+jest.mock('../../src/db/supabaseClient', () => ({
+  getPlayer: jest.fn()
+}));
+
+const creditApprovalService = require('../../src/services/creditApprovalService');
+const adminController = require('../../src/controllers/admin');
+const WalletController = require('../../src/controllers/wallet');
+const WalletService = require('../../src/services/walletService');
+const Player = require('../../src/models/Player');
+const AdminLog = require('../../src/models/AdminLog');
+
+const { APPROVAL_THRESHOLD } = creditApprovalService;
+
+// credit_adjustment_requests in memory, answering the service's queries
+const requestStore = () => {
+  const rows = new Map();
+  const open = (row) => row.status === 'pending' && row.expires_at > new Date();
+
+  return {
+    rows,
+    query: async (sql, params = []) => {
+      if (sql.includes('INSERT INTO credit_adjustment_requests')) {
+        const [player_id, channel, adjustment_type, amount, currency, balance_at_request,
+          reason_code, reason, metadata, requested_by, requested_by_name, ttlSeconds] = params;
+        const row = {
+          id: `request-${rows.size + 1}`, player_id, channel, adjustment_type, amount: String(amount), currency,
+          balance_at_request: String(balance_at_request), reason_code, reason, metadata: JSON.parse(metadata),
+          requested_by, requested_by_name, status: 'pending', decided_by: null, decision_note: null,
+          result: null, expires_at: new Date(Date.now() + ttlSeconds * 1000), created_at: new Date()
+        };
+        rows.set(row.id, row);
+        return { rows: [{ ...row }] };
+      }
+      if (sql.includes('SET status = \'expired\'')) {
+        const expired = [...rows.values()].filter(row => row.status === 'pending' && !open(row));
+        expired.forEach(row => { row.status = 'expired'; });
+        return { rows: expired.map(row => ({ ...row })) };
+      }
+      if (sql.includes('SET status = $2, decided_by')) {
+        const row = rows.get(params[0]);
+        if (!row || !open(row)) {return { rows: [] };}
+        Object.assign(row, { status: params[1], decided_by: params[2], decision_note: params[3], decided_at: new Date() });
+        return { rows: [{ ...row }] };
+      }
+      if (sql.includes('SET status = $2, result = $3')) {
+        const row = rows.get(params[0]);
+        Object.assign(row, { status: params[1], result: JSON.parse(params[2]) });
+        return { rows: [{ ...row }] };
+      }
+      if (sql.includes('WHERE id = $1')) {
+        const row = rows.get(params[0]);
+        return { rows: row ? [{ ...row }] : [] };
+      }
+      return { rows: [] };
+    }
+  };
+};
+
+const createResponse = () => {
+  const res = {
+    locals: {},
+    status: jest.fn(() => res),
+    json: jest.fn(() => res),
+    redirect: jest.fn(() => res)
+  };
+  return res;
+};
+
+const createRequest = (overrides = {}) => ({
+  params: {},
+  body: {},
+  query: {},
+  ip: '127.0.0.1',
+  get: () => 'jest',
+  accepts: () => 'json',
+  ...overrides
+});
+
+const buildPlayer = (credits) => {
+  const player = { id: 'player-1', username: 'whale', currency: 'USD', credits };
+  player.addCredits = jest.fn(async (amount) => { player.credits += amount; });
+  player.deductCredits = jest.fn(async (amount) => { player.credits -= amount; });
+  player.save = jest.fn(async () => player);
+  player.getSafeData = () => ({ id: player.id, credits: player.credits });
+  return player;
+};
+
+const maker = { id: 'admin-maker', account_id: 'support1', role: 'support' };
+const checker = { id: 'admin-checker', account_id: 'finance1', role: 'finance' };
+
+describe('Credit Approvals', () => {
+  const originalPool = creditApprovalService.pool;
+  let store;
+  let logSuccess;
+
+  beforeEach(() => {
+    store = requestStore();
+    creditApprovalService.pool = store;
+    logSuccess = jest.spyOn(AdminLog, 'logSuccess').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    creditApprovalService.pool = originalPool;
+    jest.restoreAllMocks();
+  });
+
+  const requestLargeAdd = async (player) => {
+    jest.spyOn(Player, 'findByPk').mockResolvedValue(player);
+    const res = createResponse();
+    await adminController.adjustCredits(createRequest({
+      params: { id: player.id },
+      body: { amount: APPROVAL_THRESHOLD + 500, type: 'add', reason: 'Missed jackpot payout', reason_code: 'game_malfunction' },
+      admin: maker
+    }), res);
+    return res;
+  };
+
+  test('scales the threshold to the currency and measures set by the change to the balance', () => {
+    expect(creditApprovalService.getThreshold('BRL')).toBe(APPROVAL_THRESHOLD * 5);
+    expect(creditApprovalService.requiresApproval({ type: 'add', amount: APPROVAL_THRESHOLD, balance: 0, currency: 'USD' })).toBe(false);
+    expect(creditApprovalService.requiresApproval({ type: 'delta', amount: -(APPROVAL_THRESHOLD + 1), balance: 5000, currency: 'USD' })).toBe(true);
+    expect(creditApprovalService.requiresApproval({ type: 'set', amount: 5000, balance: 4500, currency: 'USD' })).toBe(false);
+  });
+
+  test('applies adjustments up to the threshold at once', async () => {
+    const player = buildPlayer(100);
+    jest.spyOn(Player, 'findByPk').mockResolvedValue(player);
+
+    const res = createResponse();
+    await adminController.adjustCredits(createRequest({
+      params: { id: player.id },
+      body: { amount: 50, type: 'add', reason: 'Goodwill', reason_code: 'goodwill' },
+      admin: maker
+    }), res);
+
+    expect(player.credits).toBe(150);
+    expect(store.rows.size).toBe(0);
+    expect(logSuccess.mock.calls[0][0]).toMatchObject({
+      action_type: 'credit_adjustment',
+      details: { reason_code: 'goodwill', new_credits: 150 }
+    });
+  });
+
+  test('stores larger adjustments as pending requests without touching the balance', async () => {
+    const player = buildPlayer(100);
+    const res = await requestLargeAdd(player);
+
+    expect(res.status).toHaveBeenCalledWith(202);
+    expect(res.json.mock.calls[0][0]).toMatchObject({ pending: true, request: { status: 'pending', channel: 'admin_panel' } });
+    expect(player.addCredits).not.toHaveBeenCalled();
+    expect(logSuccess.mock.calls[0][0]).toMatchObject({
+      admin_id: maker.id,
+      action_type: 'credit_adjustment_request',
+      target_player_id: player.id,
+      details: { reason_code: 'game_malfunction', amount: APPROVAL_THRESHOLD + 500 }
+    });
+  });
+
+  test('the requester cannot approve their own request', async () => {
+    const player = buildPlayer(100);
+    await requestLargeAdd(player);
+
+    const res = createResponse();
+    await adminController.approveCreditAdjustment(createRequest({ params: { id: 'request-1' }, admin: maker }), res);
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json.mock.calls[0][0]).toMatchObject({ code: 'SECOND_ADMIN_REQUIRED' });
+    expect(store.rows.get('request-1').status).toBe('pending');
+    expect(player.addCredits).not.toHaveBeenCalled();
+  });
+
+  test('a second admin approves and the adjustment is applied once', async () => {
+    const player = buildPlayer(100);
+    await requestLargeAdd(player);
+
+    const res = createResponse();
+    await adminController.approveCreditAdjustment(createRequest({
+      params: { id: 'request-1' },
+      body: { note: 'Checked the round log' },
+      admin: checker
+    }), res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(player.credits).toBe(100 + APPROVAL_THRESHOLD + 500);
+    expect(store.rows.get('request-1')).toMatchObject({
+      status: 'approved',
+      decided_by: checker.id,
+      result: { previous_balance: 100, new_balance: player.credits }
+    });
+    expect(logSuccess.mock.calls[1][0]).toMatchObject({
+      admin_id: checker.id,
+      action_type: 'credit_adjustment_approval',
+      details: { requested_by: maker.id, decision_note: 'Checked the round log' }
+    });
+
+    const again = createResponse();
+    await adminController.approveCreditAdjustment(createRequest({ params: { id: 'request-1' }, admin: checker }), again);
+    expect(again.status).toHaveBeenCalledWith(409);
+    expect(again.json.mock.calls[0][0]).toMatchObject({ code: 'APPROVAL_REQUEST_CLOSED', status: 'approved' });
+    expect(player.addCredits).toHaveBeenCalledTimes(1);
+  });
+
+  test('rejected and expired requests are never applied', async () => {
+    const player = buildPlayer(100);
+    await requestLargeAdd(player);
+    await requestLargeAdd(player);
+
+    const rejected = createResponse();
+    await adminController.rejectCreditAdjustment(createRequest({
+      params: { id: 'request-1' },
+      body: { note: 'No matching incident' },
+      admin: checker
+    }), rejected);
+    expect(rejected.status).toHaveBeenCalledWith(200);
+    expect(store.rows.get('request-1').status).toBe('rejected');
+
+    store.rows.get('request-2').expires_at = new Date(Date.now() - 1000);
+    const expired = createResponse();
+    await adminController.approveCreditAdjustment(createRequest({ params: { id: 'request-2' }, admin: checker }), expired);
+    expect(expired.status).toHaveBeenCalledWith(409);
+    expect(expired.json.mock.calls[0][0]).toMatchObject({ status: 'expired' });
+
+    expect(player.addCredits).not.toHaveBeenCalled();
+    expect(logSuccess.mock.calls.map(([entry]) => entry.action_type)).toEqual([
+      'credit_adjustment_request',
+      'credit_adjustment_request',
+      'credit_adjustment_rejection',
+      'credit_adjustment_expiry'
+    ]);
+  });
+
+  test('large wallet API adjustments wait for approval and go through the wallet when approved', async () => {
+    const processAdminAdjustment = jest.spyOn(WalletService, 'processAdminAdjustment').mockResolvedValue({
+      transaction: { id: 'txn-1' },
+      balance: { previous: 3000, current: 3000 - APPROVAL_THRESHOLD * 2 }
+    });
+
+    const res = createResponse();
+    await WalletController.adminAdjustBalance(createRequest({
+      user: { id: 'admin-player' },
+      admin: { id: 'admin-player', username: 'cashier', role: 'finance' },
+      targetPlayer: { id: 'player-1', credits: 3000, currency: 'USD' },
+      body: { player_id: 'player-1', amount: -APPROVAL_THRESHOLD * 2, reason: 'Chargeback received', reason_code: 'chargeback' }
+    }), res);
+
+    expect(res.status).toHaveBeenCalledWith(202);
+    expect(res.json.mock.calls[0][0]).toMatchObject({ success: true, data: { request: { channel: 'wallet_api', adjustment_type: 'delta' } } });
+    expect(processAdminAdjustment).not.toHaveBeenCalled();
+
+    const request = await creditApprovalService.approve('request-1', { adminId: checker.id });
+
+    expect(request.status).toBe('approved');
+    expect(processAdminAdjustment).toHaveBeenCalledWith(expect.objectContaining({
+      player_id: 'player-1',
+      amount: -APPROVAL_THRESHOLD * 2,
+      admin_id: 'admin-player',
+      metadata: expect.objectContaining({ reason_code: 'chargeback', approval_request_id: 'request-1', approved_by: checker.id })
+    }));
+  });
+});
@@ -0,0 +1,242 @@
+/**
+ * Feature Flag Tests
+ *
+ * Rule evaluation (environments, segments, percentage rollout), validation,
+ * persistence and audit history across restarts, and the flags sent to the
+ * game client.
+ */
+
+const {
+  FeatureFlags,
+  segmentsFor,
+  rolloutBucket
+} = require('../../src/config/featureFlags');
+const { FeatureFlagService } = require('../../src/services/featureFlagService');
+
+describe('Feature Flags', () => {
+  // In-memory stand-in for the feature_flags and feature_flag_history tables
+  const createStore = () => ({ flags: new Map(), history: [], failWrites: false });
+
+  const createPool = (store) => {
+    const query = async (sql, params = []) => {
+      const text = sql.trim();
+      if (text === 'BEGIN' || text === 'COMMIT' || text === 'ROLLBACK') {
+        return { rows: [] };
+      }
+      if (text.startsWith('SELECT * FROM feature_flags')) {
+        return { rows: [...store.flags.values()] };
+      }
+      if (text.startsWith('INSERT INTO feature_flags')) {
+        if (store.failWrites) {
+          throw new Error('connection refused');
+        }
+        const [name, enabled, rolloutPercent, segments, environments, updatedBy] = params;
+        store.flags.set(name, {
+          name,
+          enabled,
+          rollout_percent: rolloutPercent,
+          segments: JSON.parse(segments),
+          environments: JSON.parse(environments),
+          updated_by: updatedBy
+        });
+        return { rows: [] };
+      }
+      if (text.startsWith('DELETE FROM feature_flags')) {
+        store.flags.delete(params[0]);
+        return { rows: [] };
+      }
+      if (text.startsWith('INSERT INTO feature_flag_history')) {
+        const [flagName, oldValue, newValue, reason, changedBy, changedByName] = params;
+        const row = {
+          id: store.history.length + 1,
+          flag_name: flagName,
+          old_value: JSON.parse(oldValue),
+          new_value: JSON.parse(newValue),
+          reason,
+          changed_by: changedBy,
+          changed_by_name: changedByName,
+          created_at: new Date()
+        };
+        store.history.push(row);
+        return { rows: [row] };
+      }
+      if (text.startsWith('SELECT * FROM feature_flag_history')) {
+        const [flagName, limit] = params;
+        const rows = store.history
+          .filter(row => !flagName || row.flag_name === flagName)
+          .slice()
+          .reverse()
+          .slice(0, limit);
+        return { rows };
+      }
+      throw new Error(`Unexpected query: ${text}`);
+    };
+
+    return {
+      query,
+      connect: async () => ({ query, release: () => {} })
+    };
+  };
+
+  // A server process: its own registry and service over a shared store
+  const createProcess = (store) => {
+    const service = new FeatureFlagService();
+    service.registry = new FeatureFlags();
+    service.pool = createPool(store);
+    return service;
+  };
+
+  const actor = { adminId: 'admin-1', adminName: 'ops', reason: 'Canary' };
+
+  test('targets environments and segments', () => {
+    const flags = new FeatureFlags();
+    flags.applyRule('BONUS_BUY_FEATURE', {
+      enabled: true,
+      rolloutPercent: 100,
+      segments: ['real_money', 'currency:EUR'],
+      environments: ['staging']
+    });
+
+    expect(flags.isEnabled('BONUS_BUY_FEATURE', { environment: 'staging', segments: ['real_money'] })).toBe(true);
+    expect(flags.isEnabled('BONUS_BUY_FEATURE', { environment: 'staging', segments: ['demo', 'currency:EUR'] })).toBe(true);
+    expect(flags.isEnabled('BONUS_BUY_FEATURE', { environment: 'production', segments: ['real_money'] })).toBe(false);
+    expect(flags.isEnabled('BONUS_BUY_FEATURE', { environment: 'staging', segments: ['demo'] })).toBe(false);
+    expect(flags.isEnabled('BONUS_BUY_FEATURE', { environment: 'staging' })).toBe(false);
+    expect(flags.isEnabled('NOT_A_FLAG')).toBe(false);
+  });
+
+  test('rolls out to a stable share of identified players only', () => {
+    const flags = new FeatureFlags();
+    flags.applyRule('BONUS_BUY_FEATURE', { enabled: true, rolloutPercent: 30, segments: [], environments: [] });
+
+    const playerIds = Array.from({ length: 2000 }, (_, i) => `player-${i}`);
+    const included = playerIds.filter(playerId => flags.isEnabled('BONUS_BUY_FEATURE', { playerId }));
+
+    expect(included.length / playerIds.length).toBeGreaterThan(0.25);
+    expect(included.length / playerIds.length).toBeLessThan(0.35);
+    // Same answer every time, and decided by the flag-salted bucket
+    included.slice(0, 20).forEach(playerId => {
+      expect(flags.isEnabled('BONUS_BUY_FEATURE', { playerId })).toBe(true);
+      expect(rolloutBucket('BONUS_BUY_FEATURE', playerId)).toBeLessThan(30);
+    });
+    expect(flags.isEnabled('BONUS_BUY_FEATURE', {})).toBe(false);
+  });
+
+  test('derives player segments', () => {
+    const now = new Date('2026-10-18T12:00:00Z');
+    expect(segmentsFor({ is_demo: true, created_at: '2026-10-17T00:00:00Z' }, now))
+      .toEqual(['demo', 'new_player']);
+    expect(segmentsFor({ is_demo: false, is_admin: true, currency: 'BRL', created_at: '2026-01-01T00:00:00Z' }, now))
+      .toEqual(['real_money', 'staff', 'currency:BRL']);
+    expect(segmentsFor(null)).toEqual([]);
+  });
+
+  test('rejects invalid rules and unknown flags', () => {
+    const flags = new FeatureFlags();
+    expect(() => flags.buildRule('BONUS_BUY_FEATURE', { rolloutPercent: 150 })).toThrow(/rolloutPercent/);
+    expect(() => flags.buildRule('BONUS_BUY_FEATURE', { segments: ['whales'] })).toThrow(/segments/);
+    expect(() => flags.buildRule('BONUS_BUY_FEATURE', { segments: ['currency:XYZ'] })).toThrow(/segments/);
+    expect(() => flags.buildRule('BONUS_BUY_FEATURE', { environments: ['qa'] })).toThrow(/environments/);
+    expect(() => flags.buildRule('BONUS_BUY_FEATURE', { enabled: 'yes' })).toThrow(/boolean/);
+    expect(() => flags.buildRule('NOT_A_FLAG', {})).toThrow(expect.objectContaining({ name: 'NotFoundError' }));
+
+    expect(flags.buildRule('BONUS_BUY_FEATURE', { enabled: true, segments: ['demo', 'demo'] }))
+      .toEqual({ enabled: true, rolloutPercent: 100, segments: ['demo'], environments: [] });
+  });
+
+  test('persists changes and their history across restarts', async () => {
+    const store = createStore();
+    const first = createProcess(store);
+    const events = [];
+    first.on('changed', event => events.push(event));
+
+    const { previous, rule } = await first.setFlag('BONUS_BUY_FEATURE', {
+      enabled: true,
+      rolloutPercent: 25,
+      segments: ['real_money']
+    }, actor);
+
+    expect(previous.enabled).toBe(false);
+    expect(rule).toEqual({ enabled: true, rolloutPercent: 25, segments: ['real_money'], environments: [] });
+    expect(first.registry.getRule('BONUS_BUY_FEATURE')).toEqual(rule);
+    expect(store.flags.get('BONUS_BUY_FEATURE')).toMatchObject({ enabled: true, rollout_percent: 25, updated_by: 'admin-1' });
+    expect(events).toEqual([{ flags: ['BONUS_BUY_FEATURE'], source: 'admin' }]);
+
+    // A restarted (or second) process picks the rule and the audit trail up from the database
+    const restarted = createProcess(store);
+    expect(restarted.registry.getRule('BONUS_BUY_FEATURE').enabled).toBe(false);
+    expect(await restarted.refresh()).toEqual(['BONUS_BUY_FEATURE']);
+    expect(restarted.registry.getRule('BONUS_BUY_FEATURE')).toEqual(rule);
+    expect(await restarted.refresh()).toEqual([]);
+
+    const [entry] = await restarted.getHistory();
+    expect(entry).toMatchObject({
+      flag: 'BONUS_BUY_FEATURE',
+      oldValue: previous,
+      newValue: rule,
+      reason: 'Canary',
+      changedBy: 'ops'
+    });
+  });
+
+  test('leaves the rule alone when the change cannot be stored', async () => {
+    const store = createStore();
+    store.failWrites = true;
+    const service = createProcess(store);
+
+    await expect(service.setFlag('BONUS_BUY_FEATURE', { enabled: true }, actor)).rejects.toThrow('connection refused');
+    expect(service.registry.getRule('BONUS_BUY_FEATURE').enabled).toBe(false);
+    expect(store.history).toHaveLength(0);
+
+    await expect(service.setFlag('BONUS_BUY_FEATURE', { rolloutPercent: -1 }, actor))
+      .rejects.toThrow(expect.objectContaining({ name: 'ValidationError' }));
+  });
+
+  test('resets a flag to its default on every process', async () => {
+    const store = createStore();
+    const first = createProcess(store);
+    const second = createProcess(store);
+
+    await first.setFlag('VERBOSE_SPIN_LOGGING', { enabled: true }, actor);
+    await second.refresh();
+    expect(second.registry.isEnabled('VERBOSE_SPIN_LOGGING')).toBe(true);
+
+    const { rule } = await second.resetFlag('VERBOSE_SPIN_LOGGING', actor);
+    expect(rule.enabled).toBe(false);
+    expect(store.flags.has('VERBOSE_SPIN_LOGGING')).toBe(false);
+
+    expect(await first.refresh()).toEqual(['VERBOSE_SPIN_LOGGING']);
+    expect(first.registry.isEnabled('VERBOSE_SPIN_LOGGING')).toBe(false);
+    expect(store.history.map(row => row.reason)).toEqual(['Canary', 'Canary']);
+  });
+
+  test('toggles a category with one history entry per flag', async () => {
+    const store = createStore();
+    const service = createProcess(store);
+
+    const results = await service.setCategoryFlags('debug', true, actor);
+
+    expect(results.map(result => result.flag)).toEqual(['VERBOSE_SPIN_LOGGING', 'SERVER_DEBUG_ENDPOINTS']);
+    expect(store.history.map(row => row.reason)).toEqual(['Canary (category \'debug\')', 'Canary (category \'debug\')']);
+    await expect(service.setCategoryFlags('nope', true, actor)).rejects.toThrow(/Unknown category/);
+  });
+
+  test('sends the client its flags evaluated for the player', async () => {
+    const store = createStore();
+    const service = createProcess(store);
+    await service.setFlag('EXPERIMENTAL_WEBGL', { enabled: true, segments: ['staff'] }, actor);
+
+    const staff = service.getClientFlags({ playerId: 'p-1', segments: ['real_money', 'staff'] });
+    expect(staff.serverSync).toEqual({ enabled: true, validationMode: false, forceDemo: false });
+    expect(staff.experimental).toEqual({ webGL: true, advancedShaders: false });
+    expect(service.getClientFlags({}).experimental.webGL).toBe(false);
+    // Server-only flags are not sent
+    expect(JSON.stringify(staff)).not.toMatch(/ANTI_CHEAT|antiCheat/);
+
+    const script = service.getClientScript();
+    expect(script).toContain('window.GameConfig.featureFlags = {"serverSync":');
+    expect(script).toContain('window.FeatureFlags.applyServerFlags(window.GameConfig.featureFlags)');
+    expect(service.registry.isClientFlag('EXPERIMENTAL_WEBGL')).toBe(true);
+    expect(service.registry.isClientFlag('ANTI_CHEAT_ENABLED')).toBe(false);
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Game Rules Tests
+ *
+ * The rules screen paytable is built from the math model, so what players read
+ * must be what the engines pay: cluster tiers, scatter pays, free spins rules,
+ * the random multiplier tables and the theoretical RTP.
+ */
+
+const { GAME_CONFIG } = require('../../src/game/gameEngine');
+const WinCalculator = require('../../src/game/winCalculator');
+const { getBuiltinModel, createModel, toEngineOptions } = require('../../src/game/mathModel');
+const { getProfileModel } = require('../../src/game/rtpProfiles');
+const { buildGameRules, clusterTiers, multiplierTable } = require('../../src/game/gameRules');
+
+describe('Game Rules', () => {
+  const builtin = getBuiltinModel();
+
+  test('lists every paying symbol with its cluster size tiers, highest paying first', () => {
+    const rules = buildGameRules(builtin, { rtpProfile: 'rtp-965' });
+
+    expect(rules.model).toEqual({
+      id: builtin.id,
+      version: builtin.version,
+      checksum: builtin.checksum,
+      rtpProfile: 'rtp-965'
+    });
+    expect(rules.rtp).toBe(GAME_CONFIG.RTP);
+    expect(rules.maxWinMultiplier).toBe(GAME_CONFIG.MAX_WIN_MULTIPLIER);
+    expect(rules.grid).toEqual({ cols: 6, rows: 5, minMatchCount: GAME_CONFIG.MIN_MATCH_COUNT });
+
+    const paying = Object.keys(GAME_CONFIG.SYMBOLS)
+      .filter(symbol => GAME_CONFIG.SYMBOLS[symbol].type !== 'scatter');
+    expect(rules.symbols.map(entry => entry.symbol).sort()).toEqual(paying.sort());
+    expect(rules.symbols[0].symbol).toBe('thanos');
+
+    const thanos = rules.symbols[0];
+    expect(thanos.type).toBe('high');
+    expect(thanos.tiers).toEqual([
+      { minCount: 8, maxCount: 9, payout: 200, betMultiple: 10 },
+      { minCount: 10, maxCount: 11, payout: 500, betMultiple: 25 },
+      { minCount: 12, maxCount: null, payout: 1000, betMultiple: 50 }
+    ]);
+  });
+
+  test('quotes the same amounts the win calculator pays', () => {
+    const rules = buildGameRules(builtin);
+    const calculator = new WinCalculator(toEngineOptions(builtin).gameConfig);
+    const betAmount = 2.5;
+
+    rules.symbols.forEach(({ symbol, tiers }) => {
+      tiers.forEach(tier => {
+        const sizes = [tier.minCount, tier.maxCount || tier.minCount + 5];
+        sizes.forEach(clusterSize => {
+          const match = { symbolType: symbol, positions: [], clusterSize };
+          const win = calculator.calculateMatchWin(match, betAmount);
+          expect(win.payout).toBeCloseTo(tier.betMultiple * betAmount, 2);
+        });
+      });
+    });
+
+    rules.scatter.payouts.forEach(({ count, betMultiple }) => {
+      const payout = calculator.calculateScatterPayout(count, betAmount);
+      expect(payout).toBeCloseTo(betMultiple * betAmount, 2);
+    });
+  });
+
+  test('describes the scatter, free spins and multiplier rules', () => {
+    const rules = buildGameRules(builtin);
+
+    expect(rules.scatter).toEqual({
+      symbol: 'infinity_glove',
+      payouts: [
+        { count: 4, payout: 60, betMultiple: 3 },
+        { count: 5, payout: 100, betMultiple: 5 },
+        { count: 6, payout: 2000, betMultiple: 100 }
+      ]
+    });
+    expect(rules.freeSpins).toEqual({
+      triggerCount: 4,
+      spinsAwarded: GAME_CONFIG.FREE_SPINS.SCATTER_4_PLUS,
+      retriggerCount: 4,
+      retriggerSpins: GAME_CONFIG.FREE_SPINS.RETRIGGER_SPINS,
+      baseMultiplier: GAME_CONFIG.FREE_SPINS.BASE_MULTIPLIER,
+      buyFeature: {
+        costBetMultiple: GAME_CONFIG.FREE_SPINS.BUY_FEATURE_COST,
+        spinsAwarded: GAME_CONFIG.FREE_SPINS.BUY_FEATURE_SPINS
+      }
+    });
+
+    const { random, cascadeRandom, freeSpinsCap } = rules.multipliers;
+    expect(random.triggerChance).toBe(0.165);
+    expect(random.freeSpinsTriggerChance).toBeCloseTo(0.2475, 8);
+    expect(random.table.map(entry => entry.multiplier))
+      .toEqual([2, 3, 4, 5, 6, 8, 10, 20, 100, 500]);
+    expect(random.table.reduce((sum, entry) => sum + entry.probability, 0)).toBeCloseTo(1, 6);
+    expect(cascadeRandom).toEqual({ triggerChance: 0.11, minMultipliers: 1, maxMultipliers: 3 });
+    expect(freeSpinsCap).toBe(25);
+  });
+
+  test('follows the model the profile is on, not the built-in config', () => {
+    const profileModel = getProfileModel('rtp-94');
+    const rules = buildGameRules(profileModel);
+
+    expect(rules.rtp).toBe(0.94);
+    expect(rules.model.rtpProfile).toBe('rtp-94');
+    expect(rules.model.id).toBe(profileModel.id);
+    expect(rules.multipliers.random.table[0].weight).toBe(74.9098);
+
+    // A retuned paytable shows up on the rules screen as soon as its model is active
+    const artifact = JSON.parse(JSON.stringify(builtin.artifact));
+    artifact.version = '1.0.1';
+    artifact.paytable.thanos.payouts = { 8: 180, 10: 450, 12: 900 };
+    const retuned = buildGameRules(createModel(artifact));
+    expect(retuned.symbols[0].tiers.map(tier => tier.betMultiple)).toEqual([9, 22.5, 45]);
+    expect(retuned.model.checksum).not.toBe(builtin.checksum);
+  });
+
+  test('builds tiers and probabilities from sparse tables', () => {
+    expect(clusterTiers({ 12: 40, 8: 10 })).toEqual([
+      { minCount: 8, maxCount: 11, payout: 10, betMultiple: 0.5 },
+      { minCount: 12, maxCount: null, payout: 40, betMultiple: 2 }
+    ]);
+    expect(multiplierTable([{ multiplier: 5, weight: 1 }, { multiplier: 2, weight: 3 }])).toEqual([
+      { multiplier: 2, weight: 3, probability: 0.75 },
+      { multiplier: 5, weight: 1, probability: 0.25 }
+    ]);
+    expect(multiplierTable()).toEqual([]);
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Progressive Jackpot Tests
+ *
+ * Tier math, contributions inside the spin transaction (with the tier reset on a
+ * win) and award settlement through walletService.processWin.
+ */
+
+const jackpotService = require('../../src/services/jackpotService');
+const WalletService = require('../../src/services/walletService');
+const { sequelize } = require('../../src/models');
+const {
+  DEFAULT_JACKPOT_CONFIG,
+  drawHitValue,
+  applyContribution,
+  validateTierSettings
+} = require('../../src/game/jackpots');
+
+describe('Progressive Jackpots', () => {
+  const tierRow = (tier, overrides = {}) => ({
+    id: `${tier}-id`,
+    tier,
+    name: DEFAULT_JACKPOT_CONFIG[tier].name,
+    display_order: 1,
+    seed_value: String(DEFAULT_JACKPOT_CONFIG[tier].seedValue),
+    must_hit_by: String(DEFAULT_JACKPOT_CONFIG[tier].mustHitBy),
+    contribution_rate: String(DEFAULT_JACKPOT_CONFIG[tier].contributionRate),
+    current_value: String(DEFAULT_JACKPOT_CONFIG[tier].seedValue),
+    hit_value: null,
+    is_active: true,
+    ...overrides
+  });
+
+  const createClient = (rows) => {
+    const queries = [];
+    return {
+      queries,
+      query: jest.fn(async (sql, params) => {
+        queries.push({ sql, params });
+        if (sql.includes('FROM jackpots') && sql.includes('FOR UPDATE')) {
+          return { rows };
+        }
+        if (sql.includes('INSERT INTO jackpot_awards')) {
+          return {
+            rows: [{
+              id: 'award-1',
+              tier: params[1],
+              player_id: params[2],
+              spin_id: params[3],
+              amount: String(params[4]),
+              status: 'pending',
+              created_at: new Date()
+            }]
+          };
+        }
+        return { rows: [] };
+      })
+    };
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jackpotService.stopUpdates();
+    jackpotService.snapshot = null;
+  });
+
+  test('should draw hit values inside the must-hit-by range and detect the winning bet', () => {
+    const { seedValue, mustHitBy } = DEFAULT_JACKPOT_CONFIG.mini;
+
+    expect(drawHitValue(seedValue, mustHitBy, () => 0)).toBe(mustHitBy);
+    expect(drawHitValue(seedValue, mustHitBy, () => 0.999999999)).toBe(10.01);
+    for (let i = 0; i < 100; i++) {
+      const hitValue = drawHitValue(seedValue, mustHitBy);
+      expect(hitValue).toBeGreaterThan(seedValue);
+      expect(hitValue).toBeLessThanOrEqual(mustHitBy);
+    }
+
+    const tier = { currentValue: 49.99, hitValue: 50, contributionRate: 0.003 };
+    expect(applyContribution(tier, 1)).toEqual({ contribution: 0.003, value: 49.993, won: false });
+    expect(applyContribution(tier, 5)).toEqual({ contribution: 0.015, value: 50.005, won: true });
+    expect(applyContribution({ ...tier, contributionRate: 0 }, 5).won).toBe(false);
+
+    expect(validateTierSettings({ seedValue: 10, mustHitBy: 50, contributionRate: 0.003 })).toEqual([]);
+    expect(validateTierSettings({ seedValue: 50, mustHitBy: 50, contributionRate: 0.1 })).toHaveLength(2);
+  });
+
+  test('should contribute within the caller transaction and reset a won tier', async () => {
+    const client = createClient([
+      tierRow('mini', { current_value: '49.998', hit_value: '50.00' }),
+      tierRow('grand', { hit_value: '20000.00' })
+    ]);
+
+    const result = await jackpotService.contribute({ client, playerId: 'player-1', betAmount: 2, spinId: 'spin-1' });
+
+    expect(result.contributions).toEqual([
+      { tier: 'mini', amount: 0.006 },
+      { tier: 'grand', amount: 0.002 }
+    ]);
+    expect(result.awards).toEqual([expect.objectContaining({ id: 'award-1', tier: 'mini', amount: 50, status: 'pending' })]);
+
+    // No BEGIN/COMMIT of its own: the spin transaction owns the outcome
+    expect(client.queries.some(q => /^(BEGIN|COMMIT)$/.test(q.sql))).toBe(false);
+
+    const miniReset = client.queries.find(q => q.sql.includes('last_winner_id'));
+    expect(miniReset.params[0]).toBe('mini-id');
+    expect(miniReset.params[1]).toBe(10);
+    expect(miniReset.params[2]).toBeGreaterThan(10);
+    expect(miniReset.params[5]).toBe('player-1');
+
+    const grandUpdate = client.queries.find(q => q.sql.startsWith('UPDATE jackpots SET current_value') && q.params[0] === 'grand-id');
+    expect(grandUpdate.params[1]).toBe(5000.002);
+
+    const snapshot = await jackpotService.getJackpots();
+    expect(snapshot.map(tier => [tier.tier, tier.value])).toEqual([['mini', 10], ['grand', 5000]]);
+    expect(snapshot[0]).not.toHaveProperty('hitValue');
+  });
+
+  test('should credit an award through walletService.processWin in one transaction', async () => {
+    const transaction = { commit: jest.fn().mockResolvedValue(), rollback: jest.fn().mockResolvedValue() };
+    jest.spyOn(sequelize, 'transaction').mockResolvedValue(transaction);
+    const awardRow = { id: 'award-1', tier: 'major', player_id: 'player-1', spin_id: 'spin-1', amount: '1234.56', status: 'pending' };
+    jest.spyOn(sequelize, 'query').mockImplementation(async (sql) => (
+      sql.startsWith('SELECT')
+        ? [[awardRow]]
+        : [[{ ...awardRow, status: 'paid', transaction_id: 'tx-1', paid_at: new Date() }]]
+    ));
+    const processWin = jest.spyOn(WalletService, 'processWin').mockResolvedValue({
+      success: true,
+      transaction: { id: 'tx-1' },
+      balance: { previous: 100, current: 1334.56 }
+    });
+    const awarded = jest.fn();
+    jackpotService.once('awarded', awarded);
+
+    const paid = await jackpotService.settleAward('award-1');
+
+    expect(processWin).toHaveBeenCalledWith(expect.objectContaining({
+      player_id: 'player-1',
+      amount: 1234.56,
+      reference_id: 'award-1',
+      reference_type: 'jackpot',
+      transaction
+    }));
+    expect(transaction.commit).toHaveBeenCalledTimes(1);
+    expect(paid).toMatchObject({ status: 'paid', transactionId: 'tx-1', balance: 1334.56 });
+    expect(awarded).toHaveBeenCalledWith(expect.objectContaining({ tier: 'major', amount: 1234.56 }));
+
+    // A paid award is never credited twice
+    awardRow.status = 'paid';
+    processWin.mockClear();
+    await jackpotService.settleAward('award-1');
+    expect(processWin).not.toHaveBeenCalled();
+  });
+});
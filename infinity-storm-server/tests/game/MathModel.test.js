@@ -0,0 +1,145 @@
+/**
+ * Math Model Tests
+ *
+ * The built-in artifact must mirror GAME_CONFIG, symbolDistribution.js and
+ * reelStrips.js, and an engine built from a model must play with that model.
+ */
+
+const crypto = require('crypto');
+const GameEngine = require('../../src/game/gameEngine');
+const SpinReplay = require('../../src/game/spinReplay');
+const { STRIP_VERSION } = require('../../src/game/reelStrips');
+const {
+  getBuiltinModel,
+  createModel,
+  computeChecksum,
+  validateModel,
+  toEngineOptions
+} = require('../../src/game/mathModel');
+
+describe('Math Model Registry Artifacts', () => {
+  const cloneArtifact = () => JSON.parse(JSON.stringify(getBuiltinModel().artifact));
+
+  const spin = (engine, rngSeed) => engine.processCompleteSpin({
+    betAmount: 1,
+    playerId: 'test-player',
+    sessionId: 'test-session',
+    quickSpinMode: true,
+    rngSeed
+  });
+
+  test('should describe the built-in configuration as a valid artifact', () => {
+    const builtin = getBuiltinModel();
+
+    expect(builtin.id).toBe('infinity-storm-965@1.0.0');
+    expect(builtin.checksum).toMatch(/^[0-9a-f]{64}$/);
+    expect(builtin.artifact.reelStrips.version).toBe(STRIP_VERSION);
+    expect(validateModel(builtin.artifact)).toEqual({ valid: true, errors: [] });
+  });
+
+  test('should checksum content independently of key order', () => {
+    const artifact = cloneArtifact();
+    const reordered = Object.fromEntries(Object.entries(artifact).reverse());
+
+    expect(computeChecksum(reordered)).toBe(getBuiltinModel().checksum);
+
+    artifact.paytable.thanos.payouts['12'] = 1200;
+    expect(computeChecksum(artifact)).not.toBe(getBuiltinModel().checksum);
+  });
+
+  test('should reject inconsistent artifacts', () => {
+    const artifact = cloneArtifact();
+    artifact.version = 'next';
+    artifact.symbolWeights.baseWeights.unknown_gem = 10;
+    artifact.reelStrips.base[0][0] = 'unknown_gem';
+    artifact.multipliers.random.WEIGHTED_TABLE = [];
+
+    const { valid, errors } = validateModel(artifact);
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual(expect.arrayContaining([
+      'version must be semantic (e.g. 1.2.0)',
+      'symbolWeights.baseWeights.unknown_gem must be a positive weight for a paytable symbol',
+      'reelStrips contain symbols missing from the paytable: unknown_gem'
+    ]));
+    expect(errors.some(error => error.startsWith('multipliers.random.WEIGHTED_TABLE'))).toBe(true);
+  });
+
+  test('should play and record spins with the supplied model', async () => {
+    const builtinEngine = new GameEngine(toEngineOptions(getBuiltinModel()));
+
+    // Same strips shifted by one stop and every payout doubled
+    const artifact = cloneArtifact();
+    artifact.version = '1.1.0';
+    artifact.reelStrips.version = '2.0.0-test';
+    artifact.reelStrips.base = artifact.reelStrips.base.map(strip => [...strip.slice(1), strip[0]]);
+    Object.values(artifact.paytable).forEach(entry => {
+      Object.keys(entry.payouts).forEach(count => {
+        entry.payouts[count] *= 2;
+      });
+    });
+    const model = createModel(artifact);
+    const modelEngine = new GameEngine(toEngineOptions(model));
+
+    const rngSeed = 'ab'.repeat(32);
+    const builtinResult = await spin(builtinEngine, rngSeed);
+    const modelResult = await spin(modelEngine, rngSeed);
+
+    expect(builtinResult.metadata.mathModel.id).toBe('infinity-storm-965@1.0.0');
+    expect(modelResult.metadata.mathModel).toEqual({
+      id: 'infinity-storm-965@1.1.0',
+      version: '1.1.0',
+      checksum: model.checksum
+    });
+    expect(modelResult.metadata.reelStrips.strip_version).toBe('2.0.0-test');
+    expect(modelResult.metadata.reelStrips.stop_positions).toEqual(builtinResult.metadata.reelStrips.stop_positions);
+    expect(modelResult.initialGrid.map(column => column.slice(0, 4)))
+      .toEqual(builtinResult.initialGrid.map(column => column.slice(1)));
+  });
+
+  test('should replay a spin with the model it was recorded under', async () => {
+    const artifact = cloneArtifact();
+    artifact.version = '1.2.0';
+    artifact.multipliers.random.TRIGGER_CHANCE = 1;
+    const model = createModel(artifact);
+    const modelEngine = new GameEngine(toEngineOptions(model));
+
+    const request = {
+      betAmount: 1,
+      playerId: 'test-player',
+      sessionId: 'test-session',
+      quickSpinMode: true,
+      rngSeed: crypto.randomBytes(32).toString('hex')
+    };
+    const result = await modelEngine.processCompleteSpin(request);
+    const replayContext = SpinReplay.buildReplayContext(request, result);
+    const row = {
+      id: crypto.randomUUID(),
+      player_id: request.playerId,
+      session_id: request.sessionId,
+      bet_amount: '1.00',
+      initial_grid: result.initialGrid,
+      cascades: JSON.parse(JSON.stringify(result.cascadeSteps)),
+      total_win: result.totalWin.toFixed(2),
+      multipliers_applied: result.bonusFeatures.randomMultipliers.map(m => ({ multiplier: m.multiplier })),
+      rng_seed: result.rngSeed,
+      game_mode: 'base',
+      strip_version: replayContext.reelStrips.stripVersion,
+      replay_context: JSON.parse(JSON.stringify(replayContext)),
+      math_model_id: model.id
+    };
+
+    const withoutRegistry = await new SpinReplay().replay(row);
+    expect(withoutRegistry.status).toBe('unreplayable');
+    expect(withoutRegistry.reason).toBe('math_model_unavailable');
+
+    const replay = new SpinReplay({
+      resolveEngine: async (modelId) => (modelId === model.id ? modelEngine : null)
+    });
+    const report = await replay.replay(row);
+
+    expect(report.differences).toEqual([]);
+    expect(report.status).toBe('match');
+    expect(report.mathModelId).toBe(model.id);
+  });
+});
@@ -0,0 +1,231 @@
+/**
+ * Metrics Rollup Tests
+ *
+ * The rollup job's transaction (window, recompute, prune, watermark), the
+ * series query per timeframe, and how metricsService turns rolled-up buckets
+ * into dashboard figures: money per currency, RTP across currencies and the
+ * RTP status.
+ */
+
+const metricsRollupService = require('../../src/services/metricsRollupService');
+const metricsService = require('../../src/services/metricsService');
+
+const { buildSeriesQuery, TIMEFRAMES } = metricsRollupService;
+const { summarizeSeries } = metricsService;
+
+describe('Metrics Rollups', () => {
+  const originalPool = metricsRollupService.pool;
+
+  const bucket = (time, overrides = {}) => ({
+    bucket_start: new Date(time),
+    currency: 'USD',
+    spins: '0',
+    paid_spins: '0',
+    bet_amount: '0',
+    purchases: '0',
+    purchase_amount: '0',
+    win_amount: '0',
+    active_players: '0',
+    free_spins_triggers: '0',
+    big_wins: '0',
+    max_wins: '0',
+    deposit_amount: '0',
+    withdrawal_amount: '0',
+    ...overrides
+  });
+
+  const rows = [
+    bucket('2026-03-01T10:00:00Z', {
+      spins: '12', paid_spins: '10', bet_amount: '10.00', win_amount: '8.00', active_players: '3',
+      free_spins_triggers: '1', deposit_amount: '50.00'
+    }),
+    bucket('2026-03-01T10:00:00Z', {
+      currency: 'JPY', spins: '5', paid_spins: '5', bet_amount: '500', win_amount: '1500', active_players: '1'
+    }),
+    // Empty bucket from the series query's LEFT JOIN
+    bucket('2026-03-01T11:00:00Z', { currency: null }),
+    bucket('2026-03-01T12:00:00Z', {
+      spins: '20', paid_spins: '4', bet_amount: '4.00', purchases: '1', purchase_amount: '100.00',
+      win_amount: '90.00', active_players: '2', big_wins: '1', withdrawal_amount: '20.00'
+    })
+  ];
+
+  afterEach(() => {
+    metricsRollupService.pool = originalPool;
+  });
+
+  afterAll(() => {
+    metricsService.stopMetricsCollection();
+  });
+
+  describe('summarizeSeries', () => {
+    test('keeps one point per bucket, empty buckets included', () => {
+      const { points } = summarizeSeries(rows, 'USD');
+
+      expect(points.map(point => point.timestamp.toISOString())).toEqual([
+        '2026-03-01T10:00:00.000Z',
+        '2026-03-01T11:00:00.000Z',
+        '2026-03-01T12:00:00.000Z'
+      ]);
+      expect(points[1]).toMatchObject({ spins: 0, wagered: 0, revenue: 0, rtp: null });
+    });
+
+    test('reports money in one currency and counts across all of them', () => {
+      const { points, totals } = summarizeSeries(rows, 'USD');
+
+      expect(points[0]).toMatchObject({ spins: 17, activePlayers: 4, wagered: 10, won: 8, revenue: 2 });
+      expect(points[2]).toMatchObject({ wagered: 104, won: 90, revenue: 14, purchases: 1 });
+      expect(totals).toMatchObject({
+        spins: 37,
+        paidSpins: 19,
+        purchases: 1,
+        freeSpinsTriggers: 1,
+        bigWins: 1,
+        peakActivePlayers: 4,
+        wagered: 114,
+        won: 98,
+        revenue: 16,
+        deposits: 50,
+        withdrawals: 20
+      });
+    });
+
+    test('weighs each currency by its ladder scale for RTP', () => {
+      const { points, totals, byCurrency } = summarizeSeries(rows, 'USD');
+
+      // 10 USD staked for 8 won, 500 JPY (5 USD-equivalent) for 1500 JPY (15)
+      expect(points[0].rtp).toBe(153.33);
+      expect(totals.rtp).toBe(parseFloat(((8 + 15 + 90) / (10 + 5 + 104) * 100).toFixed(2)));
+      expect(byCurrency.JPY).toMatchObject({ spins: 5, wagered: 500, won: 1500, rtp: 300 });
+      expect(byCurrency.USD.rtp).toBe(parseFloat((98 / 114 * 100).toFixed(2)));
+    });
+
+    test('reports a currency without play as zero', () => {
+      const { totals } = summarizeSeries(rows, 'EUR');
+      expect(totals).toMatchObject({ wagered: 0, won: 0, revenue: 0, spins: 37 });
+    });
+  });
+
+  test('series queries read minutes for an hour and whole days from hours', () => {
+    expect(TIMEFRAMES['1h']).toEqual({ granularity: 'minute', unit: 'minute', points: 60 });
+
+    const hourly = buildSeriesQuery(TIMEFRAMES['24h']);
+    expect(hourly).toContain('FROM buckets b');
+    expect(hourly).toContain('LEFT JOIN metrics_hourly r');
+    expect(hourly).toContain('SUM(r.active_players)');
+
+    const daily = buildSeriesQuery(TIMEFRAMES['30d']);
+    expect(daily).toContain('date_trunc(\'day\', r.bucket_start)');
+    expect(daily).toContain('MAX(r.active_players)');
+  });
+
+  describe('rollup', () => {
+    const createPool = ({ locked = true } = {}) => {
+      const client = {
+        query: jest.fn(async (sql) => {
+          if (sql.includes('pg_try_advisory_xact_lock')) {
+            return { rows: [{ locked }] };
+          }
+          if (sql.includes('AS since')) {
+            return { rows: [{ since: '2026-03-01 10:00:00' }] };
+          }
+          if (sql.includes('INSERT INTO metrics_minute')) {
+            return { rows: [], rowCount: 4 };
+          }
+          if (sql.includes('DELETE FROM metrics_minute WHERE bucket_start <')) {
+            return { rows: [], rowCount: 2 };
+          }
+          return { rows: [], rowCount: 0 };
+        }),
+        release: jest.fn()
+      };
+      return { client, connect: jest.fn(async () => client) };
+    };
+
+    test('recomputes the window, prunes and moves the watermark in one transaction', async () => {
+      const pool = createPool();
+      metricsRollupService.pool = pool;
+
+      const result = await metricsRollupService.rollup('minute');
+
+      expect(result).toEqual({ granularity: 'minute', since: '2026-03-01 10:00:00', buckets: 4, pruned: 2 });
+      const calls = pool.client.query.mock.calls;
+      expect(calls[0][0]).toBe('BEGIN');
+      expect(calls[3]).toEqual([
+        'DELETE FROM metrics_minute WHERE bucket_start >= $1::timestamp',
+        ['2026-03-01 10:00:00']
+      ]);
+      expect(calls[4][0]).toContain('date_trunc(\'minute\', sr.created_at)');
+      expect(calls[4][1]).toEqual(['2026-03-01 10:00:00', 50, 5000]);
+      expect(calls[6][0]).toContain('INSERT INTO metrics_rollup_state');
+      expect(calls[7][0]).toBe('COMMIT');
+      expect(pool.client.release).toHaveBeenCalled();
+    });
+
+    test('backs off while another process holds the lock', async () => {
+      const pool = createPool({ locked: false });
+      metricsRollupService.pool = pool;
+
+      await expect(metricsRollupService.rollup('hour')).resolves.toEqual({ granularity: 'hour', skipped: true });
+      expect(pool.client.query.mock.calls.map(([sql]) => sql)).toEqual([
+        'BEGIN',
+        expect.stringContaining('pg_try_advisory_xact_lock'),
+        'ROLLBACK'
+      ]);
+    });
+
+    test('rejects an unknown granularity', async () => {
+      await expect(metricsRollupService.rollup('week')).rejects.toThrow('Unknown metrics granularity: week');
+    });
+  });
+
+  describe('getRTPMetrics', () => {
+    const seriesWith = (paidSpins, rtp) => ({
+      currency: 'USD',
+      points: [],
+      totals: { paidSpins, purchases: 0, rtp }
+    });
+
+    test('does not judge the RTP on a small sample', async () => {
+      const metrics = await metricsService.getRTPMetrics('24h', { series: seriesWith(200, 80) });
+
+      expect(metrics).toMatchObject({
+        currentRTP: 80,
+        targetRTP: 96.5,
+        rtpProfile: 'rtp-965',
+        sampleSize: 200,
+        status: 'insufficient_data',
+        alerts: []
+      });
+    });
+
+    test('raises alerts on a large sample that drifts from the target', async () => {
+      const warning = await metricsService.getRTPMetrics('24h', { series: seriesWith(5000, 95.2) });
+      expect(warning).toMatchObject({ status: 'warning', deviation: 1.3 });
+
+      const critical = await metricsService.getRTPMetrics('24h', { series: seriesWith(5000, 99) });
+      expect(critical.status).toBe('critical');
+      expect(critical.alerts[0]).toMatchObject({ type: 'critical' });
+
+      const healthy = await metricsService.getRTPMetrics('24h', { series: seriesWith(5000, 96.9) });
+      expect(healthy).toMatchObject({ status: 'healthy', alerts: [] });
+    });
+  });
+
+  test('financial metrics come from the rolled-up series', async () => {
+    const financial = await metricsService.getFinancialMetrics('24h', { series: summarizeSeries(rows, 'USD') });
+
+    expect(financial).toMatchObject({
+      currency: 'USD',
+      totalWagered: 114,
+      totalWon: 98,
+      revenue: 16,
+      totalSpins: 37,
+      avgBetSize: 5.7,
+      creditsAdded: 50,
+      creditsWithdrawn: 20,
+      netCreditFlow: 30
+    });
+    expect(financial.revenueTrend.map(point => point.value)).toEqual([2, 0, 14]);
+  });
+});
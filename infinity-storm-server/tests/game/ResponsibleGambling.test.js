@@ -0,0 +1,359 @@
+/**
+ * Responsible Gambling Tests
+ *
+ * Limit resolution (stricter now, looser after the delay), usage totals, the
+ * play and deposit checks behind /api/spin, /api/buy-feature and the portal,
+ * how setLimit stores a change, and the login sessions the checks rely on.
+ */
+
+const responsibleGamblingService = require('../../src/services/responsibleGamblingService');
+const SessionManager = require('../../src/auth/sessionManager');
+const Session = require('../../src/models/Session');
+const Player = require('../../src/models/Player');
+
+const {
+  resolveLimit,
+  planLimitChange,
+  summarizeUsage,
+  evaluatePlay,
+  evaluateDeposit
+} = responsibleGamblingService;
+
+describe('Responsible Gambling', () => {
+  const now = new Date('2026-03-01T12:00:00Z');
+  const hoursFromNow = (hours) => new Date(now.getTime() + hours * 60 * 60 * 1000);
+  const originalPool = responsibleGamblingService.pool;
+
+  const limitRow = (overrides = {}) => ({
+    limit_type: 'loss',
+    period: 'daily',
+    amount: '50.00',
+    pending_amount: null,
+    pending_remove: false,
+    pending_effective_at: null,
+    ...overrides
+  });
+
+  const account = (overrides = {}) => ({
+    id: 'player-1',
+    is_demo: false,
+    currency: 'USD',
+    reality_check_minutes: null,
+    cool_off_until: null,
+    self_excluded_at: null,
+    self_excluded_until: null,
+    free_spins_remaining: 0,
+    ...overrides
+  });
+
+  const usageRows = [
+    { type: 'bet', daily: '30.00', weekly: '120.00', monthly: '400.00' },
+    { type: 'purchase', daily: '0', weekly: '100.00', monthly: '100.00' },
+    { type: 'refund', daily: '2.00', weekly: '2.00', monthly: '2.00' },
+    { type: 'win', daily: '10.00', weekly: '80.00', monthly: '450.00' },
+    { type: 'deposit', daily: '100.00', weekly: '100.00', monthly: '300.00' }
+  ];
+
+  afterEach(() => {
+    responsibleGamblingService.pool = originalPool;
+  });
+
+  describe('resolveLimit', () => {
+    test('keeps the current amount while a raise is pending', () => {
+      const row = limitRow({ pending_amount: '200.00', pending_effective_at: hoursFromNow(5) });
+      expect(resolveLimit(row, now)).toEqual({
+        limitType: 'loss',
+        period: 'daily',
+        amount: 50,
+        pending: { amount: 200, effectiveAt: hoursFromNow(5) }
+      });
+    });
+
+    test('applies a pending raise or removal once it is due', () => {
+      expect(resolveLimit(limitRow({ pending_amount: '200.00', pending_effective_at: hoursFromNow(-1) }), now))
+        .toMatchObject({ amount: 200, pending: null });
+      expect(resolveLimit(limitRow({ pending_remove: true, pending_effective_at: hoursFromNow(-1) }), now))
+        .toMatchObject({ amount: null, pending: null });
+    });
+  });
+
+  describe('planLimitChange', () => {
+    test('applies a new or lower limit at once', () => {
+      expect(planLimitChange(null, 50, now)).toEqual({
+        amount: 50, pendingAmount: null, pendingRemove: false, pendingEffectiveAt: null
+      });
+      expect(planLimitChange(100, 50, now).amount).toBe(50);
+    });
+
+    test('delays a higher or removed limit', () => {
+      expect(planLimitChange(50, 100, now)).toEqual({
+        amount: 50, pendingAmount: 100, pendingRemove: false, pendingEffectiveAt: hoursFromNow(24)
+      });
+      expect(planLimitChange(50, null, now)).toEqual({
+        amount: 50, pendingAmount: null, pendingRemove: true, pendingEffectiveAt: hoursFromNow(24)
+      });
+    });
+  });
+
+  test('summarizeUsage nets refunds out of stakes and wins out of losses', () => {
+    const usage = summarizeUsage(usageRows, 'USD');
+
+    expect(usage.daily).toEqual({ deposited: 100, wagered: 28, won: 10, loss: 18 });
+    expect(usage.weekly).toEqual({ deposited: 100, wagered: 218, won: 80, loss: 138 });
+    expect(usage.monthly.loss).toBe(48);
+  });
+
+  describe('evaluatePlay', () => {
+    const usage = summarizeUsage(usageRows, 'USD');
+    const limits = [resolveLimit(limitRow(), now)];
+
+    test('allows a stake within the limit and blocks one that would exceed it', () => {
+      expect(evaluatePlay({ account: account(), limits, usage, amount: 32, now })).toBeNull();
+      expect(evaluatePlay({ account: account(), limits, usage, amount: 33, now })).toEqual({
+        reason: 'LOSS_LIMIT',
+        message: 'This would exceed your daily loss limit',
+        limitType: 'loss',
+        period: 'daily',
+        limit: 50,
+        used: 18,
+        remaining: 32
+      });
+    });
+
+    test('checks wager limits but not deposit limits', () => {
+      const mixed = [
+        resolveLimit(limitRow({ limit_type: 'deposit', amount: '10.00' }), now),
+        resolveLimit(limitRow({ limit_type: 'wager', period: 'weekly', amount: '220.00' }), now)
+      ];
+      expect(evaluatePlay({ account: account(), limits: mixed, usage, amount: 2, now })).toBeNull();
+      expect(evaluatePlay({ account: account(), limits: mixed, usage, amount: 4, now }).reason).toBe('WAGER_LIMIT');
+    });
+
+    test('blocks all play during self-exclusion and cool-off', () => {
+      const excluded = evaluatePlay({
+        account: account({ self_excluded_until: hoursFromNow(24 * 180) }), limits: [], usage, amount: 0, now
+      });
+      expect(excluded).toMatchObject({ reason: 'SELF_EXCLUDED', until: hoursFromNow(24 * 180) });
+
+      const coolOff = (until) => evaluatePlay({
+        account: account({ cool_off_until: until }), limits: [], usage, amount: 1, now
+      });
+      expect(coolOff(hoursFromNow(3)).reason).toBe('COOL_OFF');
+      expect(coolOff(hoursFromNow(-1))).toBeNull();
+    });
+
+    test('blocks play once the session limit is reached', () => {
+      const sessionLimit = [
+        resolveLimit(limitRow({ limit_type: 'session_time', period: 'session', amount: '60' }), now)
+      ];
+      const play = (minutesAgo) => evaluatePlay({
+        account: account(),
+        limits: sessionLimit,
+        usage,
+        amount: 1,
+        sessionStartedAt: new Date(now.getTime() - minutesAgo * 60000),
+        now
+      });
+
+      expect(play(59)).toBeNull();
+      expect(play(61)).toMatchObject({ reason: 'SESSION_TIME_LIMIT', limitMinutes: 60, elapsedMinutes: 61 });
+    });
+  });
+
+  test('evaluateDeposit checks deposit limits and exclusions', () => {
+    const usage = summarizeUsage(usageRows, 'USD');
+    const limits = [resolveLimit(limitRow({ limit_type: 'deposit', period: 'monthly', amount: '500.00' }), now)];
+
+    expect(evaluateDeposit({ account: account(), limits, usage, amount: 200, now })).toBeNull();
+    expect(evaluateDeposit({ account: account(), limits, usage, amount: 201, now }))
+      .toMatchObject({ reason: 'DEPOSIT_LIMIT', remaining: 200 });
+    const onBreak = account({ cool_off_until: hoursFromNow(1) });
+    expect(evaluateDeposit({ account: onBreak, limits: [], usage, amount: 1, now }).reason).toBe('COOL_OFF');
+  });
+
+  describe('checkPlay', () => {
+    const createPool = (accountRow, limitRows) => ({
+      query: jest.fn(async (sql) => {
+        if (sql.includes('FROM players p')) {
+          return { rows: accountRow ? [accountRow] : [] };
+        }
+        if (sql.includes('FROM player_limits')) {
+          return { rows: limitRows };
+        }
+        if (sql.includes('FROM transactions')) {
+          return { rows: usageRows };
+        }
+        throw new Error(`Unexpected query: ${sql}`);
+      })
+    });
+
+    test('blocks a paid spin over the loss limit', async () => {
+      responsibleGamblingService.pool = createPool(account(), [limitRow({ amount: '20.00' })]);
+
+      const block = await responsibleGamblingService.checkPlay({ playerId: 'player-1', amount: 5 });
+      expect(block).toMatchObject({ reason: 'LOSS_LIMIT', used: 18, remaining: 2 });
+    });
+
+    test('lets pending free spins play out but not a new feature purchase', async () => {
+      responsibleGamblingService.pool = createPool(
+        account({ free_spins_remaining: 8 }),
+        [limitRow({ amount: '20.00' })]
+      );
+
+      await expect(responsibleGamblingService.checkPlay({ playerId: 'player-1', amount: 5 })).resolves.toBeNull();
+      const purchase = await responsibleGamblingService.checkPlay({
+        playerId: 'player-1', amount: 100, isPurchase: true
+      });
+      expect(purchase.reason).toBe('LOSS_LIMIT');
+    });
+
+    test('skips demo players and the usage query when no money limit is set', async () => {
+      responsibleGamblingService.pool = createPool(account({ is_demo: true }), [limitRow({ amount: '1.00' })]);
+      await expect(responsibleGamblingService.checkPlay({ playerId: 'player-1', amount: 5 })).resolves.toBeNull();
+
+      const pool = createPool(account(), []);
+      responsibleGamblingService.pool = pool;
+      await expect(responsibleGamblingService.checkPlay({ playerId: 'player-1', amount: 5 })).resolves.toBeNull();
+      expect(pool.query.mock.calls.some(([sql]) => sql.includes('FROM transactions'))).toBe(false);
+    });
+
+    test('rejects an unknown player', async () => {
+      responsibleGamblingService.pool = createPool(null, []);
+      await expect(responsibleGamblingService.checkPlay({ playerId: 'missing', amount: 1 }))
+        .rejects.toMatchObject({ name: 'NotFoundError' });
+    });
+  });
+
+  describe('setLimit', () => {
+    const createPool = (existingRow) => {
+      const client = {
+        query: jest.fn(async (sql) => {
+          if (sql.includes('FROM players')) {
+            return { rows: [{ currency: 'USD' }] };
+          }
+          if (sql.includes('SELECT * FROM player_limits')) {
+            return { rows: existingRow ? [existingRow] : [] };
+          }
+          return { rows: [] };
+        }),
+        release: jest.fn()
+      };
+      return { client, connect: jest.fn(async () => client) };
+    };
+    const statements = (client) => client.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/)[0]);
+
+    test('stores a raise as pending and keeps the current limit', async () => {
+      const pool = createPool(limitRow());
+      responsibleGamblingService.pool = pool;
+
+      const result = await responsibleGamblingService.setLimit('player-1', {
+        limitType: 'loss', period: 'daily', amount: 100
+      });
+
+      expect(result).toMatchObject({ amount: 50, previous: 50, pending: { amount: 100 } });
+      const insert = pool.client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO player_limits'));
+      expect(insert[1].slice(0, 6)).toEqual(['player-1', 'loss', 'daily', 50, 100, false]);
+      expect(statements(pool.client)).toEqual(['BEGIN', 'SELECT', 'SELECT', 'INSERT', 'COMMIT']);
+      expect(pool.client.release).toHaveBeenCalled();
+    });
+
+    test('deletes a limit that is removed before it ever applied', async () => {
+      const pool = createPool(null);
+      responsibleGamblingService.pool = pool;
+
+      const result = await responsibleGamblingService.setLimit('player-1', {
+        limitType: 'session_time', amount: null
+      });
+
+      expect(result).toMatchObject({ period: 'session', amount: null, pending: null });
+      expect(statements(pool.client)).toContain('DELETE');
+    });
+
+    test('validates the change before touching the database', async () => {
+      const pool = createPool(null);
+      responsibleGamblingService.pool = pool;
+
+      await expect(responsibleGamblingService.setLimit('player-1', {
+        limitType: 'loss', period: 'hourly', amount: -5
+      })).rejects.toMatchObject({
+        name: 'ValidationError',
+        details: expect.arrayContaining([expect.stringContaining('period')])
+      });
+      await expect(responsibleGamblingService.setLimit('player-1', { limitType: 'session_time', amount: 2000 }))
+        .rejects.toMatchObject({ name: 'ValidationError' });
+      expect(pool.connect).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('login sessions', () => {
+    const jwtAuth = SessionManager.jwtAuth;
+
+    const player = (overrides = {}) => ({
+      id: 'player-1',
+      currency: 'USD',
+      rtp_profile: null,
+      self_excluded_until: null,
+      isActive: () => true,
+      isSelfExcluded() {
+        return Boolean(this.self_excluded_until) && this.self_excluded_until > new Date();
+      },
+      getSafeData() {
+        return { id: this.id, currency: this.currency };
+      },
+      updateLastLogin: jest.fn(),
+      ...overrides
+    });
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(jwtAuth, 'verifyAccessToken').mockReturnValue({ player_id: 'player-1' });
+      jest.spyOn(jwtAuth, 'generateTokenHash').mockReturnValue('token-hash');
+      jest.spyOn(jwtAuth, 'updateActivity').mockResolvedValue(true);
+      jest.spyOn(Session, 'createSession')
+        .mockResolvedValue({ id: 'session-1', created_at: new Date() });
+    });
+
+    test('a Redis-only session keeps its start, so the session limit applies', async () => {
+      const redis = new Map();
+      jest.spyOn(jwtAuth, 'storeSession').mockImplementation(async (playerId, token, data) => {
+        redis.set('token-hash', { player_id: playerId, ...data });
+      });
+      jest.spyOn(jwtAuth, 'getSessionByTokenHash')
+        .mockImplementation(async (hash) => redis.get(hash) || null);
+      jest.spyOn(Player, 'findByPk').mockResolvedValue(player());
+
+      const created = await SessionManager.createSession('player-1', 'token');
+      const validation = await SessionManager.validateSession('token');
+
+      expect(created.success).toBe(true);
+      expect(validation.session.id).toMatch(/^redis_only_/);
+      expect(validation.session.started_at).toEqual(new Date(redis.get('token-hash').created_at));
+
+      const sessionLimit = [
+        resolveLimit(limitRow({ limit_type: 'session_time', period: 'session', amount: '60' }), now)
+      ];
+      const later = new Date(validation.session.started_at.getTime() + 61 * 60000);
+      expect(evaluatePlay({
+        account: account(),
+        limits: sessionLimit,
+        usage: null,
+        amount: 0,
+        sessionStartedAt: validation.session.started_at,
+        now: later
+      })).toMatchObject({ reason: 'SESSION_TIME_LIMIT' });
+    });
+
+    test('self-excluded players get no session', async () => {
+      const storeSession = jest.spyOn(jwtAuth, 'storeSession').mockResolvedValue();
+      jest.spyOn(Player, 'findByPk').mockResolvedValue(player({
+        self_excluded_until: new Date(Date.now() + 24 * 60 * 60 * 1000)
+      }));
+
+      const result = await SessionManager.createSession('player-1', 'token');
+
+      expect(result).toMatchObject({ success: false, code: 'SELF_EXCLUDED' });
+      expect(storeSession).not.toHaveBeenCalled();
+      expect(Session.createSession).not.toHaveBeenCalled();
+    });
+  });
+});
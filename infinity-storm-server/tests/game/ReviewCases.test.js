@@ -0,0 +1,243 @@
+/**
+ * Review Case Tests
+ *
+ * Cases opened from antiCheat flags and restrictions, resolutions that go
+ * through the suspend/ban controllers and AdminLog, and the limits a
+ * restriction puts on spins and feature purchases.
+ */
+
+const AntiCheat = require('../../src/game/antiCheat');
+const reviewCaseService = require('../../src/services/reviewCaseService');
+const emergencyStopService = require('../../src/services/emergencyStopService');
+const responsibleGamblingService = require('../../src/services/responsibleGamblingService');
+const GameValidation = require('../../src/middleware/gameValidation');
+const adminController = require('../../src/controllers/admin');
+const Player = require('../../src/models/Player');
+const AdminLog = require('../../src/models/AdminLog');
+const { getBetLadder } = require('../../src/config/currencies');
+
+const { ReviewCaseService } = reviewCaseService;
+
+// Records every query; `handlers` answer the ones whose SQL contains their key
+const fakePool = (handlers = {}) => {
+  const queries = [];
+  return {
+    queries,
+    query: async (sql, params) => {
+      queries.push({ sql, params });
+      const key = Object.keys(handlers).find(fragment => sql.includes(fragment));
+      return key ? handlers[key](params) : { rows: [], rowCount: 0 };
+    }
+  };
+};
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Review Cases', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('anti-cheat flags', () => {
+    const createAntiCheat = () => {
+      const antiCheat = new AntiCheat();
+      antiCheat.redis = null;
+      return antiCheat;
+    };
+
+    test('opens a case and restricts the player for a critical risk score', async () => {
+      const service = new ReviewCaseService();
+      service.pool = fakePool({
+        'INSERT INTO review_queue': () => ({ rows: [{ id: 'case-1', created: true }] }),
+        'UPDATE players': params => ({ rows: [{ restricted_until: params[1], restriction_reason: params[2] }] })
+      });
+      const antiCheat = createAntiCheat();
+      service.watchAntiCheat(antiCheat);
+      service.watchAntiCheat(antiCheat);
+
+      await antiCheat.triggerHighRiskActions('player-1', 95, ['timing_violation']);
+      await flush();
+
+      const [caseInsert, restriction] = service.pool.queries;
+      expect(service.pool.queries).toHaveLength(2);
+      expect(caseInsert.sql).toContain('\'anti_cheat\'');
+      expect(caseInsert.params.slice(0, 3)).toEqual(['player-1', 'CRITICAL', 95]);
+      expect(JSON.parse(caseInsert.params[3])).toEqual([
+        expect.objectContaining({ priority: 'CRITICAL', riskScore: 95, violations: ['timing_violation'] })
+      ]);
+
+      expect(restriction.params[0]).toBe('player-1');
+      const hours = (restriction.params[1].getTime() - Date.now()) / (60 * 60 * 1000);
+      expect(hours).toBeGreaterThan(0.99);
+      expect(hours).toBeLessThanOrEqual(1);
+    });
+
+    test('drops repeated flags until the priority rises', async () => {
+      const service = new ReviewCaseService();
+      service.pool = fakePool({
+        'INSERT INTO review_queue': () => ({ rows: [{ id: 'case-1', created: false }] })
+      });
+
+      expect(await service.openFromAntiCheat({ playerId: 'player-1', priority: 'HIGH', riskScore: 80 }))
+        .toEqual({ id: 'case-1', created: false });
+      expect(await service.openFromAntiCheat({ playerId: 'player-1', priority: 'HIGH', riskScore: 82 })).toBeNull();
+      expect(await service.openFromAntiCheat({ playerId: 'player-2', priority: 'HIGH', riskScore: 80 })).not.toBeNull();
+      expect(await service.openFromAntiCheat({ playerId: 'player-1', priority: 'CRITICAL', riskScore: 92 })).not.toBeNull();
+      expect(service.pool.queries).toHaveLength(3);
+    });
+  });
+
+  describe('resolutions', () => {
+    const originalPool = reviewCaseService.pool;
+
+    afterEach(() => {
+      reviewCaseService.pool = originalPool;
+    });
+
+    const openCase = { id: 'case-1', player_id: 'player-1', status: 'in_review' };
+
+    const createRequest = (body) => ({
+      params: { id: 'case-1' },
+      body,
+      admin: { id: 'admin-1', account_id: 'reviewer', role: 'risk' },
+      ip: '127.0.0.1',
+      get: () => 'jest',
+      accepts: () => 'json'
+    });
+
+    const createResponse = () => {
+      const res = {
+        status: jest.fn(() => res),
+        json: jest.fn(() => res),
+        redirect: jest.fn(() => res)
+      };
+      return res;
+    };
+
+    const poolWithCase = () => fakePool({
+      'FROM review_queue q': () => ({ rows: [openCase] }),
+      'UPDATE review_queue': params => ({ rows: [{ ...openCase, status: 'resolved', resolution: params[1] }] })
+    });
+
+    test('suspends the player through suspendPlayer and logs both actions', async () => {
+      reviewCaseService.pool = poolWithCase();
+      const player = {
+        id: 'player-1',
+        username: 'suspect',
+        suspend: jest.fn().mockResolvedValue(),
+        getSafeData: () => ({ id: 'player-1', status: 'suspended' })
+      };
+      jest.spyOn(Player, 'findByPk').mockResolvedValue(player);
+      const logSuccess = jest.spyOn(AdminLog, 'logSuccess').mockResolvedValue({});
+
+      const res = createResponse();
+      await adminController.resolveCase(createRequest({ resolution: 'suspend', reason: 'Shared device ring' }), res);
+
+      expect(player.suspend).toHaveBeenCalledWith('Shared device ring');
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json.mock.calls[0][0]).toMatchObject({ success: true, case: { status: 'resolved', resolution: 'suspend' } });
+
+      const resolveUpdate = reviewCaseService.pool.queries.find(query => query.sql.includes('UPDATE review_queue'));
+      expect(resolveUpdate.params).toEqual(['case-1', 'suspend', 'Shared device ring', 'admin-1']);
+      expect(logSuccess.mock.calls.map(([entry]) => entry.action_type)).toEqual(['account_suspension', 'case_resolution']);
+      expect(logSuccess.mock.calls[1][0]).toMatchObject({
+        admin_id: 'admin-1',
+        target_player_id: 'player-1',
+        details: { case_id: 'case-1', resolution: 'suspend' },
+        severity: 'high'
+      });
+    });
+
+    test('keeps the case open when the ban fails', async () => {
+      reviewCaseService.pool = poolWithCase();
+      jest.spyOn(Player, 'findByPk').mockResolvedValue(null);
+      const logFailure = jest.spyOn(AdminLog, 'logFailure').mockResolvedValue({});
+      const logSuccess = jest.spyOn(AdminLog, 'logSuccess').mockResolvedValue({});
+
+      const res = createResponse();
+      await adminController.resolveCase(createRequest({ resolution: 'ban', reason: 'Bonus abuse' }), res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json.mock.calls[0][0]).toMatchObject({ code: 'PLAYER_NOT_FOUND' });
+      expect(reviewCaseService.pool.queries.some(query => query.sql.includes('UPDATE review_queue'))).toBe(false);
+      expect(logSuccess).not.toHaveBeenCalled();
+      expect(logFailure.mock.calls[0][0]).toMatchObject({ action_type: 'case_resolution', target_player_id: 'player-1' });
+    });
+
+    test('restricts the player for the requested number of days', async () => {
+      reviewCaseService.pool = fakePool({
+        'FROM review_queue q': () => ({ rows: [openCase] }),
+        'UPDATE players': params => ({ rows: [{ restricted_until: params[1], restriction_reason: params[2] }] }),
+        'UPDATE review_queue': params => ({ rows: [{ ...openCase, status: 'resolved', resolution: params[1] }] })
+      });
+      const logSuccess = jest.spyOn(AdminLog, 'logSuccess').mockResolvedValue({});
+
+      const res = createResponse();
+      await adminController.resolveCase(createRequest({ resolution: 'restrict', restrict_days: '3' }), res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      const { details } = logSuccess.mock.calls[0][0];
+      expect(details.reason).toBe('Review case case-1');
+      const days = (details.restricted_until.getTime() - Date.now()) / (24 * 60 * 60 * 1000);
+      expect(days).toBeGreaterThan(2.99);
+      expect(days).toBeLessThanOrEqual(3);
+    });
+
+    test('refuses to resolve a case twice', async () => {
+      reviewCaseService.pool = fakePool({
+        'FROM review_queue q': () => ({ rows: [{ ...openCase, status: 'resolved' }] })
+      });
+
+      const res = createResponse();
+      await adminController.resolveCase(createRequest({ resolution: 'clear' }), res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.json.mock.calls[0][0]).toMatchObject({ code: 'CASE_RESOLVED' });
+    });
+  });
+
+  describe('restrictions', () => {
+    const originalPool = reviewCaseService.pool;
+    const restrictedUntil = new Date(Date.now() + 60 * 60 * 1000);
+    const { minBet } = getBetLadder('USD');
+
+    beforeEach(() => {
+      reviewCaseService.pool = fakePool({
+        'SELECT restricted_until': () => ({ rows: [{ restricted_until: restrictedUntil, restriction_reason: 'Review case' }] })
+      });
+      jest.spyOn(emergencyStopService, 'getActiveStop').mockResolvedValue(null);
+      jest.spyOn(responsibleGamblingService, 'checkPlay').mockResolvedValue(null);
+    });
+
+    afterEach(() => {
+      reviewCaseService.pool = originalPool;
+    });
+
+    const user = { id: 'player-restricted', is_demo: false, status: 'active', credits: 1000, currency: 'USD' };
+
+    const run = async (middleware, body) => {
+      const res = { locals: {}, status: jest.fn().mockReturnThis(), json: jest.fn().mockReturnThis() };
+      const next = jest.fn();
+      await middleware({ user, body, path: '/test' }, res, next);
+      return { res, next };
+    };
+
+    test('refuses feature purchases', async () => {
+      const { res, next } = await run(GameValidation.validateFeaturePurchase, { featureType: 'free_spins', cost: 100, betAmount: 1 });
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json.mock.calls[0][0]).toMatchObject({ error: { code: 'PLAYER_RESTRICTED' } });
+    });
+
+    test('allows spins at the minimum bet only', async () => {
+      const above = await run(GameValidation.validateSpinRequest, { betAmount: minBet * 5 });
+      expect(above.next).not.toHaveBeenCalled();
+      expect(above.res.status).toHaveBeenCalledWith(403);
+      expect(above.res.json.mock.calls[0][0]).toMatchObject({ error: { code: 'PLAYER_RESTRICTED' } });
+
+      const minimum = await run(GameValidation.validateSpinRequest, { betAmount: minBet });
+      expect(minimum.next).toHaveBeenCalled();
+    });
+  });
+});
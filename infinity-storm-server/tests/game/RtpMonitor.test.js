@@ -0,0 +1,272 @@
+/**
+ * RTP Monitor Tests
+ *
+ * Control band math, drift and recovery alerts, free spin attribution, the
+ * signed webhook, the kill switch and the emergency stop that it trips.
+ */
+
+const { RtpMonitor, getBetLevel } = require('../../src/services/rtpMonitor');
+const emergencyStopService = require('../../src/services/emergencyStopService');
+const { signPayload, SIGNATURE_HEADER, TIMESTAMP_HEADER } = require('../../src/services/walletProvider');
+const GameValidation = require('../../src/middleware/gameValidation');
+const { DEFAULT_RTP_PROFILE } = require('../../src/game/rtpProfiles');
+
+const { EmergencyStopService } = emergencyStopService;
+
+describe('RTP Monitor', () => {
+  const model = {
+    id: 'model-1',
+    artifact: { rtpProfile: 'standard', targetRtp: 0.96, volatility: { base: 1 } }
+  };
+
+  const createMonitor = (options = {}) => new RtpMonitor({
+    windowRounds: 200,
+    minRounds: 100,
+    zScore: 4,
+    webhookUrl: null,
+    killSwitch: 'off',
+    resolveModel: async (id) => (id === model.id ? model : null),
+    ...options
+  });
+
+  const spin = (monitor, win, overrides = {}) => monitor.recordSpin({
+    playerId: 'player-1',
+    mathModelId: model.id,
+    currency: 'USD',
+    betAmount: 1,
+    win,
+    ...overrides
+  });
+
+  const spinMany = async (monitor, count, win) => {
+    for (let i = 0; i < count; i++) {
+      await spin(monitor, win);
+    }
+  };
+
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  afterAll(() => {
+    GameValidation.stopRateLimitCleanup();
+  });
+
+  test('places bets in levels by their USD value', () => {
+    expect(getBetLevel(1, 'USD')).toBe('low');
+    expect(getBetLevel(500, 'JPY')).toBe('medium');
+    expect(getBetLevel(50, 'EUR')).toBe('high');
+    expect(getBetLevel(1000, 'BRL')).toBe('vip');
+  });
+
+  test('derives the control band from volatility and the stakes in the window', async () => {
+    const monitor = createMonitor({
+      resolveModel: async () => ({ artifact: { targetRtp: 0.96, volatility: { base: 2 } } })
+    });
+    await spin(monitor, 0, { betAmount: 1 });
+    await spin(monitor, 4, { betAmount: 1.5 });
+
+    const [series] = monitor.getStatus().series;
+    const standardError = 2 * Math.sqrt(1 + 2.25) / 2.5;
+    expect(series).toMatchObject({ gameMode: 'base', betLevel: 'low', rtpProfile: DEFAULT_RTP_PROFILE, rounds: 2 });
+    expect(series.observedRtp).toBeCloseTo(1.6);
+    expect(series.lowerBound).toBeCloseTo(0.96 - 4 * standardError);
+    expect(series.upperBound).toBeCloseTo(0.96 + 4 * standardError);
+    expect(series.zScore).toBeCloseTo((1.6 - 0.96) / standardError);
+  });
+
+  test('alerts when RTP leaves the band and again when it returns', async () => {
+    const monitor = createMonitor();
+    const alerts = [];
+    monitor.on('alert', alert => alerts.push(alert));
+
+    await spinMany(monitor, 100, 0.96);
+    expect(alerts).toHaveLength(0);
+
+    // After 150 rounds: (100 * 0.96 + 50 * 2) / 150 = 1.31 > 0.96 + 4 / sqrt(150) = 1.29
+    await spinMany(monitor, 100, 2);
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0]).toMatchObject({
+      kind: 'rtp_drift',
+      type: 'critical',
+      gameMode: 'base',
+      betLevel: 'low',
+      mathModelId: 'model-1',
+      rtpProfile: 'standard',
+      direction: 'above',
+      expectedRtp: 0.96,
+      rounds: 150,
+      killSwitch: false
+    });
+    expect(alerts[0].observedRtp).toBeGreaterThan(alerts[0].upperBound);
+    expect(monitor.getStatus().series[0].status).toBe('drift');
+
+    // Staying out of the band does not repeat the alert
+    await spinMany(monitor, 20, 2);
+    expect(alerts).toHaveLength(1);
+
+    await spinMany(monitor, 200, 0.96);
+    expect(alerts).toHaveLength(2);
+    expect(alerts[1]).toMatchObject({ kind: 'rtp_drift_recovered', type: 'info', direction: null });
+    expect(monitor.getStatus().series[0]).toMatchObject({ status: 'in_control', rounds: 200 });
+  });
+
+  test('stays quiet until the series holds the minimum number of rounds', async () => {
+    const monitor = createMonitor();
+    const alerts = [];
+    monitor.on('alert', alert => alerts.push(alert));
+
+    await spinMany(monitor, 90, 5);
+    expect(alerts).toHaveLength(0);
+    await spinMany(monitor, 10, 5);
+    expect(alerts).toHaveLength(1);
+  });
+
+  test('counts free spin wins towards the spin or purchase that paid for them', async () => {
+    const monitor = createMonitor();
+
+    await spin(monitor, 1, { freeSpinsNext: true });
+    await spin(monitor, 3, { freeSpin: true, freeSpinsNext: true });
+    await spin(monitor, 2, { freeSpin: true, freeSpinsNext: false });
+
+    await monitor.recordPurchase({ playerId: 'player-2', mathModelId: model.id, currency: 'USD', cost: 100, betAmount: 1 });
+    await spin(monitor, 40, { playerId: 'player-2', freeSpin: true, freeSpinsNext: true });
+    await spin(monitor, 20, { playerId: 'player-2', freeSpin: true, freeSpinsNext: false });
+
+    const series = monitor.getStatus().series;
+    const base = series.find(entry => entry.gameMode === 'base');
+    const bought = series.find(entry => entry.gameMode === 'buy_feature');
+    expect(base).toMatchObject({ rounds: 1, observedRtp: 6 });
+    expect(bought).toMatchObject({ rounds: 1, betLevel: 'low', observedRtp: 0.6, standardDeviation: 2.5 });
+    expect(monitor.openFeatures.size).toBe(0);
+  });
+
+  test('ignores plays of unknown models', async () => {
+    const monitor = createMonitor();
+    await spin(monitor, 1, { mathModelId: 'missing' });
+    await spin(monitor, 1, { mathModelId: null });
+    expect(monitor.getStatus().series).toHaveLength(0);
+  });
+
+  test('posts signed alerts to the webhook', async () => {
+    const requests = [];
+    const monitor = createMonitor({
+      webhookUrl: 'https://alerts.example.com/rtp',
+      webhookSecret: 'webhook-secret',
+      fetchImpl: async (url, options) => {
+        requests.push({ url, options });
+        return { ok: true, status: 200 };
+      }
+    });
+
+    await spinMany(monitor, 100, 3);
+    await flush();
+
+    expect(requests).toHaveLength(1);
+    const { url, options } = requests[0];
+    expect(url).toBe('https://alerts.example.com/rtp');
+    expect(JSON.parse(options.body)).toMatchObject({ kind: 'rtp_drift', direction: 'above' });
+    expect(options.headers[SIGNATURE_HEADER])
+      .toBe(signPayload('webhook-secret', options.headers[TIMESTAMP_HEADER], options.body));
+  });
+
+  test('trips the kill switch only for the configured direction', async () => {
+    const emergencyStop = { activate: jest.fn().mockResolvedValue({ alreadyActive: false }) };
+
+    const below = createMonitor({ killSwitch: 'below', emergencyStop });
+    await spinMany(below, 100, 3);
+    await flush();
+    expect(emergencyStop.activate).not.toHaveBeenCalled();
+
+    const above = createMonitor({ killSwitch: 'above', emergencyStop });
+    await spinMany(above, 100, 3);
+    await flush();
+    expect(emergencyStop.activate).toHaveBeenCalledTimes(1);
+    expect(emergencyStop.activate.mock.calls[0][0]).toMatchObject({
+      source: 'rtp_monitor',
+      details: { kind: 'rtp_drift', killSwitch: true }
+    });
+  });
+
+  test('rejects an unknown kill switch setting', () => {
+    expect(() => createMonitor({ killSwitch: 'sometimes' })).toThrow('RTP_KILL_SWITCH');
+  });
+
+  describe('Emergency stop', () => {
+    const stopRow = (overrides = {}) => ({
+      id: 'stop-1',
+      reason: 'RTP kill switch: drift',
+      source: 'rtp_monitor',
+      details: null,
+      activated_by: null,
+      activated_at: new Date(),
+      released_at: null,
+      ...overrides
+    });
+
+    test('records a stop once and releases it', async () => {
+      const service = new EmergencyStopService();
+      const queries = [];
+      let active = null;
+      service.pool = {
+        query: async (sql, params) => {
+          queries.push(sql);
+          if (sql.startsWith('SELECT')) {
+            return { rows: active ? [active] : [] };
+          }
+          if (sql.includes('INSERT')) {
+            active = stopRow({ reason: params[0], source: params[1] });
+            return { rows: [active] };
+          }
+          active = null;
+          return { rows: [stopRow({ released_at: new Date(), released_by: params[1], release_reason: params[2] })] };
+        }
+      };
+      const events = [];
+      service.on('activated', () => events.push('activated'));
+      service.on('released', () => events.push('released'));
+
+      const first = await service.activate({ reason: 'Manual halt', adminId: 'admin-1' });
+      expect(first).toMatchObject({ alreadyActive: false, stop: { id: 'stop-1', reason: 'Manual halt', source: 'admin' } });
+      expect(await service.isActive()).toBe(true);
+
+      const second = await service.activate({ reason: 'Another halt' });
+      expect(second.alreadyActive).toBe(true);
+      expect(queries.filter(sql => sql.includes('INSERT'))).toHaveLength(1);
+
+      const released = await service.release({ adminId: 'admin-1', reason: 'Fixed' });
+      expect(released).toMatchObject({ releasedBy: 'admin-1', releaseReason: 'Fixed' });
+      expect(await service.isActive()).toBe(false);
+      expect(events).toEqual(['activated', 'released']);
+      await expect(service.release({ adminId: 'admin-1' })).rejects.toMatchObject({ name: 'NotFoundError' });
+    });
+
+    test('halts this process when the stop cannot be recorded', async () => {
+      const service = new EmergencyStopService();
+      service.pool = { query: async () => { throw new Error('connection refused'); } };
+
+      const { stop } = await service.activate({ reason: 'RTP kill switch', source: 'rtp_monitor' });
+      expect(stop).toMatchObject({ id: null, source: 'rtp_monitor' });
+      expect(await service.getActiveStop({ refresh: true })).toBe(stop);
+    });
+
+    test('refuses spins and purchases with 503 GAME_HALTED while active', async () => {
+      const { activeStop, loadedAt } = emergencyStopService;
+      emergencyStopService.activeStop = { id: 'stop-1', reason: 'RTP drift', activatedAt: new Date() };
+      emergencyStopService.loadedAt = Date.now();
+
+      try {
+        for (const middleware of [GameValidation.validateSpinRequest, GameValidation.validateFeaturePurchase]) {
+          const res = { locals: {}, status: jest.fn().mockReturnThis(), json: jest.fn().mockReturnThis() };
+          const next = jest.fn();
+          await middleware({ user: { id: 'player-1' }, body: { betAmount: 1, featureType: 'free_spins', cost: 100 } }, res, next);
+
+          expect(next).not.toHaveBeenCalled();
+          expect(res.status).toHaveBeenCalledWith(503);
+          expect(res.json.mock.calls[0][0]).toMatchObject({ error: { code: 'GAME_HALTED' } });
+        }
+      } finally {
+        emergencyStopService.activeStop = activeStop;
+        emergencyStopService.loadedAt = loadedAt;
+      }
+    });
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * RTP Profile Tests
+ *
+ * Each profile ships a valid built-in model with its own weights, strips and
+ * multiplier table; sessions pick a profile at creation and spins record it.
+ */
+
+jest.mock('../../src/config/redis', () => ({
+  getRedisClient: () => ({
+    setex: jest.fn().mockResolvedValue('OK'),
+    get: jest.fn().mockResolvedValue(null)
+  })
+}));
+
+const GameEngine = require('../../src/game/gameEngine');
+const Player = require('../../src/models/Player');
+const Session = require('../../src/models/Session');
+const SessionManager = require('../../src/auth/sessionManager');
+const { getBuiltinModel, validateModel, toEngineOptions } = require('../../src/game/mathModel');
+const {
+  DEFAULT_RTP_PROFILE,
+  RTP_PROFILE_IDS,
+  getProfileModel,
+  parseOperatorProfiles,
+  resolveRtpProfile
+} = require('../../src/game/rtpProfiles');
+
+describe('RTP Profiles', () => {
+  const countSymbol = (strips, symbol) => strips.flat().filter(s => s === symbol).length;
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should ship a valid, distinct built-in model per profile', () => {
+    const checksums = new Set();
+
+    for (const profile of RTP_PROFILE_IDS) {
+      const model = getProfileModel(profile);
+      checksums.add(model.checksum);
+
+      expect(validateModel(model.artifact)).toEqual({ valid: true, errors: [] });
+      expect(model.artifact.paytable).toEqual(getBuiltinModel().artifact.paytable);
+    }
+
+    expect(checksums.size).toBe(RTP_PROFILE_IDS.length);
+    expect(getProfileModel(DEFAULT_RTP_PROFILE)).toBe(getBuiltinModel());
+
+    const low = getProfileModel('rtp-94').artifact;
+    const builtin = getBuiltinModel().artifact;
+    expect(low.targetRtp).toBe(0.94);
+    expect(low.reelStrips.version).toBe(`${builtin.reelStrips.version}-rtp-94`);
+    expect(countSymbol(low.reelStrips.base, 'time_gem')).toBe(countSymbol(builtin.reelStrips.base, 'time_gem') - 6);
+    expect(countSymbol(low.reelStrips.base, 'infinity_glove')).toBe(countSymbol(builtin.reelStrips.base, 'infinity_glove'));
+    expect(low.multipliers.random.WEIGHTED_TABLE).not.toEqual(builtin.multipliers.random.WEIGHTED_TABLE);
+  });
+
+  test('should prefer the player profile, then the operator, then the default', () => {
+    const operatorProfiles = parseOperatorProfiles('casino-eu=rtp-94, casino-mx=rtp-975,broken=rtp-50');
+
+    expect(operatorProfiles).toEqual({ 'casino-eu': 'rtp-94', 'casino-mx': 'rtp-975' });
+    expect(resolveRtpProfile({ playerProfile: 'rtp-975', operatorId: 'casino-eu', operatorProfiles })).toBe('rtp-975');
+    expect(resolveRtpProfile({ operatorId: 'casino-eu', operatorProfiles })).toBe('rtp-94');
+    expect(resolveRtpProfile({ playerProfile: 'rtp-1', operatorId: 'unknown', operatorProfiles })).toBe(DEFAULT_RTP_PROFILE);
+    expect(resolveRtpProfile({ operatorProfiles, defaultProfile: 'rtp-975' })).toBe('rtp-975');
+  });
+
+  test('should bind the session to the resolved profile at creation', async () => {
+    const player = {
+      rtp_profile: null,
+      isActive: () => true,
+      isAdmin: () => false,
+      isSelfExcluded: () => false,
+      getSafeData: () => ({ id: 'player-1', rtp_profile: null }),
+      updateLastLogin: jest.fn().mockResolvedValue()
+    };
+    jest.spyOn(Player, 'findByPk').mockResolvedValue(player);
+    const createSpy = jest.spyOn(Session, 'createSession')
+      .mockImplementation(async (data) => ({ id: 'session-1', created_at: new Date(), ...data }));
+    const previous = process.env.OPERATOR_RTP_PROFILES;
+    process.env.OPERATOR_RTP_PROFILES = 'casino-eu=rtp-94';
+
+    try {
+      const result = await SessionManager.createSession('player-1', { operator_id: 'casino-eu' });
+
+      expect(result.success).toBe(true);
+      expect(result.session.rtp_profile).toBe('rtp-94');
+      expect(createSpy).toHaveBeenCalledWith(expect.objectContaining({ rtp_profile: 'rtp-94' }));
+
+      player.rtp_profile = 'rtp-975';
+      const override = await SessionManager.createSession('player-1', { operator_id: 'casino-eu' });
+      expect(override.session.rtp_profile).toBe('rtp-975');
+    } finally {
+      if (previous === undefined) {
+        delete process.env.OPERATOR_RTP_PROFILES;
+      } else {
+        process.env.OPERATOR_RTP_PROFILES = previous;
+      }
+    }
+  });
+
+  test('should record the profile on spins and refuse another profile', async () => {
+    const model = getProfileModel('rtp-975');
+    const engine = new GameEngine(toEngineOptions(model));
+    const request = {
+      betAmount: 1,
+      playerId: 'test-player',
+      sessionId: 'test-session',
+      quickSpinMode: true,
+      rngSeed: 'fe'.repeat(32)
+    };
+
+    const result = await engine.processCompleteSpin({ ...request, rtpProfile: 'rtp-975' });
+
+    expect(result.rtpProfile).toBe('rtp-975');
+    expect(result.metadata.rtpProfile).toBe('rtp-975');
+    expect(result.metadata.mathModel.id).toBe(model.id);
+    await expect(engine.processCompleteSpin({ ...request, rtpProfile: 'rtp-94' }))
+      .rejects.toThrow('RTP profile rtp-94 requested from an engine playing rtp-975');
+  });
+});
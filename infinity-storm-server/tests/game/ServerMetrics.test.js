@@ -0,0 +1,201 @@
+/**
+ * Server Metrics Tests
+ *
+ * The OpenMetrics registry (text formats, histogram buckets, label set cap),
+ * the game server's metrics (spins, live RTP, wallet outcomes, counters read
+ * from other modules) and the token check on GET /metrics.
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { Registry } = require('../../src/utils/openMetrics');
+const { ServerMetrics } = require('../../src/services/serverMetrics');
+const metricsRoutes = require('../../src/routes/metrics');
+
+describe('Server Metrics', () => {
+  const lines = text => text.trim().split('\n');
+
+  describe('Registry', () => {
+    test('renders counters, gauges and histograms in the OpenMetrics format', async () => {
+      const registry = new Registry({ prefix: 'test_' });
+      registry.counter({ name: 'requests', help: 'Requests', labelNames: ['path'] }).inc({ path: '/a"b' }, 2);
+      registry.gauge({ name: 'open', help: 'Open "things"' }).set({}, 3);
+      const latency = registry.histogram({ name: 'latency_seconds', help: 'Latency', buckets: [1, 0.1] });
+      [0.05, 0.5, 5].forEach(value => latency.observe({}, value));
+
+      const text = await registry.render();
+
+      expect(lines(text)).toEqual(expect.arrayContaining([
+        '# TYPE test_requests counter',
+        'test_requests_total{path="/a\\"b"} 2',
+        '# HELP test_open Open \\"things\\"',
+        'test_open 3',
+        '# TYPE test_latency_seconds histogram',
+        'test_latency_seconds_bucket{le="0.1"} 1',
+        'test_latency_seconds_bucket{le="1"} 2',
+        'test_latency_seconds_bucket{le="+Inf"} 3',
+        'test_latency_seconds_count 3',
+        'test_latency_seconds_sum 5.55'
+      ]));
+      expect(text.endsWith('# EOF\n')).toBe(true);
+    });
+
+    test('names counter families after their samples in the Prometheus text format', async () => {
+      const registry = new Registry();
+      registry.counter({ name: 'requests', help: 'Requests' }).inc();
+
+      const text = await registry.render({ openMetrics: false });
+
+      expect(lines(text)).toContain('# TYPE requests_total counter');
+      expect(lines(text)).toContain('requests_total 1');
+      expect(text).not.toContain('# EOF');
+    });
+
+    test('folds label sets beyond the cap into one overflow series', async () => {
+      const registry = new Registry({ maxSeries: 2 });
+      const counter = registry.counter({ name: 'hits', help: 'Hits', labelNames: ['code'] });
+      ['A', 'B', 'C', 'D', 'A'].forEach(code => counter.inc({ code }));
+
+      const text = await registry.render();
+
+      expect(lines(text)).toEqual(expect.arrayContaining([
+        'hits_total{code="A"} 2',
+        'hits_total{code="B"} 1',
+        'hits_total{code="other"} 2',
+        'metrics_label_overflow_total{metric="hits"} 2'
+      ]));
+      expect(text).not.toContain('code="C"');
+    });
+
+    test('rejects invalid names and decreasing counters', () => {
+      const registry = new Registry();
+      expect(() => registry.gauge({ name: 'bad-name', help: 'x' })).toThrow('Invalid metric name');
+      expect(() => registry.gauge({ name: 'ok', help: 'x', labelNames: ['le'] })).toThrow('Invalid label name');
+      const counter = registry.counter({ name: 'total', help: 'x' });
+      expect(() => counter.inc({}, -1)).toThrow('cannot decrease');
+    });
+  });
+
+  describe('ServerMetrics', () => {
+    test('reports live RTP per profile with currencies weighed by ladder scale', async () => {
+      const metrics = new ServerMetrics();
+      metrics.recordSpin({
+        rtpProfile: 'rtp-965', currency: 'USD', gameMode: 'base', stake: 1, win: 0.5, cascades: 2, realMoney: true
+      });
+      metrics.recordSpin({
+        rtpProfile: 'rtp-965', currency: 'JPY', gameMode: 'base', stake: 100, win: 250, cascades: 0, realMoney: true
+      });
+      metrics.recordSpin({
+        rtpProfile: 'rtp-965', currency: 'USD', gameMode: 'free_spins', win: 1.5, cascades: 5, realMoney: true
+      });
+      metrics.recordPurchase({ rtpProfile: 'rtp-965', currency: 'USD', amount: 2 });
+      // Demo play is counted but stays out of money and RTP figures
+      metrics.recordSpin({
+        rtpProfile: 'rtp-965', currency: 'USD', gameMode: 'base', stake: 50, win: 0, cascades: 1, realMoney: false
+      });
+
+      const text = await metrics.render();
+
+      // (0.5 + 2.5 + 1.5) won for (1 + 1 + 2) staked in USD terms
+      expect(lines(text)).toEqual(expect.arrayContaining([
+        'infinity_storm_rtp_ratio{rtp_profile="rtp-965"} 1.125',
+        'infinity_storm_rtp_window_rounds{rtp_profile="rtp-965"} 3',
+        'infinity_storm_rtp_target_ratio{rtp_profile="rtp-94"} 0.94',
+        'infinity_storm_stake_total{rtp_profile="rtp-965",currency="JPY"} 100',
+        'infinity_storm_stake_total{rtp_profile="rtp-965",currency="USD"} 3',
+        'infinity_storm_win_total{rtp_profile="rtp-965",currency="USD"} 2',
+        'infinity_storm_spins_total{game_mode="base",rtp_profile="rtp-965",real_money="false"} 1',
+        'infinity_storm_spin_cascades_bucket{game_mode="free_spins",le="4"} 0',
+        'infinity_storm_spin_cascades_bucket{game_mode="free_spins",le="5"} 1'
+      ]));
+    });
+
+    test('drops play older than the RTP window', async () => {
+      const metrics = new ServerMetrics({ rtpWindowMinutes: 60 });
+      const now = Date.now();
+      metrics.addPlay({ rtpProfile: 'rtp-94', currency: 'USD', stake: 10, win: 100, rounds: 1 }, now - 61 * 60000);
+      metrics.addPlay({ rtpProfile: 'rtp-94', currency: 'USD', stake: 10, win: 5, rounds: 1 }, now);
+
+      const text = await metrics.render();
+
+      expect(lines(text)).toContain('infinity_storm_rtp_ratio{rtp_profile="rtp-94"} 0.5');
+      expect(lines(text)).toContain('infinity_storm_stake_total{rtp_profile="rtp-94",currency="USD"} 20');
+    });
+
+    test('counts wallet outcomes by error code and rethrows', async () => {
+      const metrics = new ServerMetrics();
+      await expect(metrics.trackWalletOperation('seamless', 'debit', async () => ({ success: true })))
+        .resolves.toEqual({ success: true });
+      const failure = Object.assign(new Error('No funds'), { code: 'INSUFFICIENT_FUNDS' });
+      await expect(metrics.trackWalletOperation('seamless', 'debit', async () => { throw failure; }))
+        .rejects.toBe(failure);
+
+      const text = await metrics.render();
+
+      expect(lines(text)).toEqual(expect.arrayContaining([
+        'infinity_storm_wallet_operations_total{provider="seamless",operation="debit",outcome="success"} 1',
+        'infinity_storm_wallet_operations_total{provider="seamless",operation="debit",outcome="INSUFFICIENT_FUNDS"} 1',
+        'infinity_storm_wallet_operation_duration_seconds_count{provider="seamless",operation="debit"} 2'
+      ]));
+    });
+
+    test('sums counters of watched modules across instances', async () => {
+      const metrics = new ServerMetrics();
+      const antiCheat = violations => ({ getStats: () => ({ violations }) });
+      metrics.watch({
+        io: { engine: { clientsCount: 7 } },
+        rng: { getStatistics: () => ({ totalCalls: 40, entropyConsumed: 160 }) },
+        antiCheat: antiCheat({ spin_request: { rapid_fire_spinning: 2 } })
+      });
+      metrics.watch({ antiCheat: antiCheat({ spin_request: { rapid_fire_spinning: 1 }, state_update: { x: 4 } }) });
+
+      const text = await metrics.render();
+
+      expect(lines(text)).toEqual(expect.arrayContaining([
+        'infinity_storm_socketio_connections 7',
+        'infinity_storm_rng_calls_total 40',
+        'infinity_storm_anticheat_violations_total{check="spin_request",type="rapid_fire_spinning"} 3',
+        'infinity_storm_anticheat_violations_total{check="state_update",type="x"} 4'
+      ]));
+    });
+  });
+
+  describe('GET /metrics', () => {
+    const app = express().use('/metrics', metricsRoutes);
+    const originalToken = process.env.METRICS_TOKEN;
+    const originalEnv = process.env.NODE_ENV;
+
+    afterEach(() => {
+      process.env.NODE_ENV = originalEnv;
+      if (originalToken === undefined) {
+        delete process.env.METRICS_TOKEN;
+      } else {
+        process.env.METRICS_TOKEN = originalToken;
+      }
+    });
+
+    test('requires the bearer token when one is configured', async () => {
+      process.env.METRICS_TOKEN = 'scrape-secret';
+
+      const denied = await request(app).get('/metrics').set('Authorization', 'Bearer wrong');
+      expect(denied.status).toBe(401);
+      expect(denied.headers['www-authenticate']).toContain('Bearer');
+
+      const scraped = await request(app)
+        .get('/metrics')
+        .set('Authorization', 'Bearer scrape-secret')
+        .set('Accept', 'application/openmetrics-text; version=1.0.0');
+      expect(scraped.status).toBe(200);
+      expect(scraped.headers['content-type']).toContain('application/openmetrics-text');
+      expect(scraped.text).toContain('# TYPE infinity_storm_spin_duration_seconds histogram');
+    });
+
+    test('is disabled in production without a token', async () => {
+      delete process.env.METRICS_TOKEN;
+      process.env.NODE_ENV = 'production';
+
+      const response = await request(app).get('/metrics');
+      expect(response.status).toBe(404);
+    });
+  });
+});
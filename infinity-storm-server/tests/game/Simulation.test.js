@@ -0,0 +1,66 @@
+/**
+ * Monte Carlo Simulation Tests
+ *
+ * Small runs through the real engine: the RTP split adds up, the report is
+ * reproducible from its seed regardless of worker count, and CSV output is
+ * well formed.
+ */
+
+const { getBuiltinModel } = require('../../src/game/mathModel');
+const {
+  HISTOGRAM_BUCKETS,
+  SimulationStats,
+  buildReport,
+  formatCsv,
+  runSimulation
+} = require('../../src/game/simulation');
+
+describe('Monte Carlo Simulation', () => {
+  const model = getBuiltinModel();
+  const withoutTiming = ({ performance: _performance, config, ...report }) => ({ ...report, config: { ...config, workers: null } });
+
+  test('should split RTP into parts that add up to the total', async () => {
+    const report = await runSimulation({ rounds: 200, model, seed: 'split', workers: 1 });
+    const { rtp } = report;
+
+    expect(report.config.rounds).toBe(200);
+    expect(report.config.mathModelId).toBe(model.id);
+    expect(rtp.baseGame + rtp.randomMultipliers + rtp.scatterPays + rtp.freeSpins).toBeCloseTo(rtp.total, 2);
+    expect(report.histogram).toHaveLength(HISTOGRAM_BUCKETS.length);
+    expect(report.histogram.reduce((sum, bucket) => sum + bucket.count, 0)).toBe(200);
+    expect(report.confidenceIntervals['95'].low).toBeLessThanOrEqual(rtp.total);
+    expect(report.confidenceIntervals['95'].high).toBeGreaterThanOrEqual(rtp.total);
+    expect(report.hitFrequency.round).toBeGreaterThanOrEqual(report.hitFrequency.baseSpin);
+  }, 60000);
+
+  test('should reproduce the same report from a seed across worker counts', async () => {
+    const single = await runSimulation({ rounds: 60, model, seed: 'repeat', workers: 1 });
+    const split = await runSimulation({ rounds: 60, model, seed: 'repeat', workers: 2 });
+
+    expect(split.config.workers).toBe(2);
+    expect(withoutTiming(split)).toEqual(withoutTiming(single));
+  }, 60000);
+
+  test('should count max wins and format the report as CSV', () => {
+    const stats = new SimulationStats();
+    stats.recordRound({ baseSpinWin: 0, baseGame: 0, randomMultipliers: 0, scatterPays: 0, freeSpins: 0, freeSpinsPlayed: 0, retriggers: 0 }, 5000);
+    stats.recordRound({ baseSpinWin: 3, baseGame: 1, randomMultipliers: 0, scatterPays: 2, freeSpins: 4997, freeSpinsPlayed: 20, retriggers: 1 }, 5000);
+
+    const report = buildReport(stats, {
+      seed: 'csv',
+      betAmount: 1,
+      workers: 1,
+      durationMs: 10,
+      model: { id: model.id, checksum: model.checksum, rtpProfile: null, targetRtp: 0.965, maxWinMultiplier: 5000 }
+    });
+    const csv = formatCsv(report).trim().split('\n');
+
+    expect(report.maxWin).toMatchObject({ hits: 1, frequency: 50, oneIn: 2, largestRoundWin: 5000 });
+    expect(report.freeSpins).toMatchObject({ triggers: 1, spinsPlayed: 20, retriggers: 1 });
+    expect(report.histogram[HISTOGRAM_BUCKETS.length - 1].count).toBe(1);
+    expect(csv[0]).toBe('section,metric,value,count,share');
+    expect(csv).toContain('rtp,total,250000,,');
+    expect(csv).toContain('histogram,5000x+,250000,1,50');
+    expect(csv).toContain(`confidenceIntervals,95.low,${report.confidenceIntervals['95'].low},,`);
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Spin Detail Tests
+ *
+ * A stored spin must give the history viewer everything it needs to replay the
+ * spin cascade by cascade, with the step wins adding up to what was paid, and
+ * nothing that is only meant for the deterministic replay.
+ */
+
+const crypto = require('crypto');
+const GameEngine = require('../../src/game/gameEngine');
+const SpinReplay = require('../../src/game/spinReplay');
+const { buildSpinDetail } = require('../../src/game/spinDetail');
+
+describe('Spin Detail', () => {
+  let engine;
+
+  // A spin persisted the way GameController stores it
+  const playAndPersist = async (overrides = {}) => {
+    const spinRequest = {
+      betAmount: 1,
+      playerId: 'test-player',
+      sessionId: 'test-session',
+      quickSpinMode: true,
+      rngSeed: crypto.randomBytes(32).toString('hex'),
+      ...overrides
+    };
+    const result = await engine.processCompleteSpin(spinRequest);
+    const replayContext = SpinReplay.buildReplayContext(spinRequest, result);
+
+    return {
+      id: crypto.randomUUID(),
+      player_id: spinRequest.playerId,
+      bet_amount: spinRequest.betAmount.toFixed(2),
+      initial_grid: result.initialGrid,
+      cascades: JSON.parse(JSON.stringify(result.cascadeSteps)),
+      total_win: result.totalWin.toFixed(2),
+      multipliers_applied: result.bonusFeatures.randomMultipliers.map(m => ({
+        multiplier: m.multiplier,
+        position: m.position,
+        type: m.type || 'random'
+      })),
+      rng_seed: result.rngSeed,
+      game_mode: spinRequest.freeSpinsActive ? 'free_spins' : 'base',
+      replay_context: JSON.parse(JSON.stringify(replayContext)),
+      math_model_id: result.metadata?.mathModel?.id || null,
+      rtp_profile: 'rtp-965',
+      created_at: new Date('2026-10-18T12:00:00Z')
+    };
+  };
+
+  const playUntil = async (predicate, overrides) => {
+    for (let i = 0; i < 200; i++) {
+      const row = await playAndPersist(overrides);
+      if (predicate(row)) {
+        return row;
+      }
+    }
+    throw new Error('No matching spin in 200 attempts');
+  };
+
+  beforeAll(() => {
+    engine = new GameEngine();
+  });
+
+  test('chains the cascade steps from the initial grid', async () => {
+    const row = await playUntil(candidate => candidate.cascades.length >= 2);
+    const detail = buildSpinDetail(row);
+
+    expect(detail.spinId).toBe(row.id);
+    expect(detail.betAmount).toBe(1);
+    expect(detail.initialGrid).toEqual(row.initial_grid);
+    expect(detail.cascades).toHaveLength(row.cascades.length);
+    expect(detail.cascades[0].gridStateBefore).toEqual(row.initial_grid);
+
+    detail.cascades.forEach((step, index) => {
+      expect(step.stepIndex).toBe(index);
+      expect(step.winningClusters.length).toBeGreaterThan(0);
+      step.winningClusters.forEach(cluster => {
+        expect(cluster.clusterSize).toBe(cluster.positions.length);
+        expect(cluster.clusterSize).toBeGreaterThanOrEqual(8);
+      });
+      expect(step.newSymbols.every(entry => entry.symbolType && entry.position)).toBe(true);
+      if (index > 0) {
+        expect(step.gridStateBefore).toEqual(detail.cascades[index - 1].gridStateAfter);
+      }
+    });
+  });
+
+  test('accounts for the whole payout', async () => {
+    const row = await playUntil(candidate => Number(candidate.total_win) > 0);
+    const detail = buildSpinDetail(row);
+
+    const stepWins = detail.cascades.reduce((sum, step) => sum + step.winAmount, 0);
+    expect(detail.clusterWin).toBeCloseTo(stepWins, 2);
+    expect(detail.clusterWin + detail.otherWin).toBeCloseTo(detail.totalWin, 2);
+    expect(detail.totalWin).toBe(Number(row.total_win));
+    expect(detail.multipliers).toHaveLength(row.multipliers_applied.length);
+  });
+
+  test('carries the free spins multiplier and leaves replay-only data out', async () => {
+    const row = await playAndPersist({
+      freeSpinsActive: true,
+      freeSpinsRemaining: 5,
+      accumulatedMultiplier: 4,
+      multiplierCount: 2
+    });
+    const detail = buildSpinDetail(row);
+
+    expect(detail.gameMode).toBe('free_spins');
+    expect(detail.freeSpins.accumulatedMultiplier).toBe(4);
+    expect(detail.freeSpins.newAccumulatedMultiplier).toBeGreaterThanOrEqual(4);
+
+    const json = JSON.stringify(detail);
+    expect(json).not.toContain(row.rng_seed);
+    expect(json).not.toMatch(/Hash|rngSeed|stopPositions/);
+  });
+
+  test('handles rows without cascades or replay context', () => {
+    const detail = buildSpinDetail({
+      id: 'spin-1',
+      bet_amount: '2.00',
+      total_win: '0.00',
+      initial_grid: [['time_gem']],
+      cascades: null,
+      multipliers_applied: null
+    });
+
+    expect(detail.cascades).toEqual([]);
+    expect(detail.multipliers).toEqual([]);
+    expect(detail.freeSpins).toBeNull();
+    expect(detail.gameMode).toBe('base');
+    expect(detail.otherWin).toBe(0);
+  });
+});
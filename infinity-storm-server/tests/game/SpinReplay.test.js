@@ -0,0 +1,122 @@
+/**
+ * Spin Replay Tests
+ *
+ * A spin persisted the way GameController stores it must replay to an identical
+ * result, including random multipliers and free-spins accumulation.
+ */
+
+const crypto = require('crypto');
+const GameEngine = require('../../src/game/gameEngine');
+const SpinReplay = require('../../src/game/spinReplay');
+
+describe('Deterministic Spin Replay', () => {
+  let liveEngine;
+  let replay;
+
+  const playAndPersist = async (overrides = {}) => {
+    const spinRequest = {
+      betAmount: 1,
+      playerId: 'test-player',
+      sessionId: 'test-session',
+      quickSpinMode: true,
+      rngSeed: crypto.randomBytes(32).toString('hex'),
+      ...overrides
+    };
+    const result = await liveEngine.processCompleteSpin(spinRequest);
+    const replayContext = SpinReplay.buildReplayContext(spinRequest, result);
+
+    return {
+      id: crypto.randomUUID(),
+      player_id: spinRequest.playerId,
+      session_id: spinRequest.sessionId,
+      bet_amount: spinRequest.betAmount.toFixed(2),
+      initial_grid: result.initialGrid,
+      cascades: JSON.parse(JSON.stringify(result.cascadeSteps)),
+      total_win: result.totalWin.toFixed(2),
+      multipliers_applied: result.bonusFeatures.randomMultipliers.map(m => ({
+        multiplier: m.multiplier,
+        position: m.position
+      })),
+      rng_seed: result.rngSeed,
+      game_mode: spinRequest.freeSpinsActive ? 'free_spins' : 'base',
+      strip_version: replayContext.reelStrips.stripVersion,
+      replay_context: JSON.parse(JSON.stringify(replayContext))
+    };
+  };
+
+  beforeAll(() => {
+    liveEngine = new GameEngine();
+    replay = new SpinReplay();
+  });
+
+  test('should reproduce base game spins exactly', async () => {
+    for (let i = 0; i < 25; i++) {
+      const row = await playAndPersist();
+      const report = await replay.replay(row);
+
+      expect(report.differences).toEqual([]);
+      expect(report.status).toBe('match');
+      expect(report.contextInferred).toBe(false);
+    }
+  });
+
+  test('should reproduce free spins with accumulated multipliers', async () => {
+    for (let i = 0; i < 25; i++) {
+      const row = await playAndPersist({
+        freeSpinsActive: true,
+        freeSpinsRemaining: 8,
+        accumulatedMultiplier: 6,
+        multiplierCount: 3
+      });
+      const report = await replay.replay(row);
+
+      expect(report.differences).toEqual([]);
+      expect(report.replayed.freeSpins.newAccumulatedMultiplier)
+        .toBe(row.replay_context.outcome.newAccumulatedMultiplier);
+    }
+  });
+
+  test('should draw identical random multipliers for the same seed', async () => {
+    const rngSeed = 'c0ffee'.repeat(10) + 'beef';
+    const request = { betAmount: 1, playerId: 'p', sessionId: 's', quickSpinMode: true, rngSeed };
+    const first = await liveEngine.processCompleteSpin(request);
+    const second = await liveEngine.processCompleteSpin(request);
+
+    expect(second.bonusFeatures.randomMultipliers).toEqual(first.bonusFeatures.randomMultipliers);
+    expect(second.totalWin).toBe(first.totalWin);
+  });
+
+  test('should report differences for a tampered spin', async () => {
+    const row = await playAndPersist();
+    row.total_win = (Number(row.total_win) + 10).toFixed(2);
+    row.initial_grid[0][0] = row.initial_grid[0][0] === 'thanos' ? 'time_gem' : 'thanos';
+
+    const report = await replay.replay(row);
+
+    expect(report.status).toBe('mismatch');
+    expect(report.differences.map(d => d.path)).toEqual(
+      expect.arrayContaining(['initialGrid', 'totalWin'])
+    );
+  });
+
+  test('should refuse to replay spins from a different strip version', async () => {
+    const row = await playAndPersist();
+    row.strip_version = '0.0.1';
+
+    const report = await replay.replay(row);
+
+    expect(report.status).toBe('unreplayable');
+    expect(report.reason).toBe('strip_version_mismatch');
+  });
+
+  test('should fall back to inferred context for legacy rows', async () => {
+    const row = await playAndPersist();
+    row.replay_context = null;
+    row.strip_version = null;
+
+    const report = await replay.replay(row);
+
+    expect(report.contextInferred).toBe(true);
+    expect(report.status).toBe('match');
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Spin Round Tests
+ *
+ * The pending -> bet_taken -> settled / rolled_back state machine and the
+ * reconciliation job that completes or refunds spins interrupted between the
+ * bet and the win.
+ */
+
+jest.mock('../../src/services/financialTransactionLogger', () => ({
+  logWinPayout: jest.fn(),
+  logBetRefund: jest.fn(),
+  logSpinReconciliation: jest.fn()
+}));
+
+const spinRoundService = require('../../src/services/spinRoundService');
+const financialLogger = require('../../src/services/financialTransactionLogger');
+const { setWalletProvider } = require('../../src/services/walletProvider');
+
+const { canTransition, planReconciliation } = spinRoundService;
+
+describe('Spin Rounds', () => {
+  const originalPool = spinRoundService.pool;
+
+  const roundRow = (overrides = {}) => ({
+    id: 'round-1',
+    spin_id: 'spin_1',
+    player_id: 'player-1',
+    session_id: null,
+    wallet_mode: 'seamless',
+    status: 'bet_taken',
+    bet_amount: '2.00',
+    win_amount: null,
+    refund_amount: null,
+    bet_transaction_id: 'op-bet-1',
+    win_transaction_id: null,
+    spin_result_id: null,
+    reconcile_attempts: 0,
+    last_error: null,
+    ...overrides
+  });
+
+  // In-memory spin_rounds table answering the queries spinRoundService makes
+  const createPool = (rows) => {
+    const table = new Map(rows.map(row => [row.id, { ...row }]));
+    const bySpinId = (spinId) => [...table.values()].find(row => row.spin_id === spinId);
+
+    return {
+      table,
+      query: jest.fn(async (sql, params) => {
+        if (sql.includes('SELECT id FROM spin_rounds')) {
+          return { rows: [...table.values()].filter(row => ['pending', 'bet_taken'].includes(row.status)) };
+        }
+        if (sql.includes('reconcile_attempts = reconcile_attempts + 1')) {
+          const row = table.get(params[0]);
+          row.reconcile_attempts++;
+          return { rows: [row] };
+        }
+        if (sql.includes('SET status')) {
+          const [to, spinId, from, ...values] = params;
+          const row = bySpinId(spinId);
+          if (!row || !from.includes(row.status)) {
+            return { rows: [] };
+          }
+          const columns = [...sql.matchAll(/(\w+) = \$(\d+)/g)].filter(([, , index]) => Number(index) > 3);
+          columns.forEach(([, column], i) => { row[column] = values[i]; });
+          row.status = to;
+          return { rows: [row] };
+        }
+        if (sql.includes('SET last_error')) {
+          bySpinId(params[0]).last_error = params[1];
+          return { rows: [] };
+        }
+        throw new Error(`Unexpected query: ${sql}`);
+      })
+    };
+  };
+
+  const createProvider = () => ({
+    mode: 'seamless',
+    isRemote: true,
+    getBalance: jest.fn(async () => ({ balance: 50 })),
+    credit: jest.fn(async ({ amount, referenceId }) => ({
+      transaction: { id: 'op-win-1', amount, reference_id: referenceId },
+      balance: { previous: 50, current: 50 + amount }
+    })),
+    rollback: jest.fn(async ({ amount, referenceId }) => ({
+      transaction: { id: 'op-refund-1', amount: referenceId === 'spin_unknown' ? 0 : amount },
+      balance: { previous: 50, current: referenceId === 'spin_unknown' ? 50 : 50 + amount }
+    }))
+  });
+
+  beforeEach(() => {
+    financialLogger.logWinPayout.mockResolvedValue({ success: true });
+    financialLogger.logBetRefund.mockResolvedValue({ success: true });
+    financialLogger.logSpinReconciliation.mockResolvedValue({ success: true });
+  });
+
+  afterEach(() => {
+    jest.clearAllMocks();
+    spinRoundService.pool = originalPool;
+    setWalletProvider(null);
+  });
+
+  test('allows only forward transitions and plans reconciliation from the saved state', () => {
+    expect(canTransition('pending', 'bet_taken')).toBe(true);
+    expect(canTransition('bet_taken', 'settled')).toBe(true);
+    expect(canTransition('bet_taken', 'pending')).toBe(false);
+    expect(canTransition('settled', 'rolled_back')).toBe(false);
+
+    expect(planReconciliation({ status: 'bet_taken', spinResultId: 'uuid', walletMode: 'seamless' })).toBe('complete');
+    expect(planReconciliation({ status: 'bet_taken', spinResultId: null, walletMode: 'seamless' })).toBe('refund');
+    expect(planReconciliation({ status: 'pending', spinResultId: null, walletMode: 'seamless' })).toBe('refund');
+    expect(planReconciliation({ status: 'pending', spinResultId: null, walletMode: 'transfer' })).toBe('abandon');
+  });
+
+  test('rejects transitions out of a closed round', async () => {
+    const pool = createPool([roundRow({ status: 'settled' })]);
+    spinRoundService.pool = pool;
+
+    await expect(spinRoundService.markBetTaken({ spinId: 'spin_1', transactionId: 'tx' }))
+      .rejects.toMatchObject({ name: 'ConflictError' });
+    await expect(spinRoundService.transition({ spinId: 'spin_1', to: 'settled', fields: { status: 'x' } }))
+      .rejects.toMatchObject({ name: 'ValidationError' });
+  });
+
+  test('completes, refunds and closes interrupted rounds with an audit record for each', async () => {
+    const pool = createPool([
+      roundRow({ id: 'r1', spin_id: 'spin_saved', spin_result_id: 'result-uuid', win_amount: '7.50' }),
+      roundRow({ id: 'r2', spin_id: 'spin_lost' }),
+      roundRow({ id: 'r3', spin_id: 'spin_unknown', status: 'pending', bet_transaction_id: null }),
+      roundRow({ id: 'r4', spin_id: 'spin_transfer', wallet_mode: 'transfer' })
+    ]);
+    spinRoundService.pool = pool;
+    const provider = createProvider();
+    setWalletProvider(provider);
+
+    const summary = await spinRoundService.reconcile({ olderThanMs: 0 });
+
+    expect(summary).toEqual({ completed: 1, refunded: 2, abandoned: 0, failed: 1 });
+
+    // Saved spin: the win is resent with the original reference, then the round settles
+    expect(provider.credit).toHaveBeenCalledWith(expect.objectContaining({ amount: 7.5, referenceId: 'spin_saved' }));
+    expect(pool.table.get('r1')).toMatchObject({ status: 'settled', win_transaction_id: 'op-win-1' });
+    expect(financialLogger.logWinPayout)
+      .toHaveBeenCalledWith('player-1', 7.5, 50, 57.5, 'spin_saved', { reconciled: true });
+
+    // Spin never saved: the bet is refunded
+    expect(pool.table.get('r2')).toMatchObject({ status: 'rolled_back', refund_amount: 2 });
+    expect(financialLogger.logBetRefund)
+      .toHaveBeenCalledWith('player-1', 2, 50, 52, 'spin_lost', 'reconciled: spin did not complete');
+
+    // The operator never saw the debit: nothing to refund, the closure is still audited
+    expect(pool.table.get('r3')).toMatchObject({ status: 'rolled_back', refund_amount: 0 });
+    expect(financialLogger.logSpinReconciliation)
+      .toHaveBeenCalledWith('player-1', 'spin_unknown', 'rolled_back', 50, expect.any(Object));
+
+    // Played with another wallet mode: left open with the reason
+    expect(pool.table.get('r4').status).toBe('bet_taken');
+    expect(pool.table.get('r4').last_error).toMatch(/transfer wallet/);
+  });
+});
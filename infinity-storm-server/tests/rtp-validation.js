@@ -4,10 +4,15 @@
  * Performs large-scale statistical validation of the game's RTP (Return to Player)
  * by simulating thousands of spins and analyzing the results.
  *
- * Target RTP: 96.5%
- * Acceptable Variance: ±2% (94.5% - 98.5%)
+ * Target RTP: the RTP profile's targetRtp (96.5% for the default rtp-965 profile)
+ * Acceptable Variance: ±2% (94.5% - 98.5% for rtp-965)
  * Test Size: 10,000+ spins
  *
+ * Usage:
+ *   node tests/rtp-validation.js                   # default profile
+ *   node tests/rtp-validation.js --profile=rtp-94  # one profile (see src/game/rtpProfiles.js)
+ *   node tests/rtp-validation.js --all             # every profile, fails if any is out of range
+ *
  * Statistical Analysis:
  * - Overall RTP calculation
  * - Win frequency distribution
@@ -19,12 +24,19 @@
  */
 
 const GameEngine = require('../src/game/gameEngine');
+const { toEngineOptions } = require('../src/game/mathModel');
+const {
+  DEFAULT_RTP_PROFILE,
+  RTP_PROFILE_IDS,
+  getProfileModel
+} = require('../src/game/rtpProfiles');
 const { logger } = require('../src/utils/logger');
 
 // Configuration
 const TEST_CONFIG = {
   totalSpins: 10000, // Quick test with updated scatter rate (4.2% per-symbol)
   betAmount: 1.0,
+  acceptableVariance: 2.0, // ±percentage points around the profile target
   reportInterval: 2500, // Report progress every N spins
   enableDetailedLogging: false,
   enableProgressBar: true
@@ -32,7 +44,9 @@ const TEST_CONFIG = {
 
 // Statistics tracking
 class RTPStatistics {
-  constructor() {
+  constructor(targetRTP = 96.5, rtpProfile = DEFAULT_RTP_PROFILE) {
+    this.targetRTP = targetRTP;
+    this.rtpProfile = rtpProfile;
     this.reset();
   }
 
@@ -233,9 +247,10 @@ class RTPStatistics {
       rtp: rtp.toFixed(4),
       baseGameRTP: baseGameRTP.toFixed(4),
       freeSpinsRTP: freeSpinsRTP.toFixed(4),
-      targetRTP: 96.5,
-      variance: (rtp - 96.5).toFixed(4),
-      withinTarget: rtp >= 94.5 && rtp <= 98.5,
+      rtpProfile: this.rtpProfile,
+      targetRTP: this.targetRTP,
+      variance: (rtp - this.targetRTP).toFixed(4),
+      withinTarget: Math.abs(rtp - this.targetRTP) <= TEST_CONFIG.acceptableVariance,
 
       // Spin statistics
       totalSpins: this.totalSpins,
@@ -313,19 +328,24 @@ function drawProgressBar(current, total, width = 50) {
 }
 
 // Main RTP validation function
-async function runRTPValidation() {
+async function runRTPValidation(rtpProfile = DEFAULT_RTP_PROFILE) {
+  // Play with the profile's built-in model (weights, strips and multiplier table)
+  const model = getProfileModel(rtpProfile);
+  const targetRTP = Number((model.artifact.targetRtp * 100).toFixed(2));
+
   console.log('\n╔═══════════════════════════════════════════════════════════════╗');
   console.log('║     INFINITY STORM - RTP VALIDATION TEST SUITE              ║');
   console.log('╚═══════════════════════════════════════════════════════════════╝\n');
 
   console.log('Configuration:');
+  console.log(`  RTP Profile: ${rtpProfile} (${model.id})`);
   console.log(`  Total Spins: ${TEST_CONFIG.totalSpins.toLocaleString()}`);
   console.log(`  Bet Amount: $${TEST_CONFIG.betAmount.toFixed(2)}`);
-  console.log('  Target RTP: 96.5%');
-  console.log('  Acceptable Range: 94.5% - 98.5%\n');
+  console.log(`  Target RTP: ${targetRTP}%`);
+  console.log(`  Acceptable Range: ${(targetRTP - TEST_CONFIG.acceptableVariance).toFixed(1)}% - ${(targetRTP + TEST_CONFIG.acceptableVariance).toFixed(1)}%\n`);
 
-  const stats = new RTPStatistics();
-  const gameEngine = new GameEngine();
+  const stats = new RTPStatistics(targetRTP, rtpProfile);
+  const gameEngine = new GameEngine(toEngineOptions(model));
 
   stats.startTime = Date.now();
   let totalProcessingTime = 0;
@@ -449,6 +469,7 @@ function generateReport(stats) {
   // RTP Analysis
   console.log('📊 RTP ANALYSIS');
   console.log('─────────────────────────────────────────────────────────────');
+  console.log(`  RTP Profile:           ${report.rtpProfile}`);
   console.log(`  Calculated RTP:        ${report.rtp}%`);
   console.log(`  Target RTP:            ${report.targetRTP}%`);
   console.log(`  Variance:              ${report.variance}%`);
@@ -562,15 +583,39 @@ module.exports = {
   TEST_CONFIG
 };
 
+// Profiles selected on the command line (--profile=<id> or --all)
+function getRequestedProfiles(args = process.argv.slice(2)) {
+  if (args.includes('--all')) {
+    return RTP_PROFILE_IDS;
+  }
+  const profileArg = args.find(arg => arg.startsWith('--profile='));
+  const profile = profileArg ? profileArg.slice('--profile='.length) : DEFAULT_RTP_PROFILE;
+  if (!RTP_PROFILE_IDS.includes(profile)) {
+    throw new Error(`Unknown RTP profile ${profile} (expected one of ${RTP_PROFILE_IDS.join(', ')})`);
+  }
+  return [profile];
+}
+
 // Run if called directly
 if (require.main === module) {
   (async () => {
     try {
-      const stats = await runRTPValidation();
-      const report = generateReport(stats);
+      const results = [];
+      for (const profile of getRequestedProfiles()) {
+        const stats = await runRTPValidation(profile);
+        results.push({ profile, report: generateReport(stats) });
+      }
+
+      if (results.length > 1) {
+        console.log('RTP PROFILE SUMMARY');
+        results.forEach(({ profile, report }) => {
+          console.log(`  ${profile}: ${report.rtp}% (target ${report.targetRTP}%) ${report.withinTarget ? '✅' : '❌'}`);
+        });
+        console.log();
+      }
 
       // Exit with appropriate code
-      process.exit(report.withinTarget ? 0 : 1);
+      process.exit(results.every(({ report }) => report.withinTarget) ? 0 : 1);
 
     } catch (error) {
       console.error('\n❌ Fatal error during RTP validation:');
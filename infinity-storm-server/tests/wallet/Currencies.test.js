@@ -0,0 +1,105 @@
+/**
+ * Currency Tests
+ *
+ * Per-currency bet ladders (config/currencies.js), the minor-unit math in
+ * walletService.executeTransaction and locale formatting of transactions.
+ */
+
+const {
+  getBetLadder,
+  resolveCurrency,
+  toMinorUnits,
+  fromMinorUnits,
+  validateBetAmount
+} = require('../../src/config/currencies');
+const WalletService = require('../../src/services/walletService');
+const { Player, Transaction } = require('../../src/models');
+
+describe('Currencies', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.CURRENCY_DEFAULT;
+  });
+
+  test('scales the bet ladder per currency and keeps every level on the step', () => {
+    const usd = getBetLadder('USD');
+    const brl = getBetLadder('BRL');
+    const jpy = getBetLadder('JPY');
+
+    expect(usd).toMatchObject({ minBet: 0.01, maxBet: 1000, betStep: 0.01, minorUnits: 2 });
+    expect(jpy).toMatchObject({ minBet: 40, maxBet: 100000, betStep: 20, minorUnits: 0, locale: 'ja-JP' });
+    expect(brl.levels.slice(0, 4)).toEqual([2, 4, 5, 6]);
+    expect(jpy.levels.slice(0, 4)).toEqual([40, 80, 100, 120]);
+
+    for (const ladder of [usd, brl, jpy]) {
+      expect(ladder.levels).toContain(ladder.defaultBet);
+      for (const level of ladder.levels) {
+        expect(validateBetAmount(level, ladder.currency).valid).toBe(true);
+      }
+    }
+  });
+
+  test('rejects bets off the ladder with the limits of the currency', () => {
+    expect(validateBetAmount(0.3, 'EUR')).toMatchObject({ valid: false, limits: { currency: 'EUR', minBet: 0.4 } });
+    expect(validateBetAmount(1.1, 'EUR').error).toMatch(/multiple of 0.2 EUR/);
+    expect(validateBetAmount(0.05, 'USD').valid).toBe(true);
+    expect(validateBetAmount(0.005, 'USD').valid).toBe(false);
+    expect(validateBetAmount(1000.01, 'USD').valid).toBe(false);
+    expect(validateBetAmount(5000, 'BRL').valid).toBe(true);
+    expect(validateBetAmount(100.5, 'JPY').valid).toBe(false);
+    expect(validateBetAmount(2000, 'JPY', { isDemo: true })).toMatchObject({ valid: false, limits: { maxBet: 1000 } });
+  });
+
+  test('resolves unknown codes to the configured default', () => {
+    expect(resolveCurrency('jpy')).toBe('JPY');
+    expect(resolveCurrency(undefined, 'BRL')).toBe('BRL');
+    expect(resolveCurrency('XYZ')).toBe('USD');
+    process.env.CURRENCY_DEFAULT = 'EUR';
+    expect(resolveCurrency(null)).toBe('EUR');
+
+    expect(toMinorUnits(1.005, 'USD')).toBe(101);
+    expect(toMinorUnits(-0.29, 'EUR')).toBe(-29);
+    expect(toMinorUnits(1234.5, 'JPY')).toBe(1235);
+    expect(fromMinorUnits(1999, 'BRL')).toBe(19.99);
+  });
+
+  test('walletService books amounts in whole minor units of the player currency', async () => {
+    const player = {
+      credits: 0.3,
+      currency: 'USD',
+      status: 'active',
+      isActive: () => true,
+      update: jest.fn()
+    };
+    jest.spyOn(Player, 'findByPk').mockResolvedValue(player);
+    jest.spyOn(Transaction, 'findAll').mockResolvedValue([]);
+    const create = jest.spyOn(Transaction, 'create').mockImplementation(async (data) => ({
+      id: 'tx-1',
+      getSafeData: () => ({ id: 'tx-1', ...data })
+    }));
+    const transaction = {};
+
+    // 0.1 + 0.2 is exact in cents
+    const usd = await WalletService.executeTransaction({ player_id: 'p1', type: 'win', amount: 0.1 + 0.2, transaction });
+    expect(usd.balance).toEqual({ previous: 0.3, current: 0.6, change: 0.3, currency: 'USD' });
+
+    // JPY has no minor unit: a fractional yen amount rounds to whole yen
+    Object.assign(player, { credits: 1000, currency: 'JPY' });
+    const jpy = await WalletService.executeTransaction({ player_id: 'p1', type: 'win', amount: 12.6, transaction });
+    expect(jpy.balance).toEqual({ previous: 1000, current: 1013, change: 13, currency: 'JPY' });
+    expect(create).toHaveBeenLastCalledWith(expect.objectContaining({ amount: 13, currency: 'JPY', balance_after: 1013 }), { transaction });
+
+    await expect(WalletService.executeTransaction({ player_id: 'p1', type: 'bet', amount: -1020, transaction }))
+      .rejects.toThrow('Insufficient funds');
+    await expect(WalletService.executeTransaction({ player_id: 'p1', type: 'win', amount: 0.4, transaction }))
+      .rejects.toThrow('Transaction amount cannot be zero');
+  });
+
+  test('formats transaction amounts in the locale of their currency', () => {
+    const format = (amount, currency) => Transaction.build({ amount, currency }).getFormattedAmount().replace(/\s/g, ' ');
+
+    expect(format(-1234.5, 'EUR')).toBe('-1.234,50 €');
+    expect(format(1234.5, 'BRL')).toBe('+R$ 1.234,50');
+    expect(format(1500, 'JPY')).toBe('+￥1,500');
+  });
+});
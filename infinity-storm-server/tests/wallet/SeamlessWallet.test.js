@@ -0,0 +1,150 @@
+/**
+ * Seamless Wallet Tests
+ *
+ * seamlessWalletProvider against the mock operator (routes/mockOperator.js):
+ * signed requests, idempotent retries, rollback of debits with an unknown outcome
+ * and walletService delegating to the configured provider.
+ */
+
+const express = require('express');
+const mockOperatorRoutes = require('../../src/routes/mockOperator');
+const SeamlessWalletProvider = require('../../src/services/seamlessWalletProvider');
+const WalletService = require('../../src/services/walletService');
+const {
+  signPayload,
+  verifySignature,
+  setWalletProvider
+} = require('../../src/services/walletProvider');
+
+const { mockOperator } = mockOperatorRoutes;
+
+describe('Seamless Wallet', () => {
+  let server;
+  let baseUrl;
+
+  const createProvider = (overrides = {}) => new SeamlessWalletProvider({
+    baseUrl,
+    secret: mockOperator.secret,
+    operatorId: 'test-operator',
+    retryDelayMs: 1,
+    ...overrides
+  });
+
+  beforeAll(async () => {
+    const app = express();
+    app.use('/operator/mock', mockOperatorRoutes);
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/operator/mock`;
+  });
+
+  afterAll(async () => {
+    setWalletProvider(null);
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    mockOperator.reset();
+    mockOperator.setBalance('player-1', 100);
+  });
+
+  test('signs requests and rejects stale or tampered signatures', async () => {
+    const body = JSON.stringify({ player_id: 'player-1' });
+    const timestamp = Date.now();
+    const signature = signPayload('secret', timestamp, body);
+
+    expect(verifySignature({ secret: 'secret', timestamp, body, signature })).toBe(true);
+    expect(verifySignature({ secret: 'secret', timestamp, body: `${body} `, signature })).toBe(false);
+    expect(verifySignature({ secret: 'secret', timestamp: timestamp - 10 * 60 * 1000, body, signature })).toBe(false);
+
+    await expect(createProvider({ secret: 'wrong-secret' }).getBalance({ playerId: 'player-1' }))
+      .rejects.toMatchObject({ code: 'INVALID_SIGNATURE', retryable: false });
+  });
+
+  test('debits and credits with idempotency keys from the reference ID', async () => {
+    const provider = createProvider();
+
+    const bet = await provider.debit({ playerId: 'player-1', amount: 2.5, referenceId: 'spin-1' });
+    expect(bet.transaction).toMatchObject({ type: 'bet', amount: -2.5, reference_id: 'spin-1' });
+    expect(bet.balance).toEqual({ previous: 100, current: 97.5 });
+
+    // A replayed debit returns the original result without charging again
+    const replay = await provider.debit({ playerId: 'player-1', amount: 2.5, referenceId: 'spin-1' });
+    expect(replay.duplicate).toBe(true);
+    expect(replay.transaction.id).toBe(bet.transaction.id);
+
+    const win = await provider.credit({ playerId: 'player-1', amount: 10, referenceId: 'spin-1' });
+    expect(win.balance).toEqual({ previous: 97.5, current: 107.5 });
+    expect(mockOperator.getBalance('player-1')).toBe(107.5);
+    expect(mockOperator.requests.map(request => request.idempotencyKey))
+      .toEqual(['debit:spin-1', 'debit:spin-1', 'credit:spin-1']);
+
+    await expect(provider.debit({ playerId: 'player-1', amount: 500, referenceId: 'spin-2' }))
+      .rejects.toMatchObject({ code: 'INSUFFICIENT_FUNDS', message: 'Insufficient funds' });
+  });
+
+  test('retries a lost response without charging twice', async () => {
+    mockOperator.failNext({ count: 1, status: 503, afterApply: true });
+
+    const bet = await createProvider().debit({ playerId: 'player-1', amount: 5, referenceId: 'spin-3' });
+
+    expect(bet.duplicate).toBe(true);
+    expect(bet.balance.current).toBe(95);
+    expect(mockOperator.getBalance('player-1')).toBe(95);
+  });
+
+  test('rolls back a debit whose outcome stays unknown and refuses it afterwards', async () => {
+    mockOperator.failNext({ status: 500, afterApply: true });
+    mockOperator.failNext({ status: 500 });
+    const provider = createProvider({ maxRetries: 1, currency: 'EUR' });
+
+    await expect(provider.debit({ playerId: 'player-1', amount: 5, referenceId: 'spin-4' }))
+      .rejects.toMatchObject({ retryable: true, rolledBack: true });
+    expect(mockOperator.getBalance('player-1')).toBe(100);
+    // The compensating rollback names the currency the debit was sent in
+    expect(mockOperator.requests.at(-1)).toMatchObject({ path: '/rollback', body: { currency: 'EUR' } });
+
+    // Rolling back a round the operator never saw cancels it for good
+    const rollback = await provider.rollback({ playerId: 'player-1', amount: 5, referenceId: 'spin-5' });
+    expect(rollback.transaction.amount).toBe(0);
+    await expect(provider.debit({ playerId: 'player-1', amount: 5, referenceId: 'spin-5' }))
+      .rejects.toMatchObject({ code: 'ROUND_CANCELLED', retryable: false });
+  });
+
+  test('rounds amounts to the minor unit of the wallet currency', async () => {
+    const provider = createProvider();
+
+    const round = { playerId: 'player-1', amount: 4.6, currency: 'JPY', referenceId: 'spin-7' };
+
+    const bet = await provider.debit(round);
+    const rollback = await provider.rollback(round);
+
+    expect(bet.transaction.amount).toBe(-5);
+    expect(rollback.transaction.amount).toBe(5);
+    expect(mockOperator.requests.map(request => [request.body.amount, request.body.currency]))
+      .toEqual([[5, 'JPY'], [5, 'JPY']]);
+    expect(mockOperator.getBalance('player-1')).toBe(100);
+  });
+
+  test('walletService forwards bets and wins to a remote provider', async () => {
+    setWalletProvider(createProvider());
+
+    const bet = await WalletService.processBet({ player_id: 'player-1', amount: 1, reference_id: 'spin-6' });
+    const win = await WalletService.processWin({ player_id: 'player-1', amount: 4, reference_id: 'spin-6' });
+
+    expect(bet.balance.current).toBe(99);
+    expect(win.balance.current).toBe(103);
+    expect(mockOperator.getBalance('player-1')).toBe(103);
+  });
+
+  test('walletService gives remote bets without a reference one of their own', async () => {
+    setWalletProvider(createProvider());
+
+    const bet = await WalletService.processBet({ player_id: 'player-1', amount: 1 });
+
+    expect(bet.transaction.reference_id).toEqual(expect.any(String));
+    expect(mockOperator.requests[0].idempotencyKey).toBe(`debit:${bet.transaction.reference_id}`);
+    expect(mockOperator.getBalance('player-1')).toBe(99);
+  });
+});
@@ -251,7 +251,8 @@ describe('Wallet Integration Tests', () => {
       const adjustmentData = {
         player_id: testPlayer.id,
         amount: 500.00,
-        reason: 'Test bonus credit for integration testing'
+        reason: 'Test bonus credit for integration testing',
+        current_password: 'hashedpassword123' // Step-up: the admin player's password
       };
 
       const response = await request(app)
@@ -5,21 +5,20 @@
  * with instant rollback capability and A/B testing support.
  * 
  * Features:
- * - Gradual rollout (percentage-based)
- * - Consistent player assignment (hash-based)
+ * - Flags come from the server (window.GameConfig.featureFlags, set by
+ *   /feature-flags.js), already evaluated for the player: rollout percentage,
+ *   segment and environment targeting happen server-side
+ *   (infinity-storm-server/src/config/featureFlags.js)
+ * - Live updates over Socket.IO ('feature_flags_update', see NetworkService)
  * - Validation mode (run both systems for comparison)
- * - Instant rollback via environment variable
- * - A/B testing framework
+ * - Local defaults when the server cannot be reached
  */
 
 class FeatureFlags {
     constructor() {
-        // Load configuration from environment or localStorage
+        // Load configuration from the server, environment or localStorage
         this.flags = this.loadFlags();
         
-        // Cache for player assignments
-        this.playerAssignments = new Map();
-        
         console.log('🚩 FeatureFlags initialized:', this.flags);
     }
     
@@ -27,16 +26,23 @@ class FeatureFlags {
      * Load feature flags from configuration
      */
     loadFlags() {
-        // Try to load from window.GameConfig first (set by server)
+        const flags = this.getDefaultFlags();
+        
+        // Server flags (window.GameConfig.featureFlags) take precedence over the defaults
         if (window.GameConfig && window.GameConfig.featureFlags) {
-            return window.GameConfig.featureFlags;
+            this.mergeFlags(flags, window.GameConfig.featureFlags);
         }
         
-        // Fallback to defaults
+        return flags;
+    }
+    
+    /**
+     * Local defaults, used for anything the server did not send
+     */
+    getDefaultFlags() {
         return {
             serverSync: {
                 enabled: this.getEnvBoolean('SERVER_SYNC_ENABLED', true),
-                rolloutPercent: this.getEnvNumber('SERVER_SYNC_ROLLOUT', 100),
                 validationMode: this.getEnvBoolean('SYNC_VALIDATION_MODE', false),
                 forceDemo: this.getEnvBoolean('FORCE_DEMO_MODE', false)
             },
@@ -60,6 +66,29 @@ class FeatureFlags {
         };
     }
     
+    /**
+     * Copy server flag values over flags, one category at a time
+     */
+    mergeFlags(flags, serverFlags) {
+        Object.keys(serverFlags || {}).forEach(category => {
+            if (serverFlags[category] && typeof serverFlags[category] === 'object') {
+                flags[category] = Object.assign(flags[category] || {}, serverFlags[category]);
+            }
+        });
+        return flags;
+    }
+    
+    /**
+     * Apply flags pushed by the server (page script or socket update)
+     */
+    applyServerFlags(serverFlags) {
+        if (!serverFlags) {
+            return;
+        }
+        this.mergeFlags(this.flags, serverFlags);
+        console.log('🚩 Feature flags updated from server:', serverFlags);
+    }
+    
     /**
      * Get boolean from environment or localStorage
      */
@@ -97,14 +126,14 @@ class FeatureFlags {
     
     /**
      * Check if player should use server synchronization
-     * Uses consistent hashing to ensure same player always gets same assignment
+     * The server already applied the rollout percentage and targeting for this player
      */
-    shouldUseServerSync(playerId = null) {
+    shouldUseServerSync() {
         const config = this.flags.serverSync;
         
         // Check if feature is enabled at all
         if (!config.enabled) {
-            console.log('🚩 Server sync: disabled globally');
+            console.log('🚩 Server sync: disabled');
             return false;
         }
         
@@ -114,55 +143,7 @@ class FeatureFlags {
             return false;
         }
         
-        // If no player ID, check if we're authenticated
-        if (!playerId) {
-            playerId = localStorage.getItem('playerId') || 'anonymous';
-        }
-        
-        // Check cached assignment
-        if (this.playerAssignments.has(playerId)) {
-            return this.playerAssignments.get(playerId);
-        }
-        
-        // 100% rollout means everyone gets it
-        if (config.rolloutPercent >= 100) {
-            this.playerAssignments.set(playerId, true);
-            console.log('🚩 Server sync: enabled (100% rollout)');
-            return true;
-        }
-        
-        // 0% rollout means no one gets it
-        if (config.rolloutPercent <= 0) {
-            this.playerAssignments.set(playerId, false);
-            console.log('🚩 Server sync: disabled (0% rollout)');
-            return false;
-        }
-        
-        // Hash player ID for consistent assignment
-        const hash = this.hashPlayerId(playerId);
-        const assigned = (hash % 100) < config.rolloutPercent;
-        
-        this.playerAssignments.set(playerId, assigned);
-        console.log(`🚩 Server sync: ${assigned ? 'enabled' : 'disabled'} (${config.rolloutPercent}% rollout, hash: ${hash})`);
-        
-        return assigned;
-    }
-    
-    /**
-     * Hash player ID to a consistent number 0-99
-     * Simple hash function for consistent A/B assignment
-     */
-    hashPlayerId(playerId) {
-        if (!playerId) return 0;
-        
-        let hash = 0;
-        for (let i = 0; i < playerId.length; i++) {
-            const char = playerId.charCodeAt(i);
-            hash = ((hash << 5) - hash) + char;
-            hash = hash & hash; // Convert to 32bit integer
-        }
-        
-        return Math.abs(hash) % 100;
+        return true;
     }
     
     /**
@@ -230,11 +211,6 @@ class FeatureFlags {
             this.flags[category][flag] = value;
             localStorage.setItem(`feature_${category}_${flag}`, value.toString());
             console.log(`🚩 Flag override: ${category}.${flag} = ${value}`);
-            
-            // Clear player assignments cache when server sync changes
-            if (category === 'serverSync') {
-                this.playerAssignments.clear();
-            }
         }
     }
     
@@ -259,7 +235,6 @@ class FeatureFlags {
         
         // Reload flags
         this.flags = this.loadFlags();
-        this.playerAssignments.clear();
         
         console.log('🚩 Feature flags reset to defaults');
     }
@@ -274,7 +249,6 @@ class FeatureFlags {
         console.log('Error Recovery:', this.flags.errorRecovery);
         console.log('Performance:', this.flags.performance);
         console.log('Experimental:', this.flags.experimental);
-        console.log('Player Assignments:', Array.from(this.playerAssignments.entries()));
         console.groupEnd();
     }
 }
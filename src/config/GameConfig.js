@@ -1,4 +1,5 @@
-window.GameConfig = {
+// Keeps values the server set before this file loaded (featureFlags, see FeatureFlags.js)
+window.GameConfig = Object.assign(window.GameConfig || {}, {
     // UI Design/Anchors (for consistent positioning without magic numbers)
     // Updated for 1920x1080 mobile-first design
     UI: {
@@ -45,12 +46,24 @@ window.GameConfig = {
     MIN_MATCH_COUNT: 8,
     CASCADE_SPEED: 300, // milliseconds
     
-    // Bet Configuration
+    // Bet Configuration (USD ladder; applyCurrency() switches to the wallet currency's ladder)
+    CURRENCY: 'USD',
     MIN_BET: 0.40,
     MAX_BET: 2000,
     DEFAULT_BET: 1.00,
+    BET_STEP: 0.20,
     BET_LEVELS: [0.4, 0.8, 1, 1.2, 1.6, 2, 2.4, 2.8, 3, 3.2, 3.6, 4, 10, 12, 14, 16, 18, 20, 24, 28, 32, 36, 40, 48, 56, 60, 64, 72, 80, 100, 120, 140, 200, 240, 280, 300, 320, 360, 400, 420, 480, 500, 540, 560, 600, 640, 700, 720, 800, 840, 900, 960, 980, 1000, 1080, 1120, 1200, 1260, 1280, 1400, 1440, 1600, 1800, 2000],
     
+    // Per-currency bet ladders, mirroring infinity-storm-server/src/config/currencies.js
+    // (except USD, which keeps the client's original 0.40-2000 range; the server accepts any whole cent).
+    // Levels are the USD levels times SCALE, kept within MIN_BET..MAX_BET.
+    CURRENCIES: {
+        USD: { LOCALE: 'en-US', MINOR_UNITS: 2, SCALE: 1, MIN_BET: 0.40, MAX_BET: 2000, BET_STEP: 0.20, DEFAULT_BET: 1.00 },
+        EUR: { LOCALE: 'de-DE', MINOR_UNITS: 2, SCALE: 1, MIN_BET: 0.40, MAX_BET: 1000, BET_STEP: 0.20, DEFAULT_BET: 1.00 },
+        BRL: { LOCALE: 'pt-BR', MINOR_UNITS: 2, SCALE: 5, MIN_BET: 2.00, MAX_BET: 5000, BET_STEP: 1.00, DEFAULT_BET: 5.00 },
+        JPY: { LOCALE: 'ja-JP', MINOR_UNITS: 0, SCALE: 100, MIN_BET: 40, MAX_BET: 100000, BET_STEP: 20, DEFAULT_BET: 100 }
+    },
+    
     // Game Mechanics
     RTP: 0.965,
     VOLATILITY: 'HIGH',
@@ -59,40 +72,48 @@ window.GameConfig = {
     // Symbol Types with Tiered Payouts (based on match size)
     SYMBOLS: {
         // Low-paying symbols (Infinity Gems)
+        // marker: shape and letter drawn on the gem when symbol markers are on (accessibility),
+        // so the gems can be told apart without relying on color
         TIME_GEM: { 
             id: 'time_gem', 
             name: 'Time Gem', 
             type: 'low', 
+            marker: { shape: 'circle', letter: 'Ti' },
             payouts: { 8: 8, 10: 15, 12: 40 } // 8-9: 8x, 10-11: 15x, 12+: 40x
         },
         SPACE_GEM: { 
             id: 'space_gem', 
             name: 'Space Gem', 
             type: 'low', 
+            marker: { shape: 'square', letter: 'Sp' },
             payouts: { 8: 9, 10: 18, 12: 80 } // 8-9: 9x, 10-11: 18x, 12+: 80x
         },
         MIND_GEM: { 
             id: 'mind_gem', 
             name: 'Mind Gem', 
             type: 'low', 
+            marker: { shape: 'triangle', letter: 'Mi' },
             payouts: { 8: 10, 10: 20, 12: 100 } // 8-9: 10x, 10-11: 20x, 12+: 100x
         },
         POWER_GEM: { 
             id: 'power_gem', 
             name: 'Power Gem', 
             type: 'low', 
+            marker: { shape: 'diamond', letter: 'Po' },
             payouts: { 8: 16, 10: 24, 12: 160 } // 8-9: 16x, 10-11: 24x, 12+: 160x
         },
         REALITY_GEM: { 
             id: 'reality_gem', 
             name: 'Reality Gem', 
             type: 'low', 
+            marker: { shape: 'hexagon', letter: 'Re' },
             payouts: { 8: 20, 10: 30, 12: 200 } // 8-9: 20x, 10-11: 30x, 12+: 200x
         },
         SOUL_GEM: { 
             id: 'soul_gem', 
             name: 'Soul Gem', 
             type: 'low', 
+            marker: { shape: 'star', letter: 'So' },
             payouts: { 8: 30, 10: 40, 12: 240 } // 8-9: 30x, 10-11: 40x, 12+: 240x
         },
         
@@ -154,6 +175,10 @@ window.GameConfig = {
     
     // Autoplay Configuration
     AUTOPLAY_OPTIONS: [10, 50, 100, 200, 500, -1], // -1 represents infinite spins
+    // Stop condition amounts offered in the autoplay panel, as multiples of the bet
+    AUTOPLAY_LIMIT_BET_MULTIPLES: [10, 25, 50, 100, 250, 500],
+    // Autoplay rules for demo play; logged-in players get their jurisdiction's rules from /api/autoplay
+    AUTOPLAY_RULES: { enabled: true, maxSpins: 1000, allowUnlimited: true, requireLossLimit: false },
     
     // Random Multiplier Configuration (for 96.5% RTP)
     RANDOM_MULTIPLIER: {
@@ -206,4 +231,25 @@ window.GameConfig = {
     // Task 6.2: Server Integration Configuration
     SERVER_MODE: true, // Enable server-side spin processing (set to false for demo mode)
     DEMO_MODE: false   // Will be set to true automatically if server connection fails
-}; 
\ No newline at end of file
+});
+
+window.GameConfig.USD_BET_LEVELS = window.GameConfig.BET_LEVELS.slice();
+
+// Switch MIN_BET, MAX_BET, BET_STEP, DEFAULT_BET and BET_LEVELS to a currency's ladder.
+// Unknown codes fall back to USD. Returns the ladder that was applied.
+window.GameConfig.applyCurrency = function (code) {
+    const currency = this.CURRENCIES[code] ? code : 'USD';
+    const ladder = this.CURRENCIES[currency];
+    const factor = Math.pow(10, ladder.MINOR_UNITS);
+
+    this.CURRENCY = currency;
+    this.MIN_BET = ladder.MIN_BET;
+    this.MAX_BET = ladder.MAX_BET;
+    this.BET_STEP = ladder.BET_STEP;
+    this.DEFAULT_BET = ladder.DEFAULT_BET;
+    this.BET_LEVELS = this.USD_BET_LEVELS
+        .map(level => Math.round(level * ladder.SCALE * factor) / factor)
+        .filter(level => level >= ladder.MIN_BET && level <= ladder.MAX_BET);
+
+    return { currency, ...ladder, BET_LEVELS: this.BET_LEVELS };
+};
@@ -23,6 +23,10 @@ window.GameStateManager = class GameStateManager {
             lastWin: 0,
             autoplayActive: false,
             autoplayCount: 0,
+            autoplayPaused: false, // Waiting for free spins to finish
+            autoplayConditions: null, // { lossLimit, singleWinLimit, balanceIncreaseLimit, stopOnFeature }
+            autoplaySessionId: null, // Server autoplay session (logged-in play)
+            autoplayNet: 0, // Wins minus bets since autoplay started
             soundEnabled: true,
             musicEnabled: true
         };
@@ -166,9 +170,14 @@ window.GameStateManager = class GameStateManager {
     }
     
     // Autoplay Methods
-    setAutoplay(count) {
+    // conditions: stop conditions (null = stop on the spin count only); sessionId: server session, when logged in
+    setAutoplay(count, { conditions = null, sessionId = null } = {}) {
         this.gameData.autoplayActive = count !== 0;
         this.gameData.autoplayCount = count; // -1 for infinite, positive number for limited
+        this.gameData.autoplayPaused = false;
+        this.gameData.autoplayConditions = conditions;
+        this.gameData.autoplaySessionId = sessionId;
+        this.gameData.autoplayNet = 0;
     }
     
     decrementAutoplay() {
@@ -182,9 +191,63 @@ window.GameStateManager = class GameStateManager {
         // For infinite autoplay (-1), keep it active and don't change the count
     }
     
+    // Count a finished base-game autoplay spin and check the stop conditions.
+    // server: the spin response's autoplay progress, which decides for server sessions.
+    // Returns the stop reason, or null to keep going.
+    recordAutoplaySpin({ bet, win, freeSpinsTriggered = false, server = null }) {
+        this.gameData.autoplayNet = Math.round((this.gameData.autoplayNet + win - bet) * 100) / 100;
+        
+        if (server) {
+            if (server.spinsRemaining !== null && server.spinsRemaining !== undefined) {
+                this.gameData.autoplayCount = server.spinsRemaining;
+            }
+            return server.active ? null : (server.stopReason || 'player_stopped');
+        }
+        
+        this.decrementAutoplay();
+        const conditions = this.gameData.autoplayConditions || {};
+        const net = this.gameData.autoplayNet;
+        if (conditions.singleWinLimit && win >= conditions.singleWinLimit) return 'single_win';
+        if (conditions.stopOnFeature && freeSpinsTriggered) return 'feature_triggered';
+        if (conditions.balanceIncreaseLimit && net >= conditions.balanceIncreaseLimit) return 'balance_increase';
+        if (conditions.lossLimit && Math.round((bet - net) * 100) / 100 > conditions.lossLimit) return 'loss_limit';
+        if (this.gameData.autoplayCount === 0) return 'spin_limit';
+        return null;
+    }
+    
+    // Free spins were triggered: stop autoplay, or hold it until they finish
+    // when the player chose not to stop on the feature
+    suspendAutoplayForFreeSpins() {
+        const conditions = this.gameData.autoplayConditions;
+        if (conditions && !conditions.stopOnFeature) {
+            this.gameData.autoplayActive = false;
+            this.gameData.autoplayPaused = true;
+            return 'paused';
+        }
+        this.stopAutoplay();
+        return 'stopped';
+    }
+    
+    // Pick autoplay up again after free spins; true when it resumed
+    resumeAutoplay() {
+        if (!this.gameData.autoplayPaused) return false;
+        this.gameData.autoplayPaused = false;
+        this.gameData.autoplayActive = this.gameData.autoplayCount !== 0;
+        return this.gameData.autoplayActive;
+    }
+    
     stopAutoplay() {
+        const sessionId = this.gameData.autoplaySessionId;
         this.gameData.autoplayActive = false;
         this.gameData.autoplayCount = 0;
+        this.gameData.autoplayPaused = false;
+        this.gameData.autoplayConditions = null;
+        this.gameData.autoplaySessionId = null;
+        
+        // Close the server session too (a no-op when the server already ended it)
+        if (sessionId && window.NetworkService) {
+            window.NetworkService.stopAutoplaySession(sessionId).catch(() => {});
+        }
     }
     
     // Save/Load Methods
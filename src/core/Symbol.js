@@ -29,6 +29,8 @@ window.Symbol = class Symbol extends Phaser.GameObjects.Sprite {
         this.shadowEffect = null;
         this.gemLightSprite = null;
         this.gemLightUpdateHandler = null;
+        this.markerBadge = null;
+        this.markerType = null;
         
         // Ensure symbols render above bottom UI panel
         // Depth is chosen to be higher than UI panel (depth 2) and most UI images (depth 3)
@@ -41,6 +43,112 @@ window.Symbol = class Symbol extends Phaser.GameObjects.Sprite {
         this.setupAnimations();
     }
     
+    preUpdate(time, delta) {
+        super.preUpdate(time, delta);
+        this.updateSymbolMarker();
+    }
+    
+    // Shape/letter badge (accessibility option) so gems are not told apart by color alone.
+    // Follows the symbol's position, size, alpha and visibility; rebuilt when a pooled
+    // symbol changes type and removed when the option is turned off.
+    updateSymbolMarker() {
+        const symbolInfo = typeof this.symbolType === 'string'
+            ? window.GameConfig.SYMBOLS[this.symbolType.toUpperCase()]
+            : null;
+        const marker = symbolInfo && symbolInfo.marker;
+        if (!marker || this.isRandomMultiplier || this.currentState === this.states.DESTROYING ||
+            !window.Accessibility.showsSymbolMarkers()) {
+            this.removeSymbolMarker();
+            return;
+        }
+        const size = window.GameConfig.SYMBOL_SIZE;
+        if (!this.markerBadge || this.markerType !== this.symbolType) {
+            this.removeSymbolMarker();
+            this.markerBadge = window.Symbol.createMarkerBadge(this.scene, marker, size);
+            this.markerType = this.symbolType;
+        }
+        const ratio = this.displayWidth / size;
+        const offset = size * 0.33 * ratio;
+        this.markerBadge.setPosition(this.x - offset, this.y - offset);
+        this.markerBadge.setScale(ratio);
+        this.markerBadge.setAlpha(this.alpha);
+        this.markerBadge.setVisible(this.visible);
+        this.markerBadge.setDepth(this.depth + 0.1);
+    }
+    
+    removeSymbolMarker() {
+        if (this.markerBadge) {
+            try {
+                this.markerBadge.destroy();
+            } catch (_) {}
+        }
+        this.markerBadge = null;
+        this.markerType = null;
+    }
+    
+    /**
+     * Badge with the gem's marker shape and letter, centered on 0,0
+     * @param {Phaser.Scene} scene - Scene to add it to
+     * @param {{shape: string, letter: string}} marker - From GameConfig.SYMBOLS
+     * @param {number} symbolSize - Size of the symbol it sits on
+     */
+    static createMarkerBadge(scene, marker, symbolSize) {
+        const r = Math.round(symbolSize * 0.15);
+        const badge = scene.add.container(0, 0);
+        const shape = scene.add.graphics();
+        shape.fillStyle(0xFFFFFF, 0.92);
+        shape.lineStyle(Math.max(2, Math.round(r * 0.12)), 0x000000, 1);
+        const polygon = (count, radius, rotation = -Math.PI / 2) => Array.from({ length: count }, (_, i) => {
+            const angle = rotation + (i * 2 * Math.PI) / count;
+            return new Phaser.Math.Vector2(Math.cos(angle) * radius, Math.sin(angle) * radius);
+        });
+        let points = null;
+        let labelY = 0;
+        switch (marker.shape) {
+            case 'circle':
+                shape.fillCircle(0, 0, r);
+                shape.strokeCircle(0, 0, r);
+                break;
+            case 'square':
+                shape.fillRect(-r * 0.9, -r * 0.9, r * 1.8, r * 1.8);
+                shape.strokeRect(-r * 0.9, -r * 0.9, r * 1.8, r * 1.8);
+                break;
+            case 'triangle':
+                points = polygon(3, r * 1.2);
+                labelY = r * 0.25;
+                break;
+            case 'diamond':
+                points = polygon(4, r * 1.15);
+                break;
+            case 'hexagon':
+                points = polygon(6, r * 1.05, 0);
+                break;
+            case 'star':
+                points = Array.from({ length: 10 }, (_, i) => {
+                    const angle = -Math.PI / 2 + (i * Math.PI) / 5;
+                    const radius = i % 2 === 0 ? r * 1.3 : r * 0.75;
+                    return new Phaser.Math.Vector2(Math.cos(angle) * radius, Math.sin(angle) * radius);
+                });
+                labelY = r * 0.1;
+                break;
+            default:
+                shape.fillCircle(0, 0, r);
+                shape.strokeCircle(0, 0, r);
+        }
+        if (points) {
+            shape.fillPoints(points, true);
+            shape.strokePoints(points, true);
+        }
+        const label = scene.add.text(0, labelY, marker.letter, {
+            fontSize: Math.round(r * 0.85) + 'px',
+            fontFamily: 'Arial Black',
+            color: '#000000'
+        });
+        label.setOrigin(0.5);
+        badge.add([shape, label]);
+        return badge;
+    }
+    
     setDepthWithEffects(depth) {
         this.setDepth(depth);
         if (this.shadowEffect) {
@@ -322,6 +430,9 @@ window.Symbol = class Symbol extends Phaser.GameObjects.Sprite {
             this.multiplierText = null;
         }
         
+        // Marker badge goes at once; the symbol is fading or hidden from here on
+        this.removeSymbolMarker();
+        
         // Check if we should play destruction animation
         // Only play if explicitly requested AND not in burst mode
         let hasDestructionAnim = false;
@@ -517,25 +628,27 @@ window.Symbol = class Symbol extends Phaser.GameObjects.Sprite {
     playSpecialAnimation() {
         this.currentState = this.states.SPECIAL;
         
-        // Rainbow tint animation
+        // Rainbow tint animation (a 10 Hz color strobe, left out with reduced flashing)
         const colors = [0xFF0000, 0xFF7F00, 0xFFFF00, 0x00FF00, 0x0000FF, 0x4B0082, 0x9400D3];
         let colorIndex = 0;
         
-        const colorTween = this.scene.time.addEvent({
-            delay: 100,
-            repeat: colors.length * 2,
-            callback: () => {
-                if (this.scene && this.setTint) {
-                    this.setTint(colors[colorIndex % colors.length]);
-                    colorIndex++;
-                }
-            },
-            callbackScope: this
-        });
-        
-        // Store reference for cleanup
-        if (!this.delayedCalls) this.delayedCalls = [];
-        this.delayedCalls.push(colorTween);
+        if (window.Accessibility.allowsFlashing()) {
+            const colorTween = this.scene.time.addEvent({
+                delay: 100,
+                repeat: colors.length * 2,
+                callback: () => {
+                    if (this.scene && this.setTint) {
+                        this.setTint(colors[colorIndex % colors.length]);
+                        colorIndex++;
+                    }
+                },
+                callbackScope: this
+            });
+            
+            // Store reference for cleanup
+            if (!this.delayedCalls) this.delayedCalls = [];
+            this.delayedCalls.push(colorTween);
+        }
         
         // Rotation
         this.scene.tweens.add({
@@ -608,6 +721,8 @@ window.Symbol = class Symbol extends Phaser.GameObjects.Sprite {
         this.setAlpha(1);
         // Ensure light effect is not left running across states
         this.stopGemLightEffect && this.stopGemLightEffect();
+        // Pooled symbols may come back as another gem
+        this.removeSymbolMarker();
     }
     
     playGemLightEffectThenDestruction(destructionAnimKey) {
@@ -69,6 +69,12 @@ window.FireEffect = class FireEffect {
             this.fireQuad = null;
         }
         
+        // Reduced motion/flashing: a still overlay with the same texts and timing
+        if (!window.Accessibility.allowsShaderEffects()) {
+            this.createCalmFireEffect(onComplete);
+            return;
+        }
+        
         console.log('🔥 Creating shader-based fire effect');
         console.trace('🔥 createFireEffect stack trace');
         
@@ -267,7 +273,9 @@ window.FireEffect = class FireEffect {
             // Fade in quickly
             this.scene.tweens.add({ targets: [this._headlineText, this._sublineText], alpha: 1, duration: 350, ease: 'Power2' });
             // Gentle pulse while effect plays
-            this.scene.tweens.add({ targets: [this._headlineText, this._sublineText], scaleX: 1.04, scaleY: 1.04, yoyo: true, repeat: -1, duration: 700, ease: 'Sine.easeInOut' });
+            if (window.Accessibility.allowsShake()) {
+                this.scene.tweens.add({ targets: [this._headlineText, this._sublineText], scaleX: 1.04, scaleY: 1.04, yoyo: true, repeat: -1, duration: 700, ease: 'Sine.easeInOut' });
+            }
         } catch (e) {
             console.warn('Failed to create overlay texts for fire:', e);
         }
@@ -280,6 +288,27 @@ window.FireEffect = class FireEffect {
         } catch (e) { /* ignore */ }
     }
     
+    createCalmFireEffect(onComplete) {
+        console.log('🔥 Creating still fire overlay (reduced motion/flashing)');
+        
+        const width = this.scene.game.config.width;
+        const height = this.scene.game.config.height;
+        
+        // Warm tint that fades in and out once, no flicker
+        this.fireQuad = this.scene.add.graphics();
+        this.fireQuad.setDepth(10000);
+        this.fireQuad.fillStyle(0x8B2500, 0.45);
+        this.fireQuad.fillRect(0, 0, width, height);
+        this.fireQuad.setAlpha(0);
+        this.scene.tweens.add({ targets: this.fireQuad, alpha: 1, duration: 600, ease: 'Sine.easeOut' });
+        this.scene.tweens.add({ targets: this.fireQuad, alpha: 0, duration: 600, delay: 2600, ease: 'Sine.easeIn' });
+        
+        this.createOverlayTexts();
+        
+        // Same 3.2s as the shader so the free spins flow keeps its timing
+        this.scene.time.delayedCall(3200, () => this.completeFireEffect(onComplete));
+    }
+    
     createFallbackFireEffect(onComplete) {
         // Simple fallback fire effect using graphics
         console.log('🔥 Creating fallback fire effect');
@@ -210,7 +210,7 @@ const config = {
         height: 1080,
         expandParent: true
     },
-    scene: [window.LoadingScene, window.LoginScene, window.MenuScene, window.GameScene],
+    scene: [window.LoadingScene, window.LoginScene, window.MenuScene, window.GameScene, window.RulesScene],
     physics: {
         default: 'arcade',
         arcade: {
@@ -247,6 +247,16 @@ window.addEventListener('load', async () => {
     try {
         console.log('Initializing Infinity Storm game with session validation...');
         
+        // UI language first, so every scene is built with translated text
+        if (window.I18n) {
+            await window.I18n.init();
+        }
+        // Motion, flashing and symbol marker options from this browser (the server's copy
+        // is loaded once the game knows the player is logged in)
+        if (window.Accessibility) {
+            window.Accessibility.init();
+        }
+        
         // Initialize session service first
         let sessionAuthenticated = false;
         if (window.SessionService) {
@@ -272,8 +282,8 @@ window.addEventListener('load', async () => {
         console.log('🎮 Starting Phaser game...');
         
         // Verify all scene classes are loaded
-        const sceneClasses = [window.LoadingScene, window.LoginScene, window.MenuScene, window.GameScene];
-        const sceneNames = ['LoadingScene', 'LoginScene', 'MenuScene', 'GameScene'];
+        const sceneClasses = [window.LoadingScene, window.LoginScene, window.MenuScene, window.GameScene, window.RulesScene];
+        const sceneNames = ['LoadingScene', 'LoginScene', 'MenuScene', 'GameScene', 'RulesScene'];
         
         sceneClasses.forEach((sceneClass, index) => {
             if (sceneClass) {
@@ -1153,12 +1153,18 @@ window.BonusManager = class BonusManager {
                     thunder.setOrigin(0.5, 1);
                     thunder.y = targetY + window.GameConfig.SYMBOL_SIZE * 0.45;
                     thunder.setDepth(window.GameConfig.UI_DEPTHS.FX);
-                    thunder.setBlendMode(Phaser.BlendModes.ADD);
+                    // Additive glare is left out with reduced flashing
+                    if (window.Accessibility.allowsFlashing()) {
+                        thunder.setBlendMode(Phaser.BlendModes.ADD);
+                    }
                     
                     // Delay impact effects so they occur when the bolt reaches the lower edge
                     const impactDelayMs = 420;
                     this.scene.time.delayedCall(impactDelayMs, () => {
-                        try { this.scene.cameras.main.shake(100, 0.006); } catch {}
+                        if (window.Accessibility.allowsShake()) {
+                            try { this.scene.cameras.main.shake(100, 0.006); } catch {}
+                        }
+                        if (!window.Accessibility.allowsFlashing()) return;
                         const flash = this.scene.add.graphics();
                         try { flash.setDepth((window.GameConfig.UI_DEPTHS.FX_UNDERLAY || (window.GameConfig.UI_DEPTHS.FX - 1))); } catch {}
                         flash.fillStyle(0xFFFFFF, 0);
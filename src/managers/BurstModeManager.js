@@ -461,12 +461,12 @@ window.BurstModeManager = class BurstModeManager {
         };
         
         // Balance/Score (LEFT plate at x:254)
-        this.burstBalanceText = this.scene.add.text(254 * scaleX, 658 * scaleY, `$${this.scene.stateManager.gameData.balance.toFixed(2)}`, valueStyle);
+        this.burstBalanceText = this.scene.add.text(254 * scaleX, 658 * scaleY, window.WalletAPI.formatBalance(this.scene.stateManager.gameData.balance), valueStyle);
         this.burstBalanceText.setOrigin(0.5, 0.5);
         this.burstModeUI.add(this.burstBalanceText);
 
         // Win amount (CENTER plate at x:576)
-        this.burstWinText = this.scene.add.text(576 * scaleX, 658 * scaleY, '$0.00', {
+        this.burstWinText = this.scene.add.text(576 * scaleX, 658 * scaleY, window.WalletAPI.formatBalance(0), {
             ...valueStyle,
             color: '#00FF00'
         });
@@ -474,7 +474,7 @@ window.BurstModeManager = class BurstModeManager {
         this.burstModeUI.add(this.burstWinText);
         
         // Bet amount (centered on plate at x:929)
-        this.burstBetText = this.scene.add.text(929 * scaleX, 662 * scaleY, `$${this.scene.stateManager.gameData.currentBet.toFixed(2)}`, {
+        this.burstBetText = this.scene.add.text(929 * scaleX, 662 * scaleY, window.WalletAPI.formatBalance(this.scene.stateManager.gameData.currentBet), {
             ...valueStyle,
             color: '#FFFFFF'
         });
@@ -590,7 +590,7 @@ window.BurstModeManager = class BurstModeManager {
         biggestWinLabel.setOrigin(0.5);
         this.burstModeUI.add(biggestWinLabel);
         
-        this.biggestWinText = this.scene.add.text(140 * scaleX, 220 * scaleY, '$0.00', valueStyle);
+        this.biggestWinText = this.scene.add.text(140 * scaleX, 220 * scaleY, window.WalletAPI.formatBalance(0), valueStyle);
         this.biggestWinText.setOrigin(0.5);
         this.burstModeUI.add(this.biggestWinText);
         
@@ -608,7 +608,7 @@ window.BurstModeManager = class BurstModeManager {
         bonusWinsLabel.setOrigin(0.5);
         this.burstModeUI.add(bonusWinsLabel);
         
-        this.bonusWinsText = this.scene.add.text(140 * scaleX, 420 * scaleY, '$0.00', valueStyle);
+        this.bonusWinsText = this.scene.add.text(140 * scaleX, 420 * scaleY, window.WalletAPI.formatBalance(0), valueStyle);
         this.bonusWinsText.setOrigin(0.5);
         this.burstModeUI.add(this.bonusWinsText);
         
@@ -662,7 +662,7 @@ window.BurstModeManager = class BurstModeManager {
             const total = (typeof spinResult.freeSpinsTotalWin === 'number')
                 ? spinResult.freeSpinsTotalWin
                 : this.scene.stateManager.freeSpinsData.totalWin;
-            this.scene.showMessage(`Free Spins Complete! Total: $${total.toFixed(2)}`);
+            this.scene.showMessage(`Free Spins Complete! Total: ${window.WalletAPI.formatBalance(total)}`);
         }
     }
     
@@ -727,7 +727,7 @@ window.BurstModeManager = class BurstModeManager {
                         const total = (typeof spinResult.freeSpinsTotalWin === 'number')
                             ? spinResult.freeSpinsTotalWin
                             : this.scene.stateManager.freeSpinsData.totalWin;
-                        this.scene.showMessage(`Free Spins Complete! Total: $${total.toFixed(2)}`);
+                        this.scene.showMessage(`Free Spins Complete! Total: ${window.WalletAPI.formatBalance(total)}`);
                     }
                     
                     // Short delay between auto spins
@@ -955,7 +955,7 @@ window.BurstModeManager = class BurstModeManager {
         }
 
         const winMultiplier = result.bet > 0 ? (result.win / result.bet).toFixed(1) : '0.0';
-        const msg = `WIN $${result.win.toFixed(2)}  (${winMultiplier}x)` +
+        const msg = `WIN ${window.WalletAPI.formatBalance(result.win)}  (${winMultiplier}x)` +
             (result.cascades > 1 ? `  [${result.cascades} Cascades]` : '') +
             ((result.freeSpinsActive && result.multiplierAccumulator > 1) ? `  [x${result.multiplierAccumulator}]` : '');
 
@@ -1017,10 +1017,10 @@ window.BurstModeManager = class BurstModeManager {
                 resultString += `[FREE SPIN ${totalCount - currentCount + 1}/${totalCount}] `;
             }
             
-            resultString += `Spin: $${result.bet.toFixed(2)} → `;
+            resultString += `Spin: ${window.WalletAPI.formatBalance(result.bet)} → `;
             
             if (isWin) {
-                resultString += `WIN $${result.win.toFixed(2)} (${winMultiplier}x)`;
+                resultString += `WIN ${window.WalletAPI.formatBalance(result.win)} (${winMultiplier}x)`;
                 if (result.cascades > 1) {
                     resultString += ` [${result.cascades} cascades]`;
                 }
@@ -1080,26 +1080,26 @@ window.BurstModeManager = class BurstModeManager {
     updateDisplays() {
         if (this.burstBalanceText) {
             const newBalance = this.scene.stateManager.gameData.balance;
-            this.burstBalanceText.setText(`$${newBalance.toFixed(2)}`);
+            this.burstBalanceText.setText(window.WalletAPI.formatBalance(newBalance));
         }
         if (this.burstWinText) {
             const newWin = this.scene.totalWin;
-            this.burstWinText.setText(`$${newWin.toFixed(2)}`);
+            this.burstWinText.setText(window.WalletAPI.formatBalance(newWin));
         }
         if (this.burstBetText) {
-            this.burstBetText.setText(`$${this.scene.stateManager.gameData.currentBet.toFixed(2)}`);
+            this.burstBetText.setText(window.WalletAPI.formatBalance(this.scene.stateManager.gameData.currentBet));
         }
     }
     
     updateStatisticsDisplays() {
         if (this.biggestWinText) {
-            this.biggestWinText.setText(`$${this.burstStats.biggestWin.toFixed(2)}`);
+            this.biggestWinText.setText(window.WalletAPI.formatBalance(this.burstStats.biggestWin));
         }
         if (this.bonusRoundsText) {
             this.bonusRoundsText.setText(this.burstStats.bonusRounds.toString());
         }
         if (this.bonusWinsText) {
-            this.bonusWinsText.setText(`$${this.burstStats.bonusWins.toFixed(2)}`);
+            this.bonusWinsText.setText(window.WalletAPI.formatBalance(this.burstStats.bonusWins));
         }
         if (this.roundsPlayedText) {
             this.roundsPlayedText.setText(this.burstStats.roundsPlayed.toString());
@@ -1148,6 +1148,10 @@ window.BurstModeManager = class BurstModeManager {
     }
     
     createBlackholeEffect(x, y, scaleX, scaleY) {
+        if (!window.Accessibility.allowsShaderEffects()) {
+            console.log('🕳️ Reduced motion/flashing: skipping blackhole effect');
+            return;
+        }
         try {
             // Load the blackhole shader if not already loaded
             if (!this.blackholeShader && window.createBlackholeShader) {
@@ -62,6 +62,7 @@ window.FreeSpinsManager = class FreeSpinsManager {
         
         this.scene.stateManager.addFreeSpins(extraSpins);
         // Removed redundant "+5 Free Spins!" toast
+        window.Accessibility.announce(window.I18n.t('a11y.announce.freeSpinsAdded', { count: extraSpins }));
         
         // Show animated +5 visual effect on the free spins counter
         if (this.scene.uiManager && this.scene.uiManager.showFreeSpinsRetriggerAnimation) {
@@ -173,6 +174,9 @@ window.FreeSpinsManager = class FreeSpinsManager {
                 });
             }
             const totalFreeSpinsWin = this.scene.stateManager.endFreeSpins();
+            window.Accessibility.announce(window.I18n.t('a11y.announce.freeSpinsEnded', {
+                amount: window.WalletAPI.formatBalance(totalFreeSpinsWin)
+            }));
             // Ensure all FS accumulation state is cleared so it doesn't carry to next trigger
             try {
                 if (this.scene) {
@@ -389,7 +393,7 @@ window.FreeSpinsManager = class FreeSpinsManager {
     showPurchaseUI() {
         // Don't show purchase UI if already in free spins or spinning
         if (this.scene.stateManager.freeSpinsData.active || this.scene.isSpinning) {
-            this.scene.showMessage('Cannot purchase during Free Spins or while spinning!');
+            this.scene.showMessage(window.I18n.t('freeSpins.purchase.unavailable'));
             return;
         }
         
@@ -398,7 +402,7 @@ window.FreeSpinsManager = class FreeSpinsManager {
         
         // Check if player can afford it
         if (this.scene.stateManager.gameData.balance < freeSpinsCost) {
-            this.scene.showMessage('Insufficient Balance!');
+            this.scene.showMessage(window.I18n.t('freeSpins.purchase.insufficientBalance'));
             return;
         }
         
@@ -492,29 +496,34 @@ window.FreeSpinsManager = class FreeSpinsManager {
             deco.setDepth(1503);
             titleY = dialogCenterY - 70;
         }
-        const title = this.scene.add.text(width / 2, titleY, 'PURCHASE FREE SPINS', {
+        const title = this.scene.add.text(width / 2, titleY, window.I18n.t('freeSpins.purchase.title'), window.I18n.style({
             fontSize: '28px',
             fontFamily: 'Arial Black',
             color: '#FFD700'
-        });
+        }));
         title.setOrigin(0.5);
         title.setDepth(1503);
         
         // Description
-        const description = this.scene.add.text(width / 2, dialogCenterY - 30, `Get ${freeSpinsAmount} Free Spins for $${freeSpinsCost.toFixed(2)}`, {
+        const description = this.scene.add.text(width / 2, dialogCenterY - 30, window.I18n.t('freeSpins.purchase.description', {
+            count: freeSpinsAmount,
+            cost: window.WalletAPI.formatBalance(freeSpinsCost)
+        }), window.I18n.style({
             fontSize: '20px',
             fontFamily: 'Arial',
             color: '#FFFFFF'
-        });
+        }));
         description.setOrigin(0.5);
         description.setDepth(1503);
         
         // Current balance display
-        const balanceInfo = this.scene.add.text(width / 2, dialogCenterY + 5, `Current Balance: $${this.scene.stateManager.gameData.balance.toFixed(2)}`, {
+        const balanceInfo = this.scene.add.text(width / 2, dialogCenterY + 5, window.I18n.t('freeSpins.purchase.balance', {
+            amount: window.WalletAPI.formatBalance(this.scene.stateManager.gameData.balance)
+        }), window.I18n.style({
             fontSize: '16px',
             fontFamily: 'Arial',
             color: '#CCCCCC'
-        });
+        }));
         balanceInfo.setOrigin(0.5);
         balanceInfo.setDepth(1503);
         
@@ -596,15 +605,20 @@ window.FreeSpinsManager = class FreeSpinsManager {
                         
                         window.SafeSound.play(this.scene, 'bonus');
                     } else {
-                        this.scene.showMessage('Purchase failed: ' + (response.message || 'Unknown error'));
+                        const limitBlock = window.NetworkService.getResponsibleGamblingBlock(response);
+                        if (limitBlock) {
+                            this.scene.uiManager.showResponsibleGamblingBlock(limitBlock);
+                        } else {
+                            this.scene.showMessage(window.I18n.t('freeSpins.purchase.failed', { error: response.message || window.I18n.t('common.unknownError') }));
+                        }
                         console.error('❌ Purchase failed:', response);
                     }
                 } catch (error) {
                     console.error('❌ Purchase error:', error);
-                    this.scene.showMessage('Purchase failed: ' + (error.message || 'Network error'));
+                    this.scene.showMessage(window.I18n.t('freeSpins.purchase.failed', { error: error.message || window.I18n.t('common.networkError') }));
                 }
             } else {
-                this.scene.showMessage('Insufficient Balance!');
+                this.scene.showMessage(window.I18n.t('freeSpins.purchase.insufficientBalance'));
             }
         });
         
@@ -655,10 +669,10 @@ window.FreeSpinsManager = class FreeSpinsManager {
             }
         });
         
-        // Stop auto-spin if active
+        // Stop auto-spin if active (or hold it until free spins end, when the player chose so)
         if (this.scene.stateManager.gameData.autoplayActive) {
-            console.log('Stopping auto-spin for Free Spins UI');
-            this.scene.stateManager.stopAutoplay();
+            const outcome = this.scene.stateManager.suspendAutoplayForFreeSpins();
+            console.log(`Auto-spin ${outcome} for Free Spins UI`);
             // Update auto spin counter display
             if (this.scene.uiManager) {
                 this.scene.uiManager.updateAutoSpinCounterDisplay();
@@ -846,8 +860,8 @@ window.FreeSpinsManager = class FreeSpinsManager {
 
         // Stop any auto spins that might interfere
         if (this.scene.stateManager.gameData.autoplayActive) {
-            console.log('Stopping autoplay before Thanos snap sequence');
-            this.scene.stateManager.stopAutoplay();
+            const outcome = this.scene.stateManager.suspendAutoplayForFreeSpins();
+            console.log(`Autoplay ${outcome} before Thanos snap sequence`);
             if (this.scene.uiManager) this.scene.uiManager.updateAutoSpinCounterDisplay();
         }
         if (this.scene.burstAutoSpinning) {
@@ -962,6 +976,7 @@ window.FreeSpinsManager = class FreeSpinsManager {
 
         // Update FS UI and start immediately
         this.scene.uiManager.updateFreeSpinsDisplay();
+        window.Accessibility.announce(window.I18n.t('a11y.announce.freeSpinsStarted', { count: freeSpins }));
         this.freeSpinsAutoPlay = true;
         if (this.scene.stateManager.freeSpinsData.active && this.scene.stateManager.freeSpinsData.count > 0 && !this.scene.isSpinning) {
             console.log(`Starting first free spin immediately`);
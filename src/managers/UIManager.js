@@ -138,6 +138,8 @@ window.UIManager = class UIManager {
         const isDemo = this.scene.demoMode || !localStorage.getItem('infinity_storm_token');
         if (!isDemo) {
             this.initializeServerBalance();
+            this.initializeResponsibleGambling();
+            window.Accessibility.syncWithServer();
         } else {
             console.log('💰 [DEMO] Skipping server balance initialization - using localStorage balance');
             // Demo mode: Set affordability flag and update purchase button cost
@@ -530,7 +532,7 @@ window.UIManager = class UIManager {
                 const isBurstAuto = !!this.scene.burstModeManager?.burstAutoSpinning;
                 const lockSwitch = !!this.scene.lockModeSwitches;
                 if (isAuto || isFS || isBurstAuto || lockSwitch) {
-                    this.scene.showMessage('Stop auto-spins before switching modes.');
+                    this.scene.showMessage(window.I18n.t('ui.modeSwitchBlocked'));
                     return;
                 }
                 // Add cooldown to prevent double-triggering
@@ -654,7 +656,7 @@ window.UIManager = class UIManager {
         const column = this.scene.add.rectangle(width - columnWidth / 2, height / 2, columnWidth, height, 0x000000, 0.55);
         this.settingsContainer.add(column);
 
-        // Example buttons (Rules, History) — display-only for now
+        // Rules and History buttons
         const makeIcon = (x, y, key, fallbackColor, label) => {
             let icon;
             if (this.scene.textures.exists(key)) {
@@ -662,7 +664,7 @@ window.UIManager = class UIManager {
                 icon.setScale(0.55 * scaleX, 0.55 * scaleY);
             } else {
                 icon = this.scene.add.rectangle(x, y, 180 * scaleX, 180 * scaleY, fallbackColor, 1);
-                const t = this.scene.add.text(x, y, label, { fontSize: Math.floor(18 * Math.min(scaleX, scaleY)) + 'px', color: '#ffffff' });
+                const t = this.scene.add.text(x, y, label, window.I18n.style({ fontSize: Math.floor(18 * Math.min(scaleX, scaleY)) + 'px', color: '#ffffff' }));
                 t.setOrigin(0.5);
                 this.settingsContainer.add(t);
             }
@@ -685,25 +687,25 @@ window.UIManager = class UIManager {
         const startY = height / 2 - 100 * scaleY;
         const spacing = 120 * scaleY;
 
-        const rulesBtn = makeIcon(colX, startY, 'settings_ui_rules', 0x3366AA, 'RULES');
-        const historyBtn = makeIcon(colX, startY + spacing, 'settings_ui_history', 0xAAAA33, 'HISTORY');
-        const settingsBtn = makeIcon(colX, startY + spacing * 2, 'settings_ui_settings', 0x888888, 'SETTINGS');
+        const rulesBtn = makeIcon(colX, startY, 'settings_ui_rules', 0x3366AA, window.I18n.t('menu.rules'));
+        const historyBtn = makeIcon(colX, startY + spacing, 'settings_ui_history', 0xAAAA33, window.I18n.t('menu.history'));
+        const settingsBtn = makeIcon(colX, startY + spacing * 2, 'settings_ui_settings', 0x888888, window.I18n.t('menu.settings'));
 
         // Audio toggles (moved from Title Menu)
         const togglesY = startY + spacing * 2 + 100 * scaleY;
-        const labelStyle = { fontSize: Math.floor(20 * Math.min(scaleX, scaleY)) + 'px', fontFamily: 'Arial Black', color: '#FFD700' };
+        const labelStyle = window.I18n.style({ fontSize: Math.floor(20 * Math.min(scaleX, scaleY)) + 'px', fontFamily: 'Arial Black', color: '#FFD700' });
         const makeToggle = (y, label, getOn, onToggle) => {
             const container = this.scene.add.container(colX, y);
             const bg = this.scene.add.rectangle(0, 0, 180 * scaleX, 44 * scaleY, 0x6B46C1, 1);
             bg.setStrokeStyle(2, 0xffffff);
-            const text = this.scene.add.text(0, 0, `${label}: ${getOn() ? 'ON' : 'OFF'}`, labelStyle);
+            const text = this.scene.add.text(0, 0, this.formatToggleLabel(label, getOn()), labelStyle);
             text.setOrigin(0.5);
             container.add([bg, text]);
             container.setSize(180 * scaleX, 44 * scaleY);
             container.setInteractive(new Phaser.Geom.Rectangle(-90 * scaleX, -22 * scaleY, 180 * scaleX, 44 * scaleY), Phaser.Geom.Rectangle.Contains);
             container.on('pointerup', () => {
                 onToggle();
-                text.setText(`${label}: ${getOn() ? 'ON' : 'OFF'}`);
+                text.setText(this.formatToggleLabel(label, getOn()));
                 window.SafeSound.play(this.scene, 'click');
             });
             this.settingsContainer.add(container);
@@ -741,9 +743,9 @@ window.UIManager = class UIManager {
             exitBtn.setScale(0.55 * scaleX, 0.55 * scaleY);
         } else {
             exitBtn = this.scene.add.rectangle(colX, exitY, 200 * scaleX, 60 * scaleY, 0xC0392B, 1);
-            const exitText = this.scene.add.text(exitBtn.x, exitBtn.y, 'EXIT', {
+            const exitText = this.scene.add.text(exitBtn.x, exitBtn.y, window.I18n.t('menu.exit'), window.I18n.style({
                 fontSize: Math.floor(24 * Math.min(scaleX, scaleY)) + 'px', color: '#ffffff'
-            });
+            }));
             exitText.setOrigin(0.5);
             this.settingsContainer.add(exitText);
         }
@@ -751,12 +753,13 @@ window.UIManager = class UIManager {
         exitBtn.on('pointerup', () => this.closeSettingsUI());
         this.settingsContainer.add(exitBtn);
 
-        // Simple click handlers for rules/history (placeholder behaviour for now)
+        // Click handlers for rules/history
 		if (rulesBtn) {
 			rulesBtn.on('pointerup', () => {
 				// Close settings panel if it was left open
 				this.closeSettingsPanel?.();
-				if (this.scene.showMessage) this.scene.showMessage('Rules coming soon');
+				window.SafeSound.play(this.scene, 'click');
+				this.openRules();
 			});
 		}
 		if (historyBtn) {
@@ -829,37 +832,37 @@ window.UIManager = class UIManager {
         }
         this.settingsPanel.add(panel);
 
-        const title = this.scene.add.text(width / 2, (height / 2) - 140 * scaleY, 'SETTINGS', {
+        const title = this.scene.add.text(width / 2, (height / 2) - 140 * scaleY, window.I18n.t('settings.title'), window.I18n.style({
             fontSize: Math.floor(26 * Math.min(scaleX, scaleY)) + 'px',
             fontFamily: 'Arial Black',
             color: '#FFD700'
-        });
+        }));
         title.setOrigin(0.5);
         this.settingsPanel.add(title);
 
-        const labelStyle = { fontSize: Math.floor(22 * Math.min(scaleX, scaleY)) + 'px', fontFamily: 'Arial Black', color: '#FFFFFF' };
+        const labelStyle = window.I18n.style({ fontSize: Math.floor(22 * Math.min(scaleX, scaleY)) + 'px', fontFamily: 'Arial Black', color: '#FFFFFF' });
         const makeToggle = (y, label, getOn, onToggle) => {
             const container = this.scene.add.container(width / 2, y);
             const bg = this.scene.add.rectangle(0, 0, 360 * scaleX, 54 * scaleY, 0x6B46C1, 1);
             bg.setStrokeStyle(2, 0xffffff);
-            const text = this.scene.add.text(0, 0, `${label}: ${getOn() ? 'ON' : 'OFF'}`, labelStyle);
+            const text = this.scene.add.text(0, 0, this.formatToggleLabel(label, getOn()), labelStyle);
             text.setOrigin(0.5);
             container.add([bg, text]);
             container.setSize(360 * scaleX, 54 * scaleY);
             container.setInteractive(new Phaser.Geom.Rectangle(-180 * scaleX, -27 * scaleY, 360 * scaleX, 54 * scaleY), Phaser.Geom.Rectangle.Contains);
             container.on('pointerup', () => {
                 onToggle();
-                text.setText(`${label}: ${getOn() ? 'ON' : 'OFF'}`);
+                text.setText(this.formatToggleLabel(label, getOn()));
                 window.SafeSound.play(this.scene, 'click');
             });
             this.settingsPanel.add(container);
             return container;
         };
 
-        makeToggle((height / 2) - 50 * scaleY, 'SOUND', () => this.scene.stateManager.gameData.soundEnabled, () => {
+        makeToggle((height / 2) - 50 * scaleY, window.I18n.t('settings.sound'), () => this.scene.stateManager.gameData.soundEnabled, () => {
 			this.scene.stateManager.gameData.soundEnabled = !this.scene.stateManager.gameData.soundEnabled;
         });
-        makeToggle((height / 2) + 20 * scaleY, 'MUSIC', () => this.scene.stateManager.gameData.musicEnabled, () => {
+        makeToggle((height / 2) + 20 * scaleY, window.I18n.t('settings.music'), () => this.scene.stateManager.gameData.musicEnabled, () => {
             const gd = this.scene.stateManager.gameData;
             gd.musicEnabled = !gd.musicEnabled;
 			if (gd.musicEnabled) {
@@ -869,14 +872,46 @@ window.UIManager = class UIManager {
 			}
         });
 
+        const panelButtonStyle = window.I18n.style({
+            fontSize: Math.floor(18 * Math.min(scaleX, scaleY)) + 'px',
+            fontFamily: 'Arial Black',
+            color: '#FFFFFF',
+            backgroundColor: '#2563EB',
+            padding: { x: 14, y: 6 }
+        });
+
+        // Limits, reality checks and self-exclusion (real-money players only)
+        const isDemo = this.scene.demoMode || !localStorage.getItem('infinity_storm_token');
+        if (!isDemo) {
+            const rgBtn = this.scene.add.text(width / 2 - 8 * scaleX, (height / 2) + 80 * scaleY, window.I18n.t('rg.title'), panelButtonStyle);
+            rgBtn.setOrigin(1, 0.5);
+            rgBtn.setInteractive({ useHandCursor: true });
+            rgBtn.on('pointerup', () => {
+                window.SafeSound.play(this.scene, 'click');
+                this.openResponsibleGamblingPanel();
+            });
+            this.settingsPanel.add(rgBtn);
+        }
+
+        // Motion, flashing, symbol markers and announcements (all players)
+        const a11yBtn = this.scene.add.text(isDemo ? width / 2 : width / 2 + 8 * scaleX, (height / 2) + 80 * scaleY,
+            window.I18n.t('a11y.title'), panelButtonStyle);
+        a11yBtn.setOrigin(isDemo ? 0.5 : 0, 0.5);
+        a11yBtn.setInteractive({ useHandCursor: true });
+        a11yBtn.on('pointerup', () => {
+            window.SafeSound.play(this.scene, 'click');
+            this.openAccessibilityPanel();
+        });
+        this.settingsPanel.add(a11yBtn);
+
         // Close button
-        const closeBtn = this.scene.add.text(width / 2, (height / 2) + 120 * scaleY, 'CLOSE', {
+        const closeBtn = this.scene.add.text(width / 2, (height / 2) + 140 * scaleY, window.I18n.t('common.close'), window.I18n.style({
             fontSize: Math.floor(20 * Math.min(scaleX, scaleY)) + 'px',
             fontFamily: 'Arial Black',
             color: '#000000',
             backgroundColor: '#FFD700',
             padding: { x: 16, y: 8 }
-        });
+        }));
         closeBtn.setOrigin(0.5);
         closeBtn.setInteractive({ useHandCursor: true });
         closeBtn.on('pointerup', () => {
@@ -885,6 +920,530 @@ window.UIManager = class UIManager {
         });
         this.settingsPanel.add(closeBtn);
     }
+
+    formatToggleLabel(label, on) {
+        return window.I18n.t('settings.toggle', { label, state: window.I18n.t(on ? 'common.on' : 'common.off') });
+    }
+
+    // ===== Accessibility =====
+    // Options are applied by the effects themselves (window.Accessibility); real-money
+    // players' choices are saved with their account, demo players' in the browser.
+
+    openAccessibilityPanel() {
+        this.closeAccessibilityPanel();
+        const width = this.scene.cameras.main.width;
+        const height = this.scene.cameras.main.height;
+        const scaleX = width / 1280;
+        const scaleY = height / 720;
+        const scale = Math.min(scaleX, scaleY);
+        const t = (key, params) => window.I18n.t(key, params);
+
+        const panel = this.scene.add.container(0, 0);
+        panel.setDepth(2100);
+        this.accessibilityPanel = panel;
+
+        const dim = this.scene.add.rectangle(width / 2, height / 2, width, height, 0x000000, 0.6);
+        dim.setInteractive();
+        const bg = this.scene.add.rectangle(width / 2, height / 2, 620 * scaleX, 520 * scaleY, 0x1F2937, 0.97);
+        bg.setStrokeStyle(4, 0xFFD700);
+        const title = this.scene.add.text(width / 2, (height / 2) - 220 * scaleY, t('a11y.title'), window.I18n.style({
+            fontSize: Math.floor(26 * scale) + 'px',
+            fontFamily: 'Arial Black',
+            color: '#FFD700'
+        }));
+        title.setOrigin(0.5);
+        panel.add([dim, bg, title]);
+
+        const labelStyle = window.I18n.style({ fontSize: Math.floor(20 * scale) + 'px', fontFamily: 'Arial Black', color: '#FFFFFF' });
+        const hintStyle = window.I18n.style({ fontSize: Math.floor(14 * scale) + 'px', fontFamily: 'Arial', color: '#D1D5DB' });
+        ['reduceMotion', 'reduceFlashing', 'symbolMarkers', 'announcements'].forEach((option, index) => {
+            const y = (height / 2) - 140 * scaleY + index * 88 * scaleY;
+            const label = t(`a11y.options.${option}.label`);
+            const isOn = () => window.Accessibility.get(option);
+            const button = this.scene.add.container(width / 2, y);
+            const buttonBg = this.scene.add.rectangle(0, 0, 460 * scaleX, 48 * scaleY, 0x6B46C1, 1);
+            buttonBg.setStrokeStyle(2, 0xffffff);
+            const text = this.scene.add.text(0, 0, this.formatToggleLabel(label, isOn()), labelStyle);
+            text.setOrigin(0.5);
+            button.add([buttonBg, text]);
+            button.setSize(460 * scaleX, 48 * scaleY);
+            button.setInteractive(new Phaser.Geom.Rectangle(-230 * scaleX, -24 * scaleY, 460 * scaleX, 48 * scaleY), Phaser.Geom.Rectangle.Contains);
+            button.on('pointerup', () => {
+                window.Accessibility.set(option, !isOn());
+                text.setText(this.formatToggleLabel(label, isOn()));
+                window.SafeSound.play(this.scene, 'click');
+            });
+            const hint = this.scene.add.text(width / 2, y + 34 * scaleY, t(`a11y.options.${option}.hint`), hintStyle);
+            hint.setOrigin(0.5);
+            panel.add([button, hint]);
+        });
+
+        const closeBtn = this.scene.add.text(width / 2, (height / 2) + 215 * scaleY, t('common.close'), window.I18n.style({
+            fontSize: Math.floor(20 * scale) + 'px',
+            fontFamily: 'Arial Black',
+            color: '#000000',
+            backgroundColor: '#FFD700',
+            padding: { x: 16, y: 8 }
+        }));
+        closeBtn.setOrigin(0.5);
+        closeBtn.setInteractive({ useHandCursor: true });
+        closeBtn.on('pointerup', () => {
+            window.SafeSound.play(this.scene, 'click');
+            this.closeAccessibilityPanel();
+        });
+        panel.add(closeBtn);
+    }
+
+    closeAccessibilityPanel() {
+        if (this.accessibilityPanel) {
+            this.accessibilityPanel.destroy();
+            this.accessibilityPanel = null;
+        }
+    }
+    
+    // ===== Responsible gambling =====
+    // Limits are enforced by the server; these screens show blocks, remind the player
+    // of their time and spend (reality check) and let them change their settings.
+
+    async initializeResponsibleGambling() {
+        if (!window.NetworkService || !window.NetworkService.getResponsibleGamblingStatus) return;
+        try {
+            const resp = await window.NetworkService.getResponsibleGamblingStatus();
+            if (!resp || !resp.success || !resp.data) return;
+            const status = resp.data;
+            this.startRealityCheckTimer(status.session.realityCheckMinutes, status.session.elapsedMinutes);
+            if (status.block) {
+                this.showResponsibleGamblingBlock(status.block);
+            }
+        } catch (error) {
+            console.warn('⚠️ Failed to load responsible gambling settings:', error);
+        }
+    }
+
+    // Remind the player every `minutes` of session time (counted from login)
+    startRealityCheckTimer(minutes, elapsedMinutes = 0) {
+        if (this.realityCheckTimer) {
+            this.realityCheckTimer.remove(false);
+            this.realityCheckTimer = null;
+        }
+        if (!minutes) return;
+        const intervalMs = minutes * 60000;
+        this.realityCheckTimer = this.scene.time.addEvent({
+            delay: intervalMs,
+            startAt: ((elapsedMinutes || 0) * 60000) % intervalMs,
+            loop: true,
+            callback: () => this.showRealityCheck()
+        });
+    }
+
+    async showRealityCheck() {
+        // Wait for the running spin to finish before interrupting the player
+        if (this.scene.isSpinning) {
+            this.scene.time.delayedCall(1000, () => this.showRealityCheck());
+            return;
+        }
+        this.stopAutoplayForResponsibleGambling();
+
+        let status = null;
+        try {
+            const resp = await window.NetworkService.getResponsibleGamblingStatus();
+            status = resp && resp.success ? resp.data : null;
+        } catch (_) {}
+
+        const t = (key, params) => window.I18n.t(key, params);
+        const format = (amount) => window.WalletAPI.formatBalance(amount || 0);
+        const lines = [];
+        if (status && status.session.elapsedMinutes !== null) {
+            const hours = Math.floor(status.session.elapsedMinutes / 60);
+            const minutes = status.session.elapsedMinutes % 60;
+            const duration = hours > 0
+                ? t('rg.duration.hoursMinutes', { hours, minutes })
+                : t('rg.duration.minutes', { minutes });
+            lines.push(t('rg.realityCheck.playedFor', { duration }));
+        }
+        if (status) {
+            const day = status.usage.daily;
+            lines.push('', t('rg.realityCheck.last24Hours'), t('rg.realityCheck.wageredWon', {
+                wagered: format(day.wagered),
+                won: format(day.won)
+            }));
+            lines.push(day.loss > 0
+                ? t('rg.realityCheck.netLoss', { amount: format(day.loss) })
+                : t('rg.realityCheck.netWin', { amount: format(-day.loss) }));
+        }
+        lines.push('', t('rg.realityCheck.keepPlaying'));
+
+        this.showResponsibleGamblingDialog({
+            title: t('rg.realityCheck.title'),
+            lines,
+            buttons: [
+                { label: t('common.continue') },
+                { label: t('menu.history'), onClick: () => this.openTransactionHistory() },
+                { label: t('common.quit'), color: '#E74C3C', onClick: () => this.quitToMenu() }
+            ]
+        });
+    }
+
+    // Server refused a spin, purchase or deposit: explain why and stop autoplay
+    showResponsibleGamblingBlock(block) {
+        this.stopAutoplayForResponsibleGambling();
+
+        const t = (key, params) => window.I18n.t(key, params);
+        const i18n = window.I18n;
+        const period = block.period ? t(`rg.periodName.${block.period}`) : '';
+        // Known reasons are worded on the client so they follow the UI language; the server's
+        // English message is kept for anything newer than this build
+        const messageKey = `rg.block.message.${block.reason}`;
+        const message = i18n.has(messageKey)
+            ? t(messageKey, { period, count: block.limitMinutes })
+            : (block.message || t('rg.block.message.default'));
+        const lines = [message];
+        if (block.until) {
+            lines.push('', t('rg.block.availableFrom', { date: i18n.formatDateTime(block.until) }));
+        }
+        if (typeof block.limit === 'number') {
+            lines.push('', t('rg.block.limitRemaining', {
+                limit: window.WalletAPI.formatBalance(block.limit),
+                remaining: window.WalletAPI.formatBalance(block.remaining || 0),
+                period
+            }));
+            lines.push(t('rg.block.lowerBet'));
+        }
+        if (block.reason === 'SESSION_TIME_LIMIT') {
+            lines.push('', t('rg.block.takeBreak'));
+        }
+
+        const buttons = [{ label: t('common.ok') }];
+        if (block.reason === 'SESSION_TIME_LIMIT' || block.reason === 'SELF_EXCLUDED' || block.reason === 'COOL_OFF') {
+            buttons.push({ label: t('common.quit'), color: '#E74C3C', onClick: () => this.quitToMenu() });
+        }
+        const titleKey = `rg.block.title.${block.reason}`;
+        const title = i18n.has(titleKey) ? t(titleKey) : t('rg.block.title.default');
+        this.showResponsibleGamblingDialog({ title, lines, buttons });
+    }
+
+    stopAutoplayForResponsibleGambling() {
+        const stateManager = this.scene.stateManager;
+        if (stateManager && stateManager.gameData.autoplayActive) {
+            stateManager.stopAutoplay();
+            this.updateAutoSpinCounterDisplay();
+            this.updateModeSwitchButtonsState();
+        }
+    }
+
+    quitToMenu() {
+        this.stopAutoplayForResponsibleGambling();
+        this.scene.sound.stopAll();
+        this.scene.scene.start('MenuScene');
+    }
+
+    // Modal dialog; buttons: [{ label, color, onClick }] (every button closes the dialog)
+    showResponsibleGamblingDialog({ title, lines = [], buttons = [{ label: window.I18n.t('common.ok') }] }) {
+        this.closeResponsibleGamblingDialog();
+        const width = this.scene.cameras.main.width;
+        const height = this.scene.cameras.main.height;
+        const scaleX = width / 1280;
+        const scaleY = height / 720;
+        const scale = Math.min(scaleX, scaleY);
+
+        const dialog = this.scene.add.container(0, 0);
+        dialog.setDepth(2300);
+
+        // Full-screen dim also blocks input to the game behind the dialog
+        const dim = this.scene.add.rectangle(width / 2, height / 2, width, height, 0x000000, 0.7);
+        dim.setInteractive();
+        const panel = this.scene.add.rectangle(width / 2, height / 2, 640 * scaleX, 400 * scaleY, 0x1F2937, 0.97);
+        panel.setStrokeStyle(4, 0xFFD700);
+        const titleText = this.scene.add.text(width / 2, (height / 2) - 160 * scaleY, title, window.I18n.style({
+            fontSize: Math.floor(26 * scale) + 'px',
+            fontFamily: 'Arial Black',
+            color: '#FFD700'
+        }));
+        titleText.setOrigin(0.5);
+        const body = this.scene.add.text(width / 2, (height / 2) - 20 * scaleY, lines.join('\n'), window.I18n.style({
+            fontSize: Math.floor(18 * scale) + 'px',
+            fontFamily: 'Arial',
+            color: '#FFFFFF',
+            align: 'center',
+            wordWrap: { width: 580 * scaleX }
+        }));
+        body.setOrigin(0.5);
+        dialog.add([dim, panel, titleText, body]);
+
+        const spacing = 190 * scaleX;
+        const startX = width / 2 - ((buttons.length - 1) * spacing) / 2;
+        buttons.forEach((button, index) => {
+            const btn = this.scene.add.text(startX + index * spacing, (height / 2) + 140 * scaleY, button.label, window.I18n.style({
+                fontSize: Math.floor(20 * scale) + 'px',
+                fontFamily: 'Arial Black',
+                color: '#000000',
+                backgroundColor: button.color || '#FFD700',
+                padding: { x: 16, y: 8 }
+            }));
+            btn.setOrigin(0.5);
+            btn.setInteractive({ useHandCursor: true });
+            btn.on('pointerup', () => {
+                window.SafeSound.play(this.scene, 'click');
+                this.closeResponsibleGamblingDialog();
+                if (button.onClick) button.onClick();
+            });
+            dialog.add(btn);
+        });
+
+        this.responsibleGamblingDialog = dialog;
+        return dialog;
+    }
+
+    closeResponsibleGamblingDialog() {
+        if (this.responsibleGamblingDialog) {
+            this.responsibleGamblingDialog.destroy();
+            this.responsibleGamblingDialog = null;
+        }
+    }
+
+    // Settings screen: deposit/loss/wager limits per period, session limit, reality check,
+    // cool-off and self-exclusion. Lower limits apply at once, higher ones after a delay.
+    async openResponsibleGamblingPanel() {
+        let resp = null;
+        try {
+            resp = await window.NetworkService.getResponsibleGamblingStatus();
+        } catch (_) {}
+        if (!resp || !resp.success || !resp.data) {
+            this.scene.showMessage(window.I18n.t('rg.unavailable'));
+            return;
+        }
+        this.renderResponsibleGamblingPanel(resp.data);
+    }
+
+    closeResponsibleGamblingPanel() {
+        if (this.responsibleGamblingPanel) {
+            this.responsibleGamblingPanel.destroy();
+            this.responsibleGamblingPanel = null;
+        }
+    }
+
+    renderResponsibleGamblingPanel(status) {
+        this.closeResponsibleGamblingPanel();
+        const width = this.scene.cameras.main.width;
+        const height = this.scene.cameras.main.height;
+        const scaleX = width / 1280;
+        const scaleY = height / 720;
+        const scale = Math.min(scaleX, scaleY);
+        const format = (amount) => window.WalletAPI.formatBalance(amount);
+        const t = (key, params) => window.I18n.t(key, params);
+        const off = t('common.off');
+
+        const panel = this.scene.add.container(0, 0);
+        panel.setDepth(2100);
+        this.responsibleGamblingPanel = panel;
+
+        const dim = this.scene.add.rectangle(width / 2, height / 2, width, height, 0x000000, 0.6);
+        dim.setInteractive();
+        const bg = this.scene.add.rectangle(width / 2, height / 2, 860 * scaleX, 600 * scaleY, 0x1F2937, 0.97);
+        bg.setStrokeStyle(4, 0xFFD700);
+        const title = this.scene.add.text(width / 2, (height / 2) - 265 * scaleY, t('rg.title'), window.I18n.style({
+            fontSize: Math.floor(26 * scale) + 'px',
+            fontFamily: 'Arial Black',
+            color: '#FFD700'
+        }));
+        title.setOrigin(0.5);
+        panel.add([dim, bg, title]);
+
+        const labelStyle = { fontSize: Math.floor(18 * scale) + 'px', fontFamily: 'Arial Black', color: '#FFFFFF' };
+        const cellStyle = {
+            fontSize: Math.floor(16 * scale) + 'px',
+            fontFamily: 'Arial',
+            color: '#FFFFFF',
+            backgroundColor: '#374151',
+            padding: { x: 10, y: 6 }
+        };
+        const addText = (x, y, text, style, onClick) => {
+            const item = this.scene.add.text(x, y, text, window.I18n.style(style));
+            item.setOrigin(0.5);
+            if (onClick) {
+                item.setInteractive({ useHandCursor: true });
+                item.on('pointerup', () => {
+                    window.SafeSound.play(this.scene, 'click');
+                    onClick();
+                });
+            }
+            panel.add(item);
+            return item;
+        };
+        const pendingNote = (pending, formatValue) => (pending
+            ? `\n→ ${pending.amount === null ? off : formatValue(pending.amount)} ${window.I18n.formatDate(pending.effectiveAt)}`
+            : '');
+
+        // Money limits: one row per type, one column per period
+        const periods = ['daily', 'weekly', 'monthly'];
+        const columnX = (index) => width / 2 + (index - 0.5) * 190 * scaleX;
+        const rowY = (index) => (height / 2) - 185 * scaleY + index * 62 * scaleY;
+        periods.forEach((period, index) => {
+            addText(columnX(index), rowY(0), t(`rg.period.${period}`), labelStyle);
+        });
+        const presetAmounts = [10, 25, 50, 100, 250, 500, 1000]
+            .map(multiple => multiple * window.GameConfig.DEFAULT_BET);
+        ['deposit', 'loss', 'wager'].forEach((limitType, rowIndex) => {
+            const y = rowY(rowIndex + 1);
+            addText(width / 2 - 300 * scaleX, y, t(`rg.limitType.${limitType}`), labelStyle);
+            periods.forEach((period, columnIndex) => {
+                const limit = status.limits.find(item => item.limitType === limitType && item.period === period);
+                const text = (limit && limit.amount !== null ? format(limit.amount) : off) +
+                    pendingNote(limit && limit.pending, format);
+                addText(columnX(columnIndex), y, text, cellStyle, () => {
+                    this.pickResponsibleGamblingOption(
+                        t('rg.limitTitle', { period: t(`rg.period.${period}`), type: t(`rg.limitType.${limitType}`) }),
+                        [{ label: off, value: null }].concat(presetAmounts.map(value => ({ label: format(value), value }))),
+                        (value) => this.applyResponsibleGamblingChange(
+                            () => window.NetworkService.setResponsibleGamblingLimit(limitType, period, value)
+                        )
+                    );
+                });
+            });
+        });
+
+        // Session time limit and reality check interval
+        const minutes = (value) => t('rg.minutesShort', { count: value });
+        const session = status.session;
+        addText(width / 2 - 300 * scaleX, rowY(4), t('rg.session'), labelStyle);
+        addText(columnX(0), rowY(4), (session.limitMinutes ? minutes(session.limitMinutes) : off) +
+            pendingNote(session.pending, minutes), cellStyle, () => {
+            this.pickResponsibleGamblingOption(t('rg.sessionTimeLimit'),
+                [null, 30, 60, 120, 240].map(value => ({ label: value ? minutes(value) : off, value })),
+                (value) => this.applyResponsibleGamblingChange(
+                    () => window.NetworkService.setResponsibleGamblingLimit('session_time', null, value)
+                ));
+        });
+        addText(columnX(1), rowY(4), t('rg.reminder'), labelStyle);
+        addText(columnX(2), rowY(4), session.realityCheckMinutes ? minutes(session.realityCheckMinutes) : off,
+            cellStyle, () => {
+                this.pickResponsibleGamblingOption(t('rg.realityCheck.title'),
+                    [null, 15, 30, 60].map(value => ({ label: value ? t('rg.every', { interval: minutes(value) }) : off, value })),
+                    (value) => this.applyResponsibleGamblingChange(
+                        () => window.NetworkService.setRealityCheck(value),
+                        () => this.startRealityCheckTimer(value, session.elapsedMinutes)
+                    ));
+            });
+
+        addText(width / 2, rowY(5), t('rg.limitsNote'), {
+            fontSize: Math.floor(14 * scale) + 'px',
+            fontFamily: 'Arial',
+            color: '#D1D5DB'
+        });
+
+        // Break and self-exclusion (cannot be undone early)
+        const actionStyle = (color) => ({
+            fontSize: Math.floor(18 * scale) + 'px',
+            fontFamily: 'Arial Black',
+            color: '#000000',
+            backgroundColor: color,
+            padding: { x: 14, y: 8 }
+        });
+        const actionsY = (height / 2) + 235 * scaleY;
+        // Option labels are upper case ("6 WEEKS"); the confirmation uses the running-text form
+        const exclusionOptions = (periods) => periods.map(value => ({ label: t(`rg.exclusionPeriod.${value}.label`), value }));
+        const exclusionText = (period) => t(`rg.exclusionPeriod.${period}.text`);
+        addText(width / 2 - 250 * scaleX, actionsY, t('rg.takeBreak'), actionStyle('#F59E0B'), () => {
+            this.pickResponsibleGamblingOption(t('rg.takeBreak'), exclusionOptions(['24h', '7d', '30d', '42d']),
+                (period) => this.confirmResponsibleGamblingExclusion(
+                    t('rg.takeBreak'),
+                    t('rg.coolOffConfirm', { duration: exclusionText(period) }),
+                    () => window.NetworkService.startCoolOff(period)
+                ));
+        });
+        addText(width / 2, actionsY, t('rg.selfExclude'), actionStyle('#E74C3C'), () => {
+            this.pickResponsibleGamblingOption(t('rg.selfExclude'), exclusionOptions(['6m', '1y', '5y']),
+                (period) => this.confirmResponsibleGamblingExclusion(
+                    t('rg.selfExclude'),
+                    t('rg.selfExcludeConfirm', { duration: exclusionText(period) }),
+                    () => window.NetworkService.selfExclude(period)
+                ));
+        });
+        addText(width / 2 + 250 * scaleX, actionsY, t('common.close'), actionStyle('#FFD700'), () => {
+            this.closeResponsibleGamblingPanel();
+        });
+    }
+
+    // Vertical list of choices above the panel; onPick(value, label)
+    pickResponsibleGamblingOption(title, options, onPick) {
+        const width = this.scene.cameras.main.width;
+        const height = this.scene.cameras.main.height;
+        const scaleY = height / 720;
+        const scale = Math.min(width / 1280, scaleY);
+        const picker = this.scene.add.container(0, 0);
+        picker.setDepth(2200);
+
+        const spacing = 46 * scaleY;
+        const panelHeight = (options.length + 2) * spacing + 30 * scaleY;
+        const top = height / 2 - panelHeight / 2;
+        const dim = this.scene.add.rectangle(width / 2, height / 2, width, height, 0x000000, 0.5);
+        dim.setInteractive();
+        dim.on('pointerup', () => picker.destroy());
+        const bg = this.scene.add.rectangle(width / 2, height / 2, 360 * (width / 1280), panelHeight, 0x111827, 0.98);
+        bg.setStrokeStyle(3, 0xFFD700);
+        bg.setInteractive();
+        const titleText = this.scene.add.text(width / 2, top + spacing * 0.75, title, window.I18n.style({
+            fontSize: Math.floor(18 * scale) + 'px',
+            fontFamily: 'Arial Black',
+            color: '#FFD700'
+        }));
+        titleText.setOrigin(0.5);
+        picker.add([dim, bg, titleText]);
+
+        options.forEach((option, index) => {
+            const item = this.scene.add.text(width / 2, top + spacing * (index + 1.75), option.label, window.I18n.style({
+                fontSize: Math.floor(18 * scale) + 'px',
+                fontFamily: 'Arial Black',
+                color: '#FFFFFF',
+                backgroundColor: '#6B46C1',
+                padding: { x: 14, y: 6 }
+            }));
+            item.setOrigin(0.5);
+            item.setInteractive({ useHandCursor: true });
+            item.on('pointerup', () => {
+                window.SafeSound.play(this.scene, 'click');
+                picker.destroy();
+                onPick(option.value, option.label);
+            });
+            picker.add(item);
+        });
+    }
+
+    confirmResponsibleGamblingExclusion(title, message, request) {
+        this.showResponsibleGamblingDialog({
+            title,
+            lines: [message, '', window.I18n.t('common.areYouSure')],
+            buttons: [
+                { label: window.I18n.t('common.cancel') },
+                {
+                    label: window.I18n.t('common.confirm'),
+                    color: '#E74C3C',
+                    onClick: () => this.applyResponsibleGamblingChange(request, () => {
+                        this.closeResponsibleGamblingPanel();
+                        this.closeSettingsUI();
+                        this.stopAutoplayForResponsibleGambling();
+                    })
+                }
+            ]
+        });
+    }
+
+    // Send a settings change, then redraw the panel with the server's view of the limits
+    async applyResponsibleGamblingChange(request, onSuccess) {
+        const resp = await request().catch(error => ({ success: false, message: error.message }));
+        if (!resp || !resp.success) {
+            const error = resp && resp.error;
+            this.scene.showMessage((error && error.message) || (resp && resp.message) || window.I18n.t('rg.updateFailed'));
+            return;
+        }
+        if (resp.message) {
+            this.scene.showMessage(resp.message);
+        }
+        if (onSuccess) onSuccess(resp.data);
+        if (this.responsibleGamblingPanel) {
+            this.openResponsibleGamblingPanel();
+        }
+    }
     
     createTextOverlays(scaleX, scaleY) {
         // Text overlays for values - initialize with server balance if available
@@ -896,7 +1455,7 @@ window.UIManager = class UIManager {
         console.log('💰 [UIMANAGER] createTextOverlays - WalletAPI:', walletBalance, 'StateManager:', stateBalance, 'IsDemo:', isDemo, 'Using:', initialBalance);
         {
             const fs = Math.floor(24 * Math.min(scaleX, scaleY));
-            this.balanceText = this.scene.add.text(250 * scaleX, 675 * scaleY, `$${initialBalance.toFixed(2)}`, {
+            this.balanceText = this.scene.add.text(250 * scaleX, 675 * scaleY, window.WalletAPI.formatBalance(initialBalance), {
                 fontSize: fs + 'px',
                 fontFamily: 'Arial Black',
                 color: '#FFD700',
@@ -910,7 +1469,7 @@ window.UIManager = class UIManager {
         
         {
             const fs = Math.floor(24 * Math.min(scaleX, scaleY));
-            this.winText = this.scene.add.text(561 * scaleX, 675 * scaleY, '$0.00', {
+            this.winText = this.scene.add.text(561 * scaleX, 675 * scaleY, window.WalletAPI.formatBalance(0), {
                 fontSize: fs + 'px',
                 fontFamily: 'Arial Black',
                 color: '#00FF00',
@@ -935,7 +1494,7 @@ window.UIManager = class UIManager {
         this.winTopText.setOrigin(0.5);
         this.winTopText.setDepth(window.GameConfig.UI_DEPTHS.TEXT_OVERLAY);
         // Default guidance text when no win/formula is shown
-        this.defaultPlaqueText = '4 Scatter = Free Spins!';
+        this.defaultPlaqueText = window.I18n.t('ui.plaqueHint');
         this.winTopText.setText(this.defaultPlaqueText);
         this.winTopText.setVisible(true);
         // Save original scale to avoid accumulation during tweens
@@ -954,7 +1513,7 @@ window.UIManager = class UIManager {
                         if (amount <= 0) {
                             const shouldRestore = !this.winTopText.visible || !this.winTopText.text || this.winTopText.text.trim() === '';
                             if (shouldRestore) {
-                                const text = this.defaultPlaqueText || '8+ matched symbols wins!';
+                                const text = this.defaultPlaqueText || window.I18n.t('ui.plaqueHintClusters');
                                 this.winTopText.setText(text);
                                 this.winTopText.setVisible(true);
                             }
@@ -966,7 +1525,7 @@ window.UIManager = class UIManager {
         
         {
             const fs = Math.floor(24 * Math.min(scaleX, scaleY));
-            this.betText = this.scene.add.text(931 * scaleX, 675 * scaleY, `$${this.scene.stateManager.gameData.currentBet.toFixed(2)}`, {
+            this.betText = this.scene.add.text(931 * scaleX, 675 * scaleY, window.WalletAPI.formatBalance(this.scene.stateManager.gameData.currentBet), {
                 fontSize: fs + 'px',
                 fontFamily: 'Arial Black',
                 color: '#FFFFFF',
@@ -1132,7 +1691,7 @@ window.UIManager = class UIManager {
         // Only create fallback buttons if the main UI elements failed to load
         if (!this.ui_spin) {
             console.log('Creating fallback SPIN button');
-            this.scene.fallbackSpinButton = this.scene.createButton(width / 2, height - 100, 'SPIN', () => this.scene.handleSpinButtonClick());
+            this.scene.fallbackSpinButton = this.scene.createButton(width / 2, height - 100, window.I18n.t('ui.spin'), () => this.scene.handleSpinButtonClick());
         }
         
         if (!this.ui_number_bet_minus || !this.ui_number_bet_plus) {
@@ -1143,7 +1702,7 @@ window.UIManager = class UIManager {
         
         if (!this.ui_small_menu) {
             console.log('Creating fallback MENU button');
-            this.scene.fallbackMenuButton = this.scene.createSmallButton(100, height - 50, 'MENU', () => {
+            this.scene.fallbackMenuButton = this.scene.createSmallButton(100, height - 50, window.I18n.t('ui.menu'), () => {
                 this.scene.sound.stopAll();
                 this.scene.scene.start('MenuScene');
             });
@@ -1151,7 +1710,7 @@ window.UIManager = class UIManager {
         
         if (!this.ui_small_burst) {
             console.log('Creating fallback BURST button');
-            this.scene.fallbackBurstButton = this.scene.createSmallButton(width - 100, height - 50, 'BURST', () => {
+            this.scene.fallbackBurstButton = this.scene.createSmallButton(width - 100, height - 50, window.I18n.t('ui.burst'), () => {
                 // Add cooldown to prevent double-triggering
                 if (!this.burstButtonCooldown) {
                     this.burstButtonCooldown = true;
@@ -1172,6 +1731,7 @@ window.UIManager = class UIManager {
             // Listen for wallet balance updates
             this.scene.events.on('wallet_balance_update', this.handleWalletBalanceUpdate, this);
             this.scene.events.on('wallet_transaction_created', this.handleWalletTransactionCreated, this);
+            this.scene.events.on('wallet_currency_change', this.handleWalletCurrencyChange, this);
             this.scene.events.on('wallet_error', this.handleWalletError, this);
         }
     }
@@ -1189,7 +1749,7 @@ window.UIManager = class UIManager {
                 this.updatePurchaseButtonCost();
             } catch (error) {
                 console.warn('⚠️ Failed to initialize wallet balance from server:', error);
-                this.handleWalletError({ error: 'Failed to connect to wallet service' });
+                this.handleWalletError({ error: window.I18n.t('ui.walletConnectFailed') });
                 // Still allow gameplay but don't dim purchase button
                 this.purchaseAffordabilityReady = false;
             }
@@ -1201,7 +1761,7 @@ window.UIManager = class UIManager {
         // Use server balance if available, otherwise fallback to local state
         const balance = window.WalletAPI ? window.WalletAPI.getCurrentBalance() : this.scene.stateManager.gameData.balance;
         if (this.balanceText) {
-            this.balanceText.setText(`$${balance.toFixed(2)}`);
+            this.balanceText.setText(window.WalletAPI.formatBalance(balance));
         }
     }
     
@@ -1216,20 +1776,20 @@ window.UIManager = class UIManager {
         
         if (window.WalletAPI && this.balanceText) {
             const serverBalance = window.WalletAPI.getCurrentBalance();
-            this.balanceText.setText(`$${serverBalance.toFixed(2)}`);
+            this.balanceText.setText(window.WalletAPI.formatBalance(serverBalance));
             
             // Also update local state manager for consistency
             if (this.scene.stateManager) {
                 this.scene.stateManager.setBalanceFromServer(serverBalance);
             }
             
-            console.log(`💰 Balance display updated from server: $${serverBalance.toFixed(2)}`);
+            console.log(`💰 Balance display updated from server: ${window.WalletAPI.formatBalance(serverBalance)}`);
         }
     }
     
     updateWinDisplay() {
         if (this.winText) {
-            this.winText.setText(`$${this.scene.totalWin.toFixed(2)}`);
+            this.winText.setText(window.WalletAPI.formatBalance(this.scene.totalWin));
         }
 
         // Mirror win amount or formula to the top-center visual, show only when > 0
@@ -1258,24 +1818,24 @@ window.UIManager = class UIManager {
                 const meaningfulFormula = (baseRounded >= 0.01) && (multRounded >= 1.01) && !hasPendingStars;
                 let text;
                 if (meaningfulFormula) {
-                    const baseStr = `$${baseRounded.toFixed(2)}`;
+                    const baseStr = window.WalletAPI.formatBalance(baseRounded);
                     const multStr = `x${multRounded.toFixed(2).replace(/\.00$/, '')}`;
-                    const finalStr = `$${amount.toFixed(2)}`;
+                    const finalStr = window.WalletAPI.formatBalance(amount);
                     text = `${baseStr} ${multStr} = ${finalStr}`;
                 } else if (hasPendingStars && baseRounded >= 0.01) {
                     // MODIFICATION: Show only BASE WIN (not final total) while shooting stars are pending
                     // This shows the symbol payout BEFORE multipliers are applied
-                    text = `$${baseRounded.toFixed(2)}`;
+                    text = window.WalletAPI.formatBalance(baseRounded);
                 } else if (!inFreeSpins && (this.scene.spinAccumulatedRM || 0) > 0 && (this.scene.normalModePendingStars || 0) === 0 && baseRounded >= 0.01) {
                     // If stars have already incremented multiplier and no stars are pending,
                     // compute final progressively using current multiplier (guard against stale amount)
                     const progressiveFinal = baseRounded * multRounded;
-                    const baseStr = `$${baseRounded.toFixed(2)}`;
+                    const baseStr = window.WalletAPI.formatBalance(baseRounded);
                     const multStr = `x${multRounded.toFixed(2).replace(/\.00$/, '')}`;
-                    const finalStr = `$${progressiveFinal.toFixed(2)}`;
+                    const finalStr = window.WalletAPI.formatBalance(progressiveFinal);
                     text = `${baseStr} ${multStr} = ${finalStr}`;
                 } else {
-                    text = `$${amount.toFixed(2)}`;
+                    text = window.WalletAPI.formatBalance(amount);
                 }
                 this.winTopText.setText(text);
                 this.winTopText.setVisible(true);
@@ -1337,9 +1897,9 @@ window.UIManager = class UIManager {
         const trace = new Error().stack.split('\n').slice(1, 4).join(' → ');
         console.log(`🔧 setWinFormula called: x${accumulatedMultiplier} (${pending} stars pending) via ${trace}`);
         
-        const baseStr = `$${Number(baseAmount || 0).toFixed(2)}`;
+        const baseStr = window.WalletAPI.formatBalance(Number(baseAmount || 0));
         const multStr = `x${Number(accumulatedMultiplier || 0).toFixed(2).replace(/\.00$/, '')}`;
-        const finalStr = `$${Number(finalAmount || 0).toFixed(2)}`;
+        const finalStr = window.WalletAPI.formatBalance(Number(finalAmount || 0));
         const text = `${baseStr} ${multStr} = ${finalStr}`;
         this.winTopText.setText(text);
         this.winTopText.setVisible(true);
@@ -1358,7 +1918,7 @@ window.UIManager = class UIManager {
     
     updateBetDisplay() {
         if (this.betText) {
-            this.betText.setText(`$${this.scene.stateManager.gameData.currentBet.toFixed(2)}`);
+            this.betText.setText(window.WalletAPI.formatBalance(this.scene.stateManager.gameData.currentBet));
         }
         // Update purchase button overlay cost when bet changes
         this.updatePurchaseButtonCost();
@@ -1398,25 +1958,25 @@ window.UIManager = class UIManager {
             
             // Create "FREE SPINS: " label if it doesn't exist
             if (!this.freeSpinsLabelText) {
-                this.freeSpinsLabelText = this.scene.add.text(0, 549 * scaleY, 'FREE SPINS: ', {
+                this.freeSpinsLabelText = this.scene.add.text(0, 549 * scaleY, window.I18n.t('ui.freeSpinsLabel'), window.I18n.style({
                     fontSize: fsPlaque + 'px',
                     fontFamily: 'Arial Black',
                     color: '#FFD700',
                     stroke: '#000000',
                     strokeThickness: Math.max(3, Math.floor(fsPlaque * 0.18)),
                     align: 'center'
-                });
+                }));
                 this.freeSpinsLabelText.setOrigin(1, 0.5);
                 this.freeSpinsLabelText.setDepth(window.GameConfig.UI_DEPTHS.FREE_SPINS + 1);
             } else {
-                this.freeSpinsLabelText.setStyle({
+                this.freeSpinsLabelText.setStyle(window.I18n.style({
                     fontSize: fsPlaque + 'px',
                     fontFamily: 'Arial Black',
                     color: '#FFD700',
                     stroke: '#000000',
                     strokeThickness: Math.max(3, Math.floor(fsPlaque * 0.18)),
                     align: 'center'
-                });
+                }));
             }
             
             // Create number text if it doesn't exist
@@ -1847,7 +2407,7 @@ window.UIManager = class UIManager {
             }
             
             if (this.ui_freegame_purchase_text) {
-                this.ui_freegame_purchase_text.setText(`$${cost.toFixed(2)}`);
+                this.ui_freegame_purchase_text.setText(window.WalletAPI.formatBalance(cost));
                 this.ui_freegame_purchase_text.setVisible(true);
                 // Keep overlay centered on the button in case of layout shifts
                 const width = this.scene.cameras.main.width;
@@ -1874,11 +2434,11 @@ window.UIManager = class UIManager {
         
         // Update balance display with animation
         if (this.balanceText) {
-            const oldBalance = parseFloat(this.balanceText.text.replace('$', ''));
+            const oldBalance = data.oldBalance;
             const newBalance = data.newBalance;
             
             // Update text
-            this.balanceText.setText(`$${newBalance.toFixed(2)}`);
+            this.balanceText.setText(window.WalletAPI.formatBalance(newBalance));
             
             // Add visual feedback for balance change
             if (Math.abs(oldBalance - newBalance) > 0.01) {
@@ -1903,12 +2463,26 @@ window.UIManager = class UIManager {
         }
     }
     
+    // The wallet currency changed: GameConfig now holds its bet ladder
+    handleWalletCurrencyChange(data) {
+        console.log('💱 Wallet currency changed in UI:', data);
+        
+        const stateManager = this.scene.stateManager;
+        if (stateManager && !window.GameConfig.BET_LEVELS.includes(stateManager.gameData.currentBet)) {
+            stateManager.setBet(window.GameConfig.DEFAULT_BET);
+        }
+        
+        this.updateBalanceDisplay();
+        this.updateWinDisplay();
+        this.updateBetDisplay();
+    }
+    
     handleWalletError(data) {
         console.error('❌ Wallet error in UI:', data);
         
         // Show error message to user
         if (this.scene.showMessage) {
-            this.scene.showMessage(`Wallet Error: ${data.error}`);
+            this.scene.showMessage(window.I18n.t('ui.walletError', { error: data.error }));
         }
         
         // Update UI to show disconnected state
@@ -1954,7 +2528,7 @@ window.UIManager = class UIManager {
         const changeText = this.scene.add.text(
             this.balanceText.x, 
             this.balanceText.y - 30, 
-            `${isIncrease ? '+' : ''}$${change.toFixed(2)}`,
+            `${isIncrease ? '+' : ''}${window.WalletAPI.formatBalance(change)}`,
             {
                 fontSize: '16px',
                 fontFamily: 'Arial Bold',
@@ -1980,13 +2554,29 @@ window.UIManager = class UIManager {
     // Show transaction notification
     showTransactionNotification(transaction) {
         const formatted = window.WalletAPI.formatTransaction(transaction);
-        const message = `${transaction.type.toUpperCase()}: ${formatted.formattedAmount}`;
+        const typeKey = `ui.transactionType.${transaction.type}`;
+        const type = window.I18n.has(typeKey) ? window.I18n.t(typeKey) : transaction.type.toUpperCase();
+        const message = `${type}: ${formatted.formattedAmount}`;
         
         if (this.scene.showMessage) {
             this.scene.showMessage(message, 2000);
         }
     }
     
+    // Rules and paytable scene (content served from the active math model)
+    openRules() {
+        const scenePlugin = this.scene.scene;
+        if (scenePlugin.isActive('RulesScene')) {
+            return;
+        }
+        const stateManager = this.scene.stateManager;
+        scenePlugin.launch('RulesScene', {
+            callerKey: scenePlugin.key,
+            bet: stateManager && stateManager.gameData ? stateManager.gameData.currentBet : 0
+        });
+        scenePlugin.bringToTop('RulesScene');
+    }
+
     // Transaction History UI
     openTransactionHistory() {
         if (this.transactionHistoryContainer) {
@@ -2030,20 +2620,20 @@ window.UIManager = class UIManager {
         this.transactionHistoryContainer.add(panel);
         
         // Title
-        const title = this.scene.add.text(width / 2, (height / 2) - (panelHeight / 2) + 40 * scaleY, 'TRANSACTION HISTORY', {
+        const title = this.scene.add.text(width / 2, (height / 2) - (panelHeight / 2) + 40 * scaleY, window.I18n.t('history.title'), window.I18n.style({
             fontSize: Math.floor(24 * Math.min(scaleX, scaleY)) + 'px',
             fontFamily: 'Arial Black',
             color: '#FFD700'
-        });
+        }));
         title.setOrigin(0.5);
         this.transactionHistoryContainer.add(title);
         
         // Loading text
-        const loadingText = this.scene.add.text(width / 2, height / 2, 'Loading history...', {
+        const loadingText = this.scene.add.text(width / 2, height / 2, window.I18n.t('history.loading'), window.I18n.style({
             fontSize: Math.floor(18 * Math.min(scaleX, scaleY)) + 'px',
             fontFamily: 'Arial',
             color: '#FFFFFF'
-        });
+        }));
         loadingText.setOrigin(0.5);
         this.transactionHistoryContainer.add(loadingText);
         
@@ -2053,17 +2643,17 @@ window.UIManager = class UIManager {
                 loadingText.destroy();
         } catch (error) {
             console.error('Failed to load history:', error);
-            loadingText.setText('Error loading history');
+            loadingText.setText(window.I18n.t('history.loadError'));
         }
         
         // Close button
-        const closeBtn = this.scene.add.text(width / 2, (height / 2) + (panelHeight / 2) - 30 * scaleY, 'CLOSE', {
+        const closeBtn = this.scene.add.text(width / 2, (height / 2) + (panelHeight / 2) - 30 * scaleY, window.I18n.t('common.close'), window.I18n.style({
             fontSize: Math.floor(20 * Math.min(scaleX, scaleY)) + 'px',
             fontFamily: 'Arial Black',
             color: '#000000',
             backgroundColor: '#FFD700',
             padding: { x: 16, y: 8 }
-        });
+        }));
         closeBtn.setOrigin(0.5);
         closeBtn.setInteractive({ useHandCursor: true });
         closeBtn.on('pointerup', () => {
@@ -2081,7 +2671,7 @@ window.UIManager = class UIManager {
     async fetchAndRenderHistory(page, panelWidth, panelHeight, scaleX, scaleY) {
         const resp = await window.NetworkService.getSpinHistory(page, 200, 'desc');
         if (!resp || !resp.success) {
-            this.showTransactionError('Failed to load history');
+            this.showTransactionError(window.I18n.t('history.failed'));
             return;
         }
         const payload = resp.data || resp;
@@ -2093,7 +2683,7 @@ window.UIManager = class UIManager {
     displaySpinHistoryGrid(historyResp, panelWidth, panelHeight, scaleX, scaleY) {
         const rows = Array.isArray(historyResp.data) ? historyResp.data : historyResp;
         if (!rows || rows.length === 0) {
-            this.showTransactionError('No history found');
+            this.showTransactionError(window.I18n.t('history.empty'));
             return;
         }
         const width = this.scene.cameras.main.width;
@@ -2108,13 +2698,18 @@ window.UIManager = class UIManager {
         const headerY = (height / 2) - (panelHeight / 2) + 80 * scaleY;
         const leftX = (width / 2) - (panelWidth / 2) + 20 * scaleX;
         const cols = [
-            { key: 'bet_time', label: 'BET TIME', width: 180 * scaleX },
-            { key: 'player_id', label: 'PLAYER ID', width: 220 * scaleX },
-            { key: 'spin_id', label: 'SPIN ID', width: 220 * scaleX },
-            { key: 'bet_amount', label: 'BET', width: 80 * scaleX },
-            { key: 'total_win', label: 'WIN', width: 100 * scaleX },
-            { key: 'game_mode', label: 'MODE', width: 100 * scaleX }
+            { key: 'bet_time', label: window.I18n.t('history.columns.betTime'), width: 180 * scaleX },
+            { key: 'player_id', label: window.I18n.t('history.columns.playerId'), width: 220 * scaleX },
+            { key: 'spin_id', label: window.I18n.t('history.columns.spinId'), width: 220 * scaleX },
+            { key: 'bet_amount', label: window.I18n.t('history.columns.bet'), width: 80 * scaleX },
+            { key: 'total_win', label: window.I18n.t('history.columns.win'), width: 100 * scaleX },
+            { key: 'game_mode', label: window.I18n.t('history.columns.mode'), width: 100 * scaleX }
         ];
+        const formatAmount = (value) => window.I18n.formatNumber(value, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+        const formatMode = (mode) => {
+            const key = `history.mode.${mode || 'base'}`;
+            return window.I18n.has(key) ? window.I18n.t(key) : (mode || 'base').toUpperCase();
+        };
 
         // Header
         let x = leftX;
@@ -2123,7 +2718,7 @@ window.UIManager = class UIManager {
             const isNumeric = (col.key === 'bet_amount' || col.key === 'total_win');
             const headerX = isNumeric ? (x + col.width - paddingRight) : x;
             const originX = isNumeric ? 1 : 0;
-            const h = this.scene.add.text(headerX, headerY, col.label, { fontSize: Math.floor(14 * Math.min(scaleX, scaleY)) + 'px', fontFamily: 'Arial Black', color: '#FFD700' });
+            const h = this.scene.add.text(headerX, headerY, col.label, window.I18n.style({ fontSize: Math.floor(14 * Math.min(scaleX, scaleY)) + 'px', fontFamily: 'Arial Black', color: '#FFD700' }));
             h.setOrigin(originX, 0.5);
             this.historyContentGroup.add(h);
             x += col.width;
@@ -2155,23 +2750,30 @@ window.UIManager = class UIManager {
             zebra.setInteractive(new Phaser.Geom.Rectangle(-(panelWidth - 40 * scaleX)/2, -(rowHeight - 2)/2, panelWidth - 40 * scaleX, rowHeight - 2), Phaser.Geom.Rectangle.Contains);
             zebra.on('pointerover', () => zebra.setFillStyle(0x243040, 0.9));
             zebra.on('pointerout', () => zebra.setFillStyle(idx % 2 ? 0x18202A : 0x1F2937, 0.8));
+            if (r.spin_id) {
+                zebra.input.cursor = 'pointer';
+                // Rows scrolled out of the mask still take input, so only open visible ones
+                zebra.on('pointerup', (pointer) => {
+                    if (pointer.y >= listTop && pointer.y <= listTop + listHeight) {
+                        this.openSpinReplay(r.spin_id);
+                    }
+                });
+            }
             listContainer.add(zebra);
 
             let colX = leftX;
-            const timeText = new Date(r.bet_time).toLocaleString();
+            const timeText = window.I18n.formatDateTime(r.bet_time);
             const playerId = (r.player_id || '').toString();
             const playerIdShort = playerId.length > 24 ? `${playerId.slice(0, 10)}…${playerId.slice(-10)}` : playerId;
             const spinId = (r.spin_id || '').toString();
             const spinIdShort = spinId.length > 24 ? `${spinId.slice(0, 10)}…${spinId.slice(-10)}` : spinId;
-            const betStr = r.bet_amount?.toFixed ? r.bet_amount.toFixed(2) : String(r.bet_amount);
-            const winStr = r.total_win?.toFixed ? r.total_win.toFixed(2) : String(r.total_win);
-            const values = [timeText, playerIdShort, spinIdShort, betStr, winStr, (r.game_mode || 'base').toUpperCase()];
+            const values = [timeText, playerIdShort, spinIdShort, formatAmount(r.bet_amount), formatAmount(r.total_win), formatMode(r.game_mode)];
             cols.forEach((col, i) => {
                 const isNumeric = (col.key === 'bet_amount' || col.key === 'total_win');
                 const textX = isNumeric ? (colX + col.width - paddingRight) : colX;
                 const originX = isNumeric ? 1 : 0;
                 const color = (col.key === 'total_win' && Number(r.total_win) > 0) ? '#FAD66A' : '#FFFFFF';
-                const t = this.scene.add.text(textX, y, values[i], { fontSize: Math.floor(13 * Math.min(scaleX, scaleY)) + 'px', fontFamily: 'Arial', color });
+                const t = this.scene.add.text(textX, y, values[i], window.I18n.style({ fontSize: Math.floor(13 * Math.min(scaleX, scaleY)) + 'px', fontFamily: 'Arial', color }));
                 t.setOrigin(originX, 0.5);
                 listContainer.add(t);
                 colX += col.width;
@@ -2195,9 +2797,9 @@ window.UIManager = class UIManager {
 
         // Footer pagination controls
         const footerY = (height / 2) + (panelHeight / 2) - 70 * scaleY;
-        const btnStyle = { fontSize: Math.floor(16 * Math.min(scaleX, scaleY)) + 'px', fontFamily: 'Arial Black', color: '#000000', backgroundColor: '#FFD700', padding: { x: 10, y: 6 } };
-        const prevBtn = this.scene.add.text((width / 2) - 120 * scaleX, footerY, 'PREV', btnStyle).setOrigin(0.5).setInteractive({ useHandCursor: true });
-        const nextBtn = this.scene.add.text((width / 2) + 120 * scaleX, footerY, 'NEXT', btnStyle).setOrigin(0.5).setInteractive({ useHandCursor: true });
+        const btnStyle = window.I18n.style({ fontSize: Math.floor(16 * Math.min(scaleX, scaleY)) + 'px', fontFamily: 'Arial Black', color: '#000000', backgroundColor: '#FFD700', padding: { x: 10, y: 6 } });
+        const prevBtn = this.scene.add.text((width / 2) - 120 * scaleX, footerY, window.I18n.t('common.prev'), btnStyle).setOrigin(0.5).setInteractive({ useHandCursor: true });
+        const nextBtn = this.scene.add.text((width / 2) + 120 * scaleX, footerY, window.I18n.t('common.next'), btnStyle).setOrigin(0.5).setInteractive({ useHandCursor: true });
         const pageText = this.scene.add.text(width / 2, footerY, `${this.historyPage || 1} / ${this.historyTotalPages || 1}`, { fontSize: Math.floor(16 * Math.min(scaleX, scaleY)) + 'px', fontFamily: 'Arial Black', color: '#FFD700' }).setOrigin(0.5);
         this.historyContentGroup.add(prevBtn);
         this.historyContentGroup.add(nextBtn);
@@ -2211,20 +2813,34 @@ window.UIManager = class UIManager {
         if (canNext) nextBtn.on('pointerup', () => this.fetchAndRenderHistory((this.historyPage || 1) + 1, panelWidth, panelHeight, scaleX, scaleY));
     }
     
+    // Cascade-by-cascade replay of a spin from the history list
+    openSpinReplay(spinId) {
+        if (!window.SpinReplayViewer) {
+            return;
+        }
+        if (!this.spinReplayViewer) {
+            this.spinReplayViewer = new window.SpinReplayViewer(this.scene);
+        }
+        this.spinReplayViewer.open(spinId);
+    }
+    
     showTransactionError(message) {
         const width = this.scene.cameras.main.width;
         const height = this.scene.cameras.main.height;
         
-        const errorText = this.scene.add.text(width / 2, height / 2, message, {
+        const errorText = this.scene.add.text(width / 2, height / 2, message, window.I18n.style({
             fontSize: '18px',
             fontFamily: 'Arial',
             color: '#ff6666'
-        });
+        }));
         errorText.setOrigin(0.5);
         this.transactionHistoryContainer.add(errorText);
     }
     
     closeTransactionHistory() {
+        if (this.spinReplayViewer) {
+            this.spinReplayViewer.close();
+        }
         if (this.transactionHistoryContainer) {
             this.transactionHistoryContainer.setVisible(false);
             this.isTransactionHistoryVisible = false;
@@ -2257,7 +2873,7 @@ window.UIManager = class UIManager {
                 console.log('✅ Wallet data refreshed');
             } catch (error) {
                 console.error('❌ Failed to refresh wallet data:', error);
-                this.handleWalletError({ error: 'Failed to refresh wallet data' });
+                this.handleWalletError({ error: window.I18n.t('ui.walletRefreshFailed') });
             }
         }
     }
@@ -2268,9 +2884,19 @@ window.UIManager = class UIManager {
         if (this.scene && this.scene.events) {
             this.scene.events.off('wallet_balance_update', this.handleWalletBalanceUpdate, this);
             this.scene.events.off('wallet_transaction_created', this.handleWalletTransactionCreated, this);
+            this.scene.events.off('wallet_currency_change', this.handleWalletCurrencyChange, this);
             this.scene.events.off('wallet_error', this.handleWalletError, this);
         }
         
+        // Clean up responsible gambling timer and screens
+        if (this.realityCheckTimer) {
+            this.realityCheckTimer.remove(false);
+            this.realityCheckTimer = null;
+        }
+        this.closeResponsibleGamblingDialog();
+        this.closeResponsibleGamblingPanel();
+        this.closeAccessibilityPanel();
+        
         // Clean up transaction history
         if (this.transactionHistoryContainer) {
             this.transactionHistoryContainer.destroy();
@@ -61,7 +61,7 @@ window.WinPresentationManager = class WinPresentationManager {
             const winAmountText = this.scene.add.text(
                 width / 2,
                 height / 2 + 110,
-                `$${totalWin.toFixed(2)}`,
+                window.WalletAPI.formatBalance(totalWin),
                 {
                     fontSize: '72px',
                     fontFamily: 'Arial Black',
@@ -293,16 +293,16 @@ window.WinPresentationManager = class WinPresentationManager {
             // Add win particles for free spins complete
             this.createWinParticles(width / 2, height / 2 - 100);
 
-            const totalWinText = this.scene.add.text(width / 2, height / 2, 'Total Win', {
+            const totalWinText = this.scene.add.text(width / 2, height / 2, window.I18n.t('win.totalWin'), window.I18n.style({
                 fontSize: '32px',
                 fontFamily: 'Arial',
                 color: '#FFFFFF'
-            });
+            }));
             totalWinText.setOrigin(0.5);
             totalWinText.setDepth(window.GameConfig.UI_DEPTHS.FX);
             totalWinText.setAlpha(0);
 
-            const amountText = this.scene.add.text(width / 2, height / 2 + 70, `$${totalWin.toFixed(2)}`, {
+            const amountText = this.scene.add.text(width / 2, height / 2 + 70, window.WalletAPI.formatBalance(totalWin), {
                 fontSize: '72px',
                 fontFamily: 'Arial Black',
                 color: '#FFD700',
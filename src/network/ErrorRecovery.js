@@ -128,7 +128,7 @@ window.NetworkErrorRecovery = class NetworkErrorRecovery {
                 
                 // Wait with exponential backoff
                 const backoffMs = this.calculateBackoff(attempt);
-                this.updateReconnectingOverlay(`Reconnecting... (${attempt + 1}/${this.maxReconnectAttempts})`);
+                this.updateReconnectingOverlay(window.I18n.t('network.reconnectingAttempt', { attempt: attempt + 1, max: this.maxReconnectAttempts }));
                 await this.delay(backoffMs);
                 
                 // Retry request
@@ -271,7 +271,7 @@ window.NetworkErrorRecovery = class NetworkErrorRecovery {
         return {
             success: false,
             error: 'OFFLINE',
-            message: 'Request queued for when connection is restored',
+            message: window.I18n.t('network.requestQueued'),
             queued: true
         };
     }
@@ -334,7 +334,7 @@ window.NetworkErrorRecovery = class NetworkErrorRecovery {
         
         this.reconnectingOverlay = this.createOverlay({
             id: 'network-reconnecting-overlay',
-            message: 'Reconnecting to server...',
+            message: window.I18n.t('network.reconnecting'),
             spinner: true,
             backgroundColor: 'rgba(0, 0, 0, 0.8)'
         });
@@ -359,15 +359,15 @@ window.NetworkErrorRecovery = class NetworkErrorRecovery {
     showConnectionFailedError() {
         this.errorOverlay = this.createOverlay({
             id: 'network-error-overlay',
-            message: 'Connection lost. Unable to reach game server.',
-            subMessage: 'Please check your internet connection and try again.',
+            message: window.I18n.t('network.connectionLost'),
+            subMessage: window.I18n.t('network.checkConnection'),
             buttons: [
                 {
-                    text: 'Retry',
+                    text: window.I18n.t('network.retry'),
                     onClick: () => this.retryConnection()
                 },
                 {
-                    text: 'Play Demo Mode',
+                    text: window.I18n.t('network.playDemo'),
                     onClick: () => this.switchToDemoMode()
                 }
             ],
@@ -378,11 +378,11 @@ window.NetworkErrorRecovery = class NetworkErrorRecovery {
     showServerErrorOverlay(error) {
         this.errorOverlay = this.createOverlay({
             id: 'server-error-overlay',
-            message: 'Server Error',
-            subMessage: error.message || 'The game server encountered an error. Please try again.',
+            message: window.I18n.t('network.serverError'),
+            subMessage: error.message || window.I18n.t('network.serverErrorDetail'),
             buttons: [
                 {
-                    text: 'Retry',
+                    text: window.I18n.t('network.retry'),
                     onClick: () => this.hideErrorOverlay()
                 }
             ],
@@ -395,8 +395,8 @@ window.NetworkErrorRecovery = class NetworkErrorRecovery {
         
         this.reconnectingOverlay = this.createOverlay({
             id: 'network-offline-overlay',
-            message: 'You are offline',
-            subMessage: 'Requests will be queued and processed when connection is restored.',
+            message: window.I18n.t('network.offline'),
+            subMessage: window.I18n.t('network.offlineDetail'),
             backgroundColor: 'rgba(105, 105, 105, 0.9)'
         });
     }
@@ -415,6 +415,7 @@ window.NetworkErrorRecovery = class NetworkErrorRecovery {
     createOverlay(options) {
         const overlay = document.createElement('div');
         overlay.id = options.id;
+        overlay.dir = window.I18n.getDirection();
         overlay.style.cssText = `
             position: fixed;
             top: 0;
@@ -428,7 +429,7 @@ window.NetworkErrorRecovery = class NetworkErrorRecovery {
             align-items: center;
             z-index: 100000;
             color: white;
-            font-family: Arial, sans-serif;
+            font-family: ${window.I18n.getFontFamily('Arial')}, sans-serif;
         `;
         
         // Message
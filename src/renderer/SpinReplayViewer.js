@@ -0,0 +1,423 @@
+// SpinReplayViewer - replays a stored spin from the history list on a miniature grid
+
+// Grid manager for the replay sandbox: plain symbol images inside a container, with
+// the subset of GridManager's API that GridRenderer.animateCascadeStep relies on
+window.ReplayGridManager = class ReplayGridManager {
+    constructor(scene, container, options = {}) {
+        this.scene = scene;
+        this.container = container;
+        this.cols = options.cols || window.GameConfig.GRID_COLS;
+        this.rows = options.rows || window.GameConfig.GRID_ROWS;
+        this.symbolSize = options.symbolSize || 60;
+        this.spacing = options.spacing || 4;
+        this.grid = Array.from({ length: this.cols }, () => Array(this.rows).fill(null));
+    }
+
+    getGridWidth() {
+        return this.cols * (this.symbolSize + this.spacing) - this.spacing;
+    }
+
+    getGridHeight() {
+        return this.rows * (this.symbolSize + this.spacing) - this.spacing;
+    }
+
+    // Container-local position, so tweens stay inside the sandbox
+    getSymbolPosition(col, row) {
+        return {
+            x: col * (this.symbolSize + this.spacing) + this.symbolSize / 2,
+            y: row * (this.symbolSize + this.spacing) + this.symbolSize / 2
+        };
+    }
+
+    createSymbol(type, col, row) {
+        const key = window.GridManager.prototype._resolveTextureKey.call(this, type);
+        const pos = this.getSymbolPosition(col, row);
+        const symbol = this.scene.textures.exists(key)
+            ? this.scene.add.image(pos.x, pos.y, key)
+            : this.scene.add.rectangle(pos.x, pos.y, this.symbolSize, this.symbolSize, 0x4B5563);
+        symbol.setDisplaySize(this.symbolSize * 0.92, this.symbolSize * 0.92);
+        symbol.symbolType = type;
+        this.container.add(symbol);
+        return symbol;
+    }
+
+    _releaseSymbol(symbol) {
+        if (symbol && typeof symbol.destroy === 'function') {
+            symbol.destroy();
+        }
+    }
+
+    clearGrid() {
+        for (let col = 0; col < this.cols; col++) {
+            for (let row = 0; row < this.rows; row++) {
+                this._releaseSymbol(this.grid[col][row]);
+                this.grid[col][row] = null;
+            }
+        }
+    }
+
+    setGrid(gridState) {
+        this.clearGrid();
+        for (let col = 0; col < this.cols; col++) {
+            for (let row = 0; row < this.rows; row++) {
+                const symbolType = gridState?.[col]?.[row];
+                if (symbolType) {
+                    this.grid[col][row] = this.createSymbol(symbolType, col, row);
+                }
+            }
+        }
+        return true;
+    }
+
+    captureGridState() {
+        return this.grid.map(column => column.map(symbol => (symbol ? symbol.symbolType : null)));
+    }
+};
+
+window.SpinReplayViewer = class SpinReplayViewer {
+    constructor(scene, options = {}) {
+        this.scene = scene;
+        this.depth = options.depth || 2600;
+        this.container = null;
+        this.spin = null;
+        this.stepIndex = 0;
+        this.busy = false;
+    }
+
+    // Load a stored spin and show it on its initial grid
+    async open(spinId) {
+        this.close();
+        this.createUI();
+        this.setStatus(window.I18n.t('replay.loading'));
+
+        const resp = await window.NetworkService.getSpinDetail(spinId);
+        if (!this.container) {
+            return; // Closed while loading
+        }
+        if (!resp || !resp.success || !resp.data || !resp.data.spin) {
+            this.setStatus(window.I18n.t(resp && resp.status === 404 ? 'replay.notFound' : 'replay.loadFailed'));
+            return;
+        }
+
+        this.spin = this.normalizeSpin(resp.data.spin);
+        this.setStatus('');
+        this.titleText.setText(window.I18n.t('replay.title', { id: this.shortId(this.spin.spinId) }));
+        this.infoText.setText([
+            window.I18n.formatDateTime(this.spin.betTime),
+            window.I18n.t('replay.betAndWin', { bet: this.format(this.spin.betAmount), win: this.format(this.spin.totalWin) }),
+            window.I18n.t(this.spin.gameMode === 'free_spins' ? 'replay.freeSpin' : 'replay.baseGame')
+        ].join('\n'));
+        this.controls.forEach(control => control.setVisible(true));
+        await this.showStep(0, { animate: true });
+    }
+
+    close() {
+        if (this.container) {
+            this.container.destroy(true);
+        }
+        if (this.maskShape) {
+            this.maskShape.destroy();
+            this.maskShape = null;
+        }
+        this.container = null;
+        this.spin = null;
+        this.busy = false;
+    }
+
+    normalizeSpin(spin) {
+        const normalizeGrid = (grid) => (grid && typeof window.NetworkService?.normalizeGrid === 'function')
+            ? window.NetworkService.normalizeGrid(grid)
+            : grid;
+        return Object.assign({}, spin, {
+            initialGrid: normalizeGrid(spin.initialGrid),
+            cascades: (spin.cascades || []).map(step => Object.assign({}, step, {
+                gridStateBefore: normalizeGrid(step.gridStateBefore),
+                gridAfterRemoval: normalizeGrid(step.gridAfterRemoval),
+                gridStateAfter: normalizeGrid(step.gridStateAfter)
+            }))
+        });
+    }
+
+    createUI() {
+        const width = this.scene.cameras.main.width;
+        const height = this.scene.cameras.main.height;
+        const scaleX = width / 1280;
+        const scaleY = height / 720;
+        const uiScale = Math.min(scaleX, scaleY);
+        const panelWidth = 980 * scaleX;
+        const panelHeight = 600 * scaleY;
+        const panelLeft = (width - panelWidth) / 2;
+        const panelTop = (height - panelHeight) / 2;
+        this.uiScale = uiScale;
+
+        this.container = this.scene.add.container(0, 0);
+        this.container.setDepth(this.depth);
+
+        const bg = this.scene.add.rectangle(width / 2, height / 2, width, height, 0x000000, 0.8);
+        bg.setInteractive(); // Block clicks to the history list behind
+        const panel = this.scene.add.rectangle(width / 2, height / 2, panelWidth, panelHeight, 0x1F2937, 0.97);
+        panel.setStrokeStyle(4, 0xFFD700);
+        this.container.add([bg, panel]);
+
+        this.titleText = this.scene.add.text(panelLeft + 24 * scaleX, panelTop + 20 * scaleY, '', window.I18n.style({
+            fontSize: Math.floor(22 * uiScale) + 'px',
+            fontFamily: 'Arial Black',
+            color: '#FFD700'
+        }));
+        this.infoText = this.scene.add.text(panelLeft + 24 * scaleX, panelTop + 56 * scaleY, '', window.I18n.style({
+            fontSize: Math.floor(14 * uiScale) + 'px',
+            fontFamily: 'Arial',
+            color: '#B0B8C4',
+            lineSpacing: 4
+        }));
+        this.container.add([this.titleText, this.infoText]);
+
+        // Miniature grid, masked so new symbols drop in from above its edge
+        const symbolSize = Math.floor(66 * uiScale);
+        const gridContainer = this.scene.add.container(panelLeft + 24 * scaleX, panelTop + 140 * scaleY);
+        this.gridManager = new window.ReplayGridManager(this.scene, gridContainer, {
+            symbolSize,
+            spacing: Math.max(2, Math.floor(4 * uiScale))
+        });
+        const gridWidth = this.gridManager.getGridWidth();
+        const gridHeight = this.gridManager.getGridHeight();
+        const gridBg = this.scene.add.rectangle(gridContainer.x + gridWidth / 2, gridContainer.y + gridHeight / 2, gridWidth + 8, gridHeight + 8, 0x111827, 1);
+        gridBg.setStrokeStyle(2, 0x374151);
+        this.maskShape = this.scene.make.graphics({ add: false });
+        this.maskShape.fillRect(gridContainer.x - 4, gridContainer.y - 4, gridWidth + 8, gridHeight + 8);
+        gridContainer.setMask(this.maskShape.createGeometryMask());
+        this.container.add([gridBg, gridContainer]);
+        this.gridContainer = gridContainer;
+
+        this.renderer = new window.GridRenderer(this.createSandbox());
+
+        // Step description
+        const detailX = gridContainer.x + gridWidth + 36 * scaleX;
+        this.stepTitle = this.scene.add.text(detailX, panelTop + 140 * scaleY, '', window.I18n.style({
+            fontSize: Math.floor(18 * uiScale) + 'px',
+            fontFamily: 'Arial Black',
+            color: '#FFD700'
+        }));
+        this.stepText = this.scene.add.text(detailX, panelTop + 172 * scaleY, '', window.I18n.style({
+            fontSize: Math.floor(15 * uiScale) + 'px',
+            fontFamily: 'Arial',
+            color: '#FFFFFF',
+            lineSpacing: 6,
+            wordWrap: { width: panelLeft + panelWidth - detailX - 24 * scaleX }
+        }));
+        this.statusText = this.scene.add.text(width / 2, height / 2, '', window.I18n.style({
+            fontSize: Math.floor(18 * uiScale) + 'px',
+            fontFamily: 'Arial',
+            color: '#FFFFFF'
+        })).setOrigin(0.5);
+        this.container.add([this.stepTitle, this.stepText, this.statusText]);
+
+        // Controls
+        const footerY = panelTop + panelHeight - 36 * scaleY;
+        const btnStyle = window.I18n.style({
+            fontSize: Math.floor(16 * uiScale) + 'px',
+            fontFamily: 'Arial Black',
+            color: '#000000',
+            backgroundColor: '#FFD700',
+            padding: { x: 12, y: 6 }
+        });
+        const makeButton = (x, label, onClick) => {
+            const btn = this.scene.add.text(x, footerY, label, btnStyle).setOrigin(0.5);
+            btn.setInteractive({ useHandCursor: true });
+            btn.on('pointerup', () => {
+                if (!this.busy) {
+                    onClick();
+                }
+            });
+            this.container.add(btn);
+            return btn;
+        };
+        this.prevBtn = makeButton(width / 2 - 270 * scaleX, window.I18n.t('common.prev'), () => this.showStep(this.stepIndex - 1));
+        this.nextBtn = makeButton(width / 2 - 90 * scaleX, window.I18n.t('common.next'), () => this.showStep(this.stepIndex + 1, { animate: true }));
+        this.playBtn = makeButton(width / 2 + 90 * scaleX, window.I18n.t('replay.play'), () => this.playToEnd());
+        this.restartBtn = makeButton(width / 2 + 270 * scaleX, window.I18n.t('replay.restart'), () => this.showStep(0, { animate: true }));
+        this.controls = [this.prevBtn, this.nextBtn, this.playBtn, this.restartBtn];
+        this.controls.forEach(control => control.setVisible(false));
+
+        const closeBtn = this.scene.add.text(panelLeft + panelWidth - 20 * scaleX, panelTop + 20 * scaleY, window.I18n.t('common.close'), btnStyle).setOrigin(1, 0);
+        closeBtn.setInteractive({ useHandCursor: true });
+        closeBtn.on('pointerup', () => this.close());
+        this.container.add(closeBtn);
+    }
+
+    // Scene stand-in handed to GridRenderer: real tweens and timers, but its own grid,
+    // win total and no hooks into the running game (win presentation, match removal)
+    createSandbox() {
+        const scene = this.scene;
+        return {
+            gridManager: this.gridManager,
+            tweens: scene.tweens,
+            time: scene.time,
+            add: scene.add,
+            textures: scene.textures,
+            sound: scene.sound,
+            stateManager: scene.stateManager,
+            cascadeAnimator: { queue: (fn) => Promise.resolve().then(fn), flush: async () => {} },
+            totalWin: 0,
+            delay: (ms) => new Promise(resolve => scene.time.delayedCall(ms, resolve)),
+            shakeMatches: (matches, duration) => this.highlightMatches(matches, duration)
+        };
+    }
+
+    highlightMatches(matches, duration) {
+        const symbols = [];
+        matches.forEach(group => group.forEach(entry => symbols.push(entry.symbol)));
+        if (symbols.length === 0) {
+            return Promise.resolve();
+        }
+        symbols.forEach(symbol => symbol.setTint?.(0xFFE680));
+        return new Promise(resolve => {
+            this.scene.tweens.add({
+                targets: symbols,
+                alpha: 0.45,
+                duration: Math.max(120, duration / 2),
+                yoyo: true,
+                onComplete: resolve
+            });
+        });
+    }
+
+    // Steps: 0 = initial grid, 1..n = after cascade n, n + 1 = payout summary
+    get lastStep() {
+        return this.spin ? this.spin.cascades.length + 1 : 0;
+    }
+
+    async showStep(index, options = {}) {
+        if (!this.spin || index < 0 || index > this.lastStep || this.busy) {
+            return;
+        }
+        const cascades = this.spin.cascades;
+        const forward = index === this.stepIndex + 1;
+        this.busy = true;
+        this.clearMultiplierMarkers();
+
+        try {
+            if (index === 0) {
+                this.renderer.scene.totalWin = 0;
+                await this.renderer.setInitialGrid(this.spin.initialGrid, { instant: !options.animate });
+            } else if (index <= cascades.length) {
+                const step = cascades[index - 1];
+                if (options.animate && forward && this.container) {
+                    await this.renderer.animateCascadeStep(step);
+                } else {
+                    this.gridManager.setGrid(step.gridStateAfter || step.gridStateBefore);
+                }
+            } else {
+                const last = cascades[cascades.length - 1];
+                this.gridManager.setGrid(last ? last.gridStateAfter : this.spin.initialGrid);
+                this.showMultiplierMarkers();
+            }
+        } catch (error) {
+            console.warn('Spin replay step failed:', error);
+        } finally {
+            this.busy = false;
+        }
+
+        if (!this.container) {
+            return; // Closed mid-animation
+        }
+        this.stepIndex = index;
+        this.describeStep(index);
+        this.prevBtn.setAlpha(index > 0 ? 1 : 0.5);
+        this.nextBtn.setAlpha(index < this.lastStep ? 1 : 0.5);
+        this.playBtn.setAlpha(index < this.lastStep ? 1 : 0.5);
+    }
+
+    async playToEnd() {
+        while (this.container && this.stepIndex < this.lastStep) {
+            await this.showStep(this.stepIndex + 1, { animate: true });
+        }
+    }
+
+    describeStep(index) {
+        const spin = this.spin;
+        const cascades = spin.cascades;
+        const t = (key, params) => window.I18n.t(key, params);
+
+        if (index === 0) {
+            this.stepTitle.setText(t('replay.initialGrid'));
+            this.stepText.setText(cascades.length
+                ? t('replay.cascadesFollow', { count: cascades.length })
+                : t('replay.noClusters'));
+            return;
+        }
+
+        if (index <= cascades.length) {
+            const step = cascades[index - 1];
+            const lines = step.winningClusters.map(cluster =>
+                `${this.symbolName(cluster.symbolType)} x${cluster.clusterSize}  ${this.format(cluster.payout)}`);
+            lines.push('', t('replay.cascadeWin', { amount: this.format(step.winAmount) }),
+                t('replay.totalSoFar', { amount: this.format(step.totalWinSoFar) }));
+            this.stepTitle.setText(t('replay.cascadeOf', { index, total: cascades.length }));
+            this.stepText.setText(lines.join('\n'));
+            return;
+        }
+
+        const lines = [t('replay.clusterWins', { amount: this.format(spin.clusterWin) })];
+        if (spin.multipliers.length) {
+            lines.push(t('replay.multipliers', { list: spin.multipliers.map(entry => `x${entry.multiplier}`).join(' + ') }));
+        }
+        if (spin.freeSpins && spin.gameMode === 'free_spins' && spin.freeSpins.newAccumulatedMultiplier !== null) {
+            lines.push(t('replay.freeSpinsMultiplier', {
+                from: spin.freeSpins.accumulatedMultiplier,
+                to: spin.freeSpins.newAccumulatedMultiplier
+            }));
+        }
+        if (Math.abs(spin.otherWin) >= 0.01) {
+            lines.push(t('replay.otherWins', { amount: this.format(spin.otherWin) }));
+        }
+        if (spin.freeSpins && spin.freeSpins.triggered) {
+            lines.push(t('replay.freeSpinsWon', { count: spin.freeSpins.awarded }));
+        }
+        lines.push('', t('replay.totalWin', { amount: this.format(spin.totalWin) }));
+        this.stepTitle.setText(t('replay.payout'));
+        this.stepText.setText(lines.join('\n'));
+    }
+
+    showMultiplierMarkers() {
+        this.multiplierMarkers = (this.spin.multipliers || [])
+            .filter(entry => entry.position && typeof entry.position.col === 'number')
+            .map(entry => {
+                const pos = this.gridManager.getSymbolPosition(entry.position.col, entry.position.row);
+                const marker = this.scene.add.text(pos.x, pos.y, `x${entry.multiplier}`, {
+                    fontSize: Math.floor(20 * this.uiScale) + 'px',
+                    fontFamily: 'Arial Black',
+                    color: '#FFD700',
+                    stroke: '#000000',
+                    strokeThickness: 4
+                }).setOrigin(0.5);
+                this.gridContainer.add(marker);
+                return marker;
+            });
+    }
+
+    clearMultiplierMarkers() {
+        (this.multiplierMarkers || []).forEach(marker => marker.destroy());
+        this.multiplierMarkers = [];
+    }
+
+    setStatus(message) {
+        this.statusText.setText(message || '');
+        this.statusText.setVisible(Boolean(message));
+    }
+
+    format(amount) {
+        return window.WalletAPI ? window.WalletAPI.formatBalance(amount || 0) : Number(amount || 0).toFixed(2);
+    }
+
+    shortId(id) {
+        const value = String(id || '');
+        return value.length > 12 ? `${value.slice(0, 8)}…` : value;
+    }
+
+    symbolName(symbolId) {
+        const symbols = window.GameConfig && window.GameConfig.SYMBOLS ? Object.values(window.GameConfig.SYMBOLS) : [];
+        const match = symbols.find(symbol => symbol.id === symbolId);
+        return match ? match.name : String(symbolId || '').replace(/_/g, ' ');
+    }
+};
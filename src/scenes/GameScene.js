@@ -519,9 +519,8 @@ window.GameScene = class GameScene extends Phaser.Scene {
             console.warn('❌ [GAMESCENE] No token found in localStorage');
         }
         
-        // Check feature flags for server sync
-        const playerId = (window.NetworkService && window.NetworkService.authToken) ? localStorage.getItem('playerId') : null;
-        const featureFlagsEnabled = window.FeatureFlags && window.FeatureFlags.shouldUseServerSync(playerId);
+        // Check feature flags for server sync (rollout is evaluated for this player by the server)
+        const featureFlagsEnabled = window.FeatureFlags && window.FeatureFlags.shouldUseServerSync();
         
         // Initialize server mode and demo mode fallback
         this.serverMode = featureFlagsEnabled && (window.GameConfig.SERVER_MODE !== false); // Default to true for server integration
@@ -583,6 +582,11 @@ window.GameScene = class GameScene extends Phaser.Scene {
             console.log('🔍 Server Response for GameState:', JSON.stringify(response));
             
             const gameState = response.gameState || (response.data && response.data.gameState) || response.data || null;
+            // Switch bet ladder and money formatting to the wallet currency before showing amounts
+            const currency = response.currency || (response.data && response.data.currency);
+            if (currency && window.WalletAPI) {
+                window.WalletAPI.setCurrency(currency);
+            }
             if (gameState) {
                 this.applyServerGameState(gameState, { source: 'initial-request', raw: response, initial: true });
             }
@@ -1060,13 +1064,19 @@ window.GameScene = class GameScene extends Phaser.Scene {
         }
     }
     
-    showAutoplayMenu() {
+    async showAutoplayMenu() {
         // Don't show autoplay menu if already spinning or in free spins
         if (this.isSpinning || this.stateManager.freeSpinsData.active) {
             this.showMessage('Cannot start autoplay during Free Spins or while spinning!');
             return;
         }
         
+        const rules = await this.getAutoplayRules();
+        if (!rules.enabled) {
+            this.showMessage('Autoplay is not available in your region');
+            return;
+        }
+        
         const width = this.cameras.main.width;
         const height = this.cameras.main.height;
         
@@ -1086,8 +1096,9 @@ window.GameScene = class GameScene extends Phaser.Scene {
         // Store references for cleanup
         const menuElements = [overlay, menuBg];
         
-        // Create autoplay option buttons
-        const options = window.GameConfig.AUTOPLAY_OPTIONS;
+        // Create autoplay option buttons (within the jurisdiction's spin cap)
+        const options = window.GameConfig.AUTOPLAY_OPTIONS
+            .filter(spins => (spins === -1 ? rules.allowUnlimited : spins <= rules.maxSpins));
         const buttonsPerRow = 3;
         const spriteW = 210 * bgScale; // approximate visual width
         const spriteH = 70 * bgScale;  // approximate visual height
@@ -1095,6 +1106,18 @@ window.GameScene = class GameScene extends Phaser.Scene {
         const startX = width / 2 - ((buttonsPerRow * spriteW + (buttonsPerRow - 1) * buttonSpacing) / 2);
         const startY = height / 2 - (40 * bgScale);
         
+        // Stop conditions, under the spin options
+        const rows = Math.ceil(options.length / buttonsPerRow);
+        const conditionsY = startY + rows * (spriteH + buttonSpacing) + (10 * bgScale);
+        const conditions = this.createAutoplayConditions(
+            width / 2,
+            conditionsY,
+            buttonsPerRow * spriteW + (buttonsPerRow - 1) * buttonSpacing,
+            bgScale,
+            rules,
+            menuElements
+        );
+        
         options.forEach((spins, index) => {
             const row = Math.floor(index / buttonsPerRow);
             const col = index % buttonsPerRow;
@@ -1105,13 +1128,14 @@ window.GameScene = class GameScene extends Phaser.Scene {
                 x, y, 
                 spins === -1 ? 'INFINITE' : `${spins} SPINS`,
                 spins,
-                menuElements
+                menuElements,
+                conditions
             );
             menuElements.push(button);
         });
         
         // Cancel button
-        const cancelBtn = this.add.container(width / 2, height / 2 + (120 * bgScale) + 40);
+        const cancelBtn = this.add.container(width / 2, Math.max(height / 2 + (120 * bgScale) + 40, conditionsY + (90 * bgScale) + 40));
         const cancelImg = this.add.image(0, 0, 'spins_auto_button2');
         cancelImg.setScale(bgScale);
         cancelImg.setInteractive({ useHandCursor: true });
@@ -1132,7 +1156,7 @@ window.GameScene = class GameScene extends Phaser.Scene {
         window.SafeSound.play(this, 'click');
     }
     
-    createAutoplayOptionButton(x, y, text, spins, menuElements) {
+    createAutoplayOptionButton(x, y, text, spins, menuElements, conditions = null) {
         const button = this.add.container(x, y);
         const scale = 0.67 * Math.min(this.cameras.main.width / 1280, this.cameras.main.height / 720);
         const bgImg = this.add.image(0, 0, 'spins_auto_button1');
@@ -1144,7 +1168,7 @@ window.GameScene = class GameScene extends Phaser.Scene {
         button.setDepth(1502);
         bgImg.on('pointerup', () => {
             menuElements.forEach(element => element.destroy());
-            this.startAutoplay(spins);
+            this.startAutoplay(spins, conditions ? { ...conditions } : null);
             window.SafeSound.play(this, 'click');
         });
         bgImg.on('pointerover', () => bgImg.setTint(0x55FF99));
@@ -1152,8 +1176,94 @@ window.GameScene = class GameScene extends Phaser.Scene {
         return button;
     }
     
-    startAutoplay(spins) {
-        this.stateManager.setAutoplay(spins);
+    // Stop condition toggles of the autoplay menu; each tap moves to the next amount.
+    // Returns the conditions object the toggles edit.
+    createAutoplayConditions(centerX, y, totalWidth, scale, rules, menuElements) {
+        const bet = this.stateManager.gameData.currentBet;
+        const amounts = window.GameConfig.AUTOPLAY_LIMIT_BET_MULTIPLES
+            .map(multiple => Math.round(bet * multiple * 100) / 100);
+        const format = (amount) => (window.WalletAPI ? window.WalletAPI.formatBalance(amount) : amount.toFixed(2));
+        const conditions = {
+            lossLimit: rules.requireLossLimit ? amounts[0] : null,
+            singleWinLimit: null,
+            balanceIncreaseLimit: null,
+            stopOnFeature: true
+        };
+        
+        const toggles = [
+            // A required loss limit cannot be switched off
+            { key: 'lossLimit', label: 'LOSS LIMIT', values: rules.requireLossLimit ? amounts : [null, ...amounts] },
+            { key: 'singleWinLimit', label: 'SINGLE WIN OVER', values: [null, ...amounts] },
+            { key: 'balanceIncreaseLimit', label: 'BALANCE UP BY', values: [null, ...amounts] },
+            { key: 'stopOnFeature', label: 'STOP ON FREE SPINS', values: [true, false] }
+        ];
+        const describe = (toggle) => {
+            const value = conditions[toggle.key];
+            if (typeof value === 'boolean') return `${toggle.label}: ${value ? 'ON' : 'OFF'}`;
+            return `${toggle.label}: ${value === null ? 'OFF' : format(value)}`;
+        };
+        
+        const columnWidth = totalWidth / 2;
+        const rowHeight = 40 * scale;
+        toggles.forEach((toggle, index) => {
+            const x = centerX - (totalWidth / 2) + (index % 2) * columnWidth + columnWidth / 2;
+            const rowY = y + Math.floor(index / 2) * rowHeight;
+            const text = this.add.text(x, rowY, describe(toggle), {
+                fontSize: Math.round(20 * scale) + 'px',
+                fontFamily: 'Arial Black',
+                color: '#FFFFFF',
+                backgroundColor: '#1B2A49',
+                padding: { x: 8, y: 4 }
+            });
+            text.setOrigin(0.5);
+            text.setDepth(1502);
+            text.setInteractive({ useHandCursor: true });
+            text.on('pointerup', () => {
+                const next = (toggle.values.indexOf(conditions[toggle.key]) + 1) % toggle.values.length;
+                conditions[toggle.key] = toggle.values[next];
+                text.setText(describe(toggle));
+                window.SafeSound.play(this, 'click');
+            });
+            text.on('pointerover', () => text.setColor('#55FF99'));
+            text.on('pointerout', () => text.setColor('#FFFFFF'));
+            menuElements.push(text);
+        });
+        
+        return conditions;
+    }
+    
+    // Autoplay rules in force: the player's jurisdiction for logged-in play, the game defaults otherwise
+    async getAutoplayRules() {
+        const defaults = window.GameConfig.AUTOPLAY_RULES;
+        if (this.demoMode || !window.NetworkService || !window.NetworkService.authToken) {
+            return defaults;
+        }
+        const resp = await window.NetworkService.getAutoplayStatus();
+        return resp && resp.success && resp.data && resp.data.rules ? resp.data.rules : defaults;
+    }
+    
+    async startAutoplay(spins, conditions = null) {
+        // Logged-in play: the server checks the settings against the jurisdiction's rules
+        // and enforces the stop conditions on every autoplay spin
+        let sessionId = null;
+        if (!this.demoMode && window.NetworkService && window.NetworkService.authToken) {
+            const resp = await window.NetworkService.startAutoplaySession({
+                spins,
+                betAmount: this.stateManager.gameData.currentBet,
+                ...(conditions || { stopOnFeature: true })
+            });
+            if (!resp || !resp.success) {
+                const error = resp && typeof resp.error === 'object' ? resp.error : {};
+                const reasons = Array.isArray(error.details)
+                    ? error.details.map(detail => (typeof detail === 'string' ? detail : detail.msg))
+                    : [];
+                this.showMessage(reasons[0] || error.message || 'Autoplay could not be started');
+                return;
+            }
+            sessionId = resp.data.session.sessionId;
+        }
+        
+        this.stateManager.setAutoplay(spins, { conditions, sessionId });
         
         // Update auto spin counter display
         if (this.uiManager) {
@@ -1173,6 +1283,50 @@ window.GameScene = class GameScene extends Phaser.Scene {
         this.showMessage(message);
     }
     
+    // Count the autoplay spin that just finished; stop autoplay when the spin count
+    // or a stop condition says so (the server decides for logged-in play)
+    recordAutoplaySpin() {
+        const gameData = this.stateManager.gameData;
+        const info = this.lastSpinAutoplayInfo;
+        this.lastSpinAutoplayInfo = null;
+        // Stopped by the player or a refusal while the spin was running
+        if (!gameData.autoplayActive && !gameData.autoplayPaused) return;
+        
+        let stopReason = null;
+        if (info) {
+            stopReason = this.stateManager.recordAutoplaySpin(info);
+        } else {
+            // The spin did not complete: only the count moves on
+            this.stateManager.decrementAutoplay();
+            stopReason = gameData.autoplayCount === 0 ? 'spin_limit' : null;
+        }
+        
+        if (stopReason) {
+            this.stateManager.stopAutoplay();
+            if (stopReason === 'spin_limit') {
+                console.log('Autoplay finished');
+            } else {
+                this.showMessage(this.describeAutoplayStop(stopReason, info?.server?.message));
+            }
+        }
+        
+        if (this.uiManager) {
+            this.uiManager.updateAutoSpinCounterDisplay();
+            this.uiManager.updateModeSwitchButtonsState?.();
+        }
+    }
+    
+    describeAutoplayStop(stopReason, fallback = null) {
+        const messages = {
+            spin_limit: 'Autoplay finished',
+            loss_limit: 'Autoplay stopped: loss limit reached',
+            single_win: 'Autoplay stopped: single win limit reached',
+            balance_increase: 'Autoplay stopped: balance target reached',
+            feature_triggered: 'Autoplay stopped: Free Spins triggered'
+        };
+        return messages[stopReason] || fallback || 'Autoplay stopped';
+    }
+    
     async startSpin() {
         if (this.isSpinning) return;
         
@@ -1204,6 +1358,9 @@ window.GameScene = class GameScene extends Phaser.Scene {
         }
         
         this.isSpinning = true;
+        // Base-game autoplay spins are counted against the autoplay stop conditions in endSpin
+        this.autoplaySpinInProgress = this.stateManager.gameData.autoplayActive && !this.stateManager.freeSpinsData.active;
+        this.lastSpinAutoplayInfo = null;
         // Clear any persistent random-multiplier overlays from the previous spin
         if (this.bonusManager && this.bonusManager.clearRandomMultiplierOverlays) {
             this.bonusManager.clearRandomMultiplierOverlays();
@@ -1532,7 +1689,9 @@ window.GameScene = class GameScene extends Phaser.Scene {
                         } catch (_) {}
 
                         // Softer camera shake to sell the impact
-                        try { this.cameras.main.shake(70, 0.0035); } catch (_) {}
+                        if (window.Accessibility.allowsShake()) {
+                            try { this.cameras.main.shake(70, 0.0035); } catch (_) {}
+                        }
                     }
                 };
                 this.events.on('update', onUpdate);
@@ -1580,7 +1739,8 @@ window.GameScene = class GameScene extends Phaser.Scene {
                     freeSpinsActive: !!fsData.active,
                     freeSpinsRemaining: fsData.count || 0,
                     accumulatedMultiplier: safeAccumulated,
-                    quickSpinMode: this.quickSpinEnabled
+                    quickSpinMode: this.quickSpinEnabled,
+                    autoplaySessionId: this.autoplaySpinInProgress ? this.stateManager.gameData.autoplaySessionId : null
                 });
             } else {
                 // Fallback to direct gameAPI call (no error recovery)
@@ -1593,6 +1753,15 @@ window.GameScene = class GameScene extends Phaser.Scene {
                     console.log('?�� Server spin successful:', spinResult.data);
                 }
                 
+                if (this.autoplaySpinInProgress) {
+                    this.lastSpinAutoplayInfo = {
+                        bet: spinResult.data.betAmount || betAmount,
+                        win: spinResult.data.totalWin || 0,
+                        freeSpinsTriggered: !!spinResult.data.freeSpinsTriggered,
+                        server: spinResult.data.autoplay || null
+                    };
+                }
+                
                 this.totalWin = 0;
 
                 // Clear current grid with animation
@@ -1623,6 +1792,9 @@ window.GameScene = class GameScene extends Phaser.Scene {
                     
                     // Sync WalletAPI so UI displays correct balance
                     if (window.WalletAPI) {
+                        if (spinResult.data.currency) {
+                            window.WalletAPI.setCurrency(spinResult.data.currency);
+                        }
                         window.WalletAPI.setBalance(spinResult.data.balance);
                     }
                     
@@ -1648,7 +1820,21 @@ window.GameScene = class GameScene extends Phaser.Scene {
             } else {
                 // Server spin failed; do NOT switch to client RNG.
                 console.warn('??Server spin failed:', spinResult.error || 'Unknown error');
-                this.showMessage('Server error - retrying');
+                const limitBlock = window.NetworkService.getResponsibleGamblingBlock(spinResult);
+                const autoplayBlock = window.NetworkService.getAutoplayBlock(spinResult);
+                if (limitBlock) {
+                    // Player-set limit, break or self-exclusion: nothing to retry
+                    this.uiManager.showResponsibleGamblingBlock(limitBlock);
+                } else if (autoplayBlock) {
+                    // The server ended the autoplay session (loss limit, spin count)
+                    this.autoplaySpinInProgress = false;
+                    this.stateManager.stopAutoplay();
+                    this.uiManager?.updateAutoSpinCounterDisplay();
+                    this.uiManager?.updateModeSwitchButtonsState?.();
+                    this.showMessage(this.describeAutoplayStop(autoplayBlock.stopReason, autoplayBlock.message));
+                } else {
+                    this.showMessage('Server error - retrying');
+                }
             }
             
         } catch (error) {
@@ -2293,8 +2479,10 @@ window.GameScene = class GameScene extends Phaser.Scene {
             this.freeSpinsManager.addFreeSpinsWin(this.totalWin);
         }
         
+        this.announceSpinResult();
+        
         // Check if free spins ended
-        await this.freeSpinsManager.handleFreeSpinsEnd();
+        const freeSpinsEnded = await this.freeSpinsManager.handleFreeSpinsEnd();
         
         // Start idle animations for all symbols now that spin is complete
         this.gridManager.startAllIdleAnimations();
@@ -2309,42 +2497,42 @@ window.GameScene = class GameScene extends Phaser.Scene {
         // Handle free spins auto-play
         const freeSpinsHandled = this.freeSpinsManager.handleFreeSpinsAutoPlay();
         
+        // Count a base-game autoplay spin against the spin count and stop conditions
+        if (this.autoplaySpinInProgress) {
+            this.autoplaySpinInProgress = false;
+            this.recordAutoplaySpin();
+        }
+        
+        // Autoplay held for free spins picks up again once they are over
+        // (a deferred end resolves without a value)
+        if (freeSpinsEnded !== false && this.stateManager.resumeAutoplay()) {
+            console.log('Autoplay resuming after Free Spins');
+            this.uiManager?.updateAutoSpinCounterDisplay();
+        }
+        
         // Handle regular autoplay
         if (!freeSpinsHandled && this.stateManager.gameData.autoplayActive) {
-            this.stateManager.decrementAutoplay();
+            // Continue autoplay - ui_small_stop remains as image button
+            console.log(`Autoplay continuing: ${this.stateManager.gameData.autoplayCount} spins remaining`);
             
-            // Update auto spin counter display after decrementing
-            if (this.uiManager) {
-                this.uiManager.updateAutoSpinCounterDisplay();
-            }
-            
-            // Check if autoplay should continue
-            if (this.stateManager.gameData.autoplayCount === 0) {
-                // Autoplay finished - ui_small_stop remains as image button
-                console.log('Autoplay finished');
-            } else {
-                // Continue autoplay - ui_small_stop remains as image button
-                console.log(`Autoplay continuing: ${this.stateManager.gameData.autoplayCount} spins remaining`);
-                
-                // Continue autoplay after delay, but wait for win presentation
-                const checkAndStartAutoSpin = () => {
-                    // Safety check to ensure scene is still active
-                    if (!this.scene || !this.scene.isActive()) {
-                        return;
-                    }
-                    
-                    if (!this.winPresentationManager.isShowingPresentation() && this.stateManager && 
-                        this.stateManager.gameData && this.stateManager.gameData.autoplayActive && !this.isSpinning) {
-                        this.startSpin();
-                    } else if (this.winPresentationManager.isShowingPresentation() && this.time) {
-                        // Check again in 500ms if still showing win presentation
-                        this.time.delayedCall(500, checkAndStartAutoSpin);
-                    }
-                };
+            // Continue autoplay after delay, but wait for win presentation
+            const checkAndStartAutoSpin = () => {
+                // Safety check to ensure scene is still active
+                if (!this.scene || !this.scene.isActive()) {
+                    return;
+                }
                 
-                // Start checking after 1 second
-                this.time.delayedCall(1000, checkAndStartAutoSpin);
-            }
+                if (!this.winPresentationManager.isShowingPresentation() && this.stateManager && 
+                    this.stateManager.gameData && this.stateManager.gameData.autoplayActive && !this.isSpinning) {
+                    this.startSpin();
+                } else if (this.winPresentationManager.isShowingPresentation() && this.time) {
+                    // Check again in 500ms if still showing win presentation
+                    this.time.delayedCall(500, checkAndStartAutoSpin);
+                }
+            };
+            
+            // Start checking after 1 second
+            this.time.delayedCall(1000, checkAndStartAutoSpin);
         }
         
         // Save game state
@@ -2373,17 +2561,17 @@ window.GameScene = class GameScene extends Phaser.Scene {
                 let text;
                 if (hasPendingStars && base > 0) {
                     // Show only base win while waiting for shooting stars
-                    text = `$${base.toFixed(2)}`;
+                    text = window.WalletAPI.formatBalance(base);
                     console.log(`⏳ endSpin(): Showing base win $${base.toFixed(2)} - waiting for ${this.normalModePendingStars} shooting stars`);
                 } else if (!hasPendingStars && mult > 1) {
                     // Show full formula with multiplier
-                    const baseStr = `$${base.toFixed(2)}`;
+                    const baseStr = window.WalletAPI.formatBalance(base);
                     const multStr = `x${mult.toFixed(2).replace(/\.00$/, '')}`;
-                    const finalStr = `$${amount.toFixed(2)}`;
+                    const finalStr = window.WalletAPI.formatBalance(amount);
                     text = `${baseStr} ${multStr} = ${finalStr}`;
                 } else {
                     // Fallback: just show the amount
-                    text = `$${amount.toFixed(2)}`;
+                    text = window.WalletAPI.formatBalance(amount);
                 }
                 
                 this.uiManager.winTopText.setText(text);
@@ -2396,6 +2584,28 @@ window.GameScene = class GameScene extends Phaser.Scene {
     
     // setButtonsEnabled method is now defined in the helper methods section
     
+    // Spin outcome for screen readers (accessibility live region); free spins start and end
+    // are announced by FreeSpinsManager
+    announceSpinResult() {
+        const t = (key, params) => window.I18n.t(key, params);
+        const parts = [];
+        if (this.totalWin > 0) {
+            const amount = window.WalletAPI.formatBalance(this.totalWin);
+            const category = this.winCalculator.getWinCategory(this.totalWin, this.stateManager.gameData.currentBet);
+            const isBigWin = category && category.key !== 'SMALL' && category.key !== 'MEDIUM';
+            parts.push(isBigWin
+                ? t('a11y.announce.bigWin', { category: t(`a11y.winCategory.${category.key}`), amount })
+                : t('a11y.announce.win', { amount }));
+        } else {
+            parts.push(t('a11y.announce.noWin'));
+        }
+        const freeSpins = this.stateManager.freeSpinsData;
+        if (freeSpins.active && freeSpins.count > 0) {
+            parts.push(t('a11y.announce.freeSpinsLeft', { count: freeSpins.count }));
+        }
+        window.Accessibility.announce(parts.join(' '));
+    }
+    
     showWinCalculationDebug(matches, totalWin) {
         console.log('=== WIN CALCULATION DEBUG ===');
         console.log(`Total Win: $${totalWin.toFixed(2)}`);
@@ -3233,6 +3443,7 @@ window.GameScene = class GameScene extends Phaser.Scene {
         
         // Play bonus sound
         window.SafeSound.play(this, 'bonus');
+        window.Accessibility.announce(window.I18n.t('a11y.announce.freeSpinsAdded', { count: spinsAwarded }));
         
         // Update display
         this.uiManager?.updateFreeSpinsDisplay?.();
@@ -3872,12 +4083,13 @@ window.GameScene = class GameScene extends Phaser.Scene {
         
         // BURST MODE UI LAYOUT FIX v2: Balance LEFT (339), Win CENTER (614), Bet RIGHT (877)
         // Left position - Player Balance (gold)
-        this.burstBalanceText = this.add.text(339 * scaleX, 545 * scaleY, `$${this.stateManager.gameData.balance.toFixed(2)}`, valueStyle);
+        this.burstBalanceText = this.add.text(339 * scaleX, 545 * scaleY, window.WalletAPI.formatBalance(this.stateManager.gameData.balance), valueStyle)
+            .setData('amount', this.stateManager.gameData.balance);
         this.burstBalanceText.setOrigin(0.5);
         this.burstModeUI.add(this.burstBalanceText);
         
         // Center position - Win Amount (green)
-        this.burstWinText = this.add.text(614 * scaleX, 545 * scaleY, '$0.00', {
+        this.burstWinText = this.add.text(614 * scaleX, 545 * scaleY, window.WalletAPI.formatBalance(0), {
             ...valueStyle,
             color: '#00FF00'
         });
@@ -3885,7 +4097,7 @@ window.GameScene = class GameScene extends Phaser.Scene {
         this.burstModeUI.add(this.burstWinText);
         
         // Right position - Bet Amount (white)
-        this.burstBetText = this.add.text(877 * scaleX, 545 * scaleY, `$${this.stateManager.gameData.currentBet.toFixed(2)}`, {
+        this.burstBetText = this.add.text(877 * scaleX, 545 * scaleY, window.WalletAPI.formatBalance(this.stateManager.gameData.currentBet), {
             ...valueStyle,
             color: '#FFFFFF'
         });
@@ -3969,7 +4181,7 @@ window.GameScene = class GameScene extends Phaser.Scene {
         }
         
         if (spinResult.freeSpinsEnded) {
-            this.showMessage(`Free Spins Complete! Total: $${this.stateManager.freeSpinsData.totalWin.toFixed(2)}`);
+            this.showMessage(`Free Spins Complete! Total: ${window.WalletAPI.formatBalance(this.stateManager.freeSpinsData.totalWin)}`);
         }
     }
     
@@ -4039,7 +4251,7 @@ window.GameScene = class GameScene extends Phaser.Scene {
                 }
                 
                 if (spinResult.freeSpinsEnded) {
-                    this.showMessage(`Free Spins Complete! Total: $${this.stateManager.freeSpinsData.totalWin.toFixed(2)}`);
+                    this.showMessage(`Free Spins Complete! Total: ${window.WalletAPI.formatBalance(this.stateManager.freeSpinsData.totalWin)}`);
                 }
                 
                 // Short delay between auto spins
@@ -4232,10 +4444,10 @@ window.GameScene = class GameScene extends Phaser.Scene {
                 resultString += `[FREE SPIN ${totalCount - currentCount + 1}/${totalCount}] `;
         }
         
-        resultString += `Spin: $${result.bet.toFixed(2)} ??`;
+        resultString += `Spin: ${window.WalletAPI.formatBalance(result.bet)} ??`;
         
         if (isWin) {
-            resultString += `WIN $${result.win.toFixed(2)} (${winMultiplier}x)`;
+            resultString += `WIN ${window.WalletAPI.formatBalance(result.win)} (${winMultiplier}x)`;
             if (result.cascades > 1) {
                 resultString += ` [${result.cascades} cascades]`;
             }
@@ -4295,15 +4507,17 @@ window.GameScene = class GameScene extends Phaser.Scene {
     burstScreenShake(winAmount) {
         const intensity = Math.min(winAmount / 10, 20); // Scale shake with win amount
         
-        // Quick double shake
-        this.cameras.main.shake(200, intensity, false, (camera, progress) => {
-            if (progress === 1) {
-                // Second shake after first completes
-                this.time.delayedCall(50, () => {
-                    this.cameras.main.shake(150, intensity * 0.7);
-                });
-            }
-        });
+        // Quick double shake (skipped with reduced motion)
+        if (window.Accessibility.allowsShake()) {
+            this.cameras.main.shake(200, intensity, false, (camera, progress) => {
+                if (progress === 1) {
+                    // Second shake after first completes
+                    this.time.delayedCall(50, () => {
+                        this.cameras.main.shake(150, intensity * 0.7);
+                    });
+                }
+            });
+        }
         
         // Show win amount popup
         this.showBurstWinPopup(winAmount);
@@ -4318,7 +4532,7 @@ window.GameScene = class GameScene extends Phaser.Scene {
         const width = this.cameras.main.width;
         const height = this.cameras.main.height;
         
-        const winPopup = this.add.text(width / 2, height / 2 - 50, `+$${amount.toFixed(2)}`, {
+        const winPopup = this.add.text(width / 2, height / 2 - 50, `+${window.WalletAPI.formatBalance(amount)}`, {
             fontSize: '72px',
             fontFamily: 'Arial Black',
             color: '#FFD700',
@@ -4415,9 +4629,10 @@ window.GameScene = class GameScene extends Phaser.Scene {
     
     updateBurstModeDisplays() {
         if (this.burstBalanceText) {
-            const oldBalance = parseFloat(this.burstBalanceText.text.replace('$', ''));
+            // Previous amounts are kept on the text objects: the formatted text depends on the locale
+            const oldBalance = this.burstBalanceText.getData('amount') ?? 0;
             const newBalance = this.stateManager.gameData.balance;
-            this.burstBalanceText.setText(`$${newBalance.toFixed(2)}`);
+            this.burstBalanceText.setText(window.WalletAPI.formatBalance(newBalance)).setData('amount', newBalance);
             
             // Show light effect if balance changed
             if (Math.abs(oldBalance - newBalance) > 0.01 && this.burstScoreLights) {
@@ -4425,9 +4640,9 @@ window.GameScene = class GameScene extends Phaser.Scene {
             }
         }
         if (this.burstWinText) {
-            const oldWin = parseFloat(this.burstWinText.text.replace('$', ''));
+            const oldWin = this.burstWinText.getData('amount') ?? 0;
             const newWin = this.totalWin;
-            this.burstWinText.setText(`$${newWin.toFixed(2)}`);
+            this.burstWinText.setText(window.WalletAPI.formatBalance(newWin)).setData('amount', newWin);
             
             // Show light effect if win changed and is positive
             if (newWin > 0 && Math.abs(oldWin - newWin) > 0.01 && this.burstScoreLights) {
@@ -4435,7 +4650,7 @@ window.GameScene = class GameScene extends Phaser.Scene {
             }
         }
         if (this.burstBetText) {
-            this.burstBetText.setText(`$${this.stateManager.gameData.currentBet.toFixed(2)}`);
+            this.burstBetText.setText(window.WalletAPI.formatBalance(this.stateManager.gameData.currentBet));
         }
     }
     
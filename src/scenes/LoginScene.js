@@ -25,28 +25,28 @@ class LoginScene extends Phaser.Scene {
         // Show deprecation message
         const shade = this.add.rectangle(960, 540, 1920, 1080, 0x000000, 0.8);
         
-        const title = this.add.text(960, 400, 'PORTAL AUTHENTICATION REQUIRED', {
+        const title = this.add.text(960, 400, window.I18n.t('login.portalRequired'), window.I18n.style({
             fontSize: '48px',
             fontFamily: 'Arial Black',
             color: '#FF6B6B',
             stroke: '#8B0000',
             strokeThickness: 4
-        }).setOrigin(0.5);
+        })).setOrigin(0.5);
         
-        const message = this.add.text(960, 500, 'This game uses portal-first authentication.\nYou will be redirected to the authentication portal.', {
+        const message = this.add.text(960, 500, window.I18n.t('login.portalMessage'), window.I18n.style({
             fontSize: '24px',
             fontFamily: 'Arial',
             color: '#FFFFFF',
             stroke: '#000000',
             strokeThickness: 2,
             align: 'center'
-        }).setOrigin(0.5);
+        })).setOrigin(0.5);
         
-        const redirectingText = this.add.text(960, 600, 'Redirecting in 3 seconds...', {
+        const redirectingText = this.add.text(960, 600, window.I18n.t('login.redirectingIn', { count: 3 }), window.I18n.style({
             fontSize: '18px',
             fontFamily: 'Arial',
             color: '#FFD700'
-        }).setOrigin(0.5);
+        })).setOrigin(0.5);
         
         // Countdown and redirect
         let countdown = 3;
@@ -56,9 +56,9 @@ class LoginScene extends Phaser.Scene {
             callback: () => {
                 countdown--;
                 if (countdown > 0) {
-                    redirectingText.setText(`Redirecting in ${countdown} second${countdown > 1 ? 's' : ''}...`);
+                    redirectingText.setText(window.I18n.t('login.redirectingIn', { count: countdown }));
                 } else {
-                    redirectingText.setText('Redirecting now...');
+                    redirectingText.setText(window.I18n.t('login.redirectingNow'));
                     // Redirect to portal
                     window.SessionService.redirectToPortal('login_scene_deprecated');
                 }
@@ -66,7 +66,7 @@ class LoginScene extends Phaser.Scene {
         });
         
         // Immediate redirect button
-        this.createButton('REDIRECT NOW', 960, 700, 0x4CAF50, () => {
+        this.createButton(window.I18n.t('login.redirectNow'), 960, 700, 0x4CAF50, () => {
             timer.destroy();
             window.SessionService.redirectToPortal('manual_redirect');
         });
@@ -82,37 +82,31 @@ class LoginScene extends Phaser.Scene {
         this.loginContainer.add(formBg);
         
         // Title
-        const title = this.add.text(0, -150, 'LOGIN', {
+        const title = this.add.text(0, -150, window.I18n.t('login.loginTitle'), window.I18n.style({
             fontSize: '32px',
             fontFamily: 'Arial Black',
             color: '#FFD700'
-        }).setOrigin(0.5);
+        })).setOrigin(0.5);
         this.loginContainer.add(title);
         
+        const fieldStyle = window.I18n.style({ fontSize: '18px', fontFamily: 'Arial', color: '#FFFFFF' });
+        
         // Username input (simplified - using text display)
-        this.loginUsernameText = this.add.text(0, -80, 'Username: ', {
-            fontSize: '18px',
-            fontFamily: 'Arial',
-            color: '#FFFFFF'
-        }).setOrigin(0.5);
+        this.loginUsernameText = this.add.text(0, -80, window.I18n.t('login.username'), fieldStyle).setOrigin(0.5);
         this.loginContainer.add(this.loginUsernameText);
         
         // Password input
-        this.loginPasswordText = this.add.text(0, -40, 'Password: ', {
-            fontSize: '18px',
-            fontFamily: 'Arial',
-            color: '#FFFFFF'
-        }).setOrigin(0.5);
+        this.loginPasswordText = this.add.text(0, -40, window.I18n.t('login.password'), fieldStyle).setOrigin(0.5);
         this.loginContainer.add(this.loginPasswordText);
         
         // Login button
-        this.createButton('LOGIN', 0, 20, 0x4CAF50, () => this.handleLogin(), this.loginContainer);
+        this.createButton(window.I18n.t('login.loginButton'), 0, 20, 0x4CAF50, () => this.handleLogin(), this.loginContainer);
         
         // Register link
-        this.createButton('REGISTER', 0, 80, 0x2196F3, () => this.showRegisterForm(), this.loginContainer);
+        this.createButton(window.I18n.t('login.registerButton'), 0, 80, 0x2196F3, () => this.showRegisterForm(), this.loginContainer);
         
         // Demo login button
-        this.createButton('DEMO LOGIN', 0, 140, 0x9C27B0, () => this.handleDemoLogin(), this.loginContainer);
+        this.createButton(window.I18n.t('login.demoLogin'), 0, 140, 0x9C27B0, () => this.handleDemoLogin(), this.loginContainer);
     }
     
     createRegisterUI() {
@@ -126,55 +120,40 @@ class LoginScene extends Phaser.Scene {
         this.registerContainer.add(formBg);
         
         // Title
-        const title = this.add.text(0, -200, 'REGISTER', {
+        const title = this.add.text(0, -200, window.I18n.t('login.registerTitle'), window.I18n.style({
             fontSize: '32px',
             fontFamily: 'Arial Black',
             color: '#FFD700'
-        }).setOrigin(0.5);
+        })).setOrigin(0.5);
         this.registerContainer.add(title);
         
         // Form fields (simplified display)
-        this.registerUsernameText = this.add.text(0, -120, 'Username: ', {
-            fontSize: '18px',
-            fontFamily: 'Arial',
-            color: '#FFFFFF'
-        }).setOrigin(0.5);
+        const fieldStyle = window.I18n.style({ fontSize: '18px', fontFamily: 'Arial', color: '#FFFFFF' });
+        this.registerUsernameText = this.add.text(0, -120, window.I18n.t('login.username'), fieldStyle).setOrigin(0.5);
         this.registerContainer.add(this.registerUsernameText);
         
-        this.registerEmailText = this.add.text(0, -80, 'Email: ', {
-            fontSize: '18px',
-            fontFamily: 'Arial',
-            color: '#FFFFFF'
-        }).setOrigin(0.5);
+        this.registerEmailText = this.add.text(0, -80, window.I18n.t('login.email'), fieldStyle).setOrigin(0.5);
         this.registerContainer.add(this.registerEmailText);
         
-        this.registerPasswordText = this.add.text(0, -40, 'Password: ', {
-            fontSize: '18px',
-            fontFamily: 'Arial',
-            color: '#FFFFFF'
-        }).setOrigin(0.5);
+        this.registerPasswordText = this.add.text(0, -40, window.I18n.t('login.password'), fieldStyle).setOrigin(0.5);
         this.registerContainer.add(this.registerPasswordText);
         
-        this.registerConfirmText = this.add.text(0, 0, 'Confirm Password: ', {
-            fontSize: '18px',
-            fontFamily: 'Arial',
-            color: '#FFFFFF'
-        }).setOrigin(0.5);
+        this.registerConfirmText = this.add.text(0, 0, window.I18n.t('login.confirmPassword'), fieldStyle).setOrigin(0.5);
         this.registerContainer.add(this.registerConfirmText);
         
         // Register button
-        this.createButton('REGISTER', 0, 60, 0x4CAF50, () => this.handleRegister(), this.registerContainer);
+        this.createButton(window.I18n.t('login.registerButton'), 0, 60, 0x4CAF50, () => this.handleRegister(), this.registerContainer);
         
         // Back to login
-        this.createButton('BACK TO LOGIN', 0, 120, 0x757575, () => this.showLoginForm(), this.registerContainer);
+        this.createButton(window.I18n.t('login.backToLogin'), 0, 120, 0x757575, () => this.showLoginForm(), this.registerContainer);
     }
     
     createConnectionStatus() {
-        this.connectionStatus = this.add.text(100, 50, '🔴 Disconnected', {
+        this.connectionStatus = this.add.text(100, 50, `🔴 ${window.I18n.t('login.disconnected')}`, window.I18n.style({
             fontSize: '16px',
             fontFamily: 'Arial',
             color: '#FF6B6B'
-        });
+        }));
         
         this.updateConnectionStatus();
     }
@@ -183,11 +162,11 @@ class LoginScene extends Phaser.Scene {
         const button = this.add.rectangle(x, y, 200, 40, color);
         button.setStrokeStyle(2, 0xFFFFFF);
         
-        const buttonText = this.add.text(x, y, text, {
+        const buttonText = this.add.text(x, y, text, window.I18n.style({
             fontSize: '16px',
             fontFamily: 'Arial Black',
             color: '#FFFFFF'
-        }).setOrigin(0.5);
+        })).setOrigin(0.5);
         
         button.setInteractive({ useHandCursor: true });
         button.on('pointerdown', callback);
@@ -210,7 +189,7 @@ class LoginScene extends Phaser.Scene {
     updateConnectionStatus() {
         // For now, just show as disconnected
         // In a real implementation, this would check NetworkService
-        this.connectionStatus.setText('🔴 Disconnected');
+        this.connectionStatus.setText(`🔴 ${window.I18n.t('login.disconnected')}`);
         this.connectionStatus.setColor('#FF6B6B');
     }
     
@@ -230,19 +209,19 @@ class LoginScene extends Phaser.Scene {
         if (this.isLoading) return;
         
         this.setLoading(true);
-        this.showMessage('Logging in...', '#4CAF50');
+        this.showMessage(window.I18n.t('login.loggingIn'), '#4CAF50');
         
         try {
             // For now, simulate login success
             await this.delay(1000);
             
-            this.showMessage('Login successful!', '#4CAF50');
+            this.showMessage(window.I18n.t('login.loginSuccess'), '#4CAF50');
             
             setTimeout(() => {
                 this.scene.start('MenuScene');
             }, 1000);
         } catch (error) {
-            this.showMessage('Login failed: ' + error.message, '#FF6B6B');
+            this.showMessage(window.I18n.t('login.loginFailed', { error: error.message }), '#FF6B6B');
         } finally {
             this.setLoading(false);
         }
@@ -252,19 +231,19 @@ class LoginScene extends Phaser.Scene {
         if (this.isLoading) return;
         
         this.setLoading(true);
-        this.showMessage('Registering...', '#4CAF50');
+        this.showMessage(window.I18n.t('login.registering'), '#4CAF50');
         
         try {
             // For now, simulate registration success
             await this.delay(1000);
             
-            this.showMessage('Registration successful!', '#4CAF50');
+            this.showMessage(window.I18n.t('login.registerSuccess'), '#4CAF50');
             
             setTimeout(() => {
                 this.scene.start('MenuScene');
             }, 1000);
         } catch (error) {
-            this.showMessage('Registration failed: ' + error.message, '#FF6B6B');
+            this.showMessage(window.I18n.t('login.registerFailed', { error: error.message }), '#FF6B6B');
         } finally {
             this.setLoading(false);
         }
@@ -274,18 +253,18 @@ class LoginScene extends Phaser.Scene {
         if (this.isLoading) return;
         
         this.setLoading(true);
-        this.showMessage('Starting demo...', '#9C27B0');
+        this.showMessage(window.I18n.t('login.startingDemo'), '#9C27B0');
         
         try {
             await this.delay(500);
             
-            this.showMessage('Demo login successful!', '#4CAF50');
+            this.showMessage(window.I18n.t('login.demoSuccess'), '#4CAF50');
             
             setTimeout(() => {
                 this.scene.start('MenuScene');
             }, 1000);
         } catch (error) {
-            this.showMessage('Demo login failed: ' + error.message, '#FF6B6B');
+            this.showMessage(window.I18n.t('login.demoFailed', { error: error.message }), '#FF6B6B');
         } finally {
             this.setLoading(false);
         }
@@ -298,7 +277,7 @@ class LoginScene extends Phaser.Scene {
         
         if (storedSession || serverMode === 'false') {
             console.log('Found stored session or offline mode - skipping login');
-            this.showMessage('Auto-login from launcher...', '#4CAF50');
+            this.showMessage(window.I18n.t('login.autoLogin'), '#4CAF50');
             
             // Wait a moment then proceed directly to game
             this.time.delayedCall(1000, () => {
@@ -318,13 +297,13 @@ class LoginScene extends Phaser.Scene {
             this.messageText.destroy();
         }
         
-        this.messageText = this.add.text(960, 900, text, {
+        this.messageText = this.add.text(960, 900, text, window.I18n.style({
             fontSize: '18px',
             fontFamily: 'Arial',
             color: color,
             stroke: '#000000',
             strokeThickness: 1
-        }).setOrigin(0.5);
+        })).setOrigin(0.5);
         
         // Auto-hide after 3 seconds
         this.time.delayedCall(3000, () => {
@@ -127,13 +127,13 @@ window.MenuScene = class MenuScene extends Phaser.Scene {
         const loadingFontSize = isMobileDevice ? 
             Math.max(24, Math.floor(36 * Math.min(width / 1920, 1.0))) : 36;
         
-        const loadingText = this.add.text(width / 2, height / 2, 'Validating Session...', {
+        const loadingText = this.add.text(width / 2, height / 2, window.I18n.t('menu.validatingSession'), window.I18n.style({
             fontSize: `${loadingFontSize}px`,
             fontFamily: 'Arial Black',
             color: '#ffffff',
             stroke: '#6B46C1',
             strokeThickness: isMobileDevice ? 3 : 4 // Slightly thinner stroke on mobile
-        });
+        }));
         loadingText.setOrigin(0.5);
         
         // Pulse animation
@@ -205,19 +205,19 @@ window.MenuScene = class MenuScene extends Phaser.Scene {
         
         // Subtitle - improved mobile spacing and sizing
         const subtitleFontSize = isMobileDevice ? this.getResponsiveFontSize(24, width, { category: 'medium' }) : 24;
-        const subtitle = this.add.text(width / 2, titleY + subtitleSpacing, 'Thanos vs Scarlet Witch', {
+        const subtitle = this.add.text(width / 2, titleY + subtitleSpacing, window.I18n.t('menu.subtitle'), window.I18n.style({
             fontSize: `${subtitleFontSize}px`,
             fontFamily: 'Arial',
             color: '#9B59B6',
             // Enhanced readability with subtle stroke for mobile
             stroke: isMobileDevice ? '#000000' : undefined,
             strokeThickness: isMobileDevice ? 2 : 0
-        });
+        }));
         subtitle.setOrigin(0.5);
         
         // Play button - optimized positioning for touch
         const playButtonY = titleY + subtitleSpacing + playButtonSpacing;
-        const playButton = this.createButton(width / 2, playButtonY, 'PLAY', async () => {
+        const playButton = this.createButton(width / 2, playButtonY, window.I18n.t('menu.play'), async () => {
             window.SafeSound.play(this, 'click');
             
             // Request fullscreen on mobile devices when entering the game
@@ -246,14 +246,14 @@ window.MenuScene = class MenuScene extends Phaser.Scene {
         // Balance display - adequate spacing from button
         const balanceFontSize = isMobileDevice ? this.getResponsiveFontSize(28, width, { category: 'medium' }) : 28;
         const balanceText = this.add.text(width / 2, playButtonY + balanceSpacing, 
-            `Balance: $${stateManager.gameData.balance.toFixed(2)}`, {
+            window.I18n.t('menu.balance', { amount: window.WalletAPI.formatBalance(stateManager.gameData.balance) }), window.I18n.style({
             fontSize: `${balanceFontSize}px`,
             fontFamily: 'Arial',
             color: '#FFD700',
             // Enhanced readability with stroke for mobile
             stroke: isMobileDevice ? '#000000' : undefined,
             strokeThickness: isMobileDevice ? 2 : 0
-        });
+        }));
         balanceText.setOrigin(0.5);
         
         // Session status (in development mode) - mobile-optimized positioning
@@ -262,14 +262,14 @@ window.MenuScene = class MenuScene extends Phaser.Scene {
             const statusSpacing = isMobileDevice ? 80 * spacingMultiplier : 50;
             const statusFontSize = isMobileDevice ? this.getResponsiveFontSize(16, width, { category: 'small' }) : 16;
             const statusText = this.add.text(width / 2, playButtonY + balanceSpacing + statusSpacing, 
-                `Session: ${sessionStatus.authenticated ? 'Valid' : 'Invalid'}`, {
+                window.I18n.t(sessionStatus.authenticated ? 'menu.sessionValid' : 'menu.sessionInvalid'), window.I18n.style({
                 fontSize: `${statusFontSize}px`,
                 fontFamily: 'Arial',
                 color: sessionStatus.authenticated ? '#4CAF50' : '#FF6B6B',
                 // Enhanced readability for small text on mobile
                 stroke: isMobileDevice ? '#000000' : undefined,
                 strokeThickness: isMobileDevice ? 1 : 0
-            });
+            }));
             statusText.setOrigin(0.5);
         }
         
@@ -277,7 +277,7 @@ window.MenuScene = class MenuScene extends Phaser.Scene {
         if (window.DEBUG) {
             const logoutX = isMobileDevice ? width - 80 : width - 100;
             const logoutY = isMobileDevice ? 70 : 50;
-            const logoutButton = this.createButton(logoutX, logoutY, 'LOGOUT', () => {
+            const logoutButton = this.createButton(logoutX, logoutY, window.I18n.t('menu.logout'), () => {
                 window.SessionService.logout();
             });
             logoutButton.setScale(isMobileDevice ? 0.4 : 0.5);
@@ -287,14 +287,14 @@ window.MenuScene = class MenuScene extends Phaser.Scene {
         const versionFontSize = isMobileDevice ? this.getResponsiveFontSize(14, width, { category: 'small' }) : 14;
         const versionX = isMobileDevice ? 15 : 10;
         const versionY = isMobileDevice ? height - 30 : height - 20;
-        this.add.text(versionX, versionY, 'v1.0.0 - Server Mode', {
+        this.add.text(versionX, versionY, window.I18n.t('menu.version', { version: '1.0.0' }), window.I18n.style({
             fontSize: `${versionFontSize}px`,
             fontFamily: 'Arial',
             color: isMobileDevice ? '#AAAAAA' : '#666666', // Lighter on mobile for better contrast
             // Enhanced readability for version text on mobile
             stroke: isMobileDevice ? '#000000' : undefined,
             strokeThickness: isMobileDevice ? 1 : 0
-        });
+        }));
         
         // Set menu state
         stateManager.setState(stateManager.states.MENU);
@@ -338,14 +338,14 @@ window.MenuScene = class MenuScene extends Phaser.Scene {
         const buttonFontSize = isMobileDevice ? 
             this.getResponsiveFontSize(32, this.cameras.main.width, { category: 'medium' }) : 32;
         
-        const label = this.add.text(0, 0, text, {
+        const label = this.add.text(0, 0, text, window.I18n.style({
             fontSize: `${buttonFontSize}px`,
             fontFamily: 'Arial Black',
             color: '#ffffff',
             // Enhanced contrast for mobile
             stroke: isMobileDevice ? '#000000' : undefined,
             strokeThickness: isMobileDevice ? 2 : 0
-        });
+        }));
         label.setOrigin(0.5);
         
         button.add([bg, label]);
@@ -455,14 +455,14 @@ window.MenuScene = class MenuScene extends Phaser.Scene {
         const toggleFontSize = isMobileDevice ? 
             this.getResponsiveFontSize(18, this.cameras.main.width, { category: 'small' }) : 18;
         
-        const label = this.add.text(0, 0, text, {
+        const label = this.add.text(0, 0, text, window.I18n.style({
             fontSize: `${toggleFontSize}px`,
             fontFamily: 'Arial',
             color: '#ffffff',
             // Enhanced readability for mobile
             stroke: isMobileDevice ? '#000000' : undefined,
             strokeThickness: isMobileDevice ? 1 : 0
-        });
+        }));
         label.setOrigin(0.5);
         
         button.add([bg, label]);
@@ -0,0 +1,322 @@
+// Phaser is loaded globally
+
+// Rules and paytable, launched over GameScene from the settings panel.
+// Everything shown comes from /api/game-rules (the math model the player's spins
+// are played on), so the help screen cannot drift from the game; nothing here
+// falls back to the client's own GameConfig tables.
+window.RulesScene = class RulesScene extends Phaser.Scene {
+    constructor() {
+        super({ key: 'RulesScene' });
+        this.pages = [
+            { title: 'rules.pages.paytable', render: (rules) => this.renderPaytablePage(rules) },
+            { title: 'rules.pages.freeSpins', render: (rules) => this.renderFreeSpinsPage(rules) },
+            { title: 'rules.pages.multipliers', render: (rules) => this.renderMultipliersPage(rules) },
+            { title: 'rules.pages.general', render: (rules) => this.renderGeneralPage(rules) }
+        ];
+    }
+
+    init(data) {
+        this.callerKey = (data && data.callerKey) || 'GameScene';
+        this.betAmount = (data && data.bet) || 0;
+        this.pageIndex = 0;
+        this.rules = null;
+    }
+
+    create() {
+        const width = this.cameras.main.width;
+        const height = this.cameras.main.height;
+        this.uiScale = Math.min(width / 1280, height / 720);
+        this.panelWidth = 1000 * (width / 1280);
+        this.panelHeight = 620 * (height / 720);
+        this.panelLeft = (width - this.panelWidth) / 2;
+        this.panelTop = (height - this.panelHeight) / 2;
+
+        // Keep the game's keyboard shortcuts (space to spin) from firing underneath
+        const caller = this.scene.get(this.callerKey);
+        if (caller && caller.input && caller.input.keyboard) {
+            caller.input.keyboard.enabled = false;
+        }
+        this.events.once('shutdown', () => {
+            if (caller && caller.input && caller.input.keyboard) {
+                caller.input.keyboard.enabled = true;
+            }
+        });
+
+        const bg = this.add.rectangle(width / 2, height / 2, width, height, 0x000000, 0.85);
+        bg.setInteractive(); // Block clicks behind it
+
+        const panel = this.add.rectangle(width / 2, height / 2, this.panelWidth, this.panelHeight, 0x1F2937, 0.97);
+        panel.setStrokeStyle(4, 0xFFD700);
+
+        this.titleText = this.add.text(width / 2, this.panelTop + 36 * this.uiScale, window.I18n.t('rules.pages.general'), window.I18n.style({
+            fontSize: this.fontSize(26),
+            fontFamily: 'Arial Black',
+            color: '#FFD700'
+        })).setOrigin(0.5);
+
+        this.content = this.add.container(0, 0);
+        this.createFooter();
+
+        this.input.keyboard.on('keydown-ESC', () => this.close());
+        this.input.keyboard.on('keydown-LEFT', () => this.showPage(this.pageIndex - 1));
+        this.input.keyboard.on('keydown-RIGHT', () => this.showPage(this.pageIndex + 1));
+
+        this.loadRules();
+    }
+
+    fontSize(size) {
+        return Math.floor(size * this.uiScale) + 'px';
+    }
+
+    createFooter() {
+        const width = this.cameras.main.width;
+        const footerY = this.panelTop + this.panelHeight - 34 * this.uiScale;
+        const btnStyle = window.I18n.style({
+            fontSize: this.fontSize(16),
+            fontFamily: 'Arial Black',
+            color: '#000000',
+            backgroundColor: '#FFD700',
+            padding: { x: 12, y: 6 }
+        });
+
+        this.prevBtn = this.add.text(width / 2 - 160 * this.uiScale, footerY, window.I18n.t('common.prev'), btnStyle).setOrigin(0.5);
+        this.nextBtn = this.add.text(width / 2 + 160 * this.uiScale, footerY, window.I18n.t('common.next'), btnStyle).setOrigin(0.5);
+        this.pageText = this.add.text(width / 2, footerY, '', {
+            fontSize: this.fontSize(16),
+            fontFamily: 'Arial Black',
+            color: '#FFD700'
+        }).setOrigin(0.5);
+        const closeBtn = this.add.text(this.panelLeft + this.panelWidth - 20 * this.uiScale, this.panelTop + 36 * this.uiScale, window.I18n.t('common.close'), btnStyle).setOrigin(1, 0.5);
+
+        this.prevBtn.setInteractive({ useHandCursor: true }).on('pointerup', () => this.showPage(this.pageIndex - 1));
+        this.nextBtn.setInteractive({ useHandCursor: true }).on('pointerup', () => this.showPage(this.pageIndex + 1));
+        closeBtn.setInteractive({ useHandCursor: true }).on('pointerup', () => this.close());
+        this.setPagingVisible(false);
+    }
+
+    setPagingVisible(visible) {
+        [this.prevBtn, this.nextBtn, this.pageText].forEach(item => item.setVisible(visible));
+    }
+
+    async loadRules() {
+        this.showStatus(window.I18n.t('rules.loading'));
+        const resp = window.NetworkService ? await window.NetworkService.getGameRules() : null;
+        if (!this.sys.isActive()) {
+            return; // Closed while loading
+        }
+        if (!resp || !resp.success || !resp.data || !resp.data.rules) {
+            this.showStatus(window.I18n.t('rules.loadFailed'), () => this.loadRules());
+            return;
+        }
+        this.rules = resp.data.rules;
+        this.setPagingVisible(true);
+        this.showPage(0);
+    }
+
+    showStatus(message, onRetry = null) {
+        const width = this.cameras.main.width;
+        const height = this.cameras.main.height;
+        this.content.removeAll(true);
+        this.content.add(this.add.text(width / 2, height / 2, message, window.I18n.style({
+            fontSize: this.fontSize(18),
+            fontFamily: 'Arial',
+            color: onRetry ? '#FF6666' : '#FFFFFF',
+            align: 'center'
+        })).setOrigin(0.5));
+
+        if (onRetry) {
+            const retry = this.add.text(width / 2, height / 2 + 60 * this.uiScale, window.I18n.t('common.retry'), window.I18n.style({
+                fontSize: this.fontSize(16),
+                fontFamily: 'Arial Black',
+                color: '#000000',
+                backgroundColor: '#FFD700',
+                padding: { x: 12, y: 6 }
+            })).setOrigin(0.5);
+            retry.setInteractive({ useHandCursor: true }).on('pointerup', onRetry);
+            this.content.add(retry);
+        }
+    }
+
+    showPage(index) {
+        if (!this.rules || index < 0 || index >= this.pages.length) {
+            return;
+        }
+        this.pageIndex = index;
+        this.content.removeAll(true);
+
+        const page = this.pages[index];
+        this.titleText.setText(window.I18n.t(page.title));
+        page.render(this.rules);
+
+        this.pageText.setText(`${index + 1} / ${this.pages.length}`);
+        this.prevBtn.setAlpha(index > 0 ? 1 : 0.5);
+        this.nextBtn.setAlpha(index < this.pages.length - 1 ? 1 : 0.5);
+    }
+
+    // Bet multiple as a money amount at the current bet, or as "x" when there is no bet
+    formatPay(betMultiple) {
+        if (this.betAmount > 0 && window.WalletAPI && window.WalletAPI.formatBalance) {
+            return window.WalletAPI.formatBalance(betMultiple * this.betAmount);
+        }
+        return `${window.I18n.formatNumber(betMultiple, { maximumFractionDigits: 2 })}x`;
+    }
+
+    formatPercent(probability, digits = 2) {
+        return window.I18n.formatPercent(probability, digits);
+    }
+
+    symbolName(symbolId) {
+        const symbols = window.GameConfig && window.GameConfig.SYMBOLS ? Object.values(window.GameConfig.SYMBOLS) : [];
+        const match = symbols.find(symbol => symbol.id === symbolId);
+        return match ? match.name : symbolId.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+    }
+
+    addSymbolIcon(x, y, symbolId, size) {
+        if (!this.textures.exists(symbolId)) {
+            return;
+        }
+        const icon = this.add.image(x, y, symbolId);
+        icon.setScale(size / Math.max(icon.width, icon.height));
+        this.content.add(icon);
+    }
+
+    addText(x, y, text, style = {}) {
+        const item = this.add.text(x, y, text, window.I18n.style(Object.assign({
+            fontSize: this.fontSize(15),
+            fontFamily: 'Arial',
+            color: '#FFFFFF',
+            lineSpacing: 4
+        }, style)));
+        this.content.add(item);
+        return item;
+    }
+
+    addParagraphs(x, y, lines, wrapWidth) {
+        return this.addText(x, y, lines.join('\n'), { wordWrap: { width: wrapWidth } });
+    }
+
+    renderPaytablePage(rules) {
+        const left = this.panelLeft + 30 * this.uiScale;
+        const top = this.panelTop + 80 * this.uiScale;
+        const cellWidth = (this.panelWidth - 60 * this.uiScale) / 3;
+        const cellHeight = 140 * this.uiScale;
+        const iconSize = 80 * this.uiScale;
+
+        rules.symbols.forEach((entry, index) => {
+            const cellX = left + (index % 3) * cellWidth;
+            const cellY = top + Math.floor(index / 3) * cellHeight;
+            this.addSymbolIcon(cellX + iconSize / 2, cellY + iconSize / 2 + 10 * this.uiScale, entry.symbol, iconSize);
+            this.addText(cellX + iconSize + 12 * this.uiScale, cellY, this.symbolName(entry.symbol).toUpperCase(), {
+                fontFamily: 'Arial Black',
+                color: '#FFD700'
+            });
+            const lines = entry.tiers.slice().reverse().map(tier => {
+                const size = tier.maxCount === null ? `${tier.minCount}+` : `${tier.minCount}-${tier.maxCount}`;
+                return `${size.padEnd(6)} ${this.formatPay(tier.betMultiple)}`;
+            });
+            this.addText(cellX + iconSize + 12 * this.uiScale, cellY + 26 * this.uiScale, lines.join('\n'));
+        });
+
+        const footnoteY = top + Math.ceil(rules.symbols.length / 3) * cellHeight;
+        const basis = this.formatPay(1).endsWith('x')
+            ? window.I18n.t('rules.paytable.basisMultiples')
+            : window.I18n.t('rules.paytable.basisBet', { bet: this.formatPay(1) });
+        this.addText(left, footnoteY, `${basis} ${window.I18n.t('rules.paytable.clusterSize')}`, {
+            fontSize: this.fontSize(13),
+            color: '#B0B8C4'
+        });
+    }
+
+    renderFreeSpinsPage(rules) {
+        const left = this.panelLeft + 40 * this.uiScale;
+        const top = this.panelTop + 80 * this.uiScale;
+        const wrapWidth = this.panelWidth - 80 * this.uiScale;
+        const fs = rules.freeSpins;
+        const t = (key, params) => window.I18n.t(key, params);
+
+        if (rules.scatter) {
+            const iconSize = 100 * this.uiScale;
+            this.addSymbolIcon(left + iconSize / 2, top + iconSize / 2, rules.scatter.symbol, iconSize);
+            this.addText(left + iconSize + 20 * this.uiScale, top, window.I18n.t('rules.scatterName', { name: this.symbolName(rules.scatter.symbol).toUpperCase() }), {
+                fontFamily: 'Arial Black',
+                color: '#FFD700'
+            });
+            const lines = rules.scatter.payouts.slice().reverse()
+                .map(pay => `${String(pay.count).padEnd(4)} ${this.formatPay(pay.betMultiple)}`);
+            this.addText(left + iconSize + 20 * this.uiScale, top + 28 * this.uiScale, lines.join('\n'));
+        }
+
+        this.addParagraphs(left, top + 150 * this.uiScale, [
+            t('rules.freeSpins.scatterPays'),
+            '',
+            t('rules.freeSpins.trigger', { scatters: fs.triggerCount, count: fs.spinsAwarded }),
+            t('rules.freeSpins.retrigger', { scatters: fs.retriggerCount, count: fs.retriggerSpins }),
+            t('rules.freeSpins.multiplier', { multiplier: fs.baseMultiplier }),
+            '',
+            t('rules.freeSpins.buyFeature', { cost: fs.buyFeature.costBetMultiple, count: fs.buyFeature.spinsAwarded })
+        ], wrapWidth);
+    }
+
+    renderMultipliersPage(rules) {
+        const left = this.panelLeft + 40 * this.uiScale;
+        const top = this.panelTop + 80 * this.uiScale;
+        const wrapWidth = this.panelWidth / 2 - 60 * this.uiScale;
+        const { random, cascadeRandom, freeSpinsCap } = rules.multipliers;
+        const t = (key, params) => window.I18n.t(key, params);
+
+        this.addParagraphs(left, top, [
+            t('rules.multipliers.random', {
+                chance: this.formatPercent(random.triggerChance),
+                freeSpinsChance: this.formatPercent(random.freeSpinsTriggerChance)
+            }),
+            '',
+            t('rules.multipliers.cascade', {
+                chance: this.formatPercent(cascadeRandom.triggerChance),
+                min: cascadeRandom.minMultipliers,
+                max: cascadeRandom.maxMultipliers
+            }),
+            '',
+            t('rules.multipliers.cap', { count: freeSpinsCap })
+        ], wrapWidth);
+
+        // Multiplier value odds, once a random multiplier is awarded
+        const tableX = this.panelLeft + this.panelWidth / 2 + 20 * this.uiScale;
+        this.addText(tableX, top, t('rules.multipliers.columnMultiplier'), { fontFamily: 'Arial Black', color: '#FFD700' });
+        this.addText(tableX + 200 * this.uiScale, top, t('rules.multipliers.columnChance'), { fontFamily: 'Arial Black', color: '#FFD700' });
+        const rowHeight = 26 * this.uiScale;
+        random.table.forEach((entry, index) => {
+            const y = top + 32 * this.uiScale + index * rowHeight;
+            const chance = entry.probability >= 0.0001
+                ? this.formatPercent(entry.probability)
+                : t('rules.multipliers.oneIn', { odds: window.I18n.formatNumber(Math.round(1 / entry.probability)) });
+            this.addText(tableX, y, `x${entry.multiplier}`);
+            this.addText(tableX + 200 * this.uiScale, y, chance);
+        });
+    }
+
+    renderGeneralPage(rules) {
+        const left = this.panelLeft + 40 * this.uiScale;
+        const top = this.panelTop + 80 * this.uiScale;
+        const wrapWidth = this.panelWidth - 80 * this.uiScale;
+        const model = rules.model || {};
+        const t = (key, params) => window.I18n.t(key, params);
+
+        this.addParagraphs(left, top, [
+            t('rules.general.grid', { cols: rules.grid.cols, rows: rules.grid.rows }),
+            t('rules.general.clusters', { count: rules.grid.minMatchCount }),
+            t('rules.general.addedTogether'),
+            t('rules.general.maxWin', { multiple: window.I18n.formatNumber(rules.maxWinMultiplier) }),
+            '',
+            t('rules.general.rtp', { rtp: this.formatPercent(rules.rtp) }),
+            '',
+            t('rules.general.malfunction'),
+            '',
+            t('rules.general.version', { version: `${model.id || '-'}${model.rtpProfile ? ` (${model.rtpProfile})` : ''}` }),
+            t('rules.general.checksum', { checksum: model.checksum ? model.checksum.slice(0, 16) : '-' })
+        ], wrapWidth);
+    }
+
+    close() {
+        this.scene.stop();
+    }
+};
@@ -0,0 +1,184 @@
+// AccessibilityService - reduced motion and flashing, gem symbol markers and screen-reader
+// announcements. Real-money players keep their options on the server (/api/accessibility);
+// the browser keeps a copy so they apply before the game has talked to the server, and is
+// the only store for demo players.
+window.Accessibility = new (class AccessibilityService {
+    constructor() {
+        this.storageKey = 'infinity_storm_accessibility';
+        this.options = ['reduceMotion', 'reduceFlashing', 'symbolMarkers', 'announcements'];
+
+        // Options the player has set; anything else follows defaults()
+        this.saved = {};
+        this.prefersReducedMotion = false;
+        this.remote = false;
+        this.liveRegion = null;
+        this.pendingMessages = [];
+        this.announceTimer = null;
+        this.listeners = [];
+    }
+
+    /**
+     * Load the options kept in this browser and add the live region to the page.
+     * Call syncWithServer() once the player is known to be logged in.
+     */
+    init() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+            this.saved = this.pickOptions(stored);
+        } catch (_) {
+            this.saved = {};
+        }
+        this.watchSystemPreference();
+        this.createLiveRegion();
+        return this.getAll();
+    }
+
+    // The browser's reduced-motion preference, kept up to date if the player changes it mid-game
+    watchSystemPreference() {
+        if (!window.matchMedia) return;
+        try {
+            const query = window.matchMedia('(prefers-reduced-motion: reduce)');
+            this.prefersReducedMotion = query.matches;
+            query.addEventListener('change', (event) => {
+                this.prefersReducedMotion = event.matches;
+                ['reduceMotion', 'reduceFlashing']
+                    .filter(key => !(key in this.saved))
+                    .forEach(key => this.notify(key, event.matches));
+            });
+        } catch (_) {}
+    }
+
+    // The reduced-motion preference covers flashing too until the player chooses
+    defaults() {
+        return {
+            reduceMotion: this.prefersReducedMotion,
+            reduceFlashing: this.prefersReducedMotion,
+            symbolMarkers: false,
+            announcements: true
+        };
+    }
+
+    pickOptions(source) {
+        const picked = {};
+        if (!source || typeof source !== 'object') return picked;
+        this.options.forEach(key => {
+            if (typeof source[key] === 'boolean') picked[key] = source[key];
+        });
+        return picked;
+    }
+
+    /**
+     * Replace the local copy with the player's options from the server; later changes are
+     * saved there too. Keeps the local options if the server cannot be reached.
+     */
+    async syncWithServer() {
+        if (!window.NetworkService || !window.NetworkService.getAccessibilitySettings) return;
+        this.remote = true;
+        try {
+            const resp = await window.NetworkService.getAccessibilitySettings();
+            if (!resp || !resp.success || !resp.data) return;
+            const before = this.getAll();
+            this.saved = this.pickOptions(resp.data.settings);
+            this.store();
+            const after = this.getAll();
+            this.options
+                .filter(key => before[key] !== after[key])
+                .forEach(key => this.notify(key, after[key]));
+        } catch (error) {
+            console.warn('⚠️ Failed to load accessibility settings:', error);
+        }
+    }
+
+    get(key) {
+        if (key in this.saved) return this.saved[key];
+        return this.defaults()[key];
+    }
+
+    getAll() {
+        return Object.assign(this.defaults(), this.saved);
+    }
+
+    async set(key, value) {
+        if (!this.options.includes(key)) {
+            throw new Error(`Unknown accessibility option: ${key}`);
+        }
+        this.saved[key] = !!value;
+        this.store();
+        this.notify(key, this.saved[key]);
+        if (this.remote && window.NetworkService && window.NetworkService.updateAccessibilitySettings) {
+            try {
+                await window.NetworkService.updateAccessibilitySettings({ [key]: this.saved[key] });
+            } catch (error) {
+                console.warn('⚠️ Failed to save accessibility settings:', error);
+            }
+        }
+        return this.saved[key];
+    }
+
+    store() {
+        try { localStorage.setItem(this.storageKey, JSON.stringify(this.saved)); } catch (_) {}
+    }
+
+    // listener(key, value) on every change; returns an unsubscribe function
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => { this.listeners = this.listeners.filter(item => item !== listener); };
+    }
+
+    notify(key, value) {
+        this.listeners.forEach(listener => {
+            try { listener(key, value); } catch (error) { console.warn('Accessibility listener failed:', error); }
+        });
+    }
+
+    // Checks used by the effects
+    allowsShake() {
+        return !this.get('reduceMotion');
+    }
+
+    allowsFlashing() {
+        return !this.get('reduceFlashing');
+    }
+
+    // Full-screen shader backgrounds both move and flash
+    allowsShaderEffects() {
+        return this.allowsShake() && this.allowsFlashing();
+    }
+
+    showsSymbolMarkers() {
+        return !!this.get('symbolMarkers');
+    }
+
+    // Visually hidden polite live region; the canvas itself is invisible to screen readers
+    createLiveRegion() {
+        if (this.liveRegion || typeof document === 'undefined' || !document.body) return;
+        const region = document.createElement('div');
+        region.id = 'a11y-announcer';
+        region.setAttribute('role', 'status');
+        region.setAttribute('aria-live', 'polite');
+        region.setAttribute('aria-atomic', 'true');
+        region.style.cssText = 'position:absolute;width:1px;height:1px;margin:-1px;padding:0;' +
+            'overflow:hidden;clip:rect(0 0 0 0);white-space:nowrap;border:0;';
+        document.body.appendChild(region);
+        this.liveRegion = region;
+    }
+
+    /**
+     * Read a message out through the live region (spin results, wins, free spins).
+     * Messages posted together are read as one, so a later one does not cut off the first;
+     * the region is cleared first so the same message twice in a row is still announced.
+     */
+    announce(message) {
+        if (!message || !this.get('announcements')) return;
+        this.createLiveRegion();
+        if (!this.liveRegion) return;
+        this.pendingMessages.push(message);
+        if (this.announceTimer) return;
+        this.liveRegion.textContent = '';
+        this.announceTimer = setTimeout(() => {
+            this.announceTimer = null;
+            if (this.liveRegion) this.liveRegion.textContent = this.pendingMessages.join(' ');
+            this.pendingMessages = [];
+        }, 100);
+    }
+})();
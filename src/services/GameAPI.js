@@ -242,7 +242,11 @@ window.GameAPI = new (class GameAPI {
                 betAmount,
                 quickSpinMode: scene?.settings?.quickSpinEnabled ?? false,
                 freeSpinsActive: !!freeSpinsData?.active,
-                accumulatedMultiplier
+                accumulatedMultiplier,
+                // Only base-game autoplay spins count against the autoplay session
+                autoplaySessionId: (!freeSpinsData?.active && scene?.stateManager?.gameData?.autoplayActive)
+                    ? scene.stateManager.gameData.autoplaySessionId
+                    : null
             });
             
             this.isSpinning = false;
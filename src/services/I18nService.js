@@ -0,0 +1,255 @@
+// I18nService - UI language, translated strings and locale-aware number/currency formatting
+// Strings live in JSON bundles under assets/locales/<locale>.json; English is always loaded
+// and used for any key a bundle does not have.
+window.I18n = new (class I18nService {
+    constructor() {
+        this.fallbackLocale = 'en';
+        this.storageKey = 'infinity_storm_locale';
+        this.bundlePath = 'assets/locales';
+
+        // Locales with a bundle. font: families tried before the style's own font, so CJK
+        // glyphs do not fall back to whatever the browser picks for Arial
+        this.locales = {
+            en: { name: 'English', dir: 'ltr' },
+            es: { name: 'Español', dir: 'ltr' },
+            'pt-BR': { name: 'Português (Brasil)', dir: 'ltr' },
+            ja: { name: '日本語', dir: 'ltr', font: "'Noto Sans JP', 'Hiragino Kaku Gothic ProN', 'Yu Gothic', Meiryo" },
+            ko: { name: '한국어', dir: 'ltr', font: "'Noto Sans KR', 'Apple SD Gothic Neo', 'Malgun Gothic'" },
+            'zh-CN': { name: '简体中文', dir: 'ltr', font: "'Noto Sans SC', 'PingFang SC', 'Microsoft YaHei', 'Hiragino Sans GB'" },
+            ar: { name: 'العربية', dir: 'rtl', font: "'Noto Sans Arabic', Tahoma" }
+        };
+        // Language tags that map onto a bundle for another tag (es-MX -> es, pt -> pt-BR)
+        this.aliases = { pt: 'pt-BR', zh: 'zh-CN', 'zh-hans': 'zh-CN', 'zh-sg': 'zh-CN' };
+
+        this.locale = this.fallbackLocale;
+        this.bundles = {};
+        this.missingKeys = new Set();
+        this.formatters = new Map();
+        this.listeners = [];
+    }
+
+    /**
+     * Pick the language and load its bundle (plus English). Never rejects: without a bundle
+     * the UI shows English, or the keys themselves if English could not be loaded either.
+     */
+    async init() {
+        await this.loadBundle(this.fallbackLocale);
+        await this.setLocale(this.detectLocale(), { persist: false });
+        return this.locale;
+    }
+
+    // URL (?lang=, also set by the portal on launch), then the language kept from earlier in
+    // this session, then the browser's languages, then English
+    detectLocale() {
+        const candidates = [];
+        try {
+            const urlParams = new URLSearchParams(window.location.search);
+            const fromUrl = urlParams.get('lang');
+            if (fromUrl) {
+                candidates.push(fromUrl);
+                // Keep a portal-provided language when the URL is cleaned or the page reloads
+                const resolved = this.resolveLocale(fromUrl);
+                if (resolved) localStorage.setItem(this.storageKey, resolved);
+            }
+        } catch (_) {}
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            if (stored) candidates.push(stored);
+        } catch (_) {}
+        if (typeof navigator !== 'undefined') {
+            candidates.push(...(navigator.languages || [navigator.language]).filter(Boolean));
+        }
+        for (const candidate of candidates) {
+            const resolved = this.resolveLocale(candidate);
+            if (resolved) return resolved;
+        }
+        return this.fallbackLocale;
+    }
+
+    // Supported locale for a language tag, or null
+    resolveLocale(tag) {
+        if (!tag || typeof tag !== 'string') return null;
+        const normalized = tag.trim().replace('_', '-').toLowerCase();
+        const exact = Object.keys(this.locales).find(code => code.toLowerCase() === normalized);
+        if (exact) return exact;
+        if (this.aliases[normalized]) return this.aliases[normalized];
+        const language = normalized.split('-')[0];
+        if (this.locales[language]) return language;
+        return this.aliases[language] || null;
+    }
+
+    async loadBundle(locale) {
+        if (this.bundles[locale]) return this.bundles[locale];
+        try {
+            const response = await fetch(`${this.bundlePath}/${locale}.json`);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            this.bundles[locale] = await response.json();
+        } catch (error) {
+            console.error(`🌐 Failed to load ${locale} strings:`, error.message);
+            this.bundles[locale] = null;
+        }
+        return this.bundles[locale];
+    }
+
+    async setLocale(locale, { persist = true } = {}) {
+        const resolved = this.resolveLocale(locale) || this.fallbackLocale;
+        const bundle = await this.loadBundle(resolved);
+        this.locale = bundle ? resolved : this.fallbackLocale;
+        this.formatters.clear();
+        if (persist) {
+            try { localStorage.setItem(this.storageKey, this.locale); } catch (_) {}
+        }
+        if (typeof document !== 'undefined' && document.documentElement) {
+            document.documentElement.lang = this.locale;
+            document.documentElement.dir = this.getDirection();
+        }
+        console.log(`🌐 UI language: ${this.locale}`);
+        this.listeners.forEach(listener => {
+            try { listener(this.locale); } catch (error) { console.warn('Locale listener failed:', error); }
+        });
+        return this.locale;
+    }
+
+    getLocale() {
+        return this.locale;
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+        return () => { this.listeners = this.listeners.filter(item => item !== listener); };
+    }
+
+    /**
+     * Translated string for a dotted key, e.g. t('history.title') or t('replay.freeSpinsWon', { count: 3 }).
+     * {name} placeholders take params; a value given as { one, other, ... } is picked by the
+     * plural rules of the language for params.count.
+     */
+    t(key, params = {}) {
+        let value = this.lookup(this.bundles[this.locale], key);
+        if (value === undefined && this.locale !== this.fallbackLocale) {
+            value = this.lookup(this.bundles[this.fallbackLocale], key);
+            this.reportMissing(key);
+        }
+        if (value === undefined) {
+            this.reportMissing(key);
+            return key;
+        }
+        if (value && typeof value === 'object') {
+            value = this.selectPlural(value, params.count);
+        }
+        return this.interpolate(String(value), params);
+    }
+
+    // Whether a key exists in the current language or in English
+    has(key) {
+        return this.lookup(this.bundles[this.locale], key) !== undefined ||
+            this.lookup(this.bundles[this.fallbackLocale], key) !== undefined;
+    }
+
+    lookup(bundle, key) {
+        if (!bundle) return undefined;
+        let node = bundle;
+        for (const part of key.split('.')) {
+            if (node === null || typeof node !== 'object' || !(part in node)) {
+                return undefined;
+            }
+            node = node[part];
+        }
+        return node;
+    }
+
+    selectPlural(forms, count) {
+        const category = typeof count === 'number' ? this.getPluralRules().select(count) : 'other';
+        if (forms[category] !== undefined) return forms[category];
+        if (count === 0 && forms.zero !== undefined) return forms.zero;
+        return forms.other !== undefined ? forms.other : Object.values(forms)[0];
+    }
+
+    interpolate(text, params) {
+        return text.replace(/\{(\w+)\}/g, (match, name) => {
+            if (params[name] === undefined || params[name] === null) return match;
+            // Counts are shown with the language's digit grouping
+            return name === 'count' && typeof params[name] === 'number'
+                ? this.formatNumber(params[name])
+                : String(params[name]);
+        });
+    }
+
+    reportMissing(key) {
+        if (this.missingKeys.has(`${this.locale}:${key}`)) return;
+        this.missingKeys.add(`${this.locale}:${key}`);
+        console.warn(`🌐 Missing ${this.locale} string "${key}"`);
+    }
+
+    getFormatter(type, options, factory) {
+        const cacheKey = `${type}:${this.locale}:${JSON.stringify(options)}`;
+        if (!this.formatters.has(cacheKey)) {
+            this.formatters.set(cacheKey, factory());
+        }
+        return this.formatters.get(cacheKey);
+    }
+
+    getPluralRules() {
+        return this.getFormatter('plural', {}, () => new Intl.PluralRules(this.locale));
+    }
+
+    formatNumber(value, options = {}) {
+        return this.getFormatter('number', options, () => new Intl.NumberFormat(this.locale, options))
+            .format(Number(value) || 0);
+    }
+
+    formatPercent(value, digits = 2) {
+        return this.formatNumber(value, { style: 'percent', minimumFractionDigits: 0, maximumFractionDigits: digits });
+    }
+
+    // Amount in a currency, in the UI language's conventions (symbol position, separators)
+    formatCurrency(amount, currency, minorUnits = 2) {
+        const options = {
+            style: 'currency',
+            currency,
+            minimumFractionDigits: minorUnits,
+            maximumFractionDigits: minorUnits
+        };
+        return this.formatNumber(amount, options);
+    }
+
+    formatDateTime(value, options = { dateStyle: 'short', timeStyle: 'short' }) {
+        const date = value instanceof Date ? value : new Date(value);
+        if (Number.isNaN(date.getTime())) return '';
+        return this.getFormatter('date', options, () => new Intl.DateTimeFormat(this.locale, options)).format(date);
+    }
+
+    formatDate(value) {
+        return this.formatDateTime(value, { dateStyle: 'medium' });
+    }
+
+    isRTL() {
+        return this.getDirection() === 'rtl';
+    }
+
+    getDirection() {
+        return (this.locales[this.locale] && this.locales[this.locale].dir) || 'ltr';
+    }
+
+    // Font stack for a base family, with the language's script fonts in front
+    getFontFamily(baseFamily = 'Arial') {
+        const localeFont = this.locales[this.locale] && this.locales[this.locale].font;
+        return localeFont ? `${localeFont}, ${baseFamily}` : baseFamily;
+    }
+
+    /**
+     * Phaser text style for the current language: font fallback for CJK/Arabic and
+     * right-to-left rendering. Use for any text that shows translated strings.
+     */
+    style(style = {}) {
+        const localized = Object.assign({}, style, {
+            fontFamily: this.getFontFamily(style.fontFamily || 'Arial')
+        });
+        if (this.isRTL()) {
+            localized.rtl = true;
+        }
+        return localized;
+    }
+})();
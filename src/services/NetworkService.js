@@ -313,6 +313,8 @@ window.NetworkService = new (class NetworkService {
             this.socket.on('connect', () => {
                 console.log('??Connected to server via WebSocket');
                 this.isConnected = true;
+                // Flags for this player; the server re-sends them when an admin changes one
+                this.socket.emit('subscribe_feature_flags', { token: this.authToken });
                 this.emit('connected');
                 resolve();
             });
@@ -335,6 +337,12 @@ window.NetworkService = new (class NetworkService {
                 this.emit('error', error);
             });
             
+            this.socket.on('feature_flags_update', (data) => {
+                if (window.FeatureFlags && data && data.flags) {
+                    window.FeatureFlags.applyServerFlags(data.flags);
+                }
+            });
+            
             // Setup reconnection handling
             this.socket.on('reconnect', () => {
                 console.log('?? Reconnected to server');
@@ -458,6 +466,72 @@ window.NetworkService = new (class NetworkService {
         return this.get('/api/wallet/validate');
     }
 
+    // Responsible gambling API (real-money players)
+    async getResponsibleGamblingStatus() {
+        return this.get('/api/responsible-gambling');
+    }
+
+    async setResponsibleGamblingLimit(limitType, period, amount) {
+        return this.put('/api/responsible-gambling/limits', { limitType, period, amount });
+    }
+
+    async setRealityCheck(minutes) {
+        return this.put('/api/responsible-gambling/reality-check', { minutes });
+    }
+
+    async startCoolOff(period) {
+        return this.post('/api/responsible-gambling/cool-off', { period });
+    }
+
+    async selfExclude(period) {
+        return this.post('/api/responsible-gambling/self-exclusion', { period, confirm: true });
+    }
+
+    // Accessibility options kept with the player's account
+    async getAccessibilitySettings() {
+        return this.get('/api/accessibility');
+    }
+
+    async updateAccessibilitySettings(changes) {
+        return this.put('/api/accessibility', changes);
+    }
+
+    // Block returned by the server's responsible gambling checks (403 RESPONSIBLE_GAMBLING_LIMIT), else null
+    getResponsibleGamblingBlock(resp) {
+        const error = resp && resp.error;
+        if (error && typeof error === 'object' && error.code === 'RESPONSIBLE_GAMBLING_LIMIT') {
+            return Object.assign({ message: error.message }, error.details || {});
+        }
+        return null;
+    }
+
+    // Autoplay sessions: the server checks the stop conditions against its jurisdiction rules
+    async getAutoplayStatus() {
+        return this.get('/api/autoplay');
+    }
+
+    async startAutoplaySession(settings) {
+        return this.post('/api/autoplay', settings);
+    }
+
+    async stopAutoplaySession(sessionId) {
+        return this.delete(`/api/autoplay/${encodeURIComponent(sessionId)}`);
+    }
+
+    // Autoplay spin refused by the server (409 AUTOPLAY_STOPPED), else null
+    getAutoplayBlock(resp) {
+        const error = resp && resp.error;
+        if (error && typeof error === 'object' && error.code === 'AUTOPLAY_STOPPED') {
+            return Object.assign({ message: error.message }, error.details || {});
+        }
+        return null;
+    }
+
+    // Rules and paytable of the math model the player is on (works without login)
+    async getGameRules() {
+        return this.get('/api/game-rules');
+    }
+
     // Spin history (game history) API
     async getSpinHistory(page = 1, limit = 200, order = 'desc') {
         const cappedLimit = Math.min(Math.max(1, limit || 200), 200);
@@ -468,6 +542,11 @@ window.NetworkService = new (class NetworkService {
         if (order && (order === 'asc' || order === 'desc')) p.append('order', order);
         return this.get(`/api/spin-history?${p.toString()}`);
     }
+
+    // One stored spin with its cascade steps, for the history replay viewer
+    async getSpinDetail(spinId) {
+        return this.get(`/api/spin-history/${encodeURIComponent(spinId)}`);
+    }
     
     // Cascade API Methods (for future cascade synchronization)
     async startCascadeSync(spinId, playerId, gridState) {
@@ -774,7 +853,8 @@ window.NetworkService = new (class NetworkService {
             accumulatedMultiplier: spinData.accumulatedMultiplier || 1,
             bonusMode: !!spinData.bonusMode,
             rngSeed: spinData.rngSeed, // optional for deterministic replay/testing
-            clientRequestId: spinData.requestId || spinData.clientRequestId || null
+            clientRequestId: spinData.requestId || spinData.clientRequestId || null,
+            autoplaySessionId: spinData.autoplaySessionId || null
         };
         
         // If we have a playerId, include it for demo-spin endpoint
@@ -785,6 +865,9 @@ window.NetworkService = new (class NetworkService {
         if (!payload.clientRequestId) {
             delete payload.clientRequestId;
         }
+        if (!payload.autoplaySessionId || isDemoSession) {
+            delete payload.autoplaySessionId;
+        }
         
         // DEBUG: Log authentication status
         console.log(`🔐 NetworkService.processSpin: authToken=${this.authToken ? 'EXISTS' : 'NULL'}, isDemoSession=${isDemoSession}, endpoint=${isDemoSession ? '/api/demo-spin' : '/api/spin'}${playerId ? `, playerId=${playerId.substring(0,20)}...` : ''}`);
@@ -794,7 +877,9 @@ window.NetworkService = new (class NetworkService {
         try {
             const resp = await this.post(primaryEndpoint, payload, isDemoSession);
             const normalized = this.normalizeSpinHttpResponse(resp);
-            if (normalized.success || isDemoSession) {
+            // A limit, exclusion or autoplay stop is final: never retry it through the demo endpoint
+            if (normalized.success || isDemoSession || this.getResponsibleGamblingBlock(normalized) ||
+                this.getAutoplayBlock(normalized)) {
                 return normalized;
             }
             if (!isDemoSession) {
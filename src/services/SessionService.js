@@ -449,6 +449,9 @@ window.SessionService = new (class SessionService {
         const portalUrl = new URL('/auth/login', this.portalUrl);
         portalUrl.searchParams.set('return_url', returnUrl.toString());
         portalUrl.searchParams.set('reason', reason);
+        if (window.I18n) {
+            portalUrl.searchParams.set('lang', window.I18n.getLocale());
+        }
         
         console.log(`🔐 Would redirect to: ${portalUrl.toString()}`);
         console.log(`🔐 Portal redirect disabled for testing - game will continue in demo mode`);
@@ -3,6 +3,7 @@ window.WalletAPI = new (class WalletAPI {
     constructor() {
         this.currentBalance = 0;
         this.currency = 'USD';
+        this.formatter = null;
         this.transactions = [];
         
         // Setup WebSocket event listeners
@@ -27,7 +28,7 @@ window.WalletAPI = new (class WalletAPI {
             const result = await window.NetworkService.get('/api/wallet/balance');
             if (result.success) {
                 this.currentBalance = result.data.balance;
-                this.currency = result.data.currency || 'USD';
+                this.setCurrency(result.data.currency);
                 console.log('💰 Current balance:', this.formatBalance(this.currentBalance));
             }
             return result;
@@ -124,9 +125,12 @@ window.WalletAPI = new (class WalletAPI {
             return { valid: false, error: 'Insufficient balance' };
         }
         
-        // Check if bet amount is valid (should match server validation)
-        const validBets = [1, 2, 5, 10, 20, 50, 100, 200, 500];
-        if (!validBets.includes(betAmount)) {
+        // Check the bet against the currency's ladder (the server validates the same ladder)
+        const config = window.GameConfig;
+        if (betAmount < config.MIN_BET || betAmount > config.MAX_BET) {
+            return { valid: false, error: `Bet must be between ${this.formatBalance(config.MIN_BET)} and ${this.formatBalance(config.MAX_BET)}` };
+        }
+        if (!config.BET_LEVELS.includes(betAmount)) {
             return { valid: false, error: 'Invalid bet amount' };
         }
         
@@ -137,7 +141,7 @@ window.WalletAPI = new (class WalletAPI {
     handleBalanceUpdate(data) {
         const oldBalance = this.currentBalance;
         this.currentBalance = data.balance;
-        this.currency = data.currency || 'USD';
+        this.setCurrency(data.currency);
         
         console.log(`💰 Balance updated: ${this.formatBalance(oldBalance)} → ${this.formatBalance(this.currentBalance)}`);
         
@@ -168,13 +172,46 @@ window.WalletAPI = new (class WalletAPI {
         }
     }
     
+    // Switch the wallet currency: bet ladder, formatting and the UI follow it
+    setCurrency(code) {
+        const currency = code || 'USD';
+        if (currency === this.currency && window.GameConfig.CURRENCY === currency) {
+            return;
+        }
+        
+        const oldCurrency = this.currency;
+        this.currency = currency;
+        this.formatter = null;
+        window.GameConfig.applyCurrency(currency);
+        
+        if (window.gameScene) {
+            window.gameScene.events.emit('wallet_currency_change', {
+                oldCurrency,
+                currency
+            });
+        }
+    }
+    
     // Utility Methods
     formatBalance(amount) {
-        return new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: this.currency,
-            minimumFractionDigits: 2
-        }).format(amount);
+        // Minor units of the currency, separators and symbol position of the UI language
+        // (e.g. 1.234,50 € or ￥1,235); the currency's own locale when i18n is not loaded
+        if (!this.formatter || this.formatterLocale !== this.getFormatLocale()) {
+            const ladder = window.GameConfig.CURRENCIES[this.currency] || window.GameConfig.CURRENCIES.USD;
+            this.formatterLocale = this.getFormatLocale();
+            this.formatter = new Intl.NumberFormat(this.formatterLocale, {
+                style: 'currency',
+                currency: this.currency,
+                minimumFractionDigits: ladder.MINOR_UNITS,
+                maximumFractionDigits: ladder.MINOR_UNITS
+            });
+        }
+        return this.formatter.format(Number(amount) || 0);
+    }
+    
+    getFormatLocale() {
+        const ladder = window.GameConfig.CURRENCIES[this.currency] || window.GameConfig.CURRENCIES.USD;
+        return window.I18n ? window.I18n.getLocale() : ladder.LOCALE;
     }
     
     formatTransaction(transaction) {